@@ -20,3 +20,22 @@ export function resolveStatePath(mode = process.env.MODE, envOverride = process.
   
   return path.join(process.cwd(), 'ws', filename);
 }
+
+/**
+ * resolveCoinStatePath
+ * 銘柄ごとの engine_state パス
+ * 主銘柄（trade.json symbols[0]）は従来の engine_state.{LIVE,TEST}.json をそのまま使い、
+ * それ以外は engine_state.LIVE.ETH.json のように銘柄名を挟む
+ * @param {string} coin - 銘柄
+ * @param {string} primaryCoin - 主銘柄
+ * @param {string} mode - 実行モード
+ * @param {string} envOverride - 環境変数 ENGINE_STATE_PATH
+ * @returns {string} 絶対パス
+ */
+export function resolveCoinStatePath(coin, primaryCoin, mode = process.env.MODE, envOverride = process.env.ENGINE_STATE_PATH) {
+  const basePath = resolveStatePath(mode, envOverride);
+  if (!coin || coin === primaryCoin) return basePath;
+  const ext = path.extname(basePath);
+  const stem = ext ? basePath.slice(0, -ext.length) : basePath;
+  return `${stem}.${coin}${ext || '.json'}`;
+}
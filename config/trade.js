@@ -2,6 +2,8 @@ import fs from 'fs';
 import { fileURLToPath } from 'url';
 import path from 'path';
 import crypto from 'crypto';
+import { validateTradeConfig, formatTradeConfigIssues } from './tradeSchema.js';
+import { recordTradeConfigVersion, listTradeConfigVersions, resolveTradeHistoryDir } from './tradeHistory.js';
 
 const DEFAULT_TRADE_CONFIG = {
   leverage: 1,
@@ -48,6 +50,123 @@ const DEFAULT_TRADE_CONFIG = {
     minEvaluated: 50,
     alertCooldownMs: 30 * 60 * 1000
   },
+  reconcile: {
+    enabled: true,
+    policy: 'halt',
+    intervalMs: 60_000,
+    sizeToleranceRatio: 0.01,
+    adoptTpDistanceUsd: 400
+  },
+  portfolio: {
+    enabled: false,
+    maxGrossNotionalUsd: null,
+    perCoinMaxNotionalUsd: {},
+    correlation: {},
+    defaultCorrelation: 0,
+    maxCorrelatedNotionalUsd: null,
+    onBreach: 'scale'
+  },
+  execAlgo: {
+    enabled: false,
+    twap: {
+      durationMs: 60_000,
+      slices: 6,
+      sliceSlippageBps: 8
+    },
+    iceberg: {
+      visibleNotionalUsd: 500,
+      refreshMs: 1000,
+      deadlineMs: 90_000
+    },
+    chase: {
+      repriceMs: 1500,
+      maxDriftBps: 15,
+      deadlineMs: 45_000
+    },
+    fallback: {
+      ioc: true,
+      slippageBps: 20
+    }
+  },
+  paperFill: {
+    enabled: true,
+    latencyMs: 300,
+    latencyJitterMs: 200,
+    maxSlippageBps: 30,
+    makerTimeoutMs: 20_000,
+    queueAheadRatio: 1.0,
+    exitBookWalk: true
+  },
+  funding: {
+    enabled: true,
+    accrual: true,
+    plannedHoldMs: 30 * 60 * 1000,
+    creditReceived: false,
+    entryBlock: {
+      enabled: false,
+      windowMs: 5 * 60 * 1000,
+      minRate: 0.00005
+    }
+  },
+  scaleIn: {
+    enabled: false,
+    maxLegs: 3,
+    maxNotionalUsd: 3000,
+    legSizeRatio: 0.5,
+    minClusterRank: 0.6,
+    nearClusterUsd: 25,
+    minSpacingUsd: 40,
+    minIntervalMs: 60_000,
+    minTpRoomUsd: 60,
+    maxAdverseRatio: 0.35
+  },
+  patternSensor: {
+    enabled: false,
+    modelPath: 'logs/ops/ws_pattern_pipeline/latest/refresh/pattern_model_refreshed.json',
+    windowMs: 20_000,
+    minTrades: 8,
+    reloadCheckMs: 30_000,
+    maxModelAgeMs: 3 * 24 * 60 * 60 * 1000,
+    minPatternSamples: 30,
+    maxDistanceZ: 2.5,
+    minConfidence: 0.3,
+    gate: {
+      enabled: false,
+      hostileRetBps: 1.5
+    },
+    size: {
+      enabled: false,
+      favorableRetBps: 1.0,
+      boostSlope: 0.2,
+      maxBoost: 1.15
+    }
+  },
+  liqCascade: {
+    enabled: false,
+    windowMs: 10_000,
+    burstUsd: 100_000,
+    cooldownMs: 20_000,
+    decayHalfLifeMs: 30_000,
+    activeMinIntensity: 0.5,
+    maxCascadeMs: 180_000,
+    proxyMode: 'auto',
+    proxyScale: 0.35,
+    gate: {
+      enabled: false,
+      minIntensity: 1.0
+    },
+    stopWiden: {
+      enabled: false,
+      minIntensity: 1.0,
+      hardRatioMul: 1.3,
+      maxHardRatio: 1.2
+    },
+    protectiveExit: {
+      enabled: false,
+      minIntensity: 2.0,
+      minHoldMs: 0
+    }
+  },
   tuningPresets: {
     applyOnLoad: false,
     active: 'custom',
@@ -452,8 +571,8 @@ const DEFAULT_TRADE_CONFIG = {
 
 let cachedTradeConfig = { ...DEFAULT_TRADE_CONFIG };
 let loaded = false;
-let warned = false;
 let lastHash = null;
+let rejectedHash = null;
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const FILE_PATH = path.join(__dirname, 'trade.json');
@@ -537,7 +656,8 @@ function normalizeTradeConfig(raw) {
         lotMinRatio: Math.min(minRatio, maxRatio),
         lotMaxRatio: Math.max(minRatio, maxRatio),
         feeMinNetUsd: Math.max(0, toNumberOr(b.feeMinNetUsd, 1.0)),
-        mapMinStrength: clamp(toNumberOr(b.mapMinStrength, 0), 0, 1)
+        mapMinStrength: clamp(toNumberOr(b.mapMinStrength, 0), 0, 1),
+        execAlgo: normalizeStageExecAlgo(b.execAlgo)
       };
     })
     .filter(b => b.upToEquityUsd === null || Number.isFinite(b.upToEquityUsd))
@@ -1487,6 +1607,181 @@ function normalizeTradeConfig(raw) {
   if (entryRateMonitor.maxEntryRate < entryRateMonitor.minEntryRate) {
     entryRateMonitor.maxEntryRate = entryRateMonitor.minEntryRate;
   }
+  // 取引所との建玉/注文突き合わせ（live のみ）。policy は RECONCILE_POLICY env が優先
+  const reconcileRaw = data.reconcile && typeof data.reconcile === 'object' ? data.reconcile : {};
+  const reconcileDefault = DEFAULT_TRADE_CONFIG.reconcile;
+  const reconcilePolicyRaw = String(process.env.RECONCILE_POLICY ?? reconcileRaw.policy ?? reconcileDefault.policy).toLowerCase();
+  const reconcile = {
+    enabled: reconcileRaw.enabled === undefined ? !!reconcileDefault.enabled : !!reconcileRaw.enabled,
+    policy: ['adopt', 'flatten', 'halt'].includes(reconcilePolicyRaw) ? reconcilePolicyRaw : reconcileDefault.policy,
+    intervalMs: Math.max(10_000, Math.floor(toNumberOr(reconcileRaw.intervalMs, reconcileDefault.intervalMs))),
+    sizeToleranceRatio: clamp(toNumberOr(reconcileRaw.sizeToleranceRatio, reconcileDefault.sizeToleranceRatio), 0, 0.5),
+    adoptTpDistanceUsd: Math.max(1, toNumberOr(reconcileRaw.adoptTpDistanceUsd, reconcileDefault.adoptTpDistanceUsd))
+  };
+  // 複数銘柄時のポートフォリオ上限（engine/portfolioRisk.js）。null / 0 以下の上限は無効
+  const portfolioRaw = data.portfolio && typeof data.portfolio === 'object' ? data.portfolio : {};
+  const portfolioDefault = DEFAULT_TRADE_CONFIG.portfolio;
+  const toPositiveOrNull = (v) => {
+    const n = toNumberOr(v, NaN);
+    return Number.isFinite(n) && n > 0 ? n : null;
+  };
+  const perCoinMaxNotionalUsd = {};
+  if (portfolioRaw.perCoinMaxNotionalUsd && typeof portfolioRaw.perCoinMaxNotionalUsd === 'object') {
+    for (const [coin, cap] of Object.entries(portfolioRaw.perCoinMaxNotionalUsd)) {
+      const v = toPositiveOrNull(cap);
+      if (v !== null) perCoinMaxNotionalUsd[coin] = v;
+    }
+  }
+  const correlation = {};
+  if (portfolioRaw.correlation && typeof portfolioRaw.correlation === 'object') {
+    for (const [pair, rho] of Object.entries(portfolioRaw.correlation)) {
+      const v = toNumberOr(rho, NaN);
+      if (pair.includes('/') && Number.isFinite(v)) correlation[pair] = clamp(v, -1, 1);
+    }
+  }
+  const portfolio = {
+    enabled: portfolioRaw.enabled === undefined ? !!portfolioDefault.enabled : !!portfolioRaw.enabled,
+    maxGrossNotionalUsd: toPositiveOrNull(portfolioRaw.maxGrossNotionalUsd ?? portfolioDefault.maxGrossNotionalUsd),
+    perCoinMaxNotionalUsd,
+    correlation,
+    defaultCorrelation: clamp(toNumberOr(portfolioRaw.defaultCorrelation, portfolioDefault.defaultCorrelation), -1, 1),
+    maxCorrelatedNotionalUsd: toPositiveOrNull(portfolioRaw.maxCorrelatedNotionalUsd ?? portfolioDefault.maxCorrelatedNotionalUsd),
+    onBreach: portfolioRaw.onBreach === 'block' ? 'block' : portfolioDefault.onBreach
+  };
+  // 執行アルゴリズム（executor/execAlgo.js）。どの帯で使うかは capitalStages.bands[].execAlgo
+  const execAlgoRaw = data.execAlgo && typeof data.execAlgo === 'object' ? data.execAlgo : {};
+  const execAlgoDefault = DEFAULT_TRADE_CONFIG.execAlgo;
+  const twapRaw = execAlgoRaw.twap && typeof execAlgoRaw.twap === 'object' ? execAlgoRaw.twap : {};
+  const icebergRaw = execAlgoRaw.iceberg && typeof execAlgoRaw.iceberg === 'object' ? execAlgoRaw.iceberg : {};
+  const chaseRaw = execAlgoRaw.chase && typeof execAlgoRaw.chase === 'object' ? execAlgoRaw.chase : {};
+  const algoFallbackRaw = execAlgoRaw.fallback && typeof execAlgoRaw.fallback === 'object' ? execAlgoRaw.fallback : {};
+  const execAlgo = {
+    enabled: execAlgoRaw.enabled === undefined ? !!execAlgoDefault.enabled : !!execAlgoRaw.enabled,
+    twap: {
+      durationMs: Math.max(1000, Math.floor(toNumberOr(twapRaw.durationMs, execAlgoDefault.twap.durationMs))),
+      slices: clamp(Math.floor(toNumberOr(twapRaw.slices, execAlgoDefault.twap.slices)), 1, 50),
+      sliceSlippageBps: Math.max(0, toNumberOr(twapRaw.sliceSlippageBps, execAlgoDefault.twap.sliceSlippageBps))
+    },
+    iceberg: {
+      visibleNotionalUsd: Math.max(10, toNumberOr(icebergRaw.visibleNotionalUsd, execAlgoDefault.iceberg.visibleNotionalUsd)),
+      refreshMs: Math.max(200, Math.floor(toNumberOr(icebergRaw.refreshMs, execAlgoDefault.iceberg.refreshMs))),
+      deadlineMs: Math.max(1000, Math.floor(toNumberOr(icebergRaw.deadlineMs, execAlgoDefault.iceberg.deadlineMs)))
+    },
+    chase: {
+      repriceMs: Math.max(200, Math.floor(toNumberOr(chaseRaw.repriceMs, execAlgoDefault.chase.repriceMs))),
+      maxDriftBps: Math.max(0, toNumberOr(chaseRaw.maxDriftBps, execAlgoDefault.chase.maxDriftBps)),
+      deadlineMs: Math.max(1000, Math.floor(toNumberOr(chaseRaw.deadlineMs, execAlgoDefault.chase.deadlineMs)))
+    },
+    fallback: {
+      ioc: algoFallbackRaw.ioc === undefined ? !!execAlgoDefault.fallback.ioc : !!algoFallbackRaw.ioc,
+      slippageBps: Math.max(0, toNumberOr(algoFallbackRaw.slippageBps, execAlgoDefault.fallback.slippageBps))
+    }
+  };
+  // test / dry の紙約定（engine/paperFill.js）。live では使わない
+  const paperFillRaw = data.paperFill && typeof data.paperFill === 'object' ? data.paperFill : {};
+  const paperFillDefault = DEFAULT_TRADE_CONFIG.paperFill;
+  const paperFill = {
+    enabled: paperFillRaw.enabled === undefined ? !!paperFillDefault.enabled : !!paperFillRaw.enabled,
+    latencyMs: Math.max(0, Math.floor(toNumberOr(paperFillRaw.latencyMs, paperFillDefault.latencyMs))),
+    latencyJitterMs: Math.max(0, Math.floor(toNumberOr(paperFillRaw.latencyJitterMs, paperFillDefault.latencyJitterMs))),
+    maxSlippageBps: Math.max(0, toNumberOr(paperFillRaw.maxSlippageBps, paperFillDefault.maxSlippageBps)),
+    makerTimeoutMs: Math.max(0, Math.floor(toNumberOr(paperFillRaw.makerTimeoutMs, paperFillDefault.makerTimeoutMs))),
+    queueAheadRatio: clamp(toNumberOr(paperFillRaw.queueAheadRatio, paperFillDefault.queueAheadRatio), 0, 5),
+    exitBookWalk: paperFillRaw.exitBookWalk === undefined ? !!paperFillDefault.exitBookWalk : !!paperFillRaw.exitBookWalk
+  };
+  // 毎時 funding（core/funding.js）。accrual = 建玉への積み上げ、plannedHoldMs = B2 期待値で見込む保有時間
+  const fundingRaw = data.funding && typeof data.funding === 'object' ? data.funding : {};
+  const fundingDefault = DEFAULT_TRADE_CONFIG.funding;
+  const fundingEntryBlockRaw = fundingRaw.entryBlock && typeof fundingRaw.entryBlock === 'object' ? fundingRaw.entryBlock : {};
+  const funding = {
+    enabled: fundingRaw.enabled === undefined ? !!fundingDefault.enabled : !!fundingRaw.enabled,
+    accrual: fundingRaw.accrual === undefined ? !!fundingDefault.accrual : !!fundingRaw.accrual,
+    plannedHoldMs: Math.max(0, Math.floor(toNumberOr(fundingRaw.plannedHoldMs, fundingDefault.plannedHoldMs))),
+    creditReceived: fundingRaw.creditReceived === undefined ? !!fundingDefault.creditReceived : !!fundingRaw.creditReceived,
+    entryBlock: {
+      enabled: fundingEntryBlockRaw.enabled === undefined
+        ? !!fundingDefault.entryBlock.enabled
+        : !!fundingEntryBlockRaw.enabled,
+      windowMs: Math.max(0, Math.floor(toNumberOr(fundingEntryBlockRaw.windowMs, fundingDefault.entryBlock.windowMs))),
+      minRate: Math.max(0, toNumberOr(fundingEntryBlockRaw.minRate, fundingDefault.entryBlock.minRate))
+    }
+  };
+  // 保有中の追加エントリー（logic/decision_b2.js が add を出し、engine/positionLegs.js が脚として持つ）
+  const scaleInRaw = data.scaleIn && typeof data.scaleIn === 'object' ? data.scaleIn : {};
+  const scaleInDefault = DEFAULT_TRADE_CONFIG.scaleIn;
+  const scaleIn = {
+    enabled: scaleInRaw.enabled === undefined ? !!scaleInDefault.enabled : !!scaleInRaw.enabled,
+    maxLegs: clamp(Math.floor(toNumberOr(scaleInRaw.maxLegs, scaleInDefault.maxLegs)), 1, 10),
+    maxNotionalUsd: Math.max(0, toNumberOr(scaleInRaw.maxNotionalUsd, scaleInDefault.maxNotionalUsd)),
+    legSizeRatio: clamp(toNumberOr(scaleInRaw.legSizeRatio, scaleInDefault.legSizeRatio), 0.05, 2),
+    minClusterRank: clamp(toNumberOr(scaleInRaw.minClusterRank, scaleInDefault.minClusterRank), 0, 1),
+    nearClusterUsd: Math.max(0, toNumberOr(scaleInRaw.nearClusterUsd, scaleInDefault.nearClusterUsd)),
+    minSpacingUsd: Math.max(0, toNumberOr(scaleInRaw.minSpacingUsd, scaleInDefault.minSpacingUsd)),
+    minIntervalMs: Math.max(0, Math.floor(toNumberOr(scaleInRaw.minIntervalMs, scaleInDefault.minIntervalMs))),
+    minTpRoomUsd: Math.max(0, toNumberOr(scaleInRaw.minTpRoomUsd, scaleInDefault.minTpRoomUsd)),
+    maxAdverseRatio: clamp(toNumberOr(scaleInRaw.maxAdverseRatio, scaleInDefault.maxAdverseRatio), 0, 1)
+  };
+  // 学習済み pattern モデルによる分類（logic/sensors/pattern_sensor.js）。gate = 逆行 pattern の見送り、size = 順行 pattern の増し
+  const patternSensorRaw = data.patternSensor && typeof data.patternSensor === 'object' ? data.patternSensor : {};
+  const patternSensorDefault = DEFAULT_TRADE_CONFIG.patternSensor;
+  const patternGateRaw = patternSensorRaw.gate && typeof patternSensorRaw.gate === 'object' ? patternSensorRaw.gate : {};
+  const patternSizeRaw = patternSensorRaw.size && typeof patternSensorRaw.size === 'object' ? patternSensorRaw.size : {};
+  const patternSensor = {
+    enabled: patternSensorRaw.enabled === undefined ? !!patternSensorDefault.enabled : !!patternSensorRaw.enabled,
+    modelPath: typeof patternSensorRaw.modelPath === 'string' && patternSensorRaw.modelPath.trim()
+      ? patternSensorRaw.modelPath.trim()
+      : patternSensorDefault.modelPath,
+    windowMs: Math.max(1000, Math.floor(toNumberOr(patternSensorRaw.windowMs, patternSensorDefault.windowMs))),
+    minTrades: Math.max(1, Math.floor(toNumberOr(patternSensorRaw.minTrades, patternSensorDefault.minTrades))),
+    reloadCheckMs: Math.max(0, Math.floor(toNumberOr(patternSensorRaw.reloadCheckMs, patternSensorDefault.reloadCheckMs))),
+    maxModelAgeMs: Math.max(0, Math.floor(toNumberOr(patternSensorRaw.maxModelAgeMs, patternSensorDefault.maxModelAgeMs))),
+    minPatternSamples: Math.max(1, Math.floor(toNumberOr(patternSensorRaw.minPatternSamples, patternSensorDefault.minPatternSamples))),
+    maxDistanceZ: Math.max(0, toNumberOr(patternSensorRaw.maxDistanceZ, patternSensorDefault.maxDistanceZ)),
+    minConfidence: clamp(toNumberOr(patternSensorRaw.minConfidence, patternSensorDefault.minConfidence), 0, 1),
+    gate: {
+      enabled: patternGateRaw.enabled === undefined ? !!patternSensorDefault.gate.enabled : !!patternGateRaw.enabled,
+      hostileRetBps: Math.max(0, toNumberOr(patternGateRaw.hostileRetBps, patternSensorDefault.gate.hostileRetBps))
+    },
+    size: {
+      enabled: patternSizeRaw.enabled === undefined ? !!patternSensorDefault.size.enabled : !!patternSizeRaw.enabled,
+      favorableRetBps: Math.max(0, toNumberOr(patternSizeRaw.favorableRetBps, patternSensorDefault.size.favorableRetBps)),
+      boostSlope: Math.max(0, toNumberOr(patternSizeRaw.boostSlope, patternSensorDefault.size.boostSlope)),
+      maxBoost: clamp(toNumberOr(patternSizeRaw.maxBoost, patternSensorDefault.size.maxBoost), 1, 1.5)
+    }
+  };
+  // 清算 cascade 検出（io/liqCascadeDetector.js）。gate = 逆行エントリー見送り、stopWiden / protectiveExit = 建玉側の対応
+  const liqCascadeRaw = data.liqCascade && typeof data.liqCascade === 'object' ? data.liqCascade : {};
+  const liqCascadeDefault = DEFAULT_TRADE_CONFIG.liqCascade;
+  const liqGateRaw = liqCascadeRaw.gate && typeof liqCascadeRaw.gate === 'object' ? liqCascadeRaw.gate : {};
+  const liqWidenRaw = liqCascadeRaw.stopWiden && typeof liqCascadeRaw.stopWiden === 'object' ? liqCascadeRaw.stopWiden : {};
+  const liqExitRaw = liqCascadeRaw.protectiveExit && typeof liqCascadeRaw.protectiveExit === 'object' ? liqCascadeRaw.protectiveExit : {};
+  const liqProxyModeRaw = String(liqCascadeRaw.proxyMode ?? liqCascadeDefault.proxyMode).toLowerCase();
+  const liqCascade = {
+    enabled: liqCascadeRaw.enabled === undefined ? !!liqCascadeDefault.enabled : !!liqCascadeRaw.enabled,
+    windowMs: Math.max(1000, Math.floor(toNumberOr(liqCascadeRaw.windowMs, liqCascadeDefault.windowMs))),
+    burstUsd: Math.max(1, toNumberOr(liqCascadeRaw.burstUsd, liqCascadeDefault.burstUsd)),
+    cooldownMs: Math.max(0, Math.floor(toNumberOr(liqCascadeRaw.cooldownMs, liqCascadeDefault.cooldownMs))),
+    decayHalfLifeMs: Math.max(1000, Math.floor(toNumberOr(liqCascadeRaw.decayHalfLifeMs, liqCascadeDefault.decayHalfLifeMs))),
+    activeMinIntensity: Math.max(0, toNumberOr(liqCascadeRaw.activeMinIntensity, liqCascadeDefault.activeMinIntensity)),
+    maxCascadeMs: Math.max(1000, Math.floor(toNumberOr(liqCascadeRaw.maxCascadeMs, liqCascadeDefault.maxCascadeMs))),
+    proxyMode: ['auto', 'force', 'off'].includes(liqProxyModeRaw) ? liqProxyModeRaw : liqCascadeDefault.proxyMode,
+    proxyScale: Math.max(0, toNumberOr(liqCascadeRaw.proxyScale, liqCascadeDefault.proxyScale)),
+    gate: {
+      enabled: liqGateRaw.enabled === undefined ? !!liqCascadeDefault.gate.enabled : !!liqGateRaw.enabled,
+      minIntensity: Math.max(0, toNumberOr(liqGateRaw.minIntensity, liqCascadeDefault.gate.minIntensity))
+    },
+    stopWiden: {
+      enabled: liqWidenRaw.enabled === undefined ? !!liqCascadeDefault.stopWiden.enabled : !!liqWidenRaw.enabled,
+      minIntensity: Math.max(0, toNumberOr(liqWidenRaw.minIntensity, liqCascadeDefault.stopWiden.minIntensity)),
+      hardRatioMul: clamp(toNumberOr(liqWidenRaw.hardRatioMul, liqCascadeDefault.stopWiden.hardRatioMul), 1, 3),
+      maxHardRatio: clamp(toNumberOr(liqWidenRaw.maxHardRatio, liqCascadeDefault.stopWiden.maxHardRatio), 0.1, 3)
+    },
+    protectiveExit: {
+      enabled: liqExitRaw.enabled === undefined ? !!liqCascadeDefault.protectiveExit.enabled : !!liqExitRaw.enabled,
+      minIntensity: Math.max(0, toNumberOr(liqExitRaw.minIntensity, liqCascadeDefault.protectiveExit.minIntensity)),
+      minHoldMs: Math.max(0, Math.floor(toNumberOr(liqExitRaw.minHoldMs, liqCascadeDefault.protectiveExit.minHoldMs)))
+    }
+  };
   const tuningPresetsRaw = data.tuningPresets && typeof data.tuningPresets === 'object' ? data.tuningPresets : {};
   const tuningPresetsDefault = DEFAULT_TRADE_CONFIG.tuningPresets;
   const profilesRaw = tuningPresetsRaw.profiles && typeof tuningPresetsRaw.profiles === 'object'
@@ -1612,6 +1907,14 @@ function normalizeTradeConfig(raw) {
       maxSRDistanceUsd
     },
     entryRateMonitor,
+    reconcile,
+    portfolio,
+    execAlgo,
+    paperFill,
+    funding,
+    scaleIn,
+    patternSensor,
+    liqCascade,
     tuningPresets,
     compatibility,
     depthGuards,
@@ -1620,6 +1923,22 @@ function normalizeTradeConfig(raw) {
   };
 }
 
+const EXEC_ALGO_NAMES = ['twap', 'iceberg', 'chase'];
+
+// capitalStages の帯ごとの執行アルゴリズム指定（minNotionalUsd 以上の注文だけ entry / exit の algo を使う）
+function normalizeStageExecAlgo(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const pick = (name) => (EXEC_ALGO_NAMES.includes(name) ? name : null);
+  const entry = pick(raw.entry);
+  const exit = pick(raw.exit);
+  if (!entry && !exit) return null;
+  return {
+    minNotionalUsd: Math.max(0, toNumberOr(raw.minNotionalUsd, 0)),
+    entry,
+    exit
+  };
+}
+
 function normalizeFeedHealthThresholds(raw, defaults) {
   const out = {};
   const src = raw && typeof raw === 'object' ? raw : {};
@@ -1666,13 +1985,90 @@ function computeHash(str) {
   return crypto.createHash('sha256').update(str).digest('hex');
 }
 
+/**
+ * 本文 → スキーマ検査 → 正規化。違反は err.issues 付きで throw
+ */
+function parseValidateNormalize(raw, label = FILE_PATH) {
+  const parsed = JSON.parse(raw);
+  const result = validateTradeConfig(parsed);
+  if (!result.ok) {
+    const err = new Error(`schema violation\n${formatTradeConfigIssues(result.errors)}`);
+    err.issues = result.errors;
+    throw err;
+  }
+  if (result.warnings.length > 0) {
+    console.warn(`[trade] ${label} has unknown keys\n${formatTradeConfigIssues(result.warnings)}`);
+  }
+  return normalizeTradeConfig(parsed);
+}
+
 function readAndNormalizeTradeConfig() {
   const raw = fs.readFileSync(FILE_PATH, 'utf8');
-  const parsed = JSON.parse(raw);
-  const normalized = normalizeTradeConfig(parsed);
+  const normalized = parseValidateNormalize(raw);
   return { normalized, hash: computeHash(raw) };
 }
 
+function safeFileHash() {
+  try {
+    return computeHash(fs.readFileSync(FILE_PATH, 'utf8'));
+  } catch (_) {
+    return null;
+  }
+}
+
+// ホットリロードで検出した手編集を版履歴に残す（manual。起動時の読み込みでは記録しない）
+// 直近の記録版と同じハッシュなら recordTradeConfigVersion 側で捨てる（ツール経由の書き込みは記録済み）
+function recordAppliedVersion(raw) {
+  try {
+    const res = recordTradeConfigVersion(raw, { author: 'manual' });
+    if (res.recorded) {
+      console.log(`[trade] config version recorded hash=${res.hash.slice(0, 12)} changes=${res.entry.changes}`);
+    }
+  } catch (err) {
+    console.warn(`[trade] failed to record config version: ${err.message}`);
+  }
+}
+
+// 起動時に trade.json が不正なら、履歴の中で最後に有効だった版を使う
+function loadLastGoodVersion() {
+  let versions = [];
+  try {
+    versions = listTradeConfigVersions();
+  } catch (_) {
+    return null;
+  }
+  const dir = resolveTradeHistoryDir();
+  for (let i = versions.length - 1; i >= 0; i -= 1) {
+    try {
+      const record = JSON.parse(fs.readFileSync(path.join(dir, versions[i].file), 'utf8'));
+      return { normalized: parseValidateNormalize(record.raw), hash: versions[i].hash };
+    } catch (_) {
+      // 現行スキーマで通らない古い版は飛ばす
+    }
+  }
+  return null;
+}
+
+// 不正な trade.json を検出したら 1 ハッシュにつき 1 回だけログ + LINE アラート
+function reportRejectedConfig(hash, err, keptHash) {
+  if (hash && hash === rejectedHash) return;
+  rejectedHash = hash;
+  const kept = keptHash ? keptHash.slice(0, 12) : 'defaults';
+  console.error(`[trade] rejected ${FILE_PATH} hash=${hash ? hash.slice(0, 12) : 'unknown'}, using config hash=${kept}. Error: ${err.message}`);
+  const detail = Array.isArray(err.issues)
+    ? formatTradeConfigIssues(err.issues, 3)
+    : String(err.message).split('\n')[0];
+  import('../engine/lineNotify.js')
+    .then(({ sendLineAlert }) => sendLineAlert({
+      type: 'TRADE_CONFIG_REJECTED',
+      message: `trade.json (${hash ? hash.slice(0, 12) : 'unreadable'}) を拒否\n${detail}`,
+      action: `config/trade.json を修正（稼働中の設定 ${kept} を維持）`
+    }))
+    .catch((alertErr) => {
+      console.error('[trade] TRADE_CONFIG_REJECTED line alert failed:', alertErr?.message || alertErr);
+    });
+}
+
 export function loadTradeConfig(force = false) {
   if (loaded && !force) {
     return cachedTradeConfig;
@@ -1681,21 +2077,27 @@ export function loadTradeConfig(force = false) {
     const { normalized, hash } = readAndNormalizeTradeConfig();
     cachedTradeConfig = normalized;
     lastHash = hash;
+    rejectedHash = null;
     loaded = true;
     return cachedTradeConfig;
   } catch (err) {
     loaded = true;
+    const badHash = safeFileHash();
+    // 履歴に有効な版があればそれで起動（不正な trade.json では取引条件が変わるため）
+    const lastGood = loadLastGoodVersion();
+    if (lastGood) {
+      cachedTradeConfig = lastGood.normalized;
+      lastHash = lastGood.hash;
+      reportRejectedConfig(badHash, err, lastGood.hash);
+      return cachedTradeConfig;
+    }
     // minExpectedUsd/minBandDistanceUsd の欠落は致命的（fallback せず throw）
     if (err.message && (err.message.indexOf('minExpectedUsd') >= 0 || err.message.indexOf('minBandDistanceUsd') >= 0)) {
       throw err; // config.json の必須項目欠落は再スロー
     }
     // その他のエラーはデフォルトで代替（構文エラー等）
     cachedTradeConfig = { ...DEFAULT_TRADE_CONFIG };
-    if (!warned) {
-      warned = true;
-      // ← #4修正: filePath → FILE_PATH に修正（ReferenceError対応）
-      console.warn(`[trade] failed to load ${FILE_PATH}, using defaults. Error: ${err.message}`);
-    }
+    reportRejectedConfig(badHash, err, null);
     return cachedTradeConfig;
   }
 }
@@ -1707,6 +2109,15 @@ export function getTradeConfig() {
   return loaded ? cachedTradeConfig : { ...DEFAULT_TRADE_CONFIG };
 }
 
+/**
+ * trade.json 相当の設定（オブジェクト or 本文）を検査・正規化して返す。稼働中の設定は変えない
+ * createDecisionPipeline に別の設定を渡すとき用。違反は err.issues 付きで throw
+ */
+export function buildTradeConfig(raw, label = 'trade config') {
+  const text = typeof raw === 'string' ? raw : JSON.stringify(raw);
+  return parseValidateNormalize(text, label);
+}
+
 export function resolveB1SnapshotRefreshSetting(tradeConfig = getTradeConfig(), env = process.env) {
   const envRaw = env?.B1_SNAPSHOT_REFRESH_SEC;
   if (envRaw !== undefined) {
@@ -1728,33 +2139,28 @@ export function resolveB1SnapshotRefreshSetting(tradeConfig = getTradeConfig(),
 /**
  * ファイルのハッシュが変わった時だけ再読込する。
  * 変更があれば { changed: true, hash } を返す。
- * 致命的エラー（必須フィールド欠落）は throw し、その他はデフォルト維持で changed: false。
+ * 構文エラー・スキーマ違反（必須フィールド欠落を含む）は拒否して直前の有効な設定を維持し、
+ * 拒否したハッシュごとに 1 回アラートする（changed: false）。
  */
 export function refreshTradeConfigIfChanged() {
   if (!loaded) {
     return { changed: true, config: loadTradeConfig(true), hash: lastHash };
   }
+  let nextHash = null;
   try {
     const raw = fs.readFileSync(FILE_PATH, 'utf8');
-    const nextHash = computeHash(raw);
-    if (lastHash && nextHash === lastHash) {
+    nextHash = computeHash(raw);
+    if ((lastHash && nextHash === lastHash) || nextHash === rejectedHash) {
       return { changed: false, config: cachedTradeConfig, hash: lastHash };
     }
-    const parsed = JSON.parse(raw);
-    const normalized = normalizeTradeConfig(parsed);
+    const normalized = parseValidateNormalize(raw);
     cachedTradeConfig = normalized;
     lastHash = nextHash;
+    rejectedHash = null;
+    recordAppliedVersion(raw);
     return { changed: true, config: cachedTradeConfig, hash: lastHash };
   } catch (err) {
-    // minExpectedUsd/minBandDistanceUsd 欠落は致命的（そのまま throw）
-    if (err.message && (err.message.indexOf('minExpectedUsd') >= 0 || err.message.indexOf('minBandDistanceUsd') >= 0)) {
-      throw err;
-    }
-    // その他のエラーはデフォルト維持で警告一度だけ
-    if (!warned) {
-      warned = true;
-      console.warn(`[trade] refresh failed, keep current config. Error: ${err.message}`);
-    }
+    reportRejectedConfig(nextHash, err, lastHash);
     return { changed: false, config: cachedTradeConfig, hash: lastHash };
   }
 }
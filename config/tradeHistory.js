@@ -0,0 +1,187 @@
+// config/tradeHistory.js
+// trade.json の適用履歴（版管理）とロールバック
+// - 適用された版ごとに { hash, appliedAt, author, note, diff, raw } を <dir>/<appliedAt>-<hash12>.json に保存し、index.jsonl に 1 行追記
+// - author: manual（手編集。ホットリロード時に検出）/ auto_tune / profit_tuner / rollback / shadow_promote / control_api
+// - trade.json を書き換えるツールは writeTradeConfig を通す（スキーマ検査 → 原子的書き込み → 版記録）
+// - raw（ファイル本文そのもの）を残すので、ロールバック後のハッシュは元の版と一致する
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { validateTradeConfig, formatTradeConfigIssues } from './tradeSchema.js';
+import { clockNow } from '../core/clock.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const TRADE_CONFIG_PATH = path.join(__dirname, 'trade.json');
+const DEFAULT_HISTORY_DIR = path.join(__dirname, 'history', 'trade');
+const INDEX_FILE = 'index.jsonl';
+
+export const TRADE_CONFIG_AUTHORS = ['manual', 'auto_tune', 'profit_tuner', 'rollback', 'shadow_promote', 'control_api'];
+
+export function resolveTradeHistoryDir(env = process.env) {
+  const override = env?.TRADE_CONFIG_HISTORY_DIR;
+  if (override && String(override).trim().length > 0) {
+    return path.resolve(process.cwd(), String(override).trim());
+  }
+  return DEFAULT_HISTORY_DIR;
+}
+
+export function hashTradeConfigText(raw) {
+  return crypto.createHash('sha256').update(raw).digest('hex');
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * 2つの設定の差分（葉単位。配列は丸ごと1要素として比較）
+ * @returns {Array<{ path: string, before: any, after: any }>}
+ */
+export function diffTradeConfig(before, after, base = '') {
+  const out = [];
+  const a = isPlainObject(before) ? before : {};
+  const b = isPlainObject(after) ? after : {};
+  const keys = [...new Set([...Object.keys(a), ...Object.keys(b)])].sort();
+  for (const key of keys) {
+    const p = base ? `${base}.${key}` : key;
+    const va = a[key];
+    const vb = b[key];
+    if (isPlainObject(va) && isPlainObject(vb)) {
+      out.push(...diffTradeConfig(va, vb, p));
+    } else if (JSON.stringify(va) !== JSON.stringify(vb)) {
+      out.push({ path: p, before: va === undefined ? null : va, after: vb === undefined ? null : vb });
+    }
+  }
+  return out;
+}
+
+/**
+ * 部分パッチを深くマージ（配列は丸ごと置き換え）
+ */
+export function mergeTradeConfigPatch(base, patch) {
+  const out = { ...base };
+  for (const [key, value] of Object.entries(patch ?? {})) {
+    out[key] = isPlainObject(value) && isPlainObject(base?.[key]) ? mergeTradeConfigPatch(base[key], value) : value;
+  }
+  return out;
+}
+
+/**
+ * 版の一覧（古い順）。index.jsonl の壊れた行は読み飛ばす
+ * @returns {Array<{ hash: string, appliedAt: number, author: string, note: string|null, changes: number, file: string }>}
+ */
+export function listTradeConfigVersions(dir = resolveTradeHistoryDir()) {
+  const indexPath = path.join(dir, INDEX_FILE);
+  if (!fs.existsSync(indexPath)) return [];
+  const out = [];
+  for (const line of fs.readFileSync(indexPath, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const entry = JSON.parse(line);
+      if (entry && typeof entry.hash === 'string') out.push(entry);
+    } catch (_) {
+      // 途中で切れた行は無視
+    }
+  }
+  return out;
+}
+
+/**
+ * ハッシュ（先頭一致可）で版を探す。同じハッシュが複数回適用されていれば最新を返す
+ */
+export function findTradeConfigVersion(hashPrefix, dir = resolveTradeHistoryDir()) {
+  const prefix = String(hashPrefix ?? '').trim().toLowerCase();
+  if (prefix.length < 6) throw new Error('hash prefix must be at least 6 characters');
+  const matches = listTradeConfigVersions(dir).filter((v) => v.hash.startsWith(prefix));
+  const hashes = new Set(matches.map((v) => v.hash));
+  if (hashes.size === 0) throw new Error(`no trade config version matches ${prefix}`);
+  if (hashes.size > 1) throw new Error(`hash prefix ${prefix} is ambiguous (${[...hashes].map((h) => h.slice(0, 12)).join(', ')})`);
+  return matches[matches.length - 1];
+}
+
+/**
+ * 版の本体（raw / config / diff を含む）を読む
+ */
+export function loadTradeConfigVersion(hashPrefix, dir = resolveTradeHistoryDir()) {
+  const entry = findTradeConfigVersion(hashPrefix, dir);
+  const record = JSON.parse(fs.readFileSync(path.join(dir, entry.file), 'utf8'));
+  return { ...record, config: JSON.parse(record.raw) };
+}
+
+/**
+ * 適用された trade.json 本文を版として記録する（直前の版と同じハッシュなら何もしない）
+ * @param {string} raw - ファイル本文
+ * @param {{ author?: string, note?: string|null, dir?: string }} [opts]
+ * @returns {{ recorded: boolean, hash: string, entry: object|null }}
+ */
+export function recordTradeConfigVersion(raw, opts = {}) {
+  const dir = opts.dir ?? resolveTradeHistoryDir();
+  const author = TRADE_CONFIG_AUTHORS.includes(opts.author) ? opts.author : 'manual';
+  const hash = hashTradeConfigText(raw);
+  const versions = listTradeConfigVersions(dir);
+  const last = versions[versions.length - 1] ?? null;
+  if (last && last.hash === hash) return { recorded: false, hash, entry: last };
+
+  let prevConfig = null;
+  if (last) {
+    try {
+      prevConfig = JSON.parse(JSON.parse(fs.readFileSync(path.join(dir, last.file), 'utf8')).raw);
+    } catch (_) {
+      prevConfig = null;
+    }
+  }
+  const diff = prevConfig ? diffTradeConfig(prevConfig, JSON.parse(raw)) : [];
+  const appliedAt = clockNow();
+  const file = `${appliedAt}-${hash.slice(0, 12)}.json`;
+  const entry = {
+    hash,
+    appliedAt,
+    author,
+    note: opts.note ?? null,
+    parent: last?.hash ?? null,
+    changes: diff.length,
+    file
+  };
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, file), JSON.stringify({ ...entry, diff, raw }, null, 2) + '\n');
+  fs.appendFileSync(path.join(dir, INDEX_FILE), JSON.stringify(entry) + '\n');
+  return { recorded: true, hash, entry };
+}
+
+/**
+ * trade.json を書き換える（ツール用の唯一の書き込み口）
+ * スキーマ違反なら書かずに throw（err.issues に違反一覧）
+ * @param {object|string} config - 設定オブジェクト、または JSON 本文
+ * @param {{ author: string, note?: string|null, filePath?: string, dir?: string }} opts
+ * @returns {{ hash: string, recorded: boolean, entry: object|null }}
+ */
+export function writeTradeConfig(config, opts = {}) {
+  const filePath = opts.filePath ?? TRADE_CONFIG_PATH;
+  const raw = typeof config === 'string' ? config : JSON.stringify(config, null, 2) + '\n';
+  const result = validateTradeConfig(JSON.parse(raw));
+  if (!result.ok) {
+    const err = new Error(`trade config rejected:\n${formatTradeConfigIssues(result.errors)}`);
+    err.issues = result.errors;
+    throw err;
+  }
+  const tmpPath = `${filePath}.tmp-${process.pid}`;
+  fs.writeFileSync(tmpPath, raw);
+  fs.renameSync(tmpPath, filePath);
+  return recordTradeConfigVersion(raw, { author: opts.author, note: opts.note, dir: opts.dir });
+}
+
+/**
+ * 以前の版に戻す（その版の本文をそのまま書き戻し、author=rollback で記録）
+ */
+export function rollbackTradeConfig(hashPrefix, opts = {}) {
+  const dir = opts.dir ?? resolveTradeHistoryDir();
+  const version = loadTradeConfigVersion(hashPrefix, dir);
+  return writeTradeConfig(version.raw, {
+    author: 'rollback',
+    note: opts.note ?? `rollback to ${version.hash.slice(0, 12)}`,
+    filePath: opts.filePath,
+    dir
+  });
+}
@@ -0,0 +1,1137 @@
+// config/tradeSchema.js
+// config/trade.json の宣言的スキーマ
+// - normalizeTradeConfig は既定値の補完と clamp を担う。ここでは「書かれている値」の型・範囲・列挙を検査し、
+//   範囲外を黙って丸める前に、どのフィールドが悪いかをパス付きで返す
+// - 省略したキーは normalizeTradeConfig の既定値が使われるので検査しない（required のものだけ必須）
+// - 未知のキーはタイプミス検出用に warning として返す（エラーにはしない。open: true のセクションは対象外）
+// - 範囲は normalizeTradeConfig の clamp と揃える（片方を変えたらもう片方も）
+
+// ---- スキーマ DSL ----
+
+function num(opts = {}) {
+  return { type: 'number', ...opts };
+}
+
+function int(opts = {}) {
+  return { type: 'number', integer: true, ...opts };
+}
+
+function bool() {
+  return { type: 'boolean' };
+}
+
+function str(opts = {}) {
+  return { type: 'string', ...opts };
+}
+
+function oneOf(...values) {
+  return { type: 'enum', values };
+}
+
+function obj(fields, opts = {}) {
+  return { type: 'object', fields, ...opts };
+}
+
+function arr(items, opts = {}) {
+  return { type: 'array', items, ...opts };
+}
+
+// キーが自由（銘柄名・プロファイル名など）で値の形だけ決まっているオブジェクト
+function mapOf(values, opts = {}) {
+  return { type: 'map', values, ...opts };
+}
+
+function nullable(schema) {
+  return { ...schema, nullable: true };
+}
+
+function required(schema) {
+  return { ...schema, required: true };
+}
+
+// ---- 検査 ----
+
+function describe(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'string') return JSON.stringify(value.length > 40 ? `${value.slice(0, 40)}…` : value);
+  if (typeof value === 'object') return 'object';
+  return String(value);
+}
+
+function joinPath(base, key) {
+  if (typeof key === 'number') return `${base}[${key}]`;
+  if (!/^[A-Za-z_$][\w$]*$/.test(key)) return `${base}[${JSON.stringify(key)}]`;
+  return base ? `${base}.${key}` : key;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function check(schema, value, path, out) {
+  if (value === null) {
+    if (!schema.nullable) out.errors.push({ path, message: 'must not be null', value });
+    return;
+  }
+  switch (schema.type) {
+    case 'number': {
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        out.errors.push({ path, message: `expected ${schema.integer ? 'integer' : 'number'}, got ${describe(value)}`, value });
+        return;
+      }
+      if (schema.integer && !Number.isInteger(value)) {
+        out.errors.push({ path, message: `expected integer, got ${value}`, value });
+      }
+      if (schema.min !== undefined && value < schema.min) {
+        out.errors.push({ path, message: `must be >= ${schema.min}, got ${value}`, value });
+      }
+      if (schema.max !== undefined && value > schema.max) {
+        out.errors.push({ path, message: `must be <= ${schema.max}, got ${value}`, value });
+      }
+      return;
+    }
+    case 'boolean':
+      if (typeof value !== 'boolean') out.errors.push({ path, message: `expected boolean, got ${describe(value)}`, value });
+      return;
+    case 'string':
+      if (typeof value !== 'string') {
+        out.errors.push({ path, message: `expected string, got ${describe(value)}`, value });
+      } else if (schema.pattern && !schema.pattern.test(value)) {
+        out.errors.push({ path, message: `must match ${schema.pattern}, got ${describe(value)}`, value });
+      }
+      return;
+    case 'enum':
+      if (!schema.values.includes(value)) {
+        out.errors.push({ path, message: `must be one of ${schema.values.join('|')}, got ${describe(value)}`, value });
+      }
+      return;
+    case 'array': {
+      if (!Array.isArray(value)) {
+        out.errors.push({ path, message: `expected array, got ${describe(value)}`, value });
+        return;
+      }
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        out.errors.push({ path, message: `must have at least ${schema.minLength} item(s)`, value });
+      }
+      value.forEach((item, i) => check(schema.items, item, joinPath(path, i), out));
+      return;
+    }
+    case 'map': {
+      if (!isPlainObject(value)) {
+        out.errors.push({ path, message: `expected object, got ${describe(value)}`, value });
+        return;
+      }
+      for (const [k, v] of Object.entries(value)) {
+        const p = joinPath(path, k);
+        if (schema.keyPattern && !schema.keyPattern.test(k)) {
+          out.errors.push({ path: p, message: `key must match ${schema.keyPattern}`, value: k });
+          continue;
+        }
+        check(schema.values, v, p, out);
+      }
+      return;
+    }
+    case 'object': {
+      if (!isPlainObject(value)) {
+        out.errors.push({ path: path || '(root)', message: `expected object, got ${describe(value)}`, value });
+        return;
+      }
+      for (const [k, fieldSchema] of Object.entries(schema.fields)) {
+        const p = joinPath(path, k);
+        if (value[k] === undefined) {
+          if (fieldSchema.required) out.errors.push({ path: p, message: 'is required', value: undefined });
+          continue;
+        }
+        check(fieldSchema, value[k], p, out);
+      }
+      if (!schema.open) {
+        for (const k of Object.keys(value)) {
+          if (!(k in schema.fields)) out.warnings.push({ path: joinPath(path, k), message: 'unknown key', value: value[k] });
+        }
+      }
+      return;
+    }
+    default:
+      return;
+  }
+}
+
+// ---- trade.json ----
+
+const FLOW_GATE_MODE = oneOf('off', 'hostile_only', 'with_trend_only');
+
+export const TRADE_CONFIG_SCHEMA = obj({
+  leverage: num({ min: 1, max: 40 }),
+  symbols: arr(str({ pattern: /^[A-Z0-9]+$/ }), { minLength: 1 }),
+  lot: obj({
+    min: num({ min: 0, max: 1 }),
+    max: num({ min: 0, max: 1 }),
+    mode: str(),
+    minNotionalRatio: num({ min: 0, max: 1 }),
+    maxNotionalRatio: num({ min: 0, max: 1 }),
+    attackFirepowerThreshold: num({ min: 1 }),
+    effectiveEquityCapUsd: num({ min: 0 }),
+    effectiveEquitySlopeAboveCap: num(),
+    lowEquityBand: obj({
+      enabled: bool(),
+      thresholdUsd: num(),
+      minNotionalRatio: num({ min: 0 }),
+      maxNotionalRatio: num({ min: 0 }),
+    }),
+    ratioA: num(),
+    ratioB: num(),
+    minNotionalUsd: num(),
+    maxNotionalUsd: num(),
+  }),
+  compatibility: obj({
+    legacyKeysEnabled: bool(),
+  }),
+  depthGuards: obj({
+    enabled: bool(),
+    minSrNotionalUsd: num(),
+    minTpNotionalUsd: num(),
+    requireBothSides: bool(),
+  }),
+  depthRecheck: obj({
+    enabled: bool(),
+    mode: oneOf('observe_only', 'reject'),
+    windowUsd: num(),
+    minSrNotionalUsd: num(),
+    minTpNotionalUsd: num(),
+    minSlNotionalUsd: num(),
+  }),
+  entryRateMonitor: obj({
+    enabled: bool(),
+    lineAlertEnabled: bool(),
+    emailSignalEnabled: bool(),
+    minEntryRate: num(),
+    maxEntryRate: num(),
+    minEvaluated: num(),
+    alertCooldownMs: int({ min: 0 }),
+  }),
+  reconcile: obj({
+    enabled: bool(),
+    policy: oneOf('adopt', 'flatten', 'halt'),
+    intervalMs: int({ min: 0 }),
+    sizeToleranceRatio: num({ min: 0, max: 1 }),
+    adoptTpDistanceUsd: num(),
+  }),
+  portfolio: obj({
+    enabled: bool(),
+    maxGrossNotionalUsd: num({ min: 0 }),
+    perCoinMaxNotionalUsd: mapOf(num({ min: 0 })),
+    correlation: mapOf(num({ min: -1, max: 1 }), { keyPattern: /^[A-Z0-9]+\/[A-Z0-9]+$/ }),
+    defaultCorrelation: num({ min: -1, max: 1 }),
+    maxCorrelatedNotionalUsd: num({ min: 0 }),
+    onBreach: oneOf('scale', 'block'),
+  }),
+  execAlgo: obj({
+    enabled: bool(),
+    twap: obj({
+      durationMs: int({ min: 1000 }),
+      slices: int({ min: 1, max: 50 }),
+      sliceSlippageBps: num({ min: 0 }),
+    }),
+    iceberg: obj({
+      visibleNotionalUsd: num({ min: 10 }),
+      refreshMs: int({ min: 200 }),
+      deadlineMs: int({ min: 1000 }),
+    }),
+    chase: obj({
+      repriceMs: int({ min: 200 }),
+      maxDriftBps: num({ min: 0 }),
+      deadlineMs: int({ min: 1000 }),
+    }),
+    fallback: obj({
+      ioc: bool(),
+      slippageBps: num({ min: 0 }),
+    }),
+  }),
+  paperFill: obj({
+    enabled: bool(),
+    latencyMs: int({ min: 0 }),
+    latencyJitterMs: int({ min: 0 }),
+    maxSlippageBps: num({ min: 0 }),
+    makerTimeoutMs: int({ min: 0 }),
+    queueAheadRatio: num({ min: 0, max: 5 }),
+    exitBookWalk: bool(),
+  }),
+  funding: obj({
+    enabled: bool(),
+    accrual: bool(),
+    plannedHoldMs: int({ min: 0 }),
+    creditReceived: bool(),
+    entryBlock: obj({
+      enabled: bool(),
+      windowMs: int({ min: 0 }),
+      minRate: num({ min: 0 }),
+    }),
+  }),
+  scaleIn: obj({
+    enabled: bool(),
+    maxLegs: int({ min: 1, max: 10 }),
+    maxNotionalUsd: num({ min: 0 }),
+    legSizeRatio: num({ min: 0.05, max: 2 }),
+    minClusterRank: num({ min: 0, max: 1 }),
+    nearClusterUsd: num({ min: 0 }),
+    minSpacingUsd: num({ min: 0 }),
+    minIntervalMs: int({ min: 0 }),
+    minTpRoomUsd: num({ min: 0 }),
+    maxAdverseRatio: num({ min: 0, max: 1 }),
+  }),
+  patternSensor: obj({
+    enabled: bool(),
+    modelPath: str(),
+    windowMs: int({ min: 1000 }),
+    minTrades: int({ min: 1 }),
+    reloadCheckMs: int({ min: 0 }),
+    maxModelAgeMs: int({ min: 0 }),
+    minPatternSamples: int({ min: 1 }),
+    maxDistanceZ: num({ min: 0 }),
+    minConfidence: num({ min: 0, max: 1 }),
+    gate: obj({
+      enabled: bool(),
+      hostileRetBps: num({ min: 0 }),
+    }),
+    size: obj({
+      enabled: bool(),
+      favorableRetBps: num({ min: 0 }),
+      boostSlope: num({ min: 0 }),
+      maxBoost: num({ min: 1, max: 1.5 }),
+    }),
+  }),
+  liqCascade: obj({
+    enabled: bool(),
+    windowMs: int({ min: 1000 }),
+    burstUsd: num({ min: 1 }),
+    cooldownMs: int({ min: 0 }),
+    decayHalfLifeMs: int({ min: 1000 }),
+    activeMinIntensity: num({ min: 0 }),
+    maxCascadeMs: int({ min: 1000 }),
+    proxyMode: oneOf('auto', 'force', 'off'),
+    proxyScale: num({ min: 0 }),
+    gate: obj({
+      enabled: bool(),
+      minIntensity: num({ min: 0 }),
+    }),
+    stopWiden: obj({
+      enabled: bool(),
+      minIntensity: num({ min: 0 }),
+      hardRatioMul: num({ min: 1, max: 3 }),
+      maxHardRatio: num({ min: 0.1, max: 3 }),
+    }),
+    protectiveExit: obj({
+      enabled: bool(),
+      minIntensity: num({ min: 0 }),
+      minHoldMs: int({ min: 0 }),
+    }),
+  }),
+  tuningPresets: obj({
+    applyOnLoad: bool(),
+    active: str(),
+    profiles: mapOf(obj({
+      minBandDistanceUsd: num({ min: 0 }),
+      minExpectedUsd: num({ min: 0 }),
+    })),
+  }),
+  capitalStages: obj({
+    enabled: bool(),
+    bands: arr(obj({
+      name: str(),
+      upToEquityUsd: nullable(num({ min: 0 })),
+      lotMinRatio: num({ min: 0, max: 1 }),
+      lotMaxRatio: num({ min: 0, max: 1 }),
+      feeMinNetUsd: num(),
+      mapMinStrength: num(),
+      execAlgo: nullable(obj({
+        minNotionalUsd: num({ min: 0 }),
+        entry: nullable(oneOf('twap', 'iceberg', 'chase')),
+        exit: nullable(oneOf('twap', 'iceberg', 'chase')),
+      })),
+    })),
+  }),
+  lrc: obj({
+    len: num(),
+    devlen: num(),
+    k: num(),
+  }),
+  slopeThresholdsByLen: mapOf(obj({
+    flat: num({ min: 0 }),
+    normal: num({ min: 0 }),
+  }), { keyPattern: /^(\d+|default)$/ }),
+  directionalFirepower: obj({
+    enabled: bool(),
+    up: obj({
+      long: num({ min: 0, max: 2 }),
+      short: num({ min: 0, max: 2 }),
+    }),
+    down: obj({
+      long: num({ min: 0, max: 2 }),
+      short: num({ min: 0, max: 2 }),
+    }),
+    range: obj({
+      long: num({ min: 0, max: 2 }),
+      short: num({ min: 0, max: 2 }),
+    }),
+  }),
+  firepower: obj({
+    weak: num(),
+    normal: num(),
+    STRONG: num(),
+  }),
+  riskGuards: obj({
+    enabled: bool(),
+    hardSlCooldownMs: int({ min: 0 }),
+    reduceSizeAfterLoss: bool(),
+    reduceSizeFactor: num({ min: 0.1, max: 1 }),
+    reduceSizeWindowMs: int({ min: 0 }),
+    awayAutoHaltEnabled: bool(),
+    awayHardSlStreak: int({ min: 1 }),
+    awayNetWindowTrades: int({ min: 1 }),
+    awayMinTrades: int({ min: 1 }),
+    awayMinNetPerTradeUsd: num(),
+    awayApplyInTestMode: bool(),
+  }),
+  performanceGuards: obj({
+    enabled: bool(),
+    maxDrawdownPct: num({ min: 1, max: 80 }),
+    kpiWindowTrades: int({ min: 5 }),
+    minAvgNetUsd: num(),
+    minAvgWinUsd: num({ min: 0 }),
+    minWinRate: num({ min: 0.05, max: 0.95 }),
+    lockOnTrigger: bool(),
+    autoResume: bool(),
+    resumeCooldownMs: int({ min: 60000 }),
+  }),
+  lossTimeout: obj({
+    enabled: bool(),
+    eps: num(),
+    ms: num(),
+    softRatio: num({ min: 0 }),
+    softTimeoutMs: int({ min: 0 }),
+    hardRatio: num({ min: 0 }),
+    dynamicRealtime: obj({
+      enabled: bool(),
+      maxSpreadBps: num({ min: 0 }),
+      maxVelocityBps: num({ min: 0 }),
+      maxCShock: num(),
+      minTimeoutMs: int({ min: 0 }),
+      maxTimeoutMs: int({ min: 0 }),
+      rangeTimeoutMul: num({ min: 0 }),
+      trendTimeoutMul: num({ min: 0 }),
+      stressTimeoutMul: num({ min: 0 }),
+      rangeSoftMul: num({ min: 0 }),
+      trendSoftMul: num({ min: 0 }),
+      stressSoftMul: num({ min: 0 }),
+      rangeHardMul: num({ min: 0 }),
+      trendHardMul: num({ min: 0 }),
+      stressHardMul: num({ min: 0 }),
+      stressExitEnabled: bool(),
+      stressExitMinHoldMs: int({ min: 0 }),
+      stressExitMinAdverseRatio: num({ min: 0 }),
+      earlyExitMinHoldMs: int({ min: 0 }),
+      earlyExitProgressMax: num(),
+    }),
+    proportional: obj({
+      enabled: bool(),
+      msPerUsd: num(),
+      blend: num(),
+      minTimeoutMs: int({ min: 0 }),
+      maxTimeoutMs: int({ min: 0 }),
+    }),
+  }),
+  b2: obj({
+    tpStretch: num({ min: 0.5, max: 2.2 }),
+    tpStretchHoldMs: int({ min: 0 }),
+    rangeTpStretchDisabled: bool(),
+    hybridMode: obj({
+      enabled: bool(),
+    }),
+    tpSplit: obj({
+      enabled: bool(),
+      closeRatio: num({ min: 0.1, max: 0.9 }),
+      minRemainRatio: num({ min: 0.05, max: 0.95 }),
+      tp2Trail: obj({
+        enabled: bool(),
+        velocityRefBps: num({ min: 0.1 }),
+        maxBoostMul: num({ min: 1, max: 2.5 }),
+        minMul: num({ min: 0.4, max: 1.2 }),
+        spreadPenaltyRefBps: num({ min: 0.1 }),
+        spreadPenaltyMul: num({ min: 0.5, max: 1 }),
+        updateCooldownMs: int({ min: 200 }),
+        trendMul: num({ min: 0.7, max: 1.5 }),
+        rangeMul: num({ min: 0.6, max: 1.3 }),
+      }),
+    }),
+  }),
+  fees: obj({
+    makerBps: num({ min: 0 }),
+    takerBps: num({ min: 0 }),
+    tpExitMode: oneOf('taker', 'maker', 'auto'),
+  }),
+  feeEdgeGuard: obj({
+    enabled: bool(),
+    minNetUsd: num(),
+    minNetPer100Notional: num(),
+    exitMode: oneOf('maker', 'taker'),
+    strictMinNetFloor: bool(),
+    autoSizeBoost: bool(),
+    maxSizeBoostMul: num({ min: 0 }),
+    expectancyRealizationFactor: num(),
+    dynamic: obj({
+      enabled: bool(),
+      tzOffsetMin: num(),
+      sessionMul: obj({
+        asia: num({ min: 0.5, max: 2 }),
+        eu: num({ min: 0.5, max: 2 }),
+        us: num({ min: 0.5, max: 2 }),
+      }),
+      stress: obj({
+        spreadBpsRef: num(),
+        velocityBpsRef: num(),
+        maxMul: num({ min: 0 }),
+      }),
+    }),
+  }),
+  metaGate: obj({
+    enabled: bool(),
+    maxSpreadBps: num({ min: 0.1 }),
+    maxSpreadJumpBps: num({ min: 0.05 }),
+    maxPriceVelocityBps: num({ min: 0.1 }),
+    maxCShock: num({ min: 0.05, max: 2 }),
+    toxicityThreshold: num({ min: 0.2, max: 3 }),
+    holdMs: int({ min: 0 }),
+  }),
+  startup: obj({
+    fastStart: obj({
+      enabled: bool(),
+      maxElapsedMs: int({ min: 0 }),
+      requireDepthReady: bool(),
+      requireLrcTvReady: bool(),
+    }),
+    restartAssist: obj({
+      enabled: bool(),
+      hotRestartMaxGapMs: int({ min: 0 }),
+      warmRestartMaxGapMs: int({ min: 0 }),
+      hotSizeScalar: num(),
+      warmSizeScalar: num(),
+      coldSizeScalar: num(),
+    }),
+  }),
+  startupGuard: obj({
+    enabled: bool(),
+    noOrderMs: int({ min: 0 }),
+    windowMs: int({ min: 0 }),
+    sizeScalar: num(),
+    minMapStrengthAdd: num(),
+    minPathDepthAdd: num(),
+    freezeAutoTuneApplyMs: int({ min: 0 }),
+    applyInTestMode: bool(),
+    liveBlockUntilAStable: bool(),
+  }),
+  b2Upgrade: obj({
+    executionModel: obj({
+      enabled: bool(),
+      useDistanceEntry: bool(),
+      distanceGuardMode: oneOf('enforce', 'shadow', 'off'),
+      minEntryQuality: num(),
+      minMapStrength: num(),
+      edgeFallback: obj({
+        enabled: bool(),
+        minMapStrength: num(),
+        minPathDepth: num(),
+      }),
+      rangeMode: oneOf('c_bias', 'distance', 'skip'),
+      requireStructuralPath: bool(),
+      srReferenceGuard: obj({
+        enabled: bool(),
+        windowUsd: num(),
+        minRank: num(),
+        minScore: num(),
+        minNotionalUsd: num(),
+        requireBothSides: bool(),
+        allowEdgeLike: bool(),
+        allowUnknownStrength: bool(),
+        enforceWhenClustersPresent: bool(),
+      }),
+      entryFlowGate: obj({
+        enabled: bool(),
+        mode: FLOW_GATE_MODE,
+        divergenceGuardEnabled: bool(),
+        hostileThresholdLong: num(),
+        hostileThresholdShort: num(),
+        windowMs: int({ min: 0 }),
+        minTrades: int({ min: 0 }),
+      }),
+    }),
+    arenaGuard: obj({
+      enabled: bool(),
+      paddingRatio: num({ min: 0 }),
+    }),
+    edgeControl: obj({
+      baseRatio: num({ min: 0 }),
+      minThresholdUsd: num(),
+      maxThresholdUsd: num(),
+    }),
+    execution: obj({
+      maxSpreadBps: num({ min: 0 }),
+      maxVelocityBps: num({ min: 0 }),
+      maxCShock: num(),
+      makerMaxSpreadBps: num({ min: 0 }),
+      makerMaxVelocityBps: num({ min: 0 }),
+    }),
+    adaptiveSize: obj({
+      enabled: bool(),
+      minScalar: num(),
+      maxScalar: num(),
+    }),
+    structureQuality: obj({
+      enabled: bool(),
+      minScalar: num(),
+      maxScalar: num(),
+      fallbackQuality: num(),
+    }),
+    ladderAttack: obj({
+      enabled: bool(),
+      requireSrNext: bool(),
+      minTp2DistanceRatio: num({ min: 0 }),
+      distanceSlope: num(),
+      boostMax: num(),
+    }),
+    higherTfControl: obj({
+      enabled: bool(),
+      applyOnRegimeOnly: bool(),
+      minReadyFrames: num(),
+      blockOnConflict: bool(),
+      blockThreshold: num(),
+      sizeBoostMax: num(),
+      sizePenaltyMin: num(),
+      tpBoostMax: num(),
+      tpPenaltyMin: num(),
+      weight15m: num(),
+      weight1h: num(),
+    }),
+    angleDirectionBoost: obj({
+      enabled: bool(),
+      bAlignedBoost: num(),
+      aAlignedExtraBoost: num(),
+      angle15mMagnitudeEnabled: bool(),
+      angle15mRefNormalizedSlope: num(),
+      angle15mMaxBoost: num(),
+    }),
+    abTrendBoost: obj({
+      enabled: bool(),
+      bothAlignedBoost: num(),
+    }),
+    aCenterControl: obj({
+      enabled: bool(),
+      centerBand: num(),
+      centerMul: num({ min: 0 }),
+    }),
+    clusterWallBoost: obj({
+      enabled: bool(),
+      maxBoost: num(),
+      clusterWeight: num(),
+      wallWeight: num(),
+      mapStrengthWeight: num(),
+      pathDepthWeight: num(),
+      clusterCountWeight: num(),
+      maxClusters: num(),
+      maxPathDepth: num(),
+      nearWindowUsd: num(),
+      minWallUsd: num(),
+      wallSaturationUsd: num(),
+    }),
+    srClusterBridge: obj({
+      enabled: bool(),
+      maxClusters: num(),
+      mergeGapUsd: num(),
+      minDistanceUsd: num(),
+      minClusterCount: num(),
+      cacheTtlMs: int({ min: 0 }),
+      invalidateMidDriftUsd: num(),
+      promotion: obj({
+        enabled: bool(),
+        linkBandRatio: num({ min: 0 }),
+        linkBandMaxUsd: num(),
+        minBounceAbsUsd: num(),
+        minBounceRatio: num({ min: 0 }),
+        nearNoiseUsd: num(),
+        minTouches: num(),
+      }),
+    }),
+    containmentGate: obj({
+      enabled: bool(),
+      minInclusionRatio: num({ min: 0 }),
+      requireReady: bool(),
+    }),
+  }),
+  lrcWsOrbit: obj({
+    enabled: bool(),
+    zoneBoostMax: num(),
+    zonePenaltyMax: num(),
+    edgeRatioBoostMax: num(),
+    edgeRatioPenaltyMax: num(),
+    tpStretchBoostMax: num(),
+    tpStretchPenaltyMax: num(),
+    microSpreadBpsRef: num(),
+    microVelocityBpsRef: num(),
+    microShockRef: num(),
+  }),
+  rangeFilter: obj({
+    lookbackMin: num(),
+    minRangeUsd: num(),
+  }),
+  bar1h: obj({
+    lookbackBars: int({ min: 0 }),
+    adaptive: obj({
+      enabled: bool(),
+      startLookbackBars: int({ min: 0 }),
+      expandedLookbackBars: int({ min: 0 }),
+      expandStepBars: int({ min: 0 }),
+      lowSpanUsd: num(),
+      highSpanUsd: num(),
+      minFinalSpanUsd: num(),
+      switchCooldownMs: int({ min: 0 }),
+      weakOrderMsAfterSwitch: num(),
+    }),
+  }),
+  b1: obj({
+    snapshotRefreshSec: num(),
+    maxSrCandidates: num(),
+    dailyArenaBufferUsd: num(),
+    strictB1Flow: bool(),
+    minOverlapRatio: num({ min: 0 }),
+    structureRecognition: obj({
+      minDepthSpanUsd: num(),
+      minDepthSpanRatioOfB15m: num(),
+      minDepthSpanCapUsd: num(),
+    }),
+    higherTfValidation: obj({
+      enabled: bool(),
+      minSpanRatioOf1h: num(),
+      minSpanUsd: num(),
+      clampToBarRange: bool(),
+      prefer: oneOf('intersection', 'bar1h', 'depth'),
+    }),
+    enabled: bool(),
+    minBarsRequired: num(),
+    rebuild: obj({
+      railsBreakBufferUsd: num(),
+      spanChangeRatioThreshold: num(),
+    }),
+    block: obj({
+      enabled: bool(),
+      requireInsideA: bool(),
+      maxUpperGapPct: num({ min: 0 }),
+      maxLowerGapPct: num({ min: 0 }),
+      maxCenterOutsidePct: num({ min: 0 }),
+    }),
+  }),
+  b0: obj({
+    enabled: bool(),
+    mergeDistanceUsd: num(),
+    maxLevelsPerSide: num(),
+    maxClustersPerSide: num(),
+    dailyArenaBufferUsd: num(),
+  }),
+  sr: obj({
+    enabled: bool(),
+    pivot: obj({
+      leftBars: int({ min: 0 }),
+      rightBars: int({ min: 0 }),
+      lookbackBars: int({ min: 0 }),
+    }),
+    filter: obj({
+      enabled: bool(),
+      nearRatio: num({ min: 0 }),
+      maxLevels: int({ min: 0 }),
+      pairOuterPriority: bool(),
+    }),
+  }),
+  viewpoint: obj({
+    minStepUsd: num(),
+    arenaStepRatio: num({ min: 0 }),
+    tpNormalMaxT: num(),
+    bar15mRangeWeight: num(),
+    nearRetryFactor: num(),
+    nearRetryMinUsd: num(),
+  }),
+  feedHealthThresholds: obj({
+    NETWORK: obj({
+      warnMs: int({ min: 0 }),
+      ngMs: int({ min: 0 }),
+    }),
+    WS: obj({
+      warnMs: int({ min: 0 }),
+      ngMs: int({ min: 0 }),
+    }),
+    IO: obj({
+      warnMs: int({ min: 0 }),
+      ngMs: int({ min: 0 }),
+    }),
+    decision_a: obj({
+      warnMs: int({ min: 0 }),
+      ngMs: int({ min: 0 }),
+    }),
+    decision_b: obj({
+      warnMs: int({ min: 0 }),
+      ngMs: int({ min: 0 }),
+    }),
+    engine: obj({
+      warnMs: int({ min: 0 }),
+      ngMs: int({ min: 0 }),
+    }),
+    update: obj({
+      warnMs: int({ min: 0 }),
+      ngMs: int({ min: 0 }),
+    }),
+  }),
+  maxNotionalUsd: num({ min: 0 }),
+  minNotionalUsd: num({ min: 0 }),
+  riskRatio: num({ min: 0, max: 1 }),
+  lrcA: obj({
+    len: num(),
+    devlen: num(),
+    k: num(),
+  }),
+  lrcD: obj({
+    len: num(),
+    devlen: num(),
+    k: num(),
+  }),
+  minExpectedUsd: required(num({ min: 0 })),
+  minBandDistanceUsd: required(num({ min: 0 })),
+  timeoutAlert: obj({
+    enabled: bool(),
+    consecutiveThreshold: num(),
+    cooldownMs: int({ min: 0 }),
+  }),
+  depthAwareExit: obj({
+    enabled: bool(),
+    shield: obj({
+      enabled: bool(),
+      entryBandUsd: num(),
+      compareBandUsd: num(),
+      minHoldMs: int({ min: 0 }),
+      minBaselineUsd: num(),
+      collapseRatio: num({ min: 0 }),
+      minConsecutiveTicks: num(),
+    }),
+    wallAhead: obj({
+      enabled: bool(),
+      fromProgress: num(),
+      maxProgress: num(),
+      lookaheadRatioMin: num(),
+      lookaheadRatioMax: num(),
+      minWallUsd: num(),
+      minProfitUsd: num(),
+      nearLevels: int({ min: 0 }),
+      minWallVsNearRatio: num({ min: 0 }),
+      minConsecutiveTicks: num(),
+    }),
+    flowImbalance: obj({
+      enabled: bool(),
+      topLevels: int({ min: 0 }),
+      adverseRatioThresholdLong: num(),
+      adverseRatioThresholdShort: num(),
+      useTradeFlow: bool(),
+      tradeFlowWindowMs: int({ min: 0 }),
+      tradeFlowMinTrades: int({ min: 0 }),
+      fallbackToBook: bool(),
+      minHoldMs: int({ min: 0 }),
+      minProgress: num(),
+      minProfitUsd: num(),
+      maxSpreadBps: num({ min: 0 }),
+      minConsecutiveTicks: num(),
+    }),
+  }),
+  flowAdaptiveExit: obj({
+    enabled: bool(),
+    earlyTakeProfit: obj({
+      enabled: bool(),
+      windowMs: int({ min: 0 }),
+      minTrades: int({ min: 0 }),
+      minHoldMs: int({ min: 0 }),
+      minProgress: num(),
+      accelMinProgress: num(),
+      minProfitUsd: num(),
+      hostileRatioLong: num(),
+      hostileRatioShort: num(),
+      accelDecayThreshold: num(),
+      accelAdverseRatioMin: num(),
+      minConsecutiveTicks: num(),
+    }),
+    entryQualityRouting: obj({
+      enabled: bool(),
+      highThreshold: num(),
+      lowThreshold: num(),
+      highSoftMul: num({ min: 0 }),
+      highHardMul: num({ min: 0 }),
+      highTimeoutMul: num({ min: 0 }),
+      lowSoftMul: num({ min: 0 }),
+      lowHardMul: num({ min: 0 }),
+      lowTimeoutMul: num({ min: 0 }),
+    }),
+    burstExit: obj({
+      enabled: bool(),
+      minHoldMs: int({ min: 0 }),
+      minRateRatio: num({ min: 0 }),
+      minAdverseFlowPressure: num(),
+      minTrades5s: num(),
+      minTrades60s: num(),
+      minTicks: num(),
+      maxLossUsd: num(),
+    }),
+    environmentDrift: obj({
+      enabled: bool(),
+      minHoldMs: int({ min: 0 }),
+      regimeWeight: num(),
+      mapWeight: num(),
+      flowWeight: num(),
+      mapDropRatio: num({ min: 0 }),
+      flowWindowMs: int({ min: 0 }),
+      flowMinTrades: int({ min: 0 }),
+      flowHostilePressure: num(),
+      tightenScore: num(),
+      exitScore: num(),
+      tightenTimeoutMul: num({ min: 0 }),
+      tightenSoftMul: num({ min: 0 }),
+      tightenHardMul: num({ min: 0 }),
+      minConsecutiveTicks: num(),
+      maxLossUsd: num(),
+    }),
+    lossTightening: obj({
+      enabled: bool(),
+      windowMs: int({ min: 0 }),
+      minTrades: int({ min: 0 }),
+      minHoldMs: int({ min: 0 }),
+      hostileRatioLong: num(),
+      hostileRatioShort: num(),
+      hostileLargeTrades: int({ min: 0 }),
+      softRatioMul: num({ min: 0 }),
+      hardRatioMul: num({ min: 0 }),
+    }),
+    holdingPressure: obj({
+      enabled: bool(),
+      fundingHostileLong: num(),
+      fundingHostileShort: num(),
+      premiumHostileLong: num(),
+      premiumHostileShort: num(),
+      timeoutMul: num({ min: 0 }),
+      softRatioMul: num({ min: 0 }),
+      hardRatioMul: num({ min: 0 }),
+    }),
+  }),
+  tradeFlow: obj({
+    enabled: bool(),
+    windowsMs: arr(int({ min: 1 }), { minLength: 1 }),
+    defaultWindowMs: int({ min: 0 }),
+    minTradesForSignal: num(),
+    largeTradeFactor: num(),
+    maxBufferSize: num(),
+    cleanupIntervalMs: int({ min: 0 }),
+  }),
+  entryFlowGate: obj({
+    enabled: bool(),
+    mode: FLOW_GATE_MODE,
+    windowMs: int({ min: 0 }),
+    minTrades: int({ min: 0 }),
+    hostileThresholdLong: num(),
+    hostileThresholdShort: num(),
+    alignedThresholdLong: num(),
+    alignedThresholdShort: num(),
+    preferWindow: bool(),
+    divergenceGuardEnabled: bool(),
+    divergenceMinTrades5s: num(),
+    divergenceMinTrades60s: num(),
+    divergenceShortStrength: num(),
+  }),
+  oiPriceTrapGate: obj({
+    enabled: bool(),
+    minTrades: int({ min: 0 }),
+    minPriceDeltaBps: num({ min: 0 }),
+    minOiDeltaRatio: num({ min: 0 }),
+    minAdverseFlowPressure: num(),
+  }),
+  ctxMicroGate: obj({
+    enabled: bool(),
+    hostileFundingLong: num(),
+    hostileFundingShort: num(),
+    hostilePremiumLong: num(),
+    hostilePremiumShort: num(),
+    maxImpactSpreadBps: num({ min: 0 }),
+  }),
+  wsAdaptive: obj({
+    tpCap: obj({
+      enabled: bool(),
+      baseSpanRatio: num({ min: 0 }),
+      lowSpanThresholdUsd: num(),
+      lowSpanRatio: num({ min: 0 }),
+      volatilityWeight: num(),
+      volatilityRefBps: num({ min: 0 }),
+      minCapUsd: num(),
+      maxCapUsd: num(),
+      selfCalibrate: obj({
+        enabled: bool(),
+        logFilePath: str(),
+        sampleSize: num(),
+        minSampleSize: num(),
+        maxScanLines: num(),
+        cacheTtlMs: int({ min: 0 }),
+        baseOffset: num(),
+        slope: num(),
+        minMultiplier: num({ min: 0 }),
+        maxMultiplier: num({ min: 0 }),
+      }),
+    }),
+    sizeScalars: obj({
+      flow: obj({
+        enabled: bool(),
+        windowMs: int({ min: 0 }),
+        minTrades: int({ min: 0 }),
+        minScalar: num(),
+        maxBoost: num(),
+        boostSlope: num(),
+        penaltySlope: num(),
+        divergenceGuardEnabled: bool(),
+        divergenceMinTrades5s: num(),
+        divergenceMinTrades60s: num(),
+        divergenceShortStrength: num(),
+        divergencePenaltyMul: num({ min: 0 }),
+      }),
+      impact: obj({
+        enabled: bool(),
+        goodSpreadBps: num({ min: 0 }),
+        badSpreadBps: num({ min: 0 }),
+        minScalar: num(),
+        maxBoost: num(),
+      }),
+      acceleration: obj({
+        enabled: bool(),
+        windowMs: int({ min: 0 }),
+        minTrades: int({ min: 0 }),
+        minScalar: num(),
+        maxBoost: num(),
+        boostSlope: num(),
+        penaltySlope: num(),
+      }),
+      ctx: obj({
+        enabled: bool(),
+        minScalar: num(),
+        maxBoost: num(),
+        hostileFundingLong: num(),
+        hostileFundingShort: num(),
+        hostilePremiumLong: num(),
+        hostilePremiumShort: num(),
+        favorableFunding: num(),
+        favorablePremium: num(),
+        hostilePenaltySlope: num(),
+        favorableBoostSlope: num(),
+      }),
+    }),
+  }),
+  topDownModel: obj({
+    enabled: bool(),
+    activeProfile: str(),
+    aBars: int({ min: 0 }),
+    bBars: int({ min: 0 }),
+    profiles: mapOf(obj({
+      aBars: int({ min: 1 }),
+      bBars: int({ min: 1 }),
+    })),
+  }),
+  structuralDistance: obj({
+    enabled: bool(),
+    minStructuralDistanceUsd: num(),
+    minStructuralDistanceRatio: num({ min: 0 }),
+    preferChannelSpan: bool(),
+    fallbackMode: str(),
+    trustConditions: obj({
+      allowEdgeEdge: bool(),
+      minEdgeTouch: num(),
+      maxOneSideStayPct: num({ min: 0 }),
+      maxBandWidthChangePct: num({ min: 0 }),
+    }),
+  }),
+  srDistanceGuard: obj({
+    enabled: bool(),
+    minSRDistanceUsd: num({ min: 0 }),
+    maxSRDistanceUsd: num({ min: 0 }),
+  }),
+  phaseMarkers: mapOf(obj({
+    ts: num({ min: 0 }),
+    sysTime: str(),
+    note: str(),
+  })),
+  srAggregate: obj({
+    enabled: bool(),
+    windowMin: num(),
+    refreshSec: num(),
+    targetBands: num(),
+    mergeUsd: num(),
+    mergeUsdMin: num(),
+    mergeUsdMax: num(),
+    minBandWidthUsd: num(),
+    minStructureWidthUsd: num(),
+    maxBands: num(),
+    repPoint: oneOf('max_thickness', 'weighted_avg'),
+    kScale: num(),
+  }),
+  lrcTpFallback: obj({
+    enabled: bool(),
+  }),
+  autoTuner: obj({
+    capitalUsd: num(),
+    allowFeeEdgeGuardEnable: bool(),
+    fullAuto: obj({
+      enabled: bool(),
+    }),
+    lastTradeSource: str(),
+    lastWindowTrades: int({ min: 0 }),
+    lastWindowAvgPnlUsd: num(),
+    hybridAuto: obj({
+      minHoldMs: int({ min: 0 }),
+      enabled: bool(),
+      lastSwitchTs: num(),
+    }),
+    lotTuning: obj({
+      enabled: bool(),
+    }),
+    sessionTuning: obj({
+      enabled: bool(),
+      tzOffsetMin: num(),
+      lastDominantSession: str(),
+      lastEvaluatedAt: num(),
+    }),
+  }, { open: true }),
+  entryPolicy: obj({
+    enforceStructuralTpSource: bool(),
+    enforceMinStructuralTpDistance: bool(),
+  }),
+});
+
+/**
+ * trade.json（JSON.parse 済み）をスキーマで検査する
+ * @param {any} raw
+ * @returns {{ ok: boolean, errors: Array<{ path: string, message: string, value: any }>, warnings: Array<{ path: string, message: string, value: any }> }}
+ */
+export function validateTradeConfig(raw) {
+  const out = { errors: [], warnings: [] };
+  check(TRADE_CONFIG_SCHEMA, raw, '', out);
+  return { ok: out.errors.length === 0, errors: out.errors, warnings: out.warnings };
+}
+
+/**
+ * 検査結果を 1 行ずつの文字列に（ログ・通知用）
+ * @param {Array<{ path: string, message: string }>} issues
+ * @param {number} [limit]
+ * @returns {string}
+ */
+export function formatTradeConfigIssues(issues, limit = 20) {
+  const list = Array.isArray(issues) ? issues : [];
+  const lines = list.slice(0, limit).map((i) => `${i.path}: ${i.message}`);
+  if (list.length > limit) lines.push(`... and ${list.length - limit} more`);
+  return lines.join('\n');
+}
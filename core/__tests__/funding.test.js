@@ -0,0 +1,115 @@
+import {
+  FUNDING_INTERVAL_MS,
+  accruePositionFunding,
+  countFundingEvents,
+  expectedFundingCostRate,
+  fundingPaymentUsd,
+  fundingShareUsd,
+  isPayingSide,
+  nextFundingTs
+} from '../funding.js';
+
+const HOUR = FUNDING_INTERVAL_MS;
+const T0 = Date.UTC(2026, 0, 1, 0, 0, 0);
+
+describe('funding event counting', () => {
+  test('counts hours crossed in (from, to]', () => {
+    expect(countFundingEvents(T0 + 10, T0 + HOUR - 1)).toBe(0);
+    expect(countFundingEvents(T0 + 10, T0 + HOUR)).toBe(1);
+    expect(countFundingEvents(T0 + HOUR, T0 + HOUR + 5)).toBe(0);
+    expect(countFundingEvents(T0 + 10, T0 + 3 * HOUR + 10)).toBe(3);
+  });
+
+  test('returns 0 for empty or invalid ranges', () => {
+    expect(countFundingEvents(T0 + HOUR, T0)).toBe(0);
+    expect(countFundingEvents(T0, T0)).toBe(0);
+    expect(countFundingEvents(null, T0)).toBe(0);
+  });
+
+  test('next funding is the following hour even on the hour', () => {
+    expect(nextFundingTs(T0)).toBe(T0 + HOUR);
+    expect(nextFundingTs(T0 + 1)).toBe(T0 + HOUR);
+  });
+});
+
+describe('funding sign', () => {
+  test('positive rate: long pays, short receives', () => {
+    expect(isPayingSide('buy', 0.0001)).toBe(true);
+    expect(isPayingSide('sell', 0.0001)).toBe(false);
+    expect(fundingPaymentUsd('buy', 2, 50000, 0.0001)).toBeCloseTo(-10);
+    expect(fundingPaymentUsd('sell', 2, 50000, 0.0001)).toBeCloseTo(10);
+  });
+
+  test('negative rate: short pays, long receives', () => {
+    expect(isPayingSide('sell', -0.0001)).toBe(true);
+    expect(isPayingSide('buy', -0.0001)).toBe(false);
+    expect(fundingPaymentUsd('buy', 2, 50000, -0.0001)).toBeCloseTo(10);
+    expect(fundingPaymentUsd('sell', 2, 50000, -0.0001)).toBeCloseTo(-10);
+  });
+
+  test('zero rate pays nothing', () => {
+    expect(isPayingSide('buy', 0)).toBe(false);
+    expect(fundingPaymentUsd('buy', 2, 50000, 0)).toBe(0);
+  });
+});
+
+describe('accruePositionFunding', () => {
+  const pos = { side: 'buy', size: 1, entryPx: 50000, entryTs: T0 + 10 };
+  const market = { funding: 0.0001, oraclePx: 40000, midPx: 41000 };
+
+  test('keeps the position when no funding hour is crossed', () => {
+    expect(accruePositionFunding(pos, market, T0 + HOUR - 1)).toBe(pos);
+  });
+
+  test('accrues every crossed hour at the oracle price', () => {
+    const next = accruePositionFunding(pos, market, T0 + 2 * HOUR + 10);
+    expect(next.fundingEvents).toBe(2);
+    expect(next.fundingAccruedUsd).toBeCloseTo(-8);
+    expect(next.fundingLastTs).toBe(T0 + 2 * HOUR + 10);
+    expect(next.fundingLastRate).toBe(0.0001);
+  });
+
+  test('counts from the last accrual, not from entry', () => {
+    const first = accruePositionFunding(pos, market, T0 + HOUR + 10);
+    const second = accruePositionFunding(first, market, T0 + HOUR + 20);
+    expect(second).toBe(first);
+    const third = accruePositionFunding(first, { ...market, funding: -0.0002 }, T0 + 2 * HOUR);
+    expect(third.fundingEvents).toBe(2);
+    expect(third.fundingAccruedUsd).toBeCloseTo(-4 + 8);
+  });
+
+  test('advances without paying when the rate is missing', () => {
+    const next = accruePositionFunding(pos, { oraclePx: 40000 }, T0 + HOUR);
+    expect(next.fundingEvents).toBe(1);
+    expect(next.fundingAccruedUsd).toBe(0);
+  });
+
+  test('does nothing when accrual is disabled', () => {
+    expect(accruePositionFunding(pos, market, T0 + 5 * HOUR, { accrual: false })).toBe(pos);
+  });
+});
+
+describe('fundingShareUsd', () => {
+  test('splits accrued funding by closed size', () => {
+    const pos = { size: 4, fundingAccruedUsd: -12 };
+    expect(fundingShareUsd(pos, 1)).toBeCloseTo(-3);
+    expect(fundingShareUsd(pos, 10)).toBeCloseTo(-12);
+    expect(fundingShareUsd(pos, undefined)).toBeCloseTo(-12);
+  });
+});
+
+describe('expectedFundingCostRate', () => {
+  test('charges the paying side per crossed hour', () => {
+    expect(expectedFundingCostRate('buy', 0.0001, T0 + 10, 2 * HOUR)).toBeCloseTo(0.0002);
+    expect(expectedFundingCostRate('sell', -0.0001, T0 + 10, HOUR)).toBeCloseTo(0.0001);
+  });
+
+  test('credits the receiving side only when asked', () => {
+    expect(expectedFundingCostRate('sell', 0.0001, T0 + 10, HOUR)).toBe(0);
+    expect(expectedFundingCostRate('sell', 0.0001, T0 + 10, HOUR, true)).toBeCloseTo(-0.0001);
+  });
+
+  test('is 0 when the hold ends before the next funding', () => {
+    expect(expectedFundingCostRate('buy', 0.0001, T0 + 10, HOUR - 20)).toBe(0);
+  });
+});
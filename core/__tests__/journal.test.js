@@ -0,0 +1,126 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { appendJournal, journalChecksum, readJournal, setJournalSeq, truncateTornTail } from '../journal.js';
+
+function writeEntry(journalPath, seq, type, data) {
+  const entry = { seq, ts: 1000 + seq, type, data };
+  entry.c = journalChecksum(entry);
+  fs.appendFileSync(journalPath, `${JSON.stringify(entry)}\n`);
+}
+
+describe('journal replay', () => {
+  let dir;
+  let journalPath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-'));
+    journalPath = path.join(dir, 'state.journal.jsonl');
+    setJournalSeq(journalPath, 0);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('replays appended entries in order', () => {
+    appendJournal(journalPath, 'position', { size: 1 }, 1001);
+    appendJournal(journalPath, 'position', { size: 2 }, 1002);
+    const res = readJournal(journalPath);
+    expect(res.entries.map(e => e.seq)).toEqual([1, 2]);
+    expect(res.lastSeq).toBe(2);
+    expect(res.tornTail).toBe(false);
+    expect(res.errors).toEqual([]);
+  });
+
+  test('ignores a torn last line', () => {
+    appendJournal(journalPath, 'position', { size: 1 }, 1001);
+    appendJournal(journalPath, 'position', { size: 2 }, 1002);
+    fs.appendFileSync(journalPath, '{"seq":3,"ts":1003,"type":"posi');
+    const res = readJournal(journalPath);
+    expect(res.tornTail).toBe(true);
+    expect(res.errors).toEqual([]);
+    expect(res.entries.map(e => e.seq)).toEqual([1, 2]);
+    expect(res.lastSeq).toBe(2);
+  });
+
+  test('torn tail, then append, then replay keeps every entry', () => {
+    appendJournal(journalPath, 'position', { size: 1 }, 1001);
+    appendJournal(journalPath, 'position', { size: 2 }, 1002);
+    fs.appendFileSync(journalPath, '{"seq":3,"ts":1003,"type":"posi');
+
+    // 起動：再生 → 書きかけを切り落とす → seq を引き継いで追記
+    const boot = readJournal(journalPath);
+    expect(boot.tornTail).toBe(true);
+    expect(truncateTornTail(journalPath)).toBeGreaterThan(0);
+    setJournalSeq(journalPath, boot.lastSeq);
+    appendJournal(journalPath, 'position', { size: 3 }, 1003);
+    appendJournal(journalPath, 'position', { size: 4 }, 1004);
+
+    const res = readJournal(journalPath);
+    expect(res.tornTail).toBe(false);
+    expect(res.errors).toEqual([]);
+    expect(res.entries.map(e => e.seq)).toEqual([1, 2, 3, 4]);
+    expect(res.entries.map(e => e.data.size)).toEqual([1, 2, 3, 4]);
+  });
+
+  test('truncateTornTail leaves a complete journal alone', () => {
+    appendJournal(journalPath, 'position', { size: 1 }, 1001);
+    const before = fs.readFileSync(journalPath, 'utf8');
+    expect(truncateTornTail(journalPath)).toBe(0);
+    expect(fs.readFileSync(journalPath, 'utf8')).toBe(before);
+    expect(truncateTornTail(path.join(dir, 'missing.jsonl'))).toBe(0);
+  });
+
+  test('truncateTornTail empties a journal holding only a fragment', () => {
+    fs.writeFileSync(journalPath, '{"seq":1,"ts":10');
+    expect(truncateTornTail(journalPath)).toBe(16);
+    expect(fs.readFileSync(journalPath, 'utf8')).toBe('');
+  });
+
+  test('reports a broken line that is newline-terminated', () => {
+    appendJournal(journalPath, 'position', { size: 1 }, 1001);
+    fs.appendFileSync(journalPath, '{"seq":2,"ts":1002,"type":"posi\n');
+    writeEntry(journalPath, 3, 'position', { size: 3 });
+    const res = readJournal(journalPath);
+    expect(res.tornTail).toBe(false);
+    expect(res.errors).toEqual([{ line: 2, reason: 'unparseable line' }]);
+    expect(res.entries.map(e => e.seq)).toEqual([1]);
+  });
+
+  test('stops replay at a seq gap', () => {
+    writeEntry(journalPath, 1, 'position', { size: 1 });
+    writeEntry(journalPath, 2, 'position', { size: 2 });
+    writeEntry(journalPath, 4, 'position', { size: 4 });
+    writeEntry(journalPath, 5, 'position', { size: 5 });
+    const res = readJournal(journalPath);
+    expect(res.errors).toEqual([{ line: 3, reason: 'seq gap 2 -> 4' }]);
+    expect(res.entries.map(e => e.seq)).toEqual([1, 2]);
+    expect(res.lastSeq).toBe(2);
+  });
+
+  test('skips entries already in the snapshot', () => {
+    for (let seq = 1; seq <= 4; seq += 1) writeEntry(journalPath, seq, 'position', { size: seq });
+    const res = readJournal(journalPath, { afterSeq: 2 });
+    expect(res.skipped).toBe(2);
+    expect(res.entries.map(e => e.seq)).toEqual([3, 4]);
+    expect(res.errors).toEqual([]);
+  });
+
+  test('reports lines lost between the snapshot and the journal', () => {
+    writeEntry(journalPath, 5, 'position', { size: 5 });
+    const res = readJournal(journalPath, { afterSeq: 2 });
+    expect(res.errors).toEqual([{ line: 1, reason: 'seq gap 2 -> 5' }]);
+    expect(res.entries).toEqual([]);
+    expect(res.lastSeq).toBe(2);
+  });
+
+  test('rejects an entry whose checksum does not match', () => {
+    writeEntry(journalPath, 1, 'position', { size: 1 });
+    const tampered = { seq: 2, ts: 1002, type: 'position', data: { size: 2 }, c: '000000000000' };
+    fs.appendFileSync(journalPath, `${JSON.stringify(tampered)}\n`);
+    const res = readJournal(journalPath);
+    expect(res.errors).toEqual([{ line: 2, reason: 'checksum mismatch' }]);
+    expect(res.entries.map(e => e.seq)).toEqual([1]);
+  });
+});
@@ -0,0 +1,230 @@
+// core/clock.js
+// 時刻サービス。io / logic / engine / runtime は Date.now() ではなく clockNow() で時刻を読む
+// - real:   実時間（既定）
+// - replay: 記録時刻で進む仮想時計（advanceTo で期限の来たタイマーを時刻順に発火）
+// - manual: テスト用のステップ時計（advance(ms) / runNext() で 1 タイマーずつ進める）
+// タイマー（engine ループ・監視の定期処理など）も clock 経由で張ると、replay / manual では実時間を待たずに発火する
+
+const REAL = {
+  Date: globalThis.Date,
+  setTimeout: globalThis.setTimeout,
+  clearTimeout: globalThis.clearTimeout,
+  setInterval: globalThis.setInterval,
+  clearInterval: globalThis.clearInterval,
+};
+
+export function createRealClock() {
+  return {
+    kind: 'real',
+    now: () => REAL.Date.now(),
+    setTimeout: (fn, ms, ...args) => REAL.setTimeout(fn, ms, ...args),
+    setInterval: (fn, ms, ...args) => REAL.setInterval(fn, ms, ...args),
+    clearTimeout: (handle) => REAL.clearTimeout(handle),
+    clearInterval: (handle) => REAL.clearInterval(handle),
+  };
+}
+
+/**
+ * replay / manual 共通の仮想タイマー
+ * 同時刻のタイマーは登録順（interval は再スケジュール順）に発火するので、同じ入力なら発火順も毎回同じ
+ */
+function createVirtualScheduler(startMs) {
+  let nowMs = Number.isFinite(Number(startMs)) ? Number(startMs) : REAL.Date.now();
+  let nextId = 1;
+  let seq = 0;
+  const timers = new Map(); // id → { id, at, seq, delayMs, intervalMs, fn, args }
+
+  // Node の Timeout と同じ呼び方（unref / ref / hasRef / refresh）ができるハンドル
+  function makeHandle(id) {
+    return {
+      id,
+      unref() { return this; },
+      ref() { return this; },
+      hasRef() { return false; },
+      refresh() {
+        const t = timers.get(id);
+        if (t) {
+          t.at = nowMs + t.delayMs;
+          t.seq = seq++;
+        }
+        return this;
+      },
+      [Symbol.toPrimitive]() { return id; },
+    };
+  }
+
+  function schedule(fn, delayMs, args, repeat) {
+    if (typeof fn !== 'function') throw new TypeError('callback must be a function');
+    const d = Math.max(repeat ? 1 : 0, Number(delayMs) || 0);
+    const id = nextId++;
+    timers.set(id, { id, at: nowMs + d, seq: seq++, delayMs: d, intervalMs: repeat ? d : null, fn, args });
+    return makeHandle(id);
+  }
+
+  function clear(handle) {
+    if (handle === null || handle === undefined) return;
+    timers.delete(typeof handle === 'object' ? handle.id : Number(handle));
+  }
+
+  function nextDue(limitMs) {
+    let best = null;
+    for (const t of timers.values()) {
+      if (t.at > limitMs) continue;
+      if (!best || t.at < best.at || (t.at === best.at && t.seq < best.seq)) best = t;
+    }
+    return best;
+  }
+
+  function fire(t) {
+    nowMs = Math.max(nowMs, t.at);
+    if (t.intervalMs !== null) {
+      t.at += t.intervalMs;
+      t.seq = seq++;
+    } else {
+      timers.delete(t.id);
+    }
+    t.fn(...t.args);
+  }
+
+  function advanceTo(ts) {
+    const target = Number(ts);
+    if (!Number.isFinite(target)) return 0;
+    let fired = 0;
+    for (;;) {
+      const t = nextDue(target);
+      if (!t) break;
+      fire(t);
+      fired += 1;
+    }
+    nowMs = Math.max(nowMs, target);
+    return fired;
+  }
+
+  function runNext() {
+    const t = nextDue(Infinity);
+    if (!t) return false;
+    fire(t);
+    return true;
+  }
+
+  return {
+    now: () => nowMs,
+    advanceTo,
+    runNext,
+    pending: () => timers.size,
+    setTimeout: (fn, ms, ...args) => schedule(fn, ms, args, false),
+    setInterval: (fn, ms, ...args) => schedule(fn, ms, args, true),
+    clearTimeout: clear,
+    clearInterval: clear,
+  };
+}
+
+/**
+ * 仮想時計を Date.now / 引数なし new Date() / グローバルタイマーにも差し込む
+ * （clock を経由しない依存ライブラリや未移行のモジュールも記録時刻で動かすため。restore で戻す）
+ */
+function withGlobalInstall(clock) {
+  let installed = false;
+  return {
+    ...clock,
+    installGlobals() {
+      if (installed) return;
+      installed = true;
+      class VirtualDate extends REAL.Date {
+        constructor(...args) {
+          if (args.length === 0) super(clock.now());
+          else super(...args);
+        }
+        static now() { return clock.now(); }
+      }
+      globalThis.Date = VirtualDate;
+      globalThis.setTimeout = clock.setTimeout;
+      globalThis.setInterval = clock.setInterval;
+      globalThis.clearTimeout = clock.clearTimeout;
+      globalThis.clearInterval = clock.clearInterval;
+    },
+    restoreGlobals() {
+      if (!installed) return;
+      installed = false;
+      Object.assign(globalThis, REAL);
+    },
+  };
+}
+
+/**
+ * 記録時刻で進む時計（時刻は戻らない）
+ * @param {{ startMs?: number }} [opts]
+ */
+export function createReplayClock(opts = {}) {
+  const s = createVirtualScheduler(opts.startMs);
+  return withGlobalInstall({
+    kind: 'replay',
+    now: s.now,
+    advanceTo: s.advanceTo,
+    pending: s.pending,
+    setTimeout: s.setTimeout,
+    setInterval: s.setInterval,
+    clearTimeout: s.clearTimeout,
+    clearInterval: s.clearInterval,
+  });
+}
+
+/**
+ * テストハーネス用のステップ時計
+ * @param {{ startMs?: number }} [opts]
+ */
+export function createManualClock(opts = {}) {
+  const s = createVirtualScheduler(opts.startMs ?? 0);
+  return withGlobalInstall({
+    kind: 'manual',
+    now: s.now,
+    advance: (ms) => s.advanceTo(s.now() + Math.max(0, Number(ms) || 0)),
+    advanceTo: s.advanceTo,
+    runNext: s.runNext,
+    pending: s.pending,
+    setTimeout: s.setTimeout,
+    setInterval: s.setInterval,
+    clearTimeout: s.clearTimeout,
+    clearInterval: s.clearInterval,
+  });
+}
+
+let activeClock = createRealClock();
+
+/**
+ * 以後の clockNow() / clock タイマーが使う時計を差し替える（起動時・テスト開始時に 1 回）
+ */
+export function setClock(clock) {
+  if (!clock || typeof clock.now !== 'function') throw new TypeError('clock.now is required');
+  activeClock = clock;
+  return activeClock;
+}
+
+export function getClock() {
+  return activeClock;
+}
+
+export function resetClock() {
+  activeClock = createRealClock();
+  return activeClock;
+}
+
+export function clockNow() {
+  return activeClock.now();
+}
+
+export function clockSetInterval(fn, ms, ...args) {
+  return activeClock.setInterval(fn, ms, ...args);
+}
+
+export function clockSetTimeout(fn, ms, ...args) {
+  return activeClock.setTimeout(fn, ms, ...args);
+}
+
+export function clockClearInterval(handle) {
+  activeClock.clearInterval(handle);
+}
+
+export function clockClearTimeout(handle) {
+  activeClock.clearTimeout(handle);
+}
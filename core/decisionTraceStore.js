@@ -0,0 +1,292 @@
+// core/decisionTraceStore.js
+// decision_trace 専用の保存先（raw-*.jsonl の市場データと分けて、日付・サイズでローテーションし索引を付ける）
+// - logs/decision_traces/trace-YYYYMMDD-NNN.jsonl（UTC 日付）に 1 行 1 trace、同名 .idx.jsonl に索引 1 行
+//   索引 = { ts, off, len, decisionId, coin, side, reasonCode, gates, regime, blocked, reason }（off/len は本体のバイト位置）
+// - 検索は索引だけ読んで絞り込み、必要な trace だけ本体から切り出す（hlb trace / scripts/ops/decision_trace.js）
+// - 書き込みは logger と同じくキュー + 非同期 append（判定ループを止めない）。あふれたら古いものから捨てる
+// - 保持: DECISION_TRACE_RETENTION_DAYS 日 かつ 合計 DECISION_TRACE_MAX_TOTAL_MB まで（ローテーション時に古い segment から削除）
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DEFAULT_TRACE_DIR = path.resolve(__dirname, '..', 'logs', 'decision_traces');
+const SEGMENT_RE = /^trace-(\d{8})-(\d{3})\.jsonl$/;
+const MB = 1024 * 1024;
+
+const STORE_ENABLED = process.env.DECISION_TRACE_STORE_ENABLED !== '0';
+const SEGMENT_MAX_BYTES = Math.max(1, Number(process.env.DECISION_TRACE_SEGMENT_MB || 64)) * MB;
+const MAX_TOTAL_BYTES = Math.max(1, Number(process.env.DECISION_TRACE_MAX_TOTAL_MB || 2048)) * MB;
+const RETENTION_DAYS = Math.max(1, Number(process.env.DECISION_TRACE_RETENTION_DAYS || 3));
+const MAX_QUEUE = Math.max(100, Number(process.env.DECISION_TRACE_MAX_QUEUE || 2000));
+const REASON_PREVIEW_CHARS = 160;
+
+let queue = [];
+let writing = false;
+let droppedTotal = 0;
+let segment = null; // { day, seq, path, idxPath, bytes }
+
+export function resolveDecisionTraceDir(env = process.env) {
+  const custom = String(env.DECISION_TRACE_DIR ?? '').trim();
+  return custom ? path.resolve(process.cwd(), custom) : DEFAULT_TRACE_DIR;
+}
+
+function utcDay(ts) {
+  const d = new Date(Number.isFinite(ts) ? ts : Date.now());
+  return d.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+function segmentPaths(dir, day, seq) {
+  const base = `trace-${day}-${String(seq).padStart(3, '0')}`;
+  return { path: path.join(dir, `${base}.jsonl`), idxPath: path.join(dir, `${base}.idx.jsonl`) };
+}
+
+/**
+ * ブロックしたゲート（複数可）
+ * safety → A → B1 構造 → B2 の blockerCategory → meta gate の順
+ */
+export function resolveTraceGates(trace) {
+  const gates = [];
+  const ctx = trace?.context ?? {};
+  const safety = String(trace?.engineState?.safety?.status ?? 'NORMAL').toUpperCase();
+  if (safety !== 'NORMAL') gates.push('safety');
+  if (ctx.aResult && (ctx.aResult.allow === false || ctx.aResult.aValid === false)) gates.push('a_gate');
+  if (ctx.bResult?.b1Block) gates.push('b1_structure');
+  const category = ctx.diagnostics?.blockerCategory ?? null;
+  if (category && category !== 'entry_allowed') gates.push(category);
+  if (ctx.metaGate && ctx.metaGate.allow === false) gates.push('meta_gate');
+  return gates;
+}
+
+/**
+ * 索引 1 行分の要約（trace = decision_trace の payload）
+ */
+export function buildTraceIndexEntry(trace, ts) {
+  const decision = trace?.decision ?? null;
+  const side = decision?.side ?? 'none';
+  const flat = !trace?.engineState?.openPosition;
+  const reason = decision?.reason ?? trace?.context?.bResult?.reason ?? null;
+  return {
+    ts,
+    decisionId: trace?.decisionId ?? null,
+    coin: trace?.coin ?? null,
+    side,
+    reasonCode: decision?.reasonCode ?? null,
+    gates: resolveTraceGates(trace),
+    regime: trace?.context?.aResult?.regime ?? trace?.context?.bResult?.phase1?.bRegime ?? null,
+    // 建玉なしで見送った tick（= エントリーがブロックされた）
+    blocked: flat && side !== 'buy' && side !== 'sell',
+    reason: typeof reason === 'string' ? reason.slice(0, REASON_PREVIEW_CHARS) : null
+  };
+}
+
+/**
+ * logic の emitDecisionTrace から呼ぶ（{ type: 'decision_trace', ts, payload }）
+ */
+export function recordDecisionTrace(record) {
+  if (!STORE_ENABLED || !record || typeof record !== 'object') return false;
+  if (queue.length >= MAX_QUEUE) {
+    queue.shift();
+    droppedTotal += 1;
+  }
+  queue.push(record);
+  setImmediate(() => flushDecisionTraces());
+  return true;
+}
+
+export function getDecisionTraceStoreStats() {
+  return { enabled: STORE_ENABLED, queueLength: queue.length, droppedTotal, segment: segment ? path.basename(segment.path) : null };
+}
+
+export function listTraceSegments(dir = resolveDecisionTraceDir()) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .map((name) => {
+      const m = SEGMENT_RE.exec(name);
+      if (!m) return null;
+      return { name, day: m[1], seq: Number(m[2]), ...segmentPaths(dir, m[1], Number(m[2])) };
+    })
+    .filter(Boolean)
+    .sort((a, b) => (a.day === b.day ? a.seq - b.seq : a.day.localeCompare(b.day)));
+}
+
+function openSegment(dir, day) {
+  const existing = listTraceSegments(dir).filter(s => s.day === day);
+  const last = existing[existing.length - 1];
+  if (last) {
+    const bytes = fs.statSync(last.path).size;
+    if (bytes < SEGMENT_MAX_BYTES) return { day, seq: last.seq, path: last.path, idxPath: last.idxPath, bytes };
+  }
+  const seq = last ? last.seq + 1 : 0;
+  return { day, seq, ...segmentPaths(dir, day, seq), bytes: 0 };
+}
+
+function enforceRetention(dir, currentPath) {
+  const segments = listTraceSegments(dir);
+  const minDay = utcDay(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  const sizes = segments.map((s) => {
+    let bytes = 0;
+    for (const p of [s.path, s.idxPath]) {
+      try { bytes += fs.statSync(p).size; } catch (_) { /* 索引なし */ }
+    }
+    return bytes;
+  });
+  let total = sizes.reduce((a, b) => a + b, 0);
+  segments.forEach((s, i) => {
+    if (s.path === currentPath) return;
+    if (s.day >= minDay && total <= MAX_TOTAL_BYTES) return;
+    fs.rmSync(s.path, { force: true });
+    fs.rmSync(s.idxPath, { force: true });
+    total -= sizes[i];
+  });
+}
+
+async function appendBatch(lines, rows) {
+  await fs.promises.appendFile(segment.path, lines.join(''), { encoding: 'utf8' });
+  await fs.promises.appendFile(segment.idxPath, rows.map(r => `${JSON.stringify(r)}\n`).join(''), { encoding: 'utf8' });
+}
+
+/**
+ * キューを書き出す（テスト・終了時にも使う）
+ */
+export async function flushDecisionTraces() {
+  if (writing || queue.length === 0) return;
+  writing = true;
+  const dir = resolveDecisionTraceDir();
+  const batch = queue;
+  queue = [];
+  let lines = [];
+  let rows = [];
+  try {
+    await fs.promises.mkdir(dir, { recursive: true });
+    for (const record of batch) {
+      let line;
+      try {
+        line = `${JSON.stringify(record)}\n`;
+      } catch (_) {
+        continue;
+      }
+      const ts = Number.isFinite(Number(record.ts)) ? Number(record.ts) : Date.now();
+      const day = utcDay(ts);
+      const len = Buffer.byteLength(line);
+      if (!segment || segment.day !== day || segment.bytes + len > SEGMENT_MAX_BYTES) {
+        if (segment && lines.length > 0) await appendBatch(lines, rows);
+        lines = [];
+        rows = [];
+        segment = segment && segment.day === day
+          ? { day, seq: segment.seq + 1, ...segmentPaths(dir, day, segment.seq + 1), bytes: 0 }
+          : openSegment(dir, day);
+        enforceRetention(dir, segment.path);
+      }
+      rows.push({ ...buildTraceIndexEntry(record.payload, ts), off: segment.bytes, len });
+      lines.push(line);
+      segment.bytes += len;
+    }
+    if (segment && lines.length > 0) await appendBatch(lines, rows);
+  } catch (err) {
+    // 位置がずれた可能性があるので次の書き込みは新しい segment から
+    console.warn('[decisionTraceStore] write failed:', err?.message || err);
+    if (segment) {
+      segment = { day: segment.day, seq: segment.seq + 1, ...segmentPaths(dir, segment.day, segment.seq + 1), bytes: 0 };
+    }
+  } finally {
+    writing = false;
+  }
+  if (queue.length > 0) setImmediate(() => flushDecisionTraces());
+}
+
+function readIndexRows(seg) {
+  if (!fs.existsSync(seg.idxPath)) return [];
+  const rows = [];
+  for (const line of fs.readFileSync(seg.idxPath, 'utf8').split('\n')) {
+    if (!line) continue;
+    try {
+      rows.push({ ...JSON.parse(line), segment: seg.name });
+    } catch (_) {
+      // 書きかけの行
+    }
+  }
+  return rows;
+}
+
+function matches(row, filter) {
+  if (Number.isFinite(filter.from) && row.ts < filter.from) return false;
+  if (Number.isFinite(filter.to) && row.ts > filter.to) return false;
+  if (filter.coin && row.coin !== filter.coin) return false;
+  if (filter.side && row.side !== filter.side) return false;
+  if (filter.reasonCode && row.reasonCode !== filter.reasonCode) return false;
+  if (filter.gate && !(row.gates ?? []).includes(filter.gate)) return false;
+  if (filter.regime && String(row.regime ?? '').toUpperCase() !== String(filter.regime).toUpperCase()) return false;
+  if (filter.blocked === true && row.blocked !== true) return false;
+  return true;
+}
+
+/**
+ * 索引を検索（時刻順）。limit 指定時は新しい方から limit 件
+ * @param {{ from?: number, to?: number, coin?: string, side?: string, reasonCode?: string, gate?: string, regime?: string, blocked?: boolean, decisionId?: string, limit?: number }} filter
+ */
+export function queryDecisionTraces(filter = {}, dir = resolveDecisionTraceDir()) {
+  const fromDay = Number.isFinite(filter.from) ? utcDay(filter.from) : null;
+  const toDay = Number.isFinite(filter.to) ? utcDay(filter.to) : null;
+  const out = [];
+  for (const seg of listTraceSegments(dir)) {
+    if (fromDay && seg.day < fromDay) continue;
+    if (toDay && seg.day > toDay) continue;
+    for (const row of readIndexRows(seg)) {
+      if (filter.decisionId && row.decisionId !== filter.decisionId) continue;
+      if (matches(row, filter)) out.push(row);
+    }
+  }
+  out.sort((a, b) => a.ts - b.ts);
+  return Number.isFinite(filter.limit) && filter.limit > 0 ? out.slice(-filter.limit) : out;
+}
+
+/**
+ * 索引行から trace 本体（{ type, ts, payload }）を読む
+ */
+export function readDecisionTrace(row, dir = resolveDecisionTraceDir()) {
+  const filePath = path.join(dir, row.segment);
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buf = Buffer.alloc(row.len);
+    fs.readSync(fd, buf, 0, row.len, row.off);
+    return JSON.parse(buf.toString('utf8'));
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function flatten(value, prefix, out) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    const keys = Object.keys(value);
+    if (keys.length === 0 && prefix) out.set(prefix, '{}');
+    for (const key of keys) flatten(value[key], prefix ? `${prefix}.${key}` : key, out);
+    return out;
+  }
+  // 配列（候補リストなど）は丸ごと 1 値として比べる
+  out.set(prefix, value === undefined ? undefined : JSON.stringify(value));
+  return out;
+}
+
+/**
+ * 2 つの trace payload の差分（葉のパス単位）
+ * @returns {Array<{ path: string, a: any, b: any }>}
+ */
+export function diffDecisionTraces(a, b) {
+  const left = flatten(a ?? {}, '', new Map());
+  const right = flatten(b ?? {}, '', new Map());
+  const keys = new Set([...left.keys(), ...right.keys()]);
+  const diffs = [];
+  for (const key of [...keys].sort()) {
+    const av = left.get(key);
+    const bv = right.get(key);
+    if (av === bv) continue;
+    diffs.push({
+      path: key,
+      a: av === undefined ? undefined : JSON.parse(av),
+      b: bv === undefined ? undefined : JSON.parse(bv)
+    });
+  }
+  return diffs;
+}
@@ -0,0 +1,98 @@
+// core/funding.js
+// 毎時 funding の計算（engine の建玉への積み上げと B2 の期待値評価で共用）
+// - funding は UTC の毎正時に支払われ、rate（activeAssetCtx.funding）は 1 時間あたり
+// - rate > 0 なら long が払い short が受け取る（rate < 0 は逆）。支払額 = size × oraclePx × |rate|
+// - 符号は建玉から見た損益（受取 = +、支払 = -）
+
+export const FUNDING_INTERVAL_MS = 60 * 60 * 1000;
+
+function toFinite(value, fallback = null) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+/**
+ * ts の次の funding 時刻（ちょうど正時なら次の正時）
+ */
+export function nextFundingTs(ts) {
+  return (Math.floor(ts / FUNDING_INTERVAL_MS) + 1) * FUNDING_INTERVAL_MS;
+}
+
+export function msToNextFunding(ts) {
+  return nextFundingTs(ts) - ts;
+}
+
+/**
+ * (fromTs, toTs] に含まれる funding 時刻の数
+ */
+export function countFundingEvents(fromTs, toTs) {
+  if (!Number.isFinite(fromTs) || !Number.isFinite(toTs) || toTs <= fromTs) return 0;
+  return Math.floor(toTs / FUNDING_INTERVAL_MS) - Math.floor(fromTs / FUNDING_INTERVAL_MS);
+}
+
+/**
+ * side が rate の下で支払い側か
+ */
+export function isPayingSide(side, rate) {
+  if (!Number.isFinite(rate) || rate === 0) return false;
+  return (side === 'buy' && rate > 0) || (side === 'sell' && rate < 0);
+}
+
+/**
+ * 1 回分の funding（建玉から見た符号つき USD）
+ */
+export function fundingPaymentUsd(side, size, px, rate) {
+  const notional = Math.abs(toFinite(size, 0)) * toFinite(px, 0);
+  const r = toFinite(rate, 0);
+  if (!(notional > 0) || r === 0) return 0;
+  return side === 'buy' ? -notional * r : notional * r;
+}
+
+/**
+ * 建玉に前回から今回までに跨いだ funding 時刻の分を積む（変化がなければ pos をそのまま返す）
+ * rate / 価格が取れない時刻は 0 として進める（後から別の rate で遡って積まない）
+ * @param {object} pos - openPosition
+ * @param {object} market - { funding, oraclePx, midPx }
+ * @param {number} nowTs
+ * @param {object} [cfg] - tradeConfig.funding
+ */
+export function accruePositionFunding(pos, market, nowTs, cfg = {}) {
+  if (!pos || cfg?.enabled === false || cfg?.accrual === false) return pos;
+  const since = toFinite(pos.fundingLastTs, toFinite(pos.entryTs, null));
+  const events = countFundingEvents(since, nowTs);
+  if (events <= 0) return pos;
+  const rate = toFinite(market?.funding, null);
+  const px = toFinite(market?.oraclePx, null) ?? toFinite(market?.midPx, null);
+  const paid = rate !== null && px !== null ? fundingPaymentUsd(pos.side, pos.size, px, rate) * events : 0;
+  return {
+    ...pos,
+    fundingAccruedUsd: toFinite(pos.fundingAccruedUsd, 0) + paid,
+    fundingEvents: toFinite(pos.fundingEvents, 0) + events,
+    fundingLastTs: nowTs,
+    fundingLastRate: rate
+  };
+}
+
+/**
+ * 決済数量ぶんの積み上げ済み funding（部分決済は数量按分し、残りは建玉側に残す）
+ */
+export function fundingShareUsd(pos, closeSize) {
+  const accrued = toFinite(pos?.fundingAccruedUsd, 0);
+  const size = toFinite(pos?.size, 0);
+  if (accrued === 0 || !(size > 0)) return 0;
+  const ratio = Math.min(1, Math.max(0, toFinite(closeSize, size) / size));
+  return accrued * ratio;
+}
+
+/**
+ * 想定保有時間に支払う funding（notional 1 USD あたり、コスト = +）
+ * 受け取り側は creditReceived のときだけマイナス（期待値に加算）、既定は 0 として扱う
+ */
+export function expectedFundingCostRate(side, rate, nowTs, holdMs, creditReceived = false) {
+  const r = toFinite(rate, null);
+  if (r === null || r === 0 || !(holdMs > 0)) return 0;
+  const events = countFundingEvents(nowTs, nowTs + holdMs);
+  if (events <= 0) return 0;
+  if (isPayingSide(side, r)) return Math.abs(r) * events;
+  return creditReceived ? -Math.abs(r) * events : 0;
+}
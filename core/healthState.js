@@ -1,5 +1,6 @@
 // core/healthState.js
-// In-memory heartbeat tracker for feed stages. No external deps.
+// In-memory heartbeat tracker for feed stages. No external deps (time comes from core/clock.js).
+import { clockNow } from './clock.js';
 
 export const STAGES = {
   NETWORK: 'NETWORK',
@@ -34,7 +35,7 @@ export function updateHealth(stage, detail = null, error = null) {
   try {
     const entry = ensureStage(stage);
     entry.seq += 1;
-    entry.lastTs = Date.now();
+    entry.lastTs = clockNow();
     entry.detail = detail ?? entry.detail;
     // 正常更新時は error をクリア
     entry.error = error ?? null;
@@ -73,7 +74,7 @@ function resolveThreshold(stage, thresholds) {
 }
 
 export function buildHealthReport(thresholds = null) {
-  const now = Date.now();
+  const now = clockNow();
   const report = [];
   for (const stage of Object.values(STAGES)) {
     const entry = ensureStage(stage);
@@ -0,0 +1,145 @@
+// core/journal.js
+// 状態変更の write-ahead journal（append-only JSONL）とスナップショットの原子的書き込み
+// - 1 行 = { seq, ts, type, data, c }（c は seq/ts/type/data の sha256 先頭 12 桁）。append ごとに fsync（JOURNAL_FSYNC=0 で省略）
+// - 復元はスナップショット（journalSeq を持つ）+ それより新しい journal 行の再生。スナップショット後に journal を空にする（compact）
+//   compact 途中で落ちても seq <= journalSeq の行は再生時に読み飛ばすので二重適用にならない
+// - 最終行の書きかけ（クラッシュ時の torn write）は無視する。途中行の破損・seq の飛びはそこで再生を止めて報告する
+//   起動時に tornTail なら truncateTornTail で切り落としてから追記する（書きかけに次の行が連結されて途中行の破損になるため）
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const lastSeqByPath = new Map();
+
+function fsyncEnabled() {
+  return process.env.JOURNAL_FSYNC !== '0';
+}
+
+export function journalChecksum(entry) {
+  const body = JSON.stringify({ seq: entry.seq, ts: entry.ts, type: entry.type, data: entry.data });
+  return crypto.createHash('sha256').update(body).digest('hex').slice(0, 12);
+}
+
+/**
+ * tmp に書いて fsync → rename（途中で落ちても旧ファイルか新ファイルのどちらかが残る）
+ */
+export function writeFileAtomic(filePath, text) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.tmp-${process.pid}`;
+  const fd = fs.openSync(tmpPath, 'w');
+  try {
+    fs.writeSync(fd, text);
+    if (fsyncEnabled()) fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * journal を読み、検査結果つきで返す
+ * @param {string} journalPath
+ * @param {{ afterSeq?: number }} [opts] - これ以下の seq は entries から除く（スナップショット済み）
+ * @returns {{ entries: object[], lastSeq: number, lines: number, skipped: number, tornTail: boolean, errors: Array<{ line: number, reason: string }> }}
+ */
+export function readJournal(journalPath, opts = {}) {
+  const afterSeq = Number.isFinite(opts.afterSeq) ? opts.afterSeq : 0;
+  const result = { entries: [], lastSeq: afterSeq, lines: 0, skipped: 0, tornTail: false, errors: [] };
+  if (!fs.existsSync(journalPath)) return result;
+  const rawLines = fs.readFileSync(journalPath, 'utf8').split('\n');
+  // 末尾の改行で空要素が 1 つできる。改行で終わっていなければ最後の行は書きかけ
+  const complete = rawLines[rawLines.length - 1] === '';
+  if (complete) rawLines.pop();
+  let prevSeq = null;
+  for (let i = 0; i < rawLines.length; i += 1) {
+    const lineNo = i + 1;
+    const isLast = i === rawLines.length - 1;
+    result.lines += 1;
+    let entry = null;
+    try {
+      entry = JSON.parse(rawLines[i]);
+    } catch (_) {
+      entry = null;
+    }
+    const valid = entry && Number.isFinite(entry.seq) && typeof entry.type === 'string' && entry.c === journalChecksum(entry);
+    if (!valid) {
+      if (isLast && !complete) {
+        result.tornTail = true;
+        break;
+      }
+      result.errors.push({ line: lineNo, reason: entry ? 'checksum mismatch' : 'unparseable line' });
+      break;
+    }
+    // 先頭行がスナップショットの続きでない = 間の行が失われている
+    const expected = prevSeq === null ? (entry.seq <= afterSeq ? entry.seq : afterSeq + 1) : prevSeq + 1;
+    if (entry.seq !== expected) {
+      result.errors.push({ line: lineNo, reason: `seq gap ${expected - 1} -> ${entry.seq}` });
+      break;
+    }
+    prevSeq = entry.seq;
+    if (entry.seq <= afterSeq) {
+      result.skipped += 1;
+      continue;
+    }
+    result.entries.push(entry);
+    result.lastSeq = entry.seq;
+  }
+  return result;
+}
+
+/**
+ * 最後の改行より後ろ（書きかけの行）を切り落とす。復元後、最初の append より前に呼ぶ
+ * @returns {number} 切り落としたバイト数
+ */
+export function truncateTornTail(journalPath) {
+  if (!fs.existsSync(journalPath)) return 0;
+  const buf = fs.readFileSync(journalPath);
+  const keep = buf.lastIndexOf(0x0a) + 1;
+  if (keep === buf.length) return 0;
+  const fd = fs.openSync(journalPath, 'r+');
+  try {
+    fs.ftruncateSync(fd, keep);
+    if (fsyncEnabled()) fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  return buf.length - keep;
+}
+
+/**
+ * 復元後に呼ぶ。以降の append はこの seq の続きから振る
+ */
+export function setJournalSeq(journalPath, seq) {
+  lastSeqByPath.set(journalPath, Number.isFinite(seq) ? seq : 0);
+}
+
+export function getJournalSeq(journalPath) {
+  return lastSeqByPath.get(journalPath) ?? 0;
+}
+
+/**
+ * 1 件追記（fsync 済みで戻る）。書けなければ throw
+ */
+export function appendJournal(journalPath, type, data, ts = Date.now()) {
+  const seq = getJournalSeq(journalPath) + 1;
+  const entry = { seq, ts, type, data: data ?? null };
+  entry.c = journalChecksum(entry);
+  fs.mkdirSync(path.dirname(journalPath), { recursive: true });
+  const fd = fs.openSync(journalPath, 'a');
+  try {
+    fs.writeSync(fd, `${JSON.stringify(entry)}\n`);
+    if (fsyncEnabled()) fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  lastSeqByPath.set(journalPath, seq);
+  return entry;
+}
+
+/**
+ * スナップショット書き込み後に呼ぶ。journal を空にする（seq は継続）
+ */
+export function compactJournal(journalPath) {
+  if (!fs.existsSync(journalPath)) return;
+  writeFileAtomic(journalPath, '');
+}
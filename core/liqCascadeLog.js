@@ -0,0 +1,55 @@
+import fs from 'fs';
+import path from 'path';
+import { clockNow } from './clock.js';
+
+// 清算 cascade のトリガー（burst / entry_block / stop_widen / protective_exit）を 1 行ずつ残す
+// 後で ws_liq_monitor と同じ地平（30s / 60s / 180s）で効き目を評価する用
+// 同じ cascade・同じ種類・同じ対象は 1 回だけ書く（毎 tick のブロックで行が膨らまないように）
+
+const MAX_SEEN_KEYS = 2000;
+const seenKeys = new Set();
+
+/**
+ * 出力先（LIQ_CASCADE_LOG_PATH で上書き、live 以外は test-logs に分ける）
+ */
+export function resolveLiqCascadeLogPath(mode = process.env.MODE, envOverride = process.env.LIQ_CASCADE_LOG_PATH) {
+  if (envOverride && typeof envOverride === 'string' && envOverride.trim().length > 0) {
+    return path.resolve(process.cwd(), envOverride.trim());
+  }
+  const isLive = mode === 'live' && process.env.TEST_MODE !== '1';
+  return path.resolve(process.cwd(), isLive ? 'logs/liq_cascade_triggers.jsonl' : 'test-logs/liq_cascade_triggers.jsonl');
+}
+
+/**
+ * @param {'burst'|'entry_block'|'stop_widen'|'protective_exit'} kind
+ * @param {Object|null} cascade io/liqCascadeDetector.js の cascade 要約
+ * @param {Object} detail 種類ごとの追加情報（coin / side / midPx / position など）
+ * @param {string|null} dedupeKey 同じ cascade 内で区別したい対象（例: 'buy'、建玉の entryTs）
+ * @returns {boolean} 書いたら true
+ */
+export function appendLiqCascadeTrigger(kind, cascade, detail = {}, dedupeKey = null) {
+  const cascadeId = cascade?.id ?? null;
+  const key = `${kind}|${cascadeId}|${dedupeKey ?? ''}`;
+  if (cascadeId && seenKeys.has(key)) return false;
+  if (cascadeId) {
+    seenKeys.add(key);
+    if (seenKeys.size > MAX_SEEN_KEYS) {
+      seenKeys.delete(seenKeys.values().next().value);
+    }
+  }
+  const record = {
+    ts: clockNow(),
+    kind,
+    cascadeId,
+    cascade: cascade ?? null,
+    ...detail
+  };
+  try {
+    const logPath = resolveLiqCascadeLogPath();
+    fs.mkdirSync(path.dirname(logPath), { recursive: true });
+    fs.appendFileSync(logPath, `${JSON.stringify(record)}\n`, { encoding: 'utf8' });
+  } catch (err) {
+    console.error('[LIQ_CASCADE] trigger log write failed', err?.message ?? err);
+  }
+  return true;
+}
@@ -0,0 +1,143 @@
+// core/metrics.js
+// Prometheus テキスト形式（0.0.4、OpenMetrics 互換の範囲）のメトリクス登録・出力。外部依存なし
+// - counter / gauge / histogram をモジュール単位で 1 つのレジストリに登録（同名の再登録は既存を返す）
+// - 状態から読むだけの値は addMetricsCollector で scrape 時に gauge へ写す
+// - 計測側の失敗で本体を止めない（observe / inc は例外を投げない）
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+export const DEFAULT_LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const registry = new Map(); // name → metric
+const collectors = [];
+
+function labelKey(labels) {
+  const keys = Object.keys(labels ?? {}).sort();
+  return JSON.stringify(keys.map(k => [k, String(labels[k])]));
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(pairs) {
+  if (pairs.length === 0) return '';
+  return `{${pairs.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  if (Number.isNaN(value)) return 'NaN';
+  return String(value);
+}
+
+function register(name, type, help, create) {
+  const existing = registry.get(name);
+  if (existing) {
+    if (existing.type !== type) throw new Error(`metric ${name} already registered as ${existing.type}`);
+    return existing.api;
+  }
+  const series = new Map(); // labelKey → { pairs, value | buckets }
+  const metric = { name, type, help, series, api: null };
+  metric.api = create(series);
+  registry.set(name, metric);
+  return metric.api;
+}
+
+function seriesFor(series, labels, init) {
+  const key = labelKey(labels);
+  let entry = series.get(key);
+  if (!entry) {
+    entry = { pairs: JSON.parse(key), ...init() };
+    series.set(key, entry);
+  }
+  return entry;
+}
+
+/**
+ * 単調増加カウンタ
+ * set は外部の累積値（ロガーの drop 数など）をそのまま写すとき用
+ */
+export function counter(name, help) {
+  return register(name, 'counter', help, (series) => ({
+    inc(labels = {}, value = 1) {
+      const n = Number(value);
+      if (!Number.isFinite(n) || n < 0) return;
+      seriesFor(series, labels, () => ({ value: 0 })).value += n;
+    },
+    set(labels = {}, value) {
+      const n = Number(value);
+      if (!Number.isFinite(n)) return;
+      seriesFor(series, labels, () => ({ value: 0 })).value = n;
+    }
+  }));
+}
+
+export function gauge(name, help) {
+  return register(name, 'gauge', help, (series) => ({
+    set(labels = {}, value) {
+      const n = value === null || value === undefined ? NaN : Number(value);
+      seriesFor(series, labels, () => ({ value: 0 })).value = n;
+    },
+    inc(labels = {}, value = 1) {
+      seriesFor(series, labels, () => ({ value: 0 })).value += Number(value) || 0;
+    },
+    // collector で毎回作り直すラベル（状態名など）の残骸を消す
+    reset() {
+      series.clear();
+    }
+  }));
+}
+
+export function histogram(name, help, buckets = DEFAULT_LATENCY_BUCKETS) {
+  const bounds = [...buckets].sort((a, b) => a - b);
+  return register(name, 'histogram', help, (series) => ({
+    observe(labels = {}, value) {
+      const n = Number(value);
+      if (!Number.isFinite(n)) return;
+      const entry = seriesFor(series, labels, () => ({ counts: bounds.map(() => 0), sum: 0, count: 0 }));
+      for (let i = 0; i < bounds.length; i += 1) {
+        if (n <= bounds[i]) entry.counts[i] += 1;
+      }
+      entry.sum += n;
+      entry.count += 1;
+    },
+    bounds
+  }));
+}
+
+/**
+ * scrape 直前に呼ばれる関数を登録（状態を gauge / counter に写す）
+ */
+export function addMetricsCollector(fn) {
+  if (typeof fn === 'function') collectors.push(fn);
+}
+
+export function renderMetrics() {
+  for (const fn of collectors) {
+    try {
+      fn();
+    } catch (err) {
+      console.error('[METRICS] collector failed:', err?.message || err);
+    }
+  }
+  const lines = [];
+  for (const metric of registry.values()) {
+    if (metric.series.size === 0) continue;
+    lines.push(`# HELP ${metric.name} ${String(metric.help).replace(/\n/g, ' ')}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+    for (const entry of metric.series.values()) {
+      if (metric.type !== 'histogram') {
+        lines.push(`${metric.name}${formatLabels(entry.pairs)} ${formatValue(entry.value)}`);
+        continue;
+      }
+      metric.api.bounds.forEach((bound, i) => {
+        lines.push(`${metric.name}_bucket${formatLabels([...entry.pairs, ['le', formatValue(bound)]])} ${entry.counts[i]}`);
+      });
+      lines.push(`${metric.name}_bucket${formatLabels([...entry.pairs, ['le', '+Inf']])} ${entry.count}`);
+      lines.push(`${metric.name}_sum${formatLabels(entry.pairs)} ${formatValue(entry.sum)}`);
+      lines.push(`${metric.name}_count${formatLabels(entry.pairs)} ${entry.count}`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
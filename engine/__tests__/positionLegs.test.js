@@ -0,0 +1,93 @@
+import {
+  addPositionLeg,
+  resolveLegTradeFields,
+  resolvePositionLegs,
+  shrinkPositionLegs,
+  summarizeLegs
+} from '../positionLegs.js';
+
+function sum(values) {
+  return values.reduce((acc, v) => acc + v, 0);
+}
+
+// engine/update.js の trade レコードと同じ式（平均建値 × 決済数量）
+function tradePnl(pos, closeSize, exitPx) {
+  const dir = pos.side === 'buy' ? 1 : -1;
+  return dir * (exitPx - pos.entryPx) * closeSize;
+}
+
+function scaledLong() {
+  const base = { side: 'buy', entryPx: 100, size: 1, entryTs: 1000, entryDecisionId: 'd1', tpPx: 110 };
+  const withSecond = addPositionLeg(base, { decisionId: 'd2', entryPx: 96, size: 2, entryTs: 2000 });
+  return addPositionLeg(withSecond, { decisionId: 'd3', entryPx: 94, size: 0.5, entryTs: 3000 });
+}
+
+describe('addPositionLeg', () => {
+  test('keeps size and entryPx as the leg total and weighted average', () => {
+    const pos = scaledLong();
+    expect(pos.legs.map(l => l.legId)).toEqual([1, 2, 3]);
+    expect(pos.size).toBeCloseTo(3.5);
+    expect(pos.entryPx).toBeCloseTo((100 + 96 * 2 + 94 * 0.5) / 3.5);
+    expect(pos.tpDistanceUsd).toBeCloseTo(110 - pos.entryPx);
+  });
+});
+
+describe('resolveLegTradeFields', () => {
+  test('leg PnL sums to the trade PnL on a full exit', () => {
+    const pos = scaledLong();
+    const exitPx = 103.25;
+    const fields = resolveLegTradeFields(pos, pos.size, exitPx, { feeUsd: 0.7, fundingUsd: -0.3 });
+    expect(fields.legCount).toBe(3);
+    expect(sum(fields.legs.map(l => l.realizedPnlUsd))).toBeCloseTo(tradePnl(pos, pos.size, exitPx), 9);
+    expect(sum(fields.legs.map(l => l.feeUsd))).toBeCloseTo(0.7, 9);
+    expect(sum(fields.legs.map(l => l.fundingUsd))).toBeCloseTo(-0.3, 9);
+    expect(sum(fields.legs.map(l => l.realizedPnlNetUsd))).toBeCloseTo(tradePnl(pos, pos.size, exitPx) - 0.7 - 0.3, 9);
+  });
+
+  test('leg PnL sums to the trade PnL on a partial short exit', () => {
+    const base = { side: 'sell', entryPx: 200, size: 2, entryTs: 1000, entryDecisionId: 's1', tpPx: 190 };
+    const pos = addPositionLeg(base, { decisionId: 's2', entryPx: 204, size: 1, entryTs: 2000 });
+    const closeSize = 1.2;
+    const exitPx = 198.5;
+    const fields = resolveLegTradeFields(pos, closeSize, exitPx);
+    expect(sum(fields.legs.map(l => l.size))).toBeCloseTo(closeSize, 9);
+    expect(sum(fields.legs.map(l => l.realizedPnlUsd))).toBeCloseTo(tradePnl(pos, closeSize, exitPx), 9);
+  });
+
+  test('a position without legs is one leg carrying the whole trade', () => {
+    const pos = { side: 'buy', entryPx: 50, size: 4, entryTs: 1000, entryDecisionId: 'solo' };
+    const fields = resolveLegTradeFields(pos, 4, 52);
+    expect(fields.legCount).toBe(1);
+    expect(fields.legs[0].decisionId).toBe('solo');
+    expect(fields.legs[0].realizedPnlUsd).toBeCloseTo(tradePnl(pos, 4, 52), 9);
+  });
+});
+
+describe('shrinkPositionLegs', () => {
+  test('shrinks every leg by the same ratio after a partial exit', () => {
+    const pos = scaledLong();
+    const legs = shrinkPositionLegs(pos, 1.4);
+    const ratio = 1.4 / 3.5;
+    expect(legs.map(l => l.size)).toEqual(pos.legs.map(l => expect.closeTo(l.size * ratio, 9)));
+    expect(legs.map(l => l.entryPx)).toEqual(pos.legs.map(l => expect.closeTo(l.entryPx, 9)));
+    const summary = summarizeLegs(legs);
+    expect(summary.size).toBeCloseTo(1.4, 9);
+    expect(summary.entryPx).toBeCloseTo(pos.entryPx, 9);
+  });
+
+  test('leg PnL still sums to the trade PnL after a partial exit', () => {
+    const pos = scaledLong();
+    const remain = { ...pos, size: 2, legs: shrinkPositionLegs(pos, 2) };
+    const exitPx = 99;
+    const fields = resolveLegTradeFields(remain, remain.size, exitPx);
+    expect(sum(fields.legs.map(l => l.realizedPnlUsd))).toBeCloseTo(tradePnl(remain, remain.size, exitPx), 9);
+  });
+
+  test('aligns legs to an entryPx changed from outside', () => {
+    const pos = { ...scaledLong(), entryPx: 97.5 };
+    const legs = resolvePositionLegs(pos);
+    const summary = summarizeLegs(legs);
+    expect(summary.size).toBeCloseTo(pos.size, 9);
+    expect(summary.entryPx).toBeCloseTo(97.5, 9);
+  });
+});
@@ -0,0 +1,405 @@
+/**
+ * engine/execution.js
+ * 実約定（executor/orderTracker の約定サマリ）で openPosition を補正する
+ *
+ * 目的:
+ * - updateEngine はエントリー時に midPx / 要求数量での約定を仮定する
+ * - Live では userFills の実数量・平均約定価格で size / entryPx を上書きする
+ * - 1 枚も約定せずに終わった（cancel / reject）エントリーはポジションごと取り消す
+ *
+ * - 取引所側の保護注文（executor/protectiveOrders.js の SL / TP trigger）が約定したら
+ *   engine の判定を待たずにポジションを減らす / 閉じる（プロセス停止中の約定も再接続後に反映）
+ * - 取引所との突き合わせ（executor/reconcile.js）で adopt / flatten になったら openPosition を差し替える
+ *
+ * - scale-in の建玉は脚（engine/positionLegs.js）ごとに decisionId で突き合わせ、合計・平均を引き直す
+ *   約定ゼロで終わった追加脚だけを外す（最初の脚だけなら従来どおりポジションごと取り消す）
+ *
+ * 制約:
+ * - TP1 部分利確後は数量を上書きしない（engine 側の減算と二重になるため）
+ * - exit 注文の約定は orderTracker 側で保持し、ここでは扱わない
+ */
+
+import crypto from 'crypto';
+import bridgeEmitter from '../core/bridgeEmitter.js';
+import { pushTrade } from './state.js';
+import { appendTradeLog } from './tradeLogger.js';
+import { mapExitReason } from './exitReason.js';
+import { updateRiskGuardState } from './performanceGuards.js';
+import { calculateAPR7d } from './update.js';
+import { clockNow } from '../core/clock.js';
+import { fundingShareUsd } from '../core/funding.js';
+import {
+  removePositionLeg,
+  resolveLegTradeFields,
+  resolvePositionLegs,
+  shrinkPositionLegs,
+  withLegTotals
+} from './positionLegs.js';
+
+const SIZE_EPS = 1e-9;
+const SEVEN_DAYS_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * 保護注文とポジションを結びつけるキー（entryDecisionId が無い旧ポジションは side+entryTs）
+ * @param {Object} pos
+ * @returns {string|null}
+ */
+function resolvePositionKey(pos) {
+  if (!pos) return null;
+  if (typeof pos.entryDecisionId === 'string' && pos.entryDecisionId) return pos.entryDecisionId;
+  return Number.isFinite(Number(pos.entryTs)) ? `${pos.side}-${pos.entryTs}` : null;
+}
+
+/**
+ * 保護注文の clientOrderId（PROT-<key>-<sl|tp>-<seq>）から脚を判別
+ */
+function resolveProtectLeg(clientOrderId) {
+  const m = /-(sl|tp)-\d+$/.exec(String(clientOrderId ?? ''));
+  return m ? m[1] : null;
+}
+
+/**
+ * @param {Object} state engineState
+ * @param {Object} summary orderTracker.getExecutionSummary() の戻り値
+ * @param {number} nowTs
+ * @returns {Object} 新しい engineState（対象外なら同じ参照）
+ */
+function applyExecutionUpdate(state, summary, nowTs = clockNow()) {
+  const pos = state?.openPosition ?? null;
+  if (pos && summary?.intent === 'protect') return applyProtectiveFill(state, summary, nowTs);
+  if (!pos || !summary || summary.intent !== 'entry') return state;
+  const legs = resolvePositionLegs(pos);
+  const legIndex = legs.findIndex(l => typeof l.decisionId === 'string' && l.decisionId === summary.decisionId);
+  if (legIndex < 0) return state;
+  const leg = legs[legIndex];
+
+  // decision 時点の仮定価格（初回の補正前の entryPx）に対する滑りと、シグナルからの遅延
+  const decisionPx = Number(leg.execution?.decisionPx ?? summary.decisionPx ?? leg.entryPx);
+  const updatedAt = summary.updatedAt ?? nowTs;
+  const execution = {
+    clientOrderId: summary.clientOrderId,
+    status: summary.status,
+    requestedSize: summary.requestedSize,
+    filledSize: summary.filledSize,
+    avgPx: summary.avgPx,
+    feeUsd: summary.feeUsd,
+    updatedAt,
+    decisionPx: Number.isFinite(decisionPx) ? decisionPx : null,
+    latencyMs: Number.isFinite(Number(summary.latencyMs))
+      ? Number(summary.latencyMs)
+      : (Number.isFinite(Number(leg.entryTs)) ? Math.max(0, updatedAt - Number(leg.entryTs)) : null),
+    slippageBps: Number.isFinite(decisionPx) && decisionPx > 0 && Number.isFinite(summary.avgPx)
+      ? (pos.side === 'buy' ? 1 : -1) * ((summary.avgPx - decisionPx) / decisionPx) * 10000
+      : null,
+    paper: summary.paper === true,
+  };
+
+  // 約定ゼロで確定：追加脚なら脚だけ外す
+  if (summary.terminal && !(summary.filledSize > SIZE_EPS) && legs.length > 1) {
+    const nextPos = removePositionLeg(pos, leg.decisionId);
+    const newState = { ...state, openPosition: nextPos, lastUpdate: nowTs };
+    emit('ENGINE_POSITION_UPDATE', {
+      type: 'scale_in_unfilled',
+      state: newState,
+      ts: nowTs,
+      positionBefore: pos,
+      positionAfter: nextPos,
+      reason: summary.lastError ?? summary.status,
+      execution
+    });
+    return newState;
+  }
+
+  // 約定ゼロで確定：仮ポジションを取り消す（損益・トレード履歴には載せない）
+  if (summary.terminal && !(summary.filledSize > SIZE_EPS)) {
+    const newState = {
+      ...state,
+      openPosition: null,
+      lastDecision: {
+        side: 'none',
+        size: 0,
+        reason: 'entry_unfilled',
+        decidedAt: nowTs
+      },
+      lastUpdate: nowTs
+    };
+    emit('ENGINE_POSITION_UPDATE', {
+      type: 'entry_unfilled',
+      state: newState,
+      ts: nowTs,
+      positionBefore: pos,
+      positionAfter: null,
+      reason: summary.lastError ?? summary.status,
+      execution
+    });
+    return newState;
+  }
+
+  const nextLegs = legs.map((l, i) => (i === legIndex ? { ...l, execution } : l));
+  // pos.execution は最初の脚（trade レコードの entry 執行フィールド）
+  let nextPos = { ...pos, legs: nextLegs, execution: legIndex === 0 ? execution : pos.execution };
+  if (!pos.tp1Done && summary.filledSize > SIZE_EPS && Number.isFinite(summary.avgPx)) {
+    nextLegs[legIndex] = {
+      ...nextLegs[legIndex],
+      size: summary.filledSize,
+      initialSize: summary.filledSize,
+      entryPx: summary.avgPx
+    };
+    nextPos = {
+      ...withLegTotals(nextPos, nextLegs),
+      // 仮定約定価格より不利側で約定した場合は最悪値も実約定に合わせる
+      worstPx: pos.side === 'buy'
+        ? Math.min(pos.worstPx ?? summary.avgPx, summary.avgPx)
+        : Math.max(pos.worstPx ?? summary.avgPx, summary.avgPx)
+    };
+  }
+
+  const changed = nextPos.size !== pos.size || nextPos.entryPx !== pos.entryPx;
+  const newState = { ...state, openPosition: nextPos, lastUpdate: nowTs };
+  if (changed) {
+    emit('ENGINE_POSITION_UPDATE', {
+      type: 'entry_fill_sync',
+      state: newState,
+      ts: nowTs,
+      positionBefore: pos,
+      positionAfter: nextPos,
+      reason: summary.status,
+      execution
+    });
+  }
+  return newState;
+}
+
+/**
+ * 保護注文の約定を反映（summary.filledSize は累計なので、反映済み数量との差分だけ減らす）
+ */
+function applyProtectiveFill(state, summary, nowTs) {
+  const pos = state.openPosition;
+  if (summary.decisionId !== resolvePositionKey(pos)) return state;
+  const leg = resolveProtectLeg(summary.clientOrderId);
+  const applied = Number(pos.protectionFills?.[summary.clientOrderId] ?? 0);
+  const delta = Number(summary.filledSize) - applied;
+  const exitPx = Number(summary.avgPx);
+  if (!leg || !(delta > SIZE_EPS) || !Number.isFinite(exitPx) || exitPx <= 0) return state;
+
+  const closeSize = Math.min(delta, pos.size);
+  const remainSize = pos.size - closeSize;
+  const isLong = pos.side === 'buy';
+  const entryPx = Number(pos.entryPx);
+  const pnl = isLong ? (exitPx - entryPx) * closeSize : (entryPx - exitPx) * closeSize;
+  const notional = entryPx * closeSize;
+  const pnlPct = notional > 0 ? (pnl / notional) * 100 : 0;
+  // 手数料は実約定の fee を数量按分
+  const exitFeeUsd = Number(summary.feeUsd) > 0 && summary.filledSize > 0
+    ? Number(summary.feeUsd) * (closeSize / summary.filledSize)
+    : 0;
+  const fundingUsd = fundingShareUsd(pos, closeSize);
+  const pnlNet = pnl - exitFeeUsd + fundingUsd;
+  const reason = leg === 'sl' ? 'exchange_sl' : 'exchange_tp';
+  const mapped = mapExitReason(reason, entryPx, exitPx, { holdMs: nowTs - pos.entryTs });
+  const closesAll = remainSize <= SIZE_EPS;
+
+  appendTradeLog({
+    tradeId: crypto.randomUUID(),
+    ts: nowTs,
+    entryTs: pos.entryTs,
+    exitTs: nowTs,
+    timestampEntry: pos.entryTs,
+    timestampExit: nowTs,
+    holdMs: nowTs - pos.entryTs,
+    side: isLong ? 'LONG' : 'SHORT',
+    entryPrice: entryPx,
+    exitPrice: exitPx,
+    size: closeSize,
+    notional,
+    realizedPnlUsd: pnl,
+    realizedPnlNetUsd: pnlNet,
+    feeUsd: exitFeeUsd,
+    exitFeeUsd,
+    fundingUsd,
+    exitExecMode: 'taker',
+    realizedPnlPctTrade: pnlPct,
+    result: pnl > 0 ? 'WIN' : pnl < 0 ? 'LOSS' : 'FLAT',
+    exitReason: mapped.reason,
+    exitSignal: closesAll ? reason : `${reason}_partial`,
+    exitReasonDetail: `Exchange ${leg.toUpperCase()} trigger filled (${summary.clientOrderId})`,
+    exitAt: reason,
+    ...resolveLegTradeFields(pos, closeSize, exitPx, { feeUsd: exitFeeUsd, fundingUsd }),
+    tpDistanceUsd: Number.isFinite(Number(pos.tpDistanceUsd)) ? Number(pos.tpDistanceUsd) : null,
+    tpPx: Number.isFinite(Number(pos.tpPx)) ? Number(pos.tpPx) : null,
+    maxAdverseRatio: Number.isFinite(Number(pos.maxAdverseRatio)) ? Number(pos.maxAdverseRatio) : null,
+    bLogicRevision: pos.bLogicRevision ?? null
+  });
+
+  if (!closesAll) {
+    // TP1 相当の部分決済：engine 側の TP1 と二重にならないよう tp1Done を立てる
+    const nextPos = {
+      ...pos,
+      size: remainSize,
+      legs: shrinkPositionLegs(pos, remainSize),
+      fundingAccruedUsd: (Number(pos.fundingAccruedUsd) || 0) - fundingUsd,
+      tp1Done: pos.tp1Done || leg === 'tp',
+      protectionFills: { ...(pos.protectionFills ?? {}), [summary.clientOrderId]: Number(summary.filledSize) }
+    };
+    const newState = {
+      ...state,
+      openPosition: nextPos,
+      lastDecision: { side: 'none', size: 0, reason: `${reason}_partial`, decidedAt: nowTs },
+      lastUpdate: nowTs
+    };
+    emit('ENGINE_POSITION_UPDATE', {
+      type: 'partial_exit',
+      state: newState,
+      ts: nowTs,
+      positionBefore: pos,
+      positionAfter: nextPos,
+      reason: `${reason}_partial`
+    });
+    return newState;
+  }
+
+  const trade = {
+    tradeId: crypto.randomUUID(),
+    side: pos.side,
+    size: closeSize,
+    entryPx,
+    exitPx,
+    pnl,
+    pnlNet,
+    pnlPct,
+    pnlPctNet: notional > 0 ? (pnlNet / notional) * 100 : 0,
+    feeUsd: exitFeeUsd,
+    entryFeeUsd: 0,
+    exitFeeUsd,
+    fundingUsd,
+    entryExecMode: pos.entryExecMode ?? 'taker',
+    exitExecMode: 'taker',
+    openedAt: pos.entryTs,
+    closedAt: nowTs,
+    reason,
+    tpDistanceUsd: Number.isFinite(Number(pos.tpDistanceUsd)) ? Number(pos.tpDistanceUsd) : null,
+    tpPx: Number.isFinite(Number(pos.tpPx)) ? Number(pos.tpPx) : null,
+    tp2TrailMul: null,
+    maxAdverseRatio: Number.isFinite(Number(pos.maxAdverseRatio)) ? Number(pos.maxAdverseRatio) : null,
+    bLogicRevision: pos.bLogicRevision ?? null
+  };
+  const stats = { ...state.stats };
+  if (pnl > 0) {
+    stats.winTrades += 1;
+    if (isLong) { stats.longTrades = (stats.longTrades ?? 0) + 1; stats.longWins = (stats.longWins ?? 0) + 1; }
+    else { stats.shortTrades = (stats.shortTrades ?? 0) + 1; stats.shortWins = (stats.shortWins ?? 0) + 1; }
+  } else if (pnl < 0) {
+    stats.loseTrades += 1;
+    if (isLong) stats.longTrades = (stats.longTrades ?? 0) + 1;
+    else stats.shortTrades = (stats.shortTrades ?? 0) + 1;
+  }
+  stats.totalTrades = stats.winTrades + stats.loseTrades;
+  stats.realizedPnl += Number.isFinite(pnl) ? pnl : 0;
+  stats.realizedPnlPct += Number.isFinite(pnlPct) ? pnlPct : 0;
+  stats.history7d = [...state.stats.history7d, trade].filter(t => t.closedAt > nowTs - SEVEN_DAYS_MS);
+  stats.apr7d = calculateAPR7d(stats.history7d);
+  stats.fundingUsd = (state.stats.fundingUsd ?? 0) + fundingUsd;
+
+  let newState = pushTrade(state, trade, 50);
+  newState = {
+    ...newState,
+    openPosition: null,
+    // 取引所 SL は engine の hard SL と同じ閾値なので、クールダウンも同様に扱う
+    riskGuards: updateRiskGuardState(state.riskGuards, leg === 'sl' ? 'hard_sl_ratio' : reason, pnl, nowTs),
+    stats,
+    lastDecision: { side: 'none', size: 0, reason, decidedAt: nowTs },
+    lastUpdate: nowTs
+  };
+  emit('ENGINE_PNL_UPDATE', {
+    type: 'exit',
+    trade,
+    state: newState,
+    ts: nowTs,
+    positionBefore: pos,
+    positionAfter: null,
+    realizedPnlBefore: state.stats.realizedPnl,
+    realizedPnlAfter: stats.realizedPnl,
+    decision: { side: isLong ? 'sell' : 'buy', size: closeSize, action: 'exit' },
+    reason
+  });
+  return newState;
+}
+
+/**
+ * 突き合わせ結果で openPosition を取引所側に合わせる（損益・トレード履歴には載せない）
+ * - exchangePos が null ならフラットにする
+ * - 同方向のポジションがあれば TP/SL 等のメタを残して数量・建値だけ差し替える
+ * - engine が知らない建玉は adoptTpDistanceUsd を TP 距離として新規に組み立てる
+ * @param {Object} state engineState
+ * @param {{ side: 'buy'|'sell', size: number, entryPx: number|null, markPx: number|null }|null} exchangePos
+ * @param {{ adoptTpDistanceUsd: number, reason?: string }} opts
+ * @param {number} nowTs
+ */
+function adoptExchangePosition(state, exchangePos, opts, nowTs = clockNow()) {
+  const pos = state?.openPosition ?? null;
+  const reason = opts?.reason ?? 'reconcile_adopt';
+  let nextPos = null;
+  if (exchangePos) {
+    const entryPx = Number(exchangePos.entryPx) > 0 ? Number(exchangePos.entryPx) : Number(exchangePos.markPx);
+    if (pos && pos.side === exchangePos.side) {
+      // 脚は取引所の数量・建値に合わせて縮尺・平行移動する
+      nextPos = { ...pos, size: exchangePos.size, entryPx };
+      nextPos.legs = resolvePositionLegs(nextPos);
+    } else {
+      const isLong = exchangePos.side === 'buy';
+      const tpDistanceUsd = Number(opts?.adoptTpDistanceUsd) > 0 ? Number(opts.adoptTpDistanceUsd) : 400;
+      const tpPx = isLong ? entryPx + tpDistanceUsd : entryPx - tpDistanceUsd;
+      nextPos = {
+        side: exchangePos.side,
+        size: exchangePos.size,
+        initialSize: exchangePos.size,
+        tp1Done: false,
+        tp2TrailMul: null,
+        tp2TrailLastAt: null,
+        entryPx,
+        entryTs: nowTs,
+        tpPx,
+        tpPxRail: tpPx,
+        tpPxStretch: tpPx,
+        tpStretchRatio: 1.0,
+        tpStretchHoldMs: 0,
+        tpStretchActiveAt: null,
+        tpMode: 'rail',
+        tpDistanceUsd,
+        worstPx: Number(exchangePos.markPx) > 0 ? Number(exchangePos.markPx) : entryPx,
+        hitSoftAtTs: null,
+        maxAdverseRatio: 0,
+        entryExecMode: 'taker',
+        entryDecisionId: `RECON-${nowTs}`,
+        execution: null,
+        entryReasonFixed: reason,
+        entryContext: {}
+      };
+    }
+  }
+  const newState = {
+    ...state,
+    openPosition: nextPos,
+    lastDecision: { side: 'none', size: 0, reason, decidedAt: nowTs },
+    lastUpdate: nowTs
+  };
+  emit('ENGINE_POSITION_UPDATE', {
+    type: nextPos ? 'reconcile_adopt' : 'reconcile_flat',
+    state: newState,
+    ts: nowTs,
+    positionBefore: pos,
+    positionAfter: nextPos,
+    reason
+  });
+  return newState;
+}
+
+function emit(event, payload) {
+  try {
+    bridgeEmitter.emit(event, payload);
+  } catch (err) {
+    console.error('[ENGINE] emit event failed', { event }, err);
+  }
+}
+
+export { applyExecutionUpdate, resolvePositionKey, adoptExchangePosition };
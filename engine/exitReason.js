@@ -33,6 +33,14 @@ function mapExitReason(raw, entryPx, exitPx, context = {}) {
     };
   }
 
+  if (r.includes('liq_cascade_exit')) {
+    return {
+      reason: 'FLOW',
+      signal: 'liq_cascade_exit',
+      detail: 'Liquidation cascade exit: adverse liquidation burst against position'
+    };
+  }
+
   if (r.includes('environment_drift_exit')) {
     return {
       reason: 'DRIFT',
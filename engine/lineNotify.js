@@ -5,6 +5,7 @@ import config from './config.js';
 import { getInitialCapitalUsd } from '../config/capital.js';
 import { getBaseEquityLiveUsd } from '../config/equity.js';
 import { resolveTradesPath } from '../config/tradesPath.js';
+import { clockNow } from '../core/clock.js';
 
 const { LINE_CHANNEL_ACCESS_TOKEN, LINE_USER_ID, lineNotify: lineNotifyCfg = {} } = config;
 // Priority: process.env > config > default ('0' = disabled)
@@ -53,8 +54,7 @@ const DEFAULT_NOTIFY_STATE = {
   limitReachedNotified: false,
   lastDailyMorningSentAt: null,
   lastDailyEveningSentAt: null,
-  lastWeeklySentAt: null,
-  alertCooldowns: {}
+  lastWeeklySentAt: null
 };
 
 function normalizeSide(side) {
@@ -98,7 +98,7 @@ function resolveTotalPnlUsd(totalPnlUsdFallback) {
         }
       }
       if (parseErrors > 0) {
-        const now = Date.now();
+        const now = clockNow();
         if (!lastPnlParseWarnAt || (now - lastPnlParseWarnAt) > 60 * 60 * 1000) {
           lastPnlParseWarnAt = now;
           console.warn(`[LINE_NOTIFY] trades.jsonl parse errors: ${parseErrors}`);
@@ -145,7 +145,7 @@ function formatNegativeUsdPlain(value) {
   return `-$${formatted}`;
 }
 
-function getJstDateParts(ts = Date.now()) {
+function getJstDateParts(ts = clockNow()) {
   const jst = new Date(ts + 9 * 60 * 60 * 1000);
   return {
     year: jst.getUTCFullYear(),
@@ -441,7 +441,7 @@ function calculateWinRate() {
       lossCount,
       longCount: longTotal,
       shortCount: shortTotal,
-      timestamp: new Date().toISOString()
+      timestamp: new Date(clockNow()).toISOString()
     };
     
     lastCalculated = result;
@@ -527,19 +527,18 @@ async function notifyLineWinRate(winRateData, totalPnlUsd, threshold, metrics) {
 function loadNotifiedState() {
   try {
     if (!fs.existsSync(LINE_NOTIFY_STATE_PATH)) {
-      return { ...DEFAULT_NOTIFY_STATE, lastNotifiedAt: { ...DEFAULT_NOTIFY_STATE.lastNotifiedAt }, alertCooldowns: {} };
+      return { ...DEFAULT_NOTIFY_STATE, lastNotifiedAt: { ...DEFAULT_NOTIFY_STATE.lastNotifiedAt } };
     }
     const data = fs.readFileSync(LINE_NOTIFY_STATE_PATH, 'utf-8');
     const parsed = JSON.parse(data);
     return {
       ...DEFAULT_NOTIFY_STATE,
       ...parsed,
-      lastNotifiedAt: { ...DEFAULT_NOTIFY_STATE.lastNotifiedAt, ...(parsed?.lastNotifiedAt || {}) },
-      alertCooldowns: { ...(parsed?.alertCooldowns || {}) }
+      lastNotifiedAt: { ...DEFAULT_NOTIFY_STATE.lastNotifiedAt, ...(parsed?.lastNotifiedAt || {}) }
     };
   } catch (err) {
     console.error('[LINE_NOTIFY] failed to load state:', err.message);
-    return { ...DEFAULT_NOTIFY_STATE, lastNotifiedAt: { ...DEFAULT_NOTIFY_STATE.lastNotifiedAt }, alertCooldowns: {} };
+    return { ...DEFAULT_NOTIFY_STATE, lastNotifiedAt: { ...DEFAULT_NOTIFY_STATE.lastNotifiedAt } };
   }
 }
 
@@ -558,7 +557,7 @@ function saveNotifiedState(state) {
  * 通知判定（重複防止・下抜け判定）
  */
 function shouldNotify(threshold, currentWinRate, state) {
-  const now = Date.now();
+  const now = clockNow();
   const lastNotified = state.lastNotifiedAt[threshold];
   
   // 1時間以内に通知済み → skip
@@ -583,20 +582,20 @@ function shouldNotify(threshold, currentWinRate, state) {
  * 通知状態の更新
  */
 function updateNotificationState(state, threshold, currentWinRate) {
-  ensureMonthlyState(state, Date.now());
-  state.lastNotifiedAt[threshold] = Date.now();
+  ensureMonthlyState(state, clockNow());
+  state.lastNotifiedAt[threshold] = clockNow();
   state.currentWinRate = currentWinRate;
   state.lastRecordedWinRate = currentWinRate;
-  state.lastUpdateTimestamp = new Date().toISOString();
+  state.lastUpdateTimestamp = new Date(clockNow()).toISOString();
   saveNotifiedState(state);
 }
 
-function getCurrentMonthKey(nowTs = Date.now()) {
+function getCurrentMonthKey(nowTs = clockNow()) {
   const p = getJstDateParts(nowTs);
   return `${p.year}-${String(p.month).padStart(2, '0')}`;
 }
 
-function ensureMonthlyState(state, nowTs = Date.now()) {
+function ensureMonthlyState(state, nowTs = clockNow()) {
   const monthKey = getCurrentMonthKey(nowTs);
   if (state.currentMonth !== monthKey) {
     state.currentMonth = monthKey;
@@ -605,7 +604,6 @@ function ensureMonthlyState(state, nowTs = Date.now()) {
     state.lastDailyMorningSentAt = null;
     state.lastDailyEveningSentAt = null;
     state.lastWeeklySentAt = null;
-    state.alertCooldowns = {};
   }
   return state;
 }
@@ -624,8 +622,9 @@ function canSendByMonthlyLimit(state) {
   return true;
 }
 
+// rethrow=true: 送信エラーを throw する（通知ハブの outbox が再送するため）
 async function sendLineText(text, options = {}) {
-  const { kind = 'generic', force = false, alertKey = null, cooldownMs = 30 * 60 * 1000 } = options;
+  const { kind = 'generic', force = false, rethrow = false } = options;
   if (!LINE_CHANNEL_ACCESS_TOKEN || !LINE_USER_ID) {
     console.warn('[LINE_NOTIFY] missing LINE env config');
     return false;
@@ -654,7 +653,7 @@ async function sendLineText(text, options = {}) {
   }
   // kind === 'limit_notice' は個別フラグなし（マスターのみ）
 
-  const nowTs = Date.now();
+  const nowTs = clockNow();
   const state = ensureMonthlyState(loadNotifiedState(), nowTs);
 
   if (!force) {
@@ -666,13 +665,6 @@ async function sendLineText(text, options = {}) {
     }
   }
 
-  if (kind === 'alert' && alertKey) {
-    const lastSent = Number(state.alertCooldowns?.[alertKey] || 0);
-    if (lastSent && (nowTs - lastSent) < cooldownMs) {
-      return false;
-    }
-  }
-
   const payload = {
     to: LINE_USER_ID,
     messages: [{ type: 'text', text }]
@@ -688,17 +680,14 @@ async function sendLineText(text, options = {}) {
     });
 
     state.monthlyNotificationCount = (state.monthlyNotificationCount || 0) + 1;
-    state.lastUpdateTimestamp = new Date().toISOString();
-    if (kind === 'alert' && alertKey) {
-      state.alertCooldowns = state.alertCooldowns || {};
-      state.alertCooldowns[alertKey] = nowTs;
-    }
+    state.lastUpdateTimestamp = new Date(clockNow()).toISOString();
     saveNotifiedState(state);
     console.log(`[LINE_NOTIFY] sent kind=${kind} status=${res.status}`);
     return true;
   } catch (err) {
     const detail = err?.response?.data || err?.message || String(err);
     console.warn(`[LINE_NOTIFY] failed kind=${kind} err=${detail}`);
+    if (rethrow) throw err;
     return false;
   }
 }
@@ -753,7 +742,7 @@ async function checkWinRateMilestones(totalPnlUsd) {
           return {
             pnl: record.realizedPnlUsd ?? record.pnl ?? 0,
             side: record.side === 'buy' || record.side === 'long' ? 'LONG' : 'SHORT',
-            timestamp: record.closedAt || Date.now()
+            timestamp: record.closedAt || clockNow()
           };
         } catch (err) {
           return null;
@@ -779,7 +768,7 @@ async function checkWinRateMilestones(totalPnlUsd) {
     // 通知なしでも状態更新（次回判定用）
     state.currentWinRate = currentWinRate;
     state.lastRecordedWinRate = currentWinRate;
-    state.lastUpdateTimestamp = new Date().toISOString();
+    state.lastUpdateTimestamp = new Date(clockNow()).toISOString();
     saveNotifiedState(state);
     
   } catch (err) {
@@ -896,10 +885,10 @@ function buildWeeklyReportMessage(fromTs, toTs, metrics, equityStart, equityEnd,
 }
 
 async function sendDailyReport(label, fromTs, toTs) {
-  const state = ensureMonthlyState(loadNotifiedState(), Date.now());
+  const state = ensureMonthlyState(loadNotifiedState(), clockNow());
   if (!canSendByMonthlyLimit(state)) {
     if (shouldSendLimitNotice(state)) {
-      await sendLimitReachedNotice(state, Date.now());
+      await sendLimitReachedNotice(state, clockNow());
     }
     return false;
   }
@@ -929,10 +918,10 @@ async function sendDailyReport(label, fromTs, toTs) {
 }
 
 async function sendWeeklyReport(fromTs, toTs) {
-  const state = ensureMonthlyState(loadNotifiedState(), Date.now());
+  const state = ensureMonthlyState(loadNotifiedState(), clockNow());
   if (!canSendByMonthlyLimit(state)) {
     if (shouldSendLimitNotice(state)) {
-      await sendLimitReachedNotice(state, Date.now());
+      await sendLimitReachedNotice(state, clockNow());
     }
     return false;
   }
@@ -958,40 +947,47 @@ async function sendWeeklyReport(fromTs, toTs) {
 }
 
 /**
- * LINE異常アラート送信（確定フォーマット）
+ * LINE異常アラート本文（確定フォーマット）
  * 仕様: docs/LINE_ALERT_MESSAGE_SPEC_20260204.md
- * 
- * @param {Object} options - アラートオプション
- * @param {string} options.type - アラートタイプ（大文字スネークケース）
- * @param {string} options.message - メッセージ本文（1-3行）
- * @param {string} options.action - 対応箇所（見るべき対象）
- * @returns {Promise<boolean>} 送信成功可否
+ * @param {{ signal: string, message?: string, action?: string, ts?: number }} notification - 通知ハブの通知
+ * @returns {string}
  */
-async function sendLineAlert({ type, message, action }) {
-  const jstTime = formatJstDateTime(Date.now());
-  const text = [
+function buildLineAlertText(notification) {
+  const jstTime = formatJstDateTime(notification?.ts ?? clockNow());
+  return [
     '🚨 HLBOT ALERT',
     '',
-    `TYPE    : ${type}`,
+    `TYPE    : ${notification?.signal}`,
     `TIME    : ${jstTime} JST`,
     '',
     'MESSAGE :',
-    message,
+    notification?.message ?? '',
     '',
     'ACTION  :',
-    action
+    notification?.action ?? ''
   ].join('\n');
-  
-  return sendLineText(text, { 
-    kind: 'alert', 
-    alertKey: type,
-    cooldownMs: 30 * 60 * 1000 
-  });
+}
+
+/**
+ * 異常アラート送信（通知ハブ経由。LINE 以外のチャネルにもルーティングされる）
+ * クールダウン・重複抑止・再送は notify/index.js 側
+ *
+ * @param {Object} options - アラートオプション
+ * @param {string} options.type - アラートタイプ（大文字スネークケース）
+ * @param {string} options.message - メッセージ本文（1-3行）
+ * @param {string} options.action - 対応箇所（見るべき対象）
+ * @param {'info'|'warn'|'critical'} [options.severity] - 重要度（既定 warn）
+ * @returns {Promise<boolean>} 1 チャネル以上に受け付けられたか
+ */
+async function sendLineAlert({ type, message, action, severity = 'warn' }) {
+  const { notify } = await import('../notify/index.js');
+  const res = await notify({ signal: type, severity, message, action });
+  return res.status === 'queued';
 }
 
 let lastScheduleCheckAt = 0;
 
-async function checkScheduledLineReports(nowTs = Date.now()) {
+async function checkScheduledLineReports(nowTs = clockNow()) {
   if (!LINE_NOTIFY_ENABLED || !LINE_NOTIFY_REPORTS_ENABLED) {
     return;
   }
@@ -1044,6 +1040,8 @@ export {
   calculateWinRateCached,
   checkScheduledLineReports,
   sendLineAlert,      // 新インターフェース（推奨）
+  sendLineText,
+  buildLineAlertText,
   sendDailyReport,
   sendWeeklyReport
 };
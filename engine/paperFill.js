@@ -0,0 +1,326 @@
+/**
+ * engine/paperFill.js
+ * test / dry 用の紙約定シミュレーター（trade.json paperFill）
+ *
+ * 目的:
+ * - updateEngine はエントリーを midPx / 要求数量で即約定と仮定する。Live は実約定で engine/execution.js が補正する
+ * - 紙でも同じ補正経路を使い、板と約定テープから「実際に取れたはずの」約定を返す
+ *
+ * モデル:
+ * - シグナル → 約定の遅延: latencyMs + [0, latencyJitterMs) の一様乱数。遅延明けの tick の板で約定させる
+ * - taker: 反対板をレベル順に食う（IOC）。decision 価格から maxSlippageBps を超えるレベルは食わず、残りは取消
+ * - maker（Alo）: 遅延明けの同じ側の最良気配に指値。そのレベルの表示数量 × queueAheadRatio を自分より前の列とし、
+ *   約定テープで同値の反対側成行が列を消化した後の分だけ約定。価格を越えた約定・板の交差は全量約定。makerTimeoutMs で残りは取消
+ * - 決済: exitFill で engine の決済時点の板を食う（taker のみ。板が足りない分は最後に食ったレベルの価格）
+ * - scale-in の追加脚も脚ごとに 1 注文として同じモデルで約定させる（銘柄ごとに同時 1 件、脚の順に処理）
+ *
+ * 制約:
+ * - engine 起動前からある建玉・decisionId の無い建玉は対象外（補正しない）
+ * - 約定テープは runtime が IO の event tap から onTrades に流す。反映は次の sync（engine tick）でまとめて行う
+ */
+
+import { applyExecutionUpdate } from './execution.js';
+import { resolvePositionLegs } from './positionLegs.js';
+
+const SIZE_EPS = 1e-9;
+
+function toFiniteNumber(value, fallback = null) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function sideSign(side) {
+  return side === 'buy' ? 1 : -1;
+}
+
+/**
+ * decision 価格に対する約定価格の滑り（不利方向が正、bps）
+ */
+export function slippageBps(side, refPx, fillPx) {
+  if (!(refPx > 0) || !(fillPx > 0)) return null;
+  return sideSign(side) * ((fillPx - refPx) / refPx) * 10000;
+}
+
+function bookSide(market, isBuy) {
+  const raw = isBuy ? market?.asks : market?.bids;
+  if (!Array.isArray(raw)) return [];
+  const levels = raw
+    .map(l => ({ px: toFiniteNumber(l?.px ?? l?.price ?? l?.[0]), sz: toFiniteNumber(l?.sz ?? l?.size ?? l?.[1]) }))
+    .filter(l => l.px > 0 && l.sz > 0);
+  return levels.sort((a, b) => (isBuy ? a.px - b.px : b.px - a.px));
+}
+
+/**
+ * 反対板をレベル順に食う
+ * @param {object} market - { bids, asks }
+ * @param {boolean} isBuy
+ * @param {number} size
+ * @param {number|null} [limitPx] - これより不利なレベルは食わない
+ * @returns {{ filledSize: number, avgPx: number|null, lastPx: number|null, levels: number }}
+ */
+export function walkBook(market, isBuy, size, limitPx = null) {
+  let remaining = size;
+  let notional = 0;
+  let lastPx = null;
+  let levels = 0;
+  for (const level of bookSide(market, isBuy)) {
+    if (remaining <= SIZE_EPS) break;
+    if (Number.isFinite(limitPx) && (isBuy ? level.px > limitPx : level.px < limitPx)) break;
+    const take = Math.min(remaining, level.sz);
+    notional += take * level.px;
+    remaining -= take;
+    lastPx = level.px;
+    levels += 1;
+  }
+  const filledSize = size - Math.max(0, remaining);
+  return { filledSize, avgPx: filledSize > SIZE_EPS ? notional / filledSize : null, lastPx, levels };
+}
+
+function resolveConfig(raw) {
+  const cfg = raw && typeof raw === 'object' ? raw : {};
+  return {
+    enabled: cfg.enabled !== false,
+    latencyMs: Math.max(0, toFiniteNumber(cfg.latencyMs, 300)),
+    latencyJitterMs: Math.max(0, toFiniteNumber(cfg.latencyJitterMs, 0)),
+    maxSlippageBps: Math.max(0, toFiniteNumber(cfg.maxSlippageBps, 30)),
+    makerTimeoutMs: Math.max(0, toFiniteNumber(cfg.makerTimeoutMs, 20000)),
+    queueAheadRatio: Math.max(0, toFiniteNumber(cfg.queueAheadRatio, 1)),
+    exitBookWalk: cfg.exitBookWalk !== false
+  };
+}
+
+/**
+ * @param {{
+ *   getConfig: () => object,
+ *   getFees?: () => { makerBps?: number, takerBps?: number },
+ *   startedAt?: number,
+ *   random?: () => number,
+ * }} opts
+ */
+export function createPaperFillSimulator(opts = {}) {
+  const getConfig = typeof opts.getConfig === 'function' ? opts.getConfig : () => ({});
+  const getFees = typeof opts.getFees === 'function' ? opts.getFees : () => ({});
+  const random = typeof opts.random === 'function' ? opts.random : Math.random;
+  const startedAt = toFiniteNumber(opts.startedAt, 0);
+  const orders = new Map(); // coin → 約定待ちのエントリー注文（銘柄ごとに 1 件）
+
+  function feeRate(mode) {
+    const fees = getFees() ?? {};
+    const bps = mode === 'maker' ? toFiniteNumber(fees.makerBps, 1.44) : toFiniteNumber(fees.takerBps, 4.32);
+    return Math.max(0, bps) / 10000;
+  }
+
+  function addFill(order, px, sz, ts) {
+    const take = Math.min(sz, order.size - order.filledSize);
+    if (!(take > SIZE_EPS)) return;
+    order.notional += px * take;
+    order.filledSize += take;
+    order.feeUsd += px * take * feeRate(order.mode);
+    order.lastFillTs = ts;
+    order.dirty = true;
+  }
+
+  function place(coin, side, leg, cfg) {
+    const mode = leg.entryExecMode === 'maker' ? 'maker' : 'taker';
+    const latency = cfg.latencyMs + (cfg.latencyJitterMs > 0 ? random() * cfg.latencyJitterMs : 0);
+    return {
+      coin,
+      decisionId: leg.decisionId,
+      clientOrderId: `PAPER-${leg.decisionId}`,
+      side,
+      mode,
+      size: toFiniteNumber(leg.size, 0),
+      decisionTs: leg.entryTs,
+      decisionPx: toFiniteNumber(leg.entryPx, null),
+      dueTs: leg.entryTs + latency,
+      status: 'pending',
+      px: null,
+      queueAhead: 0,
+      expiresAt: null,
+      filledSize: 0,
+      notional: 0,
+      feeUsd: 0,
+      lastFillTs: null,
+      lastError: null,
+      dirty: false
+    };
+  }
+
+  function summarize(order, status, terminal, nowTs) {
+    const avgPx = order.filledSize > SIZE_EPS ? order.notional / order.filledSize : null;
+    const filledAt = order.lastFillTs ?? nowTs;
+    return {
+      clientOrderId: order.clientOrderId,
+      decisionId: order.decisionId,
+      coin: order.coin,
+      side: order.side,
+      intent: 'entry',
+      status,
+      terminal,
+      requestedSize: order.size,
+      filledSize: order.filledSize,
+      remainingSize: Math.max(0, order.size - order.filledSize),
+      avgPx,
+      feeUsd: order.feeUsd,
+      lastError: order.lastError,
+      updatedAt: nowTs,
+      latencyMs: Math.max(0, filledAt - order.decisionTs),
+      decisionPx: order.decisionPx,
+      execMode: order.mode,
+      paper: true
+    };
+  }
+
+  // 遅延明け: taker は板を食って確定、maker は指値を置く
+  function activate(order, market, nowTs, cfg) {
+    const isBuy = order.side === 'buy';
+    if (order.mode === 'taker') {
+      const refPx = order.decisionPx ?? toFiniteNumber(market?.midPx, null);
+      const limitPx = refPx > 0 ? refPx * (1 + sideSign(order.side) * (cfg.maxSlippageBps / 10000)) : null;
+      const fill = walkBook(market, isBuy, order.size, limitPx);
+      if (fill.filledSize > SIZE_EPS) {
+        order.notional = fill.avgPx * fill.filledSize;
+        order.filledSize = fill.filledSize;
+        order.feeUsd = order.notional * feeRate('taker');
+        order.lastFillTs = nowTs;
+      } else {
+        order.lastError = bookSide(market, isBuy).length > 0 ? 'paper_slippage_limit' : 'paper_no_book';
+      }
+      const full = order.filledSize + SIZE_EPS >= order.size;
+      return summarize(order, full ? 'filled' : (order.filledSize > SIZE_EPS ? 'cancelled' : 'rejected'), true, nowTs);
+    }
+    const best = bookSide(market, !isBuy)[0] ?? null;
+    if (!best) {
+      order.lastError = 'paper_no_book';
+      return summarize(order, 'rejected', true, nowTs);
+    }
+    order.status = 'resting';
+    order.px = best.px;
+    order.queueAhead = best.sz * cfg.queueAheadRatio;
+    order.expiresAt = nowTs + cfg.makerTimeoutMs;
+    return null;
+  }
+
+  function advanceResting(order, market, nowTs) {
+    // 反対側の最良気配が指値を越えた（板が交差）= 残りは指値で約定
+    const isBuy = order.side === 'buy';
+    const opposite = bookSide(market, isBuy)[0] ?? null;
+    if (opposite && (isBuy ? opposite.px <= order.px : opposite.px >= order.px)) {
+      addFill(order, order.px, order.size - order.filledSize, nowTs);
+    }
+    if (order.filledSize + SIZE_EPS >= order.size) return summarize(order, 'filled', true, nowTs);
+    if (nowTs >= order.expiresAt) {
+      if (order.filledSize <= SIZE_EPS) order.lastError = 'paper_maker_timeout';
+      return summarize(order, 'cancelled', true, nowTs);
+    }
+    if (order.dirty) return summarize(order, 'partially_filled', false, nowTs);
+    return null;
+  }
+
+  /**
+   * 約定テープ（IO の trades パケット）で maker の列を進める
+   */
+  function onTrades(packet) {
+    const prints = Array.isArray(packet) ? packet : [packet];
+    for (const t of prints) {
+      if (t?.channel !== 'trades') continue;
+      const order = orders.get(t.coin);
+      if (!order || order.status !== 'resting') continue;
+      const px = toFiniteNumber(t.px, null);
+      let sz = toFiniteNumber(t.sz, 0);
+      // 自分の買い指値に当たるのは売り成行（売りは逆）
+      if (px === null || !(sz > 0) || t.side === order.side) continue;
+      const isBuy = order.side === 'buy';
+      const through = isBuy ? px < order.px : px > order.px;
+      if (through) {
+        addFill(order, order.px, order.size - order.filledSize, toFiniteNumber(t.ts, order.dueTs));
+        continue;
+      }
+      if (px !== order.px) continue;
+      const eaten = Math.min(order.queueAhead, sz);
+      order.queueAhead -= eaten;
+      sz -= eaten;
+      if (sz > 0) addFill(order, order.px, sz, toFiniteNumber(t.ts, order.dueTs));
+    }
+  }
+
+  /**
+   * engine tick ごとに呼ぶ。新しい建玉の注文を置き、約定が進んだら engine/execution.js で state に反映する
+   * @returns {object} 新しい engineState（変化なしなら同じ参照）
+   */
+  function sync(coin, state, market, nowTs) {
+    const cfg = resolveConfig(getConfig());
+    const pos = state?.openPosition ?? null;
+    const legs = resolvePositionLegs(pos);
+    let order = orders.get(coin) ?? null;
+    // 約定前に建玉（脚）が消えた / 入れ替わった注文は取り消す
+    if (order && !legs.some(leg => leg.decisionId === order.decisionId)) {
+      orders.delete(coin);
+      order = null;
+    }
+    if (!cfg.enabled) return state;
+    if (!order && pos && !pos.tp1Done) {
+      const leg = legs.find(l => (
+        typeof l.decisionId === 'string' &&
+        !l.execution &&
+        toFiniteNumber(l.entryTs, 0) >= startedAt
+      ));
+      if (leg) {
+        order = place(coin, pos.side, leg, cfg);
+        orders.set(coin, order);
+      }
+    }
+    if (!order) return state;
+
+    let summary = null;
+    if (order.status === 'pending') {
+      if (nowTs < order.dueTs) return state;
+      summary = activate(order, market, nowTs, cfg);
+    }
+    if (!summary && order.status === 'resting') summary = advanceResting(order, market, nowTs);
+    if (!summary) return state;
+    order.dirty = false;
+    if (summary.terminal) orders.delete(coin);
+    return applyExecutionUpdate(state, summary, nowTs);
+  }
+
+  /**
+   * 決済の約定価格（updateEngine の opts.fillModel から呼ばれる）。null なら engine は midPx を使う
+   * @param {{ side: 'buy'|'sell', size: number, market: object, execMode?: string }} req - side は建玉の向き
+   */
+  function exitFill({ side, size, market, execMode }) {
+    const cfg = resolveConfig(getConfig());
+    const midPx = toFiniteNumber(market?.midPx, null);
+    if (!cfg.enabled || !cfg.exitBookWalk || execMode === 'maker' || !(size > 0) || !(midPx > 0)) return null;
+    const closeSide = side === 'buy' ? 'sell' : 'buy';
+    const fill = walkBook(market, closeSide === 'buy', size);
+    if (!(fill.filledSize > SIZE_EPS)) return null;
+    // 板が足りない分は最後に食ったレベルで約定したものとする
+    const rest = size - fill.filledSize;
+    const px = rest > SIZE_EPS ? ((fill.avgPx * fill.filledSize) + (fill.lastPx * rest)) / size : fill.avgPx;
+    return {
+      px,
+      slippageBps: slippageBps(closeSide, midPx, px),
+      levels: fill.levels,
+      bookExhausted: rest > SIZE_EPS
+    };
+  }
+
+  function getPending() {
+    return [...orders.values()].map(o => ({
+      coin: o.coin,
+      decisionId: o.decisionId,
+      side: o.side,
+      mode: o.mode,
+      status: o.status,
+      size: o.size,
+      filledSize: o.filledSize,
+      px: o.px,
+      queueAhead: o.queueAhead,
+      dueTs: o.dueTs,
+      expiresAt: o.expiresAt
+    }));
+  }
+
+  return { sync, onTrades, exitFill, getPending };
+}
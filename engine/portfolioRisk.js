@@ -0,0 +1,159 @@
+// ポートフォリオ単位のリスク制限（複数銘柄）
+// - 銘柄ごとの engineState は独立。新規エントリーだけをここで全銘柄の建玉と突き合わせる
+// - 総グロス notional / 銘柄ごとの上限 / 相関を考慮した同方向エクスポージャの3つ
+// - 決済・建玉管理の decision には触らない（リスクを減らす方向は止めない）
+// - 保有中の追加エントリー（action: 'add'）は同じ銘柄の既存建玉も上限に含めて扱う
+
+function toFiniteNumber(value, fallback = null) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function isEntrySide(side) {
+  const s = String(side ?? '').toLowerCase();
+  return s === 'buy' || s === 'sell';
+}
+
+function sideSign(side) {
+  const s = String(side ?? '').toLowerCase();
+  return s === 'buy' || s === 'long' ? 1 : -1;
+}
+
+/**
+ * 銘柄ペアの相関係数（'BTC/ETH' と 'ETH/BTC' のどちらの書き方でも引ける）
+ * @param {object} cfg - tradeConfig.portfolio
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function getCorrelation(cfg, a, b) {
+  if (a === b) return 1;
+  const table = cfg?.correlation ?? {};
+  const v = toFiniteNumber(table[`${a}/${b}`] ?? table[`${b}/${a}`], null);
+  if (v === null) return toFiniteNumber(cfg?.defaultCorrelation, 0);
+  return Math.max(-1, Math.min(1, v));
+}
+
+/**
+ * 銘柄ごとの notional 上限（未指定の銘柄は default）
+ * @returns {number|null} null は上限なし
+ */
+export function getPerCoinCapUsd(cfg, coin) {
+  const caps = cfg?.perCoinMaxNotionalUsd ?? {};
+  const v = toFiniteNumber(caps[coin] ?? caps.default, null);
+  return v !== null && v > 0 ? v : null;
+}
+
+/**
+ * 建玉一覧 → notional（USD, 符号付き）
+ * @param {Array<{ coin: string, position: any, markPx?: number }>} books
+ * @returns {Array<{ coin: string, side: string, notionalUsd: number, signedUsd: number }>}
+ */
+export function collectPortfolioPositions(books) {
+  const out = [];
+  for (const book of Array.isArray(books) ? books : []) {
+    const pos = book?.position;
+    const size = toFiniteNumber(pos?.size, 0);
+    if (!pos || size <= 0) continue;
+    const px = toFiniteNumber(book?.markPx, null) ?? toFiniteNumber(pos.entryPx, null);
+    if (px === null || px <= 0) continue;
+    const notionalUsd = size * px;
+    out.push({
+      coin: book.coin,
+      side: pos.side,
+      notionalUsd,
+      signedUsd: sideSign(pos.side) * notionalUsd
+    });
+  }
+  return out;
+}
+
+/**
+ * 現在のエクスポージャ（ダッシュボード / ログ用）
+ * correlatedUsd は各銘柄から見た相関加重の符号付き合計の最大絶対値
+ */
+export function summarizePortfolioExposure(cfg, positions) {
+  const list = Array.isArray(positions) ? positions : [];
+  const grossUsd = list.reduce((acc, p) => acc + p.notionalUsd, 0);
+  const netUsd = list.reduce((acc, p) => acc + p.signedUsd, 0);
+  let correlatedUsd = 0;
+  for (const p of list) {
+    const e = Math.abs(list.reduce((acc, q) => acc + getCorrelation(cfg, p.coin, q.coin) * q.signedUsd, 0));
+    correlatedUsd = Math.max(correlatedUsd, e);
+  }
+  return { grossUsd, netUsd, correlatedUsd, positions: list.length };
+}
+
+/**
+ * 新規エントリー / 追加エントリー decision にポートフォリオ制限を掛ける
+ * - 上限内ならそのまま、超える分は onBreach='scale' で縮小、'block'（または縮小後が最小 notional 未満）で見送り
+ * @param {string} coin - エントリー対象の銘柄
+ * @param {object} decision - decideTrade の結果（side / size / notionalUsd）
+ * @param {{ positions: Array, midPx: number, openPosition?: any, tradeConfig: object }} ctx
+ * @returns {{ decision: object, blocked: boolean, scaled: boolean, reason: string|null, allowedUsd: number|null }}
+ */
+export function applyPortfolioRisk(coin, decision, ctx) {
+  const cfg = ctx?.tradeConfig?.portfolio ?? null;
+  const pass = { decision, blocked: false, scaled: false, reason: null, allowedUsd: null };
+  if (!cfg || cfg.enabled !== true) return pass;
+  const isAdd = decision?.action === 'add';
+  if (!decision || !isEntrySide(decision.side) || (ctx?.openPosition && !isAdd)) return pass;
+
+  const size = toFiniteNumber(decision.size, 0);
+  const midPx = toFiniteNumber(ctx?.midPx, null);
+  if (size <= 0 || midPx === null || midPx <= 0) return pass;
+
+  const requestedUsd = toFiniteNumber(decision.notionalUsd, null) ?? size * midPx;
+  const others = (ctx?.positions ?? []).filter(p => p.coin !== coin);
+  const sign = sideSign(decision.side);
+  // add は同銘柄の既存建玉（同方向）の上に積む
+  const ownUsd = isAdd
+    ? (ctx?.positions ?? []).filter(p => p.coin === coin).reduce((acc, p) => acc + p.notionalUsd, 0)
+    : 0;
+
+  const limits = [];
+  const maxGross = toFiniteNumber(cfg.maxGrossNotionalUsd, null);
+  if (maxGross !== null && maxGross > 0) {
+    const grossUsd = others.reduce((acc, p) => acc + p.notionalUsd, 0);
+    limits.push({ reason: 'portfolio_gross_cap', allowedUsd: maxGross - grossUsd - ownUsd });
+  }
+  const perCoinCap = getPerCoinCapUsd(cfg, coin);
+  if (perCoinCap !== null) {
+    limits.push({ reason: 'portfolio_coin_cap', allowedUsd: perCoinCap - ownUsd });
+  }
+  const maxCorrelated = toFiniteNumber(cfg.maxCorrelatedNotionalUsd, null);
+  if (maxCorrelated !== null && maxCorrelated > 0) {
+    // エントリー方向に射影した既存エクスポージャ（逆相関・逆方向の建玉はヘッジとして差し引かれる）
+    const projected = others.reduce((acc, p) => acc + getCorrelation(cfg, coin, p.coin) * p.signedUsd, 0) * sign;
+    limits.push({ reason: 'portfolio_correlated_cap', allowedUsd: maxCorrelated - projected - ownUsd });
+  }
+  if (limits.length === 0) return pass;
+
+  const binding = limits.reduce((min, l) => (l.allowedUsd < min.allowedUsd ? l : min));
+  const allowedUsd = Math.max(0, binding.allowedUsd);
+  if (allowedUsd >= requestedUsd) return { ...pass, allowedUsd };
+
+  const minNotionalUsd = Math.max(0, toFiniteNumber(ctx?.tradeConfig?.minNotionalUsd, 0));
+  if (cfg.onBreach !== 'block' && allowedUsd > 0 && allowedUsd >= minNotionalUsd) {
+    const factor = allowedUsd / requestedUsd;
+    return {
+      decision: {
+        ...decision,
+        size: size * factor,
+        notionalUsd: allowedUsd,
+        reason: `${decision.reason ?? 'entry'}|${binding.reason}_x${factor.toFixed(2)}`
+      },
+      blocked: false,
+      scaled: true,
+      reason: binding.reason,
+      allowedUsd
+    };
+  }
+  return {
+    decision: { side: 'none', size: 0, reason: binding.reason },
+    blocked: true,
+    scaled: false,
+    reason: binding.reason,
+    allowedUsd
+  };
+}
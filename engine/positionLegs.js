@@ -0,0 +1,226 @@
+/**
+ * engine/positionLegs.js
+ * openPosition を複数のエントリー脚（scale-in）として持つ
+ *
+ * - 脚ごとに建値・数量・発注元 decisionId（executor の clientOrderId DEC-<decisionId>）を保持
+ * - openPosition の size / entryPx は常に脚の合計 / 加重平均（既存の判定・保護注文はそのまま使える）
+ * - 脚を足したら TP 距離を平均建値から引き直す（hard SL は tpDistanceUsd × hardRatio なので SL も連動）
+ * - 決済 trade レコードには脚ごとの損益を載せる（手数料は notional 按分、funding は数量按分）
+ *
+ * legs を持たない旧ポジション（保存済み state / reconcile で作った建玉）は 1 脚として扱う
+ * TP1 部分利確・取引所保護注文の部分約定・reconcile で size / entryPx が外から変わった場合は
+ * 脚の数量を同じ比率で縮め、建値差は全脚を平行移動して合計と平均を openPosition に揃える
+ */
+
+const SIZE_EPS = 1e-9;
+const PX_EPS = 1e-9;
+
+function toFiniteNumber(value, fallback = null) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+/**
+ * @param {Array<Object>} legs
+ * @returns {{ size: number, initialSize: number, entryPx: number|null }}
+ */
+function summarizeLegs(legs) {
+  let size = 0;
+  let initialSize = 0;
+  let notional = 0;
+  for (const leg of legs) {
+    const sz = toFiniteNumber(leg?.size, 0);
+    size += sz;
+    initialSize += toFiniteNumber(leg?.initialSize, sz);
+    notional += sz * toFiniteNumber(leg?.entryPx, 0);
+  }
+  return { size, initialSize, entryPx: size > SIZE_EPS ? notional / size : null };
+}
+
+/**
+ * openPosition の脚一覧（合計 / 平均は openPosition の size / entryPx に揃えて返す）
+ * @param {Object|null} pos
+ * @returns {Array<Object>}
+ */
+function resolvePositionLegs(pos) {
+  if (!pos) return [];
+  const size = toFiniteNumber(pos.size, 0);
+  const entryPx = toFiniteNumber(pos.entryPx, null);
+  const stored = Array.isArray(pos.legs)
+    ? pos.legs.filter(leg => toFiniteNumber(leg?.size, 0) > SIZE_EPS)
+    : [];
+  if (stored.length === 0) {
+    return [{
+      legId: 1,
+      decisionId: typeof pos.entryDecisionId === 'string' ? pos.entryDecisionId : null,
+      entryPx,
+      size,
+      initialSize: toFiniteNumber(pos.initialSize, size),
+      entryTs: toFiniteNumber(pos.entryTs, null),
+      entryExecMode: pos.entryExecMode ?? 'taker',
+      reason: pos.entryReasonFixed ?? null,
+      execution: pos.execution ?? null
+    }];
+  }
+  const sum = summarizeLegs(stored);
+  const sizeRatio = size > SIZE_EPS && sum.size > SIZE_EPS ? size / sum.size : 1;
+  const pxShift = Number.isFinite(entryPx) && Number.isFinite(sum.entryPx) ? entryPx - sum.entryPx : 0;
+  if (Math.abs(sizeRatio - 1) < SIZE_EPS && Math.abs(pxShift) < PX_EPS) return stored;
+  return stored.map(leg => ({
+    ...leg,
+    size: toFiniteNumber(leg.size, 0) * sizeRatio,
+    entryPx: toFiniteNumber(leg.entryPx, 0) + pxShift
+  }));
+}
+
+/**
+ * 脚の合計を openPosition に書き戻す
+ * 一度でも複数脚になった建玉は TP 距離を平均建値から引き直す（1 脚のままなら従来どおり触らない）
+ */
+function withLegTotals(pos, legs) {
+  const sum = summarizeLegs(legs);
+  const next = {
+    ...pos,
+    legs,
+    size: sum.size,
+    initialSize: sum.initialSize,
+    entryPx: sum.entryPx ?? pos.entryPx
+  };
+  const scaled = legs.length > 1 || (Array.isArray(pos.legs) && pos.legs.length > 1);
+  const tpPx = toFiniteNumber(pos.tpPx, null);
+  if (scaled && Number.isFinite(tpPx) && Number.isFinite(next.entryPx)) {
+    next.tpDistanceUsd = Math.abs(tpPx - next.entryPx);
+  }
+  return next;
+}
+
+/**
+ * 脚を 1 本足す
+ * - 現在の TP が新しい平均建値より先（long なら上）に残っていれば維持、そうでなければ add の tpPx に移す
+ * - 最悪値・含み損比率・SOFT 到達時刻は新しい平均建値を基準に取り直す
+ * @param {Object} pos openPosition
+ * @param {{ decisionId: string|null, entryPx: number, size: number, entryTs: number, entryExecMode?: string, reason?: string|null }} leg
+ * @param {{ tpPx?: number|null }} opts
+ * @returns {Object} 新しい openPosition
+ */
+function addPositionLeg(pos, leg, opts = {}) {
+  const legs = resolvePositionLegs(pos);
+  const legId = legs.reduce((max, l) => Math.max(max, toFiniteNumber(l.legId, 0)), 0) + 1;
+  const nextLegs = [...legs, {
+    legId,
+    decisionId: typeof leg.decisionId === 'string' ? leg.decisionId : null,
+    entryPx: leg.entryPx,
+    size: leg.size,
+    initialSize: leg.size,
+    entryTs: leg.entryTs,
+    entryExecMode: leg.entryExecMode ?? 'taker',
+    reason: leg.reason ?? null,
+    execution: null
+  }];
+  const isLong = pos.side === 'buy';
+  const avgPx = summarizeLegs(nextLegs).entryPx;
+  const isAhead = (px) => Number.isFinite(px) && px > 0 && Number.isFinite(avgPx) && (isLong ? px > avgPx : px < avgPx);
+  const currentTp = toFiniteNumber(pos.tpPx, null);
+  const addTp = toFiniteNumber(opts.tpPx, null);
+  const tpPx = isAhead(currentTp) || !isAhead(addTp) ? pos.tpPx : addTp;
+  let next = withLegTotals({ ...pos, tpPx }, nextLegs);
+  const tpDist = toFiniteNumber(next.tpDistanceUsd, 0);
+  const adverseUsd = Math.max(0, isLong ? next.entryPx - leg.entryPx : leg.entryPx - next.entryPx);
+  next = {
+    ...next,
+    worstPx: leg.entryPx,
+    maxAdverseRatio: tpDist > 0 ? adverseUsd / tpDist : 0,
+    hitSoftAtTs: null,
+    lastLegAt: leg.entryTs
+  };
+  return next;
+}
+
+/**
+ * 約定しなかった脚を外す（最後の 1 脚なら null = ポジションごと取り消し）
+ */
+function removePositionLeg(pos, decisionId) {
+  const legs = resolvePositionLegs(pos).filter(leg => leg.decisionId !== decisionId);
+  if (legs.length === 0) return null;
+  return withLegTotals(pos, legs);
+}
+
+/**
+ * 部分決済後の残り数量に脚を縮める（全脚同じ比率）
+ */
+function shrinkPositionLegs(pos, remainSize) {
+  return resolvePositionLegs({ ...pos, size: remainSize });
+}
+
+/**
+ * trade レコード用の脚別損益
+ * 平均建値 = 脚の加重平均なので、脚の realizedPnlUsd の合計は trade の realizedPnlUsd と一致する
+ * @param {Object} pos 決済前の openPosition
+ * @param {number} closeSize
+ * @param {number} exitPx
+ * @param {{ feeUsd?: number, fundingUsd?: number }} costs trade 全体の手数料 / funding
+ * @returns {{ legCount: number, legs: Array<Object> }}
+ */
+function resolveLegTradeFields(pos, closeSize, exitPx, costs = {}) {
+  const legs = resolvePositionLegs(pos);
+  const size = toFiniteNumber(pos?.size, 0);
+  const ratio = size > SIZE_EPS ? Math.min(1, Math.max(0, toFiniteNumber(closeSize, 0) / size)) : 0;
+  const dir = pos?.side === 'buy' ? 1 : -1;
+  const px = toFiniteNumber(exitPx, 0);
+  const feeUsd = toFiniteNumber(costs.feeUsd, 0);
+  const fundingUsd = toFiniteNumber(costs.fundingUsd, 0);
+  const closeTotal = legs.reduce((acc, leg) => acc + leg.size * ratio, 0);
+  const notionalTotal = legs.reduce((acc, leg) => acc + leg.entryPx * leg.size * ratio, 0);
+  return {
+    legCount: legs.length,
+    legs: legs.map((leg) => {
+      const legSize = leg.size * ratio;
+      const pnl = px > 0 ? dir * (px - leg.entryPx) * legSize : 0;
+      const legFeeUsd = notionalTotal > 0 ? feeUsd * ((leg.entryPx * legSize) / notionalTotal) : 0;
+      const legFundingUsd = closeTotal > SIZE_EPS ? fundingUsd * (legSize / closeTotal) : 0;
+      return {
+        legId: leg.legId,
+        decisionId: leg.decisionId,
+        entryTs: leg.entryTs,
+        entryPrice: leg.entryPx,
+        size: legSize,
+        realizedPnlUsd: pnl,
+        feeUsd: legFeeUsd,
+        fundingUsd: legFundingUsd,
+        realizedPnlNetUsd: pnl - legFeeUsd + legFundingUsd
+      };
+    })
+  };
+}
+
+/**
+ * engine 側の scale-in 上限（B2 の判定後に設定が変わっても超えないよう再確認）
+ * @returns {{ allowed: boolean, reason: string|null }}
+ */
+function checkScaleInLimits(pos, addSize, px, cfg, nowTs) {
+  if (!cfg || cfg.enabled !== true) return { allowed: false, reason: 'disabled' };
+  if (pos.tp1Done) return { allowed: false, reason: 'tp1_done' };
+  if (!(addSize > 0) || !(px > 0)) return { allowed: false, reason: 'invalid_size' };
+  const legs = resolvePositionLegs(pos);
+  if (legs.length >= toFiniteNumber(cfg.maxLegs, 1)) return { allowed: false, reason: 'max_legs' };
+  const maxNotionalUsd = toFiniteNumber(cfg.maxNotionalUsd, 0);
+  if (maxNotionalUsd > 0 && (toFiniteNumber(pos.size, 0) + addSize) * px > maxNotionalUsd * (1 + 1e-6)) {
+    return { allowed: false, reason: 'max_notional' };
+  }
+  const lastLegAt = toFiniteNumber(pos.lastLegAt ?? pos.entryTs, null);
+  if (Number.isFinite(lastLegAt) && nowTs - lastLegAt < toFiniteNumber(cfg.minIntervalMs, 0)) {
+    return { allowed: false, reason: 'interval' };
+  }
+  return { allowed: true, reason: null };
+}
+
+export {
+  resolvePositionLegs,
+  summarizeLegs,
+  withLegTotals,
+  addPositionLeg,
+  removePositionLeg,
+  shrinkPositionLegs,
+  resolveLegTradeFields,
+  checkScaleInLimits
+};
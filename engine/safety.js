@@ -1,5 +1,6 @@
 // engine/safety.js
 // SAFETY管理専用モジュール（Engine/Executor共通の中央ステータス）
+import { clockNow } from '../core/clock.js';
 
 const globalSafety = { status: 'NORMAL', reason: null, detail: null, source: 'engine', since: null };
 
@@ -15,7 +16,7 @@ function setSafety(engineState, status, reason, detail = null) {
   if (engineState.safety.status !== status || engineState.safety.reason !== reason) {
     engineState.safety.status = status;
     engineState.safety.reason = reason ?? null;
-    engineState.safety.since = Date.now();
+    engineState.safety.since = clockNow();
     console.log('[SAFETY]', status, reason);
   }
   setGlobalSafety(status, reason, detail, 'engine');
@@ -27,7 +28,7 @@ function setGlobalSafety(status, reason, detail = null, source = 'engine') {
   globalSafety.reason = reason ?? null;
   globalSafety.detail = detail ?? null;
   globalSafety.source = source;
-  globalSafety.since = Date.now();
+  globalSafety.since = clockNow();
   console.log('[GLOBAL SAFETY]', status, reason, detail, `source=${source}`);
 }
 
@@ -22,6 +22,7 @@
  * @property {number} size
  * @property {number} entryPx
  * @property {number} entryTs
+ * @property {Array<Object>=} legs - エントリー脚（engine/positionLegs.js。size / entryPx は脚の合計 / 加重平均）
  */
 
 /**
@@ -50,6 +51,7 @@
  * @property {number} shortWins - ショート側の勝ち数
  * @property {number} apr7d - 年率換算済み数値
  * @property {TradeRecord[]} history7d - 過去7日分の履歴
+ * @property {number} fundingUsd - 決済済みトレードの累積 funding (USD, 受取 = +)
  * @property {number|null} midPx
  * @property {number|null} prevMidPx
  * @property {number|null} oi
@@ -98,6 +100,7 @@ function createInitialState() {
       shortWins: 0,
       apr7d: 0.0,
       history7d: [],
+      fundingUsd: 0.0,
       midPx: null,
       prevMidPx: null,
       oi: null
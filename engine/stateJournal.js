@@ -0,0 +1,113 @@
+// engine/stateJournal.js
+// engine state の write-ahead journal イベント（core/journal.js の 1 行 = 下記イベント 1 件）
+// - 建玉・保護価格・安全状態が「意味のある変化」をしたときだけ記録する（worstPx など毎 tick 変わる追跡値は対象外）
+// - 各イベントはその時点の値をそのまま持つ（再生は上書きのみで順序さえ守れば冪等）
+// - 毎 tick の追跡値はスナップショット（定期保存）時点のものに戻る
+
+export const ENGINE_JOURNAL_EVENTS = Object.freeze({
+  ENTRY_FILLED: 'ENTRY_FILLED',
+  LEG_ADDED: 'LEG_ADDED',
+  POSITION_ADJUSTED: 'POSITION_ADJUSTED',
+  STOP_MOVED: 'STOP_MOVED',
+  PARTIAL_EXIT: 'PARTIAL_EXIT',
+  POSITION_CLOSED: 'POSITION_CLOSED',
+  SAFETY_CHANGED: 'SAFETY_CHANGED'
+});
+
+export function resolveEngineJournalPath(statePath) {
+  return `${statePath}.journal.jsonl`;
+}
+
+function positionIdentity(pos) {
+  return pos ? `${pos.side}:${pos.entryTs}` : null;
+}
+
+function stopSignature(pos) {
+  return JSON.stringify([pos.tpPx ?? null, pos.tp1Done === true, pos.protection?.slPx ?? null, pos.protection?.tpPx ?? null]);
+}
+
+function safetySignature(safety) {
+  return JSON.stringify([safety?.status ?? 'NORMAL', safety?.reason ?? null]);
+}
+
+/**
+ * 前回記録時点との比較に使う要約
+ */
+export function buildEngineJournalView(state) {
+  const pos = state?.openPosition ?? null;
+  return {
+    id: positionIdentity(pos),
+    size: pos ? pos.size : null,
+    entryPx: pos ? pos.entryPx : null,
+    legs: pos ? (Array.isArray(pos.legs) ? pos.legs.length : 1) : null,
+    stop: pos ? stopSignature(pos) : null,
+    safety: safetySignature(state?.safety)
+  };
+}
+
+/**
+ * 前回の要約と現在の state から記録すべきイベントを作る
+ * @param {ReturnType<typeof buildEngineJournalView>|null} prev
+ * @param {object} state
+ * @returns {Array<{ type: string, data: object }>}
+ */
+export function diffEngineJournalEvents(prev, state) {
+  const next = buildEngineJournalView(state);
+  const pos = state?.openPosition ?? null;
+  const events = [];
+  const closedData = () => ({ stats: state.stats ?? null, riskGuards: state.riskGuards ?? null });
+  if (prev?.id && prev.id !== next.id) {
+    events.push({ type: ENGINE_JOURNAL_EVENTS.POSITION_CLOSED, data: closedData() });
+  }
+  if (pos) {
+    if (!prev?.id || prev.id !== next.id) {
+      events.push({ type: ENGINE_JOURNAL_EVENTS.ENTRY_FILLED, data: { position: pos } });
+    } else if (next.legs > (prev.legs ?? 1)) {
+      events.push({ type: ENGINE_JOURNAL_EVENTS.LEG_ADDED, data: { position: pos } });
+    } else if (next.legs < (prev.legs ?? 1)) {
+      // 約定しなかった追加脚の取り消し
+      events.push({ type: ENGINE_JOURNAL_EVENTS.POSITION_ADJUSTED, data: { position: pos } });
+    } else if (next.size < prev.size) {
+      events.push({ type: ENGINE_JOURNAL_EVENTS.PARTIAL_EXIT, data: { position: pos, ...closedData() } });
+    } else if (next.size !== prev.size || next.entryPx !== prev.entryPx) {
+      events.push({ type: ENGINE_JOURNAL_EVENTS.POSITION_ADJUSTED, data: { position: pos } });
+    } else if (next.stop !== prev.stop) {
+      events.push({ type: ENGINE_JOURNAL_EVENTS.STOP_MOVED, data: { position: pos } });
+    }
+  }
+  if ((prev?.safety ?? safetySignature(null)) !== next.safety) {
+    events.push({ type: ENGINE_JOURNAL_EVENTS.SAFETY_CHANGED, data: { safety: state.safety ?? null } });
+  }
+  return events;
+}
+
+/**
+ * journal の 1 件を state に適用（state は書き換える）
+ */
+export function applyEngineJournalEvent(state, entry) {
+  const data = entry?.data ?? {};
+  switch (entry?.type) {
+    case ENGINE_JOURNAL_EVENTS.ENTRY_FILLED:
+    case ENGINE_JOURNAL_EVENTS.LEG_ADDED:
+    case ENGINE_JOURNAL_EVENTS.POSITION_ADJUSTED:
+    case ENGINE_JOURNAL_EVENTS.STOP_MOVED:
+      state.openPosition = data.position ?? null;
+      break;
+    case ENGINE_JOURNAL_EVENTS.PARTIAL_EXIT:
+      state.openPosition = data.position ?? null;
+      if (data.stats) state.stats = data.stats;
+      if (data.riskGuards) state.riskGuards = data.riskGuards;
+      break;
+    case ENGINE_JOURNAL_EVENTS.POSITION_CLOSED:
+      state.openPosition = null;
+      if (data.stats) state.stats = data.stats;
+      if (data.riskGuards) state.riskGuards = data.riskGuards;
+      break;
+    case ENGINE_JOURNAL_EVENTS.SAFETY_CHANGED:
+      state.safety = data.safety ?? { status: 'NORMAL', reason: null, since: null };
+      break;
+    default:
+      console.warn(`[engine/stateJournal] unknown journal event type=${entry?.type} seq=${entry?.seq}`);
+  }
+  return state;
+}
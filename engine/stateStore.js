@@ -2,8 +2,23 @@ import fs from 'fs';
 import path from 'path';
 import { cloneState } from './state.js';
 import { resolveStatePath as resolveStatePathConfig } from '../config/statePath.js';
+import { appendJournal, compactJournal, getJournalSeq, readJournal, setJournalSeq, truncateTornTail, writeFileAtomic } from '../core/journal.js';
+import {
+  applyEngineJournalEvent,
+  buildEngineJournalView,
+  diffEngineJournalEvents,
+  resolveEngineJournalPath
+} from './stateJournal.js';
 
 // Persistent store for EngineState (TEST Engine / restart safety)
+// - 定期保存 = スナップショット（journalSeq つきで原子的に書き、journal を compact）
+// - 保存の合間の建玉・保護価格・安全状態の変化は journalEngineState で write-ahead journal に追記
+// - 起動時はスナップショット + journal の再生で復元（ENGINE_JOURNAL_ENABLED=0 で追記のみ止める）
+const journalViews = new Map(); // statePath → 最後に記録した要約
+
+function journalEnabled() {
+  return process.env.ENGINE_JOURNAL_ENABLED !== '0';
+}
 const DEFAULT_STATE_PATH = () => resolveStatePathConfig(process.env.MODE, process.env.ENGINE_STATE_PATH);
 
 function resolveStatePath(customPath) {
@@ -22,32 +37,86 @@ function ensureDir(targetPath) {
   }
 }
 
+/**
+ * スナップショット + journal 再生の結果（ops ツールの検査にも使う）
+ * @returns {{ state: object|null, snapshotSeq: number, replayed: number, journal: ReturnType<typeof readJournal> }}
+ */
+function rebuildEngineState(createInitialState, customPath) {
+  const statePath = resolveStatePath(customPath);
+  let state = null;
+  let snapshotSeq = 0;
+  if (fs.existsSync(statePath)) {
+    const parsed = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    snapshotSeq = Number.isFinite(parsed?.journalSeq) ? parsed.journalSeq : 0;
+    state = sanitizeEngineState(parsed);
+  }
+  const journal = readJournal(resolveEngineJournalPath(statePath), { afterSeq: snapshotSeq });
+  if (journal.entries.length > 0) {
+    // スナップショット前に落ちた場合は初期状態から再生
+    if (!state) state = createInitialState();
+    for (const entry of journal.entries) applyEngineJournalEvent(state, entry);
+    state = sanitizeEngineState(state);
+  }
+  return { state, snapshotSeq, replayed: journal.entries.length, journal };
+}
+
 // Load state from disk; fall back to createInitialState()
 function loadEngineState(createInitialState, customPath) {
   const statePath = resolveStatePath(customPath);
+  const journalPath = resolveEngineJournalPath(statePath);
   try {
     if (typeof createInitialState !== 'function') {
       throw new Error('createInitialState must be a function');
     }
     ensureDir(statePath);  // 既解決済みパスを渡す
-    if (fs.existsSync(statePath)) {
-      const raw = fs.readFileSync(statePath, 'utf8');
-      const parsed = JSON.parse(raw);
-      return sanitizeEngineState(parsed);
+    const rebuilt = rebuildEngineState(createInitialState, statePath);
+    if (rebuilt.journal.tornTail) truncateTornTail(journalPath);
+    setJournalSeq(journalPath, Math.max(rebuilt.snapshotSeq, rebuilt.journal.lastSeq));
+    if (rebuilt.replayed > 0 || rebuilt.journal.errors.length > 0 || rebuilt.journal.tornTail) {
+      console.warn(`[engine/stateStore] journal replay path=${journalPath} snapshotSeq=${rebuilt.snapshotSeq} replayed=${rebuilt.replayed}${rebuilt.journal.tornTail ? ' tornTail' : ''}${rebuilt.journal.errors.length > 0 ? ` errors=${JSON.stringify(rebuilt.journal.errors)}` : ''}`);
+    }
+    if (rebuilt.state) {
+      journalViews.set(statePath, buildEngineJournalView(rebuilt.state));
+      return rebuilt.state;
     }
   } catch (err) {
     console.warn('[engine/stateStore] load failed, fallback to initial:', err?.message || err);
   }
-  return createInitialState();
+  const initial = createInitialState();
+  journalViews.set(statePath, buildEngineJournalView(initial));
+  return initial;
+}
+
+/**
+ * 前回記録時から意味のある変化があれば journal に追記（fsync 済みで戻る）
+ * state を差し替えるたびに呼ぶ。書けなくても本体は止めない
+ */
+function journalEngineState(state, customPath) {
+  if (!journalEnabled() || !state) return 0;
+  const statePath = resolveStatePath(customPath);
+  const events = diffEngineJournalEvents(journalViews.get(statePath) ?? null, state);
+  if (events.length === 0) return 0;
+  try {
+    const journalPath = resolveEngineJournalPath(statePath);
+    for (const event of events) appendJournal(journalPath, event.type, event.data);
+    journalViews.set(statePath, buildEngineJournalView(state));
+  } catch (err) {
+    console.warn('[engine/stateStore] journal append failed:', err?.message || err);
+  }
+  return events.length;
 }
 
-// Save state to disk (overwrite)
+// Save state to disk（スナップショット。原子的に置き換えてから journal を compact）
 function saveEngineState(state, customPath) {
   const statePath = resolveStatePath(customPath);
   try {
     ensureDir(statePath);  // 既解決済みパスを渡す
     const safe = sanitizeEngineState(state);
-    fs.writeFileSync(statePath, JSON.stringify(safe), 'utf8');
+    const journalPath = resolveEngineJournalPath(statePath);
+    // スナップショットに含まれる変化は journal に積まない
+    journalViews.set(statePath, buildEngineJournalView(safe));
+    writeFileAtomic(statePath, JSON.stringify({ ...safe, journalSeq: getJournalSeq(journalPath) }));
+    compactJournal(journalPath);
   } catch (err) {
     console.warn('[engine/stateStore] save failed:', err?.message || err);
   }
@@ -61,6 +130,10 @@ function resetEngineState(createInitialState, customPath) {
     if (fs.existsSync(statePath)) {
       fs.unlinkSync(statePath);
     }
+    const journalPath = resolveEngineJournalPath(statePath);
+    if (fs.existsSync(journalPath)) fs.unlinkSync(journalPath);
+    setJournalSeq(journalPath, 0);
+    journalViews.delete(statePath);
   } catch (err) {
     console.warn('[engine/stateStore] reset failed:', err?.message || err);
   }
@@ -133,4 +206,4 @@ function sanitizeEngineState(state) {
   }
 }
 
-export { loadEngineState, saveEngineState, resetEngineState };
+export { loadEngineState, saveEngineState, resetEngineState, journalEngineState, rebuildEngineState };
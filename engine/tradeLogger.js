@@ -1,6 +1,7 @@
 import fs from 'fs';
 import path from 'path';
 import { resolveTradesPath } from '../config/tradesPath.js';
+import { clockNow } from '../core/clock.js';
 
 const DEDUP_TTL_MS = 6 * 60 * 60 * 1000;
 const DEDUP_MAX_SIZE = 5000;
@@ -107,7 +108,7 @@ function appendTradeLog(record, onDone) {
       return;
     }
     const enrichedRecord = enrichTradeRecord(record);
-    const now = Date.now();
+    const now = clockNow();
     if (isDuplicateRecord(enrichedRecord, now)) {
       if (typeof onDone === 'function') onDone(null);
       return;
@@ -3,18 +3,21 @@ import { appendTradeLog } from './tradeLogger.js';
 import { notifyLine, checkWinRateMilestones, checkScheduledLineReports } from './lineNotify.js';
 import { updateHealth, STAGES } from '../core/healthState.js';
 import { getTradeConfig } from '../config/trade.js';
+import { clockNow } from '../core/clock.js';
+import { accruePositionFunding, fundingShareUsd } from '../core/funding.js';
+import { appendLiqCascadeTrigger } from '../core/liqCascadeLog.js';
 // 市況分類は現状UNKNOWNで保存（後続フェーズで拡張）
 const MARKET_STATE_UNKNOWN = 'UNKNOWN';
 
 // STEP3: touchTick, evaluateSafety（拡張禁止）
 function touchTick(state) {
   // ループのサイクル時刻のみ記録（市場データ新鮮度判定と分離）
-  state.lastLoopAtMs = Date.now();
+  state.lastLoopAtMs = clockNow();
 }
 
 function evaluateSafety(state) {
   const STALE_MS = 5000;
-  const now = Date.now();
+  const now = clockNow();
   
   // ループが回っているか確認（lastLoopAtMs を見る）
   if (state.lastLoopAtMs === null) {
@@ -100,6 +103,12 @@ import { mapExitReason } from './exitReason.js';
 import { ensureRiskGuardState, updateRiskGuardState, evaluatePerformanceGuards } from './performanceGuards.js';
 import bridgeEmitter from '../core/bridgeEmitter.js';
 import { getInitialCapitalUsd } from '../config/capital.js';
+import {
+  addPositionLeg,
+  checkScaleInLimits,
+  resolveLegTradeFields,
+  shrinkPositionLegs
+} from './positionLegs.js';
 
 // Bロジックのリビジョンを刻印（再起動で更新される想定）
 const BLOGIC_REVISION = process.env.B_LOGIC_REVISION || new Date().toISOString();
@@ -434,6 +443,50 @@ function evaluateMicroTradeBurstExit(pos, market, tradeConfig, context = {}) {
   return out;
 }
 
+// 建玉と逆向きの清算 cascade（long に下げ cascade / short に上げ cascade）への対応
+// 強度が exit 閾値以上なら保護決済、widen 閾値以上なら hard SL を広げてヒゲで狩られないようにする
+function resolveLiqCascadeAdjustments(pos, market, tradeConfig, context = {}) {
+  const out = { hardMul: 1.0, maxHardRatio: 1.2, widen: false, exit: false, cascade: null, diag: null };
+  const root = tradeConfig?.liqCascade ?? {};
+  if (root.enabled !== true) return out;
+  const state = market?.liqCascade ?? null;
+  const cascade = state?.active === true ? state.cascade : null;
+  if (!cascade) return out;
+  const isLong = pos?.side === 'buy';
+  if (!isLong && pos?.side !== 'sell') return out;
+  const adverse = isLong ? cascade.direction === 'down' : cascade.direction === 'up';
+  if (!adverse) return out;
+  const intensity = toFiniteNumber(cascade.intensity, 0);
+  const holdMs = Math.max(0, toFiniteNumber(context.holdMs, 0));
+  const widenCfg = root.stopWiden ?? {};
+  const exitCfg = root.protectiveExit ?? {};
+  const widenMinIntensity = Math.max(0, toFiniteNumber(widenCfg.minIntensity, 1.0));
+  const exitMinIntensity = Math.max(0, toFiniteNumber(exitCfg.minIntensity, 2.0));
+  const exitMinHoldMs = Math.max(0, Math.floor(toFiniteNumber(exitCfg.minHoldMs, 0)));
+  out.cascade = cascade;
+  out.exit = exitCfg.enabled === true && intensity >= exitMinIntensity && holdMs >= exitMinHoldMs;
+  if (!out.exit && widenCfg.enabled === true && intensity >= widenMinIntensity) {
+    out.widen = true;
+    out.hardMul = clamp(toFiniteNumber(widenCfg.hardRatioMul, 1.3), 1.0, 3.0);
+    out.maxHardRatio = clamp(toFiniteNumber(widenCfg.maxHardRatio, 1.2), 0.1, 3.0);
+  }
+  out.diag = {
+    signal: out.exit ? 'liq_cascade_exit' : (out.widen ? 'liq_cascade_stop_widen' : 'liq_cascade_adverse'),
+    cascadeId: cascade.id ?? null,
+    direction: cascade.direction ?? null,
+    intensity,
+    peakUsd: toFiniteNumber(cascade.peakUsd, null),
+    ageMs: toFiniteNumber(cascade.ageMs, null),
+    source: state?.source ?? null,
+    widenMinIntensity,
+    exitMinIntensity,
+    hardMul: out.hardMul,
+    holdMs,
+    unrealizedUsd: toFiniteNumber(context.unrealizedUsd, 0)
+  };
+  return out;
+}
+
 function resolveFlowLossTightening(pos, market, tradeConfig, context = {}) {
   const out = {
     applied: false,
@@ -722,7 +775,7 @@ function buildDepthExitAnchor(side, market, decision, tradeConfig) {
       shieldRefPrice: ref,
       shieldBandUsd: bandUsd,
       shieldBaselineUsd: baseline,
-      createdAt: Date.now()
+      createdAt: clockNow()
     };
   }
   const ref = Number.isFinite(resistancePrice)
@@ -735,7 +788,7 @@ function buildDepthExitAnchor(side, market, decision, tradeConfig) {
     shieldRefPrice: ref,
     shieldBandUsd: bandUsd,
     shieldBaselineUsd: baseline,
-    createdAt: Date.now()
+    createdAt: clockNow()
   };
 }
 
@@ -1061,6 +1114,32 @@ function resolveExitExecModeForReason(reasonRaw, market, tradeConfig) {
     : 'taker';
 }
 
+/**
+ * 決済価格。紙約定モデル（opts.fillModel = engine/paperFill.js、test / dry のみ）があれば板を食った価格、無ければ midPx
+ */
+function resolveExitFill(fillModel, pos, closeSize, market, exitExecMode) {
+  const midPx = Number(market?.midPx);
+  const fill = typeof fillModel?.exitFill === 'function'
+    ? fillModel.exitFill({ side: pos.side, size: closeSize, market, execMode: exitExecMode })
+    : null;
+  if (fill && Number.isFinite(fill.px) && fill.px > 0) {
+    return { px: fill.px, slippageBps: Number.isFinite(fill.slippageBps) ? fill.slippageBps : null };
+  }
+  return { px: midPx, slippageBps: null };
+}
+
+/**
+ * エントリー約定の記録（engine/execution.js が実約定 / 紙約定で埋める）を trade レコード用に取り出す
+ */
+function resolveEntryExecutionFields(pos) {
+  const execution = pos?.execution ?? null;
+  return {
+    latencyMs: Number.isFinite(Number(execution?.latencyMs)) ? Number(execution.latencyMs) : null,
+    entrySlippageBps: Number.isFinite(Number(execution?.slippageBps)) ? Number(execution.slippageBps) : null,
+    decisionEntryPx: Number.isFinite(Number(execution?.decisionPx)) ? Number(execution.decisionPx) : null
+  };
+}
+
 function estimateFeesUsd(notionalUsd, entryMode, exitMode, tradeConfig) {
   const feesCfg = tradeConfig?.fees || {};
   const makerBps = Math.max(0, toFiniteNumber(feesCfg.makerBps, 1.44));
@@ -1119,6 +1198,38 @@ function resolvePlannedTp1(pos) {
   return null;
 }
 
+/**
+ * 取引所側 trigger 注文（SL / TP）の目標値
+ * SL は engine の hard SL と同じ adverseRatio 到達価格、TP は追跡中の TP 価格
+ * TP1 前は tpSplit.closeRatio 分のみ、TP1 後は残り全量を TP 側で決済する
+ */
+function resolveProtectionTargets(pos, tpPx, hardRatioLimit, tradeConfig) {
+  const entryPx = Number(pos?.entryPx);
+  const size = Number(pos?.size);
+  if (!Number.isFinite(entryPx) || entryPx <= 0 || !Number.isFinite(size) || size <= 0) return null;
+  const isLong = pos.side === 'buy';
+  const tpDist = Number(pos.tpDistanceUsd);
+  const slPx = (tpDist > 0 && Number.isFinite(hardRatioLimit) && hardRatioLimit > 0)
+    ? (isLong ? entryPx - tpDist * hardRatioLimit : entryPx + tpDist * hardRatioLimit)
+    : null;
+  const tpValid = Number.isFinite(tpPx) && tpPx > 0 && (isLong ? tpPx > entryPx : tpPx < entryPx);
+  let tpSize = size;
+  if (!pos.tp1Done) {
+    const tpSplitCfg = tradeConfig?.b2?.tpSplit || {};
+    const closeRatio = clamp(tpSplitCfg.closeRatio, 0.1, 0.9);
+    const minRemainRatio = clamp(tpSplitCfg.minRemainRatio, 0.05, 0.95);
+    const closeSize = size * closeRatio;
+    if ((size - closeSize) >= size * minRemainRatio) tpSize = closeSize;
+  }
+  return {
+    slPx: Number.isFinite(slPx) && slPx > 0 ? slPx : null,
+    tpPx: tpValid ? tpPx : null,
+    tpSize,
+    size,
+    hardRatio: Number.isFinite(hardRatioLimit) ? hardRatioLimit : null
+  };
+}
+
 function computeCaptureMetrics(pos, exitPx) {
   const entryPx = Number(pos?.entryPx);
   const plannedTp1 = resolvePlannedTp1(pos);
@@ -1218,10 +1329,17 @@ function updateTimeoutLossOnlyAlert(state, trade, tradeConfig, nowTs) {
  * @param {Object} market - MarketState { midPx, ts? }
  * @param {Object} decision - Decision { side, size, reason }
  * @param {number} nowTs - 現在時刻 (epoch millis)
+ * @param {Object} [opts] - { tradeConfig?, shadow?, appendTradeLog? }（シャドー variant 用。省略時は従来どおり）
  * @returns {Object} 新しいEngineState
  */
-function updateEngine(state, market, decision, nowTs) {
-  const tradeConfig = getTradeConfig();
+function updateEngine(state, market, decision, nowTs, opts = {}) {
+  const tradeConfig = opts.tradeConfig ?? getTradeConfig();
+  // シャドー実行: イベント・通知・ヘルス更新を出さず、売買ログは opts.appendTradeLog に渡す
+  const shadow = opts.shadow === true;
+  const emitEvent = shadow ? () => {} : emitEngineEvent;
+  const emitDebug = shadow ? () => {} : emitDebugEngine;
+  const emitError = shadow ? () => {} : emitEngineError;
+  const logTrade = typeof opts.appendTradeLog === 'function' ? opts.appendTradeLog : appendTradeLog;
   const lossTimeoutCfg = tradeConfig?.lossTimeout || {};
   const LOSS_TIMEOUT_ENABLED = lossTimeoutCfg.enabled !== false;
   const LOSS_TIMEOUT_MS = Number.isFinite(Number(lossTimeoutCfg.ms)) ? Number(lossTimeoutCfg.ms) : 240000;
@@ -1239,16 +1357,18 @@ function updateEngine(state, market, decision, nowTs) {
     : 1;
   const REDUCE_SIZE_WINDOW_MS = Math.max(0, Number(riskGuardsCfg.reduceSizeWindowMs ?? 0));
   state.riskGuards = ensureRiskGuardState(state.riskGuards);
-  try {
-    updateHealth(STAGES.ENGINE);
-    updateHealth(STAGES.UPDATE);
-  } catch (err) {
-    console.error('[ENGINE] updateHealth failed', err);
-  }
-  try {
-    checkScheduledLineReports(nowTs);
-  } catch (err) {
-    console.error('[LINE_NOTIFY] schedule check failed', err?.message || err);
+  if (!shadow) {
+    try {
+      updateHealth(STAGES.ENGINE);
+      updateHealth(STAGES.UPDATE);
+    } catch (err) {
+      console.error('[ENGINE] updateHealth failed', err);
+    }
+    try {
+      checkScheduledLineReports(nowTs);
+    } catch (err) {
+      console.error('[LINE_NOTIFY] schedule check failed', err?.message || err);
+    }
   }
   // --- DEBUG: Market→Engine境界観測 ---
   if (market && typeof market.ts === 'number') {
@@ -1294,13 +1414,13 @@ function updateEngine(state, market, decision, nowTs) {
     if (!market || typeof market.midPx !== 'number' || market.midPx <= 0 || isNaN(market.midPx)) {
       setSafety(state, 'ERROR', 'INVALID_MARKET');
       console.warn('[TEST Engine] Invalid market.midPx:', market?.midPx);
-      emitEngineError(`[TEST Engine] Invalid market.midPx: ${market?.midPx}`);
+      emitError(`[TEST Engine] Invalid market.midPx: ${market?.midPx}`);
       const newState = {
         ...state,
         lastUpdate: nowTs
       };
-      emitDebugEngine(newState, decision);
-      emitEngineEvent('ENGINE_ERROR', {
+      emitDebug(newState, decision);
+      emitEvent('ENGINE_ERROR', {
         type: 'market',
         message: `[TEST Engine] Invalid market.midPx: ${market?.midPx}`,
         ts: nowTs,
@@ -1315,13 +1435,13 @@ function updateEngine(state, market, decision, nowTs) {
     if (!decision || typeof decision.side !== 'string') {
       setSafety(state, 'ERROR', 'INVALID_DECISION');
       console.warn('[TEST Engine] Invalid decision:', decision);
-      emitEngineError('[TEST Engine] Invalid decision received');
+      emitError('[TEST Engine] Invalid decision received');
       const newState = {
         ...state,
         lastUpdate: nowTs
       };
-      emitDebugEngine(newState, decision);
-      emitEngineEvent('ENGINE_ERROR', {
+      emitDebug(newState, decision);
+      emitEvent('ENGINE_ERROR', {
         type: 'decision',
         message: '[TEST Engine] Invalid decision received',
         ts: nowTs,
@@ -1348,6 +1468,8 @@ function updateEngine(state, market, decision, nowTs) {
   // ────────────────────────
   let normalExitLoggedThisTick = false;
   if (state.openPosition) {
+    // 毎時 funding を建玉に積む（決済時に trade レコードへ数量按分で載せる）
+    state.openPosition = accruePositionFunding(state.openPosition, market, nowTs, tradeConfig?.funding);
     const pos = state.openPosition;
     // 更新: worstPx / maxAdverseRatio / hitSoftAtTs
     const isLong = pos.side === 'buy';
@@ -1387,6 +1509,7 @@ function updateEngine(state, market, decision, nowTs) {
     let holdingPressureDiag = null;
     let entryQualityRoutingDiag = null;
     let environmentDriftDiag = null;
+    let liqCascadeDiag = null;
 
     // SOFT: 初回ヒット時刻を固定（リセットしない）
     if (adverseRatio >= softRatioLimit) {
@@ -1457,6 +1580,40 @@ function updateEngine(state, market, decision, nowTs) {
       hardRatioLimit = clamp(hardRatioLimit * environmentDrift.hardMul, softRatioLimit + 0.03, 1.2);
     }
     environmentDriftDiag = environmentDrift.diag ?? null;
+    const liqCascadeAdj = resolveLiqCascadeAdjustments(pos, market, tradeConfig, {
+      holdMs,
+      unrealizedUsd
+    });
+    liqCascadeDiag = liqCascadeAdj.diag ?? null;
+    const liqCascadeTriggerDetail = liqCascadeAdj.cascade
+      ? {
+        coin: market?.liqCascade?.coin ?? null,
+        positionSide: pos.side,
+        entryTs: pos.entryTs,
+        entryPx: pos.entryPx,
+        size: pos.size,
+        midPx,
+        holdMs,
+        unrealizedUsd,
+        adverseRatio
+      }
+      : null;
+    if (liqCascadeAdj.widen) {
+      const hardRatioBefore = hardRatioLimit;
+      hardRatioLimit = clamp(
+        hardRatioLimit * liqCascadeAdj.hardMul,
+        softRatioLimit + 0.03,
+        Math.max(softRatioLimit + 0.03, liqCascadeAdj.maxHardRatio)
+      );
+      liqCascadeDiag = { ...liqCascadeDiag, hardRatioBefore, hardRatioAfter: hardRatioLimit };
+      if (!shadow) {
+        appendLiqCascadeTrigger('stop_widen', liqCascadeAdj.cascade, {
+          ...liqCascadeTriggerDetail,
+          hardRatioBefore,
+          hardRatioAfter: hardRatioLimit
+        }, String(pos.entryTs));
+      }
+    }
     const envCfg = tradeConfig?.flowAdaptiveExit?.environmentDrift ?? {};
     const envReq = Math.max(1, Math.floor(toFiniteNumber(envCfg?.minConsecutiveTicks, 2)));
     depthExitState.driftStreak = environmentDrift.hit ? (depthExitState.driftStreak + 1) : 0;
@@ -1473,7 +1630,10 @@ function updateEngine(state, market, decision, nowTs) {
           const minRemainSize = pos.size * minRemainRatio;
           if (Number.isFinite(closeSize) && closeSize > 0 && Number.isFinite(remainSize) && remainSize >= minRemainSize) {
             const entryPx = pos.entryPx;
-            const exitPx = midPx;
+            const entryExecMode = resolveExecMode(pos.entryExecMode, 'taker');
+            const exitExecMode = resolveExitExecModeForReason('tp1_partial', market, tradeConfig);
+            const exitFill = resolveExitFill(opts.fillModel, pos, closeSize, market, exitExecMode);
+            const exitPx = exitFill.px;
             let pnl = 0;
             if (isLong) {
               pnl = (exitPx - entryPx) * closeSize;
@@ -1482,10 +1642,9 @@ function updateEngine(state, market, decision, nowTs) {
             }
             const notional = entryPx * closeSize;
             const pnlPct = (notional > 0) ? (pnl / notional) * 100 : 0;
-            const entryExecMode = resolveExecMode(pos.entryExecMode, 'taker');
-            const exitExecMode = resolveExitExecModeForReason('tp1_partial', market, tradeConfig);
             const fee = estimateFeesUsd(notional, entryExecMode, exitExecMode, tradeConfig);
-            const pnlNet = pnl - fee.feeUsd;
+            const fundingUsd = fundingShareUsd(pos, closeSize);
+            const pnlNet = pnl - fee.feeUsd + fundingUsd;
             const pnlPctNet = (notional > 0) ? (pnlNet / notional) * 100 : 0;
             const tradeId = crypto.randomUUID();
             const partialTrade = withDerivedTradeKpis({
@@ -1510,6 +1669,7 @@ function updateEngine(state, market, decision, nowTs) {
               feeUsd: fee.feeUsd,
               entryFeeUsd: fee.entryFeeUsd,
               exitFeeUsd: fee.exitFeeUsd,
+              fundingUsd,
               entryExecMode,
               exitExecMode,
               realizedPnlPctTrade: pnlPct,
@@ -1521,7 +1681,9 @@ function updateEngine(state, market, decision, nowTs) {
               exitSignal: 'tp1_partial',
               exitReasonDetail: `TP1 partial close (${Math.round(closeRatio * 100)}%)`,
               exitLabel: null,
-              latencyMs: null,
+              ...resolveEntryExecutionFields(pos),
+              ...resolveLegTradeFields(pos, closeSize, exitPx, { feeUsd: fee.feeUsd, fundingUsd }),
+              exitSlippageBps: exitFill.slippageBps,
               tpDistanceUsd: Number.isFinite(Number(pos.tpDistanceUsd)) ? Number(pos.tpDistanceUsd) : null,
               tpPx: Number.isFinite(Number(pos.tpPx)) ? Number(pos.tpPx) : null,
               tpMode: 'rail+split',
@@ -1548,7 +1710,7 @@ function updateEngine(state, market, decision, nowTs) {
               ...computeCounterfactualRegret(pos, market, pnlNet, tradeConfig),
               ...extractEntryDiag(pos.entryContext)
             });
-            appendTradeLog(partialTrade);
+            logTrade(partialTrade);
             updateTimeoutLossOnlyAlert(state, partialTrade, tradeConfig, nowTs);
             const plannedTp2 = Number(pos.entryContext?.plannedTp2);
             const plannedTpEdge = Number(pos.entryContext?.plannedTpEdge);
@@ -1565,6 +1727,8 @@ function updateEngine(state, market, decision, nowTs) {
             const newPosition = {
               ...pos,
               size: remainSize,
+              legs: shrinkPositionLegs(pos, remainSize),
+              fundingAccruedUsd: (Number(pos.fundingAccruedUsd) || 0) - fundingUsd,
               tp1Done: true,
               tpPx: Number.isFinite(nextTp) ? nextTp : pos.tpPx,
               tpMode: Number.isFinite(nextTp) ? 'rail+split+ladder' : 'rail+split',
@@ -1587,8 +1751,8 @@ function updateEngine(state, market, decision, nowTs) {
               },
               lastUpdate: nowTs
             };
-            emitDebugEngine(newState, { side: 'none', size: 0, reason: 'tp1_partial' });
-            emitEngineEvent('ENGINE_POSITION_UPDATE', {
+            emitDebug(newState, { side: 'none', size: 0, reason: 'tp1_partial' });
+            emitEvent('ENGINE_POSITION_UPDATE', {
               type: 'partial_exit',
               state: newState,
               ts: nowTs,
@@ -1605,6 +1769,17 @@ function updateEngine(state, market, decision, nowTs) {
       }
     }
 
+    // Liquidation cascade exit: 建玉と逆向きの清算連鎖が強いうちに保護決済
+    if (!exitDecision && liqCascadeAdj.exit) {
+      const exitSide = isLong ? 'sell' : 'buy';
+      exitDecision = { side: exitSide, size: pos.size, reason: 'liq_cascade_exit' };
+      depthExitState.lastSignal = 'liq_cascade_exit';
+      depthExitState.lastSignalAt = nowTs;
+      if (!shadow) {
+        appendLiqCascadeTrigger('protective_exit', liqCascadeAdj.cascade, liqCascadeTriggerDetail, String(pos.entryTs));
+      }
+    }
+
     // Flow-adaptive early take-profit: progressが乗った後に逆フロー/減速を検知したら利確
     if (!exitDecision) {
       const adaptiveTp = evaluateFlowAdaptiveTakeProfit(pos, market, tradeConfig, {
@@ -1788,7 +1963,10 @@ function updateEngine(state, market, decision, nowTs) {
         // 通常 EXIT ロギング（tp_hit / hard_sl_ratio など）
         // ─────────────────────────────────────────
         const entryPx = pos.entryPx;
-        const exitPx = midPx;
+        const entryExecMode = resolveExecMode(pos.entryExecMode, 'taker');
+        const exitExecMode = resolveExitExecModeForReason(exitDecision.reason, market, tradeConfig);
+        const exitFill = resolveExitFill(opts.fillModel, pos, pos.size, market, exitExecMode);
+        const exitPx = exitFill.px;
         const isLong = pos.side === 'buy';
         let pnl = 0;
         if (isLong) {
@@ -1798,10 +1976,9 @@ function updateEngine(state, market, decision, nowTs) {
         }
         const notional = entryPx * pos.size;
         const pnlPct = (notional > 0) ? (pnl / notional) * 100 : 0;
-        const entryExecMode = resolveExecMode(pos.entryExecMode, 'taker');
-        const exitExecMode = resolveExitExecModeForReason(exitDecision.reason, market, tradeConfig);
         const fee = estimateFeesUsd(notional, entryExecMode, exitExecMode, tradeConfig);
-        const pnlNet = pnl - fee.feeUsd;
+        const fundingUsd = fundingShareUsd(pos, pos.size);
+        const pnlNet = pnl - fee.feeUsd + fundingUsd;
         const pnlPctNet = (notional > 0) ? (pnlNet / notional) * 100 : 0;
         const tradeId = crypto.randomUUID();
         const tpMode = trackedTpStretchActiveAt ? 'rail+holdStretch' : 'rail';
@@ -1841,6 +2018,7 @@ function updateEngine(state, market, decision, nowTs) {
           feeUsd: fee.feeUsd,
           entryFeeUsd: fee.entryFeeUsd,
           exitFeeUsd: fee.exitFeeUsd,
+          fundingUsd,
           entryExecMode,
           exitExecMode,
           realizedPnlPctTrade: pnlPct,
@@ -1852,7 +2030,9 @@ function updateEngine(state, market, decision, nowTs) {
           exitSignal: exitReasonMapped.signal,
           exitReasonDetail: exitReasonMapped.detail,
           exitLabel: null,
-          latencyMs: null,
+          ...resolveEntryExecutionFields(pos),
+          ...resolveLegTradeFields(pos, pos.size, exitPx, { feeUsd: fee.feeUsd, fundingUsd }),
+          exitSlippageBps: exitFill.slippageBps,
           tpDistanceUsd: Number.isFinite(Number(pos.tpDistanceUsd)) ? Number(pos.tpDistanceUsd) : null,
           tpPx: Number.isFinite(trackedTpPx) ? Number(trackedTpPx) : (Number.isFinite(Number(pos.tpPx)) ? Number(pos.tpPx) : null),
           tpMode,
@@ -1877,6 +2057,9 @@ function updateEngine(state, market, decision, nowTs) {
           burstExitRateRatio: Number.isFinite(Number(burstExitCtx?.rateRatio)) ? Number(burstExitCtx.rateRatio) : null,
           burstExitFlowPressure: Number.isFinite(Number(burstExitCtx?.flowPressure5)) ? Number(burstExitCtx.flowPressure5) : null,
           burstExitStreak: Number.isFinite(Number(burstExitCtx?.streak)) ? Number(burstExitCtx.streak) : null,
+          liqCascadeSignal: liqCascadeDiag?.signal ?? null,
+          liqCascadeId: liqCascadeDiag?.cascadeId ?? null,
+          liqCascadeIntensity: Number.isFinite(Number(liqCascadeDiag?.intensity)) ? Number(liqCascadeDiag.intensity) : null,
           entryQualityRoutingApplied: entryQualityRoutingDiag ? true : false,
           entryQualityRoutingProfile: entryQualityRoutingDiag?.profile ?? null,
           entryQualityScoreAtExit: Number.isFinite(Number(entryQualityRoutingDiag?.entryQualityScore))
@@ -1928,7 +2111,7 @@ function updateEngine(state, market, decision, nowTs) {
         };
         
         const tradeWithKpi = withDerivedTradeKpis(trade);
-        appendTradeLog(tradeWithKpi, (err) => {
+        logTrade(tradeWithKpi, (err) => {
           if (err) {
             console.warn('[TRADE_LOG] failed to append trade log (normal exit)', err?.message || err);
             return;
@@ -1953,7 +2136,14 @@ function updateEngine(state, market, decision, nowTs) {
       depthExitState,
       worstPx,
       hitSoftAtTs,
-      maxAdverseRatio
+      maxAdverseRatio,
+      // executor/protectiveOrders.js が取引所側 trigger 注文をこの値へ追従させる
+      protection: resolveProtectionTargets(
+        pos,
+        Number.isFinite(trackedTpPx) ? Number(trackedTpPx) : Number(pos.tpPx),
+        hardRatioLimit,
+        tradeConfig
+      )
     };
     
     // normalExitLoggedThisTick は後段 Case4 の重複副作用抑止に利用する
@@ -1961,7 +2151,7 @@ function updateEngine(state, market, decision, nowTs) {
 
   if (typeof decision.size !== 'number' || decision.size < 0 || isNaN(decision.size)) {
     console.warn('[TEST Engine] Invalid decision.size:', decision.size);
-    emitEngineError(`[TEST Engine] Invalid decision.size: ${decision?.size}`);
+    emitError(`[TEST Engine] Invalid decision.size: ${decision?.size}`);
     const newState = {
       ...state,
       lastUpdate: nowTs,
@@ -1972,8 +2162,8 @@ function updateEngine(state, market, decision, nowTs) {
         decidedAt: nowTs
       }
     };
-    emitDebugEngine(newState, decision);
-    emitEngineEvent('ENGINE_ERROR', {
+    emitDebug(newState, decision);
+    emitEvent('ENGINE_ERROR', {
       type: 'size',
       message: `[TEST Engine] Invalid decision.size: ${decision?.size}`,
       ts: nowTs,
@@ -2002,8 +2192,8 @@ function updateEngine(state, market, decision, nowTs) {
       },
       lastUpdate: nowTs
     };
-    emitDebugEngine(newState, decision);
-    emitEngineEvent('ENGINE_POSITION_UPDATE', {
+    emitDebug(newState, decision);
+    emitEvent('ENGINE_POSITION_UPDATE', {
       type: 'none',
       state: newState,
       ts: nowTs,
@@ -2035,8 +2225,8 @@ function updateEngine(state, market, decision, nowTs) {
         },
         lastUpdate: nowTs
       };
-      emitDebugEngine(newState, { ...decision, side: 'none', size: 0, reason: blockReason });
-      emitEngineEvent('ENGINE_POSITION_UPDATE', {
+      emitDebug(newState, { ...decision, side: 'none', size: 0, reason: blockReason });
+      emitEvent('ENGINE_POSITION_UPDATE', {
         type: 'entry_skip',
         state: newState,
         ts: nowTs,
@@ -2069,8 +2259,8 @@ function updateEngine(state, market, decision, nowTs) {
         },
         lastUpdate: nowTs
       };
-      emitDebugEngine(newState, { ...decision, side: 'none', size: 0, reason: blockReason });
-      emitEngineEvent('ENGINE_POSITION_UPDATE', {
+      emitDebug(newState, { ...decision, side: 'none', size: 0, reason: blockReason });
+      emitEvent('ENGINE_POSITION_UPDATE', {
         type: 'entry_skip',
         state: newState,
         ts: nowTs,
@@ -2099,8 +2289,8 @@ function updateEngine(state, market, decision, nowTs) {
           },
           lastUpdate: nowTs
         };
-        emitDebugEngine(newState, { ...decision, side: 'none', size: 0, reason: blockReason });
-        emitEngineEvent('ENGINE_POSITION_UPDATE', {
+        emitDebug(newState, { ...decision, side: 'none', size: 0, reason: blockReason });
+        emitEvent('ENGINE_POSITION_UPDATE', {
           type: 'entry_skip',
           state: newState,
           ts: nowTs,
@@ -2134,8 +2324,8 @@ function updateEngine(state, market, decision, nowTs) {
         },
         lastUpdate: nowTs
       };
-      emitDebugEngine(newState, decision);
-      emitEngineEvent('ENGINE_POSITION_UPDATE', {
+      emitDebug(newState, decision);
+      emitEvent('ENGINE_POSITION_UPDATE', {
         type: 'entry_skip',
         state: newState,
         ts: nowTs,
@@ -2159,8 +2349,8 @@ function updateEngine(state, market, decision, nowTs) {
         },
         lastUpdate: nowTs
       };
-      emitDebugEngine(newState, decision);
-      emitEngineEvent('ENGINE_POSITION_UPDATE', {
+      emitDebug(newState, decision);
+      emitEvent('ENGINE_POSITION_UPDATE', {
         type: 'entry_skip',
         state: newState,
         ts: nowTs,
@@ -2185,7 +2375,7 @@ function updateEngine(state, market, decision, nowTs) {
       if (preEntryDepth.observeOnly) {
         decision.preEntryDepthCheck = preEntryDepth.diag;
         decision.preEntryDepthMode = 'observe_only';
-        emitEngineEvent('ENGINE_POSITION_UPDATE', {
+        emitEvent('ENGINE_POSITION_UPDATE', {
           type: 'entry_depth_observe',
           state,
           ts: nowTs,
@@ -2213,8 +2403,8 @@ function updateEngine(state, market, decision, nowTs) {
         },
         lastUpdate: nowTs
       };
-      emitDebugEngine(newState, skipDecision);
-      emitEngineEvent('ENGINE_POSITION_UPDATE', {
+      emitDebug(newState, skipDecision);
+      emitEvent('ENGINE_POSITION_UPDATE', {
         type: 'entry_skip',
         state: newState,
         ts: nowTs,
@@ -2253,6 +2443,23 @@ function updateEngine(state, market, decision, nowTs) {
       maxAdverseRatio: 0,
       bLogicRevision: BLOGIC_REVISION,
       entryExecMode: resolveExecMode(decision?.entryProfile?.mode, 'taker'),
+      // 実約定との突き合わせキー（executor の clientOrderId は DEC-<decisionId>）
+      entryDecisionId: typeof decision?.decisionId === 'string' ? decision.decisionId : null,
+      execution: null,
+      // エントリー脚（scale-in で増える。engine/positionLegs.js）
+      legs: [{
+        legId: 1,
+        decisionId: typeof decision?.decisionId === 'string' ? decision.decisionId : null,
+        entryPx: midPx,
+        size: effectiveSize,
+        initialSize: effectiveSize,
+        entryTs: nowTs,
+        entryExecMode: resolveExecMode(decision?.entryProfile?.mode, 'taker'),
+        reason: effectiveReason || null,
+        execution: null
+      }],
+      // 執行アルゴリズムの計画（exit は決済注文の payload.openPosition から executor が参照）
+      execAlgo: decision?.entryProfile?.execAlgo ?? null,
       depthExitAnchor,
       depthExitState: createDepthExitState(),
       // エントリー理由を固定保存（後段の上書きを防ぐ）
@@ -2368,8 +2575,8 @@ function updateEngine(state, market, decision, nowTs) {
       },
       lastUpdate: nowTs
     };
-    emitDebugEngine(newState, decision);
-    emitEngineEvent('ENGINE_POSITION_UPDATE', {
+    emitDebug(newState, decision);
+    emitEvent('ENGINE_POSITION_UPDATE', {
       type: 'entry',
       state: newState,
       ts: nowTs,
@@ -2382,29 +2589,67 @@ function updateEngine(state, market, decision, nowTs) {
   }
   
   // ────────────────────────
-  // Case 3: 同サイド (追加エントリーなし)
+  // Case 3: 同サイド (B2 の add のみ脚を追加、それ以外は保持)
   // ────────────────────────
   
   if (state.openPosition.side === side) {
+    let holdReason = reason || 'same_side_hold';
+    if (decision?.action === 'add') {
+      const pos = state.openPosition;
+      const limits = checkScaleInLimits(pos, size, midPx, tradeConfig?.scaleIn, nowTs);
+      if (limits.allowed) {
+        const newPosition = addPositionLeg(pos, {
+          decisionId: typeof decision?.decisionId === 'string' ? decision.decisionId : null,
+          entryPx: midPx,
+          size,
+          entryTs: nowTs,
+          entryExecMode: resolveExecMode(decision?.entryProfile?.mode, 'taker'),
+          reason: reason || 'scale_in'
+        }, { tpPx: Number(decision.tpPx) });
+        const newState = {
+          ...state,
+          openPosition: newPosition,
+          lastDecision: {
+            side,
+            size,
+            reason: reason || 'scale_in',
+            decidedAt: nowTs
+          },
+          lastUpdate: nowTs
+        };
+        emitDebug(newState, decision);
+        emitEvent('ENGINE_POSITION_UPDATE', {
+          type: 'scale_in',
+          state: newState,
+          ts: nowTs,
+          positionBefore: pos,
+          positionAfter: newPosition,
+          decision: { side, size, action: 'add' },
+          reason: reason || 'scale_in'
+        });
+        return newState;
+      }
+      holdReason = `scale_in_blocked:${limits.reason}`;
+    }
     const newState = {
       ...state,
       lastDecision: {
         side,
         size,
-        reason: reason || 'same_side_hold',
+        reason: holdReason,
         decidedAt: nowTs
       },
       lastUpdate: nowTs
     };
-    emitDebugEngine(newState, decision);
-    emitEngineEvent('ENGINE_POSITION_UPDATE', {
+    emitDebug(newState, decision);
+    emitEvent('ENGINE_POSITION_UPDATE', {
       type: 'hold',
       state: newState,
       ts: nowTs,
       positionBefore: state.openPosition,
       positionAfter: newState.openPosition,
       decision: { side, size, action: 'hold' },
-      reason: reason || 'same_side_hold'
+      reason: holdReason
     });
     return newState;
   }
@@ -2435,7 +2680,12 @@ function updateEngine(state, market, decision, nowTs) {
   //   • 重複ロギング: 決定木の構造により物理的に不可能 ✓
   //
   const pos = state.openPosition;
-  const exitPxRaw = Number(midPx);
+  // 通常 EXIT は上の trade レコードと同じ決済価格にする（紙約定の板は同じ tick なので同値）
+  const closeExecMode = decision?.isNormalExit === true
+    ? resolveExitExecModeForReason(reason, market, tradeConfig)
+    : 'taker';
+  const exitFill = resolveExitFill(opts.fillModel, pos, Number(pos.size), market, closeExecMode);
+  const exitPxRaw = Number(exitFill.px);
   const entryPxRaw = Number(pos.entryPx);
   const posSizeRaw = Number(pos.size);
   const validPnlInputs =
@@ -2467,7 +2717,8 @@ function updateEngine(state, market, decision, nowTs) {
   const entryExecMode = resolveExecMode(pos.entryExecMode, 'taker');
   const exitExecMode = 'taker';
   const fee = estimateFeesUsd(notional, entryExecMode, exitExecMode, tradeConfig);
-  const pnlNet = pnl - fee.feeUsd;
+  const fundingUsd = fundingShareUsd(pos, pos.size);
+  const pnlNet = pnl - fee.feeUsd + fundingUsd;
   const pnlPctNet = (notional > 0) ? (pnlNet / notional) * 100 : 0;
   // TradeRecord作成
   const tradeId = crypto.randomUUID();
@@ -2488,6 +2739,7 @@ function updateEngine(state, market, decision, nowTs) {
     feeUsd: fee.feeUsd,
     entryFeeUsd: fee.entryFeeUsd,
     exitFeeUsd: fee.exitFeeUsd,
+    fundingUsd,
     entryExecMode,
     exitExecMode,
     openedAt: pos.entryTs,
@@ -2559,6 +2811,7 @@ function updateEngine(state, market, decision, nowTs) {
       shortWins,
       apr7d,
       history7d,
+      fundingUsd: (state.stats.fundingUsd ?? 0) + fundingUsd,
       midPx: state.stats.midPx,
       prevMidPx: state.stats.prevMidPx,
       oi: state.stats.oi
@@ -2571,8 +2824,8 @@ function updateEngine(state, market, decision, nowTs) {
     },
     lastUpdate: nowTs
   };
-  emitDebugEngine(newState, decision);
-  emitEngineEvent('ENGINE_PNL_UPDATE', {
+  emitDebug(newState, decision);
+  emitEvent('ENGINE_PNL_UPDATE', {
     type: 'exit',
     trade,
     state: newState,
@@ -2634,6 +2887,7 @@ function updateEngine(state, market, decision, nowTs) {
       feeUsd: fee.feeUsd,
       entryFeeUsd: fee.entryFeeUsd,
       exitFeeUsd: fee.exitFeeUsd,
+      fundingUsd,
       entryExecMode,
       exitExecMode,
       realizedPnlPctTrade: pnlPct,
@@ -2645,7 +2899,9 @@ function updateEngine(state, market, decision, nowTs) {
         exitSignal: exitReasonMapped.signal,
         exitReasonDetail: exitReasonMapped.detail,
         exitLabel: null,
-        latencyMs: null,
+        ...resolveEntryExecutionFields(pos),
+        ...resolveLegTradeFields(pos, posSize, exitPx, { feeUsd: fee.feeUsd, fundingUsd }),
+        exitSlippageBps: exitFill.slippageBps,
         tpDistanceUsd: Number.isFinite(Number(pos.tpDistanceUsd)) ? Number(pos.tpDistanceUsd) : null,
         tpPx: Number.isFinite(Number(pos.tpPx)) ? Number(pos.tpPx) : null,
         tp2TrailMul: Number.isFinite(Number(pos.tp2TrailMul)) ? Number(pos.tp2TrailMul) : null,
@@ -2666,15 +2922,17 @@ function updateEngine(state, market, decision, nowTs) {
         ...computeCounterfactualRegret(pos, market, pnlNet, tradeConfig),
         ...extractEntryDiag(pos.entryContext)
       });
-    appendTradeLog(reverseExitTrade, (err) => {
+    logTrade(reverseExitTrade, (err) => {
         if (err) {
           console.warn('[TRADE_LOG] failed to append trade log', err?.message || err);
           return;
         }
       });
     updateTimeoutLossOnlyAlert(state, reverseExitTrade, tradeConfig, nowTs);
-    notifyLine(trade, newState.stats.realizedPnl);
-    checkWinRateMilestones(newState.stats.realizedPnl);
+    if (!shadow) {
+      notifyLine(trade, newState.stats.realizedPnl);
+      checkWinRateMilestones(newState.stats.realizedPnl);
+    }
   }
   return newState;
 }
@@ -2726,14 +2984,14 @@ function calculateAPR7d(history7d) {
   return apr - bias;
 }
 
-export { updateEngine, touchTick, evaluateSafety };
+export { updateEngine, touchTick, evaluateSafety, calculateAPR7d };
 
 function emitDebugEngine(state, decision) {
   try {
     const pos = state?.openPosition;
     bridgeEmitter.emit('debug-packet', {
       layer: 'engine',
-      ts: Date.now(),
+      ts: clockNow(),
       data: {
         decision: decision?.side || 'none',
         pnl: state?.stats?.realizedPnl,
@@ -2752,7 +3010,7 @@ function emitDebugEngine(state, decision) {
 
 function emitEngineError(message) {
   try {
-    bridgeEmitter.emit('debug-error', { layer: 'engine', message, ts: Date.now() });
+    bridgeEmitter.emit('debug-error', { layer: 'engine', message, ts: clockNow() });
   } catch (err) {
     console.error('[ENGINE] emitEngineError failed', err);
   }
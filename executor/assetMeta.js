@@ -0,0 +1,252 @@
+// Executor Asset Metadata Registry
+// Hyperliquid Info API (type: 'meta') の universe を読み込み、coin → asset index / szDecimals を解決する
+// - 起動時はディスクキャッシュ（または記録済み fixture）から同期ロード
+// - Live 発注前に ensureAssetMeta() で TTL 切れなら再取得（失敗時はキャッシュ継続）
+// - 価格/数量の丸めと最小注文額チェックを提供（buildOrder / hlAction から利用）
+
+import fs from 'fs';
+import path from 'path';
+import axios from 'axios';
+import {
+  HL_INFO_URL,
+  ASSET_META_CACHE_PATH,
+  ASSET_META_FIXTURE_PATH,
+  ASSET_META_TTL_MS,
+  HL_PERP_MAX_PRICE_DECIMALS,
+  HL_PRICE_SIG_FIGS,
+  HL_MIN_ORDER_NOTIONAL_USD,
+} from './config.js';
+import { logEvent } from './logger.js';
+
+const FETCH_TIMEOUT_MS = 4000;
+
+/**
+ * @typedef {Object} AssetInfo
+ * @property {string} coin
+ * @property {number} index - Hyperliquid asset index（universe 内の位置）
+ * @property {number} szDecimals
+ * @property {number|null} maxLeverage
+ * @property {boolean} isDelisted
+ */
+
+const registry = {
+  /** @type {Map<string, AssetInfo>} */
+  assets: new Map(),
+  fetchedAt: 0,
+  source: 'none',
+  inFlight: null,
+};
+
+function resolvePath(p) {
+  return path.isAbsolute(p) ? p : path.join(process.cwd(), p);
+}
+
+/**
+ * meta レスポンスを AssetInfo のマップに変換
+ * @param {any} meta - { universe: [{ name, szDecimals, maxLeverage, isDelisted? }] }
+ * @returns {Map<string, AssetInfo>|null}
+ */
+function parseMeta(meta) {
+  const universe = Array.isArray(meta?.universe) ? meta.universe : null;
+  if (!universe || universe.length === 0) return null;
+  const assets = new Map();
+  universe.forEach((entry, index) => {
+    const coin = typeof entry?.name === 'string' ? entry.name : null;
+    const szDecimals = Number(entry?.szDecimals);
+    if (!coin || !Number.isInteger(szDecimals) || szDecimals < 0) return;
+    const maxLeverage = Number(entry?.maxLeverage);
+    assets.set(coin, {
+      coin,
+      index,
+      szDecimals,
+      maxLeverage: Number.isFinite(maxLeverage) ? maxLeverage : null,
+      isDelisted: entry?.isDelisted === true,
+    });
+  });
+  return assets.size > 0 ? assets : null;
+}
+
+function applyMeta(meta, source, fetchedAt) {
+  const assets = parseMeta(meta);
+  if (!assets) return false;
+  registry.assets = assets;
+  registry.fetchedAt = fetchedAt;
+  registry.source = source;
+  return true;
+}
+
+function readJson(filePath) {
+  const raw = fs.readFileSync(filePath, 'utf8');
+  return JSON.parse(raw);
+}
+
+function loadFromDisk() {
+  if (ASSET_META_FIXTURE_PATH) {
+    try {
+      const fixture = readJson(resolvePath(ASSET_META_FIXTURE_PATH));
+      // fixture は常に新鮮扱い（再取得しない）
+      if (applyMeta(fixture?.meta ?? fixture, 'fixture', Number.POSITIVE_INFINITY)) return;
+    } catch (err) {
+      console.warn('[executor/assetMeta] fixture load failed:', err?.message || err);
+    }
+  }
+  try {
+    const cachePath = resolvePath(ASSET_META_CACHE_PATH);
+    if (!fs.existsSync(cachePath)) return;
+    const cached = readJson(cachePath);
+    const fetchedAt = Number.isFinite(cached?.fetchedAt) ? cached.fetchedAt : 0;
+    applyMeta(cached?.meta, 'cache', fetchedAt);
+  } catch (err) {
+    console.warn('[executor/assetMeta] cache load failed:', err?.message || err);
+  }
+}
+
+function persistCache(meta, fetchedAt) {
+  try {
+    const cachePath = resolvePath(ASSET_META_CACHE_PATH);
+    fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+    const tmpPath = `${cachePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ fetchedAt, meta }), 'utf8');
+    fs.renameSync(tmpPath, cachePath);
+  } catch (err) {
+    console.warn('[executor/assetMeta] cache persist failed:', err?.message || err);
+  }
+}
+
+loadFromDisk();
+
+/**
+ * Info API から meta を再取得してキャッシュを更新
+ * 失敗時は既存キャッシュを維持して例外を投げる
+ * @returns {Promise<{ count: number, fetchedAt: number, source: string }>}
+ */
+async function refreshAssetMeta() {
+  if (registry.inFlight) return registry.inFlight;
+  registry.inFlight = (async () => {
+    try {
+      const resp = await axios.post(HL_INFO_URL, { type: 'meta' }, {
+        timeout: FETCH_TIMEOUT_MS,
+        headers: { 'Content-Type': 'application/json' },
+      });
+      const fetchedAt = Date.now();
+      if (!applyMeta(resp.data, 'live', fetchedAt)) {
+        throw new Error('invalid meta response');
+      }
+      persistCache(resp.data, fetchedAt);
+      logEvent('executor.asset_meta.refreshed', { count: registry.assets.size, source: 'live' });
+      return { count: registry.assets.size, fetchedAt, source: registry.source };
+    } finally {
+      registry.inFlight = null;
+    }
+  })();
+  return registry.inFlight;
+}
+
+/**
+ * TTL 切れ / 未ロード時のみ再取得する
+ * 取得失敗でもキャッシュがあれば継続（キャッシュ無しなら false）
+ * @returns {Promise<boolean>} 利用可能なメタデータがあるか
+ */
+async function ensureAssetMeta() {
+  const age = Date.now() - registry.fetchedAt;
+  if (registry.assets.size > 0 && age < ASSET_META_TTL_MS) return true;
+  try {
+    await refreshAssetMeta();
+  } catch (err) {
+    logEvent('executor.asset_meta.refresh_failed', {
+      reason: err?.message || String(err),
+      cached: registry.assets.size,
+    });
+  }
+  return registry.assets.size > 0;
+}
+
+/**
+ * @param {string} coin
+ * @returns {AssetInfo|null}
+ */
+function getAssetInfo(coin) {
+  if (typeof coin !== 'string' || coin.length === 0) return null;
+  return registry.assets.get(coin) ?? null;
+}
+
+function getAssetMetaStatus() {
+  return {
+    count: registry.assets.size,
+    fetchedAt: registry.fetchedAt,
+    source: registry.source,
+  };
+}
+
+function roundToDecimals(value, decimals, mode) {
+  const factor = 10 ** decimals;
+  // 浮動小数誤差で 1 tick ずれないよう、丸め前に微小補正する
+  const scaled = Number((value * factor).toFixed(6));
+  if (mode === 'floor') return Math.floor(scaled) / factor;
+  if (mode === 'ceil') return Math.ceil(scaled) / factor;
+  return Math.round(scaled) / factor;
+}
+
+/**
+ * 数量を szDecimals に丸める
+ * @param {number} size
+ * @param {AssetInfo} info
+ * @param {'floor'|'round'} [mode='floor'] - エントリーはリスク超過を避けるため切り捨て
+ * @returns {number}
+ */
+function roundSize(size, info, mode = 'floor') {
+  if (!Number.isFinite(size) || size <= 0 || !info) return size;
+  return roundToDecimals(size, info.szDecimals, mode);
+}
+
+/**
+ * 価格を HL の tick ルールに丸める
+ * - 有効数字 HL_PRICE_SIG_FIGS 桁（整数価格は桁数に関わらず許可）
+ * - 小数桁は HL_PERP_MAX_PRICE_DECIMALS - szDecimals まで
+ * @param {number} price
+ * @param {AssetInfo} info
+ * @param {'floor'|'ceil'|'round'} [mode='round']
+ * @returns {number}
+ */
+function roundPrice(price, info, mode = 'round') {
+  if (!Number.isFinite(price) || price <= 0 || !info) return price;
+  const maxDecimals = Math.max(0, HL_PERP_MAX_PRICE_DECIMALS - info.szDecimals);
+  const magnitude = Math.floor(Math.log10(price));
+  const sigDecimals = Math.max(0, HL_PRICE_SIG_FIGS - 1 - magnitude);
+  const decimals = Math.min(maxDecimals, sigDecimals);
+  return roundToDecimals(price, decimals, mode);
+}
+
+/**
+ * Wire 形式の数値文字列（末尾ゼロなし・指数表記なし）
+ * @param {number} value
+ * @returns {string}
+ */
+function toWireString(value) {
+  const fixed = Number(value).toFixed(8);
+  const trimmed = fixed.replace(/\.?0+$/, '');
+  return trimmed === '-0' ? '0' : trimmed;
+}
+
+/**
+ * 最小注文額（USD）を満たすか
+ * @param {number} price
+ * @param {number} size
+ * @returns {boolean}
+ */
+function meetsMinNotional(price, size) {
+  if (!Number.isFinite(price) || !Number.isFinite(size)) return false;
+  return price * size >= HL_MIN_ORDER_NOTIONAL_USD;
+}
+
+export {
+  refreshAssetMeta,
+  ensureAssetMeta,
+  getAssetInfo,
+  getAssetMetaStatus,
+  roundSize,
+  roundPrice,
+  toWireString,
+  meetsMinNotional,
+  parseMeta,
+};
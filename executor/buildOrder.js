@@ -1,5 +1,6 @@
 // 変換のみ：ExecutorPayload -> Hyperliquid注文構造体
 // 新しい判定や計算は禁止。I/Oが決めた値をそのまま詰め替え。
+// 例外：取引所ルールへの適合（asset index 解決・tick/lot 丸め・最小注文額）は assetMeta に従う。
 
 /**
  * ExecutorPayload 例（io/types.ts 準拠想定）
@@ -25,11 +26,15 @@
  *   type: 'limit',
  *   leverage: number | undefined,
  *   clientOrderId: string,
- *   ts: number
+ *   ts: number,
+ *   assetIndex: number | null, // meta 未ロード時は null
+ *   szDecimals: number | null,
+ *   belowMinNotional: boolean
  * }
  */
 
 import { v4 as uuidv4 } from 'uuid';
+import { getAssetInfo, roundPrice, roundSize, meetsMinNotional } from './assetMeta.js';
 
 function toNumberSafe(n) {
   if (typeof n === 'number' && Number.isFinite(n)) return n;
@@ -89,12 +94,23 @@ function buildOrder(payload, ctx) {
     adaptivePrice = side === 'buy' ? (ask !== undefined ? ask : mid) : (bid !== undefined ? bid : mid);
   }
   const priceCandidate = px !== undefined ? px : adaptivePrice;
-  const price = Number.isFinite(priceCandidate) ? priceCandidate : (Number.isFinite(mid) ? mid : undefined);
+  const rawPrice = Number.isFinite(priceCandidate) ? priceCandidate : (Number.isFinite(mid) ? mid : undefined);
+
+  // 取引所メタデータで丸め（maker は板の内側に入らない向き、それ以外は約定しやすい向き）
+  const intent = payload && payload.intent ? payload.intent : undefined;
+  const assetInfo = getAssetInfo(symbol);
+  const passive = modeRaw === 'maker';
+  const priceMode = side === 'buy' ? (passive ? 'floor' : 'ceil') : (passive ? 'ceil' : 'floor');
+  const price = assetInfo && rawPrice !== undefined ? roundPrice(rawPrice, assetInfo, priceMode) : rawPrice;
+  const roundedSize = assetInfo && size !== undefined
+    ? roundSize(size, assetInfo, intent === 'exit' ? 'round' : 'floor')
+    : size;
+  const belowMinNotional = intent !== 'exit' && assetInfo !== null && !meetsMinNotional(price, roundedSize);
 
   return {
     symbol,
     side,
-    size,
+    size: roundedSize,
     price,
     type: 'limit',
     orderType,
@@ -102,7 +118,10 @@ function buildOrder(payload, ctx) {
     clientOrderId,
     ts: payload && payload.timestamp ? Number(payload.timestamp) : Date.now(),
     strength: payload && payload.strength ? payload.strength : undefined,
-    intent: payload && payload.intent ? payload.intent : undefined,
+    intent,
+    assetIndex: assetInfo ? assetInfo.index : null,
+    szDecimals: assetInfo ? assetInfo.szDecimals : null,
+    belowMinNotional,
     meta: payload && payload.meta ? payload.meta : undefined,
     entryProfile: entryProfile || undefined,
     pricePolicy: modeRaw || 'default',
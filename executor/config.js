@@ -3,9 +3,12 @@
 
 /**
  * Live モード有効化コインリスト
- * BTC のみ Live 発注許可、HYPE は将来用（現在は無効化）
+ * LIVE_ENABLED_COINS=BTC,ETH のようにカンマ区切りで指定（未指定時は BTC のみ）
  */
-export const LIVE_ENABLED_COINS = ['BTC'];
+export const LIVE_ENABLED_COINS = (process.env.LIVE_ENABLED_COINS || 'BTC')
+  .split(',')
+  .map(c => c.trim().toUpperCase())
+  .filter(Boolean);
 
 /**
  * SignerAdapter の URL
@@ -21,10 +24,70 @@ export const HL_MAINNET = (process.env.HL_MAINNET || 'true').toLowerCase() === '
 
 /**
  * Hyperliquid API エンドポイント
+ * HL_API_URL 指定時はそちらを優先（ローカル Mock 取引所: scripts/ops/mock_hl_exchange.js）
  */
-export const HL_API_URL = HL_MAINNET 
+export const HL_API_URL = process.env.HL_API_URL || (HL_MAINNET
   ? 'https://api.hyperliquid.xyz'
-  : 'https://api.hyperliquid-testnet.xyz';
+  : 'https://api.hyperliquid-testnet.xyz');
+
+/**
+ * Hyperliquid Info API エンドポイント（meta / clearinghouseState 等）
+ */
+export const HL_INFO_URL = process.env.HL_INFO_URL || `${HL_API_URL}/info`;
+
+/**
+ * 取引アカウント（openOrders / clearinghouseState 照会用）
+ * core/balanceFetcher.js と同じ環境変数を参照する
+ */
+export const HL_USER_ADDRESS = process.env.HL_USER_ADDR || process.env.HL_ADDRESS || '';
+
+/**
+ * 資産メタデータ（meta.universe）のディスクキャッシュ
+ * HL_ASSET_META_FIXTURE を指定すると記録済み meta レスポンスから読み込む（オフライン検証用）
+ */
+export const ASSET_META_CACHE_PATH = process.env.HL_ASSET_META_CACHE_PATH || 'ws/asset_meta.json';
+export const ASSET_META_FIXTURE_PATH = process.env.HL_ASSET_META_FIXTURE || '';
+export const ASSET_META_TTL_MS = Number.parseInt(process.env.HL_ASSET_META_TTL_MS ?? String(6 * 60 * 60 * 1000), 10);
+
+/**
+ * Perp 注文の価格/数量ルール
+ * - 価格: 有効数字5桁まで、かつ小数桁は (6 - szDecimals) まで（整数価格は常に許可）
+ * - 数量: szDecimals 桁まで
+ * - 最小注文額: 10 USD（reduceOnly の決済は対象外）
+ */
+export const HL_PERP_MAX_PRICE_DECIMALS = 6;
+export const HL_PRICE_SIG_FIGS = 5;
+export const HL_MIN_ORDER_NOTIONAL_USD = 10;
+
+/**
+ * 取引所側の保護注文（reduce-only の SL / TP trigger 注文）
+ * - スリッページ: 成行 trigger の約定上限価格を triggerPx から何割離すか
+ * - 再設定の閾値: triggerPx の変化がこの bps 未満なら modify しない
+ * - 最小間隔: 同一銘柄の modify 間隔（engine の毎 tick 追従で API を叩きすぎないため）
+ */
+export const PROTECTIVE_ORDERS_PATH = process.env.PROTECTIVE_ORDERS_PATH || 'ws/protective_orders.json';
+export const PROTECTIVE_SLIPPAGE_RATIO = Number(process.env.PROTECTIVE_SLIPPAGE_RATIO ?? 0.05);
+export const PROTECTIVE_REPRICE_MIN_BPS = Number(process.env.PROTECTIVE_REPRICE_MIN_BPS ?? 2);
+export const PROTECTIVE_SYNC_MIN_INTERVAL_MS = Number.parseInt(process.env.PROTECTIVE_SYNC_MIN_INTERVAL_MS ?? '3000', 10);
+
+/**
+ * 署名方式
+ * - adapter: 外部 SignerAdapter（SIGNER_ADAPTER_URL/sign）
+ * - builtin: プロセス内署名（executor/hlSigner.js、暗号化 keystore の agent 鍵）
+ */
+export const SIGNER_MODE = process.env.SIGNER_MODE === 'builtin' ? 'builtin' : 'adapter';
+
+/**
+ * 内蔵署名の agent 鍵 keystore とパスワード（パスワードはファイル指定を優先）
+ */
+export const SIGNER_KEYSTORE_PATH = process.env.SIGNER_KEYSTORE_PATH || 'secrets/agent_keystore.json';
+export const SIGNER_KEYSTORE_PASSWORD = process.env.SIGNER_KEYSTORE_PASSWORD || '';
+export const SIGNER_KEYSTORE_PASSWORD_FILE = process.env.SIGNER_KEYSTORE_PASSWORD_FILE || '';
+
+/**
+ * 内蔵署名の起動時自己検証に使うテストベクタ
+ */
+export const SIGNER_TEST_VECTORS_PATH = process.env.SIGNER_TEST_VECTORS_PATH || 'executor/fixtures/hl_signing_vectors.json';
 
 /**
  * SignerAdapter リクエストタイムアウト（ms）
@@ -44,6 +107,22 @@ export default {
   SIGNER_ADAPTER_URL,
   HL_MAINNET,
   HL_API_URL,
+  HL_INFO_URL,
+  HL_USER_ADDRESS,
+  ASSET_META_CACHE_PATH,
+  ASSET_META_FIXTURE_PATH,
+  ASSET_META_TTL_MS,
+  HL_PERP_MAX_PRICE_DECIMALS,
+  HL_PRICE_SIG_FIGS,
+  HL_MIN_ORDER_NOTIONAL_USD,
+  PROTECTIVE_ORDERS_PATH,
+  PROTECTIVE_SLIPPAGE_RATIO,
+  PROTECTIVE_REPRICE_MIN_BPS,
+  PROTECTIVE_SYNC_MIN_INTERVAL_MS,
+  SIGNER_MODE,
+  SIGNER_KEYSTORE_PATH,
+  SIGNER_KEYSTORE_PASSWORD_FILE,
+  SIGNER_TEST_VECTORS_PATH,
   SIGNER_TIMEOUT_MS,
   SIGNER_MAX_RETRIES,
   SIGNER_RETRY_DELAY_MS,
@@ -51,7 +51,7 @@ function confirmOrder(apiResponse, ctx) {
     };
   }
 
-  const d = apiResponse.data || {};
+  const d = normalizeHlResponse(apiResponse.data || {});
   const status = mapStatus(d);
 
   // Live mode: ack (filled) or reject ログ
@@ -106,7 +106,10 @@ function confirmOrder(apiResponse, ctx) {
       
       // HL reject 時の Safety Halt
       // TODO: Step 7 E2E で d.rejectReason の実際の値を確認、fatal のみ Safety Halt にする
-      triggerSafetyHalt('hl_reject', `Order rejected by HL: ${d.rejectReason || 'unknown'}`);
+      // Alo/Ioc の不成立は通常運転の範囲なので止めない
+      if (!isBenignReject(d.rejectReason)) {
+        triggerSafetyHalt('hl_reject', `Order rejected by HL: ${d.rejectReason || 'unknown'}`);
+      }
     }
   }
 
@@ -123,12 +126,70 @@ function confirmOrder(apiResponse, ctx) {
   };
 }
 
+// Alo の即時約定拒否 / Ioc の不成立（HL の statuses[].error 文言）
+const BENIGN_REJECT_PATTERNS = [
+  /post only order would have immediately matched/i,
+  /could not immediately match/i,
+];
+
+function isBenignReject(reason) {
+  if (typeof reason !== 'string') return false;
+  return BENIGN_REJECT_PATTERNS.some((re) => re.test(reason));
+}
+
+/**
+ * HL /exchange 応答（statuses 配列）を mapStatus が読めるフラットな形に寄せる
+ * 子注文（分割）の集計: 全 filled → filled / 一部 filled → partial / resting あり → resting / 全 error → rejected
+ */
+function normalizeHlResponse(d) {
+  if (d && d.status === 'err') {
+    return { status: 'rejected', rejectReason: typeof d.response === 'string' ? d.response : 'unknown' };
+  }
+  const statuses = d?.response?.data?.statuses;
+  if (!Array.isArray(statuses) || statuses.length === 0) return d;
+  let filledSize = 0;
+  let filledNotional = 0;
+  let filledCount = 0;
+  let restingCount = 0;
+  const errors = [];
+  const oids = [];
+  for (const st of statuses) {
+    if (st?.filled) {
+      const sz = Number(st.filled.totalSz);
+      const px = Number(st.filled.avgPx);
+      if (Number.isFinite(sz) && Number.isFinite(px)) {
+        filledSize += sz;
+        filledNotional += sz * px;
+      }
+      filledCount += 1;
+      if (st.filled.oid !== undefined) oids.push(st.filled.oid);
+    } else if (st?.resting) {
+      restingCount += 1;
+      if (st.resting.oid !== undefined) oids.push(st.resting.oid);
+    } else if (st?.error) {
+      errors.push(String(st.error));
+    }
+  }
+  const out = {
+    orderId: oids.length > 0 ? oids.join(',') : '',
+    price: filledSize > 0 ? filledNotional / filledSize : undefined,
+    filledSize,
+    rejectReason: errors.length > 0 ? errors.join('; ') : undefined,
+  };
+  if (filledCount === statuses.length) return { ...out, status: 'filled', size: filledSize };
+  if (filledSize > 0) return { ...out, status: 'partial' };
+  if (restingCount > 0) return { ...out, status: 'resting' };
+  return { ...out, status: 'rejected' };
+}
+
 function mapStatus(d) {
   // API 構造の例に基づく単純化したマッピング
   // filled 判定: d.filled === true or d.status === 'filled'
   if (d && (d.filled === true || d.status === 'filled')) return 'filled';
   // partial 判定: status=partial もしくは filledSize が size 未満で正数
   if (d && (d.status === 'partial' || (Number.isFinite(d.filledSize) && Number.isFinite(d.size) && d.filledSize > 0 && d.filledSize < d.size))) return 'partial';
+  // resting 判定: 板に載った（約定は orderTracker が userFills で追跡）
+  if (d && d.status === 'resting') return 'resting';
   // expired 判定: d.status === 'expired' | 'canceled'
   if (d && (d.status === 'expired' || d.status === 'canceled')) return 'expired';
   // rejected 判定: d.status === 'rejected' | 'denied'
@@ -0,0 +1,428 @@
+// Executor 執行アルゴリズム：TWAP / iceberg / post-only chase
+// - 計画は decision（entryProfile.execAlgo.entry）か engine の建玉（openPosition.execAlgo.exit）に載って届く
+//   （capitalStages の帯ごとに minNotionalUsd 以上の注文だけ。パラメータは決定時点の trade.json execAlgo）
+// - 親注文（DEC-<decisionId>）を orderTracker に algo 付きで登録し、子注文を時間をかけて addChildOrder → 送信
+//   子注文の約定は親に集計され、ORDER_LIFECYCLE_UPDATE で engine の 1 ポジション（平均約定価格）に反映される
+// - 期限までに約定しきらなければ残りを IOC で取りに行く（fallback.slippageBps = 開始時の mid からの上限）
+//   子注文が全部確定（取消した子は確定後に settle 窓も待つ）してから残りを測る。drift で止めた場合は取りに行かない
+// - 板は ctx.getMarket(coin) → { bid, ask, mid }（無ければ payload.market のまま）
+// - 送信 / 取消 / 変更は deps.serialize 経由（index.js の live キューに載せる）
+
+import { runAction, cancelByCloidCore, modifyOrdersCore } from './orderActions.js';
+import { buildHlChildOrderAction } from './hlAction.js';
+import {
+  trackOrder,
+  addChildOrder,
+  finishAlgo,
+  applyOrderAck,
+  getExecutionSummary,
+  getTrackedOrder,
+  toHlCloid,
+} from './orderTracker.js';
+import { getAssetInfo, roundSize, meetsMinNotional } from './assetMeta.js';
+import { logEvent } from './logger.js';
+
+const ALGO_NAMES = ['twap', 'iceberg', 'chase'];
+const SIZE_EPS = 1e-9;
+const WAIT_STEP_MS = 250;
+// fallback IOC の ack / fill を待つ時間（取消した子注文の遅れた userFills もこの時間だけ待つ）
+const FALLBACK_SETTLE_MS = 2000;
+// 取消後、子注文の確定（orderUpdates）を待つ上限。超えたら残りが読めないので IOC は出さない
+const CHILD_SETTLE_TIMEOUT_MS = 10_000;
+
+/** clientOrderId → 実行中の job */
+const running = new Map();
+
+function toNum(v) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * payload から使う algo の指定を取り出す（無ければ null = 通常の一括発注）
+ * payload.execAlgo（明示指定）> entry は entryProfile.execAlgo.entry / exit は建玉の execAlgo.exit
+ * @param {any} payload intent 解決済みの ExecutorPayload
+ * @returns {{ algo: 'twap'|'iceberg'|'chase', [key: string]: any }|null}
+ */
+function resolveExecAlgoSpec(payload) {
+  const position = payload?.openPosition
+    ?? payload?.position
+    ?? payload?.engineState?.openPosition
+    ?? null;
+  const spec = payload?.execAlgo
+    ?? (payload?.intent === 'exit' ? position?.execAlgo?.exit : payload?.entryProfile?.execAlgo?.entry)
+    ?? null;
+  if (!spec || !ALGO_NAMES.includes(spec.algo)) return null;
+  return spec;
+}
+
+function resolveTouch(job) {
+  const live = typeof job.ctx?.getMarket === 'function' ? job.ctx.getMarket(job.coin) : null;
+  const market = live ?? job.market ?? {};
+  const bid = toNum(market.bid ?? market.bestBid ?? market.bestBidPx);
+  const ask = toNum(market.ask ?? market.bestAsk ?? market.bestAskPx);
+  const mid = toNum(market.mid ?? market.midPx) ?? (bid !== null && ask !== null ? (bid + ask) / 2 : null);
+  return { bid, ask, mid };
+}
+
+/**
+ * 自分の側の最良気配（買いは bid）と反対側（買いは ask）
+ */
+function sideTouch(job, touch) {
+  const isBuy = job.side === 'buy';
+  return {
+    passive: isBuy ? touch.bid : touch.ask,
+    aggressive: isBuy ? touch.ask : touch.bid,
+  };
+}
+
+function remainingSize(job) {
+  const summary = getExecutionSummary(job.clientOrderId);
+  if (!summary) return 0;
+  return Math.max(0, job.size - summary.filledSize);
+}
+
+function isOrderTerminal(job) {
+  return getExecutionSummary(job.clientOrderId)?.terminal === true;
+}
+
+function shouldStop(job) {
+  if (job.stopReason) return true;
+  if (job.deps.isHalted()) {
+    job.stopReason = 'halted';
+    return true;
+  }
+  return isOrderTerminal(job) || remainingSize(job) <= SIZE_EPS;
+}
+
+/**
+ * ms 待つ（止める条件が立ったら途中で戻る）
+ */
+async function wait(job, ms) {
+  const until = Date.now() + ms;
+  while (Date.now() < until) {
+    if (shouldStop(job)) return;
+    await sleep(Math.min(WAIT_STEP_MS, until - Date.now()));
+  }
+}
+
+function childStatus(job, cloid) {
+  if (!cloid) return null;
+  const rec = getTrackedOrder(job.clientOrderId);
+  return rec?.children?.find(c => c.cloid === cloid)?.status ?? null;
+}
+
+function isChildAlive(job, cloid) {
+  const status = childStatus(job, cloid);
+  return status === 'pending' || status === 'resting';
+}
+
+function hasLiveChildren(job) {
+  const rec = getTrackedOrder(job.clientOrderId);
+  return (rec?.children ?? []).some(c => c.status === 'pending' || c.status === 'resting');
+}
+
+/**
+ * 子注文が全部確定するまで待つ。取消を出した子は確定後さらに FALLBACK_SETTLE_MS だけ遅れた約定を待つ
+ * （Alo が取消前に約定していて userFills が未着だと、残りを多く見積もって二重に取りに行くため）
+ * @returns {Promise<boolean>} 確定できたら true
+ */
+async function settleChildren(job) {
+  const until = Date.now() + CHILD_SETTLE_TIMEOUT_MS;
+  let settledAt = null;
+  while (Date.now() < until) {
+    if (hasLiveChildren(job)) {
+      settledAt = null;
+    } else {
+      settledAt = settledAt ?? Date.now();
+      if (!job.cancelSent || Date.now() - settledAt >= FALLBACK_SETTLE_MS) return true;
+    }
+    if (isOrderTerminal(job)) return true;
+    await sleep(WAIT_STEP_MS);
+  }
+  return false;
+}
+
+/**
+ * 子注文を 1 件送る。lot 丸め後にゼロ / 最小注文額未満（エントリー）なら送らない
+ * @returns {Promise<string|null>} cloid
+ */
+async function sendChild(job, { size, price, tif }) {
+  const info = getAssetInfo(job.coin);
+  const isExit = job.intent === 'exit';
+  const sz = info ? roundSize(size, info, isExit ? 'round' : 'floor') : size;
+  if (!(sz > 0) || !(price > 0)) return null;
+  if (!isExit && info && !meetsMinNotional(price, sz)) {
+    // 残りが最小注文額に届かない：これ以上は出せないので終える
+    job.stopReason = job.stopReason ?? 'below_min_notional';
+    return null;
+  }
+  job.childSeq += 1;
+  const cloid = toHlCloid(job.clientOrderId, job.childSeq);
+  const child = { side: job.side, size: sz, price, tif, intent: job.intent, assetIndex: job.assetIndex };
+  addChildOrder(job.clientOrderId, { cloid, size: sz, price, tif });
+  const result = await job.deps.serialize(() => runAction(
+    `algo_${job.algo}`,
+    () => buildHlChildOrderAction(child, job.coin, cloid).action,
+    1,
+    job.ctx,
+    { coin: job.coin }
+  ));
+  const statuses = result.statuses.length > 0 ? result.statuses : [{ error: result.error || 'send failed' }];
+  applyOrderAck(job.clientOrderId, { response: { data: { statuses } } }, { cloids: [cloid] });
+  job.lastChild = { cloid, price, tif };
+  return cloid;
+}
+
+async function cancelChild(job, cloid) {
+  if (!isChildAlive(job, cloid)) return;
+  job.cancelSent = true;
+  await job.deps.serialize(() => cancelByCloidCore([{ coin: job.coin, cloid }], job.ctx));
+}
+
+/**
+ * 残りを開始時の mid から slippageBps までの IOC で取りに行く
+ */
+async function runFallback(job) {
+  const fallback = job.spec.fallback ?? {};
+  // 外から止められた（決済・全キャンセル・フラット化）/ Halt 中は取りに行かない
+  if (fallback.ioc === false || job.stoppedExternally || job.stopReason === 'halted') return;
+  // 不利方向に drift した後の開始時 mid 基準の IOC は、追わないと決めた価格を取りに行くことになる
+  if (job.stopReason === 'drift') return;
+  if (isOrderTerminal(job)) return;
+  if (!(await settleChildren(job))) {
+    job.fallbackSkipped = 'children_unsettled';
+    return;
+  }
+  if (isOrderTerminal(job) || job.deps.isHalted()) return;
+  const remaining = remainingSize(job);
+  const refPx = job.arrivalMid;
+  if (!(remaining > SIZE_EPS) || !(refPx > 0)) return;
+  const bps = Math.max(0, toNum(fallback.slippageBps) ?? 20) / 10000;
+  const price = job.side === 'buy' ? refPx * (1 + bps) : refPx * (1 - bps);
+  const cloid = await sendChild(job, { size: remaining, price, tif: 'Ioc' });
+  if (!cloid) return;
+  job.fallbackUsed = true;
+  // IOC は ack で確定するが、約定は userFills で遅れて届くことがある
+  const until = Date.now() + FALLBACK_SETTLE_MS;
+  while (Date.now() < until && isChildAlive(job, cloid) && !isOrderTerminal(job)) {
+    await sleep(WAIT_STEP_MS);
+  }
+}
+
+/**
+ * TWAP：durationMs を slices 等分し、各スライスで残り / 残りスライス数を IOC（反対側 + sliceSlippageBps）
+ */
+async function runTwap(job) {
+  const spec = job.spec;
+  const durationMs = Math.max(1000, toNum(spec.durationMs) ?? 60_000);
+  let slices = Math.max(1, Math.floor(toNum(spec.slices) ?? 6));
+  // 1 スライスが最小注文額を満たす数まで減らす（hlAction の分割と同じ考え方）
+  while (job.intent !== 'exit' && slices > 1 && job.arrivalMid > 0 && !meetsMinNotional(job.arrivalMid, job.size / slices)) {
+    slices -= 1;
+  }
+  const intervalMs = durationMs / slices;
+  const bps = Math.max(0, toNum(spec.sliceSlippageBps) ?? 8) / 10000;
+  for (let i = 0; i < slices; i++) {
+    if (shouldStop(job)) return;
+    const { aggressive } = sideTouch(job, resolveTouch(job));
+    if (aggressive > 0) {
+      const size = remainingSize(job) / (slices - i);
+      const price = job.side === 'buy' ? aggressive * (1 + bps) : aggressive * (1 - bps);
+      await sendChild(job, { size, price, tif: 'Ioc' });
+    }
+    await wait(job, intervalMs);
+  }
+  if (!shouldStop(job)) job.stopReason = 'deadline';
+}
+
+/**
+ * iceberg：自分の側の最良気配に visibleNotionalUsd ぶんだけ Alo で見せ、約定したら次を出す
+ */
+async function runIceberg(job) {
+  const spec = job.spec;
+  const deadline = job.startedAt + Math.max(1000, toNum(spec.deadlineMs) ?? 90_000);
+  const refreshMs = Math.max(200, toNum(spec.refreshMs) ?? 1000);
+  const visibleUsd = Math.max(10, toNum(spec.visibleNotionalUsd) ?? 500);
+  let current = null;
+  while (Date.now() < deadline && !shouldStop(job)) {
+    if (!isChildAlive(job, current)) {
+      const { passive } = sideTouch(job, resolveTouch(job));
+      if (passive > 0) {
+        const size = Math.min(visibleUsd / passive, remainingSize(job));
+        current = await sendChild(job, { size, price: passive, tif: 'Alo' });
+      }
+    }
+    await wait(job, Math.min(refreshMs, Math.max(0, deadline - Date.now())));
+  }
+  await cancelChild(job, current);
+  if (!shouldStop(job)) job.stopReason = 'deadline';
+}
+
+/**
+ * post-only chase：Alo を最良気配に置き、気配が動いたら modify で追う
+ * 開始時の気配から不利方向に maxDriftBps を超えて動いたら追うのをやめる
+ */
+async function runChase(job) {
+  const spec = job.spec;
+  const deadline = job.startedAt + Math.max(1000, toNum(spec.deadlineMs) ?? 45_000);
+  const repriceMs = Math.max(200, toNum(spec.repriceMs) ?? 1500);
+  const maxDriftBps = Math.max(0, toNum(spec.maxDriftBps) ?? 15);
+  const startPx = sideTouch(job, resolveTouch(job)).passive;
+  const sign = job.side === 'buy' ? 1 : -1;
+  let current = null;
+  while (Date.now() < deadline && !shouldStop(job)) {
+    const { passive } = sideTouch(job, resolveTouch(job));
+    if (passive > 0 && startPx > 0) {
+      const driftBps = sign * ((passive - startPx) / startPx) * 10000;
+      if (driftBps > maxDriftBps) {
+        job.stopReason = 'drift';
+        job.driftBps = driftBps;
+        break;
+      }
+      if (!isChildAlive(job, current)) {
+        current = await sendChild(job, { size: remainingSize(job), price: passive, tif: 'Alo' });
+      } else if (passive !== job.lastChild?.price) {
+        const result = await job.deps.serialize(() => modifyOrdersCore([{ clientOrderId: job.clientOrderId, price: passive }], job.ctx));
+        if (result.ok) {
+          job.lastChild = { ...job.lastChild, price: passive };
+          job.reprices += 1;
+        }
+      }
+    }
+    await wait(job, Math.min(repriceMs, Math.max(0, deadline - Date.now())));
+  }
+  await cancelChild(job, current);
+  if (!shouldStop(job)) job.stopReason = 'deadline';
+}
+
+const RUNNERS = { twap: runTwap, iceberg: runIceberg, chase: runChase };
+
+async function runJob(job) {
+  try {
+    await RUNNERS[job.algo](job);
+    await runFallback(job);
+  } catch (err) {
+    job.stopReason = job.stopReason ?? 'error';
+    logEvent('executor.exec_algo.error', { clientOrderId: job.clientOrderId, algo: job.algo, reason: err?.message || String(err) });
+  } finally {
+    running.delete(job.clientOrderId);
+    const filled = remainingSize(job) <= SIZE_EPS;
+    const reason = filled ? 'completed' : (job.stopReason ?? 'deadline');
+    const summary = finishAlgo(job.clientOrderId, reason);
+    logEvent('executor.exec_algo.done', {
+      clientOrderId: job.clientOrderId,
+      coin: job.coin,
+      algo: job.algo,
+      intent: job.intent,
+      reason,
+      children: job.childSeq,
+      reprices: job.reprices,
+      fallbackUsed: job.fallbackUsed,
+      fallbackSkipped: job.fallbackSkipped,
+      driftBps: job.driftBps ?? null,
+      requestedSize: job.size,
+      filledSize: summary?.filledSize ?? null,
+      avgPx: summary?.avgPx ?? null,
+      elapsedMs: Date.now() - job.startedAt,
+    });
+  }
+}
+
+/**
+ * 親注文を登録して algo を開始する（完了を待たずに受付時点のサマリを返す）
+ * @param {any} order buildOrder の出力（size = 目標数量）
+ * @param {{ algo: string }} spec resolveExecAlgoSpec の戻り値
+ * @param {{ ctx: any, market?: any, decisionId?: string|null, serialize: (task: () => Promise<any>) => Promise<any>, isHalted: () => boolean }} deps
+ * @returns {ReturnType<typeof getExecutionSummary>}
+ */
+function startExecAlgo(order, spec, deps) {
+  if (running.has(order.clientOrderId)) return getExecutionSummary(order.clientOrderId);
+  // 親注文の tif は modify（chase の追従）で使われるので algo の子注文に合わせる
+  const tif = spec.algo === 'twap' ? 'Ioc' : 'Alo';
+  trackOrder({ ...order, orderType: { limit: { tif } } }, { algo: spec.algo, decisionId: deps.decisionId ?? null });
+  const job = {
+    clientOrderId: order.clientOrderId,
+    coin: order.symbol,
+    side: order.side,
+    intent: order.intent === 'exit' ? 'exit' : 'entry',
+    size: order.size,
+    assetIndex: order.assetIndex,
+    algo: spec.algo,
+    spec,
+    ctx: deps.ctx,
+    market: deps.market ?? null,
+    deps: {
+      serialize: deps.serialize,
+      isHalted: typeof deps.isHalted === 'function' ? deps.isHalted : () => false,
+    },
+    startedAt: Date.now(),
+    arrivalMid: null,
+    childSeq: 0,
+    reprices: 0,
+    fallbackUsed: false,
+    fallbackSkipped: null,
+    cancelSent: false,
+    lastChild: null,
+    stopReason: null,
+    stoppedExternally: false,
+  };
+  job.arrivalMid = resolveTouch(job).mid;
+  running.set(job.clientOrderId, job);
+  logEvent('executor.exec_algo.start', {
+    clientOrderId: job.clientOrderId,
+    coin: job.coin,
+    algo: job.algo,
+    intent: job.intent,
+    side: job.side,
+    size: job.size,
+    arrivalMid: job.arrivalMid,
+  });
+  runJob(job);
+  return getExecutionSummary(job.clientOrderId);
+}
+
+/**
+ * coin の実行中 algo を止める（決済・全キャンセル・フラット化の前に呼ぶ。残りの子注文は各 runner が取り消す）
+ * @param {string} coin
+ * @param {string} reason
+ * @param {{ intent?: 'entry'|'exit' }} [opts] intent 指定時はその向きの algo だけ
+ * @returns {number} 止めた件数
+ */
+function stopExecAlgos(coin, reason, opts = {}) {
+  let stopped = 0;
+  for (const job of running.values()) {
+    if (job.coin !== coin || job.stopReason) continue;
+    if (opts.intent && job.intent !== opts.intent) continue;
+    job.stopReason = reason;
+    job.stoppedExternally = true;
+    stopped += 1;
+  }
+  return stopped;
+}
+
+function getExecAlgoStatus() {
+  return Array.from(running.values()).map(job => ({
+    clientOrderId: job.clientOrderId,
+    coin: job.coin,
+    algo: job.algo,
+    intent: job.intent,
+    side: job.side,
+    size: job.size,
+    remainingSize: remainingSize(job),
+    children: job.childSeq,
+    startedAt: job.startedAt,
+    stopReason: job.stopReason,
+  }));
+}
+
+export {
+  resolveExecAlgoSpec,
+  startExecAlgo,
+  stopExecAlgos,
+  getExecAlgoStatus,
+};
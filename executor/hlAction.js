@@ -1,3 +1,6 @@
+import { getAssetInfo, roundSize, roundPrice, toWireString, meetsMinNotional } from './assetMeta.js';
+import { toHlCloid } from './orderTracker.js';
+
 function toNumberSafe(v) {
   const n = Number(v);
   return Number.isFinite(n) ? n : null;
@@ -19,36 +22,197 @@ function resolveSplitCount(order) {
   return 1;
 }
 
-function splitSizes(totalSize, count) {
+function splitSizes(totalSize, count, assetInfo) {
   const total = toNumberSafe(totalSize);
   if (!Number.isFinite(total) || total <= 0) return [];
   const safeCount = Math.max(1, Math.min(5, Math.floor(toNumberSafe(count) || 1)));
   if (safeCount === 1) return [total];
   const unitRaw = total / safeCount;
-  const unit = Math.max(0, Number(unitRaw.toFixed(8)));
+  // 子注文も lot（szDecimals）に揃える。meta 不明時は従来通り 8 桁
+  const unit = assetInfo
+    ? roundSize(unitRaw, assetInfo, 'floor')
+    : Math.max(0, Number(unitRaw.toFixed(8)));
+  if (!(unit > 0)) return [total];
   const sizes = [];
   let used = 0;
   for (let i = 0; i < safeCount - 1; i++) {
     sizes.push(unit);
     used += unit;
   }
-  const remainder = Math.max(0, Number((total - used).toFixed(8)));
+  const remainderRaw = Math.max(0, total - used);
+  const remainder = assetInfo
+    ? roundSize(remainderRaw, assetInfo, 'round')
+    : Math.max(0, Number(remainderRaw.toFixed(8)));
   if (remainder > 0) sizes.push(remainder);
   return sizes.length > 0 ? sizes : [total];
 }
 
+/**
+ * 子注文がそれぞれ最小注文額を満たす最大の分割数に落とす
+ */
+function resolveFeasibleSplitCount(order, requested) {
+  let count = requested;
+  const price = toNumberSafe(order?.price);
+  const size = toNumberSafe(order?.size);
+  if (!Number.isFinite(price) || !Number.isFinite(size)) return count;
+  while (count > 1 && !meetsMinNotional(price, size / count)) {
+    count -= 1;
+  }
+  return count;
+}
+
+function toWireOrder({ assetIndex, isBuy, price, size, reduceOnly, tif, cloid, trigger }) {
+  const orderType = trigger
+    ? { trigger: { isMarket: trigger.isMarket !== false, triggerPx: toWireString(trigger.triggerPx), tpsl: trigger.tpsl } }
+    : { limit: { tif } };
+  return {
+    asset: assetIndex,
+    isBuy: isBuy === true,
+    limitPx: toWireString(price),
+    sz: toWireString(size),
+    reduceOnly: reduceOnly === true,
+    orderType,
+    ...(cloid ? { cloid } : {}),
+  };
+}
+
+/**
+ * trigger 注文の価格丸め（triggerPx は最近接、約定上限の limitPx は約定しやすい向き）
+ */
+function roundTriggerPrices(m, info) {
+  if (!info) return { price: m.price, triggerPx: m.trigger.triggerPx };
+  return {
+    price: roundPrice(m.price, info, m.side === 'buy' ? 'ceil' : 'floor'),
+    triggerPx: roundPrice(m.trigger.triggerPx, info, 'round'),
+  };
+}
+
+function requireAssetIndex(target) {
+  if (Number.isInteger(target?.assetIndex)) return target.assetIndex;
+  const info = getAssetInfo(target?.coin);
+  if (!info) throw new Error(`asset metadata unavailable for ${target?.coin}`);
+  return info.index;
+}
+
+/**
+ * @param {Array<{ coin: string, assetIndex?: number, oid: number }>} targets
+ */
+export function buildHlCancelAction(targets) {
+  return {
+    action: {
+      type: 'cancel',
+      cancels: targets.map((t) => ({ asset: requireAssetIndex(t), oid: Number(t.oid) })),
+    },
+  };
+}
+
+/**
+ * @param {Array<{ coin: string, assetIndex?: number, cloid: string }>} targets
+ */
+export function buildHlCancelByCloidAction(targets) {
+  return {
+    action: {
+      type: 'cancelByCloid',
+      cancels: targets.map((t) => ({ asset: requireAssetIndex(t), cloid: String(t.cloid) })),
+    },
+  };
+}
+
+/**
+ * 1 件なら modify、複数なら batchModify
+ * oid には数値 oid か cloid 文字列のどちらでも指定できる（HL 仕様）
+ * @param {Array<{ oid: number|string, coin: string, assetIndex?: number, side: 'buy'|'sell', price: number, size: number, reduceOnly?: boolean, tif?: string, cloid?: string }>} modifies
+ */
+export function buildHlModifyAction(modifies) {
+  const entries = modifies.map((m) => {
+    const info = getAssetInfo(m.coin);
+    const tif = m.tif === 'Alo' || m.tif === 'Ioc' || m.tif === 'Gtc' ? m.tif : 'Gtc';
+    const size = info ? roundSize(m.size, info, m.reduceOnly ? 'round' : 'floor') : m.size;
+    if (m.trigger) {
+      const px = roundTriggerPrices(m, info);
+      return {
+        oid: m.oid,
+        order: toWireOrder({
+          assetIndex: requireAssetIndex(m),
+          isBuy: m.side === 'buy',
+          price: px.price,
+          size,
+          reduceOnly: true,
+          cloid: m.cloid,
+          trigger: { ...m.trigger, triggerPx: px.triggerPx },
+        }),
+      };
+    }
+    return {
+      oid: m.oid,
+      order: toWireOrder({
+        assetIndex: requireAssetIndex(m),
+        isBuy: m.side === 'buy',
+        // buildOrder と同じ向き：Alo は板の内側に入らない側、それ以外は約定しやすい側へ丸める
+        price: info ? roundPrice(m.price, info, (m.side === 'buy') === (tif === 'Alo') ? 'floor' : 'ceil') : m.price,
+        size,
+        reduceOnly: m.reduceOnly === true,
+        tif,
+        cloid: m.cloid,
+      }),
+    };
+  });
+  if (entries.length === 1) {
+    return { action: { type: 'modify', oid: entries[0].oid, order: entries[0].order } };
+  }
+  return { action: { type: 'batchModify', modifies: entries } };
+}
+
+/**
+ * 保有ポジションの reduce-only trigger 注文（SL / TP）
+ * side は決済方向（ロングなら 'sell'）、price は成行 trigger の約定上限（スリッページ込み）
+ * @param {Array<{ coin: string, assetIndex?: number, side: 'buy'|'sell', size: number, price: number, trigger: { triggerPx: number, tpsl: 'sl'|'tp', isMarket?: boolean }, cloid?: string }>} orders
+ * @param {'positionTpsl'|'normalTpsl'|'na'} [grouping='positionTpsl']
+ */
+export function buildHlTriggerOrderAction(orders, grouping = 'positionTpsl') {
+  const wire = orders.map((m) => {
+    const info = getAssetInfo(m.coin);
+    const px = roundTriggerPrices(m, info);
+    return toWireOrder({
+      assetIndex: requireAssetIndex(m),
+      isBuy: m.side === 'buy',
+      price: px.price,
+      size: info ? roundSize(m.size, info, 'round') : m.size,
+      reduceOnly: true,
+      cloid: m.cloid,
+      trigger: { ...m.trigger, triggerPx: px.triggerPx },
+    });
+  });
+  return {
+    action: {
+      type: 'order',
+      orders: wire,
+      grouping,
+    },
+  };
+}
+
 export function buildHlOrderAction(order, coin) {
   const tif = normalizeTif(order);
-  const splitCount = resolveSplitCount(order);
-  const sizes = splitSizes(order?.size, splitCount);
+  const assetInfo = getAssetInfo(coin);
+  const splitCount = resolveFeasibleSplitCount(order, resolveSplitCount(order));
+  const sizes = splitSizes(order?.size, splitCount, assetInfo);
   const isExit = order?.intent === 'exit';
-  const orders = sizes.map((size) => ({
-    asset: coin,
+  const assetIndex = Number.isInteger(order?.assetIndex)
+    ? order.assetIndex
+    : (assetInfo ? assetInfo.index : null);
+  if (assetIndex === null) {
+    throw new Error(`asset metadata unavailable for ${coin}`);
+  }
+  const orders = sizes.map((size, i) => toWireOrder({
+    assetIndex,
     isBuy: order?.side === 'buy',
-    limitPx: String(order?.price),
-    sz: String(size),
+    price: order?.price,
+    size,
     reduceOnly: isExit,
-    orderType: { limit: { tif } },
+    tif,
+    // 子注文ごとに cloid を振り、orderUpdates / userFills を clientOrderId へ突き合わせる
+    cloid: order?.clientOrderId ? toHlCloid(order.clientOrderId, i) : undefined,
   }));
   return {
     action: {
@@ -59,7 +223,45 @@ export function buildHlOrderAction(order, coin) {
     meta: {
       splitCount: orders.length,
       tif,
-      reduceOnly: isExit
+      reduceOnly: isExit,
+      assetIndex,
+      cloids: orders.map((o) => o.cloid).filter(Boolean)
     }
   };
 }
+
+/**
+ * 執行アルゴリズムの子注文 1 件（分割しない。cloid は execAlgo.js が親の clientOrderId から採番）
+ * 価格は buildOrder と同じ向きに丸める：Alo は板の内側に入らない側、それ以外は約定しやすい側
+ * @param {{ side: 'buy'|'sell', size: number, price: number, tif: 'Alo'|'Ioc'|'Gtc', intent?: string, assetIndex?: number }} order
+ * @param {string} coin
+ * @param {string} cloid
+ */
+export function buildHlChildOrderAction(order, coin, cloid) {
+  const tif = normalizeTif({ orderType: { limit: { tif: order?.tif } } });
+  const assetInfo = getAssetInfo(coin);
+  const isExit = order?.intent === 'exit';
+  const assetIndex = Number.isInteger(order?.assetIndex)
+    ? order.assetIndex
+    : (assetInfo ? assetInfo.index : null);
+  if (assetIndex === null) {
+    throw new Error(`asset metadata unavailable for ${coin}`);
+  }
+  const isBuy = order?.side === 'buy';
+  const priceMode = isBuy === (tif === 'Alo') ? 'floor' : 'ceil';
+  return {
+    action: {
+      type: 'order',
+      orders: [toWireOrder({
+        assetIndex,
+        isBuy,
+        price: assetInfo ? roundPrice(order.price, assetInfo, priceMode) : order.price,
+        size: assetInfo ? roundSize(order.size, assetInfo, isExit ? 'round' : 'floor') : order.size,
+        reduceOnly: isExit,
+        tif,
+        cloid,
+      })],
+      grouping: 'na',
+    },
+  };
+}
@@ -0,0 +1,412 @@
+// Executor 内蔵署名（SignerAdapter の代替、SIGNER_MODE=builtin）
+// - L1 action: msgpack(action) + nonce(8byte BE) + vault フラグ(+アドレス) [+ expiresAfter] の keccak256 を
+//   phantom agent { source: 'a'|'b', connectionId } として EIP-712（Exchange / chainId 1337）で署名
+// - user-signed action（approveAgent）: HyperliquidSignTransaction ドメインで署名（マスターウォレット鍵が必要）
+// - action は取引所の正規ワイヤ形式（a/b/p/s/r/t/c の短縮キー）に変換してから hash する。送信も同じ形式で行う
+// - 鍵は暗号化 keystore（ethers の JSON keystore）から読み、プロセス内にだけ保持する
+// - 起動時に既知のテストベクタで hash / 署名を自己検証し、一致しなければ署名しない
+
+import fs from 'fs';
+import { Wallet, getBytes, keccak256, concat, toBeHex, Signature, verifyTypedData } from 'ethers';
+import {
+  HL_MAINNET,
+  SIGNER_KEYSTORE_PATH,
+  SIGNER_KEYSTORE_PASSWORD,
+  SIGNER_KEYSTORE_PASSWORD_FILE,
+  SIGNER_TEST_VECTORS_PATH,
+} from './config.js';
+import { logEvent } from './logger.js';
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+const L1_DOMAIN = {
+  chainId: 1337,
+  name: 'Exchange',
+  verifyingContract: ZERO_ADDRESS,
+  version: '1',
+};
+
+const AGENT_TYPES = {
+  Agent: [
+    { name: 'source', type: 'string' },
+    { name: 'connectionId', type: 'bytes32' },
+  ],
+};
+
+// user-signed action の署名チェーン（Arbitrum Sepolia、SDK と同じ固定値）
+const USER_SIGNATURE_CHAIN_ID = '0x66eee';
+
+const APPROVE_AGENT_TYPES = {
+  'HyperliquidTransaction:ApproveAgent': [
+    { name: 'hyperliquidChain', type: 'string' },
+    { name: 'agentAddress', type: 'address' },
+    { name: 'agentName', type: 'string' },
+    { name: 'nonce', type: 'uint64' },
+  ],
+};
+
+// ---------------------------------------------------------------------------
+// msgpack（action hash 用の最小エンコーダ。Python msgpack.packb の既定と同じ最短表現）
+
+function encodeUint(n, out) {
+  if (n < 0x80) out.push(n);
+  else if (n < 0x100) out.push(0xcc, n);
+  else if (n < 0x10000) out.push(0xcd, n >> 8, n & 0xff);
+  else if (n < 0x100000000) out.push(0xce, ...bigEndian(BigInt(n), 4));
+  else out.push(0xcf, ...bigEndian(BigInt(n), 8));
+}
+
+function encodeInt(n, out) {
+  if (n >= -32) out.push(n & 0xff);
+  else if (n >= -0x80) out.push(0xd0, n & 0xff);
+  else if (n >= -0x8000) out.push(0xd1, ...bigEndian(BigInt.asUintN(16, BigInt(n)), 2));
+  else if (n >= -0x80000000) out.push(0xd2, ...bigEndian(BigInt.asUintN(32, BigInt(n)), 4));
+  else out.push(0xd3, ...bigEndian(BigInt.asUintN(64, BigInt(n)), 8));
+}
+
+function bigEndian(value, bytes) {
+  const out = new Array(bytes);
+  let v = value;
+  for (let i = bytes - 1; i >= 0; i -= 1) {
+    out[i] = Number(v & 0xffn);
+    v >>= 8n;
+  }
+  return out;
+}
+
+function encodeLength(len, fix, fixMax, codes, out) {
+  if (len <= fixMax) out.push(fix | len);
+  else if (len < 0x10000) out.push(codes[0], len >> 8, len & 0xff);
+  else out.push(codes[1], ...bigEndian(BigInt(len), 4));
+}
+
+function encodeValue(value, out) {
+  if (value === null || value === undefined) {
+    out.push(0xc0);
+  } else if (value === true || value === false) {
+    out.push(value ? 0xc3 : 0xc2);
+  } else if (typeof value === 'bigint') {
+    if (value >= 0n) out.push(0xcf, ...bigEndian(value, 8));
+    else out.push(0xd3, ...bigEndian(BigInt.asUintN(64, value), 8));
+  } else if (typeof value === 'number') {
+    if (Number.isSafeInteger(value)) {
+      if (value >= 0) encodeUint(value, out);
+      else encodeInt(value, out);
+    } else {
+      const buf = Buffer.alloc(8);
+      buf.writeDoubleBE(value);
+      out.push(0xcb, ...buf);
+    }
+  } else if (typeof value === 'string') {
+    const bytes = Buffer.from(value, 'utf8');
+    if (bytes.length < 32) out.push(0xa0 | bytes.length);
+    else if (bytes.length < 0x100) out.push(0xd9, bytes.length);
+    else if (bytes.length < 0x10000) out.push(0xda, bytes.length >> 8, bytes.length & 0xff);
+    else out.push(0xdb, ...bigEndian(BigInt(bytes.length), 4));
+    out.push(...bytes);
+  } else if (Array.isArray(value)) {
+    encodeLength(value.length, 0x90, 15, [0xdc, 0xdd], out);
+    for (const v of value) encodeValue(v, out);
+  } else if (typeof value === 'object') {
+    // undefined のキーは送信 JSON にも載らないので hash からも除く
+    const entries = Object.entries(value).filter(([, v]) => v !== undefined);
+    encodeLength(entries.length, 0x80, 15, [0xde, 0xdf], out);
+    for (const [k, v] of entries) {
+      encodeValue(k, out);
+      encodeValue(v, out);
+    }
+  } else {
+    throw new Error(`msgpack: unsupported type ${typeof value}`);
+  }
+}
+
+/**
+ * @param {any} value
+ * @returns {Uint8Array}
+ */
+function encodeMsgpack(value) {
+  const out = [];
+  encodeValue(value, out);
+  return Uint8Array.from(out);
+}
+
+// ---------------------------------------------------------------------------
+// 正規ワイヤ形式
+
+function toWireOrderType(orderType) {
+  if (orderType?.trigger) {
+    const t = orderType.trigger;
+    return { trigger: { isMarket: t.isMarket === true, triggerPx: String(t.triggerPx), tpsl: t.tpsl } };
+  }
+  return { limit: { tif: orderType?.limit?.tif ?? 'Gtc' } };
+}
+
+/**
+ * hlAction.js の注文（asset / isBuy / limitPx ... の可読キー）を取引所の短縮キー形式へ
+ * 既に短縮キーのものはそのまま（キー順だけ正規化）
+ */
+function toWireOrder(o) {
+  const short = 'a' in o;
+  const cloid = short ? o.c : o.cloid;
+  return {
+    a: short ? o.a : o.asset,
+    b: short ? o.b : o.isBuy,
+    p: String(short ? o.p : o.limitPx),
+    s: String(short ? o.s : o.sz),
+    r: (short ? o.r : o.reduceOnly) === true,
+    t: toWireOrderType(short ? o.t : o.orderType),
+    ...(cloid ? { c: cloid } : {}),
+  };
+}
+
+/**
+ * action を取引所の正規ワイヤ形式に変換（hash と送信の両方に使う）
+ * @param {object} action hlAction.js の build*Action().action
+ * @returns {object}
+ */
+function toHlWireAction(action) {
+  switch (action?.type) {
+    case 'order':
+      return {
+        type: 'order',
+        orders: action.orders.map(toWireOrder),
+        grouping: action.grouping ?? 'na',
+        ...(action.builder ? { builder: action.builder } : {}),
+      };
+    case 'cancel':
+      return {
+        type: 'cancel',
+        cancels: action.cancels.map(c => ({ a: c.a ?? c.asset, o: Number(c.o ?? c.oid) })),
+      };
+    case 'cancelByCloid':
+      return {
+        type: 'cancelByCloid',
+        cancels: action.cancels.map(c => ({ asset: c.asset ?? c.a, cloid: String(c.cloid) })),
+      };
+    case 'modify':
+      return { type: 'modify', oid: action.oid, order: toWireOrder(action.order) };
+    case 'batchModify':
+      return {
+        type: 'batchModify',
+        modifies: action.modifies.map(m => ({ oid: m.oid, order: toWireOrder(m.order) })),
+      };
+    default:
+      return action;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// hash / 署名
+
+/**
+ * L1 action hash
+ * @param {object} action ワイヤ形式の action
+ * @param {string|null} vaultAddress
+ * @param {number} nonce
+ * @param {number|null} [expiresAfter]
+ * @returns {string} 0x + 64 hex
+ */
+function actionHash(action, vaultAddress, nonce, expiresAfter = null) {
+  const parts = [encodeMsgpack(action), Uint8Array.from(bigEndian(BigInt(nonce), 8))];
+  if (vaultAddress) {
+    parts.push(Uint8Array.of(1), getBytes(vaultAddress));
+  } else {
+    parts.push(Uint8Array.of(0));
+  }
+  if (expiresAfter !== null && expiresAfter !== undefined) {
+    parts.push(Uint8Array.of(0), Uint8Array.from(bigEndian(BigInt(expiresAfter), 8)));
+  }
+  return keccak256(concat(parts));
+}
+
+function splitSignature(sigHex) {
+  const sig = Signature.from(sigHex);
+  return { r: sig.r, s: sig.s, v: sig.v, hex: sig.serialized };
+}
+
+/**
+ * L1 action 署名（order / cancel / modify 等）
+ * @param {Wallet} wallet agent（API）ウォレット
+ * @param {object} action ワイヤ形式の action
+ * @param {{ nonce: number, vaultAddress?: string|null, expiresAfter?: number|null, isMainnet?: boolean }} opts
+ * @returns {Promise<{ r: string, s: string, v: number, hex: string }>}
+ */
+async function signL1Action(wallet, action, opts) {
+  const connectionId = actionHash(action, opts.vaultAddress ?? null, opts.nonce, opts.expiresAfter ?? null);
+  const phantomAgent = { source: (opts.isMainnet ?? HL_MAINNET) ? 'a' : 'b', connectionId };
+  return splitSignature(await wallet.signTypedData(L1_DOMAIN, AGENT_TYPES, phantomAgent));
+}
+
+/**
+ * 署名者アドレスの復元（自己検証・運用確認用）
+ */
+function recoverL1Signer(action, opts, signatureHex) {
+  const connectionId = actionHash(action, opts.vaultAddress ?? null, opts.nonce, opts.expiresAfter ?? null);
+  const phantomAgent = { source: (opts.isMainnet ?? HL_MAINNET) ? 'a' : 'b', connectionId };
+  return verifyTypedData(L1_DOMAIN, AGENT_TYPES, phantomAgent, signatureHex);
+}
+
+/**
+ * approveAgent action（マスターウォレットで署名して /exchange に送る）
+ * @param {Wallet} masterWallet
+ * @param {{ agentAddress: string, agentName?: string|null, nonce?: number, isMainnet?: boolean }} opts
+ * @returns {Promise<{ action: object, nonce: number, signature: { r: string, s: string, v: number, hex: string } }>}
+ */
+async function buildApproveAgent(masterWallet, opts) {
+  const nonce = opts.nonce ?? Date.now();
+  const isMainnet = opts.isMainnet ?? HL_MAINNET;
+  const action = {
+    type: 'approveAgent',
+    signatureChainId: USER_SIGNATURE_CHAIN_ID,
+    hyperliquidChain: isMainnet ? 'Mainnet' : 'Testnet',
+    agentAddress: opts.agentAddress.toLowerCase(),
+    agentName: opts.agentName ?? '',
+    nonce,
+  };
+  const domain = {
+    name: 'HyperliquidSignTransaction',
+    version: '1',
+    chainId: Number.parseInt(USER_SIGNATURE_CHAIN_ID, 16),
+    verifyingContract: ZERO_ADDRESS,
+  };
+  const signature = splitSignature(await masterWallet.signTypedData(domain, APPROVE_AGENT_TYPES, action));
+  // 名前無しの agent は送信 action から agentName を落とす（SDK と同じ）
+  if (!opts.agentName) delete action.agentName;
+  return { action, nonce, signature };
+}
+
+// ---------------------------------------------------------------------------
+// テストベクタ
+
+/**
+ * テストベクタの検証
+ * vector: { name, privateKey, action, nonce, vaultAddress?, expiresAfter?, isMainnet, expectedHash?, expectedR?, expectedS?, expectedV? }
+ * @param {Array<object>} vectors
+ * @returns {Promise<{ ok: boolean, results: Array<{ name: string, ok: boolean, detail?: string }> }>}
+ */
+async function verifySigningVectors(vectors) {
+  const results = [];
+  for (const vec of vectors) {
+    try {
+      const wallet = new Wallet(vec.privateKey);
+      const opts = { nonce: vec.nonce, vaultAddress: vec.vaultAddress ?? null, expiresAfter: vec.expiresAfter ?? null, isMainnet: vec.isMainnet };
+      const action = vec.wire === false ? vec.action : toHlWireAction(vec.action);
+      const mismatches = [];
+      if (vec.expectedHash) {
+        const hash = actionHash(action, opts.vaultAddress, opts.nonce, opts.expiresAfter);
+        if (hash !== vec.expectedHash.toLowerCase()) mismatches.push(`hash ${hash}`);
+      }
+      const sig = await signL1Action(wallet, action, opts);
+      if (vec.expectedR && BigInt(sig.r) !== BigInt(vec.expectedR)) mismatches.push(`r ${sig.r}`);
+      if (vec.expectedS && BigInt(sig.s) !== BigInt(vec.expectedS)) mismatches.push(`s ${sig.s}`);
+      if (vec.expectedV && sig.v !== vec.expectedV) mismatches.push(`v ${sig.v}`);
+      if (recoverL1Signer(action, opts, sig.hex).toLowerCase() !== wallet.address.toLowerCase()) mismatches.push('recover mismatch');
+      results.push(mismatches.length === 0 ? { name: vec.name, ok: true } : { name: vec.name, ok: false, detail: mismatches.join(', ') });
+    } catch (err) {
+      results.push({ name: vec?.name ?? '?', ok: false, detail: err?.message || String(err) });
+    }
+  }
+  return { ok: results.length > 0 && results.every(r => r.ok), results };
+}
+
+function loadTestVectors() {
+  const parsed = JSON.parse(fs.readFileSync(SIGNER_TEST_VECTORS_PATH, 'utf8'));
+  return Array.isArray(parsed?.vectors) ? parsed.vectors : [];
+}
+
+// ---------------------------------------------------------------------------
+// keystore / 内蔵署名
+
+let agentWallet = null;
+let agentWalletPromise = null;
+
+function resolveKeystorePassword() {
+  if (SIGNER_KEYSTORE_PASSWORD_FILE) {
+    return fs.readFileSync(SIGNER_KEYSTORE_PASSWORD_FILE, 'utf8').replace(/\r?\n$/, '');
+  }
+  if (SIGNER_KEYSTORE_PASSWORD) return SIGNER_KEYSTORE_PASSWORD;
+  throw new Error('keystore password not set (SIGNER_KEYSTORE_PASSWORD or SIGNER_KEYSTORE_PASSWORD_FILE)');
+}
+
+/**
+ * 暗号化 keystore を復号して agent ウォレットを読み込む
+ * @param {string} [keystorePath]
+ * @param {string} [password]
+ * @returns {Promise<Wallet>}
+ */
+async function loadKeystoreWallet(keystorePath = SIGNER_KEYSTORE_PATH, password) {
+  if (!fs.existsSync(keystorePath)) throw new Error(`keystore not found: ${keystorePath}`);
+  const json = fs.readFileSync(keystorePath, 'utf8');
+  const wallet = await Wallet.fromEncryptedJson(json, password ?? resolveKeystorePassword());
+  return new Wallet(wallet.privateKey);
+}
+
+/**
+ * 鍵を暗号化 keystore に書き出す（0600）
+ * @param {string} privateKey
+ * @param {string} keystorePath
+ * @param {string} password
+ * @returns {Promise<string>} address
+ */
+async function writeKeystore(privateKey, keystorePath, password) {
+  const wallet = new Wallet(privateKey);
+  const json = await wallet.encrypt(password);
+  const tmpPath = `${keystorePath}.tmp`;
+  fs.writeFileSync(tmpPath, json, { encoding: 'utf8', mode: 0o600 });
+  fs.renameSync(tmpPath, keystorePath);
+  return wallet.address;
+}
+
+/**
+ * 初回だけテストベクタ検証と keystore 復号を行い、以降は同じ wallet を返す
+ */
+async function getAgentWallet() {
+  if (agentWallet) return agentWallet;
+  if (!agentWalletPromise) {
+    agentWalletPromise = (async () => {
+      const check = await verifySigningVectors(loadTestVectors());
+      if (!check.ok) {
+        logEvent('executor.signer.builtin.selftest_failed', { results: check.results });
+        throw new Error(`builtin signer self-test failed: ${check.results.filter(r => !r.ok).map(r => `${r.name}(${r.detail})`).join('; ')}`);
+      }
+      const wallet = await loadKeystoreWallet();
+      logEvent('executor.signer.builtin.ready', { agentAddress: wallet.address, vectors: check.results.length, env: HL_MAINNET ? 'mainnet' : 'testnet' });
+      agentWallet = wallet;
+      return wallet;
+    })().catch((err) => {
+      agentWalletPromise = null;
+      throw err;
+    });
+  }
+  return agentWalletPromise;
+}
+
+/**
+ * signOrder.js の signRequest を内蔵署名で処理
+ * @param {{ action: object, nonce: number, vaultAddress: string|null, expiresAfter: number|null }} signRequest
+ * @returns {Promise<{ signature: string, action: object, agentAddress: string }>} action は送信用のワイヤ形式
+ */
+async function signWithBuiltinSigner(signRequest) {
+  const wallet = await getAgentWallet();
+  const action = toHlWireAction(signRequest.action);
+  const sig = await signL1Action(wallet, action, {
+    nonce: signRequest.nonce,
+    vaultAddress: signRequest.vaultAddress,
+    expiresAfter: signRequest.expiresAfter,
+  });
+  return { signature: sig.hex, action, agentAddress: wallet.address };
+}
+
+export {
+  encodeMsgpack,
+  toHlWireAction,
+  actionHash,
+  signL1Action,
+  recoverL1Signer,
+  buildApproveAgent,
+  verifySigningVectors,
+  loadTestVectors,
+  loadKeystoreWallet,
+  writeKeystore,
+  signWithBuiltinSigner,
+};
@@ -7,7 +7,18 @@ import { signOrder } from './signOrder.js';
 import { sendOrder } from './sendOrder.js';
 import { confirmOrder } from './confirmOrder.js';
 import { isLiveEnabled } from './safetyHalt.js';
+import { ensureAssetMeta, refreshAssetMeta, getAssetMetaStatus } from './assetMeta.js';
+import { buildHlOrderAction } from './hlAction.js';
+import { trackOrder, applyOrderAck, markOrderFailed, getExecutionSummary } from './orderTracker.js';
+import { syncProtectionCore, getProtectionState } from './protectiveOrders.js';
+import { reconcileCore } from './reconcile.js';
+import { cancelOrdersCore, cancelByCloidCore, modifyOrdersCore, cancelAllForCoinCore, flattenPositionCore } from './orderActions.js';
 import { claimProcessedKey, getPartialLock, setPartialLock, clearPartialLock } from './stateStore.js';
+import { resolveExecAlgoSpec, startExecAlgo, stopExecAlgos, getExecAlgoStatus } from './execAlgo.js';
+import { histogram } from '../core/metrics.js';
+
+// 発注レイテンシ（confirm は orderTracker 側で約定確定時に記録）
+const orderLatencySeconds = histogram('hlb_order_latency_seconds', 'Order latency by stage (sign, send, confirm)');
 
 // SafetyState（単純なモジュールスコープ変数）
 /** @type {import('./types').SafetyState} */
@@ -125,7 +136,8 @@ function isBuiltOrderValid(order) {
 
 /**
  * @param {any} payload ExecutorPayload（I/O決定済み）
- * @param {any} ctx { mode: 'test'|'live', api?: {...}, wsState?: 'ok'|'stale'|'lost', riskAllocation?: {...} }
+ * @param {any} ctx { mode: 'test'|'live', api?: {...}, wsState?: 'ok'|'stale'|'lost', riskAllocation?: {...}, getMarket?: (coin) => { bid, ask, mid } }
+ *   getMarket は執行アルゴリズム（execAlgo.js）が実行中に最新の気配を読むのに使う
  * @returns {Promise<import('./types').OrderResult>}
  */
 async function handle(payload, ctx = {}) {
@@ -193,10 +205,44 @@ async function handleCore(payload, ctx = {}) {
     await clearPartialLock();
   }
 
+  // 0) asset metadata（Live のみ TTL 切れで再取得。失敗してもキャッシュがあれば継続）
+  if (ctx.mode === 'live') {
+    await ensureAssetMeta();
+  }
+
   // 1) build
   const resolvedIntent = resolveIntent(payload, ctx);
   const payloadWithIntent = resolvedIntent ? { ...payload, intent: resolvedIntent } : payload;
   let order = buildOrder(payloadWithIntent, ctx);
+  // 決済が来たら同じ銘柄で実行中のエントリー algo は止める（建て増しと決済が並走しないように）
+  if (resolvedIntent === 'exit' && order?.symbol) {
+    stopExecAlgos(order.symbol, 'superseded', { intent: 'entry' });
+  }
+
+  // 取引所ルール不適合は Safety Halt ではなく単発の拒否（精度起因の HL reject を未然に防ぐ）
+  if (ctx.mode === 'live' && order && order.assetIndex === null) {
+    return {
+      orderId: '',
+      status: 'error',
+      side: safeResultSide(payload),
+      price: safeResultPrice(payload),
+      size: payload.size,
+      timestamp: Date.now(),
+      error: 'asset_meta_unavailable',
+    };
+  }
+  if (order && order.belowMinNotional === true) {
+    console.warn(`[EXECUTOR_GUARD] below_min_notional reject symbol=${order.symbol} px=${order.price} sz=${order.size}`);
+    return {
+      orderId: '',
+      status: 'error',
+      side: safeResultSide(payload),
+      price: safeResultPrice(payload),
+      size: payload.size,
+      timestamp: Date.now(),
+      error: 'below_min_notional',
+    };
+  }
 
   // 1.5) risk allocation （任意・非活性フラグ付き）
   try {
@@ -258,10 +304,38 @@ async function handleCore(payload, ctx = {}) {
     };
   }
 
+  // 1.8) 執行アルゴリズム（TWAP / iceberg / chase）：子注文は execAlgo.js が時間をかけて発注する
+  // ここでは親注文の受付だけ返し、約定は orderTracker → ORDER_LIFECYCLE_UPDATE で engine に届く
+  const tracked = ctx.mode === 'live' && process.env.DRY_RUN !== '1';
+  const algoSpec = tracked ? resolveExecAlgoSpec(payloadWithIntent) : null;
+  if (algoSpec) {
+    const execution = startExecAlgo(order, algoSpec, {
+      ctx: { ...ctx, market: payload.market },
+      market: payload.market,
+      decisionId: payload.decisionId ?? null,
+      serialize: (task) => runSerialized(ctx, task),
+      isHalted: () => safetyState.mode === 'halted' || !isLiveEnabled(),
+    });
+    await clearPartialLock();
+    return {
+      orderId: '',
+      status: 'resting',
+      side: order.side,
+      price: order.price,
+      size: order.size,
+      timestamp: Date.now(),
+      clientOrderId: order.clientOrderId,
+      execution,
+      algo: algoSpec.algo,
+    };
+  }
+
   // 2) sign
   let signResult;
+  const signStartedAt = Date.now();
   try {
     signResult = await signOrder(order, ctx);
+    orderLatencySeconds.observe({ stage: 'sign' }, (Date.now() - signStartedAt) / 1000);
   } catch (signErr) {
     setSafetyHalt({ code: 'SIGN_ERROR', message: signErr.message || 'sign failed' });
     return {
@@ -291,12 +365,31 @@ async function handleCore(payload, ctx = {}) {
     market: payload.market, // coin 情報を追加（Live モードのガードチェック用）
   };
 
+  // 2.5) lifecycle tracking（送信前に登録し、ack より先に届く WS fill も取りこぼさない）
+  if (tracked) {
+    let cloids;
+    let childSizes;
+    try {
+      const built = buildHlOrderAction(order, order.symbol);
+      cloids = built.meta.cloids;
+      childSizes = built.action.orders.map((o) => Number(o.sz));
+    } catch (_) {
+      cloids = undefined;
+    }
+    trackOrder(order, { cloids, childSizes, decisionId: payload.decisionId ?? null });
+  }
+
   // 3) send（最大3回リトライは send 側に実装済み）
+  const sendStartedAt = Date.now();
   const apiResponse = await sendOrder(order, localCtx);
+  orderLatencySeconds.observe({ stage: 'send' }, (Date.now() - sendStartedAt) / 1000);
 
   // API 異常：3回失敗時
   if (!apiResponse || apiResponse.ok !== true) {
     setSafetyHalt({ code: apiResponse && apiResponse.error && apiResponse.error.code ? apiResponse.error.code : 'API_ERROR', message: apiResponse && apiResponse.error && apiResponse.error.message ? apiResponse.error.message : 'send failed' });
+    if (tracked) markOrderFailed(order.clientOrderId, apiResponse?.error?.code || 'send_failed');
+  } else if (tracked) {
+    applyOrderAck(order.clientOrderId, apiResponse.data);
   }
 
   // 4) confirm
@@ -306,6 +399,10 @@ async function handleCore(payload, ctx = {}) {
   result.signature = signResult.signature;
   result.nonce = signResult.nonce;
   result.agentAddress = signResult.agentAddress;
+  result.clientOrderId = order.clientOrderId;
+  if (tracked) {
+    result.execution = getExecutionSummary(order.clientOrderId);
+  }
 
    // Partial fill 状態を永続ロックに保存（一定時間新規送信を抑止）
   try {
@@ -366,7 +463,119 @@ async function handleCore(payload, ctx = {}) {
   return result;
 }
 
+function runSerialized(ctx, task) {
+  return ctx && ctx.mode === 'live' ? enqueueLive(task) : task();
+}
+
+/**
+ * oid 指定のキャンセル（Safety Halt 中も実行可：建玉を増やさないため）
+ * @param {Array<{ clientOrderId: string } | { coin: string, oid: number }>} targets
+ * @param {any} ctx { mode: 'test'|'live', api?: {...} }
+ */
+async function cancelOrders(targets, ctx = {}) {
+  return runSerialized(ctx, () => cancelOrdersCore(targets, ctx));
+}
+
+/**
+ * cloid 指定のキャンセル（ack 前の注文も対象にできる）
+ * @param {Array<{ clientOrderId: string } | { coin: string, cloid: string }>} targets
+ * @param {any} ctx
+ */
+async function cancelByCloid(targets, ctx = {}) {
+  return runSerialized(ctx, () => cancelByCloidCore(targets, ctx));
+}
+
+/**
+ * 未約定注文の価格・数量変更（maker エントリーの再配置用）
+ * @param {{ clientOrderId: string, price: number, size?: number }} target
+ * @param {any} ctx
+ */
+async function modifyOrder(target, ctx = {}) {
+  return batchModifyOrders([target], ctx);
+}
+
+/**
+ * @param {Array<{ clientOrderId: string, price: number, size?: number }>} targets
+ * @param {any} ctx
+ */
+async function batchModifyOrders(targets, ctx = {}) {
+  return runSerialized(ctx, async () => {
+    // 変更は新規発注と同等に扱い、Halt 中は拒否
+    if (safetyState.mode === 'halted' || !isLiveEnabled()) {
+      return { ok: false, type: 'modify', requested: 0, statuses: [], errors: ['safety halted'], error: 'safety halted', timestamp: Date.now() };
+    }
+    if (ctx.mode === 'live') await ensureAssetMeta();
+    return modifyOrdersCore(targets, ctx);
+  });
+}
+
+/**
+ * coin の未約定注文をすべて取り消す（Safety Halt 時の後始末にも使う）
+ * @param {string} coin
+ * @param {any} ctx { mode, userAddress? }
+ */
+async function cancelAllOrdersForCoin(coin, ctx = {}) {
+  stopExecAlgos(coin, 'cancel_all');
+  return runSerialized(ctx, () => cancelAllForCoinCore(coin, ctx));
+}
+
+/**
+ * coin の建玉を IOC で成行決済する（未約定注文は先に取り消す。Halt 中も実行）
+ * @param {string} coin
+ * @param {{ side: 'buy'|'sell', size: number, markPx: number }} position
+ * @param {any} ctx { mode, userAddress? }
+ */
+async function flattenPosition(coin, position, ctx = {}) {
+  stopExecAlgos(coin, 'flatten');
+  return runSerialized(ctx, async () => {
+    if (ctx.mode === 'live') await ensureAssetMeta();
+    return flattenPositionCore(coin, position, ctx);
+  });
+}
+
+/**
+ * 保有ポジションの取引所側 SL / TP（reduce-only trigger 注文）を engine の目標値に合わせる
+ * Halt 中も実行する（保護注文は建玉を減らす方向のみ）
+ * @param {string} coin
+ * @param {Object|null} position engineState.openPosition（null なら保護注文を取り消す）
+ * @param {any} ctx { mode, force? }
+ */
+async function syncPositionProtection(coin, position, ctx = {}) {
+  return runSerialized(ctx, async () => {
+    if (ctx.mode === 'live') await ensureAssetMeta();
+    return syncProtectionCore(coin, position, ctx);
+  });
+}
+
+/**
+ * 取引所の建玉・未約定注文とローカル状態の突き合わせ（起動時・定期実行）
+ * @param {Object|null} enginePosition engineState.openPosition
+ * @param {any} ctx { mode, coin, policy: 'adopt'|'flatten'|'halt', sizeToleranceRatio?, trigger?, userAddress? }
+ */
+async function reconcileWithExchange(enginePosition, ctx = {}) {
+  return runSerialized(ctx, async () => {
+    if (ctx.mode === 'live') await ensureAssetMeta();
+    return reconcileCore(enginePosition, ctx);
+  });
+}
+
 function getSafetyState() { return safetyState; }
 function resetSafetyState() { safetyState = { mode: 'normal', lastError: undefined, lastUpdated: Date.now() }; }
 
-export { handle, getSafetyState, resetSafetyState };
+export {
+  handle,
+  cancelOrders,
+  cancelByCloid,
+  modifyOrder,
+  batchModifyOrders,
+  cancelAllOrdersForCoin,
+  flattenPosition,
+  syncPositionProtection,
+  getProtectionState,
+  reconcileWithExchange,
+  getSafetyState,
+  resetSafetyState,
+  getExecAlgoStatus,
+  refreshAssetMeta,
+  getAssetMetaStatus,
+};
@@ -0,0 +1,387 @@
+// Executor 注文操作：cancel / cancelByCloid / modify / batchModify / coin 単位の全キャンセル / 建玉のフラット化
+// - 署名は signAction（SignerAdapter 経由）、送信は sendAction。直列化は index.js の enqueueLive 側で行う
+// - 対象は clientOrderId（orderTracker の子注文へ展開）か、取引所の oid / cloid を直接指定
+// - 成功した cancel / modify は orderTracker に即時反映（WS の orderUpdates と重複しても冪等）
+
+import axios from 'axios';
+import { HL_INFO_URL, HL_USER_ADDRESS } from './config.js';
+import { signAction } from './signOrder.js';
+import { sendAction } from './sendOrder.js';
+import { buildHlCancelAction, buildHlCancelByCloidAction, buildHlModifyAction, buildHlOrderAction } from './hlAction.js';
+import {
+  getTrackedOrder,
+  getRestingChildren,
+  getWorkingOrders,
+  applyOrderUpdates,
+  applyModifyAck,
+  resolveClientOrderId,
+  trackOrder,
+  applyOrderAck,
+  markOrderFailed,
+} from './orderTracker.js';
+import { getAssetInfo, roundSize, roundPrice } from './assetMeta.js';
+import { logEvent } from './logger.js';
+
+const OPEN_ORDERS_TIMEOUT_MS = 4000;
+const FLATTEN_SLIPPAGE_RATIO = 0.01;
+
+function toNum(v) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * HL 応答から子要素ごとの結果を取り出す
+ * cancel: statuses は 'success' | { error }、batchModify: order と同形、modify（単発）は statuses 無し
+ */
+function parseStatuses(data, expected) {
+  if (data?.status === 'err') {
+    const reason = typeof data.response === 'string' ? data.response : 'unknown';
+    return { statuses: Array.from({ length: expected }, () => ({ error: reason })), errors: [reason] };
+  }
+  const raw = data?.response?.data?.statuses;
+  const statuses = Array.isArray(raw) ? raw : Array.from({ length: expected }, () => 'success');
+  const errors = statuses.filter(st => st && typeof st === 'object' && st.error).map(st => String(st.error));
+  return { statuses, errors };
+}
+
+function failure(type, error, extra = {}) {
+  return { ok: false, type, requested: 0, statuses: [], errors: [error], error, timestamp: Date.now(), ...extra };
+}
+
+/**
+ * sign → send の共通経路
+ * @param {string} type
+ * @param {() => object} build action 生成
+ * @param {number} expected 応答 statuses の期待件数
+ * @param {any} ctx
+ * @param {{ coin: string, allowWhenHalted?: boolean }} opts
+ */
+async function runAction(type, build, expected, ctx, opts) {
+  const actionCtx = { ...ctx, market: { ...(ctx?.market ?? {}), coin: opts.coin } };
+  let action;
+  let signResult;
+  try {
+    signResult = await signAction(build, actionCtx, { side: type, allowWhenHalted: opts.allowWhenHalted === true });
+    action = signResult.action ?? build();
+  } catch (err) {
+    return failure(type, `sign failed: ${err?.message || err}`);
+  }
+  const apiResponse = await sendAction(action, { ...actionCtx, signResult }, { allowWhenHalted: opts.allowWhenHalted === true });
+  if (!apiResponse || apiResponse.ok !== true) {
+    return failure(type, apiResponse?.error?.message || 'send failed', { code: apiResponse?.error?.code ?? 'API_ERROR' });
+  }
+  if (apiResponse.data?.dryRun === true) {
+    return { ok: true, type, requested: expected, dryRun: true, statuses: [], errors: [], action, timestamp: Date.now() };
+  }
+  const { statuses, errors } = parseStatuses(apiResponse.data, expected);
+  logEvent('executor.order_action.sent', { type, coin: opts.coin, requested: expected, errors: errors.length });
+  return {
+    ok: errors.length === 0,
+    type,
+    requested: expected,
+    statuses,
+    errors,
+    action,
+    nonce: signResult.nonce,
+    timestamp: Date.now(),
+  };
+}
+
+function groupByCoin(refs) {
+  const map = new Map();
+  for (const ref of refs) {
+    if (!map.has(ref.coin)) map.set(ref.coin, []);
+    map.get(ref.coin).push(ref);
+  }
+  return map;
+}
+
+function markCancelled(refs, statuses) {
+  const now = Date.now();
+  const updates = [];
+  refs.forEach((ref, i) => {
+    if (statuses[i] !== 'success') return;
+    updates.push({ order: { coin: ref.coin, oid: ref.oid ?? undefined, cloid: ref.cloid ?? undefined }, status: 'canceled', statusTimestamp: now });
+  });
+  if (updates.length > 0) applyOrderUpdates(updates);
+}
+
+function mergeResults(type, results) {
+  if (results.length === 1) return results[0];
+  return {
+    ok: results.length > 0 && results.every(r => r.ok),
+    type,
+    requested: results.reduce((acc, r) => acc + (r.requested || 0), 0),
+    statuses: results.flatMap(r => r.statuses),
+    errors: results.flatMap(r => r.errors),
+    timestamp: Date.now(),
+  };
+}
+
+/**
+ * clientOrderId 指定を子注文の oid 参照に展開（oid 未確定の子注文は unresolved）
+ */
+function expandOidTargets(targets) {
+  const refs = [];
+  const unresolved = [];
+  for (const t of targets) {
+    if (t?.clientOrderId) {
+      const rec = getTrackedOrder(t.clientOrderId);
+      const children = getRestingChildren(t.clientOrderId);
+      if (!rec || children.length === 0) {
+        unresolved.push(t.clientOrderId);
+        continue;
+      }
+      for (const c of children) {
+        if (c.oid === null) unresolved.push(c.cloid);
+        else refs.push({ coin: rec.coin, oid: c.oid, cloid: c.cloid });
+      }
+    } else if (t?.coin && toNum(t?.oid) !== null) {
+      refs.push({ coin: t.coin, oid: toNum(t.oid), cloid: t.cloid ?? null });
+    } else {
+      unresolved.push(t?.oid ?? null);
+    }
+  }
+  return { refs, unresolved };
+}
+
+function expandCloidTargets(targets) {
+  const refs = [];
+  const unresolved = [];
+  for (const t of targets) {
+    if (t?.clientOrderId) {
+      const rec = getTrackedOrder(t.clientOrderId);
+      const children = getRestingChildren(t.clientOrderId);
+      if (!rec || children.length === 0) {
+        unresolved.push(t.clientOrderId);
+        continue;
+      }
+      for (const c of children) refs.push({ coin: rec.coin, cloid: c.cloid, oid: c.oid });
+    } else if (t?.coin && typeof t?.cloid === 'string') {
+      refs.push({ coin: t.coin, cloid: t.cloid, oid: null });
+    } else {
+      unresolved.push(t?.cloid ?? null);
+    }
+  }
+  return { refs, unresolved };
+}
+
+/**
+ * oid 指定のキャンセル
+ * @param {Array<{ clientOrderId: string } | { coin: string, oid: number }>} targets
+ * @param {any} ctx
+ */
+async function cancelOrdersCore(targets, ctx) {
+  const { refs, unresolved } = expandOidTargets(Array.isArray(targets) ? targets : [targets]);
+  if (refs.length === 0) return failure('cancel', 'no cancellable orders', { unresolved });
+  const results = [];
+  for (const [coin, group] of groupByCoin(refs)) {
+    const result = await runAction('cancel', () => buildHlCancelAction(group).action, group.length, ctx, { coin, allowWhenHalted: true });
+    if (result.statuses.length > 0) markCancelled(group, result.statuses);
+    results.push(result);
+  }
+  return { ...mergeResults('cancel', results), unresolved };
+}
+
+/**
+ * cloid 指定のキャンセル（ack 前で oid 未確定の注文も取り消せる）
+ * @param {Array<{ clientOrderId: string } | { coin: string, cloid: string }>} targets
+ * @param {any} ctx
+ */
+async function cancelByCloidCore(targets, ctx) {
+  const { refs, unresolved } = expandCloidTargets(Array.isArray(targets) ? targets : [targets]);
+  if (refs.length === 0) return failure('cancelByCloid', 'no cancellable orders', { unresolved });
+  const results = [];
+  for (const [coin, group] of groupByCoin(refs)) {
+    const result = await runAction('cancelByCloid', () => buildHlCancelByCloidAction(group).action, group.length, ctx, { coin, allowWhenHalted: true });
+    if (result.statuses.length > 0) markCancelled(group, result.statuses);
+    results.push(result);
+  }
+  return { ...mergeResults('cancelByCloid', results), unresolved };
+}
+
+/**
+ * 価格・数量の変更（1 件なら modify、複数子注文なら batchModify）
+ * @param {Array<{ clientOrderId: string, price: number, size?: number, trigger?: { triggerPx: number, tpsl: 'sl'|'tp' } }>} targets
+ *   size は残数量の合計。省略時は各子注文の残数量を維持して価格だけ変える
+ *   trigger 指定時は trigger 注文として置き換える（price は約定上限の limitPx）
+ * @param {any} ctx
+ * @param {{ allowWhenHalted?: boolean }} [opts] 保護注文の追従は Halt 中も許可する
+ */
+async function modifyOrdersCore(targets, ctx, opts = {}) {
+  const list = Array.isArray(targets) ? targets : [targets];
+  const entries = [];
+  const unresolved = [];
+  for (const t of list) {
+    const price = toNum(t?.price);
+    const rec = t?.clientOrderId ? getTrackedOrder(t.clientOrderId) : null;
+    const children = rec ? getRestingChildren(rec.clientOrderId) : [];
+    if (!rec || children.length === 0 || price === null || price <= 0) {
+      unresolved.push(t?.clientOrderId ?? null);
+      continue;
+    }
+    const remainingTotal = children.reduce((acc, c) => acc + c.remainingSize, 0);
+    const targetSize = toNum(t?.size);
+    for (const c of children) {
+      // 数量指定時は各子注文の残数量比で按分（トラッカーと wire の数量を一致させるため先に lot 丸め）
+      const rawSize = targetSize !== null && remainingTotal > 0
+        ? targetSize * (c.remainingSize / remainingTotal)
+        : c.remainingSize;
+      const info = getAssetInfo(rec.coin);
+      const reduceOnly = rec.intent === 'exit' || rec.intent === 'protect';
+      const size = info ? roundSize(rawSize, info, reduceOnly ? 'round' : 'floor') : rawSize;
+      if (!(size > 0)) continue;
+      entries.push({
+        oid: c.oid ?? c.cloid,
+        coin: rec.coin,
+        side: rec.side,
+        price,
+        size,
+        reduceOnly,
+        tif: rec.tif,
+        cloid: c.cloid,
+        clientOrderId: rec.clientOrderId,
+        ...(t.trigger ? { trigger: t.trigger } : {}),
+      });
+    }
+  }
+  if (entries.length === 0) return failure('modify', 'no modifiable orders', { unresolved });
+  const results = [];
+  for (const [coin, group] of groupByCoin(entries)) {
+    const type = group.length === 1 ? 'modify' : 'batchModify';
+    const result = await runAction(type, () => buildHlModifyAction(group).action, group.length, ctx, { coin, allowWhenHalted: opts.allowWhenHalted === true });
+    if (result.statuses.length > 0) {
+      const changesByOrder = new Map();
+      group.forEach((e, i) => {
+        if (!changesByOrder.has(e.clientOrderId)) changesByOrder.set(e.clientOrderId, { changes: [], statuses: [] });
+        const slot = changesByOrder.get(e.clientOrderId);
+        slot.changes.push({ cloid: e.cloid, price: e.price, size: e.size });
+        slot.statuses.push(result.statuses[i]);
+      });
+      for (const [clientOrderId, slot] of changesByOrder) {
+        applyModifyAck(clientOrderId, slot.changes, { response: { data: { statuses: slot.statuses } } });
+      }
+    }
+    results.push(result);
+  }
+  return { ...mergeResults(entries.length === 1 ? 'modify' : 'batchModify', results), unresolved };
+}
+
+/**
+ * 取引所側の未約定注文（Info API openOrders）
+ * @param {string} user
+ * @returns {Promise<Array<{ coin: string, oid: number, cloid?: string }>>}
+ */
+async function fetchOpenOrders(user) {
+  const resp = await axios.post(HL_INFO_URL, { type: 'openOrders', user }, {
+    timeout: OPEN_ORDERS_TIMEOUT_MS,
+    headers: { 'Content-Type': 'application/json' },
+  });
+  return Array.isArray(resp.data) ? resp.data : [];
+}
+
+function isProtectiveRef(ref) {
+  const clientOrderId = resolveClientOrderId(ref);
+  return clientOrderId !== null && getTrackedOrder(clientOrderId)?.intent === 'protect';
+}
+
+/**
+ * coin の未約定注文をすべて取り消す
+ * トラッカー管理分に加え、アカウントが分かれば取引所の openOrders（手動発注・再起動前の残骸）も対象
+ * @param {string} coin
+ * @param {any} ctx { mode, userAddress?, keepProtective? }
+ *   keepProtective: 保護注文（SL / TP trigger）は残す（Safety Halt 時の後始末用）
+ */
+async function cancelAllForCoinCore(coin, ctx) {
+  const keepProtective = ctx?.keepProtective === true;
+  const oidRefs = new Map();
+  const cloidRefs = [];
+  for (const w of getWorkingOrders(coin)) {
+    if (keepProtective && w.intent === 'protect') continue;
+    for (const c of getRestingChildren(w.clientOrderId)) {
+      if (c.oid !== null) oidRefs.set(c.oid, { coin, oid: c.oid, cloid: c.cloid });
+      else cloidRefs.push({ coin, cloid: c.cloid, oid: null });
+    }
+  }
+  const user = ctx?.userAddress ?? HL_USER_ADDRESS;
+  let exchangeSource = 'skipped';
+  if (ctx?.mode === 'live' && user) {
+    try {
+      const open = await fetchOpenOrders(user);
+      for (const o of open) {
+        const oid = toNum(o?.oid);
+        if (o?.coin !== coin || oid === null || oidRefs.has(oid)) continue;
+        if (keepProtective && isProtectiveRef({ oid, cloid: o.cloid })) continue;
+        oidRefs.set(oid, { coin, oid, cloid: o.cloid ?? null });
+      }
+      exchangeSource = 'openOrders';
+    } catch (err) {
+      exchangeSource = 'failed';
+      logEvent('executor.order_action.open_orders_failed', { coin, reason: err?.message || String(err) });
+    }
+  }
+  const results = [];
+  if (oidRefs.size > 0) {
+    const refs = Array.from(oidRefs.values());
+    const result = await runAction('cancel', () => buildHlCancelAction(refs).action, refs.length, ctx, { coin, allowWhenHalted: true });
+    if (result.statuses.length > 0) markCancelled(refs, result.statuses);
+    results.push(result);
+  }
+  if (cloidRefs.length > 0) {
+    const result = await runAction('cancelByCloid', () => buildHlCancelByCloidAction(cloidRefs).action, cloidRefs.length, ctx, { coin, allowWhenHalted: true });
+    if (result.statuses.length > 0) markCancelled(cloidRefs, result.statuses);
+    results.push(result);
+  }
+  if (results.length === 0) {
+    return { ok: true, type: 'cancelAll', coin, requested: 0, statuses: [], errors: [], exchangeSource, timestamp: Date.now() };
+  }
+  logEvent('executor.order_action.cancel_all', { coin, requested: oidRefs.size + cloidRefs.length, exchangeSource });
+  return { ...mergeResults('cancelAll', results), type: 'cancelAll', coin, exchangeSource };
+}
+
+/**
+ * 取引所の建玉を reduce-only IOC で決済する（先に coin の未約定注文を全キャンセル）
+ * @param {string} coin
+ * @param {{ side: 'buy'|'sell', size: number, markPx: number }} position 取引所側の建玉（side は建玉方向）
+ * @param {any} ctx { mode, userAddress? }
+ */
+async function flattenPositionCore(coin, position, ctx) {
+  const size = toNum(position?.size);
+  const markPx = toNum(position?.markPx);
+  if (!(size > 0) || !(markPx > 0) || (position?.side !== 'buy' && position?.side !== 'sell')) {
+    return failure('flatten', 'invalid position');
+  }
+  const cancelResult = await cancelAllForCoinCore(coin, ctx);
+  const closeSide = position.side === 'buy' ? 'sell' : 'buy';
+  const info = getAssetInfo(coin);
+  const rawPx = closeSide === 'buy' ? markPx * (1 + FLATTEN_SLIPPAGE_RATIO) : markPx * (1 - FLATTEN_SLIPPAGE_RATIO);
+  const order = {
+    clientOrderId: `FLAT-${coin}-${Date.now()}`,
+    symbol: coin,
+    side: closeSide,
+    size: info ? roundSize(size, info, 'round') : size,
+    price: info ? roundPrice(rawPx, info, closeSide === 'buy' ? 'ceil' : 'floor') : rawPx,
+    intent: 'exit',
+    orderType: { limit: { tif: 'Ioc' } },
+  };
+  const tracked = ctx?.mode === 'live' && process.env.DRY_RUN !== '1';
+  if (tracked) trackOrder(order);
+  const result = await runAction('flatten', () => buildHlOrderAction(order, coin).action, 1, ctx, { coin, allowWhenHalted: true });
+  if (tracked) {
+    if (result.statuses.length > 0) applyOrderAck(order.clientOrderId, { response: { data: { statuses: result.statuses } } });
+    else markOrderFailed(order.clientOrderId, result.error || 'send failed');
+  }
+  logEvent('executor.order_action.flatten', { coin, side: closeSide, size: order.size, price: order.price, ok: result.ok });
+  return { ...result, clientOrderId: order.clientOrderId, cancel: cancelResult };
+}
+
+export {
+  runAction,
+  parseStatuses,
+  cancelOrdersCore,
+  cancelByCloidCore,
+  modifyOrdersCore,
+  cancelAllForCoinCore,
+  flattenPositionCore,
+};
@@ -0,0 +1,841 @@
+// Executor Order Lifecycle Tracker
+// clientOrderId 単位の注文状態機械：pending → resting → partially_filled → filled / cancelled / rejected
+// - 入力: 送信前登録（trackOrder）、/exchange 応答（applyOrderAck）、WS orderUpdates / userFills
+// - 永続化: ws/order_tracker.json（再起動時に復元）
+// - 監査ログ: logs/order_events.jsonl（replayOrderEvents で状態を再構築可能）
+// - 変化は bridgeEmitter 'ORDER_LIFECYCLE_UPDATE' で通知（engine 側のポジション補正に使用）
+// - 執行アルゴリズム（execAlgo.js）の注文は子注文を後から addChildOrder で足す。algo 実行中は子注文が
+//   全部終端でも親を確定させず、finishAlgo で確定する
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import bridgeEmitter from '../core/bridgeEmitter.js';
+import { logEvent } from './logger.js';
+import { counter, histogram } from '../core/metrics.js';
+
+const TRACKER_PATH = process.env.ORDER_TRACKER_PATH || path.join(process.cwd(), 'ws', 'order_tracker.json');
+const EVENTS_LOG_PATH = process.env.ORDER_EVENTS_LOG_PATH || path.join(process.cwd(), 'logs', 'order_events.jsonl');
+const TERMINAL_RETENTION_MS = 24 * 60 * 60 * 1000;
+const MAX_SEEN_FILL_IDS = 5000;
+const SIZE_EPS = 1e-9;
+
+const ORDER_STATES = Object.freeze({
+  PENDING: 'pending',
+  RESTING: 'resting',
+  PARTIAL: 'partially_filled',
+  FILLED: 'filled',
+  CANCELLED: 'cancelled',
+  REJECTED: 'rejected',
+});
+
+const TERMINAL_STATES = new Set([ORDER_STATES.FILLED, ORDER_STATES.CANCELLED, ORDER_STATES.REJECTED]);
+
+// confirm = 送信前登録から全量約定まで。slippage は発注価格に対する平均約定価格（不利方向が正）
+const orderLatencySeconds = histogram('hlb_order_latency_seconds', 'Order latency by stage (sign, send, confirm)');
+const orderSlippageBps = histogram('hlb_order_slippage_bps', 'Fill slippage vs order price in bps (positive = adverse)', [-20, -10, -5, -2, -1, 0, 1, 2, 5, 10, 20, 50]);
+const ordersTerminalTotal = counter('hlb_orders_terminal_total', 'Tracked orders reaching a terminal state');
+
+// 許可する遷移（fill は resting を経由せず pending から直接 partial/filled になり得る）
+const TRANSITIONS = {
+  [ORDER_STATES.PENDING]: [ORDER_STATES.RESTING, ORDER_STATES.PARTIAL, ORDER_STATES.FILLED, ORDER_STATES.CANCELLED, ORDER_STATES.REJECTED],
+  [ORDER_STATES.RESTING]: [ORDER_STATES.PARTIAL, ORDER_STATES.FILLED, ORDER_STATES.CANCELLED],
+  [ORDER_STATES.PARTIAL]: [ORDER_STATES.PARTIAL, ORDER_STATES.FILLED, ORDER_STATES.CANCELLED],
+  [ORDER_STATES.FILLED]: [],
+  [ORDER_STATES.CANCELLED]: [],
+  [ORDER_STATES.REJECTED]: [],
+};
+
+/**
+ * @typedef {Object} TrackedFill
+ * @property {string} fillId - tid（無ければ hash+oid+time）
+ * @property {number} px
+ * @property {number} sz
+ * @property {number} fee
+ * @property {number} ts
+ */
+
+/**
+ * @typedef {Object} TrackedChild
+ * @property {string} cloid
+ * @property {number|null} oid - 現在の oid（modify で差し替わる）
+ * @property {number[]} oids - 過去の oid を含む（約定の突き合わせ用）
+ * @property {number} size
+ * @property {number} filledSize
+ * @property {'pending'|'resting'|'filled'|'cancelled'|'rejected'} status
+ */
+
+/**
+ * @typedef {Object} TrackedOrder
+ * @property {string} clientOrderId
+ * @property {string[]} cloids - 分割子注文ごとの HL cloid
+ * @property {TrackedChild[]} children - cloids と同順
+ * @property {number[]} oids
+ * @property {string} coin
+ * @property {'buy'|'sell'} side
+ * @property {'entry'|'exit'|null} intent
+ * @property {string|null} decisionId
+ * @property {number} size - 要求数量（子注文合計）
+ * @property {number|null} price
+ * @property {string|null} tif
+ * @property {string} status
+ * @property {number} filledSize
+ * @property {number|null} avgPx
+ * @property {number} feeUsd
+ * @property {TrackedFill[]} fills
+ * @property {string|null} lastError
+ * @property {Array<{ status: string, ts: number, source: string }>} history
+ * @property {number} createdAt
+ * @property {number} updatedAt
+ * @property {number=} closedAt - 終端状態に入ったローカル時刻（保持期間の起点）
+ * @property {{ name: string, active: boolean, startedAt: number, finishedAt?: number, reason?: string }=} algo
+ *   執行アルゴリズムの親注文（size は目標数量、子注文は実行中に増える）
+ */
+
+const store = {
+  /** @type {Map<string, TrackedOrder>} */
+  orders: new Map(),
+  /** @type {Map<string, string>} cloid → clientOrderId */
+  byCloid: new Map(),
+  /** @type {Map<number, string>} oid → clientOrderId */
+  byOid: new Map(),
+  /** @type {string[]} */
+  seenFillIds: [],
+  seenFillSet: new Set(),
+};
+
+let persistEnabled = true;
+let eventLogEnabled = true;
+// replayOrderEvents 中は記録行の ts を現在時刻として使う（履歴・closedAt を元の時刻で再現）
+let replayTs = null;
+
+function nowMs() {
+  return replayTs ?? Date.now();
+}
+
+/**
+ * clientOrderId → HL cloid（0x + 128bit hex）
+ * @param {string} clientOrderId
+ * @param {number} [childIndex] - 分割子注文の番号（0 は親と同一）
+ * @returns {string}
+ */
+function toHlCloid(clientOrderId, childIndex = 0) {
+  const key = childIndex > 0 ? `${clientOrderId}#${childIndex}` : String(clientOrderId);
+  return `0x${crypto.createHash('sha256').update(key).digest('hex').slice(0, 32)}`;
+}
+
+function toNum(v) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function normalizeSide(side) {
+  const s = String(side ?? '').toLowerCase();
+  if (s === 'b' || s === 'buy' || s === 'long') return 'buy';
+  if (s === 'a' || s === 'sell' || s === 'short') return 'sell';
+  return null;
+}
+
+const CHILD_TERMINAL = new Set(['filled', 'cancelled', 'rejected']);
+
+function buildChildren(cloids, childSizes, totalSize) {
+  const fallback = cloids.length > 0 ? (Number(totalSize) || 0) / cloids.length : 0;
+  return cloids.map((cloid, i) => ({
+    cloid,
+    oid: null,
+    oids: [],
+    size: toNum(childSizes?.[i]) ?? fallback,
+    filledSize: 0,
+    status: 'pending',
+  }));
+}
+
+function indexOrder(rec) {
+  for (const cloid of rec.cloids) store.byCloid.set(cloid, rec.clientOrderId);
+  for (const oid of rec.oids) store.byOid.set(oid, rec.clientOrderId);
+}
+
+function rememberFillId(fillId) {
+  if (store.seenFillSet.has(fillId)) return false;
+  store.seenFillSet.add(fillId);
+  store.seenFillIds.push(fillId);
+  while (store.seenFillIds.length > MAX_SEEN_FILL_IDS) {
+    store.seenFillSet.delete(store.seenFillIds.shift());
+  }
+  return true;
+}
+
+function loadFromDisk() {
+  try {
+    if (!fs.existsSync(TRACKER_PATH)) return;
+    const parsed = JSON.parse(fs.readFileSync(TRACKER_PATH, 'utf8'));
+    const orders = Array.isArray(parsed?.orders) ? parsed.orders : [];
+    for (const rec of orders) {
+      if (!rec || typeof rec.clientOrderId !== 'string') continue;
+      const cloids = Array.isArray(rec.cloids) ? rec.cloids : [];
+      const normalized = {
+        ...rec,
+        // 実行中だった algo は再起動で runner が消えているので、以降は子注文の終端で確定させる
+        algo: rec.algo ? { ...rec.algo, active: false, reason: rec.algo.active ? 'restart' : rec.algo.reason } : undefined,
+        cloids,
+        children: Array.isArray(rec.children) ? rec.children : buildChildren(cloids, null, rec.size),
+        oids: Array.isArray(rec.oids) ? rec.oids.filter(Number.isFinite) : [],
+        fills: Array.isArray(rec.fills) ? rec.fills : [],
+        history: Array.isArray(rec.history) ? rec.history : [],
+      };
+      store.orders.set(rec.clientOrderId, normalized);
+      indexOrder(normalized);
+    }
+    const seen = Array.isArray(parsed?.seenFillIds) ? parsed.seenFillIds : [];
+    for (const id of seen) rememberFillId(String(id));
+  } catch (err) {
+    console.warn('[executor/orderTracker] load failed, starting empty:', err?.message || err);
+  }
+}
+
+function pruneTerminal(nowTs) {
+  for (const [id, rec] of store.orders) {
+    if (TERMINAL_STATES.has(rec.status) && nowTs - (rec.closedAt ?? rec.updatedAt) > TERMINAL_RETENTION_MS) {
+      store.orders.delete(id);
+      for (const cloid of rec.cloids) store.byCloid.delete(cloid);
+      for (const oid of rec.oids) store.byOid.delete(oid);
+    }
+  }
+}
+
+function persist() {
+  if (!persistEnabled) return;
+  try {
+    pruneTerminal(nowMs());
+    fs.mkdirSync(path.dirname(TRACKER_PATH), { recursive: true });
+    const payload = {
+      savedAt: nowMs(),
+      orders: Array.from(store.orders.values()),
+      seenFillIds: store.seenFillIds,
+    };
+    const tmpPath = `${TRACKER_PATH}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(payload), 'utf8');
+    fs.renameSync(tmpPath, TRACKER_PATH);
+  } catch (err) {
+    console.warn('[executor/orderTracker] persist failed:', err?.message || err);
+  }
+}
+
+function appendEvent(kind, data) {
+  if (!eventLogEnabled) return;
+  try {
+    fs.mkdirSync(path.dirname(EVENTS_LOG_PATH), { recursive: true });
+    fs.appendFileSync(EVENTS_LOG_PATH, JSON.stringify({ ts: nowMs(), kind, data }) + '\n', 'utf8');
+  } catch (err) {
+    console.warn('[executor/orderTracker] event log append failed:', err?.message || err);
+  }
+}
+
+loadFromDisk();
+
+/**
+ * engine 側に渡す約定サマリ
+ * @param {TrackedOrder} rec
+ */
+function summarize(rec) {
+  if (!rec) return null;
+  return {
+    clientOrderId: rec.clientOrderId,
+    decisionId: rec.decisionId ?? null,
+    coin: rec.coin,
+    side: rec.side,
+    intent: rec.intent ?? null,
+    status: rec.status,
+    terminal: TERMINAL_STATES.has(rec.status),
+    requestedSize: rec.size,
+    filledSize: rec.filledSize,
+    remainingSize: Math.max(0, rec.size - rec.filledSize),
+    avgPx: rec.avgPx,
+    feeUsd: rec.feeUsd,
+    lastError: rec.lastError ?? null,
+    updatedAt: rec.updatedAt,
+  };
+}
+
+function transition(rec, nextStatus, source, ts) {
+  if (rec.status === nextStatus && nextStatus !== ORDER_STATES.PARTIAL) return false;
+  const allowed = TRANSITIONS[rec.status] ?? [];
+  if (!allowed.includes(nextStatus)) {
+    logEvent('executor.order.transition_ignored', {
+      clientOrderId: rec.clientOrderId,
+      from: rec.status,
+      to: nextStatus,
+      source,
+    });
+    return false;
+  }
+  rec.status = nextStatus;
+  rec.updatedAt = ts;
+  if (TERMINAL_STATES.has(nextStatus)) {
+    rec.closedAt = nowMs();
+    recordTerminalMetrics(rec);
+  }
+  rec.history.push({ status: nextStatus, ts, source });
+  if (rec.history.length > 50) rec.history.splice(0, rec.history.length - 50);
+  return true;
+}
+
+function recordTerminalMetrics(rec) {
+  ordersTerminalTotal.inc({ coin: rec.coin ?? 'unknown', status: rec.status });
+  if (rec.status !== ORDER_STATES.FILLED) return;
+  orderLatencySeconds.observe({ stage: 'confirm' }, (rec.closedAt - rec.createdAt) / 1000);
+  if (Number.isFinite(rec.price) && rec.price > 0 && Number.isFinite(rec.avgPx)) {
+    const signed = rec.side === 'sell' ? rec.price - rec.avgPx : rec.avgPx - rec.price;
+    orderSlippageBps.observe({ coin: rec.coin ?? 'unknown', side: rec.side ?? 'unknown' }, (signed / rec.price) * 10000);
+  }
+}
+
+function emitUpdate(rec, source) {
+  const summary = summarize(rec);
+  try {
+    bridgeEmitter.emit('ORDER_LIFECYCLE_UPDATE', { ...summary, source });
+  } catch (err) {
+    console.error('[executor/orderTracker] emit failed', err);
+  }
+}
+
+function applyFillToRecord(rec, fill, source) {
+  const prevFilled = rec.filledSize;
+  const nextFilled = prevFilled + fill.sz;
+  rec.avgPx = rec.avgPx === null || prevFilled <= 0
+    ? fill.px
+    : ((rec.avgPx * prevFilled) + (fill.px * fill.sz)) / nextFilled;
+  rec.filledSize = nextFilled;
+  rec.feeUsd += fill.fee;
+  rec.fills.push(fill);
+  rec.updatedAt = fill.ts;
+  const complete = rec.filledSize + SIZE_EPS >= rec.size;
+  transition(rec, complete ? ORDER_STATES.FILLED : ORDER_STATES.PARTIAL, source, fill.ts);
+}
+
+function syncChildFill(rec, child) {
+  child.filledSize = rec.fills
+    .filter(x => x.oid !== null && x.oid !== undefined && child.oids.includes(x.oid))
+    .reduce((acc, x) => acc + x.sz, 0);
+  if (child.filledSize + SIZE_EPS >= child.size) child.status = 'filled';
+}
+
+function findRecord({ cloid, oid }) {
+  const byCloid = cloid ? store.byCloid.get(String(cloid)) : null;
+  if (byCloid) return store.orders.get(byCloid) ?? null;
+  const oidNum = toNum(oid);
+  const byOid = oidNum !== null ? store.byOid.get(oidNum) : null;
+  return byOid ? (store.orders.get(byOid) ?? null) : null;
+}
+
+function findChild(rec, { cloid, oid }) {
+  if (cloid) {
+    const byCloid = rec.children.find(c => c.cloid === String(cloid));
+    if (byCloid) return byCloid;
+  }
+  const oidNum = toNum(oid);
+  return oidNum !== null ? (rec.children.find(c => c.oids.includes(oidNum)) ?? null) : null;
+}
+
+function linkOid(rec, oid, child = null) {
+  const oidNum = toNum(oid);
+  if (oidNum === null) return;
+  if (child) {
+    child.oid = oidNum;
+    if (!child.oids.includes(oidNum)) child.oids.push(oidNum);
+  }
+  if (rec.oids.includes(oidNum)) return;
+  rec.oids.push(oidNum);
+  store.byOid.set(oidNum, rec.clientOrderId);
+}
+
+/**
+ * 全子注文が終端に達したら親注文を確定させる
+ * 約定ありなら filled（要求数量は約定数量に縮める）、無しなら cancelled / rejected
+ */
+function settleIfChildrenDone(rec, source, ts) {
+  if (TERMINAL_STATES.has(rec.status) || rec.algo?.active === true) return false;
+  if (rec.algo && rec.children.length === 0) {
+    return transition(rec, ORDER_STATES.CANCELLED, source, ts);
+  }
+  if (rec.children.length === 0 || !rec.children.every(c => CHILD_TERMINAL.has(c.status))) return false;
+  if (rec.filledSize > SIZE_EPS) {
+    rec.size = rec.filledSize;
+    return transition(rec, ORDER_STATES.FILLED, source, ts);
+  }
+  const allRejected = rec.children.every(c => c.status === 'rejected');
+  return transition(rec, allRejected ? ORDER_STATES.REJECTED : ORDER_STATES.CANCELLED, source, ts);
+}
+
+/**
+ * 送信直前に注文を pending として登録
+ * @param {any} order buildOrder の出力
+ * @param {{ cloids?: string[], childSizes?: number[], decisionId?: string, algo?: string }} [opts] hlAction で採番した子注文 cloid・数量 / 発注元 decisionId
+ *   algo 指定時は子注文なしで登録し、execAlgo.js が addChildOrder で足していく
+ * @returns {ReturnType<typeof summarize>}
+ */
+function trackOrder(order, opts = {}) {
+  if (!order || typeof order.clientOrderId !== 'string') return null;
+  const existing = store.orders.get(order.clientOrderId);
+  if (existing) return summarize(existing);
+  const ts = nowMs();
+  const algoName = typeof opts.algo === 'string' && opts.algo.length > 0 ? opts.algo : null;
+  const cloids = Array.isArray(opts.cloids) && opts.cloids.length > 0
+    ? opts.cloids
+    : (algoName ? [] : [toHlCloid(order.clientOrderId)]);
+  const rec = {
+    clientOrderId: order.clientOrderId,
+    cloids,
+    children: buildChildren(cloids, opts.childSizes, order.size),
+    oids: [],
+    coin: order.symbol,
+    side: normalizeSide(order.side),
+    intent: order.intent ?? null,
+    decisionId: opts.decisionId ?? order.meta?.decisionId ?? null,
+    size: Number(order.size) || 0,
+    price: toNum(order.price),
+    tif: order.orderType?.limit?.tif ?? null,
+    status: ORDER_STATES.PENDING,
+    filledSize: 0,
+    avgPx: null,
+    feeUsd: 0,
+    fills: [],
+    lastError: null,
+    history: [{ status: ORDER_STATES.PENDING, ts, source: 'track' }],
+    createdAt: ts,
+    updatedAt: ts,
+    ...(algoName ? { algo: { name: algoName, active: true, startedAt: ts } } : {}),
+  };
+  store.orders.set(rec.clientOrderId, rec);
+  indexOrder(rec);
+  appendEvent('track', {
+    clientOrderId: rec.clientOrderId,
+    cloids,
+    childSizes: rec.children.map(c => c.size),
+    coin: rec.coin,
+    side: rec.side,
+    intent: rec.intent,
+    decisionId: rec.decisionId,
+    size: rec.size,
+    price: rec.price,
+    tif: rec.tif,
+    algo: algoName,
+  });
+  persist();
+  emitUpdate(rec, 'track');
+  return summarize(rec);
+}
+
+/**
+ * algo 実行中の親注文に子注文を足す（送信前に登録し、ack より先に届く WS fill も取りこぼさない）
+ * @param {string} clientOrderId
+ * @param {{ cloid: string, size: number, price?: number, tif?: string }} child
+ * @returns {boolean}
+ */
+function addChildOrder(clientOrderId, child) {
+  const rec = store.orders.get(clientOrderId);
+  if (!rec || TERMINAL_STATES.has(rec.status) || typeof child?.cloid !== 'string') return false;
+  if (rec.cloids.includes(child.cloid)) return true;
+  rec.cloids.push(child.cloid);
+  rec.children.push(...buildChildren([child.cloid], [child.size], child.size));
+  store.byCloid.set(child.cloid, rec.clientOrderId);
+  appendEvent('child', {
+    clientOrderId,
+    cloid: child.cloid,
+    size: Number(child.size) || 0,
+    price: toNum(child.price),
+    tif: child.tif ?? null,
+  });
+  persist();
+  return true;
+}
+
+/**
+ * algo の終了（以降は通常の注文と同じく、子注文が全部終端になった時点で確定）
+ * @param {string} clientOrderId
+ * @param {string} reason - completed / deadline / drift / superseded / halted など
+ */
+function finishAlgo(clientOrderId, reason) {
+  const rec = store.orders.get(clientOrderId);
+  if (!rec?.algo || rec.algo.active !== true) return summarize(rec);
+  rec.algo = { ...rec.algo, active: false, finishedAt: nowMs(), reason };
+  appendEvent('algoDone', { clientOrderId, reason });
+  if (rec.filledSize <= SIZE_EPS && !rec.lastError) rec.lastError = `algo_${reason}`;
+  const changed = settleIfChildrenDone(rec, 'algo', nowMs());
+  persist();
+  if (changed) emitUpdate(rec, 'algo');
+  return summarize(rec);
+}
+
+/**
+ * /exchange 応答の statuses を反映
+ * HL 形式: { status: 'ok', response: { type: 'order', data: { statuses: [{ resting: { oid } } | { filled: { totalSz, avgPx, oid } } | { error }] } } }
+ * @param {string} clientOrderId
+ * @param {any} responseData sendOrder の data
+ * @param {{ cloids?: string[] }} [opts] 子注文を個別に送った応答（algo）。statuses は cloids と同順
+ * @returns {ReturnType<typeof summarize>}
+ */
+function applyOrderAck(clientOrderId, responseData, opts = {}) {
+  const rec = store.orders.get(clientOrderId);
+  if (!rec) return null;
+  const statuses = Array.isArray(responseData?.response?.data?.statuses)
+    ? responseData.response.data.statuses
+    : null;
+  if (!statuses) return summarize(rec);
+  const ackCloids = Array.isArray(opts.cloids) ? opts.cloids : null;
+  appendEvent('ack', ackCloids ? { clientOrderId, statuses, cloids: ackCloids } : { clientOrderId, statuses });
+  const ts = nowMs();
+  const errors = [];
+  let resting = 0;
+  statuses.forEach((st, i) => {
+    const child = ackCloids
+      ? (rec.children.find(c => c.cloid === ackCloids[i]) ?? null)
+      : (rec.children[i] ?? null);
+    if (st?.resting) {
+      linkOid(rec, st.resting.oid, child);
+      if (child && child.status === 'pending') child.status = 'resting';
+      resting += 1;
+    } else if (st === 'waitingForTrigger' || st === 'waitingForFill') {
+      // trigger（tpsl）注文の受付：oid は orderUpdates で cloid から紐付く
+      if (child && child.status === 'pending') child.status = 'resting';
+      resting += 1;
+    } else if (st?.filled) {
+      linkOid(rec, st.filled.oid, child);
+      // 即時約定分は userFills でも届くため、ここでは fill として計上しない（二重計上防止）
+      // ただし WS 未購読でも数量が分かるよう、同じ oid の正式 fill がまだ無ければ ack の集計値で仮反映する
+      // （trackOrder は送信前に登録するので、ack より先に届いた userFills が既に載っていることがある）
+      const sz = toNum(st.filled.totalSz);
+      const px = toNum(st.filled.avgPx);
+      const filledOid = toNum(st.filled.oid);
+      const hasRealFill = filledOid !== null && rec.fills.some(x => !x.provisional && x.oid === filledOid);
+      if (sz !== null && px !== null && sz > 0 && !hasRealFill) {
+        const fillId = `ack:${st.filled.oid ?? rec.cloids[i] ?? i}`;
+        if (rememberFillId(fillId)) {
+          applyFillToRecord(rec, { fillId, px, sz, fee: 0, ts, provisional: true, oid: filledOid }, 'ack');
+          if (child) syncChildFill(rec, child);
+        }
+      }
+    } else if (st?.error) {
+      if (child && child.status === 'pending') child.status = 'rejected';
+      errors.push(String(st.error));
+    }
+  });
+  if (errors.length > 0) rec.lastError = errors.join('; ');
+  // 子注文単位の応答（algo）は親全体の拒否にしない（他の子注文の約定が残っている）
+  if (errors.length === statuses.length && !ackCloids && rec.algo?.active !== true) {
+    transition(rec, ORDER_STATES.REJECTED, 'ack', ts);
+  } else if (resting > 0 && rec.status === ORDER_STATES.PENDING) {
+    transition(rec, ORDER_STATES.RESTING, 'ack', ts);
+  } else {
+    // 一部子注文の拒否：残りが来ないので約定済み分で確定
+    settleIfChildrenDone(rec, 'ack', ts);
+  }
+  persist();
+  emitUpdate(rec, 'ack');
+  return summarize(rec);
+}
+
+const CANCEL_STATUSES = new Set(['canceled', 'cancelled', 'marginCanceled', 'reduceOnlyCanceled', 'selfTradeCanceled', 'siblingFilledCanceled', 'liquidatedCanceled', 'vaultWithdrawalCanceled', 'openInterestCapCanceled', 'scheduledCancel', 'delistedCanceled']);
+
+/**
+ * WS orderUpdates を反映
+ * @param {Array<{ order: { oid, cloid?, coin, side, sz, origSz }, status: string, statusTimestamp?: number }>} updates
+ * @returns {number} 反映件数
+ */
+function applyOrderUpdates(updates) {
+  if (!Array.isArray(updates)) return 0;
+  let applied = 0;
+  for (const u of updates) {
+    const rec = findRecord({ cloid: u?.order?.cloid, oid: u?.order?.oid });
+    if (!rec) continue;
+    const child = findChild(rec, { cloid: u?.order?.cloid, oid: u?.order?.oid });
+    linkOid(rec, u?.order?.oid, child);
+    const ts = toNum(u?.statusTimestamp) ?? nowMs();
+    const status = String(u?.status ?? '');
+    let changed = false;
+    if (status === 'open') {
+      if (child && child.status === 'pending') child.status = 'resting';
+      changed = rec.status === ORDER_STATES.PENDING && transition(rec, ORDER_STATES.RESTING, 'orderUpdates', ts);
+    } else if (status === 'rejected') {
+      rec.lastError = 'rejected';
+      if (child) child.status = 'rejected';
+      changed = child ? settleIfChildrenDone(rec, 'orderUpdates', ts) : transition(rec, ORDER_STATES.REJECTED, 'orderUpdates', ts);
+    } else if (CANCEL_STATUSES.has(status)) {
+      rec.lastError = status;
+      if (child && !CHILD_TERMINAL.has(child.status)) child.status = 'cancelled';
+      if (child) {
+        changed = settleIfChildrenDone(rec, 'orderUpdates', ts);
+      } else {
+        for (const c of rec.children) if (!CHILD_TERMINAL.has(c.status)) c.status = 'cancelled';
+        changed = settleIfChildrenDone(rec, 'orderUpdates', ts);
+      }
+    }
+    // 'filled' は userFills 側で数量付きで反映する
+    if (changed) {
+      applied += 1;
+      emitUpdate(rec, 'orderUpdates');
+    }
+  }
+  if (applied > 0) {
+    appendEvent('orderUpdates', updates);
+    persist();
+  }
+  return applied;
+}
+
+/**
+ * WS userFills を反映（tid で重複排除）
+ * @param {Array<{ coin, px, sz, side, time, oid, tid?, hash?, fee?, cloid? }>} fills
+ * @returns {number} 反映件数
+ */
+function applyUserFills(fills) {
+  if (!Array.isArray(fills)) return 0;
+  let applied = 0;
+  const touched = new Set();
+  for (const f of fills) {
+    const rec = findRecord({ cloid: f?.cloid, oid: f?.oid });
+    if (!rec) continue;
+    const px = toNum(f?.px);
+    const sz = toNum(f?.sz);
+    if (px === null || sz === null || sz <= 0) continue;
+    const fillId = f?.tid !== undefined ? `tid:${f.tid}` : `h:${f?.hash ?? ''}:${f?.oid ?? ''}:${f?.time ?? ''}`;
+    if (!rememberFillId(fillId)) continue;
+    const child = findChild(rec, { cloid: f?.cloid, oid: f?.oid });
+    linkOid(rec, f?.oid, child);
+    // ack で仮反映していた同一 oid の即時約定分は正式な fill で置き換える
+    const fillOid = toNum(f?.oid);
+    const isSameProvisional = (x) => x.provisional && x.oid === fillOid;
+    if (rec.fills.some(isSameProvisional)) {
+      rec.fills = rec.fills.filter(x => !isSameProvisional(x));
+      rec.filledSize = rec.fills.reduce((acc, x) => acc + x.sz, 0);
+      rec.avgPx = rec.filledSize > 0
+        ? rec.fills.reduce((acc, x) => acc + x.px * x.sz, 0) / rec.filledSize
+        : null;
+      if (rec.status === ORDER_STATES.FILLED && rec.filledSize + SIZE_EPS < rec.size) {
+        // 仮確定を巻き戻す（正式 fill 待ち）
+        rec.status = ORDER_STATES.PARTIAL;
+      }
+    }
+    const ts = toNum(f?.time) ?? nowMs();
+    applyFillToRecord(rec, { fillId, px, sz, fee: toNum(f?.fee) ?? 0, ts, oid: fillOid }, 'userFills');
+    if (child) syncChildFill(rec, child);
+    touched.add(rec.clientOrderId);
+    applied += 1;
+  }
+  if (applied > 0) {
+    appendEvent('userFills', fills);
+    persist();
+    for (const id of touched) emitUpdate(store.orders.get(id), 'userFills');
+  }
+  return applied;
+}
+
+/**
+ * 送信失敗（HTTP/署名エラー等）で取引所に届かなかった注文を確定させる
+ * @param {string} clientOrderId
+ * @param {string} reason
+ */
+function markOrderFailed(clientOrderId, reason) {
+  const rec = store.orders.get(clientOrderId);
+  if (!rec) return null;
+  rec.lastError = reason;
+  if (transition(rec, ORDER_STATES.REJECTED, 'send', nowMs())) {
+    appendEvent('failed', { clientOrderId, reason });
+    persist();
+    emitUpdate(rec, 'send');
+  }
+  return summarize(rec);
+}
+
+/**
+ * modify / batchModify 応答を反映（新しい価格・数量と差し替え後の oid）
+ * @param {string} clientOrderId
+ * @param {Array<{ cloid: string, price: number, size: number }>} changes 子注文ごとの変更内容
+ * @param {any} responseData sendAction の data（statuses は changes と同順）
+ */
+function applyModifyAck(clientOrderId, changes, responseData) {
+  const rec = store.orders.get(clientOrderId);
+  if (!rec) return null;
+  const statuses = Array.isArray(responseData?.response?.data?.statuses)
+    ? responseData.response.data.statuses
+    : [];
+  appendEvent('modify', { clientOrderId, changes, statuses });
+  const ts = nowMs();
+  const errors = [];
+  changes.forEach((change, i) => {
+    const st = statuses[i];
+    const child = rec.children.find(c => c.cloid === change.cloid) ?? null;
+    if (!child) return;
+    if (st?.error) {
+      errors.push(String(st.error));
+      return;
+    }
+    // 成功時のみ数量・価格を差し替え（約定済み分は維持したまま子注文サイズを再設定）
+    child.size = child.filledSize + change.size;
+    if (st?.resting) linkOid(rec, st.resting.oid, child);
+    if (st?.filled) linkOid(rec, st.filled.oid, child);
+  });
+  const okCount = changes.length - errors.length;
+  if (okCount > 0) {
+    if (changes.length > 0 && Number.isFinite(changes[0].price)) rec.price = changes[0].price;
+    rec.size = rec.children.reduce((acc, c) => acc + c.size, 0);
+    rec.updatedAt = ts;
+  }
+  if (errors.length > 0) rec.lastError = errors.join('; ');
+  persist();
+  emitUpdate(rec, 'modify');
+  return { summary: summarize(rec), errors };
+}
+
+/**
+ * 板に残っている子注文（cancel / modify の対象）
+ * @param {string} clientOrderId
+ * @returns {Array<{ cloid: string, oid: number|null, remainingSize: number }>}
+ */
+function getRestingChildren(clientOrderId) {
+  const rec = store.orders.get(clientOrderId);
+  if (!rec || TERMINAL_STATES.has(rec.status)) return [];
+  return rec.children
+    .filter(c => !CHILD_TERMINAL.has(c.status))
+    .map(c => ({ cloid: c.cloid, oid: c.oid, remainingSize: Math.max(0, c.size - c.filledSize) }));
+}
+
+/**
+ * oid / cloid から clientOrderId を引く
+ * @param {{ oid?: number, cloid?: string }} ref
+ * @returns {string|null}
+ */
+function resolveClientOrderId(ref) {
+  const rec = findRecord({ cloid: ref?.cloid, oid: ref?.oid });
+  return rec ? rec.clientOrderId : null;
+}
+
+/**
+ * @param {string} clientOrderId
+ */
+function getExecutionSummary(clientOrderId) {
+  return summarize(store.orders.get(clientOrderId));
+}
+
+function getTrackedOrder(clientOrderId) {
+  const rec = store.orders.get(clientOrderId);
+  return rec ? JSON.parse(JSON.stringify(rec)) : null;
+}
+
+/**
+ * 未確定（pending/resting/partially_filled）注文の一覧
+ * @param {string} [coin]
+ */
+function getWorkingOrders(coin) {
+  const out = [];
+  for (const rec of store.orders.values()) {
+    if (TERMINAL_STATES.has(rec.status)) continue;
+    if (coin && rec.coin !== coin) continue;
+    out.push(summarize(rec));
+  }
+  return out;
+}
+
+function getTrackerSnapshot() {
+  const counts = {};
+  for (const rec of store.orders.values()) {
+    counts[rec.status] = (counts[rec.status] ?? 0) + 1;
+  }
+  return { total: store.orders.size, counts };
+}
+
+function resetStore() {
+  store.orders.clear();
+  store.byCloid.clear();
+  store.byOid.clear();
+  store.seenFillIds = [];
+  store.seenFillSet.clear();
+}
+
+/**
+ * 記録済みイベントログ（order_events.jsonl）または raw WS ログから状態を再構築
+ * raw ログは { channel: 'orderUpdates'|'userFills', data } 行のみ拾う
+ * @param {string[]} lines JSONL 行
+ * @param {{ persist?: boolean }} [opts]
+ * @returns {{ applied: number, skipped: number, snapshot: ReturnType<typeof getTrackerSnapshot> }}
+ */
+function replayOrderEvents(lines, opts = {}) {
+  const prevPersist = persistEnabled;
+  const prevEventLog = eventLogEnabled;
+  persistEnabled = false;
+  eventLogEnabled = false;
+  resetStore();
+  let applied = 0;
+  let skipped = 0;
+  try {
+    for (const line of lines) {
+      if (!line || !line.trim()) continue;
+      let row;
+      try {
+        row = JSON.parse(line);
+      } catch (_) {
+        skipped += 1;
+        continue;
+      }
+      const kind = row?.kind ?? row?.channel ?? row?.data?.channel ?? null;
+      const data = row?.kind ? row.data : (row?.data?.data ?? row?.data);
+      replayTs = toNum(row?.ts) ?? replayTs;
+      if (kind === 'track') {
+        trackOrder({
+          clientOrderId: data.clientOrderId,
+          symbol: data.coin,
+          side: data.side,
+          intent: data.intent,
+          size: data.size,
+          price: data.price,
+          orderType: { limit: { tif: data.tif } },
+          meta: { decisionId: data.decisionId },
+        }, { cloids: data.cloids, childSizes: data.childSizes, decisionId: data.decisionId, algo: data.algo });
+      } else if (kind === 'child') {
+        addChildOrder(data.clientOrderId, data);
+      } else if (kind === 'algoDone') {
+        finishAlgo(data.clientOrderId, data.reason);
+      } else if (kind === 'ack') {
+        applyOrderAck(data.clientOrderId, { response: { data: { statuses: data.statuses } } }, { cloids: data.cloids });
+      } else if (kind === 'modify') {
+        applyModifyAck(data.clientOrderId, data.changes, { response: { data: { statuses: data.statuses } } });
+      } else if (kind === 'failed') {
+        markOrderFailed(data.clientOrderId, data.reason);
+      } else if (kind === 'orderUpdates') {
+        applyOrderUpdates(data);
+      } else if (kind === 'userFills') {
+        applyUserFills(Array.isArray(data) ? data : data?.fills);
+      } else {
+        skipped += 1;
+        continue;
+      }
+      applied += 1;
+    }
+  } finally {
+    persistEnabled = prevPersist;
+    eventLogEnabled = prevEventLog;
+    replayTs = null;
+  }
+  if (opts.persist === true) persist();
+  return { applied, skipped, snapshot: getTrackerSnapshot() };
+}
+
+export {
+  ORDER_STATES,
+  toHlCloid,
+  trackOrder,
+  addChildOrder,
+  finishAlgo,
+  applyOrderAck,
+  applyModifyAck,
+  applyOrderUpdates,
+  applyUserFills,
+  markOrderFailed,
+  getExecutionSummary,
+  getTrackedOrder,
+  getWorkingOrders,
+  getRestingChildren,
+  resolveClientOrderId,
+  getTrackerSnapshot,
+  replayOrderEvents,
+};
@@ -0,0 +1,276 @@
+// Executor 保護注文：保有ポジションに取引所側の reduce-only trigger 注文（SL / TP）を付ける
+// - 目標値は engine/update.js が openPosition.protection に毎 tick 書き出す（hard SL 相当価格・追跡中の TP）
+// - 未発注なら positionTpsl グループでまとめて発注、価格 / 数量が動いたら trigger modify で追従
+// - ポジションが閉じた / 別ポジションに入れ替わったら cancelByCloid で取り消す
+// - 直列化は index.js の runSerialized 側で行う（ここは *Core 相当）
+// - 約定は orderTracker（intent 'protect'）経由で engine/execution.js が openPosition に反映する
+
+import fs from 'fs';
+import path from 'path';
+import {
+  PROTECTIVE_ORDERS_PATH,
+  PROTECTIVE_SLIPPAGE_RATIO,
+  PROTECTIVE_REPRICE_MIN_BPS,
+  PROTECTIVE_SYNC_MIN_INTERVAL_MS,
+} from './config.js';
+import { buildHlTriggerOrderAction } from './hlAction.js';
+import { runAction, cancelByCloidCore, modifyOrdersCore } from './orderActions.js';
+import { trackOrder, applyOrderAck, markOrderFailed, getExecutionSummary, toHlCloid } from './orderTracker.js';
+import { getAssetInfo, roundSize } from './assetMeta.js';
+import { logEvent } from './logger.js';
+import { resolvePositionKey } from '../engine/execution.js';
+
+const LEGS = ['sl', 'tp'];
+
+/**
+ * coin → { coin, positionKey, positionSide, seq, lastSyncAt, legs: { sl, tp } }
+ * leg: { clientOrderId, triggerPx, size, placedAt, dryRun? }
+ */
+const store = new Map();
+
+function loadFromDisk() {
+  try {
+    if (!fs.existsSync(PROTECTIVE_ORDERS_PATH)) return;
+    const parsed = JSON.parse(fs.readFileSync(PROTECTIVE_ORDERS_PATH, 'utf8'));
+    const entries = Array.isArray(parsed?.entries) ? parsed.entries : [];
+    for (const e of entries) {
+      if (!e || typeof e.coin !== 'string' || typeof e.positionKey !== 'string') continue;
+      store.set(e.coin, { ...e, legs: { sl: e.legs?.sl ?? null, tp: e.legs?.tp ?? null } });
+    }
+  } catch (err) {
+    console.warn('[executor/protectiveOrders] load failed, starting empty:', err?.message || err);
+  }
+}
+
+function persist() {
+  try {
+    fs.mkdirSync(path.dirname(PROTECTIVE_ORDERS_PATH), { recursive: true });
+    const tmpPath = `${PROTECTIVE_ORDERS_PATH}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ savedAt: Date.now(), entries: Array.from(store.values()) }), 'utf8');
+    fs.renameSync(tmpPath, PROTECTIVE_ORDERS_PATH);
+  } catch (err) {
+    console.warn('[executor/protectiveOrders] persist failed:', err?.message || err);
+  }
+}
+
+loadFromDisk();
+
+function isLegAlive(leg) {
+  if (!leg) return false;
+  if (leg.dryRun) return true;
+  const summary = getExecutionSummary(leg.clientOrderId);
+  return !!summary && !summary.terminal;
+}
+
+/**
+ * 成行 trigger の約定上限（決済方向に slippage 分だけ不利側）
+ */
+function toLimitPx(closeSide, triggerPx) {
+  const slip = Number.isFinite(PROTECTIVE_SLIPPAGE_RATIO) && PROTECTIVE_SLIPPAGE_RATIO > 0 ? PROTECTIVE_SLIPPAGE_RATIO : 0.05;
+  return closeSide === 'buy' ? triggerPx * (1 + slip) : triggerPx * (1 - slip);
+}
+
+function needsReprice(coin, leg, want) {
+  const bps = Math.abs(want.triggerPx - leg.triggerPx) / leg.triggerPx * 10000;
+  if (bps >= PROTECTIVE_REPRICE_MIN_BPS) return true;
+  const info = getAssetInfo(coin);
+  const a = info ? roundSize(want.size, info, 'round') : want.size;
+  const b = info ? roundSize(leg.size, info, 'round') : leg.size;
+  return Math.abs(a - b) > 1e-12;
+}
+
+/**
+ * position.protection から脚ごとの目標（triggerPx / size）を作る
+ */
+function resolveDesiredLegs(protection) {
+  return {
+    sl: Number(protection?.slPx) > 0 && Number(protection?.size) > 0
+      ? { triggerPx: Number(protection.slPx), size: Number(protection.size) }
+      : null,
+    tp: Number(protection?.tpPx) > 0 && Number(protection?.tpSize) > 0
+      ? { triggerPx: Number(protection.tpPx), size: Number(protection.tpSize) }
+      : null,
+  };
+}
+
+async function cancelLegs(entry, legs, ctx) {
+  const targets = legs
+    .filter(name => isLegAlive(entry.legs[name]) && !entry.legs[name].dryRun)
+    .map(name => ({ clientOrderId: entry.legs[name].clientOrderId }));
+  for (const name of legs) entry.legs[name] = null;
+  if (targets.length === 0) return null;
+  const result = await cancelByCloidCore(targets, ctx);
+  if (!result.ok) {
+    logEvent('executor.protective.cancel_failed', { coin: entry.coin, positionKey: entry.positionKey, errors: result.errors });
+  }
+  return result;
+}
+
+async function placeLegs(entry, closeSide, wants, ctx) {
+  const legs = Object.keys(wants);
+  const now = Date.now();
+  // test モード / DRY_RUN は取引所に注文が無いのでトラッカーに載せない
+  const untracked = ctx?.mode !== 'live' || process.env.DRY_RUN === '1';
+  const orders = legs.map((name) => {
+    entry.seq += 1;
+    const clientOrderId = `PROT-${entry.positionKey}-${name}-${entry.seq}`;
+    return {
+      name,
+      clientOrderId,
+      coin: entry.coin,
+      side: closeSide,
+      size: wants[name].size,
+      price: toLimitPx(closeSide, wants[name].triggerPx),
+      trigger: { triggerPx: wants[name].triggerPx, tpsl: name, isMarket: true },
+      cloid: toHlCloid(clientOrderId),
+    };
+  });
+  if (!untracked) {
+    for (const o of orders) {
+      trackOrder(
+        { clientOrderId: o.clientOrderId, symbol: o.coin, side: o.side, size: o.size, price: o.trigger.triggerPx, intent: 'protect' },
+        { cloids: [o.cloid], decisionId: entry.positionKey }
+      );
+    }
+  }
+  const result = await runAction('protect', () => buildHlTriggerOrderAction(orders).action, orders.length, ctx, { coin: entry.coin, allowWhenHalted: true });
+  orders.forEach((o, i) => {
+    const status = result.statuses[i];
+    if (!untracked) {
+      if (status) applyOrderAck(o.clientOrderId, { response: { data: { statuses: [status] } } });
+      else markOrderFailed(o.clientOrderId, result.error || 'send failed');
+    }
+    const accepted = untracked ? result.ok : (status && !(typeof status === 'object' && status.error));
+    entry.legs[o.name] = accepted
+      ? { clientOrderId: o.clientOrderId, triggerPx: o.trigger.triggerPx, size: o.size, placedAt: now, ...(untracked ? { dryRun: true } : {}) }
+      : null;
+  });
+  return result;
+}
+
+async function modifyLegs(entry, closeSide, wants, ctx) {
+  const names = Object.keys(wants);
+  const live = names.filter(name => !entry.legs[name].dryRun);
+  for (const name of names.filter(n => entry.legs[n].dryRun)) {
+    entry.legs[name] = { ...entry.legs[name], triggerPx: wants[name].triggerPx, size: wants[name].size };
+  }
+  if (live.length === 0) return null;
+  const targets = live.map(name => ({
+    clientOrderId: entry.legs[name].clientOrderId,
+    price: toLimitPx(closeSide, wants[name].triggerPx),
+    size: wants[name].size,
+    trigger: { triggerPx: wants[name].triggerPx, tpsl: name, isMarket: true },
+  }));
+  const result = await modifyOrdersCore(targets, ctx, { allowWhenHalted: true });
+  // 失敗した脚は次回同期時に再判定（modify 拒否で注文が消えていれば再発注される）
+  live.forEach((name, i) => {
+    const status = result.statuses?.[i];
+    if (result.ok || status === 'success' || (status && typeof status === 'object' && !status.error)) {
+      entry.legs[name] = { ...entry.legs[name], triggerPx: wants[name].triggerPx, size: wants[name].size };
+    }
+  });
+  if (!result.ok) {
+    logEvent('executor.protective.modify_failed', { coin: entry.coin, positionKey: entry.positionKey, errors: result.errors });
+  }
+  return result;
+}
+
+/**
+ * engine の openPosition に保護注文を合わせる
+ * @param {string} coin
+ * @param {Object|null} position engineState.openPosition（null ならフラット）
+ * @param {any} ctx { mode: 'live'|'test', force?: boolean }
+ * @returns {Promise<{ ok: boolean, action: string, placed?: string[], modified?: string[], cancelled?: string[], errors?: string[] }>}
+ */
+async function syncProtectionCore(coin, position, ctx = {}) {
+  const now = Date.now();
+  let entry = store.get(coin) ?? null;
+  const positionKey = resolvePositionKey(position);
+  const errors = [];
+  const cancelled = [];
+
+  // ポジションが閉じた / 入れ替わった：旧ポジションの保護注文を取り消す
+  if (entry && entry.positionKey !== positionKey) {
+    const names = LEGS.filter(name => entry.legs[name]);
+    const result = await cancelLegs(entry, LEGS, ctx);
+    if (result && !result.ok) errors.push(...result.errors);
+    cancelled.push(...names);
+    store.delete(coin);
+    persist();
+    logEvent('executor.protective.cleared', { coin, positionKey: entry.positionKey, legs: names });
+    entry = null;
+  }
+  if (!position || !positionKey) {
+    return { ok: errors.length === 0, action: cancelled.length > 0 ? 'cancelled' : 'none', cancelled, errors };
+  }
+
+  if (!entry) {
+    entry = { coin, positionKey, positionSide: position.side, seq: 0, lastSyncAt: 0, legs: { sl: null, tp: null } };
+    store.set(coin, entry);
+  } else if (ctx.force !== true && now - entry.lastSyncAt < PROTECTIVE_SYNC_MIN_INTERVAL_MS) {
+    return { ok: true, action: 'throttled' };
+  }
+  entry.lastSyncAt = now;
+
+  const closeSide = position.side === 'buy' ? 'sell' : 'buy';
+  const desired = resolveDesiredLegs(position.protection);
+  const toPlace = {};
+  const toModify = {};
+  const toCancel = [];
+  for (const name of LEGS) {
+    // 約定・取り消し済みの脚は忘れる（約定分は engine/execution.js がポジションに反映済み）
+    if (entry.legs[name] && !isLegAlive(entry.legs[name])) entry.legs[name] = null;
+    const leg = entry.legs[name];
+    const want = desired[name];
+    if (!want) {
+      if (leg) toCancel.push(name);
+    } else if (!leg) {
+      toPlace[name] = want;
+    } else if (needsReprice(coin, leg, want)) {
+      toModify[name] = want;
+    }
+  }
+
+  if (toCancel.length > 0) {
+    const result = await cancelLegs(entry, toCancel, ctx);
+    if (result && !result.ok) errors.push(...result.errors);
+    cancelled.push(...toCancel);
+  }
+  if (Object.keys(toModify).length > 0) {
+    const result = await modifyLegs(entry, closeSide, toModify, ctx);
+    if (result && !result.ok) errors.push(...result.errors);
+  }
+  if (Object.keys(toPlace).length > 0) {
+    const result = await placeLegs(entry, closeSide, toPlace, ctx);
+    if (!result.ok) errors.push(...result.errors);
+  }
+  persist();
+
+  const placed = Object.keys(toPlace);
+  const modified = Object.keys(toModify);
+  if (placed.length > 0 || modified.length > 0 || cancelled.length > 0) {
+    logEvent('executor.protective.synced', { coin, positionKey, placed, modified, cancelled, errors: errors.length });
+  }
+  return {
+    ok: errors.length === 0,
+    action: placed.length + modified.length + cancelled.length > 0 ? 'synced' : 'unchanged',
+    placed,
+    modified,
+    cancelled,
+    errors,
+  };
+}
+
+/**
+ * 現在の保護注文（ダッシュボード / 運用確認用）
+ * @param {string} [coin]
+ */
+function getProtectionState(coin) {
+  const list = Array.from(store.values()).filter(e => !coin || e.coin === coin);
+  return JSON.parse(JSON.stringify(list));
+}
+
+export {
+  syncProtectionCore,
+  getProtectionState,
+};
@@ -0,0 +1,224 @@
+// Executor 突き合わせ：取引所の建玉・未約定注文と engine / executor のローカル状態を比較する
+// - 取引所側: Info API clearinghouseState（建玉）/ openOrders（未約定注文）
+// - ローカル側: engineState.openPosition / orderTracker の working 注文 / stateStore の partialLock
+// - 建玉の食い違いは policy に従って adopt（取引所に合わせる）/ flatten（取引所を決済）/ halt（停止）
+// - 注文の食い違いは flatten のときだけ未管理注文を取り消し、それ以外は記録と通知のみ
+// - 直列化は index.js の runSerialized 側で行う
+
+import axios from 'axios';
+import { HL_INFO_URL, HL_USER_ADDRESS } from './config.js';
+import { getWorkingOrders, getRestingChildren, resolveClientOrderId } from './orderTracker.js';
+import { getPartialLock, clearPartialLock } from './stateStore.js';
+import { cancelOrdersCore, flattenPositionCore } from './orderActions.js';
+import { getAssetInfo } from './assetMeta.js';
+import { triggerSafetyHalt } from './safetyHalt.js';
+import { logEvent } from './logger.js';
+
+const INFO_TIMEOUT_MS = 4000;
+// 送信直後の注文は openOrders への反映が遅れるため、この時間内の注文は不在扱いにしない
+const ORDER_GRACE_MS = 30_000;
+
+function toNum(v) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+async function postInfo(body) {
+  const resp = await axios.post(HL_INFO_URL, body, {
+    timeout: INFO_TIMEOUT_MS,
+    headers: { 'Content-Type': 'application/json' },
+  });
+  return resp.data;
+}
+
+/**
+ * 取引所側の建玉と未約定注文
+ * @param {string} user
+ * @param {string} coin
+ * @returns {Promise<{ position: { coin: string, side: 'buy'|'sell', size: number, entryPx: number|null, markPx: number|null } | null, openOrders: Array<{ coin: string, oid: number, cloid: string|null, side: 'buy'|'sell', size: number, price: number|null }> }>}
+ */
+async function fetchExchangeState(user, coin) {
+  const [clearinghouse, openOrders] = await Promise.all([
+    postInfo({ type: 'clearinghouseState', user }),
+    postInfo({ type: 'openOrders', user }),
+  ]);
+  const assetPositions = Array.isArray(clearinghouse?.assetPositions) ? clearinghouse.assetPositions : [];
+  const raw = assetPositions.map(p => p?.position).find(p => p?.coin === coin) ?? null;
+  const szi = toNum(raw?.szi) ?? 0;
+  let position = null;
+  if (Math.abs(szi) > 0) {
+    const size = Math.abs(szi);
+    const positionValue = toNum(raw?.positionValue);
+    position = {
+      coin,
+      side: szi > 0 ? 'buy' : 'sell',
+      size,
+      entryPx: toNum(raw?.entryPx),
+      // clearinghouseState に mark は無いので positionValue / size で近似
+      markPx: positionValue !== null ? positionValue / size : toNum(raw?.entryPx),
+    };
+  }
+  const orders = (Array.isArray(openOrders) ? openOrders : [])
+    .filter(o => o?.coin === coin && toNum(o?.oid) !== null)
+    .map(o => ({
+      coin,
+      oid: toNum(o.oid),
+      cloid: typeof o.cloid === 'string' ? o.cloid : null,
+      side: o.side === 'B' ? 'buy' : 'sell',
+      size: toNum(o.sz) ?? 0,
+      price: toNum(o.limitPx),
+    }));
+  return { position, openOrders: orders };
+}
+
+/**
+ * 食い違いの一覧
+ * kind: position_missing_in_engine / position_missing_on_exchange / side_mismatch / size_mismatch
+ *       / untracked_open_orders / tracked_orders_missing / stale_partial_lock
+ * severity: 'position'（policy の対象）/ 'order'（記録・通知のみ、flatten 時は未管理注文を取り消す）
+ */
+function diffExchangeState(enginePosition, exchange, opts) {
+  const { coin, sizeToleranceRatio = 0.01, nowTs = Date.now() } = opts;
+  const divergences = [];
+  const ex = exchange.position;
+  const eng = enginePosition && Number(enginePosition.size) > 0 ? enginePosition : null;
+  const info = getAssetInfo(coin);
+  const lot = info ? 10 ** -info.szDecimals : 0;
+
+  if (ex && !eng) {
+    divergences.push({ kind: 'position_missing_in_engine', severity: 'position', detail: `exchange ${ex.side} ${ex.size} @${ex.entryPx}, engine flat` });
+  } else if (!ex && eng) {
+    divergences.push({ kind: 'position_missing_on_exchange', severity: 'position', detail: `engine ${eng.side} ${eng.size} @${eng.entryPx}, exchange flat` });
+  } else if (ex && eng) {
+    if (ex.side !== eng.side) {
+      divergences.push({ kind: 'side_mismatch', severity: 'position', detail: `engine ${eng.side} ${eng.size}, exchange ${ex.side} ${ex.size}` });
+    } else {
+      const tolerance = Math.max(ex.size * sizeToleranceRatio, lot);
+      if (Math.abs(ex.size - Number(eng.size)) > tolerance) {
+        divergences.push({ kind: 'size_mismatch', severity: 'position', detail: `engine ${eng.size}, exchange ${ex.size} (${ex.side})` });
+      }
+    }
+  }
+
+  const untracked = exchange.openOrders.filter(o => resolveClientOrderId({ oid: o.oid, cloid: o.cloid }) === null);
+  if (untracked.length > 0) {
+    divergences.push({
+      kind: 'untracked_open_orders',
+      severity: 'order',
+      detail: untracked.map(o => `${o.side} ${o.size}@${o.price} oid=${o.oid}`).join(', '),
+      orders: untracked,
+    });
+  }
+
+  const exchangeOids = new Set(exchange.openOrders.map(o => o.oid));
+  const exchangeCloids = new Set(exchange.openOrders.map(o => o.cloid).filter(Boolean));
+  const missing = getWorkingOrders(coin).filter((w) => {
+    if (nowTs - (w.updatedAt ?? 0) < ORDER_GRACE_MS) return false;
+    return !getRestingChildren(w.clientOrderId).some(c => exchangeOids.has(c.oid) || exchangeCloids.has(c.cloid));
+  });
+  if (missing.length > 0) {
+    divergences.push({
+      kind: 'tracked_orders_missing',
+      severity: 'order',
+      detail: missing.map(w => `${w.clientOrderId} (${w.status})`).join(', '),
+    });
+  }
+
+  const lock = getPartialLock();
+  if (lock && exchange.openOrders.length === 0) {
+    divergences.push({ kind: 'stale_partial_lock', severity: 'order', detail: `partialLock ${lock.orderId} remaining=${lock.remainingSize}` });
+  }
+  return divergences;
+}
+
+/**
+ * 突き合わせ本体
+ * @param {Object|null} enginePosition engineState.openPosition
+ * @param {{ coin: string, mode: string, policy: 'adopt'|'flatten'|'halt', sizeToleranceRatio?: number, trigger?: string, userAddress?: string }} ctx
+ * @returns {Promise<{ ok: boolean, skipped?: string, policy: string, divergences: any[], engine: 'keep'|'adopt'|'flat', exchangePosition: any, halted: boolean, actions: string[], error?: string }>}
+ */
+async function reconcileCore(enginePosition, ctx) {
+  const { coin, policy } = ctx;
+  const trigger = ctx.trigger ?? 'periodic';
+  const user = ctx.userAddress ?? HL_USER_ADDRESS;
+  const base = { policy, divergences: [], engine: 'keep', exchangePosition: null, halted: false, actions: [] };
+  if (!user) return { ...base, ok: true, skipped: 'missing_user_address' };
+
+  // 自分の新規/決済注文が板上・送信中なら建玉は確定していないので比較しない
+  const inFlight = getWorkingOrders(coin).filter(w => w.intent !== 'protect');
+  let exchange;
+  try {
+    exchange = await fetchExchangeState(user, coin);
+  } catch (err) {
+    logEvent('executor.reconcile.fetch_failed', { coin, trigger, reason: err?.message || String(err) });
+    return { ...base, ok: false, error: `fetch failed: ${err?.message || err}` };
+  }
+
+  let divergences = diffExchangeState(enginePosition, exchange, { coin, sizeToleranceRatio: ctx.sizeToleranceRatio });
+  if (inFlight.length > 0) {
+    divergences = divergences.filter(d => d.severity !== 'position');
+  }
+  const result = { ...base, ok: true, divergences, exchangePosition: exchange.position };
+  if (divergences.length === 0) {
+    logEvent('executor.reconcile.ok', { coin, trigger, position: exchange.position, openOrders: exchange.openOrders.length });
+    return result;
+  }
+
+  const positionDiffs = divergences.filter(d => d.severity === 'position');
+  // flatten は coin の未約定注文を先に全キャンセルするので、未管理注文の個別キャンセルは不要
+  let ordersCleared = false;
+  if (positionDiffs.length > 0) {
+    if (policy === 'adopt') {
+      result.engine = exchange.position ? 'adopt' : 'flat';
+      result.actions.push(exchange.position ? 'adopt_exchange_position' : 'engine_flat');
+    } else if (policy === 'flatten') {
+      if (exchange.position) {
+        const flat = await flattenPositionCore(coin, exchange.position, { mode: ctx.mode, userAddress: user });
+        ordersCleared = true;
+        result.actions.push(flat.ok ? 'flatten_sent' : 'flatten_failed');
+        if (!flat.ok) {
+          result.ok = false;
+          result.error = flat.error ?? flat.errors?.join('; ');
+        }
+      }
+      result.engine = 'flat';
+      result.actions.push('engine_flat');
+    } else {
+      result.halted = true;
+      result.actions.push('halt');
+    }
+  }
+
+  for (const d of divergences) {
+    if (d.kind === 'stale_partial_lock') {
+      await clearPartialLock();
+      result.actions.push('clear_partial_lock');
+    } else if (d.kind === 'untracked_open_orders' && policy === 'flatten' && !ordersCleared) {
+      const cancel = await cancelOrdersCore(d.orders.map(o => ({ coin, oid: o.oid })), { mode: ctx.mode });
+      result.actions.push(cancel.ok ? 'cancel_untracked_orders' : 'cancel_untracked_orders_failed');
+    }
+  }
+
+  const summary = divergences.map(d => `${d.kind}: ${d.detail}`).join('\n');
+  logEvent('executor.reconcile.divergence', { coin, trigger, policy, divergences: divergences.map(({ orders, ...d }) => d), actions: result.actions });
+  if (result.halted) {
+    await triggerSafetyHalt('reconcile_mismatch', positionDiffs.map(d => d.kind).join(','));
+  }
+  try {
+    const { sendLineAlert } = await import('../engine/lineNotify.js');
+    await sendLineAlert({
+      type: 'RECONCILE_DIVERGENCE',
+      message: `${coin} (${trigger}, policy=${policy})\n${summary}`,
+      action: result.actions.length > 0 ? result.actions.join(', ') : '取引所の建玉・注文を確認',
+    });
+  } catch (alertErr) {
+    console.error('[ALERT] Failed to send LINE alert:', alertErr.message);
+  }
+  return result;
+}
+
+export {
+  fetchExchangeState,
+  diffExchangeState,
+  reconcileCore,
+};
@@ -42,7 +42,11 @@ function applyRiskAllocation(order, ctx = {}) {
     return { order, changed: false };
   }
 
-  const clampedSize = maxPerTradeUsd / price;
+  const rawClamped = maxPerTradeUsd / price;
+  // buildOrder で解決済みの lot 桁（szDecimals）があれば切り捨てで揃える
+  const clampedSize = Number.isInteger(order && order.szDecimals)
+    ? Math.floor(rawClamped * (10 ** order.szDecimals)) / (10 ** order.szDecimals)
+    : rawClamped;
   if (!Number.isFinite(clampedSize) || clampedSize <= 0) {
     return { order, changed: false };
   }
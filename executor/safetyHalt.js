@@ -3,6 +3,10 @@
 
 import { logSafetyHalt } from './logger.js';
 import { setGlobalSafety } from '../engine/safety.js';
+import { counter } from '../core/metrics.js';
+
+const safetyHaltsTotal = counter('hlb_safety_halts_total', 'Executor safety halts by reason');
+const signerErrorsTotal = counter('hlb_signer_errors_total', 'SignerAdapter errors');
 
 /**
  * Safety Halt 状態
@@ -18,6 +22,9 @@ let safetyState = {
   lastHaltReason: null,
 };
 
+// Halt 1 回につきキャンセルは 1 度だけ（キャンセル自体の署名失敗で Halt が再発しても再入しない）
+let haltCancelStarted = false;
+
 /**
  * Live モードが有効かチェック
  * @returns {boolean}
@@ -35,6 +42,7 @@ async function triggerSafetyHalt(reason, detail) {
   safetyState.liveEnabled = false;
   safetyState.lastHaltReason = reason;
   safetyState.lastError = { reason, detail, ts: Date.now() };
+  safetyHaltsTotal.inc({ reason });
   setGlobalSafety('HALTED', reason, detail, 'executor');
   
   logSafetyHalt({
@@ -43,18 +51,50 @@ async function triggerSafetyHalt(reason, detail) {
     mode: 'auto',
   });
   
-  // LINE alert for critical API errors (異常検知専用)
-  if (reason === 'hl_reject' || reason === 'invalid_signature') {
-    try {
-      const { sendLineAlert } = await import('../engine/lineNotify.js');
-      await sendLineAlert({
-        type: 'API_ERROR',
-        message: `${reason}: ${detail}`,
-        action: 'Live取引停止'
-      });
-    } catch (alertErr) {
-      console.error('[ALERT] Failed to send LINE alert:', alertErr.message);
+  // 板に残った注文を取り消す（Halt 後に約定して建玉が増えるのを防ぐ）
+  cancelRestingOrdersOnHalt(reason);
+
+  // 通知ハブへ（API 系の拒否は従来どおり API_ERROR、それ以外は SAFETY_HALT）
+  try {
+    const { notify } = await import('../notify/index.js');
+    await notify({
+      signal: reason === 'hl_reject' || reason === 'invalid_signature' ? 'API_ERROR' : 'SAFETY_HALT',
+      severity: 'critical',
+      message: `${reason}: ${detail}`,
+      action: 'Live取引停止',
+      dedupKey: `SAFETY_HALT:${reason}`,
+      fields: { reason }
+    });
+  } catch (alertErr) {
+    console.error('[ALERT] Failed to send safety halt notification:', alertErr.message);
+  }
+}
+
+/**
+ * Safety Halt 時の未約定注文キャンセル（Live のみ、SAFETY_HALT_CANCEL_ORDERS=0 で無効）
+ * executor/index.js とは循環 import になるため動的 import で呼ぶ
+ * @param {string} reason
+ */
+async function cancelRestingOrdersOnHalt(reason) {
+  if (process.env.MODE !== 'live' || process.env.SAFETY_HALT_CANCEL_ORDERS === '0') return;
+  if (haltCancelStarted) return;
+  haltCancelStarted = true;
+  try {
+    const [{ cancelAllOrdersForCoin }, { getWorkingOrders }, { LIVE_ENABLED_COINS }] = await Promise.all([
+      import('./index.js'),
+      import('./orderTracker.js'),
+      import('./config.js'),
+    ]);
+    const coins = new Set([...LIVE_ENABLED_COINS, ...getWorkingOrders().map(o => o.coin)]);
+    for (const coin of coins) {
+      // 取引所側の SL / TP（保護注文）は Halt 中の建玉を守るため残す
+      const result = await cancelAllOrdersForCoin(coin, { mode: 'live', keepProtective: true });
+      if (!result.ok) {
+        console.error(`[SAFETY_HALT] cancel resting orders failed coin=${coin} reason=${reason}:`, result.errors);
+      }
     }
+  } catch (err) {
+    console.error('[SAFETY_HALT] cancel resting orders failed:', err?.message || err);
   }
 }
 
@@ -64,6 +104,7 @@ async function triggerSafetyHalt(reason, detail) {
  */
 function recordSignerError(error) {
   safetyState.consecutiveErrors++;
+  signerErrorsTotal.inc();
   
   if (safetyState.consecutiveErrors >= 3) {
     triggerSafetyHalt(
@@ -88,6 +129,7 @@ function enableLiveMode(operator = 'manual') {
   safetyState.liveEnabled = true;
   safetyState.consecutiveErrors = 0;
   safetyState.lastHaltReason = null;
+  haltCancelStarted = false;
   setGlobalSafety('NORMAL', null, null, 'executor');
   // Event covered by logSafetyHalt and DebugUI
 }
@@ -2,13 +2,26 @@
 // Live mode: Safety Halt guard + LIVE_ENABLED_COINS check + HL API call
 
 import axios from 'axios';
-import { HL_API_URL, LIVE_ENABLED_COINS, HL_MAINNET } from './config.js';
+import { HL_API_URL, LIVE_ENABLED_COINS, HL_MAINNET, SIGNER_MODE } from './config.js';
 import { isLiveEnabled, triggerSafetyHalt } from './safetyHalt.js';
 import { logLiveDisabled } from './logger.js';
 import { buildHlOrderAction } from './hlAction.js';
 
 function delay(ms) { return new Promise(res => setTimeout(res, ms)); }
 
+/**
+ * 内蔵署名の 0x + r(32) + s(32) + v(1) を /exchange の { r, s, v } 形式へ
+ * SignerAdapter の署名はアダプタ側の形式のまま送る
+ */
+function toWireSignature(signature) {
+  if (SIGNER_MODE !== 'builtin' || typeof signature !== 'string' || signature.length !== 132) return signature;
+  return {
+    r: `0x${signature.slice(2, 66)}`,
+    s: `0x${signature.slice(66, 130)}`,
+    v: Number.parseInt(signature.slice(130), 16),
+  };
+}
+
 /**
  * Hyperliquid API 呼び出し（将来の差し替え容易化のため関数分離）
  * @param {object} action - HL action オブジェクト
@@ -22,7 +35,7 @@ async function callHlOrderApi(action, signature, nonce) {
   const payload = {
     action,
     nonce,
-    signature,
+    signature: toWireSignature(signature),
     vaultAddress: null,
   };
 
@@ -129,8 +142,8 @@ async function sendOrder(order, ctx) {
     };
   }
 
-  // HL Action 構築（署名時と完全一致）
-  const { action } = buildHlOrderAction(order, coin);
+  // HL Action 構築（署名時と完全一致。内蔵署名は署名済みのワイヤ形式 action をそのまま使う）
+  const action = signResult.action ?? buildHlOrderAction(order, coin).action;
 
   // HL API 呼び出し（関数分離：将来の差し替え容易化）
   const result = await callHlOrderApi(action, signResult.signature, signResult.nonce);
@@ -150,6 +163,75 @@ async function sendOrder(order, ctx) {
   return result;
 }
 
+/**
+ * order 以外の L1 action（cancel / cancelByCloid / modify / batchModify）の送信
+ * 署名時と同一の action を渡すこと（signAction の戻り値 action）
+ * @param {object} action
+ * @param {any} ctx { mode, signResult, market: { coin } }
+ * @param {{ allowWhenHalted?: boolean }} [opts] cancel は Safety Halt 中でも送る
+ * @returns {Promise<any>} apiResponse
+ */
+async function sendAction(action, ctx, opts = {}) {
+  const mode = (ctx && ctx.mode) || 'test';
+  const dryRun = process.env.DRY_RUN === '1';
+  const count = Array.isArray(action?.cancels) ? action.cancels.length
+    : (Array.isArray(action?.modifies) ? action.modifies.length : 1);
+
+  if (mode === 'test') {
+    if (ctx && ctx.testForceFail) {
+      return { ok: false, error: { code: 'TEST_FAIL', message: 'forced failure (test)' } };
+    }
+    // ダミー応答：全件成功
+    return {
+      ok: true,
+      data: {
+        status: 'ok',
+        response: {
+          type: action?.type || 'default',
+          data: { statuses: Array.from({ length: count }, () => 'success') },
+        },
+      },
+    };
+  }
+
+  if (dryRun) {
+    return { ok: true, data: { status: 'dry_run', dryRun: true, actionType: action?.type } };
+  }
+
+  const coin = ctx?.market?.coin || 'BTC';
+  if (!isLiveEnabled() && opts.allowWhenHalted !== true) {
+    logLiveDisabled({ coin, reason: 'safety_halt_active' });
+    return {
+      ok: false,
+      error: {
+        code: 'LIVE_DISABLED',
+        message: 'Live mode is disabled due to Safety Halt',
+      }
+    };
+  }
+
+  const signResult = ctx && ctx.signResult;
+  if (!signResult || !signResult.signature) {
+    return {
+      ok: false,
+      error: {
+        code: 'MISSING_SIGNATURE',
+        message: 'signResult.signature is required for Live mode',
+      }
+    };
+  }
+
+  const result = await callHlOrderApi(action, signResult.signature, signResult.nonce);
+  if (!result.ok) {
+    const errorCode = result.error?.code;
+    const errorMessage = result.error?.message || 'unknown error';
+    if (errorCode === 'UNAUTHORIZED' || errorMessage.includes('signature')) {
+      triggerSafetyHalt('hl_reject', `HL API rejected: ${errorMessage}`);
+    }
+  }
+  return result;
+}
+
 function buildAuthHeaders(ctx) {
   const headers = { 'Content-Type': 'application/json' };
   // Live では署名ベース認証のため X-API-KEY は不要（EIP712署名がpayloadに含まれる）
@@ -170,4 +252,4 @@ function sanitize(obj) {
   }
 }
 
-export { sendOrder };
+export { sendOrder, sendAction };
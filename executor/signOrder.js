@@ -1,10 +1,11 @@
 // EIP712 署名実装（SignerAdapter 連携）
-// Live モード: SignerAdapter HTTP /sign エンドポイント
+// Live モード: SignerAdapter HTTP /sign エンドポイント（SIGNER_MODE=builtin なら executor/hlSigner.js の内蔵署名）
 // Test モード: ダミー署名
 
 import axios from 'axios';
 import {
   SIGNER_ADAPTER_URL,
+  SIGNER_MODE,
   SIGNER_TIMEOUT_MS,
   SIGNER_MAX_RETRIES,
   SIGNER_RETRY_DELAY_MS,
@@ -26,6 +27,7 @@ import {
 } from './safetyHalt.js';
 import { allocateNonce, resetNonce as resetNonceState, claimProcessedKey } from './stateStore.js';
 import { buildHlOrderAction } from './hlAction.js';
+import { signWithBuiltinSigner } from './hlSigner.js';
 
 async function getNextNonce() {
   return allocateNonce();
@@ -143,6 +145,35 @@ async function requestSignature(signRequest) {
   throw lastError;
 }
 
+/**
+ * 内蔵署名（SignerAdapter を使わない単体構成）
+ * 鍵の読み込み失敗・自己検証失敗も SignerAdapter の接続エラーと同じく連続失敗で Safety Halt
+ * @param {object} signRequest - { action, nonce, vaultAddress, expiresAfter }
+ * @returns {Promise<{ signature: string, action: object }>} action は送信用のワイヤ形式
+ */
+async function requestBuiltinSignature(signRequest) {
+  if (process.env.DRY_RUN === '1') {
+    return { signature: '0x' + '1'.repeat(128) + '1b', action: signRequest.action };
+  }
+  try {
+    const { signature, action } = await signWithBuiltinSigner(signRequest);
+    logSignResponseReceived({
+      nonce: signRequest.nonce,
+      signatureLength: signature.length,
+    });
+    const validation = validateSignature(signature);
+    if (!validation.valid) {
+      triggerSafetyHalt('invalid_signature', validation.error);
+      throw new Error(`Signature validation failed: ${validation.error}`);
+    }
+    recordSignerSuccess();
+    return { signature, action };
+  } catch (error) {
+    recordSignerError(error);
+    throw error;
+  }
+}
+
 /**
  * EIP712 Typed Data 署名
  * @param {any} order buildOrder の出力
@@ -150,6 +181,23 @@ async function requestSignature(signRequest) {
  * @returns {Promise<{ signature: string, nonce: number, agentAddress: string }>}
  */
 async function signOrder(order, ctx) {
+  const coin = ctx?.market?.coin || 'BTC';
+  return signAction(() => buildHlOrderAction(order, coin).action, ctx, {
+    side: order.side,
+    px: order.price,
+    sz: order.size,
+  });
+}
+
+/**
+ * 任意の L1 action（order / cancel / cancelByCloid / modify / batchModify）を署名
+ * @param {() => object} buildAction - action 生成（Live のガード通過後に呼ぶ）
+ * @param {any} ctx { mode, api: { agentAddress }, market: { coin } }
+ * @param {{ side?: string, px?: number, sz?: number, allowWhenHalted?: boolean }} [info]
+ *   allowWhenHalted: cancel など建玉を増やさない action は Safety Halt 中でも署名する
+ * @returns {Promise<{ signature: string, nonce: number, agentAddress: string, action?: object }>}
+ */
+async function signAction(buildAction, ctx, info = {}) {
   const mode = (ctx && ctx.mode) || 'test';
   const agentAddress = ctx?.api?.agentAddress || '0x0000000000000000000000000000000000000000';
 
@@ -176,7 +224,7 @@ async function signOrder(order, ctx) {
   }
 
   // Live モード有効チェック
-  if (!isLiveEnabled()) {
+  if (!isLiveEnabled() && info.allowWhenHalted !== true) {
     logLiveDisabled({ coin, reason: 'safety_halt_active' });
     throw new Error('Live mode is disabled due to Safety Halt');
   }
@@ -190,15 +238,15 @@ async function signOrder(order, ctx) {
   // 署名リクエスト生成
   logSignRequestCreated({
     coin,
-    side: order.side,
-    px: order.price,
-    sz: order.size,
+    side: info.side,
+    px: info.px,
+    sz: info.sz,
     nonce,
     env: HL_MAINNET ? 'mainnet' : 'testnet',
     mode: 'live',
   });
 
-  const { action } = buildHlOrderAction(order, coin);
+  const action = buildAction();
   const signRequest = {
     action,
     nonce,
@@ -206,6 +254,17 @@ async function signOrder(order, ctx) {
     expiresAfter: null,
   };
 
+  if (SIGNER_MODE === 'builtin') {
+    // 内蔵署名は正規ワイヤ形式の action に署名するので、送信もその action で行う
+    const builtin = await requestBuiltinSignature(signRequest);
+    return {
+      signature: builtin.signature,
+      nonce,
+      agentAddress,
+      action: builtin.action,
+    };
+  }
+
   // SignerAdapter に署名リクエスト
   const signature = await requestSignature(signRequest);
 
@@ -215,7 +274,8 @@ async function signOrder(order, ctx) {
     signature,
     nonce,
     agentAddress,
+    action,
   };
 }
 
-export { signOrder, resetNonce };
+export { signOrder, signAction, resetNonce };
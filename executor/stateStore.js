@@ -1,9 +1,24 @@
 import fs from 'fs';
 import path from 'path';
+import { appendJournal, compactJournal, getJournalSeq, readJournal, setJournalSeq, truncateTornTail, writeFileAtomic } from '../core/journal.js';
 
 // Persistent executor state for nonce allocation, processed key deduplication, and partial fill locks
+// - 変更は write-ahead journal（executor_state.journal.jsonl）に fsync して追記してからメモリへ反映
+// - journal が EXECUTOR_JOURNAL_COMPACT_EVERY 件たまったらスナップショット（executor_state.json）を原子的に書いて compact
+// - 起動時はスナップショット + journal の再生で復元（ack 直後に落ちてもキーの再利用・nonce の巻き戻りが起きない）
 const STATE_PATH = path.join(process.cwd(), 'ws', 'executor_state.json');
-const DEFAULT_STATE = { currentNonce: 0, processedKeys: [], partialLock: null };
+const JOURNAL_PATH = path.join(process.cwd(), 'ws', 'executor_state.journal.jsonl');
+const COMPACT_EVERY = Math.max(1, Number(process.env.EXECUTOR_JOURNAL_COMPACT_EVERY || 500));
+const DEFAULT_STATE = { currentNonce: 0, processedKeys: [], partialLock: null, journalSeq: 0 };
+
+const EXECUTOR_JOURNAL_EVENTS = Object.freeze({
+  NONCE_ALLOCATED: 'NONCE_ALLOCATED',
+  NONCE_RESET: 'NONCE_RESET',
+  KEY_PROCESSED: 'KEY_PROCESSED',
+  KEYS_CLEARED: 'KEYS_CLEARED',
+  PARTIAL_LOCK_SET: 'PARTIAL_LOCK_SET',
+  PARTIAL_LOCK_CLEARED: 'PARTIAL_LOCK_CLEARED',
+});
 
 function ensureDir() {
   const dir = path.dirname(STATE_PATH);
@@ -25,20 +40,65 @@ function readStateFile() {
       ? parsed.processedKeys.filter(k => typeof k === 'string')
       : [];
     const partialLock = sanitizePartialLock(parsed?.partialLock);
-    return { currentNonce, processedKeys, partialLock };
+    const journalSeq = Number.isFinite(parsed?.journalSeq) ? parsed.journalSeq : 0;
+    return { currentNonce, processedKeys, partialLock, journalSeq };
   } catch (err) {
     console.warn('[executor/stateStore] read failed, fallback to defaults:', err?.message || err);
     return { ...DEFAULT_STATE };
   }
 }
 
-const memoryState = (() => {
+function applyJournalEntry(target, entry) {
+  const data = entry?.data ?? {};
+  switch (entry?.type) {
+    case EXECUTOR_JOURNAL_EVENTS.NONCE_ALLOCATED:
+      target.currentNonce = Math.max(target.currentNonce, Number(data.nonce) + 1);
+      break;
+    case EXECUTOR_JOURNAL_EVENTS.NONCE_RESET:
+      target.currentNonce = 0;
+      break;
+    case EXECUTOR_JOURNAL_EVENTS.KEY_PROCESSED:
+      if (typeof data.key === 'string') target.processedKeys.add(data.key);
+      break;
+    case EXECUTOR_JOURNAL_EVENTS.KEYS_CLEARED:
+      target.processedKeys.clear();
+      break;
+    case EXECUTOR_JOURNAL_EVENTS.PARTIAL_LOCK_SET:
+      target.partialLock = sanitizePartialLock(data.lock);
+      break;
+    case EXECUTOR_JOURNAL_EVENTS.PARTIAL_LOCK_CLEARED:
+      target.partialLock = null;
+      break;
+    default:
+      console.warn(`[executor/stateStore] unknown journal event type=${entry?.type} seq=${entry?.seq}`);
+  }
+}
+
+/**
+ * スナップショット + journal 再生（ops ツールの検査にも使う）
+ */
+function rebuildExecutorState() {
   const loaded = readStateFile();
-  return {
+  const rebuilt = {
     currentNonce: loaded.currentNonce,
     processedKeys: new Set(loaded.processedKeys),
     partialLock: loaded.partialLock,
   };
+  const journal = readJournal(JOURNAL_PATH, { afterSeq: loaded.journalSeq });
+  for (const entry of journal.entries) applyJournalEntry(rebuilt, entry);
+  return { state: rebuilt, snapshotSeq: loaded.journalSeq, replayed: journal.entries.length, journal };
+}
+
+let entriesSinceSnapshot = 0;
+const memoryState = (() => {
+  const rebuilt = rebuildExecutorState();
+  if (rebuilt.journal.tornTail) truncateTornTail(JOURNAL_PATH);
+  setJournalSeq(JOURNAL_PATH, Math.max(rebuilt.snapshotSeq, rebuilt.journal.lastSeq));
+  entriesSinceSnapshot = rebuilt.replayed;
+  if (rebuilt.replayed > 0 || rebuilt.journal.errors.length > 0 || rebuilt.journal.tornTail) {
+    console.warn(`[executor/stateStore] journal replay snapshotSeq=${rebuilt.snapshotSeq} replayed=${rebuilt.replayed}${rebuilt.journal.tornTail ? ' tornTail' : ''}${rebuilt.journal.errors.length > 0 ? ` errors=${JSON.stringify(rebuilt.journal.errors)}` : ''}`);
+  }
+  return rebuilt.state;
 })();
 
 let opQueue = Promise.resolve();
@@ -52,7 +112,7 @@ function enqueue(task) {
   return next;
 }
 
-function persist() {
+function writeSnapshot() {
   ensureDir();
   const payload = {
     currentNonce: Number.isFinite(memoryState.currentNonce) && memoryState.currentNonce >= 0
@@ -60,8 +120,19 @@ function persist() {
       : 0,
     processedKeys: Array.from(memoryState.processedKeys),
     partialLock: memoryState.partialLock,
+    journalSeq: getJournalSeq(JOURNAL_PATH),
   };
-  fs.writeFileSync(STATE_PATH, JSON.stringify(payload), 'utf8');
+  writeFileAtomic(STATE_PATH, JSON.stringify(payload));
+  compactJournal(JOURNAL_PATH);
+  entriesSinceSnapshot = 0;
+}
+
+// journal へ先に書き（fsync 済み）、成功してからメモリへ反映
+function commit(type, data) {
+  const entry = appendJournal(JOURNAL_PATH, type, data);
+  applyJournalEntry(memoryState, entry);
+  entriesSinceSnapshot += 1;
+  if (entriesSinceSnapshot >= COMPACT_EVERY) writeSnapshot();
 }
 
 function getStateSnapshot() {
@@ -75,16 +146,14 @@ function getStateSnapshot() {
 async function allocateNonce() {
   return enqueue(async () => {
     const nonce = memoryState.currentNonce;
-    memoryState.currentNonce += 1;
-    persist();
+    commit(EXECUTOR_JOURNAL_EVENTS.NONCE_ALLOCATED, { nonce });
     return nonce;
   });
 }
 
 async function resetNonce() {
   return enqueue(async () => {
-    memoryState.currentNonce = 0;
-    persist();
+    commit(EXECUTOR_JOURNAL_EVENTS.NONCE_RESET, null);
     return memoryState.currentNonce;
   });
 }
@@ -96,8 +165,7 @@ function hasProcessedKey(key) {
 async function addProcessedKey(key) {
   if (typeof key !== 'string') return;
   return enqueue(async () => {
-    memoryState.processedKeys.add(key);
-    persist();
+    commit(EXECUTOR_JOURNAL_EVENTS.KEY_PROCESSED, { key });
   });
 }
 
@@ -105,16 +173,14 @@ async function claimProcessedKey(key) {
   if (typeof key !== 'string') return false;
   return enqueue(async () => {
     if (memoryState.processedKeys.has(key)) return false;
-    memoryState.processedKeys.add(key);
-    persist();
+    commit(EXECUTOR_JOURNAL_EVENTS.KEY_PROCESSED, { key });
     return true;
   });
 }
 
 async function clearProcessedKeys() {
   return enqueue(async () => {
-    memoryState.processedKeys.clear();
-    persist();
+    commit(EXECUTOR_JOURNAL_EVENTS.KEYS_CLEARED, null);
   });
 }
 
@@ -138,16 +204,14 @@ async function setPartialLock(lock) {
   const sanitized = sanitizePartialLock(lock);
   if (!sanitized) return;
   return enqueue(async () => {
-    memoryState.partialLock = sanitized;
-    persist();
+    commit(EXECUTOR_JOURNAL_EVENTS.PARTIAL_LOCK_SET, { lock: sanitized });
     return sanitized;
   });
 }
 
 async function clearPartialLock() {
   return enqueue(async () => {
-    memoryState.partialLock = null;
-    persist();
+    commit(EXECUTOR_JOURNAL_EVENTS.PARTIAL_LOCK_CLEARED, null);
   });
 }
 
@@ -156,6 +220,7 @@ function getPartialLock() {
 }
 
 export {
+  EXECUTOR_JOURNAL_EVENTS,
   allocateNonce,
   resetNonce,
   hasProcessedKey,
@@ -166,4 +231,5 @@ export {
   clearPartialLock,
   getPartialLock,
   getStateSnapshot,
+  rebuildExecutorState,
 };
@@ -5,7 +5,7 @@
 /**
  * @typedef {Object} OrderResult
  * @property {string} orderId
- * @property {('filled'|'expired'|'rejected'|'error')} status
+ * @property {('filled'|'partial'|'resting'|'expired'|'rejected'|'error')} status
  * @property {('buy'|'sell')} side
  * @property {number} price
  * @property {number} size
@@ -14,6 +14,11 @@
  * @property {string=} signature
  * @property {number=} nonce
  * @property {string=} agentAddress
+ * @property {number=} filledSize
+ * @property {number=} remainingSize
+ * @property {string=} clientOrderId
+ * @property {Object=} execution - orderTracker の約定サマリ（live のみ）
+ * @property {string=} algo - 執行アルゴリズムで発注した場合の名前（twap / iceberg / chase。status は受付時点の resting）
  */
 
 /**
@@ -0,0 +1,75 @@
+import { createIsolatedIO } from '../index.js';
+import { getTradeConfig } from '../../config/trade.js';
+
+// activeAssetCtx（OI あり）の合間に板パケット（OI なし）が挟まっても、OI 減少の proxy が積まれること
+function feed(io, { start, steps, withBooks, oiOf = i => 1_000_000 - i * 1000, ctxOi = null }) {
+  let maxProxyCount = 0;
+  for (let i = 0; i < steps; i += 1) {
+    const ts = start + i * 100;
+    const px = 50_000 - i * 10;
+    io.handleEvent({
+      channel: 'ctx',
+      coin: 'BTC',
+      ts,
+      oi: ctxOi ? ctxOi(i) : oiOf(i),
+      funding: 0.0001,
+      premium: 0,
+      oraclePx: px,
+      markPx: px,
+      midPx: px
+    });
+    if (withBooks) {
+      io.handleEvent({
+        channel: 'orderbook',
+        coin: 'BTC',
+        ts: ts + 50,
+        bestBidPx: px - 1,
+        bestBidSz: 1,
+        bestAskPx: px + 1,
+        bestAskSz: 1,
+        midPx: px,
+        spread: 2,
+        spreadBps: 0.4,
+        bids: [{ px: px - 1, sz: 1 }],
+        asks: [{ px: px + 1, sz: 1 }]
+      });
+    }
+    const state = io.getPacket()?.ioMetrics?.liqCascade ?? null;
+    maxProxyCount = Math.max(maxProxyCount, state?.proxyCount ?? 0);
+  }
+  return maxProxyCount;
+}
+
+function buildIO(proxyMode) {
+  const base = getTradeConfig();
+  const config = { ...base, liqCascade: { ...base.liqCascade, enabled: true, proxyMode, burstUsd: 1e12 } };
+  return createIsolatedIO({ coin: 'BTC', config, emit: false });
+}
+
+describe('liq cascade OI proxy', () => {
+  test('book packets between ctx updates keep the OI baseline', () => {
+    const count = feed(buildIO('force'), { start: Date.now() - 10_000, steps: 50, withBooks: true });
+    expect(count).toBeGreaterThan(0);
+  });
+
+  test('auto mode uses the proxy while no real liquidation has arrived', () => {
+    const count = feed(buildIO('auto'), { start: Date.now() - 10_000, steps: 50, withBooks: true });
+    expect(count).toBeGreaterThan(0);
+  });
+
+  test('a ctx packet without OI drops the baseline', () => {
+    // 1 つおきに OI 無しの ctx：差分を取る前に基準が消えるので proxy は積まれない
+    const count = feed(buildIO('force'), {
+      start: Date.now() - 10_000,
+      steps: 50,
+      withBooks: true,
+      ctxOi: i => (i % 2 === 0 ? 1_000_000 - i * 1000 : null)
+    });
+    expect(count).toBe(0);
+  });
+
+  test('off mode never books proxy liquidations', () => {
+    const count = feed(buildIO('off'), { start: Date.now() - 10_000, steps: 50, withBooks: true });
+    expect(count).toBe(0);
+  });
+});
@@ -2,7 +2,7 @@
  * io/bar15m.js
  * 
  * 責務：WS tick から 15分 OHLC バーを生成・管理
- * 時刻：UTC基準（Date.now()）
+ * 時刻：UTC基準（core/clock.js の clockNow()）
  * 配列規約：close[0]=最新（未確定含む）、close[n-1]=最古
  * 
  * 出力：
@@ -10,6 +10,7 @@
  * - bar15m.bars[] : 確定バー履歴
  * - bar15m.current : 現在バー（未確定）
  */
+import { clockNow } from '../core/clock.js';
 
 export class Bar15mTracker {
   constructor() {
@@ -22,7 +23,7 @@ export class Bar15mTracker {
    * update
    * WS tick（midPx）を受け取り、bar15m を更新
    * 
-   * @param {number} nowMs - Date.now()
+   * @param {number} nowMs - clockNow()
    * @param {number} midPx - (bestBidPx + bestAskPx) / 2
    * @param {string} source - データ出処（"midPx" / "lastTradePx"）
    */
@@ -181,7 +182,7 @@ export class Bar15mTracker {
     };
   }
 
-  mergeBackfillCandles(candles, nowMs = Date.now()) {
+  mergeBackfillCandles(candles, nowMs = clockNow()) {
     if (!Array.isArray(candles) || candles.length === 0) return { addedBars: 0, adoptedCurrent: false };
 
     const barMs = 15 * 60 * 1000;
@@ -288,20 +289,6 @@ export class Bar15mTracker {
   }
 }
 
-// シングルトンインスタンス（必要に応じて）
-let tracker = null;
-
-export function getBar15mTracker() {
-  if (!tracker) {
-    tracker = new Bar15mTracker();
-  }
-  return tracker;
-}
-
-export function resetBar15mTracker() {
-  tracker = new Bar15mTracker();
-  return tracker;
-}
 export function createBar15mTracker() {
   return new Bar15mTracker();
 }
\ No newline at end of file
@@ -1,3 +1,5 @@
+import { clockNow } from '../core/clock.js';
+
 const INFO_URL = process.env.HL_INFO_URL || 'https://api.hyperliquid.xyz/info';
 
 function toNumber(value, fallback = null) {
@@ -66,7 +68,7 @@ export async function fetchBar15mBackfill({
   }
 
   const barsToRequest = Math.max(neededBars + 6, Number(process.env.BAR15M_BACKFILL_BARS || 128));
-  const now = Date.now();
+  const now = clockNow();
   const startTime = now - (barsToRequest * 15 * 60 * 1000);
 
   const body = {
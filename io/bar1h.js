@@ -2,7 +2,7 @@
  * io/bar1h.js
  * 
  * 責務：WS tick から 1時間 OHLC バーを生成・管理
- * 時刻：UTC基準（Date.now()）
+ * 時刻：UTC基準（core/clock.js の clockNow()）
  * 配列規約：close[0]=最新（未確定含む）、close[n-1]=最古
  * 
  * 出力：
@@ -10,6 +10,7 @@
  * - bar1h.bars[] : 確定バー履歴
  * - bar1h.current : 現在バー（未確定）
  */
+import { clockNow } from '../core/clock.js';
 
 export class Bar1hTracker {
   constructor(config = {}) {
@@ -23,7 +24,7 @@ export class Bar1hTracker {
    * update
    * WS tick（midPx）を受け取り、bar1h を更新
    * 
-   * @param {number} nowMs - Date.now()
+   * @param {number} nowMs - clockNow()
    * @param {number} midPx - (bestBidPx + bestAskPx) / 2
    * @param {string} source - データ出処（"midPx" / "lastTradePx"）
    */
@@ -216,7 +217,7 @@ export class Bar1hTracker {
     }
   }
 
-  mergeBackfillCandles(candles, nowMs = Date.now()) {
+  mergeBackfillCandles(candles, nowMs = clockNow()) {
     if (!Array.isArray(candles) || candles.length === 0) return { addedBars: 0, adoptedCurrent: false };
 
     const barMs = 60 * 60 * 1000;
@@ -296,21 +297,6 @@ export class Bar1hTracker {
   }
 }
 
-// シングルトンインスタンス（必要に応じて）
-let tracker = null;
-
-export function getBar1hTracker() {
-  if (!tracker) {
-    tracker = new Bar1hTracker();
-  }
-  return tracker;
-}
-
-export function resetBar1hTracker() {
-  tracker = new Bar1hTracker();
-  return tracker;
-}
-
 export function createBar1hTracker(config = {}) {
   return new Bar1hTracker(config);
 }
@@ -14,6 +14,7 @@
  * - mergeUsdEff を動的計算（channelWidth情報含む）
  * - repPoint=max_thickness を最大サイズ点選択に修正
  */
+import { clockNow } from '../core/clock.js';
 
 export const DEFAULT_CONFIG = {
   enabled: true,
@@ -166,7 +167,7 @@ export class DepthSRAggregator {
    * @returns {boolean} 集計に成功したか
    */
   runAggregation(currentTime, mid) {
-    const startMs = Date.now();
+    const startMs = clockNow();
     
     // 更新間隔チェック
     if (currentTime < this.nextRefreshTime) {
@@ -208,7 +209,7 @@ export class DepthSRAggregator {
       if (finalBands.length === 0) {
         this._resetSrDiag('no_bands');
         this.state.ready = false;
-        this.stats.calcTimeMs = Date.now() - startMs;
+        this.stats.calcTimeMs = clockNow() - startMs;
         return false;
       }
       
@@ -226,7 +227,7 @@ export class DepthSRAggregator {
       };
       
       // 計算時間を更新
-      this.stats.calcTimeMs = Date.now() - startMs;
+      this.stats.calcTimeMs = clockNow() - startMs;
       
       // 優先度2: 計算遅延 > 1s ならフォールバック
       if (this.stats.calcTimeMs > 1000) {
@@ -273,7 +274,7 @@ export class DepthSRAggregator {
       // 例外発生時は srDiag と aggregatedBands をリセット（古い診断が decision_trace に載らないように）
       this._resetSrDiag('error');
       this.state.ready = false;
-      this.stats.calcTimeMs = Date.now() - startMs;
+      this.stats.calcTimeMs = clockNow() - startMs;
       return false;
     }
   }
@@ -665,7 +666,7 @@ export class DepthSRAggregator {
       side: side,
       size: band.totalSize,
       count: band.count,
-      ageMs: Date.now() - Math.max(...band.timestamps),
+      ageMs: clockNow() - Math.max(...band.timestamps),
     };
   }
 
@@ -2,6 +2,7 @@
 // io/depth_v2.ts
 // SR設計仕様書 v1.0 実装
 // 参照: docs/SR_IMPLEMENTATION_PROPOSAL.md
+import { clockNow } from '../core/clock.js';
 // ============================================================================
 // Phase 1 定数（Section 4, 7, 9.5より）
 // ============================================================================
@@ -91,12 +92,12 @@ var DepthSRAnalyzer = /** @class */ (function () {
             ready: false,
             sampleCount: 0,
             lastMidPx: null,
-            lastAnalysisTime: Date.now(),
+            lastAnalysisTime: clockNow(),
             lastDynamicScale: resolveDynamicScale(null),
         };
         // Section 7: 60秒タイマー管理
         // TODO: Section 9.5「60秒タイマー実装」に従い、経過時間ベースで実装
-        this.lastAnalysisTime = Date.now();
+        this.lastAnalysisTime = clockNow();
     }
     // ────────────────────────────────────────────────────────────────────────
     // Public API（唯一の入口）
@@ -160,7 +161,7 @@ var DepthSRAnalyzer = /** @class */ (function () {
     DepthSRAnalyzer.prototype.shouldRunAnalysis = function () {
         // Section 9.5「60秒タイマー実装」に従い判定
         // Date.now() - lastAnalysisTime >= FREQUENCY_ANALYSIS_INTERVAL
-        var now = Date.now();
+        var now = clockNow();
         return (now - this.lastAnalysisTime) >= FREQUENCY_ANALYSIS_INTERVAL;
     };
     /**
@@ -272,7 +273,7 @@ var DepthSRAnalyzer = /** @class */ (function () {
             this.state.ready = true;
         }
         // Section 9.5 処理7: タイマーリセット
-        this.lastAnalysisTime = Date.now();
+        this.lastAnalysisTime = clockNow();
     };
     /**
      * Section 10: DepthSR生成
@@ -13,7 +13,8 @@ import { createBar1hTracker } from './bar1h.js';
 import { createLrcTvTracker } from './lrc_tv.js';
 import { fetchBar1hBackfill, nextBackfillDelayMs } from './bar1h_backfill.js';
 import { fetchBar15mBackfill, nextBar15mBackfillDelayMs } from './bar15m_backfill.js';
-import { getOrCreateTradeFlowTracker } from './tradeFlowTracker.js';
+import { createTradeFlowTracker } from './tradeFlowTracker.js';
+import { createLiqCascadeDetector } from './liqCascadeDetector.js';
 import { loadTradeConfig, getTradeConfig } from '../config/trade.js';
 import { getInitialCapitalUsd } from '../config/capital.js';
 import { getBaseEquityLiveUsd } from '../config/equity.js';
@@ -22,6 +23,8 @@ import bridgeEmitter from '../core/bridgeEmitter.js';
 import { write as writeLog } from '../ws/utils/logger.js';
 import { updateHealth, STAGES } from '../core/healthState.js';
 import crypto from 'crypto';
+import { clockNow } from '../core/clock.js';
+import { appendLiqCascadeTrigger } from '../core/liqCascadeLog.js';
 // state.ts を想定した最小インターフェイス参照（実体は他ファイル）
 // updateMarketState(prev, current): { prev, current }
 // ここでは型の厳密化は行わず、I/O層としての連結みを担保する。
@@ -41,7 +44,7 @@ let startupProfileInitialized = false;
 let decisionIdCounter = 0;
 function generateDecisionId() {
     decisionIdCounter = (decisionIdCounter + 1) % 1000000;
-    const ts = Date.now().toString(36);
+    const ts = clockNow().toString(36);
     const rand = crypto.randomBytes(4).toString('hex').substring(0, 4);
     return `dec_${ts}_${rand}_${decisionIdCounter}`;
 }
@@ -86,7 +89,7 @@ function initializeStartupProfile() {
     startupProfileInitialized = true;
     const lastShutdownTs = readLastShutdownTimestamp();
     if (Number.isFinite(lastShutdownTs) && lastShutdownTs > 0) {
-        startupDowntimeMs = Math.max(0, Date.now() - lastShutdownTs);
+        startupDowntimeMs = Math.max(0, clockNow() - lastShutdownTs);
     } else {
         startupDowntimeMs = null;
     }
@@ -116,75 +119,114 @@ function deriveBFromA(a) {
         return 1.5;
     return 0.0; // 未設定時の安全値
 }
-// I/O内部で保持する最終パケット（公開はgetIOPacketのみ）
-let lastIOPacket = null;
-let bar15mTracker = null;
-let bar1hTracker = null;
-let lrcTvTracker = null;
-let lrcATracker = null;
-let lrcDTracker = null;
-let bar1hAdaptiveRuntime = {
-    initialized: false,
-    currentLookbackBars: null,
-    lastSwitchAtMs: 0,
-    weakUntilMs: 0,
-    lastReason: 'init'
-};
-let bar1hBackfillState = {
-    enabled: (process.env.BAR1H_BACKFILL_ENABLED ?? '1') !== '0',
-    inFlight: false,
-    nextRetryAt: 0,
-    attempts: 0,
-    lastError: null,
-    lastSuccessAt: 0,
-    lastAddedBars: 0,
-    completed: false,
-    neededBars: 0,
-    currentCount: 0
-};
-let bar15mBackfillState = {
-    enabled: (process.env.BAR15M_BACKFILL_ENABLED ?? '1') !== '0',
-    inFlight: false,
-    nextRetryAt: 0,
-    attempts: 0,
-    lastError: null,
-    lastSuccessAt: 0,
-    lastAddedBars: 0,
-    completed: false,
-    neededBars: 0,
-    currentCount: 0
-};
-let prevMarketSnapshot = {
-    bestBidPx: null,
-    bestAskPx: null,
-    midPx: null,
-    oi: null,
-    funding: null,
-    premium: null,
-    oraclePx: null,
-    markPx: null,
-    impactBidPx: null,
-    impactAskPx: null,
-    prevDayPx: null,
-    dayNtlVlm: null,
-    dayBaseVlm: null,
-    lastTradeSide: null,
-    lastTradePx: null,
-    tradeFlow: null,
-    bids: null,
-    asks: null,
-};
+// I/O内部で保持する銘柄ごとの状態（公開はgetIOPacketのみ）
+// バー / LRC / DepthSR / TradeFlow は銘柄ごとに独立させる（BTC の足で ETH の LRC を引かない）
+// opts は createIsolatedIO 用（省略時は trade.json / bindUpdateMarketState / global.engineStates に従う）
+function createIOContext(coin, opts = {}) {
+    return {
+        coin,
+        getConfig: opts.getConfig ?? getTradeConfig,
+        updateMarketState: opts.updateMarketState ?? null,
+        getEngineState: opts.getEngineState ?? null,
+        emit: opts.emit !== false,
+        isolated: opts.isolated === true,
+        lastIOPacket: null,
+        bar15mTracker: null,
+        bar1hTracker: null,
+        lrcTvTracker: null,
+        lrcATracker: null,
+        lrcDTracker: null,
+        lrcHistory: [],
+        tradeFlowTracker: null,
+        liqCascadeDetector: null,
+        bar1hAdaptiveRuntime: {
+            initialized: false,
+            currentLookbackBars: null,
+            lastSwitchAtMs: 0,
+            weakUntilMs: 0,
+            lastReason: 'init'
+        },
+        bar1hBackfillState: {
+            enabled: (process.env.BAR1H_BACKFILL_ENABLED ?? '1') !== '0',
+            inFlight: false,
+            nextRetryAt: 0,
+            attempts: 0,
+            lastError: null,
+            lastSuccessAt: 0,
+            lastAddedBars: 0,
+            completed: false,
+            neededBars: 0,
+            currentCount: 0
+        },
+        bar15mBackfillState: {
+            enabled: (process.env.BAR15M_BACKFILL_ENABLED ?? '1') !== '0',
+            inFlight: false,
+            nextRetryAt: 0,
+            attempts: 0,
+            lastError: null,
+            lastSuccessAt: 0,
+            lastAddedBars: 0,
+            completed: false,
+            neededBars: 0,
+            currentCount: 0
+        },
+        prevMarketSnapshot: {
+            bestBidPx: null,
+            bestAskPx: null,
+            midPx: null,
+            oi: null,
+            funding: null,
+            premium: null,
+            oraclePx: null,
+            markPx: null,
+            impactBidPx: null,
+            impactAskPx: null,
+            prevDayPx: null,
+            dayNtlVlm: null,
+            dayBaseVlm: null,
+            lastTradeSide: null,
+            lastTradePx: null,
+            tradeFlow: null,
+            liqCascade: null,
+            bids: null,
+            asks: null,
+        },
+        depthSRAnalyzer: null,  // 遅延初期化 + ホットリロード対応
+        depthSRAggregator: null,  // 遅延初期化（config 読み込み後）
+    };
+}
+const ioContexts = new Map();
+// 既定レジストリが受けたイベントの複製先（createIsolatedIO を本番フィードで回す用）
+const eventTaps = new Set();
 let oobPauseLastLogAt = 0;
 let tradeConfigLoaded = false;
-let depthSRAnalyzer = null;  // 遅延初期化 + ホットリロード対応
-let depthSRAggregator = null;  // 遅延初期化（config 読み込み後）
 
-function getOrCreateDepthSRAnalyzer() {
+// 先頭の symbols を主銘柄とする（coin を持たないパケット・引数省略時の既定）
+function resolvePrimaryCoin() {
+    return getTradeConfig()?.symbols?.[0] ?? 'BTC';
+}
+function getIOContext(coin) {
+    const key = coin ? String(coin) : resolvePrimaryCoin();
+    let ctx = ioContexts.get(key);
+    if (!ctx) {
+        ctx = createIOContext(key);
+        ioContexts.set(key, ctx);
+    }
+    return ctx;
+}
+
+function resolveContextEngineState(ctx) {
+    if (ctx.getEngineState) return ctx.getEngineState() ?? null;
+    // 複数銘柄時は runtime が global.engineStates（coin → state）を公開する
+    return global?.engineStates ? global.engineStates[ctx.coin] : global?.engineState;
+}
+
+function getOrCreateDepthSRAnalyzer(ctx) {
   // ← #13修正: インスタンスを保持して毎回新規生成しない
-  if (!depthSRAnalyzer) {
-    depthSRAnalyzer = new DepthSRAnalyzer();
+  if (!ctx.depthSRAnalyzer) {
+    ctx.depthSRAnalyzer = new DepthSRAnalyzer();
   }
-  return depthSRAnalyzer;
+  return ctx.depthSRAnalyzer;
 }
 
 function toNumber(v) {
@@ -216,33 +258,33 @@ function normalizeLevels(levels) {
     })
         .filter(v => v !== null);
 }
-function computeDepthSR(current, scaleHint = null) {
+function computeDepthSR(ctx, current, scaleHint = null) {
     const midPx = Number(current?.midPx ?? NaN);
     const snapshot = {
-        timestamp: Date.now(),
+        timestamp: clockNow(),
         bids: normalizeLevels(current?.bids ?? []),
         asks: normalizeLevels(current?.asks ?? []),
     };
     
     // 現行 DepthSR を計算（フォールバック用）
     // ホットリロード対応: getOrCreateDepthSRAnalyzer() で最新インスタンスを取得
-    const analyzer = getOrCreateDepthSRAnalyzer();
+    const analyzer = getOrCreateDepthSRAnalyzer(ctx);
     const depthSRv2 = analyzer.onDepthSnapshot(snapshot, midPx, scaleHint ?? undefined);
     
     // Aggregator が有効な場合
-    if (depthSRAggregator?.config?.enabled) {
+    if (ctx.depthSRAggregator?.config?.enabled) {
         const ts = snapshot.timestamp;
         const bids = snapshot.bids;
         const asks = snapshot.asks;
         
         // バッファに追加
-        depthSRAggregator.addDepthSnapshot(ts, bids, asks);
+        ctx.depthSRAggregator.addDepthSnapshot(ts, bids, asks);
         
         // 集計実行（タイミング制御あり）
-        depthSRAggregator.runAggregation(ts, midPx);
+        ctx.depthSRAggregator.runAggregation(ts, midPx);
         
         // 集計版を取得（独立した呼び出し）
-        const aggregatedSR = depthSRAggregator.getAggregatedDepthSR();
+        const aggregatedSR = ctx.depthSRAggregator.getAggregatedDepthSR();
         
         // ready 判定：aggregator が成功したら使用、失敗したら depthSRv2 を fallback
         return aggregatedSR.ready ? aggregatedSR : depthSRv2;
@@ -274,34 +316,34 @@ function resolveTopDownBars(tradeConfig) {
     };
 }
 
-function scheduleBar1hBackfillIfNeeded(current, tradeConfig, neededBars) {
-    if (!bar1hBackfillState.enabled || !bar1hTracker) return;
+function scheduleBar1hBackfillIfNeeded(ctx, current, tradeConfig, neededBars) {
+    if (!ctx.bar1hBackfillState.enabled || !ctx.bar1hTracker) return;
 
     const requiredBars = Math.max(2, Number(neededBars ?? 0) || 0);
-    const currentCount = bar1hTracker.getCloseArray(requiredBars).length;
-    bar1hBackfillState.neededBars = requiredBars;
-    bar1hBackfillState.currentCount = currentCount;
+    const currentCount = ctx.bar1hTracker.getCloseArray(requiredBars).length;
+    ctx.bar1hBackfillState.neededBars = requiredBars;
+    ctx.bar1hBackfillState.currentCount = currentCount;
     if (currentCount >= requiredBars) {
-        if (!bar1hBackfillState.completed) {
-            bar1hBackfillState.completed = true;
+        if (!ctx.bar1hBackfillState.completed) {
+            ctx.bar1hBackfillState.completed = true;
             appendMarkerSafe({
-                ts: Date.now(),
+                ts: clockNow(),
                 type: 'bar1h_backfill_ready',
                 neededBars: requiredBars,
                 currentCount,
-                attempts: bar1hBackfillState.attempts
+                attempts: ctx.bar1hBackfillState.attempts
             });
         }
         return;
     }
 
-    const now = Date.now();
-    if (bar1hBackfillState.inFlight) return;
-    if (now < bar1hBackfillState.nextRetryAt) return;
+    const now = clockNow();
+    if (ctx.bar1hBackfillState.inFlight) return;
+    if (now < ctx.bar1hBackfillState.nextRetryAt) return;
 
-    bar1hBackfillState.inFlight = true;
-    const attempt = bar1hBackfillState.attempts + 1;
-    const coin = current?.coin ?? current?.symbol ?? tradeConfig?.symbols?.[0] ?? 'BTC';
+    ctx.bar1hBackfillState.inFlight = true;
+    const attempt = ctx.bar1hBackfillState.attempts + 1;
+    const coin = ctx.coin;
 
     fetchBar1hBackfill({
         coin,
@@ -310,16 +352,16 @@ function scheduleBar1hBackfillIfNeeded(current, tradeConfig, neededBars) {
         .then((result) => {
             const success = result?.ok === true;
             if (success) {
-                const merged = bar1hTracker.mergeBackfillCandles(result.candles, Date.now());
-                const newCount = bar1hTracker.getCloseArray(requiredBars).length;
+                const merged = ctx.bar1hTracker.mergeBackfillCandles(result.candles, clockNow());
+                const newCount = ctx.bar1hTracker.getCloseArray(requiredBars).length;
                 const stillInsufficient = newCount < requiredBars;
-                bar1hBackfillState.attempts = attempt;
-                bar1hBackfillState.lastError = null;
-                bar1hBackfillState.lastSuccessAt = Date.now();
-                bar1hBackfillState.lastAddedBars = merged.addedBars;
-                bar1hBackfillState.completed = !stillInsufficient;
-                bar1hBackfillState.currentCount = newCount;
-                bar1hBackfillState.nextRetryAt = Date.now() + nextBackfillDelayMs({
+                ctx.bar1hBackfillState.attempts = attempt;
+                ctx.bar1hBackfillState.lastError = null;
+                ctx.bar1hBackfillState.lastSuccessAt = clockNow();
+                ctx.bar1hBackfillState.lastAddedBars = merged.addedBars;
+                ctx.bar1hBackfillState.completed = !stillInsufficient;
+                ctx.bar1hBackfillState.currentCount = newCount;
+                ctx.bar1hBackfillState.nextRetryAt = clockNow() + nextBackfillDelayMs({
                     attempt,
                     retryAfterMs: result?.retryAfterMs,
                     success: true,
@@ -327,7 +369,7 @@ function scheduleBar1hBackfillIfNeeded(current, tradeConfig, neededBars) {
                 });
 
                 appendMarkerSafe({
-                    ts: Date.now(),
+                    ts: clockNow(),
                     type: 'bar1h_backfill_success',
                     attempt,
                     coin,
@@ -338,72 +380,72 @@ function scheduleBar1hBackfillIfNeeded(current, tradeConfig, neededBars) {
                     stillInsufficient
                 });
             } else {
-                bar1hBackfillState.attempts = attempt;
-                bar1hBackfillState.lastError = result?.error ?? 'unknown';
-                bar1hBackfillState.nextRetryAt = Date.now() + nextBackfillDelayMs({
+                ctx.bar1hBackfillState.attempts = attempt;
+                ctx.bar1hBackfillState.lastError = result?.error ?? 'unknown';
+                ctx.bar1hBackfillState.nextRetryAt = clockNow() + nextBackfillDelayMs({
                     attempt,
                     retryAfterMs: result?.retryAfterMs,
                     success: false
                 });
                 appendMarkerSafe({
-                    ts: Date.now(),
+                    ts: clockNow(),
                     type: 'bar1h_backfill_failed',
                     attempt,
                     coin,
                     neededBars: requiredBars,
                     currentCount,
-                    error: bar1hBackfillState.lastError,
-                    retryAt: bar1hBackfillState.nextRetryAt
+                    error: ctx.bar1hBackfillState.lastError,
+                    retryAt: ctx.bar1hBackfillState.nextRetryAt
                 });
             }
         })
         .catch((err) => {
-            bar1hBackfillState.attempts = attempt;
-            bar1hBackfillState.lastError = err?.message ?? 'unknown';
-            bar1hBackfillState.nextRetryAt = Date.now() + nextBackfillDelayMs({ attempt, success: false });
+            ctx.bar1hBackfillState.attempts = attempt;
+            ctx.bar1hBackfillState.lastError = err?.message ?? 'unknown';
+            ctx.bar1hBackfillState.nextRetryAt = clockNow() + nextBackfillDelayMs({ attempt, success: false });
             appendMarkerSafe({
-                ts: Date.now(),
+                ts: clockNow(),
                 type: 'bar1h_backfill_exception',
                 attempt,
                 neededBars: requiredBars,
                 currentCount,
-                error: bar1hBackfillState.lastError,
-                retryAt: bar1hBackfillState.nextRetryAt
+                error: ctx.bar1hBackfillState.lastError,
+                retryAt: ctx.bar1hBackfillState.nextRetryAt
             });
         })
         .finally(() => {
-            bar1hBackfillState.inFlight = false;
+            ctx.bar1hBackfillState.inFlight = false;
         });
 }
 
-function scheduleBar15mBackfillIfNeeded(current, tradeConfig, neededBars) {
-    if (!bar15mBackfillState.enabled || !bar15mTracker) return;
+function scheduleBar15mBackfillIfNeeded(ctx, current, tradeConfig, neededBars) {
+    if (!ctx.bar15mBackfillState.enabled || !ctx.bar15mTracker) return;
 
     const requiredBars = Math.max(2, Number(neededBars ?? 0) || 0);
-    const currentCount = bar15mTracker.getCloseArray(requiredBars).length;
-    bar15mBackfillState.neededBars = requiredBars;
-    bar15mBackfillState.currentCount = currentCount;
+    const currentCount = ctx.bar15mTracker.getCloseArray(requiredBars).length;
+    ctx.bar15mBackfillState.neededBars = requiredBars;
+    ctx.bar15mBackfillState.currentCount = currentCount;
     if (currentCount >= requiredBars) {
-        if (!bar15mBackfillState.completed) {
-            bar15mBackfillState.completed = true;
+        if (!ctx.bar15mBackfillState.completed) {
+            ctx.bar15mBackfillState.completed = true;
             appendMarkerSafe({
-                ts: Date.now(),
+                ts: clockNow(),
                 type: 'bar15m_backfill_ready',
                 neededBars: requiredBars,
                 currentCount,
-                attempts: bar15mBackfillState.attempts
+                attempts: ctx.bar15mBackfillState.attempts
             });
         }
         return;
     }
 
-    const now = Date.now();
-    if (bar15mBackfillState.inFlight) return;
-    if (now < bar15mBackfillState.nextRetryAt) return;
+    const now = clockNow();
+    if (ctx.bar15mBackfillState.inFlight) return;
+    if (now < ctx.bar15mBackfillState.nextRetryAt) return;
 
-    bar15mBackfillState.inFlight = true;
-    const attempt = bar15mBackfillState.attempts + 1;
-    const coin = current?.coin ?? current?.symbol ?? tradeConfig?.symbols?.[0] ?? 'BTC';
+    ctx.bar15mBackfillState.inFlight = true;
+    const attempt = ctx.bar15mBackfillState.attempts + 1;
+    const coin = ctx.coin;
 
     fetchBar15mBackfill({
         coin,
@@ -412,16 +454,16 @@ function scheduleBar15mBackfillIfNeeded(current, tradeConfig, neededBars) {
         .then((result) => {
             const success = result?.ok === true;
             if (success) {
-                const merged = bar15mTracker.mergeBackfillCandles(result.candles, Date.now());
-                const newCount = bar15mTracker.getCloseArray(requiredBars).length;
+                const merged = ctx.bar15mTracker.mergeBackfillCandles(result.candles, clockNow());
+                const newCount = ctx.bar15mTracker.getCloseArray(requiredBars).length;
                 const stillInsufficient = newCount < requiredBars;
-                bar15mBackfillState.attempts = attempt;
-                bar15mBackfillState.lastError = null;
-                bar15mBackfillState.lastSuccessAt = Date.now();
-                bar15mBackfillState.lastAddedBars = merged.addedBars;
-                bar15mBackfillState.completed = !stillInsufficient;
-                bar15mBackfillState.currentCount = newCount;
-                bar15mBackfillState.nextRetryAt = Date.now() + nextBar15mBackfillDelayMs({
+                ctx.bar15mBackfillState.attempts = attempt;
+                ctx.bar15mBackfillState.lastError = null;
+                ctx.bar15mBackfillState.lastSuccessAt = clockNow();
+                ctx.bar15mBackfillState.lastAddedBars = merged.addedBars;
+                ctx.bar15mBackfillState.completed = !stillInsufficient;
+                ctx.bar15mBackfillState.currentCount = newCount;
+                ctx.bar15mBackfillState.nextRetryAt = clockNow() + nextBar15mBackfillDelayMs({
                     attempt,
                     retryAfterMs: result?.retryAfterMs,
                     success: true,
@@ -429,7 +471,7 @@ function scheduleBar15mBackfillIfNeeded(current, tradeConfig, neededBars) {
                 });
 
                 appendMarkerSafe({
-                    ts: Date.now(),
+                    ts: clockNow(),
                     type: 'bar15m_backfill_success',
                     attempt,
                     coin,
@@ -440,41 +482,41 @@ function scheduleBar15mBackfillIfNeeded(current, tradeConfig, neededBars) {
                     stillInsufficient
                 });
             } else {
-                bar15mBackfillState.attempts = attempt;
-                bar15mBackfillState.lastError = result?.error ?? 'unknown';
-                bar15mBackfillState.nextRetryAt = Date.now() + nextBar15mBackfillDelayMs({
+                ctx.bar15mBackfillState.attempts = attempt;
+                ctx.bar15mBackfillState.lastError = result?.error ?? 'unknown';
+                ctx.bar15mBackfillState.nextRetryAt = clockNow() + nextBar15mBackfillDelayMs({
                     attempt,
                     retryAfterMs: result?.retryAfterMs,
                     success: false
                 });
                 appendMarkerSafe({
-                    ts: Date.now(),
+                    ts: clockNow(),
                     type: 'bar15m_backfill_failed',
                     attempt,
                     coin,
                     neededBars: requiredBars,
                     currentCount,
-                    error: bar15mBackfillState.lastError,
-                    retryAt: bar15mBackfillState.nextRetryAt
+                    error: ctx.bar15mBackfillState.lastError,
+                    retryAt: ctx.bar15mBackfillState.nextRetryAt
                 });
             }
         })
         .catch((err) => {
-            bar15mBackfillState.attempts = attempt;
-            bar15mBackfillState.lastError = err?.message ?? 'unknown';
-            bar15mBackfillState.nextRetryAt = Date.now() + nextBar15mBackfillDelayMs({ attempt, success: false });
+            ctx.bar15mBackfillState.attempts = attempt;
+            ctx.bar15mBackfillState.lastError = err?.message ?? 'unknown';
+            ctx.bar15mBackfillState.nextRetryAt = clockNow() + nextBar15mBackfillDelayMs({ attempt, success: false });
             appendMarkerSafe({
-                ts: Date.now(),
+                ts: clockNow(),
                 type: 'bar15m_backfill_exception',
                 attempt,
                 neededBars: requiredBars,
                 currentCount,
-                error: bar15mBackfillState.lastError,
-                retryAt: bar15mBackfillState.nextRetryAt
+                error: ctx.bar15mBackfillState.lastError,
+                retryAt: ctx.bar15mBackfillState.nextRetryAt
             });
         })
         .finally(() => {
-            bar15mBackfillState.inFlight = false;
+            ctx.bar15mBackfillState.inFlight = false;
         });
 }
 
@@ -488,7 +530,17 @@ function extractTradesFromPacket(packet) {
     return [];
 }
 
-function evaluateBar1hAdaptive(bar1hState, tradeConfig, nowMs) {
+function extractLiquidationsFromPacket(packet) {
+    if (Array.isArray(packet)) {
+        return packet.filter(t => t && typeof t === 'object' && t.channel === 'liquidations');
+    }
+    if (packet?.channel === 'liquidations' && typeof packet === 'object') {
+        return [packet];
+    }
+    return [];
+}
+
+function evaluateBar1hAdaptive(ctx, bar1hState, tradeConfig, nowMs) {
     const baseCfg = tradeConfig?.bar1h ?? {};
     const adaptiveCfg = baseCfg?.adaptive ?? {};
     const enabled = adaptiveCfg?.enabled === true;
@@ -509,11 +561,11 @@ function evaluateBar1hAdaptive(bar1hState, tradeConfig, nowMs) {
 
     if (!enabled) {
         const nextLookback = routeDesiredLookback;
-        const shouldApply = !bar1hAdaptiveRuntime.initialized || bar1hAdaptiveRuntime.currentLookbackBars !== nextLookback;
-        if (shouldApply && bar1hTracker) {
-            bar1hTracker.updateConfig({ ...baseCfg, lookbackBars: nextLookback });
+        const shouldApply = !ctx.bar1hAdaptiveRuntime.initialized || ctx.bar1hAdaptiveRuntime.currentLookbackBars !== nextLookback;
+        if (shouldApply && ctx.bar1hTracker) {
+            ctx.bar1hTracker.updateConfig({ ...baseCfg, lookbackBars: nextLookback });
         }
-        bar1hAdaptiveRuntime = {
+        ctx.bar1hAdaptiveRuntime = {
             initialized: true,
             currentLookbackBars: nextLookback,
             lastSwitchAtMs: nowMs,
@@ -530,26 +582,26 @@ function evaluateBar1hAdaptive(bar1hState, tradeConfig, nowMs) {
             highSpanUsd,
             minFinalSpanUsd,
             weakUntilMs: 0,
-            lastSwitchAtMs: bar1hAdaptiveRuntime.lastSwitchAtMs,
+            lastSwitchAtMs: ctx.bar1hAdaptiveRuntime.lastSwitchAtMs,
             lastReason: 'disabled'
         };
     }
 
-    if (!bar1hAdaptiveRuntime.initialized) {
-        if (bar1hTracker) {
-            bar1hTracker.updateConfig({ ...baseCfg, lookbackBars: startLookbackBars });
+    if (!ctx.bar1hAdaptiveRuntime.initialized) {
+        if (ctx.bar1hTracker) {
+            ctx.bar1hTracker.updateConfig({ ...baseCfg, lookbackBars: startLookbackBars });
         }
-        bar1hAdaptiveRuntime.initialized = true;
-        bar1hAdaptiveRuntime.currentLookbackBars = startLookbackBars;
-        bar1hAdaptiveRuntime.lastSwitchAtMs = nowMs;
-        bar1hAdaptiveRuntime.weakUntilMs = 0;
-        bar1hAdaptiveRuntime.lastReason = 'startup';
+        ctx.bar1hAdaptiveRuntime.initialized = true;
+        ctx.bar1hAdaptiveRuntime.currentLookbackBars = startLookbackBars;
+        ctx.bar1hAdaptiveRuntime.lastSwitchAtMs = nowMs;
+        ctx.bar1hAdaptiveRuntime.weakUntilMs = 0;
+        ctx.bar1hAdaptiveRuntime.lastReason = 'startup';
     }
 
-    const currentLookback = Math.max(1, Math.floor(toFiniteNumber(bar1hAdaptiveRuntime.currentLookbackBars, startLookbackBars) ?? startLookbackBars));
-    const cooldownActive = (nowMs - bar1hAdaptiveRuntime.lastSwitchAtMs) < switchCooldownMs;
+    const currentLookback = Math.max(1, Math.floor(toFiniteNumber(ctx.bar1hAdaptiveRuntime.currentLookbackBars, startLookbackBars) ?? startLookbackBars));
+    const cooldownActive = (nowMs - ctx.bar1hAdaptiveRuntime.lastSwitchAtMs) < switchCooldownMs;
     let nextLookback = currentLookback;
-    let reason = bar1hAdaptiveRuntime.lastReason || 'hold';
+    let reason = ctx.bar1hAdaptiveRuntime.lastReason || 'hold';
 
     if (!cooldownActive && Number.isFinite(currentSpanUsd)) {
         if (currentSpanUsd < minFinalSpanUsd && currentLookback < expandedLookbackBars) {
@@ -572,13 +624,13 @@ function evaluateBar1hAdaptive(bar1hState, tradeConfig, nowMs) {
     }
 
     if (nextLookback !== currentLookback) {
-        if (bar1hTracker) {
-            bar1hTracker.updateConfig({ ...baseCfg, lookbackBars: nextLookback });
+        if (ctx.bar1hTracker) {
+            ctx.bar1hTracker.updateConfig({ ...baseCfg, lookbackBars: nextLookback });
         }
-        bar1hAdaptiveRuntime.currentLookbackBars = nextLookback;
-        bar1hAdaptiveRuntime.lastSwitchAtMs = nowMs;
-        bar1hAdaptiveRuntime.weakUntilMs = nowMs + weakOrderMsAfterSwitch;
-        bar1hAdaptiveRuntime.lastReason = reason;
+        ctx.bar1hAdaptiveRuntime.currentLookbackBars = nextLookback;
+        ctx.bar1hAdaptiveRuntime.lastSwitchAtMs = nowMs;
+        ctx.bar1hAdaptiveRuntime.weakUntilMs = nowMs + weakOrderMsAfterSwitch;
+        ctx.bar1hAdaptiveRuntime.lastReason = reason;
         appendMarkerSafe({
             ts: nowMs,
             type: 'bar1h_adaptive_switch',
@@ -594,23 +646,23 @@ function evaluateBar1hAdaptive(bar1hState, tradeConfig, nowMs) {
             reason
         });
     } else {
-        bar1hAdaptiveRuntime.lastReason = reason;
+        ctx.bar1hAdaptiveRuntime.lastReason = reason;
     }
 
-    const switchingActive = nowMs <= bar1hAdaptiveRuntime.weakUntilMs;
+    const switchingActive = nowMs <= ctx.bar1hAdaptiveRuntime.weakUntilMs;
     const floorMet = Number.isFinite(currentSpanUsd) ? currentSpanUsd >= minFinalSpanUsd : false;
     return {
         enabled: true,
         switchingActive,
-        currentLookbackBars: bar1hAdaptiveRuntime.currentLookbackBars,
+        currentLookbackBars: ctx.bar1hAdaptiveRuntime.currentLookbackBars,
         currentSpanUsd,
         floorMet,
         lowSpanUsd,
         highSpanUsd,
         minFinalSpanUsd,
-        weakUntilMs: bar1hAdaptiveRuntime.weakUntilMs,
-        lastSwitchAtMs: bar1hAdaptiveRuntime.lastSwitchAtMs,
-        lastReason: bar1hAdaptiveRuntime.lastReason
+        weakUntilMs: ctx.bar1hAdaptiveRuntime.weakUntilMs,
+        lastSwitchAtMs: ctx.bar1hAdaptiveRuntime.lastSwitchAtMs,
+        lastReason: ctx.bar1hAdaptiveRuntime.lastReason
     };
 }
 // イベント受け取り（Normalizeからのraw相当をcurrentへ反映する役割のみ）
@@ -625,19 +677,49 @@ export function handleEvent(packet, opts) {
         loadTradeConfig();
         tradeConfigLoaded = true;
     }
-    
-    // Aggregator 初期化（1回のみ）
-    if (!depthSRAggregator) {
-        const tradeConfig = getTradeConfig();
+    const packetCoin = Array.isArray(packet) ? packet[0]?.coin : packet?.coin;
+    handleContextEvent(getIOContext(packetCoin), packet, opts);
+    for (const tap of eventTaps) {
+        try {
+            tap(packet, opts);
+        }
+        catch (err) {
+            console.error('[IO] event tap failed', err);
+        }
+    }
+}
+/**
+ * 既定レジストリに入ったイベントを fn(packet, opts) にも流す（戻り値で解除）
+ */
+export function addIOEventTap(fn) {
+    eventTaps.add(fn);
+    return () => eventTaps.delete(fn);
+}
+function handleContextEvent(ctx, packet, opts) {
+    const tradeConfig = ctx.getConfig();
+    // Aggregator 初期化（銘柄ごとに1回のみ）
+    if (!ctx.depthSRAggregator) {
         const srAggConfig = tradeConfig?.srAggregate ?? { enabled: false };
-        depthSRAggregator = new DepthSRAggregator(srAggConfig);
+        ctx.depthSRAggregator = new DepthSRAggregator(srAggConfig);
     } else {
         // 設定変更時の hot reload
-        const tradeConfig = getTradeConfig();
         const srAggConfig = tradeConfig?.srAggregate ?? { enabled: false };
-        depthSRAggregator.updateConfig(srAggConfig);
+        ctx.depthSRAggregator.updateConfig(srAggConfig);
+    }
+    const tradeFlowConfig = tradeConfig?.tradeFlow ?? {};
+    if (!ctx.tradeFlowTracker) {
+        ctx.tradeFlowTracker = createTradeFlowTracker(tradeFlowConfig);
+    } else {
+        ctx.tradeFlowTracker.configure(tradeFlowConfig);
     }
-    const tradeFlowTracker = getOrCreateTradeFlowTracker(getTradeConfig()?.tradeFlow ?? {});
+    const tradeFlowTracker = ctx.tradeFlowTracker;
+    const liqCascadeConfig = tradeConfig?.liqCascade ?? {};
+    if (!ctx.liqCascadeDetector) {
+        ctx.liqCascadeDetector = createLiqCascadeDetector(liqCascadeConfig, ctx.coin);
+    } else {
+        ctx.liqCascadeDetector.configure(liqCascadeConfig);
+    }
+    const liqCascadeDetector = ctx.liqCascadeDetector;
     const trades = extractTradesFromPacket(packet);
     let packetLastTradeSide = null;
     let packetLastTradePx = null;
@@ -655,15 +737,45 @@ export function handleEvent(packet, opts) {
     if (Number.isFinite(oiFromPacket)) {
       const oiTs = toFiniteNumber(
         Array.isArray(packet) ? null : packet?.ts,
-        Date.now()
+        clockNow()
       );
       tradeFlowTracker.updateOi(oiFromPacket, oiTs);
     }
+    if (!Array.isArray(packet) && Array.isArray(packet?.bids) && Array.isArray(packet?.asks)) {
+      tradeFlowTracker.addBook(packet.bids, packet.asks, toFiniteNumber(packet?.ts, clockNow()));
+    }
     const tradeFlowState = tradeFlowTracker.getState();
+    // 清算 cascade（ws/handlers/liquidations.js の清算行、フィードが無ければ OI 減少の proxy）
+    for (const row of extractLiquidationsFromPacket(packet)) {
+        liqCascadeDetector.addLiquidation(row);
+    }
+    // OI を運ぶのは activeAssetCtx（channel 'ctx'）だけ。toFiniteNumber(null) は 0 になるので載っている OI > 0 だけ proxy に渡し、
+    // OI の無い ctx パケットでだけ基準を捨てる（板・約定・mid パケットは OI を持たないので基準に触らない）
+    const packetOi = Array.isArray(packet) ? null : packet?.oi;
+    const proxyOi = packetOi === null || packetOi === undefined ? null : Number(packetOi);
+    if (Number.isFinite(proxyOi) && proxyOi > 0) {
+        const proxyPx = toFiniteNumber(packet?.midPx ?? packet?.markPx ?? ctx.prevMarketSnapshot.midPx, null);
+        liqCascadeDetector.updateProxy(proxyOi, proxyPx, toFiniteNumber(packet?.ts, clockNow()), tradeFlowState?.flowPressure);
+    }
+    else if (!Array.isArray(packet) && packet?.channel === 'ctx') {
+        liqCascadeDetector.resetProxy();
+    }
+    const liqCascadeState = liqCascadeDetector.getState();
+    if (liqCascadeState?.burst && !ctx.isolated) {
+        appendLiqCascadeTrigger('burst', liqCascadeState.burst, {
+            coin: ctx.coin,
+            midPx: toFiniteNumber(packet?.midPx ?? ctx.prevMarketSnapshot.midPx, null),
+            buyUsd: liqCascadeState.buyUsd,
+            sellUsd: liqCascadeState.sellUsd,
+            imbalance: liqCascadeState.imbalance,
+            windowMs: liqCascadeState.windowMs,
+            source: liqCascadeState.source
+        });
+    }
 
     // OOB_RESYNC中は特徴量生成を停止（誤板からのシグナルを防ぐ）
     if (isOobResyncActive()) {
-        const nowTs = Date.now();
+        const nowTs = clockNow();
         if ((nowTs - oobPauseLastLogAt) >= 1000) {
             oobPauseLastLogAt = nowTs;
             writeLog({
@@ -680,123 +792,127 @@ export function handleEvent(packet, opts) {
     const curRaw = Array.isArray(packet) ? {} : (packet ?? {});
     const current = {
         ...curRaw,
-        bestBidPx: curRaw.bestBidPx ?? prevMarketSnapshot.bestBidPx,
-        bestAskPx: curRaw.bestAskPx ?? prevMarketSnapshot.bestAskPx,
-        midPx: curRaw.midPx ?? prevMarketSnapshot.midPx,
-        oi: curRaw.oi ?? prevMarketSnapshot.oi,
-        funding: curRaw.funding ?? prevMarketSnapshot.funding,
-        premium: curRaw.premium ?? prevMarketSnapshot.premium,
-        oraclePx: curRaw.oraclePx ?? prevMarketSnapshot.oraclePx,
-        markPx: curRaw.markPx ?? prevMarketSnapshot.markPx,
-        impactBidPx: curRaw.impactBidPx ?? prevMarketSnapshot.impactBidPx,
-        impactAskPx: curRaw.impactAskPx ?? prevMarketSnapshot.impactAskPx,
-        prevDayPx: curRaw.prevDayPx ?? prevMarketSnapshot.prevDayPx,
-        dayNtlVlm: curRaw.dayNtlVlm ?? prevMarketSnapshot.dayNtlVlm,
-        dayBaseVlm: curRaw.dayBaseVlm ?? prevMarketSnapshot.dayBaseVlm,
-        lastTradeSide: packetLastTradeSide ?? curRaw.side ?? curRaw.lastTradeSide ?? prevMarketSnapshot.lastTradeSide,
-        lastTradePx: packetLastTradePx ?? curRaw.px ?? curRaw.lastTradePx ?? prevMarketSnapshot.lastTradePx,
-        tradeFlow: tradeFlowState ?? prevMarketSnapshot.tradeFlow,
-        bids: curRaw.bids ?? prevMarketSnapshot.bids,
-        asks: curRaw.asks ?? prevMarketSnapshot.asks,
+        bestBidPx: curRaw.bestBidPx ?? ctx.prevMarketSnapshot.bestBidPx,
+        bestAskPx: curRaw.bestAskPx ?? ctx.prevMarketSnapshot.bestAskPx,
+        midPx: curRaw.midPx ?? ctx.prevMarketSnapshot.midPx,
+        oi: curRaw.oi ?? ctx.prevMarketSnapshot.oi,
+        funding: curRaw.funding ?? ctx.prevMarketSnapshot.funding,
+        premium: curRaw.premium ?? ctx.prevMarketSnapshot.premium,
+        oraclePx: curRaw.oraclePx ?? ctx.prevMarketSnapshot.oraclePx,
+        markPx: curRaw.markPx ?? ctx.prevMarketSnapshot.markPx,
+        impactBidPx: curRaw.impactBidPx ?? ctx.prevMarketSnapshot.impactBidPx,
+        impactAskPx: curRaw.impactAskPx ?? ctx.prevMarketSnapshot.impactAskPx,
+        prevDayPx: curRaw.prevDayPx ?? ctx.prevMarketSnapshot.prevDayPx,
+        dayNtlVlm: curRaw.dayNtlVlm ?? ctx.prevMarketSnapshot.dayNtlVlm,
+        dayBaseVlm: curRaw.dayBaseVlm ?? ctx.prevMarketSnapshot.dayBaseVlm,
+        lastTradeSide: packetLastTradeSide ?? curRaw.side ?? curRaw.lastTradeSide ?? ctx.prevMarketSnapshot.lastTradeSide,
+        lastTradePx: packetLastTradePx ?? curRaw.px ?? curRaw.lastTradePx ?? ctx.prevMarketSnapshot.lastTradePx,
+        tradeFlow: tradeFlowState ?? ctx.prevMarketSnapshot.tradeFlow,
+        liqCascade: liqCascadeState ?? ctx.prevMarketSnapshot.liqCascade,
+        bids: curRaw.bids ?? ctx.prevMarketSnapshot.bids,
+        asks: curRaw.asks ?? ctx.prevMarketSnapshot.asks,
     };
     const prev = {
-        bestBidPx: prevMarketSnapshot.bestBidPx,
-        bestAskPx: prevMarketSnapshot.bestAskPx,
-        midPx: prevMarketSnapshot.midPx,
-        oi: prevMarketSnapshot.oi,
-        funding: prevMarketSnapshot.funding,
-        premium: prevMarketSnapshot.premium,
-        oraclePx: prevMarketSnapshot.oraclePx,
-        markPx: prevMarketSnapshot.markPx,
-        impactBidPx: prevMarketSnapshot.impactBidPx,
-        impactAskPx: prevMarketSnapshot.impactAskPx,
-        prevDayPx: prevMarketSnapshot.prevDayPx,
-        dayNtlVlm: prevMarketSnapshot.dayNtlVlm,
-        dayBaseVlm: prevMarketSnapshot.dayBaseVlm,
-        lastTradeSide: prevMarketSnapshot.lastTradeSide,
-        lastTradePx: prevMarketSnapshot.lastTradePx,
-        tradeFlow: prevMarketSnapshot.tradeFlow,
-        bids: prevMarketSnapshot.bids,
-        asks: prevMarketSnapshot.asks,
+        bestBidPx: ctx.prevMarketSnapshot.bestBidPx,
+        bestAskPx: ctx.prevMarketSnapshot.bestAskPx,
+        midPx: ctx.prevMarketSnapshot.midPx,
+        oi: ctx.prevMarketSnapshot.oi,
+        funding: ctx.prevMarketSnapshot.funding,
+        premium: ctx.prevMarketSnapshot.premium,
+        oraclePx: ctx.prevMarketSnapshot.oraclePx,
+        markPx: ctx.prevMarketSnapshot.markPx,
+        impactBidPx: ctx.prevMarketSnapshot.impactBidPx,
+        impactAskPx: ctx.prevMarketSnapshot.impactAskPx,
+        prevDayPx: ctx.prevMarketSnapshot.prevDayPx,
+        dayNtlVlm: ctx.prevMarketSnapshot.dayNtlVlm,
+        dayBaseVlm: ctx.prevMarketSnapshot.dayBaseVlm,
+        lastTradeSide: ctx.prevMarketSnapshot.lastTradeSide,
+        lastTradePx: ctx.prevMarketSnapshot.lastTradePx,
+        tradeFlow: ctx.prevMarketSnapshot.tradeFlow,
+        liqCascade: ctx.prevMarketSnapshot.liqCascade,
+        bids: ctx.prevMarketSnapshot.bids,
+        asks: ctx.prevMarketSnapshot.asks,
     };
-    if (!updateMarketStateFn) {
+    const updateFn = ctx.updateMarketState ?? updateMarketStateFn;
+    if (!updateFn) {
         // 状態関数未バインドの場合は最小構造で流す（判断はしない）
         const marketState = { prev, current };
         const ioMetrics = buildIOMetrics(marketState);
         const A = typeof opts?.A === 'number' ? opts.A : (opts?.A ? A_TABLE[opts.A] : A_TABLE.normal);
         const B = deriveBFromA(A);
-        const tradeConfig = getTradeConfig();
         
         // Update IO state (bar trackers, LRC, depth SR) - common logic
-        const ioState = updateIOState(current, tradeConfig, tradeFlowState);
+        const ioState = updateIOState(ctx, current, tradeConfig, tradeFlowState, liqCascadeState);
         
-        lastIOPacket = assembleIOPacket(marketState, ioMetrics, { A, B }, ioState);
-        prevMarketSnapshot.bestBidPx = current?.bestBidPx ?? prevMarketSnapshot.bestBidPx;
-        prevMarketSnapshot.bestAskPx = current?.bestAskPx ?? prevMarketSnapshot.bestAskPx;
-        prevMarketSnapshot.midPx = current?.midPx ?? prevMarketSnapshot.midPx;
-        prevMarketSnapshot.oi = current?.oi ?? prevMarketSnapshot.oi;
-        prevMarketSnapshot.funding = current?.funding ?? prevMarketSnapshot.funding;
-        prevMarketSnapshot.premium = current?.premium ?? prevMarketSnapshot.premium;
-        prevMarketSnapshot.oraclePx = current?.oraclePx ?? prevMarketSnapshot.oraclePx;
-        prevMarketSnapshot.markPx = current?.markPx ?? prevMarketSnapshot.markPx;
-        prevMarketSnapshot.impactBidPx = current?.impactBidPx ?? prevMarketSnapshot.impactBidPx;
-        prevMarketSnapshot.impactAskPx = current?.impactAskPx ?? prevMarketSnapshot.impactAskPx;
-        prevMarketSnapshot.prevDayPx = current?.prevDayPx ?? prevMarketSnapshot.prevDayPx;
-        prevMarketSnapshot.dayNtlVlm = current?.dayNtlVlm ?? prevMarketSnapshot.dayNtlVlm;
-        prevMarketSnapshot.dayBaseVlm = current?.dayBaseVlm ?? prevMarketSnapshot.dayBaseVlm;
-        prevMarketSnapshot.lastTradeSide = current?.lastTradeSide ?? prevMarketSnapshot.lastTradeSide;
-        prevMarketSnapshot.lastTradePx = current?.lastTradePx ?? prevMarketSnapshot.lastTradePx;
-        prevMarketSnapshot.tradeFlow = current?.tradeFlow ?? prevMarketSnapshot.tradeFlow;
-        prevMarketSnapshot.bids = current?.bids ?? prevMarketSnapshot.bids;
-        prevMarketSnapshot.asks = current?.asks ?? prevMarketSnapshot.asks;
-        emitIODebug(lastIOPacket);
-        if (process.env.TEST_MODE === '1' && !globalThis.__runtimeActive) {
-            testEngineHook(lastIOPacket).catch((err) => {
+        ctx.lastIOPacket = assembleIOPacket(marketState, ioMetrics, { A, B }, ioState, tradeConfig);
+        ctx.prevMarketSnapshot.bestBidPx = current?.bestBidPx ?? ctx.prevMarketSnapshot.bestBidPx;
+        ctx.prevMarketSnapshot.bestAskPx = current?.bestAskPx ?? ctx.prevMarketSnapshot.bestAskPx;
+        ctx.prevMarketSnapshot.midPx = current?.midPx ?? ctx.prevMarketSnapshot.midPx;
+        ctx.prevMarketSnapshot.oi = current?.oi ?? ctx.prevMarketSnapshot.oi;
+        ctx.prevMarketSnapshot.funding = current?.funding ?? ctx.prevMarketSnapshot.funding;
+        ctx.prevMarketSnapshot.premium = current?.premium ?? ctx.prevMarketSnapshot.premium;
+        ctx.prevMarketSnapshot.oraclePx = current?.oraclePx ?? ctx.prevMarketSnapshot.oraclePx;
+        ctx.prevMarketSnapshot.markPx = current?.markPx ?? ctx.prevMarketSnapshot.markPx;
+        ctx.prevMarketSnapshot.impactBidPx = current?.impactBidPx ?? ctx.prevMarketSnapshot.impactBidPx;
+        ctx.prevMarketSnapshot.impactAskPx = current?.impactAskPx ?? ctx.prevMarketSnapshot.impactAskPx;
+        ctx.prevMarketSnapshot.prevDayPx = current?.prevDayPx ?? ctx.prevMarketSnapshot.prevDayPx;
+        ctx.prevMarketSnapshot.dayNtlVlm = current?.dayNtlVlm ?? ctx.prevMarketSnapshot.dayNtlVlm;
+        ctx.prevMarketSnapshot.dayBaseVlm = current?.dayBaseVlm ?? ctx.prevMarketSnapshot.dayBaseVlm;
+        ctx.prevMarketSnapshot.lastTradeSide = current?.lastTradeSide ?? ctx.prevMarketSnapshot.lastTradeSide;
+        ctx.prevMarketSnapshot.lastTradePx = current?.lastTradePx ?? ctx.prevMarketSnapshot.lastTradePx;
+        ctx.prevMarketSnapshot.tradeFlow = current?.tradeFlow ?? ctx.prevMarketSnapshot.tradeFlow;
+        ctx.prevMarketSnapshot.liqCascade = current?.liqCascade ?? ctx.prevMarketSnapshot.liqCascade;
+        ctx.prevMarketSnapshot.bids = current?.bids ?? ctx.prevMarketSnapshot.bids;
+        ctx.prevMarketSnapshot.asks = current?.asks ?? ctx.prevMarketSnapshot.asks;
+        if (ctx.emit) emitIODebug(ctx.lastIOPacket);
+        if (process.env.TEST_MODE === '1' && !ctx.isolated && !globalThis.__runtimeActive && ctx.coin === resolvePrimaryCoin()) {
+            testEngineHook(ctx.lastIOPacket).catch((err) => {
                 console.error('[TEST_ENGINE_HOOK] unhandled error', err);
             });
         }
         return;
     }
-    const ms = updateMarketStateFn(prev, current);
+    const ms = updateFn(prev, current);
     
     // 市場データ新鮮度判定用の時刻を記録（問題2修正）
-    if (typeof global.engineState === 'object' && global.engineState) {
-      global.engineState.lastMarketAtMs = Date.now();
+    const coinEngineState = resolveContextEngineState(ctx);
+    if (typeof coinEngineState === 'object' && coinEngineState) {
+      coinEngineState.lastMarketAtMs = clockNow();
     }
     
     const ioMetrics = buildIOMetrics(ms);
     const A = typeof opts?.A === 'number' ? opts.A : (opts?.A ? A_TABLE[opts.A] : A_TABLE.normal);
     const B = deriveBFromA(A);
-    const tradeConfig = getTradeConfig();
     
     // Update IO state (bar trackers, LRC, depth SR) - common logic
-    const ioState = updateIOState(current, tradeConfig, tradeFlowState);
+    const ioState = updateIOState(ctx, current, tradeConfig, tradeFlowState, liqCascadeState);
     
-    lastIOPacket = assembleIOPacket(ms, ioMetrics, { A, B }, ioState);
-    prevMarketSnapshot.bestBidPx = current?.bestBidPx ?? prevMarketSnapshot.bestBidPx;
-    prevMarketSnapshot.bestAskPx = current?.bestAskPx ?? prevMarketSnapshot.bestAskPx;
-    prevMarketSnapshot.midPx = current?.midPx ?? prevMarketSnapshot.midPx;
-    prevMarketSnapshot.oi = current?.oi ?? prevMarketSnapshot.oi;
-    prevMarketSnapshot.funding = current?.funding ?? prevMarketSnapshot.funding;
-    prevMarketSnapshot.premium = current?.premium ?? prevMarketSnapshot.premium;
-    prevMarketSnapshot.oraclePx = current?.oraclePx ?? prevMarketSnapshot.oraclePx;
-    prevMarketSnapshot.markPx = current?.markPx ?? prevMarketSnapshot.markPx;
-    prevMarketSnapshot.impactBidPx = current?.impactBidPx ?? prevMarketSnapshot.impactBidPx;
-    prevMarketSnapshot.impactAskPx = current?.impactAskPx ?? prevMarketSnapshot.impactAskPx;
-    prevMarketSnapshot.prevDayPx = current?.prevDayPx ?? prevMarketSnapshot.prevDayPx;
-    prevMarketSnapshot.dayNtlVlm = current?.dayNtlVlm ?? prevMarketSnapshot.dayNtlVlm;
-    prevMarketSnapshot.dayBaseVlm = current?.dayBaseVlm ?? prevMarketSnapshot.dayBaseVlm;
-    prevMarketSnapshot.lastTradeSide = current?.lastTradeSide ?? prevMarketSnapshot.lastTradeSide;
-    prevMarketSnapshot.lastTradePx = current?.lastTradePx ?? prevMarketSnapshot.lastTradePx;
-    prevMarketSnapshot.tradeFlow = current?.tradeFlow ?? prevMarketSnapshot.tradeFlow;
-    prevMarketSnapshot.bids = current?.bids ?? prevMarketSnapshot.bids;
-    prevMarketSnapshot.asks = current?.asks ?? prevMarketSnapshot.asks;
-    emitIODebug(lastIOPacket);
+    ctx.lastIOPacket = assembleIOPacket(ms, ioMetrics, { A, B }, ioState, tradeConfig);
+    ctx.prevMarketSnapshot.bestBidPx = current?.bestBidPx ?? ctx.prevMarketSnapshot.bestBidPx;
+    ctx.prevMarketSnapshot.bestAskPx = current?.bestAskPx ?? ctx.prevMarketSnapshot.bestAskPx;
+    ctx.prevMarketSnapshot.midPx = current?.midPx ?? ctx.prevMarketSnapshot.midPx;
+    ctx.prevMarketSnapshot.oi = current?.oi ?? ctx.prevMarketSnapshot.oi;
+    ctx.prevMarketSnapshot.funding = current?.funding ?? ctx.prevMarketSnapshot.funding;
+    ctx.prevMarketSnapshot.premium = current?.premium ?? ctx.prevMarketSnapshot.premium;
+    ctx.prevMarketSnapshot.oraclePx = current?.oraclePx ?? ctx.prevMarketSnapshot.oraclePx;
+    ctx.prevMarketSnapshot.markPx = current?.markPx ?? ctx.prevMarketSnapshot.markPx;
+    ctx.prevMarketSnapshot.impactBidPx = current?.impactBidPx ?? ctx.prevMarketSnapshot.impactBidPx;
+    ctx.prevMarketSnapshot.impactAskPx = current?.impactAskPx ?? ctx.prevMarketSnapshot.impactAskPx;
+    ctx.prevMarketSnapshot.prevDayPx = current?.prevDayPx ?? ctx.prevMarketSnapshot.prevDayPx;
+    ctx.prevMarketSnapshot.dayNtlVlm = current?.dayNtlVlm ?? ctx.prevMarketSnapshot.dayNtlVlm;
+    ctx.prevMarketSnapshot.dayBaseVlm = current?.dayBaseVlm ?? ctx.prevMarketSnapshot.dayBaseVlm;
+    ctx.prevMarketSnapshot.lastTradeSide = current?.lastTradeSide ?? ctx.prevMarketSnapshot.lastTradeSide;
+    ctx.prevMarketSnapshot.lastTradePx = current?.lastTradePx ?? ctx.prevMarketSnapshot.lastTradePx;
+    ctx.prevMarketSnapshot.tradeFlow = current?.tradeFlow ?? ctx.prevMarketSnapshot.tradeFlow;
+    ctx.prevMarketSnapshot.liqCascade = current?.liqCascade ?? ctx.prevMarketSnapshot.liqCascade;
+    ctx.prevMarketSnapshot.bids = current?.bids ?? ctx.prevMarketSnapshot.bids;
+    ctx.prevMarketSnapshot.asks = current?.asks ?? ctx.prevMarketSnapshot.asks;
+    if (ctx.emit) emitIODebug(ctx.lastIOPacket);
     // ────────────────────────────────────────
     // TEST Engine Integration Point (env opt-in)
     // ────────────────────────────────────────
-    if (process.env.TEST_MODE === '1' && !globalThis.__runtimeActive) {
-        testEngineHook(lastIOPacket).catch((err) => {
+    if (process.env.TEST_MODE === '1' && !ctx.isolated && !globalThis.__runtimeActive && ctx.coin === resolvePrimaryCoin()) {
+        testEngineHook(ctx.lastIOPacket).catch((err) => {
             console.error('[TEST_ENGINE_HOOK] unhandled error', err);
         });
     }
@@ -805,7 +921,7 @@ export function handleEvent(packet, opts) {
  * Update IO state: common logic for bar trackers, LRC, and depth SR
  * Extracted from duplicated code in handleTickInput
  */
-function updateIOState(current, tradeConfig, tradeFlowState = null) {
+function updateIOState(ctx, current, tradeConfig, tradeFlowState = null, liqCascadeState = null) {
     const topDownBars = resolveTopDownBars(tradeConfig);
     const effectiveB15mLen = topDownBars.enabled && Number.isFinite(topDownBars.bBars)
         ? topDownBars.bBars
@@ -816,43 +932,43 @@ function updateIOState(current, tradeConfig, tradeFlowState = null) {
         : Number(lrcAConfig?.len ?? tradeConfig?.lrc?.len ?? 100);
 
     // Bar15m トラッカー初期化
-    if (!bar15mTracker) {
-        bar15mTracker = createBar15mTracker();
+    if (!ctx.bar15mTracker) {
+        ctx.bar15mTracker = createBar15mTracker();
     }
     
     // LRC_TV トラッカー初期化
-    if (!lrcTvTracker) {
-        lrcTvTracker = createLrcTvTracker({
+    if (!ctx.lrcTvTracker) {
+        ctx.lrcTvTracker = createLrcTvTracker({
             len: effectiveB15mLen,
             devlen: tradeConfig.lrc.devlen,
             k: tradeConfig.lrc.k,
         });
     } else {
-        lrcTvTracker.config = {
+        ctx.lrcTvTracker.config = {
             len: effectiveB15mLen,
             devlen: tradeConfig.lrc.devlen,
             k: tradeConfig.lrc.k,
         };
     }
     // A専用の広域LRCトラッカー（1h closeベース）
-    if (!lrcATracker) {
-        lrcATracker = createLrcTvTracker({
+    if (!ctx.lrcATracker) {
+        ctx.lrcATracker = createLrcTvTracker({
             len: effectiveA1hLen,
             devlen: lrcAConfig.devlen ?? tradeConfig.lrc.devlen,
             k: lrcAConfig.k ?? tradeConfig.lrc.k,
         });
     } else {
-        lrcATracker.config = {
+        ctx.lrcATracker.config = {
             len: effectiveA1hLen,
             devlen: lrcAConfig.devlen ?? tradeConfig.lrc.devlen,
             k: lrcAConfig.k ?? tradeConfig.lrc.k,
         };
     }
     // A専用の日足レベルLRCトラッカー（bar1h closeを高次窓で観測）
-    if (!lrcDTracker) {
+    if (!ctx.lrcDTracker) {
         const lrcDConfig = tradeConfig?.lrcD ?? {};
         const lrcABase = tradeConfig?.lrcA ?? tradeConfig?.lrc ?? {};
-        lrcDTracker = createLrcTvTracker({
+        ctx.lrcDTracker = createLrcTvTracker({
             len: lrcDConfig.len ?? 24,
             devlen: lrcDConfig.devlen ?? lrcABase.devlen ?? tradeConfig.lrc.devlen,
             k: lrcDConfig.k ?? lrcABase.k ?? tradeConfig.lrc.k,
@@ -860,8 +976,8 @@ function updateIOState(current, tradeConfig, tradeFlowState = null) {
     }
     
     // Bar1h トラッカー初期化（Phase A）
-    if (!bar1hTracker) {
-        bar1hTracker = createBar1hTracker(tradeConfig?.bar1h);
+    if (!ctx.bar1hTracker) {
+        ctx.bar1hTracker = createBar1hTracker(tradeConfig?.bar1h);
         if (process.env.TEST_MODE === '1') {
             console.warn('[IO] TEST_MODE=1: A-GATE will pass with 1 bar (bar1h will continue reading up to 3 bars for accuracy)');
         }
@@ -873,31 +989,31 @@ function updateIOState(current, tradeConfig, tradeFlowState = null) {
     };
     
     // Bar15m更新
-    bar15mTracker.update(Date.now(), lrcInput.midPx, 'midPx');
-    scheduleBar15mBackfillIfNeeded(current, tradeConfig, Math.max(2, effectiveB15mLen + 1));
-    const closeArray = bar15mTracker.getCloseArray(Math.max(2, effectiveB15mLen + 1));
+    ctx.bar15mTracker.update(clockNow(), lrcInput.midPx, 'midPx');
+    scheduleBar15mBackfillIfNeeded(ctx, current, tradeConfig, Math.max(2, effectiveB15mLen + 1));
+    const closeArray = ctx.bar15mTracker.getCloseArray(Math.max(2, effectiveB15mLen + 1));
     
     // Bar1h更新（Phase A）
     // Use market data timestamp (current.ts) for DATA_STALE detection
-    const marketTimestamp = current?.ts ?? Date.now();
-    bar1hTracker.update(Date.now(), lrcInput.midPx, 'midPx');
-    scheduleBar1hBackfillIfNeeded(current, tradeConfig, Math.max(2, effectiveA1hLen + 1));
-    const bar1hState = bar1hTracker?.getState?.() ?? null;
-    const bar1hAdaptiveState = evaluateBar1hAdaptive(bar1hState, tradeConfig, Date.now());
+    const marketTimestamp = current?.ts ?? clockNow();
+    ctx.bar1hTracker.update(clockNow(), lrcInput.midPx, 'midPx');
+    scheduleBar1hBackfillIfNeeded(ctx, current, tradeConfig, Math.max(2, effectiveA1hLen + 1));
+    const bar1hState = ctx.bar1hTracker?.getState?.() ?? null;
+    const bar1hAdaptiveState = evaluateBar1hAdaptive(ctx, bar1hState, tradeConfig, clockNow());
     
     // LRC_TV更新（closeArrayを入力）
-    const lrcTvState = lrcTvTracker.updateFromCloseArray(closeArray);
+    const lrcTvState = ctx.lrcTvTracker.updateFromCloseArray(closeArray);
     // LRC_A更新（bar1h close配列を入力）
     const lrcALen = Number(effectiveA1hLen);
-    const bar1hCloseArray = bar1hTracker?.getCloseArray?.(Math.max(2, lrcALen + 1)) ?? [];
-    const lrcAState = lrcATracker.updateFromCloseArray(bar1hCloseArray);
+    const bar1hCloseArray = ctx.bar1hTracker?.getCloseArray?.(Math.max(2, lrcALen + 1)) ?? [];
+    const lrcAState = ctx.lrcATracker.updateFromCloseArray(bar1hCloseArray);
     // LRC_D更新（日足レベル視野：bar1h close配列を長窓で観測）
     const lrcDLen = Number(tradeConfig?.lrcD?.len ?? 24);
-    const bar1hCloseArrayForDaily = bar1hTracker?.getCloseArray?.(Math.max(2, lrcDLen + 1)) ?? [];
-    const lrcDState = lrcDTracker.updateFromCloseArray(bar1hCloseArrayForDaily);
-    if (lrcTvState && lrcTvState.ready) {
+    const bar1hCloseArrayForDaily = ctx.bar1hTracker?.getCloseArray?.(Math.max(2, lrcDLen + 1)) ?? [];
+    const lrcDState = ctx.lrcDTracker.updateFromCloseArray(bar1hCloseArrayForDaily);
+    if (ctx.emit && lrcTvState && lrcTvState.ready) {
         writeLog({
-            ts: Date.now(),
+            ts: clockNow(),
             tag: 'LRC_TV',
             channelTop: lrcTvState.channelTop,
             channelBottom: lrcTvState.channelBottom,
@@ -906,9 +1022,9 @@ function updateIOState(current, tradeConfig, tradeFlowState = null) {
             trend: lrcTvState.trendState,
         });
     }
-    if (lrcAState && lrcAState.ready) {
+    if (ctx.emit && lrcAState && lrcAState.ready) {
         writeLog({
-            ts: Date.now(),
+            ts: clockNow(),
             tag: 'LRC_A',
             channelTop: lrcAState.channelTop,
             channelBottom: lrcAState.channelBottom,
@@ -917,9 +1033,9 @@ function updateIOState(current, tradeConfig, tradeFlowState = null) {
             trend: lrcAState.trendState,
         });
     }
-    if (lrcDState && lrcDState.ready) {
+    if (ctx.emit && lrcDState && lrcDState.ready) {
         writeLog({
-            ts: Date.now(),
+            ts: clockNow(),
             tag: 'LRC_D',
             channelTop: lrcDState.channelTop,
             channelBottom: lrcDState.channelBottom,
@@ -935,11 +1051,11 @@ function updateIOState(current, tradeConfig, tradeFlowState = null) {
         devlen: tradeConfig.lrc.devlen,
         k: tradeConfig.lrc.k,
         slopeThresholdsByLen: tradeConfig.slopeThresholdsByLen,
-    });
+    }, ctx.lrcHistory);
     
     // Bar15m状態取得
-    const bar15mStateRaw = bar15mTracker?.getState?.() ?? null;
-    const bar15mRecentBars = bar15mTracker?.getRecentBars?.(160, true) ?? [];
+    const bar15mStateRaw = ctx.bar15mTracker?.getState?.() ?? null;
+    const bar15mRecentBars = ctx.bar15mTracker?.getRecentBars?.(160, true) ?? [];
     const bar15mState = bar15mStateRaw
         ? {
             ...bar15mStateRaw,
@@ -969,37 +1085,37 @@ function updateIOState(current, tradeConfig, tradeFlowState = null) {
             : (Number.isFinite(Number(bar15mWidthUsd)) ? Number(bar15mWidthUsd) : null),
         source: Number.isFinite(Number(lrcTvWidthUsd)) ? 'lrc_tv_channel' : 'bar15m_range_fallback'
     };
-    const depthSRv2 = computeDepthSR(current, depthScaleHint);
+    const depthSRv2 = computeDepthSR(ctx, current, depthScaleHint);
     const depthSR = adaptDepthSRForB(depthSRv2);
 
-    const nowMs = Date.now();
+    const nowMs = clockNow();
     const bar1hBackfill = {
-        enabled: bar1hBackfillState.enabled,
-        inFlight: bar1hBackfillState.inFlight,
-        completed: bar1hBackfillState.completed,
-        attempts: bar1hBackfillState.attempts,
-        neededBars: bar1hBackfillState.neededBars,
-        currentCount: bar1hBackfillState.currentCount,
-        remainingBars: Math.max(0, (bar1hBackfillState.neededBars || 0) - (bar1hBackfillState.currentCount || 0)),
-        lastError: bar1hBackfillState.lastError,
-        lastSuccessAt: bar1hBackfillState.lastSuccessAt || null,
-        lastAddedBars: bar1hBackfillState.lastAddedBars,
-        nextRetryAt: bar1hBackfillState.nextRetryAt || 0,
-        nextRetryInMs: Math.max(0, (bar1hBackfillState.nextRetryAt || 0) - nowMs)
+        enabled: ctx.bar1hBackfillState.enabled,
+        inFlight: ctx.bar1hBackfillState.inFlight,
+        completed: ctx.bar1hBackfillState.completed,
+        attempts: ctx.bar1hBackfillState.attempts,
+        neededBars: ctx.bar1hBackfillState.neededBars,
+        currentCount: ctx.bar1hBackfillState.currentCount,
+        remainingBars: Math.max(0, (ctx.bar1hBackfillState.neededBars || 0) - (ctx.bar1hBackfillState.currentCount || 0)),
+        lastError: ctx.bar1hBackfillState.lastError,
+        lastSuccessAt: ctx.bar1hBackfillState.lastSuccessAt || null,
+        lastAddedBars: ctx.bar1hBackfillState.lastAddedBars,
+        nextRetryAt: ctx.bar1hBackfillState.nextRetryAt || 0,
+        nextRetryInMs: Math.max(0, (ctx.bar1hBackfillState.nextRetryAt || 0) - nowMs)
     };
     const bar15mBackfill = {
-        enabled: bar15mBackfillState.enabled,
-        inFlight: bar15mBackfillState.inFlight,
-        completed: bar15mBackfillState.completed,
-        attempts: bar15mBackfillState.attempts,
-        neededBars: bar15mBackfillState.neededBars,
-        currentCount: bar15mBackfillState.currentCount,
-        remainingBars: Math.max(0, (bar15mBackfillState.neededBars || 0) - (bar15mBackfillState.currentCount || 0)),
-        lastError: bar15mBackfillState.lastError,
-        lastSuccessAt: bar15mBackfillState.lastSuccessAt || null,
-        lastAddedBars: bar15mBackfillState.lastAddedBars,
-        nextRetryAt: bar15mBackfillState.nextRetryAt || 0,
-        nextRetryInMs: Math.max(0, (bar15mBackfillState.nextRetryAt || 0) - nowMs)
+        enabled: ctx.bar15mBackfillState.enabled,
+        inFlight: ctx.bar15mBackfillState.inFlight,
+        completed: ctx.bar15mBackfillState.completed,
+        attempts: ctx.bar15mBackfillState.attempts,
+        neededBars: ctx.bar15mBackfillState.neededBars,
+        currentCount: ctx.bar15mBackfillState.currentCount,
+        remainingBars: Math.max(0, (ctx.bar15mBackfillState.neededBars || 0) - (ctx.bar15mBackfillState.currentCount || 0)),
+        lastError: ctx.bar15mBackfillState.lastError,
+        lastSuccessAt: ctx.bar15mBackfillState.lastSuccessAt || null,
+        lastAddedBars: ctx.bar15mBackfillState.lastAddedBars,
+        nextRetryAt: ctx.bar15mBackfillState.nextRetryAt || 0,
+        nextRetryInMs: Math.max(0, (ctx.bar15mBackfillState.nextRetryAt || 0) - nowMs)
     };
     
     // Add lastUpdateTime for DATA_STALE diagnosis (use market data timestamp)
@@ -1016,6 +1132,7 @@ function updateIOState(current, tradeConfig, tradeFlowState = null) {
         lrcDState: lrcDStateWithTime,
         depthSR,
         tradeFlow: tradeFlowState ?? null,
+        liqCascade: liqCascadeState ?? null,
         bar15mState,
         bar1hState: bar1hStateWithTime,
         bar1hAdaptiveState,
@@ -1023,25 +1140,24 @@ function updateIOState(current, tradeConfig, tradeFlowState = null) {
         bar15mBackfill
     };
 }
-function assembleIOPacket(marketState, ioMetrics, strength, extras) {
+function assembleIOPacket(marketState, ioMetrics, strength, extras, tradeConfig = getTradeConfig()) {
     // IOPacket v2.x 構造を正確に組み立てる（判断ロジックは一切書かない）
     
     // Boot time tracking: Initialize on first call
     if (!bootTimeInitialized) {
-        bootTimeMs = Date.now();
+        bootTimeMs = clockNow();
         bootTimeInitialized = true;
         initializeStartupProfile();
     }
     
     // Calculate elapsed milliseconds since boot
-    const elapsedMs = bootTimeMs ? Date.now() - bootTimeMs : 0;
+    const elapsedMs = bootTimeMs ? clockNow() - bootTimeMs : 0;
     
     // Warmup constraint generation: 30 seconds window after boot
     const constraints = [];
     if (elapsedMs < 30000) {
         constraints.push('warmup');
     }
-    const tradeConfig = getTradeConfig();
     const restartAssistEnabled = tradeConfig?.startup?.restartAssist?.enabled !== false;
     const restartMode = resolveRestartMode(tradeConfig);
     if (restartAssistEnabled) {
@@ -1055,7 +1171,7 @@ function assembleIOPacket(marketState, ioMetrics, strength, extras) {
     }
     
     // Calculate dataFreshness and freshnessHint for runtime safety checks
-    const now = Date.now();
+    const now = clockNow();
     const MAX_DATA_AGE_MS = 60000; // 60秒
     const bar1hLastUpdate = extras?.bar1hState?.lastUpdateTime ?? 0;
     const lrcLastUpdate = extras?.lrcState?.lastUpdateTime ?? 0;
@@ -1080,9 +1196,9 @@ function assembleIOPacket(marketState, ioMetrics, strength, extras) {
     }
     
     return {
-        timestamp: Date.now(),
+        timestamp: clockNow(),
         decisionId: generateDecisionId(),
-        entryTs: Date.now(),
+        entryTs: clockNow(),
         marketState: {
             current: marketState.current,
             prev: marketState.prev,
@@ -1105,6 +1221,7 @@ function assembleIOPacket(marketState, ioMetrics, strength, extras) {
             lrcDState: extras?.lrcDState ?? null,
             depthSR: extras?.depthSR ?? null,
             tradeFlow: extras?.tradeFlow ?? null,
+            liqCascade: extras?.liqCascade ?? null,
             bar15mState: extras?.bar15mState ?? null,
             bar1hState: extras?.bar1hState ?? null,
             bar1hAdaptiveState: extras?.bar1hAdaptiveState ?? null,
@@ -1141,14 +1258,14 @@ function emitIODebug(packet) {
             mid: cur?.midPx ?? null,
             oi: cur?.oi ?? null,
             coin: cur?.coin ?? cur?.symbol ?? null,
-            ts: packet.timestamp ?? Date.now(),
+            ts: packet.timestamp ?? clockNow(),
             side: cur?.lastTradeSide ?? null,
             lastTradePx: cur?.lastTradePx ?? null,
             bestBid: cur?.bestBidPx ?? null,
             bestAsk: cur?.bestAskPx ?? null,
             flowPressure: Number(cur?.tradeFlow?.flowPressure ?? 0)
         };
-        bridgeEmitter.emit('debug-packet', { layer: 'io', data: digest, ts: Date.now() });
+        bridgeEmitter.emit('debug-packet', { layer: 'io', data: digest, ts: clockNow() });
     }
     catch (err) {
         console.error('[IO] emitIODebug failed', err);
@@ -1156,28 +1273,36 @@ function emitIODebug(packet) {
 }
 function emitIODebugError(message) {
     try {
-        bridgeEmitter.emit('debug-error', { layer: 'io', message, ts: Date.now() });
+        bridgeEmitter.emit('debug-error', { layer: 'io', message, ts: clockNow() });
     }
     catch (err) {
         console.error('[IO] emitIODebugError failed', err);
     }
 }
 // 公開関数：現在の IOPacket を返す（外部が参照する唯一の窓口）
-export function getIOPacket() {
-    return lastIOPacket;
+// coin 省略時は主銘柄（trade.json symbols[0]）
+export function getIOPacket(coin) {
+    return getIOContext(coin).lastIOPacket;
+}
+// IOPacket を受信済みの銘柄一覧
+export function getIOCoins() {
+    return [...ioContexts.values()].filter(ctx => ctx.lastIOPacket).map(ctx => ctx.coin);
 }
 // Executor へ渡す最小・安全構造に整形して返す（判定ロジックは一切なし）
-export function getExecutorPayload() {
-    if (!lastIOPacket)
+export function getExecutorPayload(coin) {
+    return buildExecutorPayload(getIOContext(coin));
+}
+function buildExecutorPayload(ctx) {
+    if (!ctx.lastIOPacket)
         return null;
-    const ts = lastIOPacket.timestamp ?? Date.now();
+    const ts = ctx.lastIOPacket.timestamp ?? clockNow();
     const strength = {
-        A: Number(lastIOPacket?.strength?.A ?? 0),
-        B: Number(lastIOPacket?.strength?.B ?? 0),
+        A: Number(ctx.lastIOPacket?.strength?.A ?? 0),
+        B: Number(ctx.lastIOPacket?.strength?.B ?? 0),
     };
-    const io = lastIOPacket.ioMetrics ?? {};
+    const io = ctx.lastIOPacket.ioMetrics ?? {};
     // market: Executorが必要とする最小セットのみ抽出
-    const cur = lastIOPacket?.marketState?.current ?? {};
+    const cur = ctx.lastIOPacket?.marketState?.current ?? {};
     const market = {
         midPx: cur?.midPx ?? null,
         bestBid: cur?.bestBidPx ?? null,
@@ -1200,9 +1325,11 @@ export function getExecutorPayload() {
     };
     const mode = process.env.MODE === 'live' ? 'live' : 'test';
     const accountEquity = mode === 'live' ? getBaseEquityLiveUsd() : getInitialCapitalUsd();
-    const tradeConfig = getTradeConfig();
+    const tradeConfig = ctx.getConfig();
+    const coinEngineState = resolveContextEngineState(ctx);
     const payload = {
         timestamp: ts,
+        coin: ctx.coin,
         strength,
         ioMetrics: {
             cRaw: io?.cRaw ?? null,
@@ -1217,6 +1344,7 @@ export function getExecutorPayload() {
             lrcDState: io?.lrcDState ?? null,
             depthSR: io?.depthSR ?? null,
             tradeFlow: io?.tradeFlow ?? null,
+            liqCascade: io?.liqCascade ?? null,
             bar15mState: io?.bar15mState ?? null,
             bar1hState: io?.bar1hState ?? null,
             bar1hAdaptiveState: io?.bar1hAdaptiveState ?? null,
@@ -1237,9 +1365,9 @@ export function getExecutorPayload() {
         },
         market,
         accountEquity: accountEquity ?? null,
-        engineState: global?.engineState ?? null,
-        openPosition: global?.engineState?.openPosition ?? null,
-        stateStore: global?.engineState?.stateStore ?? null,
+        engineState: coinEngineState ?? null,
+        openPosition: coinEngineState?.openPosition ?? null,
+        stateStore: coinEngineState?.stateStore ?? null,
         riskAllocation: tradeConfig?.riskAllocation ?? { enabled: false, maxPerTradeUsd: 400 },
     };
     return payload;
@@ -1303,7 +1431,7 @@ async function testEngineHook(ioPacket) {
     logger.persistTestResult(payload);
     console.log('[TEST-EMIT]', payload);
     // TEST Engine 更新
-    testEngineState = updateEngine(testEngineState, basePayload.market, decision, Date.now());
+    testEngineState = updateEngine(testEngineState, basePayload.market, decision, clockNow());
     saveEngineState(testEngineState, TEST_STATE_PATH());
     // TEST Packet 生成
     const testPacket = buildTestPacket(testEngineState);
@@ -1336,6 +1464,11 @@ export function resetTestEngine() {
  * @param {Object} newConfig - 新しいトレード設定
  */
 export function updateIOConfigForHotReload(newConfig) {
+    for (const ctx of ioContexts.values()) {
+        applyIOConfig(ctx, newConfig);
+    }
+}
+function applyIOConfig(ctx, newConfig) {
     const topDownBars = resolveTopDownBars(newConfig);
     const effectiveB15mLen = topDownBars.enabled && Number.isFinite(topDownBars.bBars)
         ? topDownBars.bBars
@@ -1346,30 +1479,30 @@ export function updateIOConfigForHotReload(newConfig) {
         : Number(lrcAConfig?.len ?? newConfig?.lrc?.len ?? 100);
 
     // bar1h の lookbackBars 設定を更新
-    if (bar1hTracker && newConfig?.bar1h) {
-        bar1hTracker.updateConfig(newConfig.bar1h);
+    if (ctx.bar1hTracker && newConfig?.bar1h) {
+        ctx.bar1hTracker.updateConfig(newConfig.bar1h);
     }
-    if (lrcTvTracker && newConfig?.lrc) {
-        lrcTvTracker.config = {
+    if (ctx.lrcTvTracker && newConfig?.lrc) {
+        ctx.lrcTvTracker.config = {
             len: effectiveB15mLen,
             devlen: newConfig.lrc.devlen,
             k: newConfig.lrc.k,
         };
     }
-    if (lrcATracker) {
+    if (ctx.lrcATracker) {
         if (lrcAConfig) {
-            lrcATracker.config = {
+            ctx.lrcATracker.config = {
                 len: effectiveA1hLen,
                 devlen: lrcAConfig.devlen,
                 k: lrcAConfig.k,
             };
         }
     }
-    if (lrcDTracker) {
+    if (ctx.lrcDTracker) {
         const lrcDConfig = newConfig?.lrcD;
         const lrcABase = newConfig?.lrcA ?? newConfig?.lrc;
         if (lrcDConfig || lrcABase) {
-            lrcDTracker.config = {
+            ctx.lrcDTracker.config = {
                 len: lrcDConfig?.len ?? 24,
                 devlen: lrcDConfig?.devlen ?? lrcABase?.devlen,
                 k: lrcDConfig?.k ?? lrcABase?.k,
@@ -1377,3 +1510,38 @@ export function updateIOConfigForHotReload(newConfig) {
         }
     }
 }
+
+/**
+ * 独立した IO コンテキストを作る（シャドー戦略・バックテストの設定違い・テスト用）
+ * バー / LRC / DepthSR / TradeFlow をこのハンドル専用に持ち、既定のレジストリ（getIOPacket / getExecutorPayload）とは混ざらない
+ * そのため各トラッカー（bar1h / bar15m / tradeFlow / liqCascade）はモジュール単位のシングルトンを置かず、
+ * create* ファクトリでコンテキストごとに作る
+ *
+ * @param {Object} opts
+ * @param {string} opts.coin - 銘柄
+ * @param {Object|Function|null} [opts.config] - trade 設定、または設定を返す関数（省略時は getTradeConfig() に追従）
+ * @param {Function|null} [opts.updateMarketState] - (prev, current) => MarketState（省略時は bindUpdateMarketState の関数）
+ * @param {Function|null} [opts.getEngineState] - payload.engineState に載せる engine state を返す関数
+ * @param {boolean} [opts.emit] - false なら debug-packet を出さない
+ */
+export function createIsolatedIO(opts = {}) {
+    const coin = String(opts.coin ?? resolvePrimaryCoin());
+    const config = opts.config ?? null;
+    const getConfig = typeof config === 'function'
+        ? config
+        : (config && typeof config === 'object' ? () => config : getTradeConfig);
+    const ctx = createIOContext(coin, {
+        getConfig,
+        updateMarketState: opts.updateMarketState ?? null,
+        getEngineState: opts.getEngineState ?? null,
+        emit: opts.emit,
+        isolated: true
+    });
+    return {
+        coin,
+        handleEvent: (packet, eventOpts) => handleContextEvent(ctx, packet, eventOpts),
+        getPacket: () => ctx.lastIOPacket,
+        getExecutorPayload: () => buildExecutorPayload(ctx),
+        applyConfig: (newConfig) => applyIOConfig(ctx, newConfig)
+    };
+}
@@ -0,0 +1,234 @@
+import { clockNow } from '../core/clock.js';
+
+// 清算の連鎖（cascade）をストリームで検出する
+// 判定は scripts/research/ws_liq_monitor.js の burst と同じ（窓合計が burstUsd を下から超えた瞬間、cooldown 付き）
+// liqSide=buy は売り建ての強制買い戻し = 価格を押し上げる側（direction=up）
+
+function toFiniteNumber(value, fallback = 0) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function normalizeSide(rawSide) {
+  const side = String(rawSide ?? '').toLowerCase();
+  if (side === 'buy' || side === 'b' || side === 'long') return 'buy';
+  if (side === 'sell' || side === 's' || side === 'a' || side === 'short') return 'sell';
+  return null;
+}
+
+function normalizeProxyMode(raw) {
+  const mode = String(raw ?? 'auto').toLowerCase();
+  return ['auto', 'force', 'off'].includes(mode) ? mode : 'auto';
+}
+
+export class LiqCascadeDetector {
+  constructor(config = {}, coin = null) {
+    this.coin = coin;
+    this.buffer = [];
+    this.prevAbove = false;
+    this.lastBurstAt = null;
+    this.burstSeq = 0;
+    this.cascade = null;
+    this.lastCascade = null;
+    this.realLiqSeen = false;
+    this.lastRealLiqTs = null;
+    this.proxyPrev = null;
+    this.configure(config);
+  }
+
+  configure(config = {}) {
+    this.config = {
+      enabled: config.enabled === true,
+      windowMs: Math.max(1000, Math.floor(toFiniteNumber(config.windowMs, 10000))),
+      burstUsd: Math.max(1, toFiniteNumber(config.burstUsd, 100000)),
+      cooldownMs: Math.max(0, Math.floor(toFiniteNumber(config.cooldownMs, 20000))),
+      decayHalfLifeMs: Math.max(1000, Math.floor(toFiniteNumber(config.decayHalfLifeMs, 30000))),
+      activeMinIntensity: Math.max(0, toFiniteNumber(config.activeMinIntensity, 0.5)),
+      maxCascadeMs: Math.max(1000, Math.floor(toFiniteNumber(config.maxCascadeMs, 180000))),
+      proxyMode: normalizeProxyMode(config.proxyMode),
+      proxyScale: Math.max(0, toFiniteNumber(config.proxyScale, 0.35)),
+      maxBufferSize: Math.max(100, Math.floor(toFiniteNumber(config.maxBufferSize, 2000)))
+    };
+  }
+
+  // ws/normalize/liquidations.js の 1 行（liqUsd が無ければ liqPx × liqSz）
+  addLiquidation(row) {
+    if (this.config.enabled !== true) return false;
+    const side = normalizeSide(row?.liqSide ?? row?.side);
+    if (!side) return false;
+    const usdRaw = toFiniteNumber(row?.liqUsd, 0);
+    const usd = usdRaw > 0
+      ? usdRaw
+      : toFiniteNumber(row?.liqPx, 0) * toFiniteNumber(row?.liqSz, 0);
+    if (!(usd > 0)) return false;
+    const ts = Math.max(0, Math.floor(toFiniteNumber(row?.ts, clockNow())));
+    this.realLiqSeen = true;
+    this.lastRealLiqTs = ts;
+    if (this.config.proxyMode === 'force') return false;
+    this.push({ ts, side, usd, proxy: false });
+    return true;
+  }
+
+  /**
+   * 清算フィードが無いときの代替: OI 減少 × 価格 × proxyScale を価格の動いた向きの清算とみなす
+   * flowImbalance（-1..1）が価格の向きと揃うほど大きく見積もる（ws_liq_monitor の proxy と同じ式）
+   * OI が無い / 0 以下のときは基準を捨てる（次の有効な OI との差を清算とみなさない）
+   */
+  updateProxy(oi, px, ts = clockNow(), flowImbalance = 0) {
+    if (this.config.enabled !== true) return false;
+    const oiNum = toFiniteNumber(oi, NaN);
+    const pxNum = toFiniteNumber(px, NaN);
+    if (!(oiNum > 0)) {
+      this.resetProxy();
+      return false;
+    }
+    if (!(pxNum > 0)) return false;
+    const now = Math.max(0, Math.floor(toFiniteNumber(ts, clockNow())));
+    const prev = this.proxyPrev;
+    this.proxyPrev = { oi: oiNum, px: pxNum, ts: now };
+    const mode = this.config.proxyMode;
+    if (mode === 'off' || (mode === 'auto' && this.realLiqSeen)) return false;
+    if (!prev) return false;
+    const oiDelta = oiNum - prev.oi;
+    const pxDelta = pxNum - prev.px;
+    if (oiDelta >= 0) return false;
+    const imbalance = Math.max(-1, Math.min(1, toFiniteNumber(flowImbalance, 0)));
+    const aligned = pxDelta >= 0 ? Math.max(0, imbalance) : Math.max(0, -imbalance);
+    const usd = Math.abs(oiDelta) * pxNum * this.config.proxyScale * (0.5 + 0.5 * aligned);
+    if (!(usd > 0)) return false;
+    this.push({ ts: now, side: pxDelta >= 0 ? 'buy' : 'sell', usd, proxy: true });
+    return true;
+  }
+
+  resetProxy() {
+    this.proxyPrev = null;
+  }
+
+  push(entry) {
+    this.buffer.push(entry);
+    if (this.buffer.length > this.config.maxBufferSize) {
+      this.buffer = this.buffer.slice(-this.config.maxBufferSize);
+    }
+  }
+
+  snapshotCascade(cascade, now) {
+    if (!cascade) return null;
+    return {
+      id: cascade.id,
+      side: cascade.side,
+      direction: cascade.side === 'buy' ? 'up' : 'down',
+      startTs: cascade.startTs,
+      ageMs: now - cascade.startTs,
+      peakUsd: cascade.peakUsd,
+      peakIntensity: cascade.peakIntensity,
+      intensity: cascade.intensity,
+      proxy: cascade.proxy
+    };
+  }
+
+  /**
+   * 窓集計と cascade の更新（呼ぶたびに減衰を進める）
+   * burst は cascade が新しく始まった呼び出しのときだけ cascade の要約を返す（IO 側のトリガーログ用）
+   */
+  getState(nowTs = clockNow()) {
+    if (this.config.enabled !== true) {
+      return { enabled: false, active: false, cascade: null, burst: null };
+    }
+    const now = Math.max(0, Math.floor(toFiniteNumber(nowTs, clockNow())));
+    this.cleanup(now);
+    const cutoff = now - this.config.windowMs;
+    let buyUsd = 0;
+    let sellUsd = 0;
+    let count = 0;
+    let proxyCount = 0;
+    for (const e of this.buffer) {
+      if (e.ts < cutoff || e.ts > now) continue;
+      if (e.side === 'buy') buyUsd += e.usd;
+      else sellUsd += e.usd;
+      count += 1;
+      if (e.proxy) proxyCount += 1;
+    }
+    const totalUsd = buyUsd + sellUsd;
+    const imbalance = totalUsd > 0 ? (buyUsd - sellUsd) / totalUsd : 0;
+    const windowIntensity = totalUsd / this.config.burstUsd;
+    const windowSide = imbalance >= 0 ? 'buy' : 'sell';
+
+    // 強度は半減期で減衰させ、窓の強度が上回れば引き上げる（同じ向きのときだけ）
+    if (this.cascade) {
+      const dt = Math.max(0, now - this.cascade.updatedAt);
+      this.cascade.intensity *= Math.pow(0.5, dt / this.config.decayHalfLifeMs);
+      this.cascade.updatedAt = now;
+      if (totalUsd > 0 && windowSide === this.cascade.side && windowIntensity > this.cascade.intensity) {
+        this.cascade.intensity = windowIntensity;
+      }
+      if (windowSide === this.cascade.side && totalUsd > this.cascade.peakUsd) {
+        this.cascade.peakUsd = totalUsd;
+        this.cascade.peakIntensity = windowIntensity;
+      }
+    }
+
+    const above = totalUsd >= this.config.burstUsd;
+    const crossed = above && !this.prevAbove;
+    this.prevAbove = above;
+    let burst = null;
+    const cooled = !Number.isFinite(this.lastBurstAt) || (now - this.lastBurstAt) >= this.config.cooldownMs;
+    if (crossed && cooled) {
+      this.burstSeq += 1;
+      this.lastBurstAt = now;
+      this.cascade = {
+        id: `${this.coin ?? 'liq'}-${now}-${this.burstSeq}`,
+        side: windowSide,
+        startTs: now,
+        updatedAt: now,
+        peakUsd: totalUsd,
+        peakIntensity: windowIntensity,
+        intensity: windowIntensity,
+        proxy: proxyCount > 0 && proxyCount === count
+      };
+      burst = this.snapshotCascade(this.cascade, now);
+    }
+
+    if (this.cascade) {
+      const expired = (now - this.cascade.startTs) > this.config.maxCascadeMs;
+      if (expired || this.cascade.intensity < this.config.activeMinIntensity) {
+        this.lastCascade = this.snapshotCascade(this.cascade, now);
+        this.cascade = null;
+      }
+    }
+
+    return {
+      enabled: true,
+      coin: this.coin,
+      ts: now,
+      windowMs: this.config.windowMs,
+      burstUsd: this.config.burstUsd,
+      buyUsd,
+      sellUsd,
+      totalUsd,
+      count,
+      proxyCount,
+      imbalance,
+      windowIntensity,
+      active: this.cascade !== null,
+      cascade: this.snapshotCascade(this.cascade, now),
+      lastCascadeId: this.lastCascade?.id ?? null,
+      burst,
+      source: this.config.proxyMode === 'force' || (this.config.proxyMode === 'auto' && !this.realLiqSeen)
+        ? 'proxy'
+        : 'liquidations',
+      lastRealLiqTs: this.lastRealLiqTs
+    };
+  }
+
+  cleanup(nowTs = clockNow()) {
+    const now = Math.max(0, Math.floor(toFiniteNumber(nowTs, clockNow())));
+    const cutoff = now - this.config.windowMs - 5000;
+    if (this.buffer.length > 0 && this.buffer[0].ts < cutoff) {
+      this.buffer = this.buffer.filter(e => e.ts >= cutoff);
+    }
+  }
+}
+
+export function createLiqCascadeDetector(config = {}, coin = null) {
+  return new LiqCascadeDetector(config, coin);
+}
@@ -131,7 +131,8 @@ export function createLrcTracker(config) {
         },
     };
 }
-export function updateLrcState(current, config) {
+// buffer: 銘柄ごとの履歴（省略時はモジュール共有の history）
+export function updateLrcState(current, config, buffer = history) {
     // フェイルセーフ: slopeThresholdsByLen から default を取得
     const thresholdsByLen = config.slopeThresholdsByLen || {};
     const slopeThresholds = thresholdsByLen.default ?? { flat: 1.0, normal: 2.0 };
@@ -151,7 +152,7 @@ export function updateLrcState(current, config) {
             channelTop: null,
             channelBottom: null,
             dev: null,
-            sampleCount: history.length
+            sampleCount: buffer.length
         };
     }
     
@@ -181,13 +182,13 @@ export function updateLrcState(current, config) {
             channelTop: null,
             channelBottom: null,
             dev: null,
-            sampleCount: history.length
+            sampleCount: buffer.length
         };
     }
-    history.push(value);
-    while (history.length > safeConfig.len)
-        history.shift();
-    if (history.length < safeConfig.len) {
+    buffer.push(value);
+    while (buffer.length > safeConfig.len)
+        buffer.shift();
+    if (buffer.length < safeConfig.len) {
         return {
             ready: false,
             source,
@@ -202,10 +203,10 @@ export function updateLrcState(current, config) {
             channelTop: null,
             channelBottom: null,
             dev: null,
-            sampleCount: history.length
+            sampleCount: buffer.length
         };
     }
-    const { slope, intercept } = computeRegression(history);
+    const { slope, intercept } = computeRegression(buffer);
     if (!isFiniteNumber(slope) || !isFiniteNumber(intercept)) {
         return {
             ready: false,
@@ -221,10 +222,10 @@ export function updateLrcState(current, config) {
             channelTop: null,
             channelBottom: null,
             dev: null,
-            sampleCount: history.length
+            sampleCount: buffer.length
         };
     }
-    const dev = computeDeviation(history, slope, intercept);
+    const dev = computeDeviation(buffer, slope, intercept);
     if (!isFiniteNumber(dev)) {
         return {
             ready: false,
@@ -240,7 +241,7 @@ export function updateLrcState(current, config) {
             channelTop: null,
             channelBottom: null,
             dev: null,
-            sampleCount: history.length
+            sampleCount: buffer.length
         };
     }
     const channelMid = intercept + slope * (safeConfig.len - 1);
@@ -261,7 +262,7 @@ export function updateLrcState(current, config) {
             channelTop: null,
             channelBottom: null,
             dev: null,
-            sampleCount: history.length
+            sampleCount: buffer.length
         };
     }
     const epsilon = safeConfig.len > 0 ? safeConfig.k / safeConfig.len : null;
@@ -286,6 +287,6 @@ export function updateLrcState(current, config) {
         channelTop,
         channelBottom,
         dev,
-        sampleCount: history.length
+        sampleCount: buffer.length
     };
 }
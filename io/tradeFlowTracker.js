@@ -1,3 +1,5 @@
+import { clockNow } from '../core/clock.js';
+
 function toFiniteNumber(value, fallback = 0) {
   const n = Number(value);
   return Number.isFinite(n) ? n : fallback;
@@ -40,9 +42,127 @@ function computeAcceleration(now, windowMs, samples) {
   return (recentVolume - prevVolume) / prevVolume;
 }
 
+function quantile(values, q) {
+  if (values.length === 0) return null;
+  const xs = [...values].sort((a, b) => a - b);
+  const pos = (xs.length - 1) * q;
+  const base = Math.floor(pos);
+  const rest = pos - base;
+  if (xs[base + 1] !== undefined) return xs[base] + rest * (xs[base + 1] - xs[base]);
+  return xs[base];
+}
+
+function mean(values) {
+  if (values.length === 0) return null;
+  return values.reduce((acc, v) => acc + v, 0) / values.length;
+}
+
+function normalizeBookLevels(levels, limit) {
+  if (!Array.isArray(levels)) return [];
+  const out = [];
+  for (const lv of levels) {
+    if (out.length >= limit) break;
+    const px = toFiniteNumber(Array.isArray(lv) ? lv[0] : (lv?.px ?? lv?.price), NaN);
+    const sz = toFiniteNumber(Array.isArray(lv) ? lv[1] : (lv?.sz ?? lv?.size), NaN);
+    if (!Number.isFinite(px) || !Number.isFinite(sz) || px <= 0 || sz <= 0) continue;
+    out.push({ px, sz, usd: px * sz });
+  }
+  return out;
+}
+
+// 板 1 枚の要約（scripts/research/ws_state_edge_eval.js の extractOrderbook と同じ定義）
+function summarizeBook(bids, asks, ts) {
+  const b = normalizeBookLevels(bids, 10);
+  const a = normalizeBookLevels(asks, 10);
+  if (b.length === 0 || a.length === 0) return null;
+  const mid = (b[0].px + a[0].px) / 2;
+  if (!(mid > 0)) return null;
+  const topSz = b[0].sz + a[0].sz;
+  const microprice = topSz > 0 ? ((a[0].px * b[0].sz) + (b[0].px * a[0].sz)) / topSz : null;
+  const bidUsdTop5 = b.slice(0, 5).reduce((acc, x) => acc + x.usd, 0);
+  const askUsdTop5 = a.slice(0, 5).reduce((acc, x) => acc + x.usd, 0);
+  return {
+    ts,
+    spreadBps: ((a[0].px - b[0].px) / mid) * 10000,
+    micropriceDevBps: Number.isFinite(microprice) ? ((microprice - mid) / mid) * 10000 : null,
+    depthImbalance: (bidUsdTop5 + askUsdTop5) > 0 ? (bidUsdTop5 - askUsdTop5) / (bidUsdTop5 + askUsdTop5) : 0,
+    bidWallUsdMax: Math.max(...b.map(x => x.usd)),
+    askWallUsdMax: Math.max(...a.map(x => x.usd))
+  };
+}
+
+// 窓内の約定の並び（符号反転率・最長連続・前後半 OFI 差・価格ドリフト）
+function computeSequenceStats(trades, halfTs) {
+  let flips = 0;
+  let prevSide = null;
+  let run = 0;
+  let maxBuyRun = 0;
+  let maxSellRun = 0;
+  let firstBuy = 0;
+  let firstSell = 0;
+  let secondBuy = 0;
+  let secondSell = 0;
+  for (const t of trades) {
+    if (prevSide !== null && t.side !== prevSide) flips += 1;
+    run = t.side === prevSide ? run + 1 : 1;
+    prevSide = t.side;
+    if (t.side === 'buy') maxBuyRun = Math.max(maxBuyRun, run);
+    else maxSellRun = Math.max(maxSellRun, run);
+    const n = toFiniteNumber(t.notionalUsd, 0);
+    if (t.ts < halfTs) {
+      if (t.side === 'buy') firstBuy += n;
+      else firstSell += n;
+    } else if (t.side === 'buy') {
+      secondBuy += n;
+    } else {
+      secondSell += n;
+    }
+  }
+  const count = trades.length;
+  const ofiOf = (buy, sell) => ((buy + sell) > 0 ? (buy - sell) / (buy + sell) : 0);
+  const px0 = count > 0 ? trades[0].px : NaN;
+  const px1 = count > 0 ? trades[count - 1].px : NaN;
+  return {
+    flipRate: count > 1 ? flips / (count - 1) : 0,
+    buyRunShare: count > 0 ? maxBuyRun / count : 0,
+    sellRunShare: count > 0 ? maxSellRun / count : 0,
+    flowAccel: ofiOf(secondBuy, secondSell) - ofiOf(firstBuy, firstSell),
+    microDriftBps: px0 > 0 && Number.isFinite(px1) ? ((px1 - px0) / px0) * 10000 : null
+  };
+}
+
+function summarizeBookWindow(books) {
+  if (books.length === 0) return null;
+  const spreads = books.map(x => x.spreadBps).filter(Number.isFinite);
+  const microDev = books.map(x => x.micropriceDevBps).filter(Number.isFinite);
+  const depthImb = books.map(x => x.depthImbalance).filter(Number.isFinite);
+  const wallMax = books.map(x => Math.max(x.bidWallUsdMax, x.askWallUsdMax));
+  const domSigns = books.map(x => (x.bidWallUsdMax > x.askWallUsdMax ? 1 : (x.askWallUsdMax > x.bidWallUsdMax ? -1 : 0)));
+  const nonZero = domSigns.filter(s => s !== 0);
+  let wallFlips = 0;
+  for (let i = 1; i < nonZero.length; i += 1) {
+    if (nonZero[i] !== nonZero[i - 1]) wallFlips += 1;
+  }
+  const bidWallMean = mean(books.map(x => x.bidWallUsdMax));
+  const askWallMean = mean(books.map(x => x.askWallUsdMax));
+  return {
+    sampleCount: books.length,
+    avgSpreadBps: mean(spreads),
+    spreadDeltaBps: spreads.length > 1 ? spreads[spreads.length - 1] - spreads[0] : null,
+    avgMicropriceDevBps: mean(microDev),
+    avgDepthImbalance: mean(depthImb),
+    wallImbalance: (bidWallMean + askWallMean) > 0 ? (bidWallMean - askWallMean) / (bidWallMean + askWallMean) : null,
+    wallBidDominanceRate: domSigns.filter(s => s > 0).length / domSigns.length,
+    wallAskDominanceRate: domSigns.filter(s => s < 0).length / domSigns.length,
+    wallDominanceFlipRate: nonZero.length > 1 ? wallFlips / (nonZero.length - 1) : 0,
+    wallStrengthP90: quantile(wallMax, 0.9)
+  };
+}
+
 export class TradeFlowTracker {
   constructor(config = {}) {
     this.buffer = [];
+    this.books = [];
     this.prevOi = null;
     this.oiDelta = 0;
     this.oiDeltaTs = null;
@@ -72,28 +192,35 @@ export class TradeFlowTracker {
     if (!Number.isFinite(px) || px <= 0 || !Number.isFinite(sz) || sz <= 0) return;
     const side = normalizeSide(trade?.side);
     if (!side) return;
-    const ts = Math.max(0, Math.floor(toFiniteNumber(trade?.ts, Date.now())));
+    const ts = Math.max(0, Math.floor(toFiniteNumber(trade?.ts, clockNow())));
     const notionalUsd = px * sz;
     this.buffer.push({ ts, px, sz, side, notionalUsd });
-    const now = Date.now();
+    const now = clockNow();
     if ((now - this.lastCleanupAt) >= this.config.cleanupIntervalMs) {
       this.cleanup(now);
       this.lastCleanupAt = now;
     }
   }
 
-  updateOi(oi, ts = Date.now()) {
+  // 板スナップショットを窓集計用に要約して積む（pattern sensor の板特徴量）
+  addBook(bids, asks, ts = clockNow()) {
+    if (this.config.enabled !== true) return;
+    const sample = summarizeBook(bids, asks, Math.max(0, Math.floor(toFiniteNumber(ts, clockNow()))));
+    if (sample) this.books.push(sample);
+  }
+
+  updateOi(oi, ts = clockNow()) {
     if (!this.config.enabled) return;
     const oiNum = toFiniteNumber(oi, NaN);
     if (!Number.isFinite(oiNum)) return;
     if (Number.isFinite(this.prevOi)) {
       this.oiDelta = oiNum - this.prevOi;
-      this.oiDeltaTs = Math.max(0, Math.floor(toFiniteNumber(ts, Date.now())));
+      this.oiDeltaTs = Math.max(0, Math.floor(toFiniteNumber(ts, clockNow())));
     }
     this.prevOi = oiNum;
   }
 
-  getState(nowTs = Date.now()) {
+  getState(nowTs = clockNow()) {
     if (!this.config.enabled) {
       return {
         enabled: false,
@@ -110,11 +237,12 @@ export class TradeFlowTracker {
         oiDeltaTs: this.oiDeltaTs
       };
     }
-    const now = Math.max(0, Math.floor(toFiniteNumber(nowTs, Date.now())));
+    const now = Math.max(0, Math.floor(toFiniteNumber(nowTs, clockNow())));
     this.cleanup(now);
     const maxWindow = this.config.windowsMs[this.config.windowsMs.length - 1];
     const floorTs = now - maxWindow;
     const samples = this.buffer.filter(t => t.ts >= floorTs);
+    const bookSamples = this.books.filter(b => b.ts >= floorTs);
     const windows = {};
 
     for (const windowMs of this.config.windowsMs) {
@@ -148,7 +276,8 @@ export class TradeFlowTracker {
       }
       const tradeRatePerSec = windowMs > 0 ? tradeCount / (windowMs / 1000) : 0;
       const vwap = vwapSize > 0 ? (vwapNotional / vwapSize) : null;
-      const acceleration = computeAcceleration(now, windowMs, samples.filter(t => t.ts >= cutoff));
+      const windowTrades = samples.filter(t => t.ts >= cutoff);
+      const acceleration = computeAcceleration(now, windowMs, windowTrades);
       windows[String(windowMs)] = {
         windowMs,
         tradeCount,
@@ -161,7 +290,9 @@ export class TradeFlowTracker {
         largeTradeCount,
         tradeRatePerSec,
         vwap,
-        acceleration
+        acceleration,
+        ...computeSequenceStats(windowTrades, now - Math.floor(windowMs / 2)),
+        book: summarizeBookWindow(bookSamples.filter(b => b.ts >= cutoff))
       };
     }
 
@@ -204,7 +335,7 @@ export class TradeFlowTracker {
     };
   }
 
-  getFlowAlignment(positionSide, nowTs = Date.now()) {
+  getFlowAlignment(positionSide, nowTs = clockNow()) {
     const state = this.getState(nowTs);
     const normalizedSide = normalizeSide(positionSide);
     const minTrades = Math.max(1, this.config.minTradesForSignal);
@@ -244,7 +375,7 @@ export class TradeFlowTracker {
     };
   }
 
-  classifyMove(priceDelta, nowTs = Date.now()) {
+  classifyMove(priceDelta, nowTs = clockNow()) {
     const state = this.getState(nowTs);
     const pDelta = toFiniteNumber(priceDelta, 0);
     const oiDelta = toFiniteNumber(state?.oiDelta, 0);
@@ -283,8 +414,8 @@ export class TradeFlowTracker {
     };
   }
 
-  cleanup(nowTs = Date.now()) {
-    const now = Math.max(0, Math.floor(toFiniteNumber(nowTs, Date.now())));
+  cleanup(nowTs = clockNow()) {
+    const now = Math.max(0, Math.floor(toFiniteNumber(nowTs, clockNow())));
     const maxWindow = this.config.windowsMs[this.config.windowsMs.length - 1] ?? 60000;
     const cutoff = now - maxWindow - 5000;
     if (this.buffer.length > 0) {
@@ -293,21 +424,15 @@ export class TradeFlowTracker {
     if (this.buffer.length > this.config.maxBufferSize) {
       this.buffer = this.buffer.slice(-this.config.maxBufferSize);
     }
+    if (this.books.length > 0) {
+      this.books = this.books.filter(b => b.ts >= cutoff);
+    }
+    if (this.books.length > this.config.maxBufferSize) {
+      this.books = this.books.slice(-this.config.maxBufferSize);
+    }
   }
 }
 
-let singleton = null;
-
-export function getOrCreateTradeFlowTracker(config = {}) {
-  if (!singleton) {
-    singleton = new TradeFlowTracker(config);
-  } else {
-    singleton.configure(config);
-  }
-  return singleton;
-}
-
-export function resetTradeFlowTracker(config = {}) {
-  singleton = new TradeFlowTracker(config);
-  return singleton;
+export function createTradeFlowTracker(config = {}) {
+  return new TradeFlowTracker(config);
 }
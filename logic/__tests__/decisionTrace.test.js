@@ -0,0 +1,35 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createDecisionPipeline } from '../index.js';
+import { flushDecisionTraces, queryDecisionTraces } from '../../core/decisionTraceStore.js';
+
+describe('decision trace index', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'decision-trace-'));
+    process.env.DECISION_TRACE_DIR = dir;
+  });
+
+  afterEach(() => {
+    delete process.env.DECISION_TRACE_DIR;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('index rows carry the pipeline coin', async () => {
+    const btc = createDecisionPipeline(null, { coin: 'BTC' });
+    const eth = createDecisionPipeline(null, { coin: 'ETH' });
+    btc.decideTrade({ decisionId: 'd-btc' });
+    eth.decideTrade({ decisionId: 'd-eth' });
+    await flushDecisionTraces();
+
+    const rows = queryDecisionTraces({}, dir);
+    expect(rows).toHaveLength(2);
+    for (const row of rows) {
+      expect(typeof row.coin).toBe('string');
+    }
+    expect(queryDecisionTraces({ coin: 'BTC' }, dir).map(r => r.decisionId)).toEqual(['d-btc']);
+    expect(queryDecisionTraces({ coin: 'ETH' }, dir).map(r => r.decisionId)).toEqual(['d-eth']);
+  });
+});
@@ -21,7 +21,8 @@ import { getTradeConfig } from '../config/trade.js';
 
 // lookbackレンジ判定用のサンプル蓄積（Aロジック内で完結・軽量）
 // ← #15修正: コイン・モード単位でキャッシュを分離
-const rangeCache = new Map();  // キー: `${symbol}-${mode}`
+// パイプラインごとに分けたい場合は decideTradeA の第3引数で自前の Map を渡す
+const defaultRangeCache = new Map();  // キー: `${symbol}-${mode}`
 const MAX_RANGE_SAMPLES = 1000; // メモリ肥大防止：上限数
 
 function getCacheKey(symbol, mode) {
@@ -170,7 +171,11 @@ function resolveAreaSideZone(area, midPrice) {
   };
 }
 
-export function decideTradeA(payload) {
+export function createRangeCache() {
+  return new Map();
+}
+
+export function decideTradeA(payload, tradeConfig = getTradeConfig(), rangeCache = defaultRangeCache) {
   try {
     updateHealth(STAGES.DECISION_A);
   } catch (err) {
@@ -179,7 +184,6 @@ export function decideTradeA(payload) {
   const { ioMetrics, marketState } = payload;
   const { lrcAState, lrcDState, lrcState, bar1hState, c } = ioMetrics || {};
   const marketCurrent = marketState?.current || {};
-  const tradeConfig = getTradeConfig();
   const minRangeUsd = Number.isFinite(tradeConfig?.rangeFilter?.minRangeUsd)
     ? tradeConfig.rangeFilter.minRangeUsd
     : 0;
@@ -401,7 +405,7 @@ export function decideTradeA(payload) {
     let lookbackRangeUsd = null;
     if (windowMs > 0 && Number.isFinite(midPrice)) {
       // ← #15修正: コイン・モード単位のキャッシュを使用
-      const symbol = marketCurrent?.symbol || ioMetrics?.symbol || tradeConfig?.symbols?.[0] || 'UNKNOWN';
+      const symbol = marketCurrent?.symbol || ioMetrics?.symbol || payload?.coin || tradeConfig?.symbols?.[0] || 'UNKNOWN';
       const mode = payload?.mode || (process.env.TEST_MODE === '1' ? 'test' : 'live');
       const cacheKey = getCacheKey(symbol, mode);
       
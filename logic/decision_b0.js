@@ -3,6 +3,7 @@
 // B0: Higher-TF SR slicing layer (daily arena -> coarse 1h-scale SR map)
 
 import { getTradeConfig } from '../config/trade.js';
+import { clockNow } from '../core/clock.js';
 
 function toNumber(value, fallback = NaN) {
   const n = Number(value);
@@ -164,7 +165,7 @@ export function generateHigherTfStructure(payload, aResult, tradeConfig = getTra
     arenaRangeSource: range.source,
     candidates,
     clusters,
-    createdAt: Date.now()
+    createdAt: clockNow()
   };
 }
 
@@ -18,6 +18,7 @@
 
 import crypto from 'crypto';
 import { getTradeConfig } from '../config/trade.js';
+import { clockNow } from '../core/clock.js';
 
 function clamp(value, min, max) {
   if (!Number.isFinite(value)) return min;
@@ -114,14 +115,13 @@ function computeOverlapRatio(channelRange, arenaRange) {
  * @param {Object} aResult - A判定結果（allow/reason/gateInfo）
  * @returns {Object|null} StructureSnapshot or null
  */
-function generateStructure(payload, aResult, b0Result = null) {
+function generateStructure(payload, aResult, b0Result = null, tradeConfig = getTradeConfig()) {
   // Note: A.allow チェックは logic/index.js で実施済み（二重チェック不要）
   //       この関数は A.allow=true の時のみ呼ばれる
 
   const { ioMetrics = {}, market = {} } = payload;
   const lrcTvState = ioMetrics?.lrcTvState ?? {};
   const mid = market?.midPx ?? null;
-  const tradeConfig = getTradeConfig();
   const b1Cfg = tradeConfig?.b1 ?? {};
   const minOverlapRatio = clamp(Number(b1Cfg?.minOverlapRatio ?? 0.7), 0, 1);
 
@@ -173,7 +173,7 @@ function generateStructure(payload, aResult, b0Result = null) {
     spanUsd: rails.upper - rails.lower,
 
     // 生成時刻（UNIX timestamp ms）
-    createdAt: Date.now(),
+    createdAt: clockNow(),
 
     // 同一構造の識別子
     version: 1,
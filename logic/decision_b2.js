@@ -26,9 +26,13 @@ import { computeLrcWsOrbit } from './lrc_ws_orbit.js';
 import { collectFlowImbalanceSensor } from './sensors/flow_imbalance_sensor.js';
 import { collectImpactSpreadSensor } from './sensors/impact_spread_sensor.js';
 import { collectCtxSizeSensor } from './sensors/ctx_size_sensor.js';
+import { collectPatternSensor } from './sensors/pattern_sensor.js';
 import { evaluateBContainmentGate } from './gates/b2_containment_gate.js';
 import { evaluateCtxMicroGate } from './gates/b2_ctx_micro_gate.js';
 import { evaluateOiTrapGate } from './gates/b2_oi_trap_gate.js';
+import { evaluateFundingWindowGate } from './gates/b2_funding_gate.js';
+import { evaluatePatternGate } from './gates/b2_pattern_gate.js';
+import { evaluateLiqCascadeGate } from './gates/b2_liq_cascade_gate.js';
 import {
   formatEntryFlowInactiveDiagnostics,
   formatEntryFlowBaseDiagnostics,
@@ -40,6 +44,8 @@ import {
 } from './diagnostics/entry_flow_diagnostics.js';
 import fs from 'node:fs';
 import path from 'node:path';
+import { clockNow } from '../core/clock.js';
+import { expectedFundingCostRate } from '../core/funding.js';
 
 let routeModeWarned = false;
 
@@ -69,6 +75,22 @@ function resolveCapitalStageProfile(tradeConfig, equityUsd) {
   return bandsRaw[bandsRaw.length - 1] ?? null;
 }
 
+/**
+ * 帯の execAlgo 指定と notional から執行アルゴリズム（executor/execAlgo.js）の計画を作る
+ * パラメータは決定時点の trade.json execAlgo を写して渡す（executor は trade.json を読まない）
+ * exit は engine が openPosition.execAlgo として持ち回り、決済注文の payload から参照される
+ */
+function resolveExecAlgoPlan(tradeConfig, stage, notionalUsd) {
+  const cfg = tradeConfig?.execAlgo ?? {};
+  const rule = stage?.execAlgo ?? null;
+  if (cfg.enabled !== true || !rule || !(Number(notionalUsd) >= toNumber(rule.minNotionalUsd, 0))) return null;
+  const pick = (name) => (name && cfg[name] ? { algo: name, ...cfg[name], fallback: { ...(cfg.fallback ?? {}) } } : null);
+  const entry = pick(rule.entry);
+  const exit = pick(rule.exit);
+  if (!entry && !exit) return null;
+  return { stage: stage?.name ?? null, notionalUsd, entry, exit };
+}
+
 function resolveExecutionModel(tradeConfig) {
   const cfg = tradeConfig?.b2Upgrade?.executionModel ?? {};
   const distanceGuardModeRaw = String(cfg.distanceGuardMode ?? 'enforce').toLowerCase();
@@ -508,7 +530,7 @@ function resolveTpCapSelfCalStats(tradeConfig) {
       }
     };
   }
-  const now = Date.now();
+  const now = clockNow();
   const sourceMtimeMs = Math.floor(toNumber(stat?.mtimeMs, 0));
   const isCacheValid = (
     tpCapSelfCalCache.sourcePath === fullPath &&
@@ -836,6 +858,36 @@ function resolveCtxSizeScalar(market, decidedSide, tradeConfig) {
   };
 }
 
+function resolvePatternSizeScalar(ioMetrics, decidedSide, tradeConfig) {
+  const sensorCfg = tradeConfig?.patternSensor ?? {};
+  const cfg = sensorCfg.size ?? {};
+  if (sensorCfg.enabled !== true || cfg.enabled !== true) return { scalar: 1, diagnostics: { enabled: false } };
+  const signals = collectPatternSensor(ioMetrics, tradeConfig);
+  const out = signals.outputs ?? {};
+  const meanRetBps = out.stats?.meanRetBps ?? null;
+  const sideRetBps = Number.isFinite(meanRetBps) ? (decidedSide === 'sell' ? -meanRetBps : meanRetBps) : null;
+  const confidence = clamp(toNumber(out.confidence, 0), 0, 1);
+  const favorableRetBps = Math.max(0, toNumber(cfg.favorableRetBps, 1.0));
+  const boostSlope = Math.max(0, toNumber(cfg.boostSlope, 0.2));
+  const maxBoost = clamp(toNumber(cfg.maxBoost, 1.15), 1.0, 1.5);
+  const active = out.matched === true && Number.isFinite(sideRetBps) && sideRetBps >= favorableRetBps;
+  const scalar = active ? clamp(1 + (confidence * boostSlope), 1.0, maxBoost) : 1.0;
+  return {
+    scalar,
+    diagnostics: {
+      enabled: true,
+      active,
+      code: signals.code,
+      patternName: out.patternName ?? null,
+      confidence,
+      sideRetBps,
+      favorableRetBps,
+      boostSlope,
+      maxBoost
+    }
+  };
+}
+
 function resolveSizeScalar(entryQualityScore, tradeConfig) {
   const sizeCfg = tradeConfig?.b2Upgrade?.adaptiveSize ?? {};
   if (sizeCfg.enabled === false) return 1.0;
@@ -844,9 +896,8 @@ function resolveSizeScalar(entryQualityScore, tradeConfig) {
   return minScalar + (maxScalar - minScalar) * clamp(entryQualityScore, 0, 1);
 }
 
-function resolveFeeEdgeThresholds(payload, executionSignals, feeEdgeGuard) {
+function resolveFeeEdgeThresholds(payload, executionSignals, feeEdgeGuard, tradeConfig = getTradeConfig()) {
   const equityUsd = Number(payload?.accountEquity);
-  const tradeConfig = getTradeConfig();
   const stage = resolveCapitalStageProfile(tradeConfig, equityUsd);
   const stageMinNetUsd = Math.max(0, toNumber(stage?.feeMinNetUsd, 0));
   const baseMinNetUsd = Math.max(1.0, toNumber(feeEdgeGuard?.minNetUsd, 1.0), stageMinNetUsd);
@@ -863,7 +914,7 @@ function resolveFeeEdgeThresholds(payload, executionSignals, feeEdgeGuard) {
   }
   const tzOffsetMin = Math.floor(toNumber(dyn.tzOffsetMin, 540));
   const ts = Number(payload?.timestamp);
-  const utcMs = Number.isFinite(ts) ? ts : Date.now();
+  const utcMs = Number.isFinite(ts) ? ts : clockNow();
   const localHour = new Date(utcMs + (tzOffsetMin * 60000)).getUTCHours();
   let session = 'asia';
   if (localHour >= 8 && localHour < 16) session = 'eu';
@@ -1412,6 +1463,98 @@ function resolveClusterTpPlan(decidedSide, mid, stepUsd, srClusterView, fallback
   return null;
 }
 
+/**
+ * 保有中の追加エントリー（trade.json scaleIn）
+ * - 建玉側を支える強いクラスタ（long なら mid 以下、rank >= minClusterRank）に mid が近く、
+ *   resolveClusterTpPlan でその先に minTpRoomUsd 以上離れた TP 候補があるときだけ add を出す
+ * - 脚数 / 合計 notional / 直前の脚からの価格間隔・経過時間 / 含み損比率で制限（engine も脚数と notional を再確認）
+ * @returns {{ decision: Object|null, diagnostics: Object }}
+ */
+function evaluateScaleIn(payload, structureSnapshot, srClusterView, tradeConfig) {
+  const cfg = tradeConfig?.scaleIn ?? {};
+  const pos = payload?.engineState?.openPosition ?? null;
+  const diagnostics = { enabled: cfg.enabled === true };
+  const skip = (reason, extra = {}) => ({ decision: null, diagnostics: { ...diagnostics, ...extra, skip: reason } });
+  if (cfg.enabled !== true || !pos) return skip('disabled');
+  const side = pos.side === 'sell' ? 'sell' : 'buy';
+  const isLong = side === 'buy';
+  const mid = toNumber(payload?.market?.midPx);
+  const nowTs = Number.isFinite(Number(payload?.timestamp)) ? Number(payload.timestamp) : clockNow();
+  const legs = Array.isArray(pos.legs) && pos.legs.length > 0
+    ? pos.legs
+    : [{ entryPx: pos.entryPx, size: pos.size, initialSize: pos.initialSize, entryTs: pos.entryTs }];
+  const lastLeg = legs[legs.length - 1];
+  diagnostics.legCount = legs.length;
+  if (!Number.isFinite(mid) || mid <= 0) return skip('no_mid');
+  if (pos.tp1Done) return skip('tp1_done');
+  if (legs.length >= toNumber(cfg.maxLegs, 1)) return skip('max_legs');
+  const lastLegAt = toNumber(pos.lastLegAt ?? lastLeg?.entryTs);
+  if (Number.isFinite(lastLegAt) && nowTs - lastLegAt < toNumber(cfg.minIntervalMs, 0)) return skip('interval');
+  const lastLegPx = toNumber(lastLeg?.entryPx);
+  if (Number.isFinite(lastLegPx) && Math.abs(mid - lastLegPx) < toNumber(cfg.minSpacingUsd, 0)) {
+    return skip('spacing', { lastLegPx });
+  }
+  const entryPx = toNumber(pos.entryPx);
+  const tpDistanceUsd = toNumber(pos.tpDistanceUsd);
+  const adverseUsd = Number.isFinite(entryPx) ? Math.max(0, isLong ? entryPx - mid : mid - entryPx) : 0;
+  const adverseRatio = tpDistanceUsd > 0 ? adverseUsd / tpDistanceUsd : 0;
+  diagnostics.adverseRatio = adverseRatio;
+  if (adverseRatio > toNumber(cfg.maxAdverseRatio, 0)) return skip('adverse');
+
+  const nearClusterUsd = Math.max(0, toNumber(cfg.nearClusterUsd, 0));
+  const minClusterRank = toNumber(cfg.minClusterRank, 0);
+  const anchor = (Array.isArray(srClusterView?.clusters) ? srClusterView.clusters : [])
+    .map(cluster => ({
+      price: toNumber(cluster?.centerPrice),
+      rank: toNumber(cluster?.rank),
+      type: String(cluster?.type ?? 'sr').toLowerCase()
+    }))
+    .filter(c => Number.isFinite(c.price) && Number.isFinite(c.rank) && c.rank >= minClusterRank)
+    .filter(c => (isLong ? c.price <= mid : c.price >= mid) && Math.abs(mid - c.price) <= nearClusterUsd)
+    .sort((a, b) => Math.abs(mid - a.price) - Math.abs(mid - b.price))[0] ?? null;
+  if (!anchor) return skip('no_strong_cluster');
+  diagnostics.anchor = anchor;
+  const minTpRoomUsd = Math.max(0, toNumber(cfg.minTpRoomUsd, 0));
+  const plan = resolveClusterTpPlan(side, mid, minTpRoomUsd, srClusterView, structureSnapshot?.rails ?? null);
+  if (!plan) return skip('no_tp_room');
+
+  const baseSize = toNumber(legs[0]?.initialSize ?? legs[0]?.size ?? pos.initialSize);
+  let size = Number.isFinite(baseSize) ? baseSize * toNumber(cfg.legSizeRatio, 0) : 0;
+  const maxNotionalUsd = toNumber(cfg.maxNotionalUsd, 0);
+  if (maxNotionalUsd > 0) {
+    const roomUsd = maxNotionalUsd - toNumber(pos.size, 0) * mid;
+    size = Math.min(size, Math.max(0, roomUsd) / mid);
+  }
+  const notionalUsd = size * mid;
+  if (!(size > 0) || notionalUsd < Math.max(0, toNumber(tradeConfig?.minNotionalUsd, 10))) {
+    return skip('max_notional', { notionalUsd });
+  }
+  return {
+    decision: {
+      state: 'RANGE',
+      side,
+      action: 'add',
+      size,
+      notionalUsd,
+      reason: 'B: scale-in at sr cluster',
+      source: 'B',
+      tpPx: plan.targetPrice,
+      tpDistanceUsd: Math.abs(plan.targetPrice - mid),
+      tpSource: plan.tpSource,
+      tpLadder: plan.ladder,
+      entryProfile: { mode: 'taker', aggressiveness: 'scale_in' },
+      scaleIn: {
+        legIndex: legs.length + 1,
+        maxLegs: toNumber(cfg.maxLegs, 1),
+        anchor,
+        adverseRatio,
+        totalNotionalUsd: (toNumber(pos.size, 0) + size) * mid
+      }
+    },
+    diagnostics: { ...diagnostics, added: true }
+  };
+}
+
 function isEdgeLikeType(typeRaw) {
   const type = String(typeRaw ?? '').toLowerCase();
   return type === 'channel_edge' || type === 'outer_range' || type === 'rail';
@@ -1827,17 +1970,20 @@ function resolveThinOrderBookGate(ioMetrics, mid, decidedSide, tradeConfig) {
  * @param {Object} structureSnapshot - b1 が生成した StructureSnapshot
  * @returns {Object} Decision {state, side, reason, ...}
  */
-export function decideTradeB2(payload, aResult, structureSnapshot, srClusterView = null) {
+export function decideTradeB2(payload, aResult, structureSnapshot, srClusterView = null, tradeConfig = getTradeConfig()) {
   // Note: A.allow チェックは logic/index.js で実施済み（二重チェック不要）
   //       この関数は A.allow=true の時のみ呼ばれる
 
-  // ガード0: 保有中は判定をスキップ
+  // ガード0: 保有中は新規判定をスキップ（scaleIn 有効時は追加エントリーだけ評価）
   if (payload?.engineState?.openPosition) {
+    const scaleIn = evaluateScaleIn(payload, structureSnapshot, srClusterView, tradeConfig);
+    if (scaleIn.decision) return scaleIn.decision;
     return {
       state: 'RANGE',
       side: 'none',
       reason: 'holding_position',
       source: 'B',
+      diagnostics: { scaleIn: scaleIn.diagnostics },
     };
   }
 
@@ -1867,7 +2013,6 @@ export function decideTradeB2(payload, aResult, structureSnapshot, srClusterView
   const { market = {}, ioMetrics = {} } = payload;
   const mid = market?.midPx ?? null;
   const regime = aResult?.regime ?? 'NONE';
-  const tradeConfig = getTradeConfig();
   const bTrend = resolveBTrendDirection(payload, tradeConfig);
   const bRegime = bTrend.combined;
   const decisionState = (bRegime === 'UP' || bRegime === 'DOWN') ? bRegime : 'RANGE';
@@ -2206,6 +2351,10 @@ export function decideTradeB2(payload, aResult, structureSnapshot, srClusterView
   const entryFlowGate = resolveEntryFlowGate(ioMetrics, tradeConfig, decidedSide);
   const ctxMicroGate = evaluateCtxMicroGate(payload?.market ?? {}, tradeConfig, decidedSide);
   const oiPriceTrapGate = evaluateOiTrapGate(payload, tradeConfig, decidedSide);
+  const decisionTs = Number.isFinite(Number(payload?.timestamp)) ? Number(payload.timestamp) : clockNow();
+  const fundingWindowGate = evaluateFundingWindowGate(payload?.market ?? {}, tradeConfig, decidedSide, decisionTs);
+  const patternGate = evaluatePatternGate(ioMetrics, tradeConfig, decidedSide);
+  const liqCascadeGate = evaluateLiqCascadeGate(ioMetrics, tradeConfig, decidedSide);
 
   const wsGateBlockReason = entryFlowGate.blocked
     ? (entryFlowGate.reason || 'B: flow gate blocked')
@@ -2213,7 +2362,13 @@ export function decideTradeB2(payload, aResult, structureSnapshot, srClusterView
       ? (ctxMicroGate.reason || 'B: ctx gate blocked')
       : (oiPriceTrapGate.blocked
         ? (oiPriceTrapGate.reason || 'B: oi-price trap gate blocked')
-        : null));
+        : (fundingWindowGate.blocked
+          ? (fundingWindowGate.reason || 'B: funding window blocked')
+          : (patternGate.blocked
+            ? (patternGate.reason || 'B: pattern gate blocked')
+            : (liqCascadeGate.blocked
+              ? (liqCascadeGate.reason || 'B: liq cascade gate blocked')
+              : null)))));
 
   if (executionModelActive && false) {
     const mapStrength = toNumber(srClusterView?.mapStrength);
@@ -2304,7 +2459,10 @@ export function decideTradeB2(payload, aResult, structureSnapshot, srClusterView
           startupGuard: effectiveStartupGuard,
           flowGate: entryFlowGate.diagnostics,
           ctxGate: ctxMicroGate.diagnostics,
-          oiTrapGate: oiPriceTrapGate.diagnostics
+          oiTrapGate: oiPriceTrapGate.diagnostics,
+          fundingGate: fundingWindowGate.diagnostics,
+          patternGate: patternGate.diagnostics,
+          liqCascadeGate: liqCascadeGate.diagnostics
         }
       };
     }
@@ -2357,7 +2515,10 @@ export function decideTradeB2(payload, aResult, structureSnapshot, srClusterView
         startupGuard: effectiveStartupGuard,
         flowGate: entryFlowGate.diagnostics,
         ctxGate: ctxMicroGate.diagnostics,
-        oiTrapGate: oiPriceTrapGate.diagnostics
+        oiTrapGate: oiPriceTrapGate.diagnostics,
+        fundingGate: fundingWindowGate.diagnostics,
+        patternGate: patternGate.diagnostics,
+        liqCascadeGate: liqCascadeGate.diagnostics
       }
     };
   }
@@ -2390,6 +2551,9 @@ export function decideTradeB2(payload, aResult, structureSnapshot, srClusterView
     flowGate: entryFlowGate.diagnostics ?? null,
     ctxGate: ctxMicroGate.diagnostics ?? null,
     oiTrapGate: oiPriceTrapGate.diagnostics ?? null,
+    fundingGate: fundingWindowGate.diagnostics ?? null,
+    patternGate: patternGate.diagnostics ?? null,
+    liqCascadeGate: liqCascadeGate.diagnostics ?? null,
     tpBandDiagnostics,
     structuralSoftGuards: {
       containmentBlocked,
@@ -2664,11 +2828,13 @@ export function decideTradeB2(payload, aResult, structureSnapshot, srClusterView
   const impactSize = resolveImpactSizeScalar(payload?.market ?? {}, tradeConfig);
   const accelSize = resolveAccelSizeScalar(ioMetrics, decidedSide, tradeConfig);
   const ctxSize = resolveCtxSizeScalar(payload?.market ?? {}, decidedSide, tradeConfig);
+  const patternSize = resolvePatternSizeScalar(ioMetrics, decidedSide, tradeConfig);
   const flowSizeScalar = clamp(flowSize.scalar ?? 1, 1.0, 2.0);
   const impactSizeScalar = clamp(impactSize.scalar ?? 1, 1.0, 2.0);
   const accelSizeScalar = clamp(accelSize.scalar ?? 1, 1.0, 2.0);
   const ctxSizeScalar = clamp(ctxSize.scalar ?? 1, 1.0, 2.0);
-  const wsSizeScalar = flowSizeScalar * impactSizeScalar * accelSizeScalar * ctxSizeScalar;
+  const patternSizeScalar = clamp(patternSize.scalar ?? 1, 1.0, 2.0);
+  const wsSizeScalar = flowSizeScalar * impactSizeScalar * accelSizeScalar * ctxSizeScalar * patternSizeScalar;
   const sizeScalar = qualitySizeScalar
     * structureQualityScalar
     * startupSizeScalar
@@ -2684,11 +2850,13 @@ export function decideTradeB2(payload, aResult, structureSnapshot, srClusterView
       impactScalar: impactSizeScalar,
       accelScalar: accelSizeScalar,
       ctxScalar: ctxSizeScalar,
+      patternScalar: patternSizeScalar,
       combined: wsSizeScalar,
       flowDiagnostics: flowSize.diagnostics ?? null,
       impactDiagnostics: impactSize.diagnostics ?? null,
       accelDiagnostics: accelSize.diagnostics ?? null,
-      ctxDiagnostics: ctxSize.diagnostics ?? null
+      ctxDiagnostics: ctxSize.diagnostics ?? null,
+      patternDiagnostics: patternSize.diagnostics ?? null
     }
   };
   const feeEdgeGuard = tradeConfig?.feeEdgeGuard ?? {};
@@ -2739,6 +2907,7 @@ export function decideTradeB2(payload, aResult, structureSnapshot, srClusterView
         impactSizeScalar,
         accelSizeScalar,
         ctxSizeScalar,
+        patternSizeScalar,
         wsSizeScalar,
         ladderAttackScalar,
         expectancyRealizationFactor,
@@ -2763,7 +2932,13 @@ export function decideTradeB2(payload, aResult, structureSnapshot, srClusterView
   const entryBps = entryMode === 'maker' ? makerBps : takerBps;
   const exitBps = exitMode === 'maker' ? makerBps : takerBps;
   const feeRate = (entryBps + exitBps) / 10000;
-  const edgePerUsdNotional = Math.max(0, ((tpDistance / mid) * expectancyRealizationFactor) - feeRate);
+  // 想定保有時間内に跨ぐ funding 時刻の支払い（notional 比）。受け取り側は creditReceived のときだけ加点
+  const fundingCfg = tradeConfig?.funding ?? {};
+  const fundingRate = toNumber(payload?.market?.funding);
+  const fundingCostRate = fundingCfg.enabled === false
+    ? 0
+    : expectedFundingCostRate(decidedSide, fundingRate, decisionTs, toNumber(fundingCfg.plannedHoldMs, 0), fundingCfg.creditReceived === true);
+  const edgePerUsdNotional = Math.max(0, ((tpDistance / mid) * expectancyRealizationFactor) - feeRate - fundingCostRate);
   const edgePer100Notional = edgePerUsdNotional * 100;
   let sizeCoin = sizeCoinInitial;
   let notionalUsd = notionalUsdInitial;
@@ -2771,9 +2946,10 @@ export function decideTradeB2(payload, aResult, structureSnapshot, srClusterView
   let feeEdgeBoosted = false;
   let estimatedGrossUsd = Math.max(0, tpDistance * sizeCoin * expectancyRealizationFactor);
   let estimatedFeeUsd = Math.max(0, notionalUsd * feeRate);
-  let estimatedNetUsd = estimatedGrossUsd - estimatedFeeUsd;
+  let estimatedFundingUsd = notionalUsd * fundingCostRate;
+  let estimatedNetUsd = estimatedGrossUsd - estimatedFeeUsd - estimatedFundingUsd;
   let estimatedNetPer100 = notionalUsd > 0 ? (estimatedNetUsd / notionalUsd) * 100 : 0;
-  const feeThresholds = resolveFeeEdgeThresholds(payload, executionSignals, feeEdgeGuard);
+  const feeThresholds = resolveFeeEdgeThresholds(payload, executionSignals, feeEdgeGuard, tradeConfig);
   const minNetUsd = feeThresholds.minNetUsd;
   const minNetPer100 = feeThresholds.minNetPer100;
   const strictMinNetFloor = feeEdgeGuard.strictMinNetFloor !== false;
@@ -2796,7 +2972,8 @@ export function decideTradeB2(payload, aResult, structureSnapshot, srClusterView
       sizeCoin = notionalUsd / mid;
       estimatedGrossUsd = Math.max(0, tpDistance * sizeCoin * expectancyRealizationFactor);
       estimatedFeeUsd = Math.max(0, notionalUsd * feeRate);
-      estimatedNetUsd = estimatedGrossUsd - estimatedFeeUsd;
+      estimatedFundingUsd = notionalUsd * fundingCostRate;
+      estimatedNetUsd = estimatedGrossUsd - estimatedFeeUsd - estimatedFundingUsd;
       estimatedNetPer100 = notionalUsd > 0 ? (estimatedNetUsd / notionalUsd) * 100 : 0;
     }
   }
@@ -2828,7 +3005,8 @@ export function decideTradeB2(payload, aResult, structureSnapshot, srClusterView
     const boostedSize = boostedNotional > 0 ? (boostedNotional / mid) : 0;
     const boostedGross = Math.max(0, tpDistance * boostedSize * expectancyRealizationFactor);
     const boostedFee = Math.max(0, boostedNotional * feeRate);
-    const boostedNet = boostedGross - boostedFee;
+    const boostedFunding = boostedNotional * fundingCostRate;
+    const boostedNet = boostedGross - boostedFee - boostedFunding;
     const boostedNetPer100 = boostedNotional > 0 ? (boostedNet / boostedNotional) * 100 : 0;
 
     if (boostedNotional > notionalUsd && Number.isFinite(boostedSize) && boostedSize > 0) {
@@ -2836,6 +3014,7 @@ export function decideTradeB2(payload, aResult, structureSnapshot, srClusterView
       notionalUsd = boostedNotional;
       estimatedGrossUsd = boostedGross;
       estimatedFeeUsd = boostedFee;
+      estimatedFundingUsd = boostedFunding;
       estimatedNetUsd = boostedNet;
       estimatedNetPer100 = boostedNetPer100;
       const boostBaseNotional = Math.max(1e-6, Number.isFinite(notionalUsdInitial) ? notionalUsdInitial : 0);
@@ -2866,6 +3045,7 @@ export function decideTradeB2(payload, aResult, structureSnapshot, srClusterView
         impactSizeScalar,
         accelSizeScalar,
         ctxSizeScalar,
+        patternSizeScalar,
         wsSizeScalar,
         ladderAttackScalar,
         startupMode: ioMetrics?.startupProfile?.mode ?? null,
@@ -2884,6 +3064,9 @@ export function decideTradeB2(payload, aResult, structureSnapshot, srClusterView
           enabled: true,
           estimatedGrossUsd,
           estimatedFeeUsd,
+          estimatedFundingUsd,
+          fundingRate,
+          fundingCostRate,
           estimatedNetUsd,
           estimatedNetPer100,
           minNetUsd,
@@ -2963,6 +3146,7 @@ export function decideTradeB2(payload, aResult, structureSnapshot, srClusterView
       impactSizeScalar,
       accelSizeScalar,
       ctxSizeScalar,
+      patternSizeScalar,
       wsSizeScalar,
       ladderAttackScalar,
       feeEdgeBoostMul,
@@ -2980,7 +3164,8 @@ export function decideTradeB2(payload, aResult, structureSnapshot, srClusterView
       spreadBps: executionSignals.spreadBps,
       velocityBps: executionSignals.velocityBps,
       feeEdgeBoosted,
-      higherTf
+      higherTf,
+      execAlgo: resolveExecAlgoPlan(tradeConfig, capitalStage, notionalUsd)
     },
     tpPx: targetPrice,
     tpDistanceUsd: tpDistance,
@@ -2992,6 +3177,7 @@ export function decideTradeB2(payload, aResult, structureSnapshot, srClusterView
     structuralPairType,
     distanceReason,
     expectedUsd: Number.isFinite(estimatedNetUsd) ? estimatedNetUsd : null,
+    expectedFundingUsd: Number.isFinite(estimatedFundingUsd) ? estimatedFundingUsd : null,
     // P1修正: 観測用フィールド追加
     midPrice: mid,
     supportPrice,
@@ -0,0 +1,32 @@
+import { collectPremiumSensor } from '../sensors/premium_sensor.js';
+import { isPayingSide, msToNextFunding } from '../../core/funding.js';
+
+// funding 時刻の直前に支払い側で建てると、保有がごく短くても 1 回分を丸ごと払うので見送る
+export function evaluateFundingWindowGate(market, tradeConfig, decidedSide, nowTs) {
+  const fundingCfg = tradeConfig?.funding ?? {};
+  const cfg = fundingCfg.entryBlock ?? {};
+  if (fundingCfg.enabled === false || cfg.enabled !== true) {
+    return { blocked: false, reason: null, diagnostics: null };
+  }
+  const funding = collectPremiumSensor(market).fundingRate;
+  const windowMs = Math.max(0, Number(cfg.windowMs) || 0);
+  const minRate = Math.max(0, Number(cfg.minRate) || 0);
+  const msToFunding = msToNextFunding(nowTs);
+  const paying = isPayingSide(decidedSide, funding);
+  const diagnostics = {
+    enabled: true,
+    funding,
+    paying,
+    msToFunding,
+    windowMs,
+    minRate
+  };
+  if (paying && msToFunding <= windowMs && Math.abs(funding) >= minRate) {
+    return {
+      blocked: true,
+      reason: 'B: funding window paying side',
+      diagnostics: { ...diagnostics, guard: 'funding_window' }
+    };
+  }
+  return { blocked: false, reason: null, diagnostics };
+}
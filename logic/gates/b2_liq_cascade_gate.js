@@ -0,0 +1,42 @@
+import { appendLiqCascadeTrigger } from '../../core/liqCascadeLog.js';
+
+function toNumber(value, fallback = null) {
+  const num = Number(value);
+  return Number.isFinite(num) ? num : fallback;
+}
+
+// 清算 cascade が続いている間は、その流れに逆らう向き（下げ cascade での long / 上げ cascade での short）を見送る
+export function evaluateLiqCascadeGate(ioMetrics, tradeConfig, decidedSide) {
+  const rootCfg = tradeConfig?.liqCascade ?? {};
+  const cfg = rootCfg.gate ?? {};
+  if (rootCfg.enabled !== true || cfg.enabled !== true) {
+    return { blocked: false, reason: null, diagnostics: null };
+  }
+  const state = ioMetrics?.liqCascade ?? null;
+  const cascade = state?.active === true ? state.cascade : null;
+  const minIntensity = Math.max(0, toNumber(cfg.minIntensity, 1.0));
+  const intensity = toNumber(cascade?.intensity);
+  const against = cascade
+    ? (decidedSide === 'buy' && cascade.direction === 'down') || (decidedSide === 'sell' && cascade.direction === 'up')
+    : false;
+  const diagnostics = {
+    enabled: true,
+    active: cascade !== null,
+    cascadeId: cascade?.id ?? null,
+    direction: cascade?.direction ?? null,
+    intensity,
+    ageMs: toNumber(cascade?.ageMs),
+    minIntensity,
+    against,
+    source: state?.source ?? null
+  };
+  if (against && Number.isFinite(intensity) && intensity >= minIntensity) {
+    appendLiqCascadeTrigger('entry_block', cascade, { coin: state?.coin ?? null, side: decidedSide }, decidedSide);
+    return {
+      blocked: true,
+      reason: decidedSide === 'sell' ? 'B: liq cascade against short' : 'B: liq cascade against long',
+      diagnostics: { ...diagnostics, guard: 'liq_cascade' }
+    };
+  }
+  return { blocked: false, reason: null, diagnostics };
+}
@@ -0,0 +1,43 @@
+import { collectPatternSensor } from '../sensors/pattern_sensor.js';
+
+function toNumber(value, fallback = null) {
+  const num = Number(value);
+  return Number.isFinite(num) ? num : fallback;
+}
+
+// 学習済み pattern に一致していて、その pattern の平均リターンが建てる向きと逆なら見送る
+export function evaluatePatternGate(ioMetrics, tradeConfig, decidedSide) {
+  const sensorCfg = tradeConfig?.patternSensor ?? {};
+  const cfg = sensorCfg.gate ?? {};
+  if (sensorCfg.enabled !== true || cfg.enabled !== true) {
+    return { blocked: false, reason: null, diagnostics: null };
+  }
+  const signals = collectPatternSensor(ioMetrics, tradeConfig);
+  const out = signals.outputs ?? {};
+  const meanRetBps = out.stats?.meanRetBps ?? null;
+  const sideRetBps = Number.isFinite(meanRetBps)
+    ? (decidedSide === 'sell' ? -meanRetBps : meanRetBps)
+    : null;
+  const hostileRetBps = Math.max(0, toNumber(cfg.hostileRetBps, 1.5));
+  const diagnostics = {
+    enabled: true,
+    code: signals.code,
+    matched: out.matched === true,
+    patternName: out.patternName ?? null,
+    confidence: toNumber(out.confidence),
+    distanceZ: toNumber(out.distanceZ),
+    fitRate: out.stats?.fitRate ?? null,
+    meanRetBps,
+    sideRetBps,
+    hostileRetBps,
+    modelPath: signals.meta?.modelPath ?? null
+  };
+  if (diagnostics.matched && Number.isFinite(sideRetBps) && sideRetBps <= -hostileRetBps) {
+    return {
+      blocked: true,
+      reason: decidedSide === 'sell' ? 'B: pattern hostile for short' : 'B: pattern hostile for long',
+      diagnostics: { ...diagnostics, guard: 'pattern' }
+    };
+  }
+  return { blocked: false, reason: null, diagnostics };
+}
@@ -1,14 +1,15 @@
 // @ts-nocheck
 // logic/index.ts
 // Logic層 - A/Bロジックによるトレーディング判定
-// 純粋関数：副作用なし、状態保持なし、外部依存なし
+// 純粋関数：副作用なし、外部依存なし（判定状態は createDecisionPipeline のインスタンスごとに保持）
 import bridgeEmitter from '../core/bridgeEmitter.js';
 import { STOP_REASONS } from '../core/stopReasons.js';
 import { getTradeConfig, resolveB1SnapshotRefreshSetting } from '../config/trade.js';
 import { setDecisionTraceSnapshot } from '../core/decisionTraceCache.js';
+import { recordDecisionTrace } from '../core/decisionTraceStore.js';
 import fs from 'fs';
 import path from 'path';
-import { decideTradeA } from './decision_a.js';
+import { decideTradeA, createRangeCache } from './decision_a.js';
 import { generateHigherTfStructure } from './decision_b0.js';
 import { generateStructure } from './decision_b1.js';
 import { decideTradeB2 } from './decision_b2.js';
@@ -16,17 +17,31 @@ import { buildStructuralSrClusterView } from './sr_cluster_bridge.js';
 import { createMetaGateState, evaluateMetaGate } from './meta_gate.js';
 import { REASON_CODE, resolveReasonCode } from './reasonCodes.js';
 import { write as writeLog } from '../ws/utils/logger.js';
+import { clockNow } from '../core/clock.js';
 
-// Phase 3: StructureSnapshot 状態保持（b1/b2呼び出しフロー用）
-let currentStructureSnapshot = null;
-let currentB0Snapshot = null;
-let lastPositionStatus = null; // 'open' | 'closed'
-let currentStructureSnapshotSeq = 0;
-let currentSrClusterView = null;
-let currentSrClusterViewCreatedAt = 0;
-let currentSrClusterViewSnapshotHash = null;
-let lastB1RefreshAt = 0;
-let metaGateState = createMetaGateState();
+/**
+ * パイプライン 1 本分の判定状態（モジュール変数に置かず、createDecisionPipeline ごとに持つ）
+ * Phase 3: StructureSnapshot 状態保持（b1/b2呼び出しフロー用）も含む
+ */
+function createPipelineState() {
+    return {
+        structureSnapshot: null,
+        b0Snapshot: null,
+        lastPositionStatus: null, // 'open' | 'closed'
+        structureSnapshotSeq: 0,
+        srClusterView: null,
+        srClusterViewCreatedAt: 0,
+        srClusterViewSnapshotHash: null,
+        lastB1RefreshAt: 0,
+        metaGateState: createMetaGateState(),
+        rangeCache: createRangeCache(),
+        // A Gate 診断：rate limiting 状態
+        aGate: { lastReason: null, lastDiagLog: 0 },
+        // debug-packet の重複抑止・safety 表示のデバウンス
+        lastDecision: { side: null, size: null, reason: null, zone: null, safety: null },
+        safetyHold: { value: null, hold: 0 }
+    };
+}
 
 function clamp01(value, fallback = 0.5) {
     const n = Number(value);
@@ -246,18 +261,40 @@ function logLogicError(reason, err) {
     }
 }
 
-// ─────────────────────────
-// A Gate 診断：rate limiting 状態
-// ─────────────────────────
-const aGateState = {
-  lastReason: null,
-  lastDiagLog: 0
-};
 const A_GATE_LOG_INTERVAL_MS = 5000; // 5秒に1回
 
+/**
+ * 判定パイプラインを作る
+ * 構造スナップショット・meta gate・レンジキャッシュ等の状態はインスタンスごとに持つので、
+ * 複数コイン・シャドー戦略・バックテストの設定違いを同一プロセスで並べても混ざらない
+ *
+ * @param config trade 設定。オブジェクト / 設定を返す関数 / null（null は getTradeConfig() に追従しホットリロードを反映）
+ * @param options.emit false なら debug-packet・decision_trace ログ・A Gate 診断を出さない（シャドー用）
+ * @param options.coin 判定する銘柄（decision_trace と索引の coin。payload.coin より優先）
+ * @returns {{ decideTrade: Function, reset: Function, getState: Function }}
+ */
+export function createDecisionPipeline(config = null, options = {}) {
+    const getConfig = typeof config === 'function'
+        ? config
+        : (config && typeof config === 'object' ? () => config : getTradeConfig);
+    const emit = options?.emit !== false;
+    const coin = options?.coin ?? null;
+    let state = { ...createPipelineState(), getConfig, emit, coin };
+    return {
+        decideTrade: (payload) => runDecision(state, payload),
+        reset() {
+            state = { ...createPipelineState(), getConfig, emit, coin };
+        },
+        getState: () => state
+    };
+}
+
+// 既存の呼び出し元（単一コイン runtime・ツール類）用の既定パイプライン
+const defaultPipeline = createDecisionPipeline();
+
 /**
  * decideTrade
- * ExecutorPayload を受け取り、A/Bロジックで side/size/reason を決定
+ * ExecutorPayload を受け取り、A/Bロジックで side/size/reason を決定（既定パイプライン）
  * 
  * フロー:
  * 1. Global Safety チェック
@@ -269,8 +306,12 @@ const A_GATE_LOG_INTERVAL_MS = 5000; // 5秒に1回
  * @returns TradingDecisionPayload (side/size/reason)
  */
 export function decideTrade(payload) {
+    return defaultPipeline.decideTrade(payload);
+}
+
+function runDecision(state, payload) {
     // [A1-4] Date.now 単一取得ポリシー：入口でのみ取得し以降は payload.timestamp を参照
-    const ts = Date.now();
+    const ts = clockNow();
     payload.timestamp = ts;
     const { ioMetrics, strength } = payload;
     if (!ioMetrics || typeof ioMetrics !== 'object') {
@@ -281,7 +322,7 @@ export function decideTrade(payload) {
             constraints: ['NO_METRICS'],
             reason: 'A: metrics unavailable'
         }, payload);
-        return emitDecision({
+        return emitDecision(state, {
             side: 'none',
             size: 0.0,
             reason: aResult.reason,
@@ -291,7 +332,7 @@ export function decideTrade(payload) {
     const { c: rawC, cPrev, zone, lrcState, depthSR } = ioMetrics;
     const safeStrength = strength || {};
     const { A, B } = safeStrength;
-    const tradeConfig = getTradeConfig();
+    const tradeConfig = state.getConfig();
     const c = Number(rawC);
     ioMetrics.c = c;
     const isExtremeC = Number.isFinite(c) && Math.abs(c) >= 0.97;
@@ -309,7 +350,7 @@ export function decideTrade(payload) {
             constraints: ['NO_C'],
             reason: 'A: no valid c'
         }, payload);
-        return emitDecision({
+        return emitDecision(state, {
             side: 'none',
             size: 0.0,
             reason: STOP_REASONS.SKIP_NO_C,
@@ -319,8 +360,8 @@ export function decideTrade(payload) {
 
     let metaGate;
     try {
-        metaGate = evaluateMetaGate(payload, metaGateState, ts);
-        metaGateState = metaGate?.nextState ?? metaGateState;
+        metaGate = evaluateMetaGate(payload, state.metaGateState, ts, tradeConfig);
+        state.metaGateState = metaGate?.nextState ?? state.metaGateState;
     } catch (err) {
         logLogicError('evaluateMetaGate', err);
         metaGate = {
@@ -328,7 +369,7 @@ export function decideTrade(payload) {
             reason: 'META: evaluation error',
             score: null,
             diagnostics: { code: 'META_EVAL_ERROR', message: err?.message ?? String(err) },
-            nextState: metaGateState
+            nextState: state.metaGateState
         };
     }
     if (!metaGate.allow) {
@@ -339,7 +380,7 @@ export function decideTrade(payload) {
             constraints: ['meta_toxic_flow'],
             reason: 'A: meta toxic flow'
         }, payload);
-        return emitDecision({
+        return emitDecision(state, {
             side: 'none',
             size: 0.0,
             reason: metaGate.reason,
@@ -362,7 +403,7 @@ export function decideTrade(payload) {
     // ────────────────────────
     // Note: mid chop チェック (abs(c) < 0.20) は decision_a.js 内で実施
     //       bar1h チェックを優先するため、ここでの Early return は削除
-    const rawAResult = decideTradeA(payload);
+    const rawAResult = decideTradeA(payload, tradeConfig, state.rangeCache);
     const aResult = normalizeAResult(rawAResult, payload);
     
     // ────────────────────────
@@ -374,16 +415,16 @@ export function decideTrade(payload) {
     // - midが現railsを逸脱
     // - 現在spanとlrcTv spanの乖離が閾値を超過
     const positionStatus = resolvePositionStatus(payload);
-    if (positionStatus === 'closed' && lastPositionStatus === 'open') {
+    if (positionStatus === 'closed' && state.lastPositionStatus === 'open') {
         // exit完了 → snapshotを破棄
-        currentStructureSnapshot = null;
-        currentB0Snapshot = null;
-        currentSrClusterView = null;
-        currentSrClusterViewCreatedAt = 0;
-        currentSrClusterViewSnapshotHash = null;
-        lastB1RefreshAt = 0;
+        state.structureSnapshot = null;
+        state.b0Snapshot = null;
+        state.srClusterView = null;
+        state.srClusterViewCreatedAt = 0;
+        state.srClusterViewSnapshotHash = null;
+        state.lastB1RefreshAt = 0;
     }
-    lastPositionStatus = positionStatus;
+    state.lastPositionStatus = positionStatus;
 
     const b1Refresh = resolveB1SnapshotRefreshSetting(tradeConfig);
     const refreshMs = b1Refresh.ms;
@@ -391,19 +432,19 @@ export function decideTrade(payload) {
     const rebuildCfg = b1Cfg?.rebuild ?? {};
     const railsBreakBufferUsd = Math.max(0, Number(rebuildCfg?.railsBreakBufferUsd ?? 0));
     const spanChangeRatioThreshold = Math.max(0, Number(rebuildCfg?.spanChangeRatioThreshold ?? 0.12));
-    const ageMs = Number.isFinite(lastB1RefreshAt)
-        ? ((ts - lastB1RefreshAt) < 0 ? Number.POSITIVE_INFINITY : (ts - lastB1RefreshAt))
+    const ageMs = Number.isFinite(state.lastB1RefreshAt)
+        ? ((ts - state.lastB1RefreshAt) < 0 ? Number.POSITIVE_INFINITY : (ts - state.lastB1RefreshAt))
         : Number.POSITIVE_INFINITY;
-    const triggerByTime = !currentStructureSnapshot || refreshMs === 0 || ageMs >= refreshMs;
+    const triggerByTime = !state.structureSnapshot || refreshMs === 0 || ageMs >= refreshMs;
     const midPx = Number(payload?.market?.midPx);
-    const railUpper = Number(currentStructureSnapshot?.rails?.upper);
-    const railLower = Number(currentStructureSnapshot?.rails?.lower);
-    const triggerByRailsBreak = !!currentStructureSnapshot
+    const railUpper = Number(state.structureSnapshot?.rails?.upper);
+    const railLower = Number(state.structureSnapshot?.rails?.lower);
+    const triggerByRailsBreak = !!state.structureSnapshot
         && Number.isFinite(midPx)
         && Number.isFinite(railUpper)
         && Number.isFinite(railLower)
         && (midPx > (railUpper + railsBreakBufferUsd) || midPx < (railLower - railsBreakBufferUsd));
-    const currentSpanUsd = Number(currentStructureSnapshot?.spanUsd);
+    const currentSpanUsd = Number(state.structureSnapshot?.spanUsd);
     const observedTop = Number(ioMetrics?.lrcTvState?.channelTop);
     const observedBottom = Number(ioMetrics?.lrcTvState?.channelBottom);
     const observedSpanUsd = (Number.isFinite(observedTop) && Number.isFinite(observedBottom) && observedTop > observedBottom)
@@ -412,26 +453,26 @@ export function decideTrade(payload) {
     const spanChangeRatio = (Number.isFinite(currentSpanUsd) && currentSpanUsd > 0 && Number.isFinite(observedSpanUsd))
         ? Math.abs(observedSpanUsd - currentSpanUsd) / currentSpanUsd
         : 0;
-    const triggerBySpanChange = !!currentStructureSnapshot && spanChangeRatio >= spanChangeRatioThreshold;
+    const triggerBySpanChange = !!state.structureSnapshot && spanChangeRatio >= spanChangeRatioThreshold;
     const shouldRefresh = triggerByTime || triggerByRailsBreak || triggerBySpanChange;
     if (shouldRefresh) {
-        currentB0Snapshot = generateHigherTfStructure(payload, aResult, tradeConfig);
-        currentStructureSnapshot = generateStructure(payload, aResult, currentB0Snapshot);
-        if (currentStructureSnapshot) {
-            currentStructureSnapshotSeq += 1;
-            currentStructureSnapshot.snapshotSeq = currentStructureSnapshotSeq;
+        state.b0Snapshot = generateHigherTfStructure(payload, aResult, tradeConfig);
+        state.structureSnapshot = generateStructure(payload, aResult, state.b0Snapshot, tradeConfig);
+        if (state.structureSnapshot) {
+            state.structureSnapshotSeq += 1;
+            state.structureSnapshot.snapshotSeq = state.structureSnapshotSeq;
         }
-        currentSrClusterView = null;
-        currentSrClusterViewCreatedAt = 0;
-        currentSrClusterViewSnapshotHash = null;
-        lastB1RefreshAt = ts;
+        state.srClusterView = null;
+        state.srClusterViewCreatedAt = 0;
+        state.srClusterViewSnapshotHash = null;
+        state.lastB1RefreshAt = ts;
     }
 
     if (!aResult.allow) {
         // A Gate 診断ログ（rate limited）
-        emitAGateDiag(aResult, payload);
+        if (state.emit) emitAGateDiag(state, aResult, payload);
 
-        return emitDecision({
+        return emitDecision(state, {
             side: 'none',
             size: 0.0,
             reason: aResult.reason,
@@ -457,39 +498,39 @@ export function decideTrade(payload) {
     const clusterCfg = tradeConfig?.b2Upgrade?.srClusterBridge ?? {};
     const clusterTtlMs = Math.max(0, Number(clusterCfg.cacheTtlMs ?? 0));
     const clusterDriftUsd = Math.max(0, Number(clusterCfg.invalidateMidDriftUsd ?? 0));
-    const clusterBaseMid = Number(currentSrClusterView?.baseMidPrice);
+    const clusterBaseMid = Number(state.srClusterView?.baseMidPrice);
     const currentMid = Number(payload?.market?.midPx);
     const midDriftUsd = (Number.isFinite(clusterBaseMid) && Number.isFinite(currentMid))
       ? Math.abs(currentMid - clusterBaseMid)
       : Number.POSITIVE_INFINITY;
     const withinDrift = clusterDriftUsd <= 0 || (Number.isFinite(midDriftUsd) && midDriftUsd <= clusterDriftUsd);
-    const snapshotHash = String(currentStructureSnapshot?.hash ?? '');
-    const canReuseCluster = !!currentSrClusterView
+    const snapshotHash = String(state.structureSnapshot?.hash ?? '');
+    const canReuseCluster = !!state.srClusterView
       && clusterTtlMs > 0
       && withinDrift
       && snapshotHash.length > 0
-      && currentSrClusterViewSnapshotHash === snapshotHash
-      && (ts - currentSrClusterViewCreatedAt) >= 0
-      && (ts - currentSrClusterViewCreatedAt) <= clusterTtlMs;
+      && state.srClusterViewSnapshotHash === snapshotHash
+      && (ts - state.srClusterViewCreatedAt) >= 0
+      && (ts - state.srClusterViewCreatedAt) <= clusterTtlMs;
     const srClusterView = canReuseCluster
-      ? currentSrClusterView
-      : buildStructuralSrClusterView(payload, aResult, currentStructureSnapshot, tradeConfig);
+      ? state.srClusterView
+      : buildStructuralSrClusterView(payload, aResult, state.structureSnapshot, tradeConfig);
     if (!canReuseCluster) {
-      currentSrClusterView = srClusterView ?? null;
-      currentSrClusterViewCreatedAt = ts;
-      currentSrClusterViewSnapshotHash = snapshotHash || null;
+      state.srClusterView = srClusterView ?? null;
+      state.srClusterViewCreatedAt = ts;
+      state.srClusterViewSnapshotHash = snapshotHash || null;
     }
-        const b2StructureSnapshot = currentStructureSnapshot
+        const b2StructureSnapshot = state.structureSnapshot
             ? {
                     ...currentStructureSnapshot,
                     candidates: [],
                     _legacy: {
-                        ...(currentStructureSnapshot?._legacy ?? {}),
+                        ...(state.structureSnapshot?._legacy ?? {}),
                         candidateCount: 0
                     }
                 }
-            : currentStructureSnapshot;
-        const bResult = decideTradeB2(payload, aResult, b2StructureSnapshot, srClusterView);
+            : state.structureSnapshot;
+        const bResult = decideTradeB2(payload, aResult, b2StructureSnapshot, srClusterView, tradeConfig);
     
   if (bResult.side === 'none') {
         const rawBReason = resolveB2RawReason(bResult);
@@ -503,7 +544,7 @@ export function decideTrade(payload) {
                 rawReasonSource: rawBReason.source
             }
         };
-    return emitDecision({
+    return emitDecision(state, {
       side: 'none',
       size: 0.0,
             reason: normalizedBReason,
@@ -511,7 +552,7 @@ export function decideTrade(payload) {
       source: 'B',
         context: {
             aResult,
-            b0Result: currentB0Snapshot,
+            b0Result: state.b0Snapshot,
                         bResult: bResultForTrace,
             metaGate: {
                     allow: metaGate.allow,
@@ -520,16 +561,16 @@ export function decideTrade(payload) {
           diagnostics: metaGate.diagnostics
         }
       },
-      structureSnapshot: currentStructureSnapshot ? {
-        basis: currentStructureSnapshot.basis,
-        structureSource: currentStructureSnapshot.structureSource ?? null,
-        structureQuality: currentStructureSnapshot.structureQuality ?? null,
-        span: currentStructureSnapshot.spanUsd,
-                channelSlope: currentStructureSnapshot?._legacy?.channelSlope ?? null,
-        created: currentStructureSnapshot.createdAt,
-        hash: currentStructureSnapshot.hash,
-        version: currentStructureSnapshot.version,
-        snapshotSeq: currentStructureSnapshot.snapshotSeq ?? null
+      structureSnapshot: state.structureSnapshot ? {
+        basis: state.structureSnapshot.basis,
+        structureSource: state.structureSnapshot.structureSource ?? null,
+        structureQuality: state.structureSnapshot.structureQuality ?? null,
+        span: state.structureSnapshot.spanUsd,
+                channelSlope: state.structureSnapshot?._legacy?.channelSlope ?? null,
+        created: state.structureSnapshot.createdAt,
+        hash: state.structureSnapshot.hash,
+        version: state.structureSnapshot.version,
+        snapshotSeq: state.structureSnapshot.snapshotSeq ?? null
       } : null
         }, payload, { aResult, bResult: bResultForTrace, metaGate });
   }
@@ -537,7 +578,7 @@ export function decideTrade(payload) {
   // ────────────────────────
   // B 決定を返却
   // ────────────────────────
-  return emitDecision({
+  return emitDecision(state, {
     side: bResult.side,
     size: bResult.size || 0.0,
     notionalUsd: bResult.notionalUsd ?? null,
@@ -565,9 +606,11 @@ export function decideTrade(payload) {
     tpLadder: bResult.tpLadder ?? null,
     ladderAttack: bResult.ladderAttack ?? null,
     orbit: bResult.orbit ?? null,
+    // 保有中の追加エントリー（engine が脚として足す）
+    ...(bResult.action === 'add' ? { action: 'add', scaleIn: bResult.scaleIn ?? null } : {}),
       context: {
         aResult,
-        b0Result: currentB0Snapshot,
+        b0Result: state.b0Snapshot,
         bResult,
         metaGate: {
                 allow: metaGate.allow,
@@ -576,25 +619,26 @@ export function decideTrade(payload) {
         diagnostics: metaGate.diagnostics
       }
     },
-    structureSnapshot: currentStructureSnapshot ? {
-      basis: currentStructureSnapshot.basis,
-      structureSource: currentStructureSnapshot.structureSource ?? null,
-      structureQuality: currentStructureSnapshot.structureQuality ?? null,
-      span: currentStructureSnapshot.spanUsd,
-            channelSlope: currentStructureSnapshot?._legacy?.channelSlope ?? null,
-      created: currentStructureSnapshot.createdAt,
-      hash: currentStructureSnapshot.hash,
-      version: currentStructureSnapshot.version,
-      snapshotSeq: currentStructureSnapshot.snapshotSeq ?? null
+    structureSnapshot: state.structureSnapshot ? {
+      basis: state.structureSnapshot.basis,
+      structureSource: state.structureSnapshot.structureSource ?? null,
+      structureQuality: state.structureSnapshot.structureQuality ?? null,
+      span: state.structureSnapshot.spanUsd,
+            channelSlope: state.structureSnapshot?._legacy?.channelSlope ?? null,
+      created: state.structureSnapshot.createdAt,
+      hash: state.structureSnapshot.hash,
+      version: state.structureSnapshot.version,
+      snapshotSeq: state.structureSnapshot.snapshotSeq ?? null
     } : null
   }, payload, { aResult, bResult, metaGate });
 }
-function emitDecision(decision, payload, context = {}) {
-  emitLogicDebug(decision, payload);
-  emitDecisionTrace(decision, payload, context);
+function emitDecision(state, decision, payload, context = {}) {
+  if (!state.emit) return decision;
+  emitLogicDebug(state, decision, payload);
+  emitDecisionTrace(state, decision, payload, context);
     return decision;
 }
-function emitLogicDebug(decision, payload) {
+function emitLogicDebug(state, decision, payload) {
     try {
         const { ioMetrics, strength } = payload;
         const c = ioMetrics?.c;
@@ -610,18 +654,18 @@ function emitLogicDebug(decision, payload) {
         const bestAsk = resolveBestAsk(payload);
         const accountEquity = resolveAccountEquity(payload);
         const isExtremeC = Number.isFinite(c) && Math.abs(c) >= 0.97;
-        const firepower = lrcState ? resolveFirepower(lrcState, getTradeConfig(), isExtremeC) : null;
+        const firepower = lrcState ? resolveFirepower(lrcState, state.getConfig(), isExtremeC) : null;
         const side = (decision?.side ?? 'none').toUpperCase();
         const size = decision?.size ?? 0;
         const rawSafety = decision?.reason?.startsWith('safety_') ? 'HALT' : 'NORMAL';
-        const safety = debounceSafety(rawSafety);
+        const safety = debounceSafety(state, rawSafety);
         const rawReason = decision?.reason ?? 'NA';
         const reason = side !== 'NONE' && rawReason === 'safety_mid_chop'
             ? 'NONE'
             : shortenReason(rawReason);
         const tsValue = payload?.timestamp;
         const ts = formatTime(tsValue);
-        if (!shouldEmitDecision(side, size, rawReason, zone, safety)) {
+        if (!shouldEmitDecision(state, side, size, rawReason, zone, safety)) {
             return;
         }
         const trendState = lrcState?.trendState ?? 'unknown';
@@ -663,7 +707,7 @@ function emitLogicDebug(decision, payload) {
     }
 }
 
-function emitDecisionTrace(decision, payload, context = {}) {
+function emitDecisionTrace(state, decision, payload, context = {}) {
     try {
         const ts = payload?.timestamp;
         const decisionId = payload?.decisionId ?? 'unknown';
@@ -681,8 +725,9 @@ function emitDecisionTrace(decision, payload, context = {}) {
         const strength = payload?.strength ?? {};
         const appliedFirepowerRank = strength?.firepower?.rank ?? 'unknown';
         const appliedFirepowerFactor = strength?.firepower?.factor ?? null;
-        const b1SnapshotRefresh = resolveB1SnapshotRefreshSetting(getTradeConfig());
-        const legacyKeysEnabled = getTradeConfig()?.compatibility?.legacyKeysEnabled !== false;
+        const tradeConfig = state.getConfig();
+        const b1SnapshotRefresh = resolveB1SnapshotRefreshSetting(tradeConfig);
+        const legacyKeysEnabled = tradeConfig?.compatibility?.legacyKeysEnabled !== false;
         
         // c と isExtremeC を追加（firepower 急変の原因特定用）
         const c = ioMetrics?.c ?? null;
@@ -714,7 +759,7 @@ function emitDecisionTrace(decision, payload, context = {}) {
         
         // Data freshness diagnosis (DATA_STALE vs WARMUP)
         const MAX_DATA_AGE_MS = 60000; // 60s
-        const now = Date.now();
+        const now = clockNow();
         const bar1hLastUpdate = ioMetrics?.bar1hState?.lastUpdateTime ?? 0;
         const lrcLastUpdate = ioMetrics?.lrcState?.lastUpdateTime ?? 0;
         const bar1hAgeMs = bar1hLastUpdate > 0 ? now - bar1hLastUpdate : null;
@@ -828,13 +873,16 @@ function emitDecisionTrace(decision, payload, context = {}) {
             if (bReason.includes('net_edge_below_min')) return 'fee_edge';
             if (bReason.includes('no structural path')) return 'structure_path';
             if (bReason.includes('impact spread')) return 'impact';
+            if (bReason.includes('funding window')) return 'funding_window';
+            if (bReason.includes('pattern hostile') || bReason.includes('pattern gate')) return 'pattern';
+            if (bReason.includes('liq cascade')) return 'liq_cascade';
             if (bReason.includes('startup no-order') || bReason.includes('A stable')) return 'startup_guard';
             if (bReason.includes('entry allowed')) return 'entry_allowed';
             return 'other';
         })();
         const flowState = ioMetrics?.tradeFlow ?? null;
         const skippedSnapshot = payload?.skippedSnapshot ?? null;
-        const traceTs = Number.isFinite(Number(payload?.timestamp)) ? Number(payload.timestamp) : Date.now();
+        const traceTs = Number.isFinite(Number(payload?.timestamp)) ? Number(payload.timestamp) : clockNow();
         const tracePayload = {
             type: 'decision_trace',
             ts: traceTs,
@@ -842,6 +890,7 @@ function emitDecisionTrace(decision, payload, context = {}) {
                 decisionId,
                 entryTs,
                 ts,
+                coin: state.coin ?? payload?.coin ?? null,
                 engineState: engineState ? {
                     safety: engineState.safety ?? null,
                     openPosition: engineState.openPosition ?? null
@@ -1125,17 +1174,17 @@ function emitDecisionTrace(decision, payload, context = {}) {
                     srScale: depthSR.srScale ?? null
                     } : null,
                     // Phase 3: StructureSnapshot 情報をログに追加
-                    structureSnapshot: currentStructureSnapshot ? {
-                        version: currentStructureSnapshot.version ?? null,
-                        snapshotSeq: currentStructureSnapshot.snapshotSeq ?? null,
-                        hash: currentStructureSnapshot.hash ?? null,
-                        basis: currentStructureSnapshot.basis ?? null,
-                        structureSource: currentStructureSnapshot.structureSource ?? null,
-                        structureQuality: currentStructureSnapshot.structureQuality ?? null,
-                        spanUsd: currentStructureSnapshot.spanUsd ?? null,
-                        channelSlope: currentStructureSnapshot?._legacy?.channelSlope ?? null,
-                        rails: currentStructureSnapshot.rails ?? null,
-                        createdAt: currentStructureSnapshot.createdAt ?? null
+                    structureSnapshot: state.structureSnapshot ? {
+                        version: state.structureSnapshot.version ?? null,
+                        snapshotSeq: state.structureSnapshot.snapshotSeq ?? null,
+                        hash: state.structureSnapshot.hash ?? null,
+                        basis: state.structureSnapshot.basis ?? null,
+                        structureSource: state.structureSnapshot.structureSource ?? null,
+                        structureQuality: state.structureSnapshot.structureQuality ?? null,
+                        spanUsd: state.structureSnapshot.spanUsd ?? null,
+                        channelSlope: state.structureSnapshot?._legacy?.channelSlope ?? null,
+                        rails: state.structureSnapshot.rails ?? null,
+                        createdAt: state.structureSnapshot.createdAt ?? null
                     } : null,
                     bar1h: ioMetrics?.bar1hState ?? null,
                     bar15m: ioMetrics?.bar15mState ?? null,
@@ -1151,6 +1200,7 @@ function emitDecisionTrace(decision, payload, context = {}) {
             }
         };
         writeLog(tracePayload);
+        recordDecisionTrace(tracePayload);
         setDecisionTraceSnapshot(tracePayload.payload);
     }
     catch (err) {
@@ -1238,58 +1288,47 @@ function classifyB1StructureBlock(payload, aResult, b0Snapshot, tradeConfig) {
         b0CandidateCount: b0Candidates.length
     };
 }
-const lastDecisionSnapshot = {
-    side: null,
-    size: null,
-    reason: null,
-    zone: null,
-    safety: null
-};
-function shouldEmitDecision(side, size, reason, zone, safety) {
-    if (lastDecisionSnapshot.side === side &&
-        lastDecisionSnapshot.size === size &&
-        lastDecisionSnapshot.reason === reason &&
-        lastDecisionSnapshot.zone === zone &&
-        lastDecisionSnapshot.safety === safety) {
+function shouldEmitDecision(state, side, size, reason, zone, safety) {
+    if (state.lastDecision.side === side &&
+        state.lastDecision.size === size &&
+        state.lastDecision.reason === reason &&
+        state.lastDecision.zone === zone &&
+        state.lastDecision.safety === safety) {
         return false;
     }
-    lastDecisionSnapshot.side = side;
-    lastDecisionSnapshot.size = size;
-    lastDecisionSnapshot.reason = reason;
-    lastDecisionSnapshot.zone = zone;
-    lastDecisionSnapshot.safety = safety;
+    state.lastDecision.side = side;
+    state.lastDecision.size = size;
+    state.lastDecision.reason = reason;
+    state.lastDecision.zone = zone;
+    state.lastDecision.safety = safety;
     return true;
 }
 const SAFETY_HOLD_TICKS = 3;
-const safetyHoldState = {
-    value: null,
-    hold: 0
-};
-function debounceSafety(nextSafety) {
-    if (!safetyHoldState.value) {
-        safetyHoldState.value = nextSafety;
-        safetyHoldState.hold = SAFETY_HOLD_TICKS;
+function debounceSafety(state, nextSafety) {
+    if (!state.safetyHold.value) {
+        state.safetyHold.value = nextSafety;
+        state.safetyHold.hold = SAFETY_HOLD_TICKS;
         return nextSafety;
     }
-    if (nextSafety !== safetyHoldState.value) {
-        if (safetyHoldState.hold > 0) {
-            safetyHoldState.hold -= 1;
-            return safetyHoldState.value;
+    if (nextSafety !== state.safetyHold.value) {
+        if (state.safetyHold.hold > 0) {
+            state.safetyHold.hold -= 1;
+            return state.safetyHold.value;
         }
-        safetyHoldState.value = nextSafety;
-        safetyHoldState.hold = SAFETY_HOLD_TICKS;
+        state.safetyHold.value = nextSafety;
+        state.safetyHold.hold = SAFETY_HOLD_TICKS;
         return nextSafety;
     }
-    if (safetyHoldState.hold > 0) {
-        safetyHoldState.hold -= 1;
+    if (state.safetyHold.hold > 0) {
+        state.safetyHold.hold -= 1;
     }
-    return safetyHoldState.value;
+    return state.safetyHold.value;
 }
 
 // ─────────────────────────
 // A Gate 診断ログ出力（rate limited）
 // ─────────────────────────
-function emitAGateDiag(aResult, payload) {
+function emitAGateDiag(state, aResult, payload) {
     try {
         const nowMs = payload?.timestamp;
         const { _gateDiag } = aResult;
@@ -1297,13 +1336,13 @@ function emitAGateDiag(aResult, payload) {
         
         const { code } = _gateDiag;
         if (!Number.isFinite(nowMs)) return;
-        const shouldLog = code !== aGateState.lastReason 
-            || (nowMs - aGateState.lastDiagLog) >= A_GATE_LOG_INTERVAL_MS;
+        const shouldLog = code !== state.aGate.lastReason 
+            || (nowMs - state.aGate.lastDiagLog) >= A_GATE_LOG_INTERVAL_MS;
         
         if (!shouldLog) return; // rate limited
         
-        aGateState.lastReason = code;
-        aGateState.lastDiagLog = nowMs;
+        state.aGate.lastReason = code;
+        state.aGate.lastDiagLog = nowMs;
         
         // 必須値の抽出
         const { ioMetrics, marketState, timestamp } = payload;
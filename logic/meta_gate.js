@@ -1,4 +1,5 @@
 import { getTradeConfig } from '../config/trade.js';
+import { clockNow } from '../core/clock.js';
 
 const DEFAULT_STATE = {
   lastSpreadBps: null,
@@ -26,8 +27,7 @@ export function createMetaGateState() {
   return { ...DEFAULT_STATE };
 }
 
-export function evaluateMetaGate(payload, state = createMetaGateState(), nowTs = Date.now()) {
-  const tradeConfig = getTradeConfig();
+export function evaluateMetaGate(payload, state = createMetaGateState(), nowTs = clockNow(), tradeConfig = getTradeConfig()) {
   const cfg = tradeConfig?.metaGate ?? {};
   if (cfg.enabled === false) {
     return {
@@ -61,6 +61,14 @@ const REASON_ALIASES = Object.freeze({
   'B: OI-PRICE TRAP GATE BLOCKED': REASON_CODE.IMBALANCE_AGAINST_DIRECTION,
   'B: IMPACT SPREAD TOO WIDE': REASON_CODE.WIDE_SPREAD,
   'B: NET_EDGE_BELOW_MIN': REASON_CODE.NET_EXPECTATION_TOO_LOW,
+  'B: FUNDING WINDOW PAYING SIDE': REASON_CODE.NET_EXPECTATION_TOO_LOW,
+  'B: FUNDING WINDOW BLOCKED': REASON_CODE.NET_EXPECTATION_TOO_LOW,
+  'B: PATTERN HOSTILE FOR LONG': REASON_CODE.IMBALANCE_AGAINST_DIRECTION,
+  'B: PATTERN HOSTILE FOR SHORT': REASON_CODE.IMBALANCE_AGAINST_DIRECTION,
+  'B: PATTERN GATE BLOCKED': REASON_CODE.IMBALANCE_AGAINST_DIRECTION,
+  'B: LIQ CASCADE AGAINST LONG': REASON_CODE.IMBALANCE_AGAINST_DIRECTION,
+  'B: LIQ CASCADE AGAINST SHORT': REASON_CODE.IMBALANCE_AGAINST_DIRECTION,
+  'B: LIQ CASCADE GATE BLOCKED': REASON_CODE.IMBALANCE_AGAINST_DIRECTION,
   'B: LIVE NO-ORDER UNTIL A STABLE': REASON_CODE.STATE_HOLD,
   'B: STARTUP NO-ORDER WINDOW': REASON_CODE.STATE_HOLD,
   'B: NO MID PRICE': REASON_CODE.A_INVALID,
@@ -0,0 +1,230 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { clockNow } from '../../core/clock.js';
+
+// scripts/research/ws_pattern_discovery.js（train / refresh）が書くモデルを読み、
+// tradeFlow の窓から同じ特徴量を作って最寄りの pattern に分類する
+// モデルファイルは mtime を見て差し替わったら読み直す（再起動不要）
+
+const modelCache = {
+  fullPath: null,
+  mtimeMs: null,
+  checkedAtMs: 0,
+  model: null,
+  loadError: null
+};
+
+function toNumber(value, fallback = null) {
+  const num = Number(value);
+  return Number.isFinite(num) ? num : fallback;
+}
+
+function clamp(value, min, max) {
+  if (!Number.isFinite(value)) return min;
+  return Math.min(max, Math.max(min, value));
+}
+
+function validateModel(raw) {
+  const features = Array.isArray(raw?.config?.features) ? raw.config.features.map(String) : [];
+  const dim = features.length;
+  const meanV = Array.isArray(raw?.norm?.mean) ? raw.norm.mean.map(v => toNumber(v, 0)) : [];
+  const stdV = Array.isArray(raw?.norm?.std) ? raw.norm.std.map(v => toNumber(v, 1)) : [];
+  const centroids = Array.isArray(raw?.centroidsZ) ? raw.centroidsZ : [];
+  if (dim === 0 || meanV.length !== dim || stdV.length !== dim || centroids.length < 2) return null;
+  if (!centroids.every(c => Array.isArray(c) && c.length === dim)) return null;
+  const patterns = new Map();
+  for (const p of Array.isArray(raw?.patterns) ? raw.patterns : []) {
+    const idx = toNumber(p?.patternIdx, -1);
+    if (idx >= 0) patterns.set(idx, p);
+  }
+  const createdAt = Date.parse(raw?.refreshedAt ?? raw?.generatedAt ?? '');
+  return {
+    features,
+    mean: meanV,
+    std: stdV.map(v => (Math.abs(v) > 1e-12 ? v : 1)),
+    centroids: centroids.map(c => c.map(v => toNumber(v, 0))),
+    patterns,
+    eventThresholdBps: toNumber(raw?.config?.eventThresholdBps, null),
+    createdAtMs: Number.isFinite(createdAt) ? createdAt : null
+  };
+}
+
+function loadModel(cfg, nowMs) {
+  const fullPath = path.resolve(process.cwd(), String(cfg.modelPath || ''));
+  const due = modelCache.fullPath !== fullPath
+    || (nowMs - modelCache.checkedAtMs) >= Math.max(0, toNumber(cfg.reloadCheckMs, 30000));
+  if (!due) return modelCache;
+  if (modelCache.fullPath !== fullPath) {
+    modelCache.fullPath = fullPath;
+    modelCache.mtimeMs = null;
+    modelCache.model = null;
+  }
+  modelCache.checkedAtMs = nowMs;
+  let stat;
+  try {
+    stat = fs.statSync(fullPath);
+  } catch {
+    modelCache.mtimeMs = null;
+    modelCache.model = null;
+    modelCache.loadError = 'model_not_found';
+    return modelCache;
+  }
+  if (modelCache.model && modelCache.mtimeMs === stat.mtimeMs) return modelCache;
+  try {
+    const model = validateModel(JSON.parse(fs.readFileSync(fullPath, 'utf8')));
+    if (!model) {
+      modelCache.loadError = 'model_invalid';
+      return modelCache;
+    }
+    modelCache.model = model;
+    modelCache.mtimeMs = stat.mtimeMs;
+    modelCache.loadError = null;
+    console.log(`[PATTERN] model loaded ${fullPath} patterns=${model.centroids.length} features=${model.features.length}`);
+  } catch {
+    // 書き込み途中などで読めなければ直前のモデルを使い続ける（次の確認で再読込）
+    modelCache.loadError = 'model_unreadable';
+  }
+  return modelCache;
+}
+
+function sqDist(a, b) {
+  let s = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    const d = a[i] - b[i];
+    s += d * d;
+  }
+  return s;
+}
+
+// ws_state_edge_eval.js の featureWindow と同じ名前で窓の値を引く（tradeRate だけ名前が違う）
+function resolveFeatureValues(features, bucket) {
+  const source = { ...(bucket?.book ?? {}), ...bucket, tradeRate: bucket?.tradeRatePerSec };
+  return features.map(name => toNumber(source[name], NaN));
+}
+
+/**
+ * pattern の成績（test 側が十分なら test、足りなければ train）
+ */
+function resolvePatternStats(pattern, minSamples) {
+  const testN = toNumber(pattern?.testN, 0);
+  const useTest = testN >= minSamples;
+  const pick = (key) => toNumber(pattern?.[`${useTest ? 'test' : 'train'}${key}`], null);
+  return {
+    source: useTest ? 'test' : 'train',
+    n: useTest ? testN : toNumber(pattern?.trainN, 0),
+    fitRate: pick('FitRate'),
+    meanRetBps: pick('MeanRetBps'),
+    p10RetBps: pick('P10RetBps')
+  };
+}
+
+function unavailable(code, extra = {}) {
+  return {
+    ok: false,
+    code,
+    inputs: {},
+    outputs: {},
+    normalized: {},
+    meta: {
+      sensorId: 'pattern',
+      version: '2026-10-19',
+      source: 'tradeFlow',
+      ...extra
+    }
+  };
+}
+
+export function collectPatternSensor(ioMetrics = {}, tradeConfig = {}) {
+  const cfg = tradeConfig?.patternSensor ?? {};
+  if (cfg.enabled !== true) return unavailable('disabled');
+  const flow = ioMetrics?.tradeFlow;
+  if (!flow || typeof flow !== 'object') return unavailable('no_trade_flow');
+
+  const nowMs = clockNow();
+  const cache = loadModel(cfg, nowMs);
+  const model = cache.model;
+  const modelMeta = {
+    modelPath: cache.fullPath,
+    modelCreatedAt: model?.createdAtMs ?? null,
+    loadError: cache.loadError
+  };
+  if (!model) return unavailable(cache.loadError ?? 'no_model', modelMeta);
+  const maxModelAgeMs = Math.max(0, toNumber(cfg.maxModelAgeMs, 0));
+  if (maxModelAgeMs > 0 && Number.isFinite(model.createdAtMs) && (nowMs - model.createdAtMs) > maxModelAgeMs) {
+    return unavailable('model_stale', modelMeta);
+  }
+
+  const windowMs = Math.max(1000, Math.floor(toNumber(cfg.windowMs, 20000)));
+  const windows = flow?.windows ?? {};
+  const bucket = windows[String(windowMs)] ?? windows[windowMs] ?? null;
+  if (!bucket) return unavailable('no_window', { ...modelMeta, windowMs });
+  const tradeCount = Math.max(0, Math.floor(toNumber(bucket.tradeCount, 0)));
+  const minTrades = Math.max(1, Math.floor(toNumber(cfg.minTrades, 8)));
+  if (tradeCount < minTrades) return unavailable('insufficient_sample', { ...modelMeta, windowMs, tradeCount });
+
+  const raw = resolveFeatureValues(model.features, bucket);
+  // 学習時と同じく欠損は z=0（平均値扱い）
+  const z = raw.map((x, j) => (Number.isFinite(x) ? (x - model.mean[j]) / model.std[j] : 0));
+  let best = -1;
+  let bestD = Infinity;
+  let second = -1;
+  let secondD = Infinity;
+  for (let i = 0; i < model.centroids.length; i += 1) {
+    const d = sqDist(z, model.centroids[i]);
+    if (d < bestD) {
+      second = best;
+      secondD = bestD;
+      best = i;
+      bestD = d;
+    } else if (d < secondD) {
+      second = i;
+      secondD = d;
+    }
+  }
+  // 距離は特徴量 1 個あたりの z（RMS）、確信度は 2 番目に近い pattern との差
+  const distanceZ = Math.sqrt(bestD / z.length);
+  const confidence = secondD > 0 && Number.isFinite(secondD)
+    ? clamp(1 - Math.sqrt(bestD) / Math.sqrt(secondD), 0, 1)
+    : 0;
+  const minPatternSamples = Math.max(1, Math.floor(toNumber(cfg.minPatternSamples, 30)));
+  const pattern = model.patterns.get(best) ?? null;
+  const stats = resolvePatternStats(pattern, minPatternSamples);
+  const maxDistanceZ = Math.max(0, toNumber(cfg.maxDistanceZ, 2.5));
+  const minConfidence = clamp(toNumber(cfg.minConfidence, 0.3), 0, 1);
+  const matched = distanceZ <= maxDistanceZ
+    && confidence >= minConfidence
+    && stats.n >= minPatternSamples;
+
+  return {
+    ok: true,
+    code: matched ? 'matched' : 'unmatched',
+    inputs: {
+      windowMs,
+      tradeCount,
+      bookSamples: toNumber(bucket.book?.sampleCount, 0),
+      features: Object.fromEntries(model.features.map((name, j) => [name, Number.isFinite(raw[j]) ? raw[j] : null])),
+      missingFeatures: model.features.filter((_, j) => !Number.isFinite(raw[j]))
+    },
+    outputs: {
+      matched,
+      patternIdx: best,
+      patternName: pattern?.patternName ?? `P${best + 1}`,
+      patternGate: pattern?.gate ?? null,
+      secondPatternIdx: second >= 0 ? second : null,
+      distanceZ,
+      confidence,
+      stats,
+      eventThresholdBps: model.eventThresholdBps,
+      thresholds: { maxDistanceZ, minConfidence, minPatternSamples }
+    },
+    normalized: {
+      z
+    },
+    meta: {
+      sensorId: 'pattern',
+      version: '2026-10-19',
+      source: 'tradeFlow',
+      ...modelMeta
+    }
+  };
+}
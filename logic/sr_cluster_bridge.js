@@ -1,4 +1,5 @@
 import { getTradeConfig } from '../config/trade.js';
+import { clockNow } from '../core/clock.js';
 
 function toNumber(value) {
   const num = Number(value);
@@ -59,7 +60,7 @@ function normalizeBars(payload, lookbackBars) {
 function makeEmptyClusterView(status, reason, payload = null) {
   const mid = toNumber(payload?.market?.midPx);
   return {
-    generatedAt: Number.isFinite(Number(payload?.timestamp)) ? Number(payload.timestamp) : Date.now(),
+    generatedAt: Number.isFinite(Number(payload?.timestamp)) ? Number(payload.timestamp) : clockNow(),
     baseMidPrice: Number.isFinite(mid) ? mid : null,
     nextUp: null,
     nextDown: null,
@@ -333,7 +334,7 @@ export function buildStructuralSrClusterView(payload, aResult, structureSnapshot
     : (clusters.length === 0 ? 'EMPTY' : 'READY');
 
   return {
-    generatedAt: Number.isFinite(Number(payload?.timestamp)) ? Number(payload.timestamp) : Date.now(),
+    generatedAt: Number.isFinite(Number(payload?.timestamp)) ? Number(payload.timestamp) : clockNow(),
     baseMidPrice: mid,
     nextUp,
     nextDown,
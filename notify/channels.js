@@ -0,0 +1,178 @@
+// notify/channels.js
+// 通知チャネルのアダプタ（line / discord / telegram / slack / email / webhook / capture）
+// - 各アダプタは { name, enabled, send(notification) }。送れなかったら throw（outbox が再送する）
+// - 設定が無いチャネルは enabled=false（ルーティングで '*' を指定しても対象外）
+// - 本文は formatNotificationText で共通化（LINE だけは既存の確定フォーマット）
+import fs from 'fs';
+import path from 'path';
+import axios from 'axios';
+import { spawn } from 'child_process';
+import { sendLineText, buildLineAlertText } from '../engine/lineNotify.js';
+import { clockNow } from '../core/clock.js';
+
+const HTTP_TIMEOUT_MS = 5000;
+const SEVERITY_ICONS = { info: 'ℹ️', warn: '⚠️', critical: '🚨' };
+
+// capture チャネルの受信箱（テスト・検証用）
+const captured = [];
+
+function envText(env, key) {
+  const v = env?.[key];
+  return v && String(v).trim().length > 0 ? String(v).trim() : null;
+}
+
+/**
+ * チャネル共通の本文（Discord / Telegram / Slack / email）
+ */
+export function formatNotificationText(notification) {
+  const icon = SEVERITY_ICONS[notification.severity] ?? SEVERITY_ICONS.info;
+  const lines = [`${icon} HLBOT ${notification.signal}`, new Date(notification.ts).toISOString()];
+  if (notification.message) lines.push('', String(notification.message));
+  if (notification.action) lines.push('', `ACTION: ${notification.action}`);
+  return lines.join('\n');
+}
+
+function postJson(url, body) {
+  return axios.post(url, body, {
+    headers: { 'Content-Type': 'application/json' },
+    timeout: HTTP_TIMEOUT_MS
+  });
+}
+
+function createLineChannel(env) {
+  return {
+    name: 'line',
+    enabled: !!(envText(env, 'LINE_CHANNEL_ACCESS_TOKEN') && envText(env, 'LINE_USER_ID')),
+    async send(notification) {
+      // 月間上限・種別フラグは lineNotify 側。上限・無効で送らなかった分は再送しない
+      const sent = await sendLineText(buildLineAlertText(notification), { kind: 'alert', rethrow: true });
+      return sent ? 'sent' : 'skipped';
+    }
+  };
+}
+
+function createDiscordChannel(env) {
+  const url = envText(env, 'DISCORD_WEBHOOK_URL');
+  return {
+    name: 'discord',
+    enabled: !!url,
+    async send(notification) {
+      // Discord の content 上限は 2000 文字
+      await postJson(url, { content: formatNotificationText(notification).slice(0, 2000) });
+      return 'sent';
+    }
+  };
+}
+
+function createTelegramChannel(env) {
+  const token = envText(env, 'TELEGRAM_BOT_TOKEN');
+  const chatId = envText(env, 'TELEGRAM_CHAT_ID');
+  return {
+    name: 'telegram',
+    enabled: !!(token && chatId),
+    async send(notification) {
+      await postJson(`https://api.telegram.org/bot${token}/sendMessage`, {
+        chat_id: chatId,
+        text: formatNotificationText(notification),
+        disable_web_page_preview: true
+      });
+      return 'sent';
+    }
+  };
+}
+
+function createSlackChannel(env) {
+  const url = envText(env, 'SLACK_WEBHOOK_URL');
+  return {
+    name: 'slack',
+    enabled: !!url,
+    async send(notification) {
+      await postJson(url, { text: formatNotificationText(notification) });
+      return 'sent';
+    }
+  };
+}
+
+// scripts/ops/send_validation_report_mail.sh と同じく msmtp で送る
+function createEmailChannel(env) {
+  const to = envText(env, 'NOTIFY_EMAIL_TO') ?? envText(env, 'REPORT_EMAIL');
+  const bin = envText(env, 'MSMTP_BIN') ?? '/usr/bin/msmtp';
+  return {
+    name: 'email',
+    enabled: !!to && fs.existsSync(bin),
+    send(notification) {
+      const subject = `[HLB2] ${String(notification.severity).toUpperCase()} ${notification.signal}`;
+      const body = `Subject: ${subject}\n\n${formatNotificationText(notification)}\n`;
+      return new Promise((resolve, reject) => {
+        const child = spawn(bin, [to], { stdio: ['pipe', 'ignore', 'pipe'] });
+        let stderr = '';
+        child.stderr.on('data', (chunk) => { stderr += chunk; });
+        child.on('error', reject);
+        child.on('close', (code) => {
+          if (code === 0) resolve('sent');
+          else reject(new Error(`msmtp exited ${code}: ${stderr.trim().slice(0, 200)}`));
+        });
+        child.stdin.end(body);
+      });
+    }
+  };
+}
+
+// 任意の受け口に通知オブジェクトをそのまま POST
+function createWebhookChannel(env) {
+  const url = envText(env, 'NOTIFY_WEBHOOK_URL');
+  return {
+    name: 'webhook',
+    enabled: !!url,
+    async send(notification) {
+      await postJson(url, { ...notification, text: formatNotificationText(notification) });
+      return 'sent';
+    }
+  };
+}
+
+// ローカル受信箱（NOTIFY_CAPTURE=1。NOTIFY_CAPTURE_PATH があれば jsonl にも追記）
+function createCaptureChannel(env) {
+  const filePath = envText(env, 'NOTIFY_CAPTURE_PATH');
+  return {
+    name: 'capture',
+    enabled: env?.NOTIFY_CAPTURE === '1' || !!filePath,
+    async send(notification) {
+      const entry = { ...notification, capturedAt: clockNow() };
+      captured.push(entry);
+      if (filePath) {
+        const resolved = path.resolve(process.cwd(), filePath);
+        fs.mkdirSync(path.dirname(resolved), { recursive: true });
+        fs.appendFileSync(resolved, `${JSON.stringify(entry)}\n`);
+      }
+      return 'sent';
+    }
+  };
+}
+
+export const CHANNEL_NAMES = ['line', 'discord', 'telegram', 'slack', 'email', 'webhook', 'capture'];
+
+/**
+ * 環境変数から全チャネルのアダプタを作る
+ * @returns {Map<string, { name: string, enabled: boolean, send: Function }>}
+ */
+export function createChannels(env = process.env) {
+  const list = [
+    createLineChannel(env),
+    createDiscordChannel(env),
+    createTelegramChannel(env),
+    createSlackChannel(env),
+    createEmailChannel(env),
+    createWebhookChannel(env),
+    createCaptureChannel(env)
+  ];
+  return new Map(list.map(ch => [ch.name, ch]));
+}
+
+export function getCapturedNotifications() {
+  return captured.slice();
+}
+
+export function clearCapturedNotifications() {
+  captured.length = 0;
+}
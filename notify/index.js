@@ -0,0 +1,305 @@
+// notify/index.js
+// 通知ハブ：シグナル → ルーティング → クールダウン・重複・レート制限 → outbox → チャネル
+// - 入口は notify({ signal, severity, message, action, dedupKey, fields }) のみ
+// - ルーティングは config/notify.json（NOTIFY_CONFIG_PATH で上書き）。routes を先頭から見て最初に一致したものを使う
+// - クールダウン（dedupKey 単位）とチャネル別レート制限の状態、outbox は NOTIFY_STATE_DIR（既定 logs/notify）に保存
+//   （再起動をまたいでも、別プロセスから送っても同じ状態を見る）
+// - severity=critical はレート制限を無視する（クールダウンは効く）
+// - チャネルの送信は outbox 経由で再送される（notify/outbox.js）
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { createChannels, CHANNEL_NAMES } from './channels.js';
+import { createOutbox, DEFAULT_OUTBOX_CONFIG } from './outbox.js';
+import { clockNow, clockSetInterval, clockClearInterval } from '../core/clock.js';
+
+export { formatNotificationText, getCapturedNotifications, clearCapturedNotifications, CHANNEL_NAMES } from './channels.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const ROOT = path.resolve(path.dirname(__filename), '..');
+const DEFAULT_CONFIG_PATH = path.join(ROOT, 'config', 'notify.json');
+const STATE_FILE = 'state.json';
+const COOLDOWN_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+const SEVERITIES = ['info', 'warn', 'critical'];
+
+export const DEFAULT_NOTIFY_CONFIG = {
+  defaultCooldownMs: 30 * 60 * 1000,
+  rateLimit: { windowMs: 60 * 60 * 1000, maxPerChannel: 20 },
+  outbox: { ...DEFAULT_OUTBOX_CONFIG, drainIntervalMs: 15 * 1000 },
+  routes: [{ signals: ['*'], channels: ['*'] }]
+};
+
+export function resolveNotifyStateDir(env = process.env) {
+  const override = env?.NOTIFY_STATE_DIR;
+  if (override && String(override).trim().length > 0) {
+    return path.resolve(process.cwd(), String(override).trim());
+  }
+  return path.resolve(process.cwd(), 'logs/notify');
+}
+
+export function resolveNotifyConfigPath(env = process.env) {
+  const override = env?.NOTIFY_CONFIG_PATH;
+  if (override && String(override).trim().length > 0) {
+    return path.resolve(process.cwd(), String(override).trim());
+  }
+  return DEFAULT_CONFIG_PATH;
+}
+
+function toPositiveNumber(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+function toList(value) {
+  if (value === undefined || value === null) return null;
+  return (Array.isArray(value) ? value : [value]).map(v => String(v));
+}
+
+/**
+ * notify.json を既定値で補完する（壊れた route は捨てる）
+ */
+export function normalizeNotifyConfig(raw) {
+  const src = raw && typeof raw === 'object' ? raw : {};
+  const routes = (Array.isArray(src.routes) ? src.routes : DEFAULT_NOTIFY_CONFIG.routes)
+    .filter(r => r && typeof r === 'object' && Array.isArray(r.channels))
+    .map(r => ({
+      signals: toList(r.signals) ?? ['*'],
+      severities: toList(r.severities),
+      channels: toList(r.channels),
+      cooldownMs: r.cooldownMs === undefined ? null : toPositiveNumber(r.cooldownMs, null)
+    }));
+  return {
+    defaultCooldownMs: toPositiveNumber(src.defaultCooldownMs, DEFAULT_NOTIFY_CONFIG.defaultCooldownMs),
+    rateLimit: {
+      windowMs: toPositiveNumber(src.rateLimit?.windowMs, DEFAULT_NOTIFY_CONFIG.rateLimit.windowMs),
+      maxPerChannel: toPositiveNumber(src.rateLimit?.maxPerChannel, DEFAULT_NOTIFY_CONFIG.rateLimit.maxPerChannel)
+    },
+    outbox: {
+      retryBaseMs: toPositiveNumber(src.outbox?.retryBaseMs, DEFAULT_NOTIFY_CONFIG.outbox.retryBaseMs),
+      retryMaxMs: toPositiveNumber(src.outbox?.retryMaxMs, DEFAULT_NOTIFY_CONFIG.outbox.retryMaxMs),
+      maxAttempts: Math.max(1, Math.floor(toPositiveNumber(src.outbox?.maxAttempts, DEFAULT_NOTIFY_CONFIG.outbox.maxAttempts))),
+      drainIntervalMs: Math.max(1000, toPositiveNumber(src.outbox?.drainIntervalMs, DEFAULT_NOTIFY_CONFIG.outbox.drainIntervalMs))
+    },
+    routes
+  };
+}
+
+// 'ENTRY_RATE_*' のような * だけのワイルドカード
+function matchPattern(pattern, value) {
+  if (pattern === '*') return true;
+  const re = new RegExp(`^${pattern.split('*').map(s => s.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+  return re.test(value);
+}
+
+/**
+ * 通知ハブを作る（通常は getNotificationHub() の既定インスタンスを使う）
+ * @param {{ env?: object, dir?: string, configPath?: string, config?: object, channels?: Map<string, object> }} [options]
+ */
+export function createNotificationHub(options = {}) {
+  const env = options.env ?? process.env;
+  const dir = options.dir ?? resolveNotifyStateDir(env);
+  const configPath = options.configPath ?? resolveNotifyConfigPath(env);
+  const channels = options.channels ?? createChannels(env);
+  const statePath = path.join(dir, STATE_FILE);
+  let config = normalizeNotifyConfig(options.config ?? DEFAULT_NOTIFY_CONFIG);
+  let configMtimeMs = null;
+  const outbox = createOutbox(dir, config.outbox);
+  let state = null;
+  let draining = null;
+  let timer = null;
+
+  // notify.json は mtime が変わったときだけ読み直す
+  function refreshConfig() {
+    if (options.config) return config;
+    try {
+      if (!fs.existsSync(configPath)) return config;
+      const mtimeMs = fs.statSync(configPath).mtimeMs;
+      if (mtimeMs === configMtimeMs) return config;
+      configMtimeMs = mtimeMs;
+      config = normalizeNotifyConfig(JSON.parse(fs.readFileSync(configPath, 'utf8')));
+      outbox.configure(config.outbox);
+    } catch (err) {
+      console.error(`[NOTIFY] failed to load ${configPath}:`, err.message);
+    }
+    return config;
+  }
+
+  function loadState() {
+    if (state) return state;
+    try {
+      const parsed = fs.existsSync(statePath) ? JSON.parse(fs.readFileSync(statePath, 'utf8')) : {};
+      state = { cooldowns: { ...(parsed?.cooldowns ?? {}) }, sent: { ...(parsed?.sent ?? {}) } };
+    } catch (err) {
+      console.error('[NOTIFY] failed to load state:', err.message);
+      state = { cooldowns: {}, sent: {} };
+    }
+    return state;
+  }
+
+  function saveState(nowTs) {
+    const s = loadState();
+    for (const [key, ts] of Object.entries(s.cooldowns)) {
+      if (nowTs - ts > COOLDOWN_RETENTION_MS) delete s.cooldowns[key];
+    }
+    for (const [name, list] of Object.entries(s.sent)) {
+      s.sent[name] = list.filter(ts => nowTs - ts < config.rateLimit.windowMs);
+    }
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(statePath, JSON.stringify(s, null, 2));
+    } catch (err) {
+      console.error('[NOTIFY] failed to save state:', err.message);
+    }
+  }
+
+  function findRoute(signal, severity) {
+    return refreshConfig().routes.find(r =>
+      r.signals.some(p => matchPattern(p, signal)) &&
+      (!r.severities || r.severities.includes(severity))
+    ) ?? null;
+  }
+
+  /**
+   * シグナルの配信先（有効なチャネルのみ）
+   * @returns {string[]}
+   */
+  function resolveChannels(signal, severity = 'warn') {
+    const route = findRoute(String(signal).toUpperCase(), severity);
+    if (!route) return [];
+    const names = route.channels.includes('*') ? CHANNEL_NAMES : route.channels;
+    return names.filter(name => channels.get(name)?.enabled);
+  }
+
+  async function drainOnce() {
+    const result = { sent: 0, skipped: 0, failed: 0, dead: 0 };
+    for (const entry of outbox.due(clockNow())) {
+      const channel = channels.get(entry.channel);
+      if (!channel?.enabled) {
+        console.warn(`[NOTIFY] drop ${entry.id}: channel ${entry.channel} is not configured`);
+        outbox.complete(entry.id);
+        result.skipped += 1;
+        continue;
+      }
+      try {
+        const status = await channel.send(entry.notification);
+        outbox.complete(entry.id);
+        if (status === 'skipped') result.skipped += 1;
+        else result.sent += 1;
+      } catch (err) {
+        const dead = outbox.fail(entry.id, err, clockNow());
+        const detail = err?.response?.data ? JSON.stringify(err.response.data) : (err?.message || String(err));
+        console.warn(`[NOTIFY] ${entry.channel} failed signal=${entry.notification.signal} attempt=${entry.attempts}${dead ? ' (dead letter)' : ''}: ${detail}`);
+        if (dead) result.dead += 1;
+        else result.failed += 1;
+      }
+    }
+    return result;
+  }
+
+  // 期限の来た outbox エントリを送る（同時に 1 本だけ）
+  function drain() {
+    if (!draining) {
+      draining = drainOnce().finally(() => { draining = null; });
+    }
+    return draining;
+  }
+
+  /**
+   * 通知を受け付ける
+   * @param {{ signal: string, severity?: 'info'|'warn'|'critical', message?: string, action?: string, dedupKey?: string, cooldownMs?: number, fields?: object }} input
+   * @returns {Promise<{ status: 'queued'|'suppressed'|'no_channel', id: string|null, channels: string[], reason?: string }>}
+   */
+  async function notify(input) {
+    const signal = String(input?.signal ?? '').trim().toUpperCase();
+    if (!signal) throw new Error('notify: signal is required');
+    const severity = SEVERITIES.includes(input?.severity) ? input.severity : 'warn';
+    const nowTs = clockNow();
+    const route = findRoute(signal, severity);
+    const targets = route ? resolveChannels(signal, severity) : [];
+    if (targets.length === 0) return { status: 'no_channel', id: null, channels: [] };
+
+    const s = loadState();
+    const dedupKey = String(input?.dedupKey ?? signal);
+    const cooldownMs = toPositiveNumber(input?.cooldownMs, route.cooldownMs ?? config.defaultCooldownMs);
+    const lastAt = Number(s.cooldowns[dedupKey] ?? 0);
+    if (lastAt && nowTs - lastAt < cooldownMs) {
+      return { status: 'suppressed', id: null, channels: [], reason: 'cooldown' };
+    }
+
+    const notification = {
+      id: crypto.randomUUID(),
+      signal,
+      severity,
+      message: input?.message ?? null,
+      action: input?.action ?? null,
+      fields: input?.fields ?? null,
+      dedupKey,
+      ts: nowTs
+    };
+    const pending = outbox.list();
+    const queued = [];
+    for (const name of targets) {
+      // 同じ dedupKey がまだ再送待ちならそのチャネルには積まない
+      if (pending.some(e => e.channel === name && e.notification?.dedupKey === dedupKey)) continue;
+      const recent = (s.sent[name] ?? []).filter(ts => nowTs - ts < config.rateLimit.windowMs);
+      if (severity !== 'critical' && recent.length >= config.rateLimit.maxPerChannel) {
+        console.warn(`[NOTIFY] rate limit ${name}: drop signal=${signal} (${recent.length}/${config.rateLimit.maxPerChannel})`);
+        continue;
+      }
+      s.sent[name] = [...recent, nowTs];
+      outbox.enqueue(name, notification, nowTs);
+      queued.push(name);
+    }
+    if (queued.length === 0) return { status: 'suppressed', id: notification.id, channels: [], reason: 'dedup_or_rate_limit' };
+    s.cooldowns[dedupKey] = nowTs;
+    saveState(nowTs);
+    console.log(`[NOTIFY] queued signal=${signal} severity=${severity} channels=${queued.join(',')}`);
+    await drain();
+    return { status: 'queued', id: notification.id, channels: queued };
+  }
+
+  // 定期再送を開始（起動時に前回の残りも送る）
+  function start() {
+    if (timer) return;
+    timer = clockSetInterval(() => {
+      drain().catch(err => console.error('[NOTIFY] drain failed', err));
+    }, refreshConfig().outbox.drainIntervalMs);
+    if (timer?.unref) timer.unref();
+    drain().catch(err => console.error('[NOTIFY] drain failed', err));
+  }
+
+  function stop() {
+    if (timer) clockClearInterval(timer);
+    timer = null;
+  }
+
+  function getStatus() {
+    return {
+      channels: CHANNEL_NAMES.map(name => ({ name, enabled: !!channels.get(name)?.enabled })),
+      outbox: outbox.list(),
+      paths: { config: configPath, state: statePath, ...outbox.paths }
+    };
+  }
+
+  return { notify, drain, start, stop, resolveChannels, getStatus };
+}
+
+let defaultHub = null;
+
+export function getNotificationHub() {
+  if (!defaultHub) defaultHub = createNotificationHub();
+  return defaultHub;
+}
+
+export function notify(input) {
+  return getNotificationHub().notify(input);
+}
+
+export function resolveNotificationChannels(signal, severity) {
+  return getNotificationHub().resolveChannels(signal, severity);
+}
+
+export function startNotificationHub() {
+  getNotificationHub().start();
+}
@@ -0,0 +1,105 @@
+// notify/outbox.js
+// 配信待ちの永続キュー（チャネル 1 件 = 1 エントリ）
+// - 送信前に outbox.json へ書いてから送る。失敗したら指数バックオフで再送、上限回数で dead.jsonl へ移す
+// - プロセスが落ちても次の起動で残りを送り直す
+import fs from 'fs';
+import path from 'path';
+
+const OUTBOX_FILE = 'outbox.json';
+const DEAD_FILE = 'dead.jsonl';
+
+export const DEFAULT_OUTBOX_CONFIG = {
+  retryBaseMs: 30 * 1000,
+  retryMaxMs: 30 * 60 * 1000,
+  maxAttempts: 8
+};
+
+/**
+ * @param {string} dir - 保存先ディレクトリ
+ * @param {{ retryBaseMs?: number, retryMaxMs?: number, maxAttempts?: number }} [config]
+ */
+export function createOutbox(dir, config = {}) {
+  const outboxPath = path.join(dir, OUTBOX_FILE);
+  const deadPath = path.join(dir, DEAD_FILE);
+  let cfg = { ...DEFAULT_OUTBOX_CONFIG, ...config };
+  let entries = null;
+
+  function load() {
+    if (entries) return entries;
+    try {
+      const parsed = fs.existsSync(outboxPath) ? JSON.parse(fs.readFileSync(outboxPath, 'utf8')) : [];
+      entries = Array.isArray(parsed) ? parsed : [];
+    } catch (err) {
+      console.error('[NOTIFY] failed to load outbox:', err.message);
+      entries = [];
+    }
+    return entries;
+  }
+
+  function save() {
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      const tmpPath = `${outboxPath}.tmp-${process.pid}`;
+      fs.writeFileSync(tmpPath, JSON.stringify(load(), null, 2));
+      fs.renameSync(tmpPath, outboxPath);
+    } catch (err) {
+      console.error('[NOTIFY] failed to save outbox:', err.message);
+    }
+  }
+
+  function enqueue(channel, notification, nowTs) {
+    const entry = {
+      id: `${notification.id}:${channel}`,
+      channel,
+      notification,
+      attempts: 0,
+      createdAt: nowTs,
+      nextAttemptAt: nowTs,
+      lastError: null
+    };
+    load().push(entry);
+    save();
+    return entry;
+  }
+
+  function due(nowTs) {
+    return load().filter(e => e.nextAttemptAt <= nowTs);
+  }
+
+  function complete(id) {
+    entries = load().filter(e => e.id !== id);
+    save();
+  }
+
+  // 失敗を記録。上限に達したら dead.jsonl へ移して true を返す
+  function fail(id, err, nowTs) {
+    const entry = load().find(e => e.id === id);
+    if (!entry) return false;
+    entry.attempts += 1;
+    entry.lastError = String(err?.message || err).slice(0, 300);
+    if (entry.attempts >= cfg.maxAttempts) {
+      entries = load().filter(e => e.id !== id);
+      try {
+        fs.mkdirSync(dir, { recursive: true });
+        fs.appendFileSync(deadPath, `${JSON.stringify({ ...entry, deadAt: nowTs })}\n`);
+      } catch (writeErr) {
+        console.error('[NOTIFY] failed to write dead letter:', writeErr.message);
+      }
+      save();
+      return true;
+    }
+    entry.nextAttemptAt = nowTs + Math.min(cfg.retryMaxMs, cfg.retryBaseMs * 2 ** (entry.attempts - 1));
+    save();
+    return false;
+  }
+
+  return {
+    enqueue,
+    due,
+    complete,
+    fail,
+    list: () => load().slice(),
+    configure: (next) => { cfg = { ...DEFAULT_OUTBOX_CONFIG, ...next }; },
+    paths: { outbox: outboxPath, dead: deadPath }
+  };
+}
@@ -1,6 +1,7 @@
 #!/usr/bin/env node
 import fs from 'fs';
 import path from 'path';
+import { writeTradeConfig } from '../config/tradeHistory.js';
 
 function toNumber(v, fallback = null) {
   const n = Number(v);
@@ -112,7 +113,7 @@ function applyRecommendation(cwd, recommendation) {
   next.lossTimeout.hardRatio = recommendation.hardRatio;
   const backup = `${tradePath}.bak.${Date.now()}`;
   fs.copyFileSync(tradePath, backup);
-  fs.writeFileSync(tradePath, `${JSON.stringify(next, null, 2)}\n`, 'utf8');
+  writeTradeConfig(next, { author: 'auto_tune', note: 'counterfactual_replay recommendation', filePath: tradePath });
   return backup;
 }
 
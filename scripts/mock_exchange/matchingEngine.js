@@ -0,0 +1,558 @@
+// Mock HL 取引所：約定エンジン
+// - 板は replay された l2Book スナップショットをそのまま使う（自分の注文は板に載せない）
+// - 成行側（IOC / 交差した GTC）は反対板をレベル順に食う。1 スナップショット内で食った量は次の板更新まで戻らない
+// - 板上の自分の注文（GTC / ALO）は板更新で反対側が指値を越えたら maker として指値で約定
+// - trigger 注文は mid が triggerPx を越えたら発動し、isMarket なら IOC、そうでなければ GTC として処理
+// - 結果は /exchange 応答の statuses と、WS 向けの orderUpdates / userFills で返す
+
+const TAKER_FEE_RATE = 0.00045;
+const MAKER_FEE_RATE = 0.00015;
+const SIZE_EPS = 1e-12;
+
+function toNum(v) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function toWire(n) {
+  return String(Number(n.toPrecision(12)));
+}
+
+/**
+ * 再現性のための簡易 PRNG（mulberry32）
+ */
+function createRng(seed) {
+  let a = (Number(seed) >>> 0) || 1;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function normalizeLevels(levels) {
+  if (!Array.isArray(levels)) return [];
+  return levels
+    .map(l => ({ px: toNum(l?.px), sz: toNum(l?.sz) }))
+    .filter(l => l.px !== null && l.sz !== null && l.px > 0 && l.sz > 0);
+}
+
+/**
+ * @param {{
+ *   meta: { universe: Array<{ name: string, szDecimals: number }> },
+ *   user?: string,
+ *   equity?: number,
+ *   liquidityRatio?: number,
+ *   rejectRate?: number,
+ *   seed?: number,
+ *   now?: () => number,
+ *   onOrderUpdates?: (updates: any[]) => void,
+ *   onUserFills?: (fills: any[]) => void,
+ * }} opts
+ */
+export function createMatchingEngine(opts) {
+  const universe = Array.isArray(opts?.meta?.universe) ? opts.meta.universe : [];
+  const user = String(opts?.user ?? '0x0000000000000000000000000000000000000000').toLowerCase();
+  const startEquity = toNum(opts?.equity) ?? 10000;
+  const liquidityRatio = Math.min(1, Math.max(0, toNum(opts?.liquidityRatio) ?? 1));
+  const rejectRate = Math.min(1, Math.max(0, toNum(opts?.rejectRate) ?? 0));
+  const rng = createRng(opts?.seed ?? 1);
+  const now = typeof opts?.now === 'function' ? opts.now : () => Date.now();
+  const onOrderUpdates = typeof opts?.onOrderUpdates === 'function' ? opts.onOrderUpdates : () => {};
+  const onUserFills = typeof opts?.onUserFills === 'function' ? opts.onUserFills : () => {};
+
+  const books = new Map();      // coin → { bids, asks, time, consumed: Map<'b'|'a':px, sz> }
+  const orders = new Map();     // oid → 自分の未約定注文
+  const positions = new Map();  // coin → { szi, entryPx }
+  const fillHistory = [];
+  let nextOid = 1000;
+  let nextTid = 1;
+  let realizedPnl = 0;
+  let feesPaid = 0;
+
+  function coinOf(asset) {
+    const entry = universe[Number(asset)];
+    return entry && !entry.isDelisted ? entry.name : null;
+  }
+
+  function midOf(coin) {
+    const book = books.get(coin);
+    const bid = book?.bids[0]?.px;
+    const ask = book?.asks[0]?.px;
+    if (!bid || !ask) return null;
+    return (bid + ask) / 2;
+  }
+
+  function positionOf(coin) {
+    return positions.get(coin) ?? { szi: 0, entryPx: 0 };
+  }
+
+  function available(book, sideKey, level) {
+    const used = book.consumed.get(`${sideKey}:${level.px}`) ?? 0;
+    return Math.max(0, level.sz * liquidityRatio - used);
+  }
+
+  function consume(book, sideKey, px, sz) {
+    const key = `${sideKey}:${px}`;
+    book.consumed.set(key, (book.consumed.get(key) ?? 0) + sz);
+  }
+
+  /**
+   * 反対板を指値まで食う
+   * @returns {Array<{ px: number, sz: number }>}
+   */
+  function takeLiquidity(coin, isBuy, limitPx, size) {
+    const book = books.get(coin);
+    if (!book) return [];
+    const sideKey = isBuy ? 'a' : 'b';
+    const levels = isBuy ? book.asks : book.bids;
+    const fills = [];
+    let remaining = size;
+    for (const level of levels) {
+      if (remaining <= SIZE_EPS) break;
+      if (isBuy ? level.px > limitPx : level.px < limitPx) break;
+      const sz = Math.min(remaining, available(book, sideKey, level));
+      if (sz <= SIZE_EPS) continue;
+      consume(book, sideKey, level.px, sz);
+      fills.push({ px: level.px, sz });
+      remaining -= sz;
+    }
+    return fills;
+  }
+
+  function crossesBook(coin, isBuy, limitPx) {
+    const book = books.get(coin);
+    if (!book) return false;
+    return isBuy
+      ? book.asks.length > 0 && book.asks[0].px <= limitPx
+      : book.bids.length > 0 && book.bids[0].px >= limitPx;
+  }
+
+  /**
+   * reduce-only の上限（建玉を減らす方向の数量）
+   */
+  function reducibleSize(coin, isBuy) {
+    const { szi } = positionOf(coin);
+    if (isBuy && szi < 0) return -szi;
+    if (!isBuy && szi > 0) return szi;
+    return 0;
+  }
+
+  function applyPosition(coin, isBuy, px, sz) {
+    const pos = { ...positionOf(coin) };
+    const signed = isBuy ? sz : -sz;
+    let closedPnl = 0;
+    if (pos.szi === 0 || Math.sign(pos.szi) === Math.sign(signed)) {
+      const total = Math.abs(pos.szi) + sz;
+      pos.entryPx = (pos.entryPx * Math.abs(pos.szi) + px * sz) / total;
+      pos.szi += signed;
+    } else {
+      const closing = Math.min(Math.abs(pos.szi), sz);
+      closedPnl = (px - pos.entryPx) * closing * Math.sign(pos.szi);
+      pos.szi += signed;
+      if (Math.abs(pos.szi) <= SIZE_EPS) {
+        pos.szi = 0;
+        pos.entryPx = 0;
+      } else if (Math.sign(pos.szi) === Math.sign(signed)) {
+        // ドテン：残りは今回の約定価格で建て直し
+        pos.entryPx = px;
+      }
+    }
+    positions.set(coin, pos);
+    return closedPnl;
+  }
+
+  function toOrderUpdate(order, status) {
+    return {
+      order: {
+        coin: order.coin,
+        side: order.isBuy ? 'B' : 'A',
+        limitPx: toWire(order.limitPx),
+        sz: toWire(Math.max(0, order.remaining)),
+        oid: order.oid,
+        timestamp: order.timestamp,
+        origSz: toWire(order.origSz),
+        ...(order.cloid ? { cloid: order.cloid } : {}),
+      },
+      status,
+      statusTimestamp: now(),
+    };
+  }
+
+  function recordFills(order, fills, crossed) {
+    const time = now();
+    const out = [];
+    for (const f of fills) {
+      const startPosition = positionOf(order.coin).szi;
+      const closedPnl = applyPosition(order.coin, order.isBuy, f.px, f.sz);
+      const fee = f.px * f.sz * (crossed ? TAKER_FEE_RATE : MAKER_FEE_RATE);
+      realizedPnl += closedPnl;
+      feesPaid += fee;
+      order.remaining -= f.sz;
+      out.push({
+        coin: order.coin,
+        px: toWire(f.px),
+        sz: toWire(f.sz),
+        side: order.isBuy ? 'B' : 'A',
+        time,
+        startPosition: toWire(startPosition),
+        dir: order.isBuy ? (startPosition < 0 ? 'Close Short' : 'Open Long') : (startPosition > 0 ? 'Close Long' : 'Open Short'),
+        closedPnl: toWire(closedPnl),
+        hash: `0xmock${String(nextTid).padStart(10, '0')}`,
+        oid: order.oid,
+        crossed,
+        fee: toWire(fee),
+        tid: nextTid++,
+        feeToken: 'USDC',
+        ...(order.cloid ? { cloid: order.cloid } : {}),
+      });
+    }
+    if (out.length > 0) {
+      fillHistory.push(...out);
+      onUserFills(out);
+    }
+    return out;
+  }
+
+  function avgPxOf(fills) {
+    const sz = fills.reduce((acc, f) => acc + f.sz, 0);
+    return sz > 0 ? fills.reduce((acc, f) => acc + f.px * f.sz, 0) / sz : 0;
+  }
+
+  function findOrder(ref) {
+    if (typeof ref === 'string' && ref.startsWith('0x')) {
+      for (const o of orders.values()) if (o.cloid === ref) return o;
+      return null;
+    }
+    return orders.get(Number(ref)) ?? null;
+  }
+
+  /**
+   * 取引所の短縮キー（a/b/p/s/r/t/c、内蔵署名の送信形式）を可読キーに揃える
+   */
+  function normalizeWireKeys(wire) {
+    if (!wire || !('a' in wire)) return wire;
+    return { asset: wire.a, isBuy: wire.b, limitPx: wire.p, sz: wire.s, reduceOnly: wire.r, orderType: wire.t, cloid: wire.c };
+  }
+
+  /**
+   * ワイヤ形式の 1 注文を検証して内部注文に変換（エラー時は { error }）
+   */
+  function parseWireOrder(rawWire, grouping) {
+    const wire = normalizeWireKeys(rawWire);
+    const coin = coinOf(wire?.asset);
+    if (!coin) return { error: `Invalid asset: ${wire?.asset}` };
+    const limitPx = toNum(wire?.limitPx);
+    const sz = toNum(wire?.sz);
+    if (limitPx === null || limitPx <= 0) return { error: 'Order has invalid price.' };
+    if (sz === null || sz <= 0) return { error: 'Order has invalid size.' };
+    const trigger = wire?.orderType?.trigger ?? null;
+    const tif = wire?.orderType?.limit?.tif ?? null;
+    if (!trigger && !['Gtc', 'Ioc', 'Alo'].includes(tif)) return { error: `Invalid order type: ${JSON.stringify(wire?.orderType)}` };
+    if (trigger && !(toNum(trigger.triggerPx) > 0)) return { error: 'Invalid trigger price.' };
+    return {
+      order: {
+        oid: null,
+        coin,
+        isBuy: wire.isBuy === true,
+        limitPx,
+        origSz: sz,
+        remaining: sz,
+        reduceOnly: wire.reduceOnly === true,
+        tif,
+        trigger: trigger
+          ? { triggerPx: Number(trigger.triggerPx), tpsl: trigger.tpsl === 'tp' ? 'tp' : 'sl', isMarket: trigger.isMarket !== false }
+          : null,
+        grouping,
+        cloid: typeof wire?.cloid === 'string' ? wire.cloid : null,
+        timestamp: now(),
+      },
+    };
+  }
+
+  /**
+   * 発注 1 件（trigger 発動後の再投入にも使う）
+   * @returns {any} /exchange 応答の status 1 件
+   */
+  function executeOrder(order, { announce = true } = {}) {
+    // announce=false は trigger 発動後の再投入（/exchange 応答が無いので拒否も orderUpdates で通知）
+    if (order.reduceOnly) {
+      const cap = reducibleSize(order.coin, order.isBuy);
+      if (cap <= SIZE_EPS) {
+        if (!announce) onOrderUpdates([toOrderUpdate(order, 'reduceOnlyCanceled')]);
+        return { error: 'Reduce only order would increase position.' };
+      }
+      order.remaining = Math.min(order.remaining, cap);
+    }
+    const tif = order.tif ?? 'Gtc';
+    if (tif === 'Alo' && crossesBook(order.coin, order.isBuy, order.limitPx)) {
+      const book = books.get(order.coin);
+      return { error: `Post only order would have immediately matched, bbo was ${book.bids[0]?.px}@${book.asks[0]?.px}. asset=${universe.findIndex(u => u.name === order.coin)}` };
+    }
+    const fills = tif === 'Alo' ? [] : takeLiquidity(order.coin, order.isBuy, order.limitPx, order.remaining);
+    const filledSz = fills.reduce((acc, f) => acc + f.sz, 0);
+    if (tif === 'Ioc' && filledSz <= SIZE_EPS) {
+      if (!announce) onOrderUpdates([toOrderUpdate(order, 'canceled')]);
+      return { error: 'Order could not immediately match against any resting orders.' };
+    }
+    if (order.oid === null) order.oid = nextOid++;
+    recordFills(order, fills, true);
+    if (order.remaining <= SIZE_EPS) {
+      onOrderUpdates([toOrderUpdate(order, 'filled')]);
+      return { filled: { totalSz: toWire(filledSz), avgPx: toWire(avgPxOf(fills)), oid: order.oid } };
+    }
+    if (tif === 'Ioc') {
+      // IOC の残量は取り消し、約定分だけ filled で返す
+      onOrderUpdates([toOrderUpdate(order, 'canceled')]);
+      return { filled: { totalSz: toWire(filledSz), avgPx: toWire(avgPxOf(fills)), oid: order.oid } };
+    }
+    orders.set(order.oid, order);
+    onOrderUpdates([toOrderUpdate(order, 'open')]);
+    return { resting: { oid: order.oid, ...(order.cloid ? { cloid: order.cloid } : {}) } };
+  }
+
+  function placeOrders(wireOrders, grouping = 'na') {
+    return (Array.isArray(wireOrders) ? wireOrders : []).map((wire) => {
+      const parsed = parseWireOrder(wire, grouping);
+      if (parsed.error) return { error: parsed.error };
+      const order = parsed.order;
+      if (order.cloid && findOrder(order.cloid)) return { error: 'Duplicate cloid.' };
+      if (rejectRate > 0 && rng() < rejectRate) {
+        return { error: `Insufficient margin to place order. asset=${wire.asset ?? wire.a}` };
+      }
+      if (order.trigger) {
+        order.oid = nextOid++;
+        orders.set(order.oid, order);
+        onOrderUpdates([toOrderUpdate(order, 'open')]);
+        return 'waitingForTrigger';
+      }
+      return executeOrder(order);
+    });
+  }
+
+  function cancelOrder(order, status = 'canceled') {
+    orders.delete(order.oid);
+    onOrderUpdates([toOrderUpdate(order, status)]);
+  }
+
+  function cancelByOid(cancels) {
+    return (Array.isArray(cancels) ? cancels : []).map((c) => {
+      const order = orders.get(Number(c?.oid ?? c?.o));
+      if (!order || order.coin !== coinOf(c?.asset ?? c?.a)) {
+        return { error: 'Order was never placed, already canceled, or filled.' };
+      }
+      cancelOrder(order);
+      return 'success';
+    });
+  }
+
+  function cancelByCloid(cancels) {
+    return (Array.isArray(cancels) ? cancels : []).map((c) => {
+      const order = findOrder(String(c?.cloid ?? ''));
+      if (!order || order.coin !== coinOf(c?.asset)) {
+        return { error: 'Order was never placed, already canceled, or filled.' };
+      }
+      cancelOrder(order);
+      return 'success';
+    });
+  }
+
+  /**
+   * modify は取り消し＋新規（oid は振り直し、cloid は引き継ぐ）
+   */
+  function modifyOrders(modifies) {
+    return (Array.isArray(modifies) ? modifies : []).map((m) => {
+      const current = findOrder(m?.oid);
+      if (!current) return { error: 'Cannot modify canceled or filled order' };
+      const parsed = parseWireOrder(m?.order, current.grouping);
+      if (parsed.error) return { error: parsed.error };
+      orders.delete(current.oid);
+      onOrderUpdates([toOrderUpdate(current, 'canceled')]);
+      const next = parsed.order;
+      if (!next.cloid) next.cloid = current.cloid;
+      if (next.trigger) {
+        next.oid = nextOid++;
+        orders.set(next.oid, next);
+        onOrderUpdates([toOrderUpdate(next, 'open')]);
+        return { resting: { oid: next.oid } };
+      }
+      return executeOrder(next);
+    });
+  }
+
+  /**
+   * 板更新時の自分の注文の処理（trigger 発動・maker 約定）
+   */
+  function sweepOrders(coin) {
+    const book = books.get(coin);
+    const mid = midOf(coin);
+    for (const order of Array.from(orders.values())) {
+      if (order.coin !== coin) continue;
+      if (order.trigger) {
+        if (mid === null) continue;
+        const { triggerPx, tpsl } = order.trigger;
+        const hit = tpsl === 'sl'
+          ? (order.isBuy ? mid >= triggerPx : mid <= triggerPx)
+          : (order.isBuy ? mid <= triggerPx : mid >= triggerPx);
+        if (!hit) continue;
+        orders.delete(order.oid);
+        onOrderUpdates([toOrderUpdate(order, 'triggered')]);
+        executeOrder({ ...order, trigger: null, tif: order.trigger.isMarket ? 'Ioc' : 'Gtc' }, { announce: false });
+        continue;
+      }
+      if (!crossesBook(coin, order.isBuy, order.limitPx)) continue;
+      if (order.reduceOnly && reducibleSize(coin, order.isBuy) <= SIZE_EPS) {
+        cancelOrder(order, 'reduceOnlyCanceled');
+        continue;
+      }
+      // 越えてきた反対板の量を上限に自分の指値で約定
+      const sideKey = order.isBuy ? 'a' : 'b';
+      const levels = order.isBuy ? book.asks : book.bids;
+      const fills = [];
+      let remaining = order.reduceOnly ? Math.min(order.remaining, reducibleSize(coin, order.isBuy)) : order.remaining;
+      for (const level of levels) {
+        if (remaining <= SIZE_EPS) break;
+        if (order.isBuy ? level.px > order.limitPx : level.px < order.limitPx) break;
+        const sz = Math.min(remaining, available(book, sideKey, level));
+        if (sz <= SIZE_EPS) continue;
+        consume(book, sideKey, level.px, sz);
+        fills.push({ px: order.limitPx, sz });
+        remaining -= sz;
+      }
+      recordFills(order, fills, false);
+      if (order.remaining <= SIZE_EPS) {
+        orders.delete(order.oid);
+        onOrderUpdates([toOrderUpdate(order, 'filled')]);
+      }
+    }
+  }
+
+  /**
+   * replay された l2Book を反映
+   * @param {{ coin: string, time?: number, levels: [any[], any[]] }} data
+   */
+  function applyBook(data) {
+    const coin = data?.coin;
+    if (typeof coin !== 'string' || !Array.isArray(data?.levels)) return;
+    books.set(coin, {
+      bids: normalizeLevels(data.levels[0]),
+      asks: normalizeLevels(data.levels[1]),
+      time: toNum(data.time) ?? now(),
+      consumed: new Map(),
+    });
+    sweepOrders(coin);
+  }
+
+  /**
+   * /exchange の action を処理して HL 形式の応答を返す
+   */
+  function handleAction(action) {
+    const type = action?.type;
+    if (type === 'order') {
+      return { status: 'ok', response: { type: 'order', data: { statuses: placeOrders(action.orders, action.grouping) } } };
+    }
+    if (type === 'cancel') {
+      return { status: 'ok', response: { type: 'cancel', data: { statuses: cancelByOid(action.cancels) } } };
+    }
+    if (type === 'cancelByCloid') {
+      return { status: 'ok', response: { type: 'cancel', data: { statuses: cancelByCloid(action.cancels) } } };
+    }
+    if (type === 'modify') {
+      const [status] = modifyOrders([{ oid: action.oid, order: action.order }]);
+      if (status && typeof status === 'object' && status.error) return { status: 'err', response: status.error };
+      return { status: 'ok', response: { type: 'default' } };
+    }
+    if (type === 'batchModify') {
+      return { status: 'ok', response: { type: 'order', data: { statuses: modifyOrders(action.modifies) } } };
+    }
+    return { status: 'err', response: `Unsupported action type: ${type}` };
+  }
+
+  function openOrdersView() {
+    return Array.from(orders.values()).map(o => toOrderUpdate(o, 'open').order);
+  }
+
+  function clearinghouseState() {
+    let unrealized = 0;
+    let notional = 0;
+    const assetPositions = [];
+    for (const [coin, pos] of positions) {
+      if (pos.szi === 0) continue;
+      const mark = midOf(coin) ?? pos.entryPx;
+      const upnl = (mark - pos.entryPx) * pos.szi;
+      const positionValue = Math.abs(pos.szi) * mark;
+      unrealized += upnl;
+      notional += positionValue;
+      assetPositions.push({
+        type: 'oneWay',
+        position: {
+          coin,
+          szi: toWire(pos.szi),
+          entryPx: toWire(pos.entryPx),
+          positionValue: toWire(positionValue),
+          unrealizedPnl: toWire(upnl),
+          leverage: { type: 'cross', value: 10 },
+          liquidationPx: null,
+          marginUsed: toWire(positionValue / 10),
+        },
+      });
+    }
+    const accountValue = startEquity + realizedPnl - feesPaid + unrealized;
+    return {
+      assetPositions,
+      marginSummary: {
+        accountValue: toWire(accountValue),
+        totalNtlPos: toWire(notional),
+        totalRawUsd: toWire(accountValue - unrealized),
+        totalMarginUsed: toWire(notional / 10),
+      },
+      withdrawable: toWire(Math.max(0, accountValue - notional / 10)),
+      time: now(),
+    };
+  }
+
+  /**
+   * /info の type ごとの応答（未対応は null）
+   */
+  function handleInfo(body) {
+    switch (body?.type) {
+      case 'meta':
+        return { universe };
+      case 'clearinghouseState':
+        return clearinghouseState();
+      case 'openOrders':
+      case 'frontendOpenOrders':
+        return openOrdersView();
+      case 'userFills':
+        return fillHistory.slice(-2000).reverse();
+      case 'allMids': {
+        const mids = {};
+        for (const coin of books.keys()) {
+          const mid = midOf(coin);
+          if (mid !== null) mids[coin] = toWire(mid);
+        }
+        return mids;
+      }
+      case 'l2Book': {
+        const book = books.get(body.coin);
+        if (!book) return null;
+        const toLevels = ls => ls.map(l => ({ px: toWire(l.px), sz: toWire(l.sz), n: 1 }));
+        return { coin: body.coin, time: book.time, levels: [toLevels(book.bids), toLevels(book.asks)] };
+      }
+      default:
+        return null;
+    }
+  }
+
+  return {
+    user,
+    applyBook,
+    handleAction,
+    handleInfo,
+    getFills: () => fillHistory.slice(),
+    getOpenOrders: openOrdersView,
+    getPosition: coin => ({ ...positionOf(coin) }),
+  };
+}
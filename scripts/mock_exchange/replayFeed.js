@@ -0,0 +1,111 @@
+// Mock HL 取引所：raw-*.jsonl の板 / 約定を時系列で再生する
+// - 行は ws/utils/logger.js の raw ログ形式（{ ts, channel: 'orderbook', data: { channel: 'l2Book', data } }）
+//   または生の HL メッセージ（{ channel: 'l2Book', data }）。ws/sharedFeedTail.js と同じ取り出し方
+// - 記録時刻の間隔を speed で縮めて再生（speed <= 0 は待ち無し）。loop で先頭に戻る
+
+import fs from 'fs';
+import zlib from 'zlib';
+
+const REPLAY_CHANNELS = new Set(['l2Book', 'trades', 'activeAssetCtx']);
+
+function toMessage(payload) {
+  if (!payload || typeof payload !== 'object') return null;
+  if (payload.data && typeof payload.data === 'object' && payload.data.channel) return payload.data;
+  if (payload.channel) return payload;
+  return null;
+}
+
+function messageTs(payload, message) {
+  const ts = Number(payload?.ts ?? message?.data?.time ?? message?.data?.[0]?.time);
+  return Number.isFinite(ts) ? ts : null;
+}
+
+/**
+ * @param {string[]} files raw-*.jsonl(.gz)
+ * @returns {Array<{ ts: number, message: { channel: string, data: any } }>}
+ */
+export function loadReplayMessages(files) {
+  const out = [];
+  for (const file of files) {
+    const buf = fs.readFileSync(file);
+    const text = file.endsWith('.gz') ? zlib.gunzipSync(buf).toString('utf8') : buf.toString('utf8');
+    for (const line of text.split('\n')) {
+      const trimmed = line.trim();
+      if (!trimmed) continue;
+      let payload;
+      try {
+        payload = JSON.parse(trimmed);
+      } catch (_) {
+        continue;
+      }
+      const message = toMessage(payload);
+      if (!message || !REPLAY_CHANNELS.has(message.channel)) continue;
+      const ts = messageTs(payload, message);
+      if (ts === null) continue;
+      out.push({ ts, message });
+    }
+  }
+  // 複数ファイルの結合順に依存しないよう記録時刻で並べ直す（同時刻は読み込み順）
+  return out
+    .map((e, i) => ({ ...e, i }))
+    .sort((a, b) => a.ts - b.ts || a.i - b.i)
+    .map(({ i, ...e }) => e);
+}
+
+/**
+ * @param {{
+ *   messages: Array<{ ts: number, message: any }>,
+ *   speed?: number,
+ *   loop?: boolean,
+ *   onMessage: (message: any, ts: number) => void,
+ *   onEnd?: () => void,
+ * }} opts
+ */
+export function createReplayFeed(opts) {
+  const messages = opts.messages;
+  const speed = Number.isFinite(Number(opts.speed)) ? Number(opts.speed) : 1;
+  const loop = opts.loop === true;
+  const onEnd = typeof opts.onEnd === 'function' ? opts.onEnd : () => {};
+  let index = 0;
+  let timer = null;
+  let stopped = true;
+
+  function scheduleNext() {
+    if (stopped) return;
+    if (index >= messages.length) {
+      if (!loop || messages.length === 0) {
+        stopped = true;
+        onEnd();
+        return;
+      }
+      index = 0;
+    }
+    const prev = index > 0 ? messages[index - 1].ts : messages[index].ts;
+    const gap = Math.max(0, messages[index].ts - prev);
+    const waitMs = speed > 0 ? Math.min(gap / speed, 60_000) : 0;
+    timer = setTimeout(() => {
+      timer = null;
+      if (stopped) return;
+      const { ts, message } = messages[index];
+      index += 1;
+      opts.onMessage(message, ts);
+      scheduleNext();
+    }, waitMs);
+  }
+
+  return {
+    start() {
+      if (!stopped) return;
+      stopped = false;
+      scheduleNext();
+    },
+    stop() {
+      stopped = true;
+      if (timer) clearTimeout(timer);
+      timer = null;
+    },
+    getProgress() {
+      return { index, total: messages.length, done: stopped && index >= messages.length };
+    },
+  };
+}
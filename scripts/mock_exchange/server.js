@@ -0,0 +1,224 @@
+// Mock HL 取引所：HTTP（/exchange・/info・/sign）と WS（/ws）
+// - executor は HL_API_URL / SIGNER_ADAPTER_URL、ws/index.js は WS_URL をこのサーバに向ける
+// - /sign は SignerAdapter の代役（固定のダミー署名を返す。/exchange 側は署名を検証しない）
+// - WS は HL と同じ { method: 'subscribe', subscription } を受け、購読に一致するメッセージだけ流す
+
+import http from 'http';
+import { WebSocketServer } from 'ws';
+import { createMatchingEngine } from './matchingEngine.js';
+import { createReplayFeed } from './replayFeed.js';
+
+const DUMMY_SIGNATURE = `0x${'11'.repeat(64)}1b`;
+const MAX_BODY_BYTES = 1024 * 1024;
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    req.on('data', (chunk) => {
+      raw += chunk;
+      if (raw.length > MAX_BODY_BYTES) {
+        reject(new Error('body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      try {
+        resolve(raw ? JSON.parse(raw) : {});
+      } catch (err) {
+        reject(err);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function delay(ms) {
+  return ms > 0 ? new Promise(resolve => setTimeout(resolve, ms)) : Promise.resolve();
+}
+
+/**
+ * 購読キー（type + coin）。user 系の購読はアドレスを問わず 1 アカウント扱い
+ */
+function subscriptionKey(sub) {
+  const type = String(sub?.type ?? '');
+  if (type === 'orderUpdates' || type === 'userFills') return type;
+  return `${type}:${sub?.coin ?? ''}`;
+}
+
+function messageKey(message) {
+  const { channel, data } = message;
+  if (channel === 'trades') return `trades:${Array.isArray(data) ? data[0]?.coin ?? '' : ''}`;
+  return `${channel}:${data?.coin ?? ''}`;
+}
+
+/**
+ * @param {{
+ *   port?: number,
+ *   host?: string,
+ *   meta: any,
+ *   messages: Array<{ ts: number, message: any }>,
+ *   speed?: number,
+ *   loop?: boolean,
+ *   latencyMs?: number,
+ *   latencyJitterMs?: number,
+ *   liquidityRatio?: number,
+ *   rejectRate?: number,
+ *   seed?: number,
+ *   equity?: number,
+ *   user?: string,
+ *   log?: (event: object) => void,
+ * }} opts
+ */
+export function createMockExchangeServer(opts) {
+  const log = typeof opts.log === 'function' ? opts.log : () => {};
+  const latencyMs = Math.max(0, Number(opts.latencyMs) || 0);
+  const latencyJitterMs = Math.max(0, Number(opts.latencyJitterMs) || 0);
+  const clients = new Set();
+  const lastByKey = new Map();
+
+  function broadcast(key, message) {
+    const text = JSON.stringify(message);
+    for (const ws of clients) {
+      if (ws.readyState === ws.OPEN && ws.subscriptions.has(key)) ws.send(text);
+    }
+  }
+
+  const engine = createMatchingEngine({
+    meta: opts.meta,
+    user: opts.user,
+    equity: opts.equity,
+    liquidityRatio: opts.liquidityRatio,
+    rejectRate: opts.rejectRate,
+    seed: opts.seed,
+    onOrderUpdates: (updates) => broadcast('orderUpdates', { channel: 'orderUpdates', data: updates }),
+    onUserFills: (fills) => broadcast('userFills', { channel: 'userFills', data: { user: engine.user, fills } }),
+  });
+
+  const feed = createReplayFeed({
+    messages: opts.messages,
+    speed: opts.speed,
+    loop: opts.loop,
+    onMessage: (message) => {
+      const key = messageKey(message);
+      lastByKey.set(key, message);
+      // 板を先に進めてから配信（自分の注文の約定イベントが板より前に届くのを避ける）
+      if (message.channel === 'l2Book') engine.applyBook(message.data);
+      broadcast(key, message);
+    },
+    onEnd: () => log({ type: 'replay_end' }),
+  });
+
+  function latency() {
+    return latencyMs + (latencyJitterMs > 0 ? Math.random() * latencyJitterMs : 0);
+  }
+
+  async function handleHttp(req, res) {
+    if (req.method === 'GET' && req.url === '/health') {
+      sendJson(res, 200, { ok: true, replay: feed.getProgress(), clients: clients.size });
+      return;
+    }
+    if (req.method !== 'POST') {
+      sendJson(res, 404, { error: 'not found' });
+      return;
+    }
+    let body;
+    try {
+      body = await readJsonBody(req);
+    } catch (err) {
+      sendJson(res, 400, { error: `invalid json: ${err?.message || err}` });
+      return;
+    }
+    if (req.url === '/sign') {
+      sendJson(res, 200, { ok: true, signature: DUMMY_SIGNATURE });
+      return;
+    }
+    await delay(latency());
+    if (req.url === '/exchange') {
+      if (!body?.action || !Number.isFinite(Number(body?.nonce)) || !body?.signature) {
+        sendJson(res, 200, { status: 'err', response: 'Missing action, nonce or signature' });
+        return;
+      }
+      const result = engine.handleAction(body.action);
+      log({ type: 'exchange', action: body.action.type, status: result.status });
+      sendJson(res, 200, result);
+      return;
+    }
+    if (req.url === '/info') {
+      const result = engine.handleInfo(body);
+      if (result === null) {
+        sendJson(res, 422, { error: `unsupported info request: ${body?.type}` });
+        return;
+      }
+      sendJson(res, 200, result);
+      return;
+    }
+    sendJson(res, 404, { error: 'not found' });
+  }
+
+  const server = http.createServer((req, res) => {
+    handleHttp(req, res).catch((err) => {
+      log({ type: 'http_error', detail: err?.message || String(err) });
+      if (!res.headersSent) sendJson(res, 500, { error: 'internal error' });
+    });
+  });
+
+  const wss = new WebSocketServer({ server, path: '/ws' });
+  wss.on('connection', (ws) => {
+    ws.subscriptions = new Set();
+    clients.add(ws);
+    log({ type: 'ws_connect', clients: clients.size });
+    ws.on('message', (raw) => {
+      let msg;
+      try {
+        msg = JSON.parse(String(raw));
+      } catch (_) {
+        return;
+      }
+      if (msg?.method === 'ping') {
+        ws.send(JSON.stringify({ channel: 'pong' }));
+        return;
+      }
+      if (msg?.method !== 'subscribe' && msg?.method !== 'unsubscribe') return;
+      const key = subscriptionKey(msg.subscription);
+      if (msg.method === 'unsubscribe') {
+        ws.subscriptions.delete(key);
+        return;
+      }
+      ws.subscriptions.add(key);
+      ws.send(JSON.stringify({ channel: 'subscriptionResponse', data: msg }));
+      // HL と同じく購読直後にスナップショットを返す
+      if (key === 'userFills') {
+        ws.send(JSON.stringify({ channel: 'userFills', data: { isSnapshot: true, user: engine.user, fills: [] } }));
+      } else if (lastByKey.has(key)) {
+        ws.send(JSON.stringify(lastByKey.get(key)));
+      }
+    });
+    ws.on('close', () => {
+      clients.delete(ws);
+      log({ type: 'ws_close', clients: clients.size });
+    });
+  });
+
+  return {
+    engine,
+    listen() {
+      return new Promise((resolve) => {
+        server.listen(opts.port ?? 8787, opts.host ?? '127.0.0.1', () => {
+          feed.start();
+          resolve(server.address());
+        });
+      });
+    },
+    close() {
+      feed.stop();
+      for (const ws of clients) ws.terminate();
+      wss.close();
+      return new Promise(resolve => server.close(() => resolve()));
+    },
+  };
+}
@@ -2,6 +2,7 @@
 import fs from 'fs';
 import path from 'path';
 import readline from 'readline';
+import { writeTradeConfig } from '../../config/tradeHistory.js';
 
 function toNumber(v) {
   const n = Number(v);
@@ -1439,7 +1440,9 @@ function buildGuardedConfig(current, proposed, maxChangeRatio) {
     if (oldV == null || newV == null || oldV === 0) continue;
     const maxUp = oldV * (1 + ratio);
     const maxDown = oldV * (1 - ratio);
-    const bounded = clamp(newV, Math.min(maxDown, maxUp), Math.max(maxDown, maxUp));
+    const boundedRaw = clamp(newV, Math.min(maxDown, maxUp), Math.max(maxDown, maxUp));
+    // *Ms はスキーマ上 整数
+    const bounded = p.endsWith('Ms') ? Math.round(boundedRaw) : boundedRaw;
     if (Math.abs(bounded - newV) > 1e-12) {
       const parts = p.split('.');
       let cur = guarded;
@@ -1610,7 +1613,18 @@ async function main() {
 
   const backupPath = `${tradePath}.bak.${Date.now()}`;
   fs.copyFileSync(tradePath, backupPath);
-  fs.writeFileSync(tradePath, `${JSON.stringify(guarded, null, 2)}\n`, 'utf8');
+  let version;
+  try {
+    version = writeTradeConfig(guarded, {
+      author: 'auto_tune',
+      note: `decision_trace quantile tuning regime=${regime ?? 'none'}`,
+      filePath: tradePath
+    });
+  } catch (err) {
+    console.error(`Tuned config rejected, not applied.\n${err.message}`);
+    process.exitCode = 1;
+    return;
+  }
   appendMarker({
     ts: Date.now(),
     type: 'auto_tune_apply',
@@ -1620,6 +1634,7 @@ async function main() {
     regime,
     windowMin: args.windowMin,
     backupPath,
+    configHash: version.hash,
     minSamples: args.minSamples,
     minTradeSamples: args.minTradeSamples,
     maxChangeRatio: args.maxChangeRatio,
@@ -5,7 +5,7 @@ OUT_DIR="$ROOT_DIR/dist-runtime"
 
 rm -rf "$OUT_DIR"
 mkdir -p "$OUT_DIR"
-for d in ws engine io logic config core executor debug scripts; do
+for d in ws engine io logic config core executor notify debug scripts; do
   [ -d "$ROOT_DIR/$d" ] && rsync -a "$ROOT_DIR/$d/" "$OUT_DIR/$d/"
 done
 for f in index.js package.json; do
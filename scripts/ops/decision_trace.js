@@ -0,0 +1,202 @@
+#!/usr/bin/env node
+// decision trace の検索（core/decisionTraceStore.js の索引を使う。hlb trace の実体）
+// - list   : 条件に合う tick を 1 行ずつ（時刻・銘柄・side・reasonCode・ゲート・regime・理由）
+// - blocked: 建玉なしで見送った tick を reasonCode / ゲート / 理由別に集計し、直近の例を表示
+// - show   : 1 tick の trace 全体（ref = decisionId または時刻。時刻はその時点以前で最も近い tick）
+// - diff   : 2 tick の差分（ref を 1 つだけ渡すと同じ銘柄の直前の tick と比べる）
+// 時刻は ISO / epoch ms / 相対（30m, 2h, 1d = その時間前）
+import minimist from 'minimist';
+import path from 'path';
+import { REASON_CODE, resolveReasonCode } from '../../logic/reasonCodes.js';
+import {
+  diffDecisionTraces,
+  queryDecisionTraces,
+  readDecisionTrace,
+  resolveDecisionTraceDir
+} from '../../core/decisionTraceStore.js';
+
+const COMMANDS = ['list', 'blocked', 'show', 'diff'];
+const RELATIVE_RE = /^(\d+(?:\.\d+)?)([smhd])$/i;
+const UNIT_MS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+function usage() {
+  console.log([
+    'usage: hlb trace <list|blocked|show|diff> [options]',
+    '  list    [filters] [--limit N]           matching ticks (newest N, default 50)',
+    '  blocked [filters] [--limit N]           why entries were blocked (counts + last N examples, default 5)',
+    '  show    <ref> [filters]                 full trace of one tick',
+    '  diff    <refA> [refB] [filters] [--max N]  changed fields (refB omitted = previous tick of the same coin)',
+    'filters: --from T --to T --coin BTC --side buy|sell|none --reason CODE --gate NAME --regime UP|DOWN|RANGE --blocked',
+    '  T = ISO time | epoch ms | 30m / 2h / 1d ago;  ref = decisionId | T',
+    `  reason codes: ${Object.values(REASON_CODE).join(', ')}`,
+    '  gates: safety, a_gate, b1_structure, flow_gate, execution_quality, fee_edge, structure_path, impact, funding_window, pattern, liq_cascade, startup_guard, meta_gate, other',
+    '--dir DIR (default logs/decision_traces or DECISION_TRACE_DIR)  --json'
+  ].join('\n'));
+}
+
+function parseTime(raw, now = Date.now()) {
+  if (raw === undefined || raw === null || raw === '') return null;
+  const text = String(raw).trim();
+  const rel = RELATIVE_RE.exec(text);
+  if (rel) return now - Number(rel[1]) * UNIT_MS[rel[2].toLowerCase()];
+  if (/^\d{10,}$/.test(text)) return Number(text);
+  const ms = Date.parse(text);
+  return Number.isFinite(ms) ? ms : NaN;
+}
+
+function parseArgs(argv) {
+  const args = minimist(argv, {
+    boolean: ['blocked', 'json', 'help'],
+    string: ['from', 'to', 'coin', 'side', 'reason', 'gate', 'regime', 'dir', 'limit', 'max'],
+    alias: { h: 'help' }
+  });
+  const filter = {};
+  for (const key of ['from', 'to']) {
+    const ts = parseTime(args[key]);
+    if (Number.isNaN(ts)) throw new Error(`invalid --${key}: ${args[key]}`);
+    if (ts !== null) filter[key] = ts;
+  }
+  if (args.coin) filter.coin = String(args.coin).toUpperCase();
+  if (args.side) filter.side = String(args.side).toLowerCase();
+  if (args.gate) filter.gate = String(args.gate);
+  if (args.regime) filter.regime = String(args.regime);
+  if (args.blocked === true) filter.blocked = true;
+  if (args.reason) {
+    const code = resolveReasonCode(args.reason, null);
+    if (!code) throw new Error(`unknown reason code: ${args.reason}`);
+    filter.reasonCode = code;
+  }
+  const limit = Number(args.limit);
+  const max = Number(args.max);
+  return {
+    command: args._[0] ? String(args._[0]) : null,
+    refs: args._.slice(1).map(String),
+    filter,
+    limit: Number.isFinite(limit) && limit > 0 ? Math.floor(limit) : null,
+    max: Number.isFinite(max) && max > 0 ? Math.floor(max) : 200,
+    dir: args.dir ? path.resolve(String(args.dir)) : resolveDecisionTraceDir(),
+    json: args.json === true,
+    help: args.help === true
+  };
+}
+
+function formatRow(row) {
+  const time = new Date(row.ts).toISOString();
+  const gates = (row.gates ?? []).join(',') || '-';
+  return `${time} ${row.coin ?? '-'} ${row.side} ${row.reasonCode ?? '-'} gates=${gates} regime=${row.regime ?? '-'} ${row.reason ?? ''}`;
+}
+
+/**
+ * ref（decisionId または時刻）を索引行にする
+ */
+function resolveRef(ref, filter, dir) {
+  const byId = queryDecisionTraces({ decisionId: ref, coin: filter.coin }, dir);
+  if (byId.length > 0) return byId[byId.length - 1];
+  const ts = parseTime(ref);
+  if (!Number.isFinite(ts)) throw new Error(`trace not found: ${ref}`);
+  const rows = queryDecisionTraces({ ...filter, from: undefined, to: ts, limit: 1 }, dir);
+  if (rows.length === 0) throw new Error(`no trace at or before ${new Date(ts).toISOString()}`);
+  return rows[0];
+}
+
+function countBy(rows, pick) {
+  const counts = new Map();
+  for (const row of rows) {
+    for (const key of pick(row)) counts.set(key, (counts.get(key) ?? 0) + 1);
+  }
+  return [...counts.entries()].sort((a, b) => b[1] - a[1]);
+}
+
+function runList(args) {
+  const rows = queryDecisionTraces({ ...args.filter, limit: args.limit ?? 50 }, args.dir);
+  if (args.json) {
+    console.log(JSON.stringify(rows, null, 2));
+    return;
+  }
+  if (rows.length === 0) console.log(`[trace] no matching ticks in ${args.dir}`);
+  for (const row of rows) console.log(formatRow(row));
+}
+
+function runBlocked(args) {
+  const all = queryDecisionTraces(args.filter, args.dir);
+  const blocked = all.filter(row => row.blocked);
+  const byReasonCode = countBy(blocked, row => [row.reasonCode ?? 'UNKNOWN']);
+  const byGate = countBy(blocked, row => (row.gates?.length ? row.gates : ['none']));
+  const byReason = countBy(blocked, row => [row.reason ?? '-']).slice(0, 10);
+  const examples = blocked.slice(-(args.limit ?? 5));
+  if (args.json) {
+    console.log(JSON.stringify({
+      evaluated: all.length,
+      blocked: blocked.length,
+      byReasonCode: Object.fromEntries(byReasonCode),
+      byGate: Object.fromEntries(byGate),
+      topReasons: byReason.map(([reason, count]) => ({ reason, count })),
+      examples
+    }, null, 2));
+    return;
+  }
+  const pct = all.length > 0 ? ((blocked.length / all.length) * 100).toFixed(1) : '0.0';
+  console.log(`[trace] evaluated=${all.length} blocked=${blocked.length} (${pct}%)`);
+  console.log('  by reasonCode:');
+  for (const [code, count] of byReasonCode) console.log(`    ${code}: ${count}`);
+  console.log('  by gate (a tick can hit several):');
+  for (const [gate, count] of byGate) console.log(`    ${gate}: ${count}`);
+  console.log('  top reasons:');
+  for (const [reason, count] of byReason) console.log(`    ${count}  ${reason}`);
+  console.log('  latest:');
+  for (const row of examples) console.log(`    ${formatRow(row)}`);
+}
+
+function runShow(args) {
+  if (args.refs.length < 1) throw new Error('show needs a ref (decisionId or time)');
+  const row = resolveRef(args.refs[0], args.filter, args.dir);
+  const trace = readDecisionTrace(row, args.dir);
+  if (!args.json) console.log(`# ${formatRow(row)}`);
+  console.log(JSON.stringify(trace.payload ?? trace, null, 2));
+}
+
+function runDiff(args) {
+  if (args.refs.length < 1) throw new Error('diff needs one or two refs (decisionId or time)');
+  const rowB = resolveRef(args.refs[args.refs.length - 1], args.filter, args.dir);
+  let rowA;
+  if (args.refs.length >= 2) {
+    rowA = resolveRef(args.refs[0], args.filter, args.dir);
+  } else {
+    const prev = queryDecisionTraces({ coin: rowB.coin ?? undefined, to: rowB.ts }, args.dir)
+      .filter(row => !(row.segment === rowB.segment && row.off === rowB.off));
+    rowA = prev[prev.length - 1];
+    if (!rowA) throw new Error('no earlier tick to compare with');
+  }
+  const a = readDecisionTrace(rowA, args.dir).payload;
+  const b = readDecisionTrace(rowB, args.dir).payload;
+  const diffs = diffDecisionTraces(a, b);
+  if (args.json) {
+    console.log(JSON.stringify({ a: rowA, b: rowB, changed: diffs.length, diffs: diffs.slice(0, args.max) }, null, 2));
+    return;
+  }
+  console.log(`A ${formatRow(rowA)}`);
+  console.log(`B ${formatRow(rowB)}`);
+  console.log(`changed=${diffs.length}${diffs.length > args.max ? ` (showing ${args.max}, use --max)` : ''}`);
+  for (const d of diffs.slice(0, args.max)) {
+    console.log(`  ${d.path}: ${JSON.stringify(d.a)} -> ${JSON.stringify(d.b)}`);
+  }
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help || !COMMANDS.includes(args.command)) {
+    usage();
+    process.exit(args.help ? 0 : 1);
+  }
+  if (args.command === 'list') runList(args);
+  else if (args.command === 'blocked') runBlocked(args);
+  else if (args.command === 'show') runShow(args);
+  else runDiff(args);
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(`[trace] ${err?.message || err}`);
+  process.exit(1);
+}
@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+// 内蔵署名（SIGNER_MODE=builtin）の鍵管理
+//   selftest                         テストベクタで hash / 署名を検証
+//   create  [--keystore PATH]        agent 鍵を新規生成して暗号化 keystore に保存
+//   import  [--keystore PATH]        HL_AGENT_PRIVATE_KEY の鍵を暗号化 keystore に保存
+//   address [--keystore PATH]        keystore の agent アドレスを表示
+//   approve --master-keystore PATH [--name NAME] [--send]
+//                                    マスターウォレットで approveAgent に署名（--send で HL_API_URL/exchange に送信）
+// パスワード: agent は SIGNER_KEYSTORE_PASSWORD(_FILE)、マスターは HL_MASTER_KEYSTORE_PASSWORD
+import fs from 'fs';
+import path from 'path';
+import axios from 'axios';
+import minimist from 'minimist';
+import { Wallet } from 'ethers';
+import {
+  SIGNER_KEYSTORE_PATH,
+  SIGNER_KEYSTORE_PASSWORD,
+  SIGNER_KEYSTORE_PASSWORD_FILE,
+  HL_API_URL,
+  HL_MAINNET,
+} from '../../executor/config.js';
+import {
+  verifySigningVectors,
+  loadTestVectors,
+  loadKeystoreWallet,
+  writeKeystore,
+  buildApproveAgent,
+} from '../../executor/hlSigner.js';
+
+function parseArgs(argv) {
+  const args = minimist(argv, {
+    boolean: ['send', 'force'],
+    string: ['keystore', 'master-keystore', 'name'],
+    default: {
+      keystore: SIGNER_KEYSTORE_PATH,
+      send: false,
+      force: false,
+    },
+  });
+  return {
+    command: String(args._[0] ?? ''),
+    keystore: String(args.keystore),
+    masterKeystore: args['master-keystore'] ? String(args['master-keystore']) : null,
+    name: args.name ? String(args.name) : null,
+    send: args.send === true,
+    force: args.force === true,
+  };
+}
+
+function agentPassword() {
+  if (SIGNER_KEYSTORE_PASSWORD_FILE) return fs.readFileSync(SIGNER_KEYSTORE_PASSWORD_FILE, 'utf8').replace(/\r?\n$/, '');
+  if (SIGNER_KEYSTORE_PASSWORD) return SIGNER_KEYSTORE_PASSWORD;
+  throw new Error('SIGNER_KEYSTORE_PASSWORD or SIGNER_KEYSTORE_PASSWORD_FILE is required');
+}
+
+async function saveKeystore(privateKey, args) {
+  if (fs.existsSync(args.keystore) && !args.force) {
+    throw new Error(`keystore already exists: ${args.keystore} (use --force to overwrite)`);
+  }
+  fs.mkdirSync(path.dirname(args.keystore), { recursive: true, mode: 0o700 });
+  const address = await writeKeystore(privateKey, args.keystore, agentPassword());
+  console.log(`[hl_agent_signer] saved ${args.keystore} agent=${address}`);
+  console.log('[hl_agent_signer] approve this agent with the master wallet before enabling SIGNER_MODE=builtin');
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.command === 'selftest') {
+    const result = await verifySigningVectors(loadTestVectors());
+    for (const r of result.results) console.log(`${r.ok ? 'OK  ' : 'FAIL'} ${r.name}${r.detail ? ` ${r.detail}` : ''}`);
+    process.exit(result.ok ? 0 : 1);
+  }
+  if (args.command === 'create') {
+    await saveKeystore(Wallet.createRandom().privateKey, args);
+    return;
+  }
+  if (args.command === 'import') {
+    const key = process.env.HL_AGENT_PRIVATE_KEY;
+    if (!key) throw new Error('HL_AGENT_PRIVATE_KEY is required');
+    await saveKeystore(key, args);
+    return;
+  }
+  if (args.command === 'address') {
+    const wallet = await loadKeystoreWallet(args.keystore, agentPassword());
+    console.log(wallet.address);
+    return;
+  }
+  if (args.command === 'approve') {
+    if (!args.masterKeystore) throw new Error('--master-keystore is required');
+    const masterPassword = process.env.HL_MASTER_KEYSTORE_PASSWORD;
+    if (!masterPassword) throw new Error('HL_MASTER_KEYSTORE_PASSWORD is required');
+    const agent = await loadKeystoreWallet(args.keystore, agentPassword());
+    const master = await loadKeystoreWallet(args.masterKeystore, masterPassword);
+    const { action, nonce, signature } = await buildApproveAgent(master, { agentAddress: agent.address, agentName: args.name });
+    const payload = { action, nonce, signature: { r: signature.r, s: signature.s, v: signature.v } };
+    console.log(`[hl_agent_signer] approveAgent master=${master.address} agent=${agent.address} env=${HL_MAINNET ? 'mainnet' : 'testnet'}`);
+    if (!args.send) {
+      console.log(JSON.stringify(payload, null, 2));
+      console.log('[hl_agent_signer] not sent (add --send to submit)');
+      return;
+    }
+    const resp = await axios.post(`${HL_API_URL}/exchange`, payload, {
+      timeout: 10000,
+      headers: { 'Content-Type': 'application/json' },
+    });
+    console.log(JSON.stringify(resp.data));
+    process.exit(resp.data?.status === 'ok' ? 0 : 1);
+  }
+  console.error('usage: hl_agent_signer.js <selftest|create|import|address|approve> [--keystore PATH] [--master-keystore PATH] [--name NAME] [--send]');
+  process.exit(1);
+}
+
+main().catch((err) => {
+  console.error('[hl_agent_signer] failed:', err?.message || err);
+  process.exit(1);
+});
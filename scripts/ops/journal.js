@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+// engine / executor state の write-ahead journal 検査
+// - inspect: スナップショットの journalSeq、journal の行数・最終 seq・種類別件数、末尾 N 件を表示
+// - verify : チェックサム・seq の連続性を検査（破損・欠落があれば exit 1。書きかけの最終行は警告のみ）
+// - rebuild: スナップショット + 再生で復元される状態を表示（ファイルは書き換えない）
+// 例) node scripts/ops/journal.js inspect --tail 20
+//     node scripts/ops/journal.js verify --executor
+//     node scripts/ops/journal.js rebuild --engine ws/engine_state.LIVE.json
+import path from 'path';
+import minimist from 'minimist';
+import { resolveStatePath } from '../../config/statePath.js';
+import { rebuildEngineState } from '../../engine/stateStore.js';
+import { resolveEngineJournalPath } from '../../engine/stateJournal.js';
+import { createInitialState } from '../../engine/state.js';
+
+const COMMANDS = ['inspect', 'verify', 'rebuild'];
+
+function usage() {
+  console.log([
+    'usage: node scripts/ops/journal.js <inspect|verify|rebuild> [options]',
+    '  --engine PATH   engine state のスナップショット（既定: MODE / ENGINE_STATE_PATH から解決）',
+    '  --executor      executor state（ws/executor_state.json、cwd 基準）を対象にする',
+    '  --tail N        inspect で表示する末尾の件数（既定 10）',
+    '  --json          JSON で出力',
+  ].join('\n'));
+}
+
+function parseArgs(argv) {
+  const args = minimist(argv, {
+    boolean: ['executor', 'json', 'help'],
+    string: ['engine'],
+    default: {
+      executor: false,
+      json: false,
+      tail: 10,
+    },
+    alias: { h: 'help' },
+  });
+  const tail = Number(args.tail);
+  return {
+    command: args._[0] ? String(args._[0]) : null,
+    executor: args.executor === true,
+    engine: args.engine ? path.resolve(String(args.engine)) : null,
+    tail: Number.isFinite(tail) && tail >= 0 ? Math.floor(tail) : 10,
+    json: args.json === true,
+    help: args.help === true,
+  };
+}
+
+async function loadTarget(args) {
+  if (args.executor) {
+    // import 時に復元が走るので executor を対象にするときだけ読む
+    const { rebuildExecutorState } = await import('../../executor/stateStore.js');
+    const rebuilt = rebuildExecutorState();
+    return {
+      target: 'executor',
+      statePath: path.join(process.cwd(), 'ws', 'executor_state.json'),
+      journalPath: path.join(process.cwd(), 'ws', 'executor_state.journal.jsonl'),
+      rebuilt,
+      summary: {
+        currentNonce: rebuilt.state.currentNonce,
+        processedKeysCount: rebuilt.state.processedKeys.size,
+        partialLock: rebuilt.state.partialLock,
+      },
+    };
+  }
+  const statePath = args.engine ?? resolveStatePath(process.env.MODE, process.env.ENGINE_STATE_PATH);
+  const rebuilt = rebuildEngineState(createInitialState, statePath);
+  return {
+    target: 'engine',
+    statePath,
+    journalPath: resolveEngineJournalPath(statePath),
+    rebuilt,
+    summary: {
+      openPosition: rebuilt.state?.openPosition ?? null,
+      safety: rebuilt.state?.safety ?? null,
+      realizedPnl: rebuilt.state?.stats?.realizedPnl ?? null,
+      totalTrades: rebuilt.state?.stats?.totalTrades ?? null,
+    },
+  };
+}
+
+function countByType(entries) {
+  const counts = {};
+  for (const entry of entries) counts[entry.type] = (counts[entry.type] ?? 0) + 1;
+  return counts;
+}
+
+function printHeader(loaded) {
+  const { journal, snapshotSeq, replayed } = loaded.rebuilt;
+  console.log(`[journal] target=${loaded.target}`);
+  console.log(`  snapshot: ${loaded.statePath} (journalSeq=${snapshotSeq})`);
+  console.log(`  journal : ${loaded.journalPath}`);
+  console.log(`  lines=${journal.lines} skipped=${journal.skipped} replayable=${replayed} lastSeq=${journal.lastSeq}${journal.tornTail ? ' tornTail' : ''}`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help || !COMMANDS.includes(args.command)) {
+    usage();
+    process.exit(args.help ? 0 : 1);
+  }
+  const loaded = await loadTarget(args);
+  const { journal, snapshotSeq, replayed } = loaded.rebuilt;
+  const verifyOk = journal.errors.length === 0;
+
+  if (args.command === 'inspect') {
+    const tail = args.tail > 0 ? journal.entries.slice(-args.tail) : [];
+    if (args.json) {
+      console.log(JSON.stringify({
+        target: loaded.target,
+        statePath: loaded.statePath,
+        journalPath: loaded.journalPath,
+        snapshotSeq,
+        lines: journal.lines,
+        skipped: journal.skipped,
+        replayable: replayed,
+        lastSeq: journal.lastSeq,
+        tornTail: journal.tornTail,
+        errors: journal.errors,
+        counts: countByType(journal.entries),
+        tail,
+      }, null, 2));
+      return;
+    }
+    printHeader(loaded);
+    for (const [type, count] of Object.entries(countByType(journal.entries))) {
+      console.log(`  ${type}: ${count}`);
+    }
+    for (const entry of tail) {
+      console.log(`  #${entry.seq} ${new Date(entry.ts).toISOString()} ${entry.type} ${JSON.stringify(entry.data)}`);
+    }
+    for (const err of journal.errors) console.log(`  ERROR line ${err.line}: ${err.reason}`);
+    return;
+  }
+
+  if (args.command === 'verify') {
+    if (args.json) {
+      console.log(JSON.stringify({
+        target: loaded.target,
+        ok: verifyOk,
+        snapshotSeq,
+        lines: journal.lines,
+        lastSeq: journal.lastSeq,
+        tornTail: journal.tornTail,
+        errors: journal.errors,
+      }, null, 2));
+    } else {
+      printHeader(loaded);
+      if (journal.tornTail) console.log('  WARN last line is incomplete (torn write); it is ignored on replay');
+      for (const err of journal.errors) console.log(`  ERROR line ${err.line}: ${err.reason}`);
+      console.log(verifyOk ? '  OK' : `  NG (${journal.errors.length} error(s); replay stops before line ${journal.errors[0].line})`);
+    }
+    if (!verifyOk) process.exit(1);
+    return;
+  }
+
+  if (args.json) {
+    console.log(JSON.stringify({ target: loaded.target, snapshotSeq, replayed, ok: verifyOk, state: loaded.summary }, null, 2));
+    return;
+  }
+  printHeader(loaded);
+  for (const [key, value] of Object.entries(loaded.summary)) {
+    console.log(`  ${key}: ${JSON.stringify(value)}`);
+  }
+}
+
+main().catch((err) => {
+  console.error('[journal] failed:', err?.message || err);
+  process.exit(1);
+});
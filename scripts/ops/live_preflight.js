@@ -5,6 +5,7 @@ import path from 'path';
 import axios from 'axios';
 import minimist from 'minimist';
 import { fileURLToPath } from 'url';
+import { validateTradeConfig, formatTradeConfigIssues } from '../../config/tradeSchema.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -127,6 +128,20 @@ async function run() {
     pushCheck(checks, 'pass', 'required_files_ok', 'required config/scripts exist');
   }
 
+  const tradePath = path.join(ROOT, 'config', 'trade.json');
+  if (fs.existsSync(tradePath)) {
+    try {
+      const result = validateTradeConfig(JSON.parse(fs.readFileSync(tradePath, 'utf8')));
+      if (result.ok) {
+        pushCheck(checks, 'pass', 'trade_config_valid', `trade.json schema OK (unknown keys: ${result.warnings.length})`);
+      } else {
+        pushCheck(checks, 'fail', 'trade_config_invalid', formatTradeConfigIssues(result.errors, 5).replace(/\n/g, '; '));
+      }
+    } catch (err) {
+      pushCheck(checks, 'fail', 'trade_config_unreadable', `trade.json: ${err?.message ?? err}`);
+    }
+  }
+
   const passCount = checks.filter(c => c.level === 'pass').length;
   const warnCount = checks.filter(c => c.level === 'warn').length;
   const failCount = checks.filter(c => c.level === 'fail').length;
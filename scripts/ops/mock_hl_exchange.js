@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+// ローカル Mock HL 取引所
+// raw-*.jsonl(.gz) の板を再生し、/exchange の注文をその板に当てて約定させる（orderUpdates / userFills も WS で配信）
+//
+// 例:
+//   node scripts/ops/mock_hl_exchange.js --port 8787 --speed 5 --latency-ms 50 --reject-rate 0.02 logs/raw-20260101.jsonl
+//   HL_API_URL=http://127.0.0.1:8787 HL_INFO_URL=http://127.0.0.1:8787/info SIGNER_ADAPTER_URL=http://127.0.0.1:8787 \
+//   WS_URL=ws://127.0.0.1:8787/ws MODE=live npm start
+import fs from 'fs';
+import path from 'path';
+import minimist from 'minimist';
+import { loadReplayMessages } from '../mock_exchange/replayFeed.js';
+import { createMockExchangeServer } from '../mock_exchange/server.js';
+
+function parseArgs(argv) {
+  const args = minimist(argv, {
+    boolean: ['loop', 'quiet'],
+    string: ['meta', 'user', 'host'],
+    default: {
+      port: 8787,
+      host: '127.0.0.1',
+      speed: 1,
+      loop: false,
+      'latency-ms': 0,
+      'latency-jitter-ms': 0,
+      'liquidity-ratio': 1,
+      'reject-rate': 0,
+      seed: 1,
+      equity: 10000,
+      meta: path.join(process.cwd(), 'executor', 'fixtures', 'hl_meta.json'),
+      quiet: false,
+    },
+  });
+  return {
+    files: args._.map(String),
+    port: Number(args.port),
+    host: String(args.host),
+    speed: Number(args.speed),
+    loop: args.loop === true,
+    latencyMs: Number(args['latency-ms']),
+    latencyJitterMs: Number(args['latency-jitter-ms']),
+    liquidityRatio: Number(args['liquidity-ratio']),
+    rejectRate: Number(args['reject-rate']),
+    seed: Number(args.seed),
+    equity: Number(args.equity),
+    meta: String(args.meta),
+    user: args.user ? String(args.user) : (process.env.HL_USER_ADDR || undefined),
+    quiet: args.quiet === true,
+  };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.files.length === 0) {
+    console.error('[mock_hl_exchange] missing raw-*.jsonl(.gz) path(s)');
+    process.exit(1);
+  }
+  for (const file of [...args.files, args.meta]) {
+    if (!fs.existsSync(file)) {
+      console.error(`[mock_hl_exchange] not found: ${file}`);
+      process.exit(1);
+    }
+  }
+  const meta = JSON.parse(fs.readFileSync(args.meta, 'utf8'));
+  const messages = loadReplayMessages(args.files);
+  if (!messages.some(m => m.message.channel === 'l2Book')) {
+    console.error('[mock_hl_exchange] no l2Book messages in input');
+    process.exit(1);
+  }
+
+  const mock = createMockExchangeServer({
+    ...args,
+    meta,
+    messages,
+    log: args.quiet ? undefined : (event) => console.log(JSON.stringify({ ts: Date.now(), ...event })),
+  });
+  const addr = await mock.listen();
+  const base = `http://${addr.address}:${addr.port}`;
+  console.log(`[mock_hl_exchange] listening ${base} (messages=${messages.length}, speed=${args.speed}, loop=${args.loop})`);
+  console.log(`  HL_API_URL=${base} HL_INFO_URL=${base}/info SIGNER_ADAPTER_URL=${base} WS_URL=ws://${addr.address}:${addr.port}/ws`);
+
+  const shutdown = () => {
+    mock.close().then(() => process.exit(0));
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+main().catch((err) => {
+  console.error('[mock_hl_exchange] failed:', err?.message || err);
+  process.exit(1);
+});
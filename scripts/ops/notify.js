@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+// 通知ハブ（notify/index.js）の確認・手動送信
+//   status                                        チャネルの有効/無効と outbox の送り残し
+//   send SIGNAL [--message TEXT] [--action TEXT] [--severity info|warn|critical]
+//                                                 ルーティング・クールダウンを通して送る（bash スクリプトからも使える）
+//   flush                                         期限の来た outbox を今すぐ送る
+import minimist from 'minimist';
+import { getNotificationHub } from '../../notify/index.js';
+
+function parseArgs(argv) {
+  const args = minimist(argv, {
+    string: ['message', 'action', 'severity'],
+    default: { severity: 'info' },
+  });
+  return {
+    command: String(args._[0] ?? ''),
+    rest: args._.slice(1).map(String),
+    message: args.message ? String(args.message) : null,
+    action: args.action ? String(args.action) : null,
+    severity: String(args.severity),
+  };
+}
+
+function fmtTs(ts) {
+  return Number.isFinite(ts) ? new Date(ts).toISOString() : '-';
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const hub = getNotificationHub();
+  if (args.command === 'status') {
+    const status = hub.getStatus();
+    for (const ch of status.channels) console.log(`${ch.enabled ? '*' : ' '} ${ch.name}`);
+    console.log(`outbox: ${status.outbox.length} pending (${status.paths.outbox})`);
+    for (const e of status.outbox) {
+      console.log(`  ${e.channel.padEnd(9)} ${e.notification.signal.padEnd(24)} attempts=${e.attempts} next=${fmtTs(e.nextAttemptAt)}${e.lastError ? `  ${e.lastError}` : ''}`);
+    }
+    return;
+  }
+  if (args.command === 'send') {
+    if (!args.rest[0]) throw new Error('SIGNAL is required');
+    const res = await hub.notify({
+      signal: args.rest[0],
+      severity: args.severity,
+      message: args.message,
+      action: args.action,
+    });
+    console.log(`[notify] ${res.status}${res.reason ? ` (${res.reason})` : ''}${res.channels.length > 0 ? ` channels=${res.channels.join(',')}` : ''}`);
+    return;
+  }
+  if (args.command === 'flush') {
+    const res = await hub.drain();
+    console.log(`[notify] sent=${res.sent} skipped=${res.skipped} failed=${res.failed} dead=${res.dead}`);
+    return;
+  }
+  console.error('usage: notify.js <status|send SIGNAL [--message TEXT] [--action TEXT] [--severity LEVEL]|flush>');
+  process.exit(1);
+}
+
+main().catch((err) => {
+  console.error('[notify] failed:', err?.message || err);
+  process.exit(1);
+});
@@ -3,6 +3,8 @@ import fs from 'fs';
 import path from 'path';
 import minimist from 'minimist';
 import { fileURLToPath } from 'url';
+import { writeTradeConfig } from '../../config/tradeHistory.js';
+import { resolveShadowVariantsDir } from '../../ws/shadowVariants.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -293,7 +295,7 @@ function applyConfigValue(configPath, key, value) {
   const unchanged = Number.isFinite(cNum) && Number.isFinite(vNum) ? approxEq(cNum, vNum) : current === value;
   if (unchanged) return { changed: false, before: current, after: value };
   setByPath(cfg, key, value);
-  writeJson(configPath, cfg);
+  writeTradeConfig(cfg, { author: 'profit_tuner', note: `${key}=${JSON.stringify(value)}`, filePath: configPath });
   return { changed: true, before: current, after: value };
 }
 
@@ -575,7 +577,7 @@ function resetState(paths, opts = {}) {
       for (const [k, v] of Object.entries(state.baselineByKnob)) {
         setByPath(cfg, k, v);
       }
-      writeJson(paths.config, cfg);
+      writeTradeConfig(cfg, { author: 'profit_tuner', note: 'reset: restore baseline', filePath: paths.config });
     }
   }
   if (fs.existsSync(paths.state)) fs.rmSync(paths.state, { force: true });
@@ -583,6 +585,25 @@ function resetState(paths, opts = {}) {
   console.log(JSON.stringify({ ok: true, reset: true, restoreBaseline }, null, 2));
 }
 
+// 候補値を 1 値 1 ファイルのシャドー variant（trade.json へのパッチ）として書き出す
+function exportShadowVariants(paths, dir) {
+  const tradeConfig = readJson(paths.config, {});
+  const { knobs } = loadCandidates(paths.candidates, tradeConfig);
+  const written = [];
+  for (const knob of knobs) {
+    const baseline = toNum(getByPath(tradeConfig, knob.key), NaN);
+    for (const value of knob.values) {
+      if (Number.isFinite(baseline) && approxEq(value, baseline)) continue;
+      const patch = {};
+      setByPath(patch, knob.key, value);
+      const name = `pt-${knob.key.replace(/[^A-Za-z0-9_-]+/g, '_')}-${value}`;
+      writeJson(path.join(dir, `${name}.json`), patch);
+      written.push(name);
+    }
+  }
+  return written;
+}
+
 function resolvePaths(args) {
   return {
     config: path.resolve(args.config ?? DEFAULT_PATHS.config),
@@ -619,7 +640,7 @@ async function runDaemon(paths, opts) {
 async function main() {
   const args = minimist(process.argv.slice(2), {
     boolean: ['allow-tune-daemon', 'restore-baseline'],
-    string: ['config', 'trades', 'candidates', 'state', 'best', 'trial-log', 'tune-pid', 'interval-sec']
+    string: ['config', 'trades', 'candidates', 'state', 'best', 'trial-log', 'tune-pid', 'interval-sec', 'shadow-dir']
   });
   const cmd = String(args._[0] ?? 'tick').toLowerCase();
   const paths = resolvePaths(args);
@@ -636,13 +657,20 @@ async function main() {
     await runDaemon(paths, args);
     return;
   }
+  if (cmd === 'shadow') {
+    const dir = path.resolve(args['shadow-dir'] ?? resolveShadowVariantsDir());
+    const written = exportShadowVariants(paths, dir);
+    console.log(`[profit-tuner] wrote ${written.length} shadow variants to ${dir}`);
+    for (const name of written) console.log(`  ${name}`);
+    return;
+  }
   if (cmd === 'tick') {
     const res = runTick(paths, { allowTuneDaemon: args['allow-tune-daemon'] === true });
     console.log(JSON.stringify(res, null, 2));
     return;
   }
 
-  console.error('usage: node scripts/ops/profit_tuner.js [tick|status|daemon|reset] [--allow-tune-daemon] [--interval-sec N]');
+  console.error('usage: node scripts/ops/profit_tuner.js [tick|status|daemon|reset|shadow] [--allow-tune-daemon] [--interval-sec N] [--shadow-dir DIR]');
   process.exit(1);
 }
 
@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+// 決定論的リプレイ・バックテスト
+// raw-*.jsonl(.gz) を実際の ws ハンドラ → io → logic → engine に仮想時計で流し、記録板で約定させる
+// 同じ入力・同じ config/trade.json なら trades.jsonl / summary.json は毎回同じになる
+//
+// 例:
+//   node scripts/ops/replay_backtest.js --out-dir data/validation/replay-0101 logs/raw-20260101.jsonl.gz
+//   node scripts/ops/replay_backtest.js --max-slippage-bps 20 --liquidity-ratio 0.5 --verbose logs/raw-2026010*.jsonl
+import fs from 'fs';
+import path from 'path';
+import minimist from 'minimist';
+import { runReplayBacktest } from '../replay/backtest.js';
+
+function nowStamp() {
+  const d = new Date();
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}-${pad(d.getHours())}${pad(d.getMinutes())}${pad(d.getSeconds())}`;
+}
+
+function parseArgs(argv) {
+  const args = minimist(argv, {
+    boolean: ['verbose', 'close-at-end'],
+    string: ['out-dir', 'meta'],
+    default: {
+      'out-dir': path.join(process.cwd(), 'data', 'validation', `replay-backtest-${nowStamp()}`),
+      meta: path.join(process.cwd(), 'executor', 'fixtures', 'hl_meta.json'),
+      'tick-ms': 1000,
+      'max-slippage-bps': 50,
+      'liquidity-ratio': 1,
+      'close-at-end': true,
+      verbose: false,
+    },
+  });
+  return {
+    files: args._.map(String),
+    outDir: String(args['out-dir']),
+    meta: String(args.meta),
+    tickMs: Number(args['tick-ms']),
+    maxSlippageBps: Number(args['max-slippage-bps']),
+    liquidityRatio: Number(args['liquidity-ratio']),
+    equity: args.equity !== undefined ? Number(args.equity) : null,
+    closeAtEnd: args['close-at-end'] !== false,
+    verbose: args.verbose === true,
+  };
+}
+
+function fmt(v, digits = 2) {
+  return Number.isFinite(v) ? v.toFixed(digits) : '-';
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.files.length === 0) {
+    console.error('[replay_backtest] missing raw-*.jsonl(.gz) path(s)');
+    process.exit(1);
+  }
+  for (const file of [...args.files, args.meta]) {
+    if (!fs.existsSync(file)) {
+      console.error(`[replay_backtest] not found: ${file}`);
+      process.exit(1);
+    }
+  }
+  const meta = JSON.parse(fs.readFileSync(args.meta, 'utf8'));
+  const summary = await runReplayBacktest({
+    files: args.files,
+    outDir: args.outDir,
+    meta,
+    tickMs: args.tickMs,
+    maxSlippageBps: args.maxSlippageBps,
+    liquidityRatio: args.liquidityRatio,
+    equity: args.equity,
+    closeAtEnd: args.closeAtEnd,
+    quiet: !args.verbose,
+  });
+  console.log(`[replay_backtest] messages=${summary.messages} ticks=${summary.ticks} coins=${summary.coins.join(',')}`);
+  console.log(`  trades=${summary.trades} winRate=${fmt(summary.winRate === null ? NaN : summary.winRate * 100, 1)}% netPnl=${fmt(summary.netPnlUsd)} fee=${fmt(summary.feeUsd)} PF=${fmt(summary.profitFactor ?? NaN)} maxDD=${fmt(summary.maxDrawdownUsd)}`);
+  console.log(`  entries=${summary.entries} partial=${summary.partialEntries} unfilled=${summary.unfilledEntries} avgEntrySlip=${fmt(summary.avgEntrySlippageBps ?? NaN)}bps`);
+  console.log(`[replay_backtest] done out=${path.resolve(args.outDir)}`);
+}
+
+main().catch((err) => {
+  console.error('[replay_backtest] failed:', err?.message || err);
+  process.exit(1);
+});
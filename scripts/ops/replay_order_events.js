@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+// 注文ライフサイクルの再構築
+// logs/order_events.jsonl（orderTracker の監査ログ）や raw-*.jsonl（orderUpdates / userFills 行）を
+// 順に流し込み、最終的な注文状態を表示する。--write で ws/order_tracker.json を上書きする。
+import fs from 'fs';
+import path from 'path';
+import minimist from 'minimist';
+import { replayOrderEvents, getTrackedOrder, getWorkingOrders } from '../../executor/orderTracker.js';
+
+function parseArgs(argv) {
+  const args = minimist(argv, {
+    boolean: ['write', 'json'],
+    string: ['order'],
+    default: {
+      write: false,
+      json: false,
+    },
+  });
+  return {
+    files: args._.map(String),
+    write: args.write === true,
+    json: args.json === true,
+    order: args.order ? String(args.order) : null,
+  };
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const files = args.files.length > 0
+    ? args.files
+    : [path.join(process.cwd(), 'logs', 'order_events.jsonl')];
+  const lines = [];
+  for (const file of files) {
+    if (!fs.existsSync(file)) {
+      console.error(`[replay_order_events] not found: ${file}`);
+      process.exit(1);
+    }
+    lines.push(...fs.readFileSync(file, 'utf8').split('\n'));
+  }
+  const result = replayOrderEvents(lines, { persist: args.write });
+  const out = {
+    files,
+    applied: result.applied,
+    skipped: result.skipped,
+    snapshot: result.snapshot,
+    working: getWorkingOrders(),
+    order: args.order ? getTrackedOrder(args.order) : undefined,
+    written: args.write,
+  };
+  if (args.json) {
+    console.log(JSON.stringify(out, null, 2));
+    return;
+  }
+  console.log(`[replay_order_events] applied=${out.applied} skipped=${out.skipped} total=${out.snapshot.total}`);
+  for (const [status, count] of Object.entries(out.snapshot.counts)) {
+    console.log(`  ${status}: ${count}`);
+  }
+  for (const w of out.working) {
+    console.log(`  working ${w.clientOrderId} ${w.coin} ${w.side} ${w.status} filled=${w.filledSize}/${w.requestedSize}`);
+  }
+  if (out.order) console.log(JSON.stringify(out.order, null, 2));
+  if (args.write) console.log('[replay_order_events] tracker state written');
+}
+
+main();
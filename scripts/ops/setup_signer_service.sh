@@ -5,4 +5,5 @@ ROOT_DIR="$(cd "$(dirname "$0")/../.." && pwd)"
 echo "[INFO] signer service setup helper"
 echo "[INFO] this repository does not include signer_adapter runtime files."
 echo "[INFO] configure your signer service separately, then set SIGNER_ADAPTER_URL in $ROOT_DIR/.env.local"
+echo "[INFO] or use the in-process signer: npm run ops:signer -- create, approve the agent, then set SIGNER_MODE=builtin"
 exit 1
@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+// シャドー variant（config/shadow/<name>.json）の一覧・通算成績・昇格
+//   list                             variant と現行 trade.json との差分
+//   report [--json]                  variant ごとの売買ログから通算成績（PnL / 勝率 / 決済理由）
+//   promote NAME [--note TEXT]       variant を trade.json に適用（稼働中の runtime はホットリロードで反映）
+// 場所: SHADOW_VARIANTS_DIR（既定 config/shadow）/ 売買ログ SHADOW_LOG_DIR（既定 <trades.jsonl のディレクトリ>/shadow）
+// ランナーは runtime を SHADOW_VARIANTS_ENABLED=1 で起動すると動く
+import fs from 'fs';
+import path from 'path';
+import minimist from 'minimist';
+import { fileURLToPath } from 'url';
+import { diffTradeConfig, writeTradeConfig } from '../../config/tradeHistory.js';
+import {
+  listShadowVariants,
+  buildShadowVariantRaw,
+  resolveShadowVariantsDir,
+  resolveShadowTradesPath,
+  createShadowStats,
+  addShadowTrade,
+  snapshotShadowStats,
+} from '../../ws/shadowVariants.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const ROOT = path.resolve(path.dirname(__filename), '..', '..');
+const TRADE_PATH = path.join(ROOT, 'config', 'trade.json');
+
+function parseArgs(argv) {
+  const args = minimist(argv, {
+    string: ['note'],
+    boolean: ['json'],
+  });
+  return {
+    command: String(args._[0] ?? ''),
+    rest: args._.slice(1).map(String),
+    note: args.note ? String(args.note) : null,
+    json: args.json === true,
+  };
+}
+
+function fmtValue(v) {
+  return v === undefined ? '-' : JSON.stringify(v);
+}
+
+function fmtNum(v, digits = 2) {
+  return Number.isFinite(v) ? v.toFixed(digits) : '-';
+}
+
+function readCurrent() {
+  return JSON.parse(fs.readFileSync(TRADE_PATH, 'utf8'));
+}
+
+function loadStats(name) {
+  const stats = createShadowStats();
+  const file = resolveShadowTradesPath(name);
+  if (!fs.existsSync(file)) return { file, stats, firstTs: null, lastTs: null };
+  let firstTs = null;
+  let lastTs = null;
+  for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (_) {
+      continue; // 途中で切れた行は無視
+    }
+    addShadowTrade(stats, record);
+    const ts = Number(record?.timestampExit ?? record?.timestamp ?? record?.ts);
+    if (Number.isFinite(ts)) {
+      firstTs = firstTs === null ? ts : Math.min(firstTs, ts);
+      lastTs = lastTs === null ? ts : Math.max(lastTs, ts);
+    }
+  }
+  return { file, stats, firstTs, lastTs };
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const dir = resolveShadowVariantsDir();
+  if (args.command === 'list') {
+    const variants = listShadowVariants(dir);
+    if (variants.length === 0) {
+      console.log(`[shadow] no variants in ${dir}`);
+      return;
+    }
+    const current = readCurrent();
+    for (const v of variants) {
+      if (v.error) {
+        console.log(`${v.name}: ERROR ${v.error}`);
+        continue;
+      }
+      const diff = diffTradeConfig(current, buildShadowVariantRaw(v.patch, TRADE_PATH));
+      console.log(`${v.name}: changes=${diff.length}`);
+      for (const d of diff) console.log(`  ${d.path}: ${fmtValue(d.before)} -> ${fmtValue(d.after)}`);
+    }
+    return;
+  }
+  if (args.command === 'report') {
+    const names = ['baseline', ...listShadowVariants(dir).filter(v => !v.error).map(v => v.name)];
+    const rows = names.map((name) => {
+      const { file, stats, firstTs, lastTs } = loadStats(name);
+      const snap = snapshotShadowStats(stats);
+      return {
+        name,
+        file: path.relative(ROOT, file),
+        firstTs,
+        lastTs,
+        trades: snap.trades,
+        winRatePct: snap.winRatePct,
+        pnlUsd: snap.pnlUsd,
+        avgPnlUsd: snap.avgPnlUsd,
+        profitFactor: snap.profitFactor,
+        exitReasonPct: snap.exitReasonPct,
+      };
+    });
+    if (args.json) {
+      console.log(JSON.stringify(rows, null, 2));
+      return;
+    }
+    console.log(`${'name'.padEnd(32)} ${'trades'.padStart(6)} ${'win%'.padStart(6)} ${'pnlUsd'.padStart(10)} ${'avgUsd'.padStart(8)} ${'pf'.padStart(6)}  exits`);
+    for (const r of rows) {
+      const exits = Object.entries(r.exitReasonPct).map(([k, v]) => `${k}=${v}%`).join(' ');
+      console.log(`${r.name.padEnd(32)} ${String(r.trades).padStart(6)} ${fmtNum(r.winRatePct, 1).padStart(6)} ${fmtNum(r.pnlUsd).padStart(10)} ${fmtNum(r.avgPnlUsd).padStart(8)} ${fmtNum(r.profitFactor).padStart(6)}  ${exits || '-'}`);
+    }
+    return;
+  }
+  if (args.command === 'promote') {
+    const name = args.rest[0];
+    if (!name) throw new Error('NAME is required');
+    const variant = listShadowVariants(dir).find(v => v.name === name);
+    if (!variant) throw new Error(`no shadow variant named ${name} in ${dir}`);
+    if (variant.error) throw new Error(`variant ${name} is invalid: ${variant.error}`);
+    const current = readCurrent();
+    const next = buildShadowVariantRaw(variant.patch, TRADE_PATH);
+    const diff = diffTradeConfig(current, next);
+    if (diff.length === 0) {
+      console.log(`[shadow] ${name} is already applied`);
+      return;
+    }
+    const backupPath = `${TRADE_PATH}.bak.${Date.now()}`;
+    fs.copyFileSync(TRADE_PATH, backupPath);
+    const snap = snapshotShadowStats(loadStats(name).stats);
+    const evidence = `trades=${snap.trades} win=${fmtNum(snap.winRatePct, 1)}% pnl=${fmtNum(snap.pnlUsd)}`;
+    const res = writeTradeConfig(next, {
+      author: 'shadow_promote',
+      note: args.note ?? `promote shadow variant ${name} (${evidence})`,
+      filePath: TRADE_PATH,
+    });
+    console.log(`[shadow] promoted ${name} -> ${res.hash.slice(0, 12)} (backup ${backupPath})`);
+    for (const d of diff) console.log(`  ${d.path}: ${fmtValue(d.before)} -> ${fmtValue(d.after)}`);
+    return;
+  }
+  console.error('usage: shadow_variants.js <list|report [--json]|promote NAME [--note TEXT]>');
+  process.exit(1);
+}
+
+try {
+  main();
+} catch (err) {
+  console.error('[shadow] failed:', err?.message || err);
+  process.exit(1);
+}
@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+// config/trade.json のスキーマ検査と版履歴
+//   validate [FILE]                  スキーマ検査（既定は config/trade.json。違反があれば exit 1）
+//   history  [--limit N]             適用された版の一覧（新しい順）
+//   show     HASH                    版の詳細（差分と本文）
+//   diff     HASH_A [HASH_B]         2つの版の差分（HASH_B 省略時は現在の trade.json）
+//   rollback HASH [--note TEXT]      指定した版に戻す（稼働中の runtime はホットリロードで反映）
+// 履歴の場所: TRADE_CONFIG_HISTORY_DIR（既定 config/history/trade）
+import fs from 'fs';
+import path from 'path';
+import minimist from 'minimist';
+import { fileURLToPath } from 'url';
+import { validateTradeConfig, formatTradeConfigIssues } from '../../config/tradeSchema.js';
+import {
+  listTradeConfigVersions,
+  loadTradeConfigVersion,
+  diffTradeConfig,
+  rollbackTradeConfig,
+  hashTradeConfigText,
+  resolveTradeHistoryDir,
+} from '../../config/tradeHistory.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const ROOT = path.resolve(path.dirname(__filename), '..', '..');
+const TRADE_PATH = path.join(ROOT, 'config', 'trade.json');
+
+function parseArgs(argv) {
+  const args = minimist(argv, {
+    string: ['note'],
+    default: { limit: 20 },
+  });
+  return {
+    command: String(args._[0] ?? ''),
+    rest: args._.slice(1).map(String),
+    limit: Number(args.limit),
+    note: args.note ? String(args.note) : null,
+  };
+}
+
+function fmtTs(ts) {
+  return Number.isFinite(ts) ? new Date(ts).toISOString() : '-';
+}
+
+function fmtValue(v) {
+  return v === undefined ? '-' : JSON.stringify(v);
+}
+
+function printDiff(diff) {
+  if (diff.length === 0) {
+    console.log('  (no changes)');
+    return;
+  }
+  for (const d of diff) console.log(`  ${d.path}: ${fmtValue(d.before)} -> ${fmtValue(d.after)}`);
+}
+
+function readCurrent() {
+  const raw = fs.readFileSync(TRADE_PATH, 'utf8');
+  return { raw, hash: hashTradeConfigText(raw), config: JSON.parse(raw) };
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.command === 'validate') {
+    const file = args.rest[0] ?? TRADE_PATH;
+    let parsed;
+    try {
+      parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      console.error(`[trade_config] ${file}: ${err.message}`);
+      process.exit(1);
+    }
+    const result = validateTradeConfig(parsed);
+    if (result.warnings.length > 0) console.log(`warnings:\n${formatTradeConfigIssues(result.warnings, Infinity)}`);
+    if (!result.ok) {
+      console.error(`errors:\n${formatTradeConfigIssues(result.errors, Infinity)}`);
+      process.exit(1);
+    }
+    console.log(`[trade_config] ${file}: OK`);
+    return;
+  }
+  if (args.command === 'history') {
+    const versions = listTradeConfigVersions();
+    const current = fs.existsSync(TRADE_PATH) ? readCurrent().hash : null;
+    if (versions.length === 0) {
+      console.log(`[trade_config] no history in ${resolveTradeHistoryDir()}`);
+      return;
+    }
+    const limit = Number.isFinite(args.limit) && args.limit > 0 ? args.limit : versions.length;
+    for (const v of versions.slice(-limit).reverse()) {
+      const mark = v.hash === current ? '*' : ' ';
+      console.log(`${mark} ${v.hash.slice(0, 12)}  ${fmtTs(v.appliedAt)}  ${v.author.padEnd(12)} changes=${v.changes}${v.note ? `  ${v.note}` : ''}`);
+    }
+    return;
+  }
+  if (args.command === 'show') {
+    if (!args.rest[0]) throw new Error('HASH is required');
+    const v = loadTradeConfigVersion(args.rest[0]);
+    console.log(`hash     : ${v.hash}`);
+    console.log(`applied  : ${fmtTs(v.appliedAt)}`);
+    console.log(`author   : ${v.author}`);
+    console.log(`note     : ${v.note ?? '-'}`);
+    console.log(`parent   : ${v.parent ?? '-'}`);
+    console.log('diff     :');
+    printDiff(v.diff ?? []);
+    console.log('config   :');
+    process.stdout.write(v.raw);
+    return;
+  }
+  if (args.command === 'diff') {
+    if (!args.rest[0]) throw new Error('HASH_A is required');
+    const a = loadTradeConfigVersion(args.rest[0]);
+    const b = args.rest[1] ? loadTradeConfigVersion(args.rest[1]) : readCurrent();
+    console.log(`${a.hash.slice(0, 12)} -> ${b.hash.slice(0, 12)}${args.rest[1] ? '' : ' (current)'}`);
+    printDiff(diffTradeConfig(a.config, b.config));
+    return;
+  }
+  if (args.command === 'rollback') {
+    if (!args.rest[0]) throw new Error('HASH is required');
+    const target = loadTradeConfigVersion(args.rest[0]);
+    const current = readCurrent();
+    if (current.hash === target.hash) {
+      console.log(`[trade_config] already at ${target.hash.slice(0, 12)}`);
+      return;
+    }
+    const backupPath = `${TRADE_PATH}.bak.${Date.now()}`;
+    fs.copyFileSync(TRADE_PATH, backupPath);
+    const res = rollbackTradeConfig(target.hash, { note: args.note ?? undefined, filePath: TRADE_PATH });
+    console.log(`[trade_config] rolled back ${current.hash.slice(0, 12)} -> ${res.hash.slice(0, 12)} (backup ${backupPath})`);
+    printDiff(diffTradeConfig(current.config, target.config));
+    return;
+  }
+  console.error('usage: trade_config.js <validate [FILE]|history [--limit N]|show HASH|diff HASH_A [HASH_B]|rollback HASH [--note TEXT]>');
+  process.exit(1);
+}
+
+try {
+  main();
+} catch (err) {
+  console.error('[trade_config] failed:', err?.message || err);
+  process.exit(1);
+}
@@ -0,0 +1,456 @@
+// 決定論的リプレイ・バックテスト
+// - raw-*.jsonl(.gz) を実際の ws ハンドラ → io.handleEvent → decideTrade → updateEngine に流す
+// - 時刻は core/clock.js の replay 時計（clockNow を記録時刻に。未移行コード向けに Date.now / setInterval も差し替え）
+//   engine tick は runtime と同じ 1 秒周期で記録時刻上に刻む
+// - 約定は Mock HL 取引所の約定エンジン（scripts/mock_exchange/matchingEngine.js）で記録板に IOC を当てて決める
+//   エントリーは実約定を engine/execution.js 経由で engine に戻し、決済は engine の決済判定に合わせて板で約定させる
+// - 出力: trades.jsonl（板約定ベースの決済 1 約定 1 行。legId で建玉単位にまとまる）/ summary.json（KPI）/ engine_trades.jsonl（engine 自身のトレードログ）
+//
+// 注意: io / logic / engine はモジュール状態を持つので 1 プロセス 1 回だけ実行できる
+
+import fs from 'fs';
+import path from 'path';
+import { loadReplayMessages } from '../mock_exchange/replayFeed.js';
+import { createMatchingEngine } from '../mock_exchange/matchingEngine.js';
+import { createReplayClock, setClock, resetClock } from '../../core/clock.js';
+
+const SIZE_EPS = 1e-9;
+const DEFAULT_TICK_MS = 1000;
+const IO_YIELD_EVERY = 1000;
+
+function toFiniteNumber(value, fallback = null) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function sideSign(side) {
+  return String(side).toLowerCase() === 'buy' ? 1 : -1;
+}
+
+function slippageBps(side, assumedPx, fillPx) {
+  if (!(assumedPx > 0) || !(fillPx > 0)) return null;
+  // 不利方向を正（買いは高く、売りは安く約定したら +）
+  return sideSign(side) * ((fillPx - assumedPx) / assumedPx) * 10000;
+}
+
+/**
+ * 決済行（部分決済は複数行）→ 建玉単位にまとめる
+ */
+function groupByLeg(rows) {
+  const byLeg = new Map();
+  for (const r of rows) {
+    const g = byLeg.get(r.legId);
+    if (!g) {
+      byLeg.set(r.legId, { grossPnlUsd: r.grossPnlUsd, feeUsd: r.feeUsd, netPnlUsd: r.netPnlUsd, holdMs: r.holdMs, entrySlippageBps: r.entrySlippageBps });
+      continue;
+    }
+    g.grossPnlUsd += r.grossPnlUsd;
+    g.feeUsd += r.feeUsd;
+    g.netPnlUsd += r.netPnlUsd;
+    g.holdMs = Math.max(g.holdMs, r.holdMs);
+  }
+  return Array.from(byLeg.values());
+}
+
+/**
+ * 板約定ベースの決済行 → KPI（勝率・PF・DD は建玉単位、DD は決済行の時系列で見る）
+ * @param {Array<object>} rows
+ * @param {object} extra
+ */
+export function computeReplayKpi(rows, extra = {}) {
+  let cum = 0;
+  let peak = 0;
+  let maxDrawdownUsd = 0;
+  for (const r of rows) {
+    cum += r.netPnlUsd;
+    peak = Math.max(peak, cum);
+    maxDrawdownUsd = Math.max(maxDrawdownUsd, peak - cum);
+  }
+  const trades = groupByLeg(rows);
+  const n = trades.length;
+  const wins = trades.filter(t => t.netPnlUsd > 0);
+  const grossWin = wins.reduce((acc, t) => acc + t.netPnlUsd, 0);
+  const grossLoss = trades.filter(t => t.netPnlUsd <= 0).reduce((acc, t) => acc - t.netPnlUsd, 0);
+  const slips = trades.map(t => t.entrySlippageBps).filter(v => v !== null);
+  return {
+    trades: n,
+    exitFills: rows.length,
+    wins: wins.length,
+    losses: n - wins.length,
+    winRate: n > 0 ? wins.length / n : null,
+    netPnlUsd: cum,
+    grossPnlUsd: trades.reduce((acc, t) => acc + t.grossPnlUsd, 0),
+    feeUsd: trades.reduce((acc, t) => acc + t.feeUsd, 0),
+    profitFactor: grossLoss > 0 ? grossWin / grossLoss : null,
+    avgNetPnlUsd: n > 0 ? cum / n : null,
+    maxDrawdownUsd,
+    avgHoldMs: n > 0 ? trades.reduce((acc, t) => acc + t.holdMs, 0) / n : null,
+    avgEntrySlippageBps: slips.length > 0 ? slips.reduce((a, b) => a + b, 0) / slips.length : null,
+    ...extra
+  };
+}
+
+/**
+ * @param {{
+ *   files?: string[],
+ *   messages?: Array<{ ts: number, message: any }>,
+ *   outDir: string,
+ *   meta: { universe: Array<{ name: string }> },
+ *   tickMs?: number,
+ *   maxSlippageBps?: number,
+ *   liquidityRatio?: number,
+ *   equity?: number,
+ *   closeAtEnd?: boolean,
+ *   quiet?: boolean,
+ * }} opts
+ * @returns {Promise<object>} KPI summary
+ */
+export async function runReplayBacktest(opts) {
+  const messages = opts.messages ?? loadReplayMessages(opts.files ?? []);
+  if (messages.length === 0) throw new Error('no replayable messages (l2Book / trades / activeAssetCtx)');
+  const outDir = path.resolve(opts.outDir);
+  fs.mkdirSync(outDir, { recursive: true });
+  const tickMs = Math.max(1, toFiniteNumber(opts.tickMs, DEFAULT_TICK_MS));
+  const maxSlippageBps = Math.max(0, toFiniteNumber(opts.maxSlippageBps, 50));
+  const closeAtEnd = opts.closeAtEnd !== false;
+  const universe = Array.isArray(opts.meta?.universe) ? opts.meta.universe : [];
+
+  // 外部 I/O を止めて出力先を outDir に寄せる（モジュール読み込み前に設定する必要がある）
+  process.env.MODE = 'test';
+  process.env.ENGINE_STATE_PATH = path.join(outDir, 'engine_state.json');
+  process.env.LOG_TRADES_PATH = path.join(outDir, 'engine_trades.jsonl');
+  process.env.DECISION_TRACE_DIR = path.join(outDir, 'decision_traces');
+  process.env.LIQ_CASCADE_LOG_PATH = path.join(outDir, 'liq_cascade_triggers.jsonl');
+  process.env.TRADE_CONFIG_HISTORY_DIR = path.join(outDir, 'config_history');
+  process.env.BAR1H_BACKFILL_ENABLED = '0';
+  process.env.BAR15M_BACKFILL_ENABLED = '0';
+  process.env.WS_RAW_LOG_ENABLED = '0';
+  process.env.LINE_NOTIFY_ENABLED = '0';
+  globalThis.__runtimeActive = true;
+
+  const clock = createReplayClock({ startMs: messages[0].ts });
+  const realConsole = { log: console.log, warn: console.warn, info: console.info, debug: console.debug };
+  if (opts.quiet) {
+    console.log = () => {};
+    console.warn = () => {};
+    console.info = () => {};
+    console.debug = () => {};
+  }
+  setClock(clock);
+  clock.installGlobals();
+  try {
+    const { handleOrderbook } = await import('../../ws/handlers/orderbook.js');
+    const { handleTrades } = await import('../../ws/handlers/trades.js');
+    const { handleActiveCtx } = await import('../../ws/handlers/activeCtx.js');
+    const { bindUpdateMarketState, getIOPacket } = await import('../../io/index.js');
+    const { createInitialState, updateMarketState } = await import('../../engine/state.js');
+    const { updateEngine, touchTick, evaluateSafety } = await import('../../engine/update.js');
+    const { applyExecutionUpdate } = await import('../../engine/execution.js');
+    const { applyPortfolioRisk, collectPortfolioPositions } = await import('../../engine/portfolioRisk.js');
+    const { createDecisionPipeline } = await import('../../logic/index.js');
+    const { evaluateDataState } = await import('../../ws/status/evaluator.js');
+    const { markLayer } = await import('../../ws/status/tracker.js');
+    const { STOP_REASONS } = await import('../../core/stopReasons.js');
+    const { getTradeConfig } = await import('../../config/trade.js');
+    const { getInitialCapitalUsd } = await import('../../config/capital.js');
+    bindUpdateMarketState(updateMarketState);
+
+    const handlers = {
+      l2Book: handleOrderbook,
+      trades: handleTrades,
+      activeAssetCtx: handleActiveCtx
+    };
+    const accountEquity = toFiniteNumber(opts.equity, null) ?? getInitialCapitalUsd();
+    let orderFills = [];
+    const exchange = createMatchingEngine({
+      meta: opts.meta,
+      equity: accountEquity,
+      liquidityRatio: opts.liquidityRatio,
+      now: clock.now,
+      onUserFills: (fills) => { orderFills.push(...fills); }
+    });
+
+    const states = new Map();   // coin → engineState
+    const legs = new Map();     // coin → 板約定ベースの建玉
+    const pendingExit = new Map(); // coin → { size, reason, assumedPx }（板が薄くて残った決済）
+    const lastMid = new Map();
+    const pipelines = new Map(); // coin → 判定パイプライン（構造スナップショット等を銘柄間で共有しない）
+    const trades = [];
+    const counters = { ticks: 0, entries: 0, partialEntries: 0, unfilledEntries: 0, exitOrders: 0, exitResiduals: 0 };
+    let orderSeq = 0;
+
+    const publishStates = () => {
+      global.engineStates = Object.fromEntries(states);
+      global.engineState = states.values().next().value ?? null;
+    };
+    const stateOf = (coin) => {
+      if (!states.has(coin)) {
+        states.set(coin, createInitialState());
+        publishStates();
+      }
+      return states.get(coin);
+    };
+    const pipelineOf = (coin) => {
+      if (!pipelines.has(coin)) pipelines.set(coin, createDecisionPipeline(null, { coin }));
+      return pipelines.get(coin);
+    };
+
+    const sendIoc = (coin, isBuy, size, refPx, reduceOnly) => {
+      const asset = universe.findIndex(u => u?.name === coin);
+      if (asset < 0) return { filledSize: 0, avgPx: null, feeUsd: 0, error: `coin not in meta: ${coin}` };
+      const limitPx = refPx * (1 + (isBuy ? 1 : -1) * (maxSlippageBps / 10000));
+      orderFills = [];
+      const resp = exchange.handleAction({
+        type: 'order',
+        grouping: 'na',
+        orders: [{ asset, isBuy, limitPx, sz: size, reduceOnly, orderType: { limit: { tif: 'Ioc' } } }]
+      });
+      const fills = orderFills;
+      orderFills = [];
+      const status = resp?.response?.data?.statuses?.[0] ?? null;
+      const filledSize = fills.reduce((acc, f) => acc + Number(f.sz), 0);
+      const feeUsd = fills.reduce((acc, f) => acc + Number(f.fee), 0);
+      const avgPx = filledSize > 0 ? fills.reduce((acc, f) => acc + Number(f.px) * Number(f.sz), 0) / filledSize : null;
+      return { filledSize, avgPx, feeUsd, error: status?.error ?? null };
+    };
+
+    const closeLeg = (coin, size, reason, assumedPx) => {
+      const leg = legs.get(coin);
+      if (!leg || leg.size <= SIZE_EPS) {
+        pendingExit.delete(coin);
+        return;
+      }
+      const qty = Math.min(size, leg.size);
+      const refPx = toFiniteNumber(assumedPx, null) ?? lastMid.get(coin);
+      if (!(refPx > 0)) return;
+      counters.exitOrders += 1;
+      const fill = sendIoc(coin, leg.side !== 'buy', qty, refPx, true);
+      if (fill.filledSize > SIZE_EPS) {
+        const share = fill.filledSize / leg.size;
+        const entryFeeShare = leg.entryFeeUsd * share;
+        const grossPnlUsd = (fill.avgPx - leg.entryPx) * fill.filledSize * sideSign(leg.side);
+        const feeUsd = entryFeeShare + fill.feeUsd;
+        const exitTs = clock.now();
+        trades.push({
+          tradeNo: trades.length + 1,
+          legId: leg.legId,
+          coin,
+          side: leg.side,
+          entryTs: leg.entryTs,
+          exitTs,
+          holdMs: exitTs - leg.entryTs,
+          size: fill.filledSize,
+          entryPx: leg.entryPx,
+          exitPx: fill.avgPx,
+          assumedEntryPx: leg.assumedEntryPx,
+          assumedExitPx: refPx,
+          entrySlippageBps: leg.entrySlippageBps,
+          exitSlippageBps: slippageBps(leg.side === 'buy' ? 'sell' : 'buy', refPx, fill.avgPx),
+          grossPnlUsd,
+          feeUsd,
+          netPnlUsd: grossPnlUsd - feeUsd,
+          entryReason: leg.entryReason,
+          exitReason: reason,
+          partial: fill.filledSize + SIZE_EPS < leg.size
+        });
+        leg.size -= fill.filledSize;
+        leg.entryFeeUsd -= entryFeeShare;
+      }
+      const residual = qty - fill.filledSize;
+      if (leg.size <= SIZE_EPS) {
+        legs.delete(coin);
+        pendingExit.delete(coin);
+      } else if (residual > SIZE_EPS) {
+        if (!pendingExit.has(coin)) counters.exitResiduals += 1;
+        pendingExit.set(coin, { size: residual, reason, assumedPx: refPx });
+      } else {
+        pendingExit.delete(coin);
+      }
+    };
+
+    const openLeg = (coin, pos, ts, reason) => {
+      const requestedSize = toFiniteNumber(pos.size, 0);
+      const assumedPx = toFiniteNumber(pos.entryPx, null) ?? lastMid.get(coin);
+      orderSeq += 1;
+      const clientOrderId = `replay-${coin}-${orderSeq}`;
+      counters.entries += 1;
+      const fill = requestedSize > 0 && assumedPx > 0
+        ? sendIoc(coin, pos.side === 'buy', requestedSize, assumedPx, false)
+        : { filledSize: 0, avgPx: null, feeUsd: 0, error: 'invalid_entry' };
+      if (fill.filledSize > SIZE_EPS) {
+        if (fill.filledSize + SIZE_EPS < requestedSize) counters.partialEntries += 1;
+        legs.set(coin, {
+          legId: clientOrderId,
+          side: pos.side,
+          size: fill.filledSize,
+          entryPx: fill.avgPx,
+          entryTs: ts,
+          entryFeeUsd: fill.feeUsd,
+          assumedEntryPx: assumedPx,
+          entrySlippageBps: slippageBps(pos.side, assumedPx, fill.avgPx),
+          entryReason: reason
+        });
+      } else {
+        counters.unfilledEntries += 1;
+      }
+      return {
+        intent: 'entry',
+        decisionId: pos.entryDecisionId,
+        clientOrderId,
+        status: fill.filledSize + SIZE_EPS >= requestedSize ? 'filled' : (fill.filledSize > SIZE_EPS ? 'cancelled' : 'rejected'),
+        terminal: true,
+        requestedSize,
+        filledSize: fill.filledSize,
+        avgPx: fill.avgPx,
+        feeUsd: fill.feeUsd,
+        lastError: fill.error,
+        updatedAt: ts
+      };
+    };
+
+    // engine の建玉変化 → 板での約定（決済 → 新規の順。ドテンは両方）
+    const syncFills = (coin, before, after, ts) => {
+      const reason = after.lastDecision?.reason ?? null;
+      const prevPos = before.openPosition ?? null;
+      const nextPos = after.openPosition ?? null;
+      const sameLeg = prevPos && nextPos && prevPos.side === nextPos.side && prevPos.entryTs === nextPos.entryTs;
+      if (prevPos && !sameLeg) {
+        closeLeg(coin, Infinity, reason, after.market?.midPx);
+      } else if (sameLeg && nextPos.size < prevPos.size - SIZE_EPS) {
+        closeLeg(coin, prevPos.size - nextPos.size, reason, after.market?.midPx);
+      }
+      if (nextPos && !sameLeg) {
+        const summary = openLeg(coin, nextPos, ts, reason);
+        return applyExecutionUpdate(after, summary, ts);
+      }
+      return after;
+    };
+
+    const tickCoin = (coin) => {
+      let engineState = stateOf(coin);
+      const ioPacket = getIOPacket(coin);
+      const market = ioPacket?.marketState?.current ?? null;
+      if (!market) return;
+      const dataStatus = evaluateDataState({ c: ioPacket?.ioMetrics?.c ?? null, ioMetrics: ioPacket?.ioMetrics });
+      const marketTs = ioPacket?.timestamp ?? clock.now();
+      const marketState = { ...market, ts: marketTs };
+      const constraints = ioPacket?.ioMetrics?.constraints ?? [];
+      const hasWarmup = constraints.some(c => c === 'warmup' || (typeof c === 'object' && c?.type === 'warmup'));
+
+      // runtime と同じく DATA_STALE は鮮度回復で解除（記録の欠損区間で止まったままにしない）
+      const dataFreshness = ioPacket?.ioMetrics?.dataFreshness;
+      if (engineState.safety?.status === 'HALTED' && engineState.safety?.reason === 'DATA_STALE' && dataFreshness === 'OK') {
+        const warming = ioPacket?.ioMetrics?.freshnessHint === 'WARMUP_BAR1H' && !(ioPacket?.ioMetrics?.bar1hState?.ready ?? false);
+        engineState.safety.status = 'ACTIVE';
+        engineState.safety.reason = warming ? 'WARMUP' : null;
+        engineState.safety.since = warming ? clock.now() : null;
+        engineState.lastMarketAtMs = clock.now();
+        dataStatus.dataState = 'OK';
+        dataStatus.stopReason = null;
+      }
+
+      let decision;
+      if (hasWarmup) {
+        decision = { side: 'none', size: 0, reason: 'warmup_in_progress' };
+      } else if (dataStatus.dataState && dataStatus.dataState !== 'OK') {
+        decision = { side: 'none', size: 0, reason: dataStatus.stopReason ?? STOP_REASONS.WAIT_TRADES };
+      } else {
+        decision = pipelineOf(coin).decideTrade({
+          ...ioPacket,
+          market,
+          accountEquity,
+          engineState,
+          mode: 'test',
+          wsState: dataStatus?.dataState ?? null,
+          skippedSnapshot: null
+        });
+        if (decision && !decision.decisionId) {
+          decision = { ...decision, decisionId: typeof ioPacket?.decisionId === 'string' ? ioPacket.decisionId : `replay_${coin}_${marketTs}` };
+        }
+        const portfolioCheck = applyPortfolioRisk(coin, decision, {
+          positions: collectPortfolioPositions(Array.from(states, ([c, s]) => ({
+            coin: c,
+            position: legs.has(c) ? { side: legs.get(c).side, size: legs.get(c).size, entryPx: legs.get(c).entryPx } : null,
+            markPx: lastMid.get(c)
+          }))),
+          midPx: marketState.midPx,
+          openPosition: engineState.openPosition,
+          tradeConfig: getTradeConfig()
+        });
+        if (portfolioCheck.blocked || portfolioCheck.scaled) decision = portfolioCheck.decision;
+      }
+
+      const before = engineState;
+      engineState = updateEngine(engineState, marketState, decision, marketTs);
+      engineState.market = marketState;
+      engineState = syncFills(coin, before, engineState, clock.now());
+      touchTick(engineState);
+      if (engineState.safety?.status !== 'ACTIVE') evaluateSafety(engineState);
+      states.set(coin, engineState);
+      publishStates();
+    };
+
+    clock.setInterval(() => {
+      counters.ticks += 1;
+      for (const coin of Array.from(states.keys()).sort()) {
+        try {
+          tickCoin(coin);
+        } catch (err) {
+          console.error(`[replay] engine tick failed coin=${coin}`, err?.message || err);
+        }
+      }
+    }, tickMs);
+
+    for (let i = 0; i < messages.length; i += 1) {
+      const { ts, message } = messages[i];
+      // 実 I/O（engine のトレードログ追記など）を詰まらせないよう時々イベントループに戻す（仮想時刻には影響しない）
+      if (i > 0 && i % IO_YIELD_EVERY === 0) await new Promise(resolve => setImmediate(resolve));
+      clock.advanceTo(ts);
+      const handler = handlers[message.channel];
+      if (!handler) continue;
+      // ws/index.js と同じく受信ごとに WS 層の到達を記録（evaluateDataState の WAIT_WS 判定用）
+      markLayer('WS');
+      const coin = message.channel === 'trades'
+        ? (Array.isArray(message.data) ? message.data[0]?.coin : null)
+        : message.data?.coin;
+      if (typeof coin === 'string' && coin) stateOf(coin);
+      if (message.channel === 'l2Book') {
+        exchange.applyBook(message.data);
+        const bid = toFiniteNumber(message.data?.levels?.[0]?.[0]?.px, null);
+        const ask = toFiniteNumber(message.data?.levels?.[1]?.[0]?.px, null);
+        if (bid !== null && ask !== null) lastMid.set(coin, (bid + ask) / 2);
+      }
+      await handler({ ts, channel: message.channel === 'l2Book' ? 'orderbook' : message.channel, data: message });
+      if (message.channel === 'l2Book' && pendingExit.has(coin)) {
+        const p = pendingExit.get(coin);
+        closeLeg(coin, p.size, p.reason, p.assumedPx);
+      }
+    }
+    const endTs = messages[messages.length - 1].ts;
+    clock.advanceTo(endTs);
+
+    const openAtEnd = Array.from(legs.keys());
+    if (closeAtEnd) {
+      for (const coin of openAtEnd) closeLeg(coin, Infinity, 'replay_end', lastMid.get(coin));
+    }
+
+    const summary = computeReplayKpi(trades, {
+      startTs: messages[0].ts,
+      endTs,
+      messages: messages.length,
+      coins: Array.from(states.keys()).sort(),
+      ...counters,
+      openAtEnd: closeAtEnd ? Array.from(legs.keys()) : openAtEnd,
+      maxSlippageBps,
+      liquidityRatio: toFiniteNumber(opts.liquidityRatio, 1),
+      tickMs
+    });
+    fs.writeFileSync(path.join(outDir, 'trades.jsonl'), trades.map(t => JSON.stringify(t)).join('\n') + (trades.length > 0 ? '\n' : ''), 'utf8');
+    fs.writeFileSync(path.join(outDir, 'summary.json'), `${JSON.stringify(summary, null, 2)}\n`, 'utf8');
+    return summary;
+  } finally {
+    clock.restoreGlobals();
+    resetClock();
+    Object.assign(console, realConsole);
+  }
+}
@@ -0,0 +1,341 @@
+// ws/controlApi.js
+// 運用コントロール API（トークン認証）
+//   GET  /api/control/state                                   停止状態・強制決済待ち
+//   POST /api/control/pause   { reason, coins? }              新規エントリー停止（coins 省略で全銘柄）。決済・建玉管理は止めない
+//   POST /api/control/resume  { reason, coins? }              停止解除（coins 省略で全解除）
+//   POST /api/control/flatten { reason, coins?, pause? }      建玉をすべて閉じる（既定で新規も停止）
+//   POST /api/control/exit    { reason, coin }                1 銘柄を理由付きで強制決済
+//   POST /api/control/config  { reason, patch, dryRun? }      trade.json の部分パッチ（スキーマ検査 → 版記録 → 即時反映）
+// - 認証: Authorization: Bearer <token>。CONTROL_API_TOKENS="name:token,..."（操作者名つき）または CONTROL_API_TOKEN（name=operator）
+//   どちらも未設定なら 503（API 無効）
+// - すべての操作（認証失敗も含む）を CONTROL_AUDIT_PATH（既定 logs/control_audit.jsonl）に「誰が・何を・なぜ」で 1 行追記し、
+//   bridgeEmitter 'CONTROL_ACTION' でダッシュボードのイベントバッファへ流す
+// - 停止状態は ws/control_state.json に保存（再起動しても勝手に再開しない）
+// - 決済は engine の決済経路で次の tick に行う（takeForcedExit）。live では executor の flattenPosition で取引所の建玉も閉じる
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import bridgeEmitter from '../core/bridgeEmitter.js';
+import { clockNow } from '../core/clock.js';
+import { diffTradeConfig, mergeTradeConfigPatch, writeTradeConfig } from '../config/tradeHistory.js';
+import { validateTradeConfig } from '../config/tradeSchema.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT = path.resolve(__dirname, '..');
+const TRADE_CONFIG_PATH = path.join(ROOT, 'config', 'trade.json');
+const DEFAULT_STATE_PATH = path.join(__dirname, 'control_state.json');
+const MAX_BODY_BYTES = 64 * 1024;
+const MAX_REASON_LENGTH = 500;
+
+export function resolveControlAuditPath(env = process.env) {
+  const override = env?.CONTROL_AUDIT_PATH;
+  if (override && String(override).trim().length > 0) {
+    return path.resolve(process.cwd(), String(override).trim());
+  }
+  return path.resolve(process.cwd(), 'logs/control_audit.jsonl');
+}
+
+/**
+ * トークン → 操作者名
+ * @returns {Map<string, string>}
+ */
+export function parseControlTokens(env = process.env) {
+  const tokens = new Map();
+  for (const part of String(env?.CONTROL_API_TOKENS ?? '').split(',')) {
+    const idx = part.indexOf(':');
+    if (idx <= 0) continue;
+    const name = part.slice(0, idx).trim();
+    const token = part.slice(idx + 1).trim();
+    if (name && token) tokens.set(token, name);
+  }
+  const single = String(env?.CONTROL_API_TOKEN ?? '').trim();
+  if (single) tokens.set(single, 'operator');
+  return tokens;
+}
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(String(text)).digest();
+}
+
+// 長さに依存しない比較（全トークンと突き合わせる）
+function resolveActor(tokens, header) {
+  const m = /^Bearer\s+(.+)$/i.exec(String(header ?? '').trim());
+  if (!m) return null;
+  const presented = sha256(m[1].trim());
+  let actor = null;
+  for (const [token, name] of tokens) {
+    if (crypto.timingSafeEqual(presented, sha256(token))) actor = name;
+  }
+  return actor;
+}
+
+function sendJson(res, status, body, headers) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('request body too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      body += chunk;
+    });
+    req.on('end', () => {
+      if (!body.trim()) {
+        resolve({});
+        return;
+      }
+      try {
+        const parsed = JSON.parse(body);
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) throw new Error('body must be a JSON object');
+        resolve(parsed);
+      } catch (err) {
+        reject(Object.assign(new Error(`invalid JSON body: ${err.message}`), { status: 400 }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function badRequest(message, extra = {}) {
+  return Object.assign(new Error(message), { status: 400, ...extra });
+}
+
+function loadControlState(statePath) {
+  try {
+    if (!fs.existsSync(statePath)) return { pausedAll: null, pausedCoins: {} };
+    const parsed = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    return { pausedAll: parsed?.pausedAll ?? null, pausedCoins: { ...(parsed?.pausedCoins ?? {}) } };
+  } catch (err) {
+    console.error('[CONTROL] failed to load state:', err.message);
+    return { pausedAll: null, pausedCoins: {} };
+  }
+}
+
+/**
+ * @param {{
+ *   mode: string,
+ *   primaryCoin: string,
+ *   getCoins: () => string[],
+ *   getEngineState: (coin: string) => object|null,
+ *   onConfigApplied?: (result: { hash: string }) => void,
+ *   corsHeaders?: object,
+ *   env?: object,
+ *   statePath?: string
+ * }} options
+ */
+export function createControlApi(options) {
+  const env = options.env ?? process.env;
+  const tokens = parseControlTokens(env);
+  const auditPath = resolveControlAuditPath(env);
+  const statePath = options.statePath ?? DEFAULT_STATE_PATH;
+  const headers = options.corsHeaders ?? {};
+  const state = loadControlState(statePath);
+  const forcedExits = new Map(); // coin → { reason, note, actor, requestedAt }
+
+  function saveState() {
+    try {
+      fs.writeFileSync(statePath, JSON.stringify(state, null, 2));
+    } catch (err) {
+      console.error('[CONTROL] failed to save state:', err.message);
+    }
+  }
+
+  function audit(entry) {
+    const record = { ts: clockNow(), ...entry };
+    try {
+      fs.mkdirSync(path.dirname(auditPath), { recursive: true });
+      fs.appendFileSync(auditPath, `${JSON.stringify(record)}\n`);
+    } catch (err) {
+      console.error('[CONTROL] failed to write audit log:', err.message);
+    }
+    console.log(`[CONTROL] ${record.action} by=${record.actor ?? '-'} ok=${record.ok} reason=${record.reason ?? '-'}`);
+    bridgeEmitter.emit('CONTROL_ACTION', record);
+  }
+
+  function resolveCoins(raw, { required = false } = {}) {
+    const known = options.getCoins();
+    if (raw === undefined || raw === null) {
+      if (required) throw badRequest('coin is required');
+      return known;
+    }
+    const list = (Array.isArray(raw) ? raw : [raw]).map(c => String(c).toUpperCase());
+    const unknown = list.filter(c => !known.includes(c));
+    if (unknown.length > 0) throw badRequest(`unknown coin: ${unknown.join(',')}`);
+    return list;
+  }
+
+  function requireReason(body) {
+    const reason = typeof body?.reason === 'string' ? body.reason.trim() : '';
+    if (!reason) throw badRequest('reason is required');
+    return reason.slice(0, MAX_REASON_LENGTH);
+  }
+
+  function getState() {
+    return {
+      pausedAll: state.pausedAll,
+      pausedCoins: { ...state.pausedCoins },
+      forcedExits: Object.fromEntries(forcedExits)
+    };
+  }
+
+  /**
+   * 新規エントリーが止められているか（runtime の tick から呼ぶ）
+   */
+  function isEntryPaused(coin) {
+    return !!(state.pausedAll || state.pausedCoins[coin]);
+  }
+
+  /**
+   * 強制決済の decision を取り出す（1 回限り）。建玉がなければ破棄して null
+   */
+  function takeForcedExit(coin, position) {
+    const pending = forcedExits.get(coin);
+    if (!pending) return null;
+    forcedExits.delete(coin);
+    if (!position) return null;
+    return {
+      side: position.side === 'buy' ? 'sell' : 'buy',
+      size: position.size,
+      reason: pending.reason,
+      controlNote: pending.note,
+      controlActor: pending.actor
+    };
+  }
+
+  async function closeCoin(coin, kind, actor, note) {
+    const engineState = options.getEngineState(coin);
+    const pos = engineState?.openPosition ?? null;
+    if (!pos) return { coin, status: 'flat' };
+    // mapExitReason で MANUAL に分類される理由コード
+    forcedExits.set(coin, { reason: kind === 'flatten' ? 'manual_flatten' : 'manual_exit', note, actor, requestedAt: clockNow() });
+    const result = { coin, status: 'exit_queued', side: pos.side, size: pos.size };
+    if (options.mode === 'live') {
+      const { flattenPosition } = await import('../executor/index.js');
+      const markPx = Number(engineState?.market?.midPx) || Number(pos.entryPx);
+      const res = await flattenPosition(coin, { side: pos.side, size: pos.size, markPx }, { mode: options.mode });
+      result.executor = { ok: !!res?.ok, clientOrderId: res?.clientOrderId ?? null, error: res?.error ?? null };
+    }
+    return result;
+  }
+
+  const actions = {
+    async pause(body, actor) {
+      const reason = requireReason(body);
+      const entry = { by: actor, reason, at: clockNow() };
+      if (body.coins === undefined) state.pausedAll = entry;
+      else for (const coin of resolveCoins(body.coins)) state.pausedCoins[coin] = entry;
+      saveState();
+      return { reason, params: { coins: body.coins ?? 'all' }, result: getState() };
+    },
+    async resume(body) {
+      const reason = requireReason(body);
+      if (body.coins === undefined) {
+        state.pausedAll = null;
+        state.pausedCoins = {};
+      } else {
+        for (const coin of resolveCoins(body.coins)) delete state.pausedCoins[coin];
+      }
+      saveState();
+      return { reason, params: { coins: body.coins ?? 'all' }, result: getState() };
+    },
+    async flatten(body, actor) {
+      const reason = requireReason(body);
+      const coins = resolveCoins(body.coins);
+      const pause = body.pause !== false;
+      if (pause) {
+        state.pausedAll = { by: actor, reason: `flatten: ${reason}`, at: clockNow() };
+        saveState();
+      }
+      const results = [];
+      for (const coin of coins) results.push(await closeCoin(coin, 'flatten', actor, reason));
+      return { reason, params: { coins, pause }, result: { results } };
+    },
+    async exit(body, actor) {
+      const reason = requireReason(body);
+      const [coin] = resolveCoins(body.coin, { required: true });
+      return { reason, params: { coin }, result: await closeCoin(coin, 'exit', actor, reason) };
+    },
+    async config(body, actor) {
+      const reason = requireReason(body);
+      if (!body.patch || typeof body.patch !== 'object' || Array.isArray(body.patch)) throw badRequest('patch must be a JSON object');
+      const current = JSON.parse(fs.readFileSync(TRADE_CONFIG_PATH, 'utf8'));
+      const next = mergeTradeConfigPatch(current, body.patch);
+      const diff = diffTradeConfig(current, next);
+      const params = { patch: body.patch, dryRun: body.dryRun === true };
+      if (diff.length === 0) return { reason, params, result: { changed: false, diff } };
+      if (body.dryRun === true) {
+        const check = validateTradeConfig(next);
+        if (!check.ok) throw badRequest('trade config rejected', { issues: check.errors });
+        return { reason, params, result: { changed: false, diff, warnings: check.warnings } };
+      }
+      let written;
+      try {
+        written = writeTradeConfig(next, { author: 'control_api', note: `${actor}: ${reason}`, filePath: TRADE_CONFIG_PATH });
+      } catch (err) {
+        if (err.issues) throw badRequest('trade config rejected', { issues: err.issues });
+        throw err;
+      }
+      if (typeof options.onConfigApplied === 'function') options.onConfigApplied({ hash: written.hash });
+      return { reason, params, result: { changed: true, hash: written.hash, diff } };
+    }
+  };
+
+  /**
+   * /api/control/* を処理する（それ以外の URL なら false）
+   */
+  function handleRequest(req, res) {
+    const url = String(req.url ?? '').split('?')[0];
+    if (!url.startsWith('/api/control/')) return false;
+    const name = url.slice('/api/control/'.length);
+    const remote = req.socket?.remoteAddress ?? null;
+
+    if (tokens.size === 0) {
+      sendJson(res, 503, { success: false, error: 'control api disabled (CONTROL_API_TOKEN not set)' }, headers);
+      return true;
+    }
+    const actor = resolveActor(tokens, req.headers?.authorization);
+    if (!actor) {
+      audit({ action: name, actor: null, ok: false, error: 'unauthorized', remote });
+      sendJson(res, 401, { success: false, error: 'unauthorized' }, headers);
+      return true;
+    }
+    if (req.method === 'GET' && name === 'state') {
+      sendJson(res, 200, { success: true, ...getState() }, headers);
+      return true;
+    }
+    const action = req.method === 'POST' ? actions[name] : null;
+    if (!action) {
+      sendJson(res, 404, { success: false, error: `unknown control action: ${req.method} ${name}` }, headers);
+      return true;
+    }
+
+    readJsonBody(req)
+      .then(async (body) => {
+        try {
+          const out = await action(body, actor);
+          audit({ action: name, actor, reason: out.reason, params: out.params, ok: true, result: out.result, remote });
+          sendJson(res, 200, { success: true, action: name, actor, ...out.result }, headers);
+        } catch (err) {
+          audit({ action: name, actor, reason: typeof body?.reason === 'string' ? body.reason : null, params: body, ok: false, error: err.message, remote });
+          throw err;
+        }
+      })
+      .catch((err) => {
+        if (res.headersSent) return;
+        sendJson(res, err.status ?? 500, { success: false, error: err.message, ...(err.issues ? { issues: err.issues } : {}) }, headers);
+      });
+    return true;
+  }
+
+  return { handleRequest, isEntryPaused, takeForcedExit, getState };
+}
@@ -0,0 +1,320 @@
+// ws/dashboardProtocol.js
+// ダッシュボード WS プロトコル v2（トピック購読 + スナップショット/差分 + ハートビート + 再接続時の再開）
+// - 仕様: docs/DASHBOARD_WS_PROTOCOL.md
+// - hello を送ってこないクライアント（bin/hlb・旧 UI）は従来どおり 2 秒ごとの dashboard / ws-status-v1 全量と event を受け取る
+// - v2 クライアントには購読トピックだけ、初回 snapshot → 以降は変化したキーだけの delta を送る
+// - seq はトピックごとに単調増加。epoch（プロセス起動時刻）が変わったら seq はリセットされたものとして snapshot を送り直す
+import { clockNow, clockSetInterval, clockClearInterval } from '../core/clock.js';
+
+export const DASHBOARD_PROTOCOL_VERSION = 2;
+export const DASHBOARD_TOPICS = ['position', 'orderbook', 'decisions', 'kpi', 'events', 'status'];
+
+const DEFAULT_HEARTBEAT_MS = 15_000;
+const DEFAULT_EVENT_BUFFER = 500;
+const LEGACY_EVENT_BUFFER = 100; // 旧 eventBuffer の件数（これより小さくはしない）
+
+/**
+ * @typedef {'position'|'orderbook'|'decisions'|'kpi'|'events'|'status'} DashboardTopic
+ *
+ * サーバ → クライアント（すべて v=2）
+ * @typedef {{ v: 2, type: 'welcome', epoch: number, serverTime: number, heartbeatMs: number, topics: DashboardTopic[], seq: Record<string, number> }} WelcomeMessage
+ * @typedef {{ v: 2, type: 'snapshot', topic: DashboardTopic, seq: number, ts: number, data: object }} SnapshotMessage
+ * @typedef {{ v: 2, type: 'delta', topic: DashboardTopic, seq: number, ts: number, set: object, unset: string[] }} DeltaMessage
+ * @typedef {{ v: 2, type: 'event', topic: 'events', seq: number, ts: number, data: object }} EventMessage
+ * @typedef {{ v: 2, type: 'heartbeat', ts: number, seq: Record<string, number> }} HeartbeatMessage
+ * @typedef {{ v: 2, type: 'pong', ts: number, id?: any }} PongMessage
+ * @typedef {{ v: 2, type: 'error', code: string, message: string }} ErrorMessage
+ *
+ * クライアント → サーバ
+ * @typedef {{ type: 'hello', v: 2, topics?: DashboardTopic[], resume?: { epoch: number, seq: Record<string, number> } }} HelloMessage
+ * @typedef {{ type: 'subscribe'|'unsubscribe', topics: DashboardTopic[] }} SubscribeMessage
+ * @typedef {{ type: 'ping', id?: any }} PingMessage
+ */
+
+// dashboard ペイロードのフィールド → トピック（列挙にないフィールドは kpi）
+const POSITION_FIELDS = [
+  'position', 'exitSignals', 'safetyStatus', 'safetyTriggered', 'safetyMessage', 'safetySince', 'control'
+];
+const ORDERBOOK_FIELDS = ['orderBook', 'wsLive', 'btcPrice', 'btcOi', 'btcChange', 'marketSrc'];
+const DECISION_FIELDS = [
+  'decisionSide', 'decisionSize', 'decisionReason', 'decisionReasonCode', 'decisionZone', 'decisionSafety',
+  'decisionSupportPrice', 'decisionResistancePrice', 'decisionDistToSupport', 'decisionDistToResistance',
+  'gates', 'startupGuard', 'startupNoOrderRemainingMs', 'startupWindowRemainingMs', 'bar1hWarmupRemainingMs',
+  'structureSnapshot', 'regimeMap', 'gateBlockReasons', 'totalBlocks', 'decisionMonitor',
+  'activityEvaluated', 'activityEntered', 'activityEntryRate', 'activityEntryRatePct',
+  'activityEntryRateMinTarget', 'activityEntryRateMaxTarget', 'activityTopReasons', 'activityTopAGateReasons'
+];
+// 毎回変わる送信時刻は delta を常に発生させるので topic には載せない（各メッセージの ts で代替）
+const SKIP_FIELDS = new Set(['type', 'dashboardSentAt']);
+
+/**
+ * 従来の dashboard / ws-status-v1 ペイロードをトピック別に分ける
+ * @param {object} dashboardPayload
+ * @param {object} [statusPayload]
+ * @returns {Record<string, object>}
+ */
+export function splitDashboardTopics(dashboardPayload, statusPayload = null) {
+  const topics = { position: {}, orderbook: {}, decisions: {}, kpi: {} };
+  const fieldTopic = new Map([
+    ...POSITION_FIELDS.map(f => [f, 'position']),
+    ...ORDERBOOK_FIELDS.map(f => [f, 'orderbook']),
+    ...DECISION_FIELDS.map(f => [f, 'decisions'])
+  ]);
+  for (const [key, value] of Object.entries(dashboardPayload ?? {})) {
+    if (SKIP_FIELDS.has(key)) continue;
+    topics[fieldTopic.get(key) ?? 'kpi'][key] = value;
+  }
+  if (statusPayload) {
+    const { type: _type, ...status } = statusPayload;
+    topics.status = status;
+  }
+  return topics;
+}
+
+/**
+ * トップレベルキー単位の差分（値は JSON 表現で比較）
+ * @returns {{ set: object, unset: string[] }|null} 変化なしなら null
+ */
+export function diffTopicState(prev, next) {
+  const set = {};
+  const unset = [];
+  for (const [key, value] of Object.entries(next ?? {})) {
+    if (!prev || !(key in prev) || JSON.stringify(prev[key]) !== JSON.stringify(value)) set[key] = value;
+  }
+  for (const key of Object.keys(prev ?? {})) {
+    if (!(key in (next ?? {}))) unset.push(key);
+  }
+  return Object.keys(set).length > 0 || unset.length > 0 ? { set, unset } : null;
+}
+
+/**
+ * クライアントの topics 指定を検証
+ * @returns {{ topics: string[], unknown: string[] }}
+ */
+export function normalizeTopics(raw, fallback = DASHBOARD_TOPICS) {
+  if (raw === undefined || raw === null) return { topics: fallback.slice(), unknown: [] };
+  const list = (Array.isArray(raw) ? raw : [raw]).map(t => String(t));
+  return {
+    topics: [...new Set(list.filter(t => DASHBOARD_TOPICS.includes(t)))],
+    unknown: list.filter(t => !DASHBOARD_TOPICS.includes(t))
+  };
+}
+
+function envInt(env, key, fallback) {
+  const n = Number(env?.[key]);
+  return Number.isFinite(n) && n > 0 ? Math.floor(n) : fallback;
+}
+
+/**
+ * @param {{
+ *   getClients: () => Iterable<any>,
+ *   env?: object
+ * }} options
+ */
+export function createDashboardHub(options) {
+  const env = options.env ?? process.env;
+  const heartbeatMs = envInt(env, 'DASHBOARD_WS_HEARTBEAT_MS', DEFAULT_HEARTBEAT_MS);
+  const eventBufferSize = Math.max(LEGACY_EVENT_BUFFER, envInt(env, 'DASHBOARD_EVENT_BUFFER', DEFAULT_EVENT_BUFFER));
+  const epoch = clockNow();
+  // topic → { seq, ts, data }
+  const topicState = new Map(DASHBOARD_TOPICS.filter(t => t !== 'events').map(t => [t, { seq: 0, ts: null, data: null }]));
+  const events = []; // { seq, ts, data }
+  let eventSeq = 0;
+  // ws → { v2: boolean, topics: Set<string>, alive: boolean }
+  const sessions = new WeakMap();
+  let heartbeatTimer = null;
+
+  function sessionOf(ws) {
+    let session = sessions.get(ws);
+    if (!session) {
+      session = { v2: false, topics: new Set(), alive: true };
+      sessions.set(ws, session);
+    }
+    return session;
+  }
+
+  function send(ws, message) {
+    if (ws.readyState !== 1) return;
+    try {
+      ws.send(typeof message === 'string' ? message : JSON.stringify(message));
+    } catch (err) {
+      console.error('[DASHBOARD WS] send failed:', err.message);
+    }
+  }
+
+  function currentSeqs() {
+    const seq = { events: eventSeq };
+    for (const [topic, st] of topicState) seq[topic] = st.seq;
+    return seq;
+  }
+
+  function sendSnapshot(ws, topic) {
+    if (topic === 'events') {
+      send(ws, { v: 2, type: 'snapshot', topic, seq: eventSeq, ts: clockNow(), data: { events: events.slice() } });
+      return;
+    }
+    const st = topicState.get(topic);
+    if (!st?.data) return; // 初回の dashboard 送信前。最初の delta 代わりに snapshot が届く
+    send(ws, { v: 2, type: 'snapshot', topic, seq: st.seq, ts: st.ts, data: st.data });
+  }
+
+  // 再開: 同じ epoch で取りこぼしがバッファ内なら差分だけ、そうでなければ snapshot
+  function resumeTopic(ws, topic, resume) {
+    const since = Number(resume?.seq?.[topic]);
+    const sameEpoch = Number(resume?.epoch) === epoch && Number.isFinite(since);
+    if (topic === 'events') {
+      const oldest = events.length > 0 ? events[0].seq : eventSeq + 1;
+      if (sameEpoch && since <= eventSeq && since >= oldest - 1) {
+        for (const e of events) {
+          if (e.seq > since) send(ws, { v: 2, type: 'event', topic, seq: e.seq, ts: e.ts, data: e.data });
+        }
+        return;
+      }
+      sendSnapshot(ws, topic);
+      return;
+    }
+    if (sameEpoch && since === topicState.get(topic)?.seq) return;
+    sendSnapshot(ws, topic);
+  }
+
+  function handleClientMessage(ws, raw) {
+    let msg;
+    try {
+      msg = JSON.parse(String(raw));
+    } catch (_) {
+      return; // 旧クライアントの非 JSON は無視
+    }
+    if (!msg || typeof msg !== 'object') return;
+    const session = sessionOf(ws);
+    if (msg.type === 'hello') {
+      if (Number(msg.v) !== DASHBOARD_PROTOCOL_VERSION) {
+        send(ws, { v: 2, type: 'error', code: 'unsupported_version', message: `server speaks v${DASHBOARD_PROTOCOL_VERSION}` });
+        return;
+      }
+      const { topics, unknown } = normalizeTopics(msg.topics);
+      session.v2 = true;
+      session.topics = new Set(topics);
+      send(ws, { v: 2, type: 'welcome', epoch, serverTime: clockNow(), heartbeatMs, topics, seq: currentSeqs() });
+      if (unknown.length > 0) send(ws, { v: 2, type: 'error', code: 'unknown_topic', message: unknown.join(',') });
+      for (const topic of topics) {
+        if (msg.resume) resumeTopic(ws, topic, msg.resume);
+        else sendSnapshot(ws, topic);
+      }
+      return;
+    }
+    if (!session.v2) return;
+    if (msg.type === 'subscribe' || msg.type === 'unsubscribe') {
+      const { topics, unknown } = normalizeTopics(msg.topics, []);
+      if (unknown.length > 0) send(ws, { v: 2, type: 'error', code: 'unknown_topic', message: unknown.join(',') });
+      for (const topic of topics) {
+        if (msg.type === 'unsubscribe') {
+          session.topics.delete(topic);
+        } else if (!session.topics.has(topic)) {
+          session.topics.add(topic);
+          sendSnapshot(ws, topic);
+        }
+      }
+      return;
+    }
+    if (msg.type === 'ping') {
+      send(ws, { v: 2, type: 'pong', ts: clockNow(), id: msg.id ?? null });
+      return;
+    }
+    send(ws, { v: 2, type: 'error', code: 'unknown_type', message: String(msg.type) });
+  }
+
+  /**
+   * 接続直後に呼ぶ（メッセージ受信・pong 監視を張る）
+   */
+  function attach(ws) {
+    const session = sessionOf(ws);
+    ws.on('message', (raw) => handleClientMessage(ws, raw));
+    ws.on('pong', () => { session.alive = true; });
+  }
+
+  /**
+   * 2 秒ごとの dashboard 送信。旧クライアントには全量、v2 には変化したトピックの delta
+   */
+  function publishDashboard(dashboardPayload, statusPayload) {
+    const ts = clockNow();
+    const deltas = [];
+    for (const [topic, data] of Object.entries(splitDashboardTopics(dashboardPayload, statusPayload))) {
+      const st = topicState.get(topic);
+      const first = st.data === null;
+      const diff = diffTopicState(st.data, data);
+      if (!diff && !first) continue;
+      st.seq += 1;
+      st.ts = ts;
+      st.data = data;
+      deltas.push([topic, JSON.stringify(first
+        ? { v: 2, type: 'snapshot', topic, seq: st.seq, ts, data }
+        : { v: 2, type: 'delta', topic, seq: st.seq, ts, ...diff })]);
+    }
+    const legacyDashboard = JSON.stringify(dashboardPayload);
+    const legacyStatus = statusPayload ? JSON.stringify(statusPayload) : null;
+    for (const ws of options.getClients()) {
+      const session = sessionOf(ws);
+      if (!session.v2) {
+        send(ws, legacyDashboard);
+        if (legacyStatus) send(ws, legacyStatus);
+        continue;
+      }
+      for (const [topic, data] of deltas) {
+        if (session.topics.has(topic)) send(ws, data);
+      }
+    }
+  }
+
+  /**
+   * ダッシュボードのイベントバッファへ追加して配信（seq を返す）
+   */
+  function publishEvent(event) {
+    eventSeq += 1;
+    const entry = { seq: eventSeq, ts: clockNow(), data: event };
+    events.push(entry);
+    if (events.length > eventBufferSize) events.shift();
+    const legacy = JSON.stringify({ type: 'event', event });
+    const v2 = JSON.stringify({ v: 2, type: 'event', topic: 'events', seq: entry.seq, ts: entry.ts, data: event });
+    for (const ws of options.getClients()) {
+      const session = sessionOf(ws);
+      if (!session.v2) send(ws, legacy);
+      else if (session.topics.has('events')) send(ws, v2);
+    }
+    return entry.seq;
+  }
+
+  // ハートビート（v2 のみ）と、pong の返らない接続の切断
+  function start() {
+    if (heartbeatTimer) return;
+    heartbeatTimer = clockSetInterval(() => {
+      const beat = { v: 2, type: 'heartbeat', ts: clockNow(), seq: currentSeqs() };
+      for (const ws of options.getClients()) {
+        const session = sessionOf(ws);
+        if (!session.alive) {
+          ws.terminate?.();
+          continue;
+        }
+        session.alive = false;
+        try {
+          ws.ping?.();
+        } catch (_) {}
+        if (session.v2) send(ws, beat);
+      }
+    }, heartbeatMs);
+    heartbeatTimer?.unref?.();
+  }
+
+  function stop() {
+    if (heartbeatTimer) clockClearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+  }
+
+  return {
+    attach,
+    publishDashboard,
+    publishEvent,
+    start,
+    stop,
+    epoch
+  };
+}
@@ -1,3 +1,4 @@
+import { clockNow } from '../core/clock.js';
 const DEFAULT_WINDOW_MS = 60 * 60 * 1000;
 const DEFAULT_MAX_LEN = 50000;
 // ENTRY FILTERS: Bロジックでをぐられた理由の整理店
@@ -36,7 +37,7 @@ function createDecisionMonitor(options = {}) {
   }
 
   function getSnapshot(options = {}) {
-    const nowMs = typeof options.nowMs === 'number' ? options.nowMs : Date.now();
+    const nowMs = typeof options.nowMs === 'number' ? options.nowMs : clockNow();
     const route = typeof options.route === 'string' ? options.route : null;
     prune(nowMs);
     const sample = route ? events.filter((ev) => ev.route === route) : events;
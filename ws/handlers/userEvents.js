@@ -0,0 +1,45 @@
+import * as logger from '../utils/logger.js';
+import { applyOrderUpdates, applyUserFills } from '../../executor/orderTracker.js';
+
+// orderUpdates / userFills（ユーザー購読）を executor の注文トラッカーへ流す
+// raw ログにも残し、後から replayOrderEvents で再構築できるようにする
+
+async function logHandlerError(handler, message, err) {
+  try {
+    await logger.write({ ts: Date.now(), channel: 'handler_error', handler, message, detail: err?.message || err });
+  } catch (logErr) {
+    console.error('[WS_USER_EVENTS] logHandlerError failed', logErr);
+  }
+}
+
+async function handleOrderUpdates(msg) {
+  try {
+    const updates = Array.isArray(msg?.data?.data) ? msg.data.data : [];
+    applyOrderUpdates(updates);
+  } catch (err) {
+    await logHandlerError('orderUpdates', 'applyOrderUpdates failed', err);
+  }
+  try {
+    await logger.write(msg);
+  } catch (err) {
+    await logHandlerError('orderUpdates', 'logger.write message failed', err);
+  }
+}
+
+async function handleUserFills(msg) {
+  try {
+    const payload = msg?.data?.data ?? null;
+    // 購読直後の snapshot も tid 重複排除されるため、そのまま適用してよい（再起動中の約定を拾う）
+    const fills = Array.isArray(payload?.fills) ? payload.fills : [];
+    applyUserFills(fills);
+  } catch (err) {
+    await logHandlerError('userFills', 'applyUserFills failed', err);
+  }
+  try {
+    await logger.write(msg);
+  } catch (err) {
+    await logHandlerError('userFills', 'logger.write message failed', err);
+  }
+}
+
+export { handleOrderUpdates, handleUserFills };
@@ -2,6 +2,11 @@ import { markLayer } from './status/tracker.js';
 import { evaluateStatus } from './status/evaluator.js';
 import { createOrderbookSync } from './orderbook/OrderbookSync.js';
 import { createSharedFeedTail } from './sharedFeedTail.js';
+import { counter } from '../core/metrics.js';
+
+const KNOWN_CHANNELS = new Set(['l2Book', 'trades', 'liquidations', 'liquidation', 'ticker', 'activeAssetCtx', 'orderUpdates', 'userFills', 'subscriptionResponse', 'pong']);
+const wsMessagesTotal = counter('hlb_ws_messages_total', 'Hyperliquid WS messages received by channel');
+const wsReconnectsTotal = counter('hlb_ws_reconnects_total', 'Hyperliquid WS reconnect attempts');
 /**
  * HLWS-BOT / WebSocket Core (skeleton only)
  * 目的: Hyperliquid WS 接続・再接続・ルーティング枠組み
@@ -40,7 +45,7 @@ import { createSharedFeedTail } from './sharedFeedTail.js';
  */
 
 const DEFAULT_CONFIG = {
-	WS_URL: 'wss://api.hyperliquid.xyz/ws',
+	WS_URL: process.env.WS_URL || 'wss://api.hyperliquid.xyz/ws',
 	STALE_THRESHOLD_MS: 15 * 1000, // 15 seconds
 	STALE_MONITOR_INTERVAL_MS: 5 * 1000, // 5 seconds
 	RECONNECT_DELAY_MS: 3 * 1000, // 3 seconds
@@ -66,12 +71,14 @@ async function loadHandlers() {
 	let liquidations = { handleLiquidations: () => {} };
 	let mid = { handle: () => {} };
 	let activeCtx = { handleActiveCtx: () => {} };
+	let userEvents = { handleOrderUpdates: () => {}, handleUserFills: () => {} };
 	try { orderbook = await import('./handlers/orderbook.js'); } catch (e) { console.error('[WS] loadHandlers orderbook failed', e); }
 	try { trades = await import('./handlers/trades.js'); } catch (e) { console.error('[WS] loadHandlers trades failed', e); }
 	try { liquidations = await import('./handlers/liquidations.js'); } catch (e) { console.error('[WS] loadHandlers liquidations failed', e); }
 	try { mid = await import('./handlers/mid.js'); } catch (e) { console.error('[WS] loadHandlers mid failed', e); }
 	try { activeCtx = await import('./handlers/activeCtx.js'); } catch (e) { console.error('[WS] loadHandlers activeCtx failed', e); }
-	return { orderbook, trades, liquidations, mid, activeCtx };
+	try { userEvents = await import('./handlers/userEvents.js'); } catch (e) { console.error('[WS] loadHandlers userEvents failed', e); }
+	return { orderbook, trades, liquidations, mid, activeCtx, userEvents };
 }
 
 // Load I/O module for reset() on reconnect
@@ -109,6 +116,15 @@ async function HLWSClient(opts = {}) {
 			CONFIG.SUBSCRIPTIONS.push({ type: 'liquidations', coin: symbol });
 		}
 	}
+
+	// 注文ライフサイクル（executor/orderTracker）用のユーザー購読。アドレス未設定なら購読しない
+	const userAddress = String(opts.config?.userAddress ?? process.env.HL_USER_ADDR ?? '').trim();
+	if (userAddress.length > 0) {
+		CONFIG.SUBSCRIPTIONS = CONFIG.SUBSCRIPTIONS.concat([
+			{ type: 'orderUpdates', user: userAddress },
+			{ type: 'userFills', user: userAddress }
+		]);
+	}
 	
 	const WebSocketCtor = opts.WebSocket || (typeof WebSocket !== 'undefined' && WebSocket) || null;
 	const handlers = await loadHandlers();
@@ -199,10 +215,12 @@ async function HLWSClient(opts = {}) {
 			const event = { ts: now(), channel: 'parse_error', data: { raw: String(rawStr).substring(0, 100), err: err && err.message } };
 			if (logger && typeof logger.write === 'function') logger.write(event).catch(() => {});
 			log({ type: 'handler_error', handler: 'parse', detail: err && err.message });
+			wsMessagesTotal.inc({ channel: 'parse_error' });
 			return;
 		}
 
 		const channel = data && data.channel;
+		wsMessagesTotal.inc({ channel: KNOWN_CHANNELS.has(channel) ? channel : 'other' });
 		if (!channel) {
 			return;
 		}
@@ -244,6 +262,16 @@ async function HLWSClient(opts = {}) {
 			}
 				break;
 			}
+			case 'orderUpdates': {
+				const event = { ts: now(), channel: 'orderUpdates', data };
+				try { handlers.userEvents.handleOrderUpdates(event); } catch (e) { log({ type: 'handler_error', handler: 'orderUpdates', detail: e && e.message }); }
+				break;
+			}
+			case 'userFills': {
+				const event = { ts: now(), channel: 'userFills', data };
+				try { handlers.userEvents.handleUserFills(event); } catch (e) { log({ type: 'handler_error', handler: 'userFills', detail: e && e.message }); }
+				break;
+			}
 			default:
 				// ignore unknown channels
 				break;
@@ -266,6 +294,7 @@ async function HLWSClient(opts = {}) {
 
 		// MergeSpec: increment retry count & emit close + upcoming reconnect intent
 		state.retryCount += 1;
+		wsReconnectsTotal.inc();
 		log({ type: 'ws_close' });
 		log({ type: 'ws_reconnect', retry: state.retryCount });
 
@@ -43,7 +43,7 @@ function cloneBook(book) {
 
 export function createOrderbookSync({
   coin = 'BTC',
-  restUrl = 'https://api.hyperliquid.xyz/info',
+  restUrl = process.env.HL_INFO_URL || 'https://api.hyperliquid.xyz/info',
   restIntervalMs = 60000,
   driftThresholdRatio = 0.01,
   compareTopLevels = 5,
@@ -6,11 +6,21 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { createInitialState } from '../engine/state.js';
 import { updateEngine, touchTick, evaluateSafety } from '../engine/update.js';
-import { decideTrade } from '../logic/index.js';
-import { getIOPacket, getExecutorPayload } from '../io/index.js';
-import { loadEngineState, saveEngineState } from '../engine/stateStore.js';
+import { applyExecutionUpdate, adoptExchangePosition } from '../engine/execution.js';
+import { createPaperFillSimulator } from '../engine/paperFill.js';
+import { setSafety } from '../engine/safety.js';
+import { createDecisionPipeline } from '../logic/index.js';
+import { createShadowVariantRunner } from './shadowVariants.js';
+import { createControlApi } from './controlApi.js';
+import { createDashboardHub } from './dashboardProtocol.js';
+import { registerRuntimeMetrics } from './runtimeMetrics.js';
+import { METRICS_CONTENT_TYPE, renderMetrics } from '../core/metrics.js';
+import { notify, resolveNotificationChannels, startNotificationHub } from '../notify/index.js';
+import { getIOPacket, getExecutorPayload, addIOEventTap } from '../io/index.js';
+import { loadEngineState, saveEngineState, journalEngineState } from '../engine/stateStore.js';
 import { resolveTradesPath } from '../config/tradesPath.js';
-import { resolveStatePath } from '../config/statePath.js';
+import { resolveStatePath, resolveCoinStatePath } from '../config/statePath.js';
+import { applyPortfolioRisk, collectPortfolioPositions } from '../engine/portfolioRisk.js';
 import bridgeEmitter from '../core/bridgeEmitter.js';
 import { evaluateDataState } from './status/evaluator.js';
 import { STOP_REASONS } from '../core/stopReasons.js';
@@ -19,11 +29,12 @@ import { loadBaseEquityLiveFromFile, getBaseEquityLiveUsd, getFallbackEquityUsd
 import { createDecisionMonitor } from './decision_monitor.js';
 import { write as writeLog } from './utils/logger.js';
 import { buildHealthReport } from '../core/healthState.js';
-import { getTradeConfig, resolveB1SnapshotRefreshSetting, startTradeConfigAutoReload } from '../config/trade.js';
+import { getTradeConfig, refreshTradeConfigIfChanged, resolveB1SnapshotRefreshSetting, startTradeConfigAutoReload } from '../config/trade.js';
 import { updateIOConfigForHotReload } from '../io/index.js';
 import { fetchLiveEquity } from '../core/balanceFetcher.js';
 import { getDecisionTraceSnapshot } from '../core/decisionTraceCache.js';
 import { resolveReasonCode, REASON_CODE } from '../logic/reasonCodes.js';
+import { clockNow, clockSetInterval } from '../core/clock.js';
 
 function toFiniteNumber(value, fallback = null) {
   if (value === null || value === undefined || value === '') return fallback;
@@ -195,7 +206,7 @@ function buildGateSnapshot(decision) {
   };
 }
 
-function buildExitSignalsSnapshot(openPosition, market, tradeConfig, nowTs = Date.now()) {
+function buildExitSignalsSnapshot(openPosition, market, tradeConfig, nowTs = clockNow()) {
   if (!openPosition || typeof openPosition !== 'object') return null;
   const midPx = toFiniteNumber(market?.midPx, null);
   const isLong = openPosition.side === 'buy';
@@ -259,7 +270,7 @@ function buildExitSignalsSnapshot(openPosition, market, tradeConfig, nowTs = Dat
   };
 }
 
-function buildPositionSnapshot(openPosition, market, tradeConfig, nowTs = Date.now()) {
+function buildPositionSnapshot(openPosition, market, tradeConfig, nowTs = clockNow()) {
   if (!openPosition || typeof openPosition !== 'object') return null;
   const side = String(openPosition?.side ?? '').toLowerCase();
   const isLong = side === 'buy';
@@ -291,6 +302,7 @@ function buildPositionSnapshot(openPosition, market, tradeConfig, nowTs = Date.n
     unrealizedPnlPct,
     worstPnl,
     worstPx,
+    fundingAccruedUsd: toFiniteNumber(openPosition?.fundingAccruedUsd, null),
     softSLRatio: toFiniteNumber(lossTimeout?.softRatio, null),
     hardSLRatio: toFiniteNumber(lossTimeout?.hardRatio, null),
     timeoutSec: Number.isFinite(timeoutMs) ? Math.max(1, Math.floor(timeoutMs / 1000)) : null,
@@ -319,6 +331,7 @@ function buildRecentTradesSnapshot(trades, limit = 10) {
       pnl: toFiniteNumber(trade?.pnlNet, toFiniteNumber(trade?.pnl, 0)),
       grossPnl: toFiniteNumber(trade?.grossPnl, toFiniteNumber(trade?.pnl, null)),
       fee: toFiniteNumber(trade?.fee, null),
+      funding: toFiniteNumber(trade?.funding, null),
       pnlPct: toFiniteNumber(trade?.pnlPctNet, toFiniteNumber(trade?.pnlPct, null)),
       size: toFiniteNumber(trade?.size, null),
       exitReason: trade?.exitReason ?? null,
@@ -328,8 +341,8 @@ function buildRecentTradesSnapshot(trades, limit = 10) {
       entryReason: trade?.entryReason ?? null,
       entryTs: toFiniteNumber(trade?.entryTs, null),
       exitTs: toFiniteNumber(trade?.timestamp, null),
-      entrySlippage: toFiniteNumber(trade?.entrySlippage, null),
-      exitSlippage: toFiniteNumber(trade?.exitSlippage, null),
+      entrySlippage: toFiniteNumber(trade?.entrySlippage, toFiniteNumber(trade?.entrySlippageBps, null)),
+      exitSlippage: toFiniteNumber(trade?.exitSlippage, toFiniteNumber(trade?.exitSlippageBps, null)),
       isMakerEntry: String(trade?.entryExecMode ?? '').toLowerCase() === 'maker',
       isMakerExit: String(trade?.exitExecMode ?? '').toLowerCase() === 'maker',
       maxAdverseUsd: toFiniteNumber(trade?.maxAdverseUsd, null),
@@ -340,7 +353,7 @@ function buildRecentTradesSnapshot(trades, limit = 10) {
     }));
 }
 
-function filterLastDaysTrades(trades, days = 30, nowTs = Date.now()) {
+function filterLastDaysTrades(trades, days = 30, nowTs = clockNow()) {
   if (!Array.isArray(trades) || trades.length === 0) return [];
   const windowMs = Math.max(1, Math.floor(toFiniteNumber(days, 30))) * 24 * 60 * 60 * 1000;
   const cutoff = nowTs - windowMs;
@@ -368,14 +381,15 @@ function buildAllTradesSnapshot(trades30d) {
       pnl: toFiniteNumber(trade?.pnl, 0),
       grossPnl: toFiniteNumber(trade?.grossPnl, toFiniteNumber(trade?.pnl, null)),
       fee: toFiniteNumber(trade?.fee, null),
+      funding: toFiniteNumber(trade?.funding, null),
       pnlPct: toFiniteNumber(trade?.pnlPct, null),
       size: toFiniteNumber(trade?.size, null),
       holdingSec: toFiniteNumber(trade?.holdingSec, null),
       exitReason: trade?.exitReason ?? null,
       entryProfile: trade?.entryProfile ?? null,
       entryReason: trade?.entryReason ?? null,
-      entrySlippage: toFiniteNumber(trade?.entrySlippage, null),
-      exitSlippage: toFiniteNumber(trade?.exitSlippage, null),
+      entrySlippage: toFiniteNumber(trade?.entrySlippage, toFiniteNumber(trade?.entrySlippageBps, null)),
+      exitSlippage: toFiniteNumber(trade?.exitSlippage, toFiniteNumber(trade?.exitSlippageBps, null)),
       isMakerEntry: trade?.isMakerEntry === true,
       isMakerExit: trade?.isMakerExit === true,
       maxAdverseUsd: toFiniteNumber(trade?.maxAdverseUsd, null),
@@ -387,7 +401,7 @@ function buildAllTradesSnapshot(trades30d) {
 
 function buildEquityTimeSeries(trades30d, initialEquity, startTs = processStartAt) {
   const seedEquity = toFiniteNumber(initialEquity, 0);
-  const series = [{ ts: toFiniteNumber(startTs, Date.now()), equity: seedEquity }];
+  const series = [{ ts: toFiniteNumber(startTs, clockNow()), equity: seedEquity }];
   if (!Array.isArray(trades30d) || trades30d.length === 0) return series;
   let running = seedEquity;
   const ordered = [...trades30d]
@@ -396,7 +410,7 @@ function buildEquityTimeSeries(trades30d, initialEquity, startTs = processStartA
   for (const trade of ordered) {
     running += toFiniteNumber(trade?.pnl, 0);
     series.push({
-      ts: toFiniteNumber(trade?.exitTs, Date.now()),
+      ts: toFiniteNumber(trade?.exitTs, clockNow()),
       equity: running
     });
   }
@@ -1223,13 +1237,13 @@ const __dirname = path.dirname(__filename);
 const ROOT = path.resolve(__dirname, '..');
 
 // --- プロセス起動時刻 ---
-const processStartAt = Date.now();
+const processStartAt = clockNow();
 
 // --- CORS ヘッダー ---
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Methods': 'GET, OPTIONS',
-  'Access-Control-Allow-Headers': 'Content-Type'
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization'
 };
 
 // --- 取引ログキャッシュ ---
@@ -1243,12 +1257,15 @@ let baseEquitySnapshot = null;   // { equityUsd, ts, source }
 let lastEquitySnapshot = { equityUsd: null, deltaUsd: null, ts: null, source: 'fallback' };
 const BALANCE_FETCH_ENABLED = process.env.BALANCE_FETCH_ENABLED === '1';
 const DASHBOARD_PAYLOAD_DEBUG = process.env.DASHBOARD_PAYLOAD_DEBUG === '1';
-// State 保存間隔制御（毎ティック I/O ブロック防止）
-let lastEngineStateSaveAt = 0;
+// 取引所側 SL / TP trigger 注文（executor/protectiveOrders.js）を engine のポジションに追従させる（live のみ）
+const EXCHANGE_PROTECTION_ENABLED = process.env.EXCHANGE_PROTECTION_ENABLED === '1';
+const protectionSyncInFlight = new Set();
+// State 保存間隔制御（毎ティック I/O ブロック防止。最終保存時刻は銘柄ごとに slot.lastSaveAt）
 const ENGINE_STATE_SAVE_INTERVAL_MS = 5000; // 5秒ごとに保存
+const ENGINE_LOOP_INTERVAL_MS = 1000; // engine ループ周期
 
 function loadTradesFromLog(modeOverride = process.env.MODE, envOverride = process.env.LOG_TRADES_PATH) {
-  const now = Date.now();
+  const now = clockNow();
   try {
     const logPath = resolveTradesPath(modeOverride, envOverride);
     // グローバル state に TRADES SOURCE パスを保存（UI表示用）
@@ -1281,7 +1298,7 @@ function loadTradesFromLog(modeOverride = process.env.MODE, envOverride = proces
         const timestampExit = toFiniteNumber(record.timestampExit, null)
           ?? toFiniteNumber(record.exitTs, null)
           ?? toFiniteNumber(record.ts, null)
-          ?? Date.now();
+          ?? clockNow();
         const pnlGross = toFiniteNumber(record.realizedPnlUsd, null)
           ?? toFiniteNumber(record.pnl, null)
           ?? 0;
@@ -1294,6 +1311,7 @@ function loadTradesFromLog(modeOverride = process.env.MODE, envOverride = proces
           pnlNet,
           grossPnl: pnlGross,
           fee: toFiniteNumber(record.feeUsd, null),
+          funding: toFiniteNumber(record.fundingUsd, null),
           pnlPct: toFiniteNumber(record.realizedPnlPctTrade, null) ?? toFiniteNumber(record.pnlPct, null),
           pnlPctNet: toFiniteNumber(record.realizedPnlPctTradeNet, null) ?? toFiniteNumber(record.pnlPctNet, null),
           side: record.side || 'UNKNOWN',
@@ -1315,8 +1333,8 @@ function loadTradesFromLog(modeOverride = process.env.MODE, envOverride = proces
           maxFavorablePct: toFiniteNumber(record.maxFavorablePct, null),
           capturedMoveUsd: toFiniteNumber(record.capturedMoveUsd, null),
           capturedMovePct: toFiniteNumber(record.capturedMovePct, null),
-          entrySlippage: toFiniteNumber(record.entrySlippage, null),
-          exitSlippage: toFiniteNumber(record.exitSlippage, null),
+          entrySlippage: toFiniteNumber(record.entrySlippage, toFiniteNumber(record.entrySlippageBps, null)),
+          exitSlippage: toFiniteNumber(record.exitSlippage, toFiniteNumber(record.exitSlippageBps, null)),
           entryExecMode: record.entryExecMode ?? null,
           exitExecMode: record.exitExecMode ?? null,
           entryProfile: record.entryProfileMode ?? record.entryProfile ?? null,
@@ -1519,6 +1537,8 @@ function buildPnlSummary(trades) {
     return sum + toFiniteNumber(trade?.grossPnl, toFiniteNumber(trade?.pnl, 0));
   }, 0);
   const totalFeeAbs = settled.reduce((sum, trade) => sum + Math.abs(toFiniteNumber(trade?.fee, 0)), 0);
+  // funding は受取 = +（net = gross - fee + funding）
+  const totalFundingUsd = settled.reduce((sum, trade) => sum + toFiniteNumber(trade?.funding, 0), 0);
   const grossAbs = Math.abs(totalGrossPnl);
   return {
     scope: '30d',
@@ -1526,7 +1546,8 @@ function buildPnlSummary(trades) {
     totalGrossPnl,
     totalNetPnl,
     totalFeeAbs,
-    feeImpact: totalGrossPnl - totalNetPnl,
+    totalFundingUsd,
+    feeImpact: totalGrossPnl + totalFundingUsd - totalNetPnl,
     feeToGrossPct: grossAbs > 0 ? (totalFeeAbs / grossAbs) * 100 : null,
     pnlBasis: 'net_after_fee',
     pnlIncludesFee: true
@@ -1540,7 +1561,7 @@ async function resolveLiveEquity(mode) {
     lastEquitySnapshot = {
       equityUsd: Number.isFinite(initial) ? initial : null,
       deltaUsd: null,
-      ts: Date.now(),
+      ts: clockNow(),
       source: 'fallback'
     };
     return lastEquitySnapshot;
@@ -1552,7 +1573,7 @@ async function resolveLiveEquity(mode) {
   if (!baseEquitySnapshot && Number.isFinite(equityUsd)) {
     baseEquitySnapshot = {
       equityUsd,
-      ts: res?.ts ?? Date.now(),
+      ts: res?.ts ?? clockNow(),
       source: res?.source ?? 'live'
     };
   }
@@ -1563,7 +1584,7 @@ async function resolveLiveEquity(mode) {
   lastEquitySnapshot = {
     equityUsd,
     deltaUsd: delta,
-    ts: res?.ts ?? Date.now(),
+    ts: res?.ts ?? clockNow(),
     source: res?.source ?? 'live'
   };
 
@@ -1586,8 +1607,8 @@ function resetSafety(engineState) {
   if (engineState && engineState.safety) {
     engineState.safety.status = 'NORMAL';
     engineState.safety.reason = null;
-    engineState.safety.since = Date.now();
-    engineState.lastTickTs = Date.now();
+    engineState.safety.since = clockNow();
+    engineState.lastTickTs = clockNow();
     console.log('[SAFETY] MANUAL RESET');
   }
 }
@@ -1669,11 +1690,39 @@ function mapDecisionMonitorReason(rawReason, regime = null) {
   return null;
 }
 
+// trade.json symbols の全銘柄を engine で回す（先頭が主銘柄。ダッシュボード等の単一表示は主銘柄）
+function resolveTradingCoins(tradeConfig) {
+  const symbols = Array.isArray(tradeConfig?.symbols) ? tradeConfig.symbols.map(String).filter(Boolean) : [];
+  return symbols.length > 0 ? [...new Set(symbols)] : ['BTC'];
+}
+
 function resolveDecisionCoin(ioPacket) {
   const cur = ioPacket?.marketState?.current ?? null;
   return cur?.coin ?? cur?.symbol ?? 'BTC';
 }
 
+/**
+ * 保護注文の同期（ループを止めないよう await しない。前回分が未完了ならスキップ）
+ * executor は live 時のみ必要なので動的 import
+ */
+function syncExchangeProtection(coin, position, mode) {
+  if (!EXCHANGE_PROTECTION_ENABLED || mode !== 'live' || protectionSyncInFlight.has(coin)) return;
+  protectionSyncInFlight.add(coin);
+  import('../executor/index.js')
+    .then(({ syncPositionProtection }) => syncPositionProtection(coin, position, { mode }))
+    .then((result) => {
+      if (result && !result.ok) {
+        console.error('[RUNTIME] protective order sync failed', result.errors);
+      }
+    })
+    .catch((err) => {
+      console.error('[RUNTIME] protective order sync failed', err?.message || err);
+    })
+    .finally(() => {
+      protectionSyncInFlight.delete(coin);
+    });
+}
+
 async function handleBalanceRequest(res, mode) {
   try {
     const info = await resolveLiveEquity(mode);
@@ -1682,7 +1731,7 @@ async function handleBalanceRequest(res, mode) {
     const payload = {
       equityUsd,
       deltaUsd: Number.isFinite(info?.deltaUsd) ? info.deltaUsd : null,
-      ts: info?.ts ?? Date.now(),
+      ts: info?.ts ?? clockNow(),
       source: info?.source ?? 'fallback'
     };
     res.writeHead(200, { 'Content-Type': 'application/json', ...corsHeaders });
@@ -1693,7 +1742,7 @@ async function handleBalanceRequest(res, mode) {
     const payload = {
       equityUsd: Number.isFinite(fallbackEquity) ? fallbackEquity : null,
       deltaUsd: null,
-      ts: Date.now(),
+      ts: clockNow(),
       source: 'fallback'
     };
     res.writeHead(200, { 'Content-Type': 'application/json', ...corsHeaders });
@@ -1749,7 +1798,7 @@ function evaluateStatus({ lastMarketAt, now, hlEnabled, registryReport, heartbea
   };
 }
 
-export async function startRuntime({ mode, hlEnabled, registryReport }) {
+export async function startRuntime({ mode, hlEnabled, registryReport, engineLoop = 'interval' }) {
   globalThis.__runtimeActive = true;
   // TEST_MODE=1 のときは強制的に test 経路へ（live混在による誤送信防止）
   if (process.env.TEST_MODE === '1') {
@@ -1766,13 +1815,13 @@ export async function startRuntime({ mode, hlEnabled, registryReport }) {
   // 60分窓のサマリを jsonl にも残す（UI依存を避ける）
   const monitorRoute = mode === 'live' ? 'LIVE' : 'TEST';
   const entryRateAlertAt = { low: 0, high: 0 };
-  setInterval(() => {
+  clockSetInterval(() => {
     try {
       const snapshot = decisionMonitor.getSnapshot({ route: monitorRoute });
-      writeLog({ type: 'decision_monitor', ts: Date.now(), route: monitorRoute, snapshot });
+      writeLog({ type: 'decision_monitor', ts: clockNow(), route: monitorRoute, snapshot });
       const entryRateMonitorCfg = getTradeConfig()?.entryRateMonitor ?? {};
       if (entryRateMonitorCfg.enabled !== false) {
-        const nowTs = Date.now();
+        const nowTs = clockNow();
         const evaluated = Number.isFinite(Number(snapshot?.evaluated)) ? Number(snapshot.evaluated) : 0;
         const entered = Number.isFinite(Number(snapshot?.entered)) ? Number(snapshot.entered) : 0;
         const rate = evaluated > 0 ? entered / evaluated : 0;
@@ -1804,7 +1853,7 @@ export async function startRuntime({ mode, hlEnabled, registryReport }) {
           writeLog({
             type: 'notification_signal',
             ts: nowTs,
-            channelTargets: ['line', 'email'],
+            channelTargets: resolveNotificationChannels('ENTRY_RATE_LOW'),
             signal: 'ENTRY_RATE_LOW',
             route: monitorRoute,
             evaluated,
@@ -1812,15 +1861,16 @@ export async function startRuntime({ mode, hlEnabled, registryReport }) {
             entryRate: rate
           });
           if (entryRateMonitorCfg.lineAlertEnabled !== false) {
-            import('../engine/lineNotify.js')
-              .then(({ sendLineAlert }) => sendLineAlert({
-                type: 'ENTRY_RATE_LOW',
-                message: `entry_rate=${(rate * 100).toFixed(2)}% (entered=${entered}/evaluated=${evaluated}, route=${monitorRoute})`,
-                action: `threshold(min=${(minRate * 100).toFixed(2)}%, max=${(maxRate * 100).toFixed(2)}%)`
-              }))
-              .catch((err) => {
-                console.error('[RUNTIME] ENTRY_RATE_LOW line alert failed:', err?.message || err);
-              });
+            notify({
+              signal: 'ENTRY_RATE_LOW',
+              severity: 'warn',
+              message: `entry_rate=${(rate * 100).toFixed(2)}% (entered=${entered}/evaluated=${evaluated}, route=${monitorRoute})`,
+              action: `threshold(min=${(minRate * 100).toFixed(2)}%, max=${(maxRate * 100).toFixed(2)}%)`,
+              cooldownMs,
+              fields: { route: monitorRoute, evaluated, entered, entryRate: rate }
+            }).catch((err) => {
+              console.error('[RUNTIME] ENTRY_RATE_LOW notify failed:', err?.message || err);
+            });
           }
         }
         if (canAlert && rateBand === 'HIGH' && nowTs - entryRateAlertAt.high >= cooldownMs) {
@@ -1828,7 +1878,7 @@ export async function startRuntime({ mode, hlEnabled, registryReport }) {
           writeLog({
             type: 'notification_signal',
             ts: nowTs,
-            channelTargets: ['line', 'email'],
+            channelTargets: resolveNotificationChannels('ENTRY_RATE_HIGH'),
             signal: 'ENTRY_RATE_HIGH',
             route: monitorRoute,
             evaluated,
@@ -1836,15 +1886,16 @@ export async function startRuntime({ mode, hlEnabled, registryReport }) {
             entryRate: rate
           });
           if (entryRateMonitorCfg.lineAlertEnabled !== false) {
-            import('../engine/lineNotify.js')
-              .then(({ sendLineAlert }) => sendLineAlert({
-                type: 'ENTRY_RATE_HIGH',
-                message: `entry_rate=${(rate * 100).toFixed(2)}% (entered=${entered}/evaluated=${evaluated}, route=${monitorRoute})`,
-                action: `threshold(min=${(minRate * 100).toFixed(2)}%, max=${(maxRate * 100).toFixed(2)}%)`
-              }))
-              .catch((err) => {
-                console.error('[RUNTIME] ENTRY_RATE_HIGH line alert failed:', err?.message || err);
-              });
+            notify({
+              signal: 'ENTRY_RATE_HIGH',
+              severity: 'warn',
+              message: `entry_rate=${(rate * 100).toFixed(2)}% (entered=${entered}/evaluated=${evaluated}, route=${monitorRoute})`,
+              action: `threshold(min=${(minRate * 100).toFixed(2)}%, max=${(maxRate * 100).toFixed(2)}%)`,
+              cooldownMs,
+              fields: { route: monitorRoute, evaluated, entered, entryRate: rate }
+            }).catch((err) => {
+              console.error('[RUNTIME] ENTRY_RATE_HIGH notify failed:', err?.message || err);
+            });
           }
         }
       }
@@ -1852,13 +1903,21 @@ export async function startRuntime({ mode, hlEnabled, registryReport }) {
       console.error('[RUNTIME] decision_monitor emit failed', err);
     }
   }, 60_000);
-  // trade.json を定期的に再読込（Bリブートなしでパラメータ反映）
-  startTradeConfigAutoReload(60_000, (hash) => {
+  // 通知 outbox の定期再送（前回プロセスの送り残しもここで送る）
+  startNotificationHub();
+  // シャドー variant ランナー（SHADOW_VARIANTS_ENABLED=1 のとき銘柄スロット作成後に生成）
+  let shadowVariants = null;
+  // trade.json 変更の反映（定期再読込とコントロール API の config パッチで共用）
+  const applyReloadedTradeConfig = (hash, source) => {
     try {
       updateIOConfigForHotReload(getTradeConfig());
-      console.log(`[trade] config auto-reloaded hash=${hash ?? 'unknown'}`);
+      // variant は現行 trade.json へのパッチなので、基準が変わったら当て直す
+      shadowVariants?.reload();
+      console.log(`[trade] config ${source} hash=${hash ?? 'unknown'}`);
     } catch (_) {}
-  });
+  };
+  // trade.json を定期的に再読込（Bリブートなしでパラメータ反映）
+  startTradeConfigAutoReload(60_000, (hash) => applyReloadedTradeConfig(hash, 'auto-reloaded'));
   
   // IO層とEngine層の配線（必須）
   const { bindUpdateMarketState } = await import('../io/index.js');
@@ -1871,15 +1930,16 @@ export async function startRuntime({ mode, hlEnabled, registryReport }) {
   } else if (mode === 'live') {
     loadBaseEquityLiveFromFile();
   }
-  const startTs = Date.now();
+  const startTs = clockNow();
   let noFeedWarned = false;
   let wsCore = null;
+  let wsClient = null;
   if (hlEnabled) {
     wsCore = await import('./index.js');
     if (typeof wsCore?.HLWSClient === 'function') {
       const tradeConfig = getTradeConfig();
       const symbols = Array.isArray(tradeConfig?.symbols) ? tradeConfig.symbols : null;
-      const wsClient = await wsCore.HLWSClient({ WebSocket, config: { symbols } });
+      wsClient = await wsCore.HLWSClient({ WebSocket, config: { symbols } });
       wsClient.start();
       console.log('[WS CLIENT] started');
       const marketCore = registryReport?.cores?.find(c => c?.id === 'marketFeed');
@@ -1891,32 +1951,173 @@ export async function startRuntime({ mode, hlEnabled, registryReport }) {
   }
 
   // 優先度4: State永続化（resolveStatePath で統一決定・環境変数対応）
+  // 銘柄ごとに engine_state を分ける（主銘柄は従来のファイル名、他は engine_state.LIVE.ETH.json 等）
+  const tradingCoins = resolveTradingCoins(getTradeConfig());
+  const primaryCoin = tradingCoins[0];
   const STATE_PATH = resolveStatePath(mode, process.env.ENGINE_STATE_PATH);
-  
-  let engineState = loadEngineState(createInitialState, STATE_PATH);
-  if (!engineState) {
-    console.log('[RUNTIME] State not found, creating initial state');
-    engineState = createInitialState();
-  } else {
-    console.log('[RUNTIME] State restored from', STATE_PATH);
-    console.log('[RUNTIME] Loaded safety:', JSON.stringify(engineState.safety));
+
+  const loadCoinState = (coin, statePath) => {
+    const state = loadEngineState(createInitialState, statePath);
+    if (!state) {
+      console.log(`[RUNTIME] State not found, creating initial state coin=${coin}`);
+      return createInitialState();
+    }
+    console.log(`[RUNTIME] State restored from ${statePath} coin=${coin}`);
+    console.log('[RUNTIME] Loaded safety:', JSON.stringify(state.safety));
     
     // 起動時に HALTED/DATA_STALE 状態だった場合、即座に NORMAL にリセット
     // （前回シャットダウン時の DATA_STALE を引き継がない）
-    if (engineState.safety?.status === 'HALTED' && engineState.safety?.reason === 'DATA_STALE') {
+    if (state.safety?.status === 'HALTED' && state.safety?.reason === 'DATA_STALE') {
       console.log('[RUNTIME] Clearing stale DATA_STALE from previous session');
-      engineState.safety.status = 'NORMAL';
-      engineState.safety.reason = null;
-      engineState.safety.since = null;
-      engineState.lastMarketAtMs = Date.now(); // evaluateSafety() 対策
-      saveEngineState(engineState, STATE_PATH);
+      state.safety.status = 'NORMAL';
+      state.safety.reason = null;
+      state.safety.since = null;
+      state.lastMarketAtMs = clockNow(); // evaluateSafety() 対策
+      saveEngineState(state, statePath);
+    }
+    return state;
+  };
+
+  // 主銘柄の state は従来どおり engineState（ダッシュボード・reset API が参照）。他銘柄は slot 内に保持
+  // set のたびに建玉・保護価格・安全状態の変化を write-ahead journal へ（定期保存の合間に落ちても復元できる）
+  let engineState = loadCoinState(primaryCoin, STATE_PATH);
+  const coinSlots = new Map();
+  // io/index.js からの参照用にグローバルに設定（lastMarketAtMs更新用。銘柄別は global.engineStates）
+  const publishEngineStates = () => {
+    global.engineState = engineState;
+    global.engineStates = Object.fromEntries([...coinSlots.values()].map(slot => [slot.coin, slot.get()]));
+  };
+  for (const coin of tradingCoins) {
+    if (coin === primaryCoin) {
+      coinSlots.set(coin, {
+        coin,
+        statePath: STATE_PATH,
+        lastSaveAt: 0,
+        pipeline: createDecisionPipeline(null, { coin }),
+        get: () => engineState,
+        set: (next) => { engineState = next; journalEngineState(next, STATE_PATH); publishEngineStates(); }
+      });
+      continue;
     }
+    const statePath = resolveCoinStatePath(coin, primaryCoin, mode, process.env.ENGINE_STATE_PATH);
+    let coinState = loadCoinState(coin, statePath);
+    coinSlots.set(coin, {
+      coin,
+      statePath,
+      lastSaveAt: 0,
+      pipeline: createDecisionPipeline(null, { coin }),
+      get: () => coinState,
+      set: (next) => { coinState = next; journalEngineState(next, statePath); publishEngineStates(); }
+    });
+  }
+  publishEngineStates();
+  console.log(`[RUNTIME] trading coins: ${tradingCoins.join(',')} (primary=${primaryCoin})`);
+  if (process.env.SHADOW_VARIANTS_ENABLED === '1') {
+    shadowVariants = createShadowVariantRunner({ primaryCoin });
+  }
+  // 運用コントロール API（/api/control/*。CONTROL_API_TOKEN 未設定なら 503）
+  const controlApi = createControlApi({
+    mode,
+    primaryCoin,
+    getCoins: () => [...coinSlots.keys()],
+    getEngineState: (coin) => coinSlots.get(coin)?.get() ?? null,
+    onConfigApplied: () => {
+      // 次の定期チェックを待たずに反映
+      const res = refreshTradeConfigIfChanged();
+      if (res.changed) applyReloadedTradeConfig(res.hash, 'applied via control api');
+    },
+    corsHeaders
+  });
+  // /metrics（Prometheus）用のコレクタ
+  registerRuntimeMetrics({
+    decisionMonitor,
+    route: monitorRoute,
+    getEngineStates: () => Object.fromEntries([...coinSlots.values()].map(slot => [slot.coin, slot.get()])),
+    getWsClientState: () => wsClient?.getState?.() ?? null,
+    isEntryPaused: (coin) => controlApi.isEntryPaused(coin)
+  });
+
+  // 全銘柄の建玉（ポートフォリオ制限用）。判定中の銘柄は更新途中の state を使う
+  const collectSlotPositions = (coin, currentState) => collectPortfolioPositions(
+    [...coinSlots.values()].map((slot) => {
+      const state = slot.coin === coin ? currentState : slot.get();
+      return { coin: slot.coin, position: state?.openPosition ?? null, markPx: state?.market?.midPx };
+    })
+  );
+
+  // test / dry は板と約定 tape で紙約定を作る（エントリーは遅延つきで板を歩く / maker は列待ち、決済は板を歩く）
+  // live は実約定（下の ORDER_LIFECYCLE_UPDATE）で補正するので使わない
+  const paperFill = mode === 'live' ? null : createPaperFillSimulator({
+    getConfig: () => getTradeConfig().paperFill,
+    getFees: () => getTradeConfig().fees,
+    startedAt: clockNow()
+  });
+  if (paperFill) addIOEventTap((packet) => paperFill.onTrades(packet));
+  const engineOpts = paperFill ? { fillModel: paperFill } : undefined;
+
+  // 実約定（executor/orderTracker）でエントリー数量・平均価格を補正、保護注文の約定は決済として反映
+  bridgeEmitter.on('ORDER_LIFECYCLE_UPDATE', (summary) => {
+    try {
+      const slot = coinSlots.get(summary?.coin) ?? coinSlots.get(primaryCoin);
+      slot.set(applyExecutionUpdate(slot.get(), summary, clockNow()));
+    } catch (err) {
+      console.error('[RUNTIME] applyExecutionUpdate failed', err);
+    }
+  });
+
+  // 取引所の建玉・未約定注文との突き合わせ（live のみ。起動時に 1 回 + 定期実行）
+  // 食い違いは trade.json reconcile.policy（RECONCILE_POLICY env 優先）で adopt / flatten / halt
+  const reconcileCoin = async (slot, trigger, reconcileCfg) => {
+    try {
+      const { reconcileWithExchange } = await import('../executor/index.js');
+      const coin = slot.coin;
+      const result = await reconcileWithExchange(slot.get().openPosition ?? null, {
+        mode,
+        coin,
+        policy: reconcileCfg.policy ?? 'halt',
+        sizeToleranceRatio: reconcileCfg.sizeToleranceRatio,
+        trigger
+      });
+      if (result.skipped) return;
+      if (!result.ok && result.divergences.length === 0) {
+        console.warn(`[RECONCILE] ${coin} ${trigger} failed: ${result.error ?? 'unknown'}`);
+        return;
+      }
+      if (result.divergences.length === 0) return;
+      console.warn(`[RECONCILE] ${coin} ${trigger} policy=${result.policy} divergences=${result.divergences.map(d => d.kind).join(',')} actions=${result.actions.join(',')}`);
+      let state = slot.get();
+      if (result.engine === 'adopt' || result.engine === 'flat') {
+        state = adoptExchangePosition(
+          state,
+          result.engine === 'adopt' ? result.exchangePosition : null,
+          { adoptTpDistanceUsd: reconcileCfg.adoptTpDistanceUsd, reason: `reconcile_${result.engine}` },
+          clockNow()
+        );
+      }
+      if (result.halted) {
+        setSafety(state, 'HALTED', 'RECONCILE_MISMATCH', result.divergences.map(d => d.kind).join(','));
+      }
+      slot.set(state);
+      saveEngineState(state, slot.statePath);
+    } catch (err) {
+      console.error(`[RECONCILE] ${slot.coin} ${trigger} failed`, err?.message || err);
+    }
+  };
+  const runReconcile = async (trigger) => {
+    const reconcileCfg = getTradeConfig()?.reconcile ?? {};
+    if (mode !== 'live' || reconcileCfg.enabled === false) return;
+    for (const slot of coinSlots.values()) {
+      await reconcileCoin(slot, trigger, reconcileCfg);
+    }
+  };
+  await runReconcile('startup');
+  if (mode === 'live') {
+    clockSetInterval(() => {
+      runReconcile('periodic');
+    }, getTradeConfig()?.reconcile?.intervalMs ?? 60_000);
   }
   
-  // io/index.js からの参照用にグローバルに設定（lastMarketAtMs更新用）
-  global.engineState = engineState;
-  
-  let lastWsSendTs = Date.now();
+  let lastWsSendTs = clockNow();
   let lastDecisionSnapshot = {
     side: null,
     size: null,
@@ -1965,7 +2166,7 @@ export async function startRuntime({ mode, hlEnabled, registryReport }) {
   process.stdin.on('data', function(data) {
     const cmd = data.trim().toLowerCase();
     if (cmd === 'reset' || cmd === 'r') {
-      resetSafety(engineState);
+      for (const slot of coinSlots.values()) resetSafety(slot.get());
     }
   });
 
@@ -1974,21 +2175,21 @@ export async function startRuntime({ mode, hlEnabled, registryReport }) {
   let haltedConfirmed = false;
   let isEngineLoopRunning = false;  // 【重要】async setInterval 再入防止フラグ
   
-  setInterval(async () => {
-    if (isEngineLoopRunning) return;  // 並行実行を完全遮断
-    isEngineLoopRunning = true;
-    
+  // 1 銘柄分の判定〜engine 更新（IOPacket・engineState・保存先は銘柄ごと）
+  // Note: await を含めない（ORDER_LIFECYCLE_UPDATE 等が slot を書き換える途中に割り込まないように）
+  const runCoinTick = (slot, accountEquity, skippedSnapshot) => {
+    const isPrimary = slot.coin === primaryCoin;
+    let engineState = slot.get();
     try {
-      const ioPacket = getIOPacket();
+      const ioPacket = getIOPacket(slot.coin);
       const dataStatus = evaluateDataState({ 
         c: ioPacket?.ioMetrics?.c ?? null, 
         ioMetrics: ioPacket?.ioMetrics 
       });
-      lastDataStatus = dataStatus;
+      if (isPrimary) lastDataStatus = dataStatus;
       const market = ioPacket?.marketState?.current ?? null;
-      const skippedSnapshot = decisionMonitor.getSnapshot({ route: monitorRoute });
       if (!market) {
-        if (hlEnabled && !noFeedWarned && Date.now() - startTs > 60_000) {
+        if (isPrimary && hlEnabled && !noFeedWarned && clockNow() - startTs > 60_000) {
           noFeedWarned = true;
           console.warn('[WARN] NO_FEED for 60s: market feed not supplied yet');
         }
@@ -1997,7 +2198,7 @@ export async function startRuntime({ mode, hlEnabled, registryReport }) {
           size: 0,
           reason: dataStatus.stopReason ?? STOP_REASONS.WAIT_TRADES
         };
-        lastDecisionSnapshot = {
+        if (isPrimary) lastDecisionSnapshot = {
           side: 'none',
           size: 0,
           reason: decision.reason,
@@ -2008,8 +2209,8 @@ export async function startRuntime({ mode, hlEnabled, registryReport }) {
         };
         const route = mode === 'live' ? 'LIVE' : 'TEST';
         bridgeEmitter.emit('decision:monitor:v1', {
-          ts: Date.now(),
-          coin: resolveDecisionCoin(ioPacket),
+          ts: clockNow(),
+          coin: slot.coin,
           decision: 'none',
           reason: mapDecisionMonitorReason(decision.reason),
           rawReason: String(decision.reason ?? ''),
@@ -2017,18 +2218,24 @@ export async function startRuntime({ mode, hlEnabled, registryReport }) {
         });
         return;
       }
-      const marketTs = ioPacket?.timestamp ?? Date.now();
+      const marketTs = ioPacket?.timestamp ?? clockNow();
       lastMarketAt = marketTs;
       const marketState = { ...market, ts: marketTs };
-      console.log('[MARKET FEED]', marketState.midPx, marketState.oi);
-      let equityInfo = { equityUsd: null, deltaUsd: null, source: 'fallback', ts: Date.now() };
-      try {
-        equityInfo = await resolveLiveEquity(mode);
-      } catch (err) {
-        try { console.warn('[runtime] resolveLiveEquity failed', err?.message || err); } catch (_) {}
+      console.log('[MARKET FEED]', slot.coin, marketState.midPx, marketState.oi);
+      if (shadowVariants) {
+        try {
+          shadowVariants.runTick(slot.coin, {
+            ioPacket,
+            accountEquity,
+            mode,
+            dataState: dataStatus?.dataState ?? null,
+            stopReason: dataStatus?.stopReason ?? null,
+            skippedSnapshot
+          });
+        } catch (err) {
+          console.error('[SHADOW] runTick failed', err);
+        }
       }
-      const fallbackEquity = mode === 'live' ? getFallbackEquityUsd() : getInitialCapitalUsd();
-      const accountEquity = Number.isFinite(equityInfo.equityUsd) ? equityInfo.equityUsd : fallbackEquity;
       
       // ────────────────────────
       // 優先度1: Warmup制約チェック（起動直後の誤発注防止）
@@ -2041,15 +2248,16 @@ export async function startRuntime({ mode, hlEnabled, registryReport }) {
       if (hasWarmup) {
         const decision = { side: 'none', size: 0, reason: 'warmup_in_progress' };
         console.log('[DECISION]', decision);
-        engineState = updateEngine(engineState, marketState, decision, marketTs);
+        engineState = updateEngine(engineState, marketState, decision, marketTs, engineOpts);
         engineState.market = marketState;
-        global.engineState = engineState;
-        tickCount++;
+        if (paperFill) engineState = paperFill.sync(slot.coin, engineState, marketState, marketTs);
+        slot.set(engineState);
+        if (isPrimary) tickCount++;
         touchTick(engineState);
-        const now = Date.now();
-        if (now - lastEngineStateSaveAt >= ENGINE_STATE_SAVE_INTERVAL_MS) {
-          saveEngineState(engineState, STATE_PATH);
-          lastEngineStateSaveAt = now;
+        const now = clockNow();
+        if (now - slot.lastSaveAt >= ENGINE_STATE_SAVE_INTERVAL_MS) {
+          saveEngineState(engineState, slot.statePath);
+          slot.lastSaveAt = now;
         }
         return; // 次のループへ
       }
@@ -2073,17 +2281,17 @@ export async function startRuntime({ mode, hlEnabled, registryReport }) {
           console.log('[SAFETY] Resetting from DATA_STALE to ACTIVE (WARMUP mode)');
           engineState.safety.status = 'ACTIVE';
           engineState.safety.reason = 'WARMUP';
-          engineState.safety.since = Date.now();
+          engineState.safety.since = clockNow();
           
           // lastMarketAtMs を更新（evaluateSafety() で再度 HALTED に戻されるのを防ぐ）
-          engineState.lastMarketAtMs = Date.now();
+          engineState.lastMarketAtMs = clockNow();
           
           // dataStatus を更新（後段の DataState チェックを通過可能にする）
           dataStatus.dataState = 'OK';
           dataStatus.stopReason = null;
           
           writeLog({
-            ts: Date.now(),
+            ts: clockNow(),
             type: 'safety_reset',
             from: 'HALTED/DATA_STALE',
             to: 'ACTIVE/WARMUP',
@@ -2092,7 +2300,7 @@ export async function startRuntime({ mode, hlEnabled, registryReport }) {
           });
           
           // 即座に保存（次のループを待たずにリセットを永続化）
-          saveEngineState(engineState, STATE_PATH);
+          saveEngineState(engineState, slot.statePath);
         } else {
           // 完全に正常化（bar1hReady=true または freshnessHint が null）
           console.log('[SAFETY] Resetting from DATA_STALE to ACTIVE (fully recovered)');
@@ -2101,14 +2309,14 @@ export async function startRuntime({ mode, hlEnabled, registryReport }) {
           engineState.safety.since = null;
           
           // lastMarketAtMs を更新（evaluateSafety() で再度 HALTED に戻されるのを防ぐ）
-          engineState.lastMarketAtMs = Date.now();
+          engineState.lastMarketAtMs = clockNow();
           
           // dataStatus を更新（後段の DataState チェックを通過可能にする）
           dataStatus.dataState = 'OK';
           dataStatus.stopReason = null;
           
           writeLog({
-            ts: Date.now(),
+            ts: clockNow(),
             type: 'safety_reset',
             from: 'HALTED/DATA_STALE',
             to: 'ACTIVE',
@@ -2117,7 +2325,7 @@ export async function startRuntime({ mode, hlEnabled, registryReport }) {
           });
           
           // 即座に保存（次のループを待たずにリセットを永続化）
-          saveEngineState(engineState, STATE_PATH);
+          saveEngineState(engineState, slot.statePath);
         }
       }
       
@@ -2130,7 +2338,7 @@ export async function startRuntime({ mode, hlEnabled, registryReport }) {
         engineState.safety.since = null;
         
         writeLog({
-          ts: Date.now(),
+          ts: clockNow(),
           type: 'safety_warmup_complete',
           from: 'ACTIVE/WARMUP',
           to: 'ACTIVE',
@@ -2138,7 +2346,7 @@ export async function startRuntime({ mode, hlEnabled, registryReport }) {
         });
         
         // 即座に保存（次のループを待たずに完了を永続化）
-        saveEngineState(engineState, STATE_PATH);
+        saveEngineState(engineState, slot.statePath);
       }
       
       // ────────────────────────
@@ -2149,15 +2357,16 @@ export async function startRuntime({ mode, hlEnabled, registryReport }) {
       if (dataStatus.dataState && dataStatus.dataState !== 'OK') {
         const decision = { side: 'none', size: 0, reason: dataStatus.stopReason ?? STOP_REASONS.WAIT_TRADES };
         console.log('[DECISION]', decision);
-        engineState = updateEngine(engineState, marketState, decision, marketTs);
+        engineState = updateEngine(engineState, marketState, decision, marketTs, engineOpts);
         engineState.market = marketState;
-        global.engineState = engineState;
-        tickCount++;
+        if (paperFill) engineState = paperFill.sync(slot.coin, engineState, marketState, marketTs);
+        slot.set(engineState);
+        if (isPrimary) tickCount++;
         touchTick(engineState);
-        const now = Date.now();
-        if (now - lastEngineStateSaveAt >= ENGINE_STATE_SAVE_INTERVAL_MS) {
-          saveEngineState(engineState, STATE_PATH);
-          lastEngineStateSaveAt = now;
+        const now = clockNow();
+        if (now - slot.lastSaveAt >= ENGINE_STATE_SAVE_INTERVAL_MS) {
+          saveEngineState(engineState, slot.statePath);
+          slot.lastSaveAt = now;
         }
         return; // 次のループへ
       }
@@ -2175,13 +2384,13 @@ export async function startRuntime({ mode, hlEnabled, registryReport }) {
         wsState: dataStatus?.dataState ?? null,
         skippedSnapshot
       };
-      let decision = decideTrade(decisionPayload);
+      let decision = slot.pipeline.decideTrade(decisionPayload);
       
       // ────────────────────────
       // FORCE_TEST_TRADE オーバーライド
       // ────────────────────────
       // Note: テスト専用の強制エントリー/出口（本番では無効）
-      if (FORCE_TEST_TRADE && dataStatus.dataState === 'OK' && !dataStatus.stopReason) {
+      if (FORCE_TEST_TRADE && isPrimary && dataStatus.dataState === 'OK' && !dataStatus.stopReason) {
         if (!forcedEntryDone && !engineState.openPosition) {
           decision = { side: 'buy', size: 0.01, reason: 'force_test_entry' };
           forcedEntryDone = true;
@@ -2195,12 +2404,38 @@ export async function startRuntime({ mode, hlEnabled, registryReport }) {
           }
         }
       }
+      // コントロール API: 強制決済を優先、新規停止中はエントリー / 追加エントリーだけ見送る（建玉の決済は通す）
+      const forcedExit = controlApi.takeForcedExit(slot.coin, engineState.openPosition);
+      if (forcedExit) {
+        console.warn(`[CONTROL] ${slot.coin} forced exit reason=${forcedExit.reason} by=${forcedExit.controlActor}`);
+        decision = forcedExit;
+      } else if ((!engineState.openPosition || decision?.action === 'add') && controlApi.isEntryPaused(slot.coin)
+        && (decision?.side === 'buy' || decision?.side === 'sell')) {
+        decision = { ...decision, side: 'none', size: 0, reason: 'control_paused' };
+      }
+      // 約定突き合わせ用に decisionId を engine へ渡す（executor の clientOrderId と同一キー）
+      if (decision && typeof ioPacket?.decisionId === 'string' && !decision.decisionId) {
+        decision = { ...decision, decisionId: ioPacket.decisionId };
+      }
+      // ポートフォリオ上限（総グロス / 銘柄別 / 相関考慮）。新規エントリーのみ縮小・見送り、決済は素通し
+      const portfolioCheck = applyPortfolioRisk(slot.coin, decision, {
+        positions: collectSlotPositions(slot.coin, engineState),
+        midPx: marketState.midPx,
+        openPosition: engineState.openPosition,
+        tradeConfig: getTradeConfig()
+      });
+      if (portfolioCheck.blocked || portfolioCheck.scaled) {
+        console.warn(`[PORTFOLIO] ${slot.coin} ${portfolioCheck.blocked ? 'blocked' : 'scaled'} reason=${portfolioCheck.reason} allowedUsd=${portfolioCheck.allowedUsd?.toFixed(2)}`);
+        decision = portfolioCheck.decision;
+      }
       const route = mode === 'live' ? 'LIVE' : 'TEST';
       const monitor = decision?.monitor ?? null;
       console.log('[DECISION]', decision);
-      engineState = updateEngine(engineState, marketState, decision, marketTs);
+      engineState = updateEngine(engineState, marketState, decision, marketTs, engineOpts);
       engineState.market = marketState;
-      global.engineState = engineState;  // 【重要】グローバル参照を毎ループ更新（io/index.js との同期）
+      if (paperFill) engineState = paperFill.sync(slot.coin, engineState, marketState, marketTs);
+      slot.set(engineState);  // 【重要】グローバル参照を毎ループ更新（io/index.js との同期）
+      syncExchangeProtection(slot.coin, engineState.openPosition, mode);
 
       const engineLastDecision = engineState?.lastDecision ?? null;
       const monitorSideRaw = typeof engineLastDecision?.side === 'string'
@@ -2212,8 +2447,8 @@ export async function startRuntime({ mode, hlEnabled, registryReport }) {
         ? engineLastDecision.reason
         : (typeof decision?.reason === 'string' ? decision.reason : null);
       bridgeEmitter.emit('decision:monitor:v1', {
-        ts: Date.now(),
-        coin: resolveDecisionCoin(ioPacket),
+        ts: clockNow(),
+        coin: slot.coin,
         decision: monitorDecisionType,
         reason: monitorDecisionType === 'none' ? mapDecisionMonitorReason(monitorReasonRaw) : null,
         rawReason: monitorDecisionType === 'none' ? String(monitorReasonRaw ?? '') : null,
@@ -2230,9 +2465,9 @@ export async function startRuntime({ mode, hlEnabled, registryReport }) {
       });
 
       // Live Shadow Test (no real orders): same pessimistic fill model in realtime.
-      if (shadowCfg.enabled) {
+      if (shadowCfg.enabled && isPrimary) {
         try {
-          const nowTsShadow = Date.now();
+          const nowTsShadow = clockNow();
           const mid = toFiniteNumber(marketState?.midPx, null);
           if (Number.isFinite(mid) && mid > 0) {
             const spreadBps = calcSpreadBps(marketState);
@@ -2313,15 +2548,15 @@ export async function startRuntime({ mode, hlEnabled, registryReport }) {
       }
       
       // 優先度3: 時刻更新（最優先・save前に実行必須）
-      tickCount++;
+      if (isPrimary) tickCount++;
       touchTick(engineState);
       
       // 優先度4: State永続化（5秒ごとに保存、毎ティック I/O ブロック防止）
       // ここで保存される engineState は最新の lastLoopAtMs を含む
-      const now = Date.now();
-      if (now - lastEngineStateSaveAt >= ENGINE_STATE_SAVE_INTERVAL_MS) {
-        saveEngineState(engineState, STATE_PATH);
-        lastEngineStateSaveAt = now;
+      const now = clockNow();
+      if (now - slot.lastSaveAt >= ENGINE_STATE_SAVE_INTERVAL_MS) {
+        saveEngineState(engineState, slot.statePath);
+        slot.lastSaveAt = now;
       }
       
       const decisionSideFinal = typeof engineLastDecision?.side === 'string'
@@ -2334,7 +2569,7 @@ export async function startRuntime({ mode, hlEnabled, registryReport }) {
         decisionSideFinal && decisionSideFinal.toLowerCase() !== 'none' && rawReason === 'safety_mid_chop'
           ? null
           : rawReason;
-      lastDecisionSnapshot = {
+      if (isPrimary) lastDecisionSnapshot = {
         side: decisionSideFinal,
         size: typeof decision?.size === 'number' ? decision.size : null,
         reason: decisionReason,
@@ -2363,10 +2598,40 @@ export async function startRuntime({ mode, hlEnabled, registryReport }) {
         haltedConfirmed = true;
         console.log('[TEST] HALTED状態を検知、以降tick再開テスト');
       }
+    } finally {
+      slot.set(engineState);
+    }
+  };
+
+  // 1 tick 分の engine ループ（engineLoop: 'manual' ならテストハーネスが await runEngineTick() で 1 tick ずつ進める）
+  const runEngineTick = async () => {
+    if (isEngineLoopRunning) return;  // 並行実行を完全遮断
+    isEngineLoopRunning = true;
+    
+    try {
+      let equityInfo = { equityUsd: null, deltaUsd: null, source: 'fallback', ts: clockNow() };
+      try {
+        equityInfo = await resolveLiveEquity(mode);
+      } catch (err) {
+        try { console.warn('[runtime] resolveLiveEquity failed', err?.message || err); } catch (_) {}
+      }
+      const fallbackEquity = mode === 'live' ? getFallbackEquityUsd() : getInitialCapitalUsd();
+      const accountEquity = Number.isFinite(equityInfo.equityUsd) ? equityInfo.equityUsd : fallbackEquity;
+      const skippedSnapshot = decisionMonitor.getSnapshot({ route: monitorRoute });
+      for (const slot of coinSlots.values()) {
+        try {
+          runCoinTick(slot, accountEquity, skippedSnapshot);
+        } catch (err) {
+          console.error(`[RUNTIME] engine tick failed coin=${slot.coin}`, err);
+        }
+      }
     } finally {
       isEngineLoopRunning = false;  // 【重要】例外時も確実に解除
     }
-  }, 1000); // 1秒ごとに実ロジックdecision
+  };
+  if (engineLoop !== 'manual') {
+    clockSetInterval(runEngineTick, ENGINE_LOOP_INTERVAL_MS); // 1秒ごとに実ロジックdecision
+  }
 
   const PORT = process.env.WS_PORT ? parseInt(process.env.WS_PORT, 10) : 8788;
   const server = http.createServer((req, res) => {
@@ -2379,6 +2644,14 @@ export async function startRuntime({ mode, hlEnabled, registryReport }) {
       return;
     }
 
+    if (controlApi.handleRequest(req, res)) return;
+
+    if (req.method === 'GET' && req.url && req.url.split('?')[0] === '/metrics') {
+      res.writeHead(200, { 'Content-Type': METRICS_CONTENT_TYPE, ...corsHeaders });
+      res.end(renderMetrics());
+      return;
+    }
+
     if (req.method === 'GET' && req.url && req.url.startsWith('/health')) {
       const tradeConfig = getTradeConfig();
       const thresholds = tradeConfig?.feedHealthThresholds;
@@ -2400,13 +2673,15 @@ export async function startRuntime({ mode, hlEnabled, registryReport }) {
       });
       req.on('end', () => {
         try {
-          resetSafety(engineState);
-          saveEngineState(engineState, STATE_PATH);
+          for (const slot of coinSlots.values()) {
+            resetSafety(slot.get());
+            saveEngineState(slot.get(), slot.statePath);
+          }
           res.writeHead(200, { 'Content-Type': 'application/json', ...corsHeaders });
           res.end(JSON.stringify({
             success: true,
             safetyStatus: engineState?.safety?.status ?? null,
-            updatedAt: Date.now()
+            updatedAt: clockNow()
           }));
         } catch (err) {
           res.writeHead(500, { 'Content-Type': 'application/json', ...corsHeaders });
@@ -2483,19 +2758,22 @@ export async function startRuntime({ mode, hlEnabled, registryReport }) {
     res.end();
   });
   const wss = new WebSocketServer({ server });
+  // ダッシュボード配信（旧クライアントは全量、hello 済みの v2 クライアントはトピック別 snapshot/delta）
+  const dashboardHub = createDashboardHub({ getClients: () => wss.clients });
+  dashboardHub.start();
   server.listen(PORT, '0.0.0.0', () => {
     console.log(`[WS] server + health listening on 0.0.0.0:${PORT}`);
   });
 
   // DASHBOARD: 2秒ごとにengineState.statsをemit
-  setInterval(() => {
+  clockSetInterval(() => {
     try {
       const stats = engineState?.stats ?? {};
       console.log('[DEBUG stats]', stats);
       const history7d = Array.isArray(stats.history7d) ? stats.history7d : [];
       const dailyPnl7d = Array.from({ length: 7 }, () => null);
       const msPerDay = 24 * 60 * 60 * 1000;
-      const now = Date.now();
+      const now = clockNow();
       for (const trade of history7d) {
         if (!trade || typeof trade.closedAt !== 'number') continue;
         if (now - trade.closedAt > 6 * msPerDay) continue;
@@ -2528,7 +2806,7 @@ export async function startRuntime({ mode, hlEnabled, registryReport }) {
       shortWins: Number.isFinite(stats.shortWins) ? stats.shortWins : 0,
     };
     const monitorSnapshot = decisionMonitor.getSnapshot({
-      nowMs: Date.now(),
+      nowMs: clockNow(),
       route: mode === 'live' ? 'LIVE' : 'TEST'
     });
 
@@ -2554,15 +2832,19 @@ export async function startRuntime({ mode, hlEnabled, registryReport }) {
     const tradeConfig = getTradeConfig();
     const autoHalt = shouldAutoHaltFromRecentTrades({ mode, tradeConfig, trades });
     if (autoHalt) {
-      const currentStatus = String(engineState?.safety?.status ?? 'NORMAL').toUpperCase();
-      const currentReason = String(engineState?.safety?.reason ?? '');
-      if (currentStatus !== 'HALTED' || currentReason !== autoHalt.reason) {
-        if (!engineState.safety) engineState.safety = { status: 'NORMAL', reason: null, since: null };
-        engineState.safety.status = 'HALTED';
-        engineState.safety.reason = autoHalt.reason;
-        engineState.safety.since = Date.now();
-        console.warn(`[AUTO_HALT] ${autoHalt.reason} ${autoHalt.detail}`);
-        saveEngineState(engineState, STATE_PATH);
+      // trades ログは全銘柄共通なので全銘柄を止める
+      for (const slot of coinSlots.values()) {
+        const state = slot.get();
+        const currentStatus = String(state?.safety?.status ?? 'NORMAL').toUpperCase();
+        const currentReason = String(state?.safety?.reason ?? '');
+        if (currentStatus !== 'HALTED' || currentReason !== autoHalt.reason) {
+          if (!state.safety) state.safety = { status: 'NORMAL', reason: null, since: null };
+          state.safety.status = 'HALTED';
+          state.safety.reason = autoHalt.reason;
+          state.safety.since = clockNow();
+          console.warn(`[AUTO_HALT] ${slot.coin} ${autoHalt.reason} ${autoHalt.detail}`);
+          saveEngineState(state, slot.statePath);
+        }
       }
     }
     // FEED HEALTH データを取得
@@ -2572,11 +2854,11 @@ export async function startRuntime({ mode, hlEnabled, registryReport }) {
     const ioPacket = getIOPacket();
     const market = ioPacket?.marketState?.current ?? engineState?.market ?? null;
     const wsLive = buildWsLiveSnapshot(market, ioPacket?.ioMetrics ?? null);
-    const exitSignals = buildExitSignalsSnapshot(engineState?.openPosition ?? null, market, tradeConfig, Date.now());
-    const position = buildPositionSnapshot(engineState?.openPosition ?? null, market, tradeConfig, Date.now());
+    const exitSignals = buildExitSignalsSnapshot(engineState?.openPosition ?? null, market, tradeConfig, clockNow());
+    const position = buildPositionSnapshot(engineState?.openPosition ?? null, market, tradeConfig, clockNow());
     const recentTrades = buildRecentTradesSnapshot(trades, 10);
     const normalizedTrades = buildRecentTradesSnapshot(trades, Math.max(1, trades.length));
-    const trades30d = filterLastDaysTrades(normalizedTrades, 30, Date.now());
+    const trades30d = filterLastDaysTrades(normalizedTrades, 30, clockNow());
     const allTrades = buildAllTradesSnapshot(trades30d);
     const startingEquity = (Number.isFinite(baseEquity) ? baseEquity : initialCapital) ?? 0;
     const equityTimeSeries = buildEquityTimeSeries(trades30d, startingEquity);
@@ -2634,8 +2916,8 @@ export async function startRuntime({ mode, hlEnabled, registryReport }) {
           Number.isFinite(engineState.lastUpdate) ? engineState.lastUpdate : 0,
           Number.isFinite(engineState.lastLoopAtMs) ? engineState.lastLoopAtMs : 0
         ) || null,
-      dashboardSentAt: Date.now(),
-      uptime: formatUptime(Date.now() - processStartAt),
+      dashboardSentAt: clockNow(),
+      uptime: formatUptime(clockNow() - processStartAt),
       bar1hWarmupRemainingMs: (() => {
         const isTestMode = String(process.env.TEST_MODE ?? '') === '1';
         const bar1hReady = ioPacket?.ioMetrics?.bar1hState?.ready ?? false;
@@ -2643,7 +2925,7 @@ export async function startRuntime({ mode, hlEnabled, registryReport }) {
         const bar1hLookbackBars = getTradeConfig()?.bar1h?.lookbackBars ?? 3;
         const gateRequiredBars = isTestMode ? 1 : bar1hLookbackBars;
         const requiredMs = gateRequiredBars * 60 * 60 * 1000;
-        const elapsedMs = Date.now() - processStartAt;
+        const elapsedMs = clockNow() - processStartAt;
         const remainingMs = Math.max(0, requiredMs - elapsedMs);
         return remainingMs;
       })(),
@@ -2752,7 +3034,11 @@ export async function startRuntime({ mode, hlEnabled, registryReport }) {
       // TRADES LOG SOURCE（UI表示用）
       tradesSourcePath: getTradesSourcePath(mode, dashboardTradesPathEnv),
       b1SnapshotRefreshSec: b1SnapshotRefresh.sec,
-      b1SnapshotRefreshSource: b1SnapshotRefresh.source
+      b1SnapshotRefreshSource: b1SnapshotRefresh.source,
+      // SHADOW VARIANTS（代替 trade.json の紙約定比較。無効時は null）
+      shadowVariants: shadowVariants ? shadowVariants.getSummary() : null,
+      // CONTROL（運用コントロール API の停止状態）
+      control: controlApi.getState()
     };
     console.log('[DASHBOARD SEND]', {
       safetyStatus: dashboardPayload.safetyStatus,
@@ -2768,10 +3054,10 @@ export async function startRuntime({ mode, hlEnabled, registryReport }) {
     });
     if (DASHBOARD_PAYLOAD_DEBUG) {
       // DEBUG時のみペイロード全体をファイルにダンプ
-      fs.appendFileSync('/tmp/dashboard_payload.jsonl', JSON.stringify({ ts: Date.now(), payload: dashboardPayload }) + '\n');
+      fs.appendFileSync('/tmp/dashboard_payload.jsonl', JSON.stringify({ ts: clockNow(), payload: dashboardPayload }) + '\n');
     }
     // ws-status-v1も同時送信
-    const now2 = Date.now();
+    const now2 = clockNow();
     const delta = now2 - lastWsSendTs;
     const status = evaluateStatus({
       lastMarketAt,
@@ -2797,14 +3083,9 @@ export async function startRuntime({ mode, hlEnabled, registryReport }) {
       b1SnapshotRefreshSec: b1SnapshotRefresh.sec,
       b1SnapshotRefreshSource: b1SnapshotRefresh.source,
     };
-    wss.clients.forEach(client => {
-      if (client.readyState === 1) {
-        client.send(JSON.stringify(dashboardPayload));
-        client.send(JSON.stringify(wsStatusV1Payload));
-        console.log('[WS STATUS V1 SEND]', wsStatusV1Payload);
-      }
-    });
-      lastWsSendTs = Date.now();
+    dashboardHub.publishDashboard(dashboardPayload, wsStatusV1Payload);
+    console.log('[WS STATUS V1 SEND]', wsStatusV1Payload);
+      lastWsSendTs = clockNow();
     } catch (err) {
       console.error('[DASHBOARD] emit failed', err);
     }
@@ -2812,7 +3093,7 @@ export async function startRuntime({ mode, hlEnabled, registryReport }) {
 
   const initialStatus = evaluateStatus({
     lastMarketAt,
-    now: Date.now(),
+    now: clockNow(),
     hlEnabled,
     registryReport,
     heartbeatDelta: null,
@@ -2837,12 +3118,13 @@ export async function startRuntime({ mode, hlEnabled, registryReport }) {
   };
 
   wss.on('connection', (ws, req) => {
+    dashboardHub.attach(ws);
     // クライアント接続時にws-status: CONNECTEDを送信
     ws.send(JSON.stringify({ type: 'ws-status', state: 'CONNECTED' }));
     // 最新のstatusを送信（起動時のものではなく）
     const currentStatus = evaluateStatus({
       lastMarketAt,
-      now: Date.now(),
+      now: clockNow(),
       hlEnabled,
       registryReport,
       heartbeatDelta: null,
@@ -2887,7 +3169,7 @@ export async function startRuntime({ mode, hlEnabled, registryReport }) {
   // （listening ではなく、全リソース初期化完了後）
   const bootStatus = evaluateStatus({
     lastMarketAt: null,
-    now: Date.now(),
+    now: clockNow(),
     hlEnabled,
     registryReport,
     heartbeatDelta: null,
@@ -2917,28 +3199,17 @@ export async function startRuntime({ mode, hlEnabled, registryReport }) {
     }
   });
 
-  // イベントバッファ（リングバッファ最大100件）
-  const eventBuffer = [];
-  const MAX_EVENTS = 100;
+  // イベントバッファ（dashboardHub が seq 付きで保持。v2 クライアントは再接続時に seq から再開できる）
   function pushEvent(event) {
-    eventBuffer.push(event);
-    if (eventBuffer.length > MAX_EVENTS) eventBuffer.shift();
-    broadcast({ type: 'event', event });
-  }
-
-  function broadcast(message) {
-    const data = JSON.stringify(message);
-    for (const ws of wss.clients) {
-      if (ws.readyState === ws.OPEN) {
-        ws.send(data);
-      }
-    }
+    dashboardHub.publishEvent(event);
   }
 
   // bridgeEmitter経由のengine-eventをバッファにpush
   bridgeEmitter.on('ENGINE_PNL_UPDATE', (payload) => pushEvent({ type: 'ENGINE_PNL_UPDATE', ...payload }));
   bridgeEmitter.on('ENGINE_POSITION_UPDATE', (payload) => pushEvent({ type: 'ENGINE_POSITION_UPDATE', ...payload }));
   bridgeEmitter.on('ENGINE_ERROR', (payload) => pushEvent({ type: 'ENGINE_ERROR', ...payload }));
+  bridgeEmitter.on('CONTROL_ACTION', (payload) => pushEvent({ type: 'CONTROL_ACTION', ...payload }));
+  bridgeEmitter.on('ORDER_LIFECYCLE_UPDATE', (payload) => pushEvent({ type: 'ORDER_LIFECYCLE_UPDATE', ...payload }));
   bridgeEmitter.on('debug-packet', (payload) => {
     if (payload?.layer === 'logic' && payload?.data?.line) {
       console.log(payload.data.line);
@@ -2957,4 +3228,10 @@ export async function startRuntime({ mode, hlEnabled, registryReport }) {
   if (wsCore && typeof wsCore.init === 'function') {
     wsCore.init();
   }
+
+  // テストハーネス用: setClock(createManualClock()) と engineLoop: 'manual' で 1 tick ずつ回して状態を確認する
+  return {
+    runEngineTick,
+    getEngineState: (coin = primaryCoin) => coinSlots.get(coin)?.get() ?? null
+  };
 }
@@ -0,0 +1,96 @@
+// ws/runtimeMetrics.js
+// runtime の /metrics 用コレクタ（feed・判定・執行の健全性）
+// - 受信レート（hlb_ws_messages_total）は ws/index.js、発注レイテンシ・スリッページは executor 側で直接計測
+// - ここでは状態を持つモジュール（healthState・decision monitor・raw logger・OrderbookSync・safetyHalt・engine state）を
+//   scrape 時に読み取って gauge / counter に写し、判定結果は decision:monitor:v1 を reasonCode 別に数える
+import bridgeEmitter from '../core/bridgeEmitter.js';
+import { STAGES, buildHealthReport } from '../core/healthState.js';
+import { addMetricsCollector, counter, gauge } from '../core/metrics.js';
+import { getSafetyState } from '../executor/safetyHalt.js';
+import { getTradeConfig } from '../config/trade.js';
+import { getLoggerStats } from './utils/logger.js';
+
+const HEALTH_STATUSES = ['OK', 'WARN', 'NG', 'NA'];
+const SAFETY_STATUSES = ['NORMAL', 'HALTED', 'ERROR'];
+
+const decisionsTotal = counter('hlb_decisions_total', 'Decision outcomes by coin, route and reason code');
+const stageAgeSeconds = gauge('hlb_stage_age_seconds', 'Seconds since the last heartbeat of each feed stage');
+const stageStatus = gauge('hlb_stage_status', 'Feed stage health status (1 = current status)');
+const stageUpdatesTotal = counter('hlb_stage_updates_total', 'Heartbeats recorded per feed stage');
+const decisionWindowEvaluated = gauge('hlb_decision_window_evaluated', 'Decisions evaluated in the decision monitor window');
+const decisionWindowEntryRate = gauge('hlb_decision_window_entry_rate', 'Entry rate (entered / evaluated) in the decision monitor window');
+const loggerQueueLength = gauge('hlb_raw_logger_queue_length', 'Raw WS logger queue length');
+const loggerDroppedTotal = counter('hlb_raw_logger_dropped_total', 'Raw WS logger events dropped on queue overflow');
+const orderbookDriftTotal = counter('hlb_orderbook_drift_total', 'OrderbookSync drift detections (WS book vs REST snapshot)');
+const orderbookResyncsTotal = counter('hlb_orderbook_resyncs_total', 'OrderbookSync REST resyncs');
+const orderbookLastDrift = gauge('hlb_orderbook_last_drift_ratio', 'Max top-level volume delta at the last drift detection');
+const orderbookSyncAgeSeconds = gauge('hlb_orderbook_sync_age_seconds', 'Seconds since the last successful REST resync');
+const engineSafetyStatus = gauge('hlb_engine_safety_status', 'Engine safety status per coin (1 = current status)');
+const engineOpenPositionSize = gauge('hlb_engine_position_size', 'Engine open position size per coin (signed: long > 0)');
+const executorLiveEnabled = gauge('hlb_executor_live_enabled', 'Executor live trading enabled (0 after a safety halt)');
+const signerConsecutiveErrors = gauge('hlb_signer_consecutive_errors', 'Consecutive SignerAdapter errors (halt at 3)');
+const entryPaused = gauge('hlb_control_entry_paused', 'New entries paused via the control API (per coin)');
+
+/**
+ * @param {{
+ *   decisionMonitor: { getSnapshot: (opts?: object) => object },
+ *   route: string,
+ *   getEngineStates: () => Record<string, object>,
+ *   getWsClientState?: () => object|null,
+ *   isEntryPaused?: (coin: string) => boolean
+ * }} options
+ */
+export function registerRuntimeMetrics(options) {
+  bridgeEmitter.on('decision:monitor:v1', (event) => {
+    decisionsTotal.inc({
+      coin: event?.coin ?? 'unknown',
+      route: event?.route ?? 'unknown',
+      decision: event?.decision ?? 'unknown',
+      reason_code: event?.reasonCode ?? 'unknown'
+    });
+  });
+
+  addMetricsCollector(() => {
+    const report = buildHealthReport(getTradeConfig()?.feedHealthThresholds);
+    for (const entry of report.stages) {
+      if (!Object.values(STAGES).includes(entry.stage)) continue;
+      stageAgeSeconds.set({ stage: entry.stage }, entry.ageMs === null ? NaN : entry.ageMs / 1000);
+      stageUpdatesTotal.set({ stage: entry.stage }, entry.seq);
+      for (const status of HEALTH_STATUSES) stageStatus.set({ stage: entry.stage, status }, entry.status === status ? 1 : 0);
+    }
+  });
+
+  addMetricsCollector(() => {
+    const snapshot = options.decisionMonitor.getSnapshot({ route: options.route });
+    decisionWindowEvaluated.set({ route: options.route }, snapshot?.evaluated ?? 0);
+    decisionWindowEntryRate.set({ route: options.route }, snapshot?.entryRate ?? 0);
+  });
+
+  addMetricsCollector(() => {
+    const stats = getLoggerStats();
+    loggerQueueLength.set({}, stats.queueLength);
+    loggerDroppedTotal.set({}, stats.droppedTotal);
+  });
+
+  addMetricsCollector(() => {
+    const sync = options.getWsClientState?.()?.orderbookSync ?? null;
+    if (!sync) return;
+    orderbookDriftTotal.set({}, sync.driftCount);
+    orderbookResyncsTotal.set({}, sync.resyncCount);
+    orderbookLastDrift.set({}, sync.lastDrift?.maxDelta ?? 0);
+    orderbookSyncAgeSeconds.set({}, sync.lastSyncTs ? (Date.now() - sync.lastSyncTs) / 1000 : NaN);
+  });
+
+  addMetricsCollector(() => {
+    const executor = getSafetyState();
+    executorLiveEnabled.set({}, executor.liveEnabled ? 1 : 0);
+    signerConsecutiveErrors.set({}, executor.consecutiveErrors);
+    for (const [coin, state] of Object.entries(options.getEngineStates() ?? {})) {
+      const current = String(state?.safety?.status ?? 'NORMAL').toUpperCase();
+      for (const status of SAFETY_STATUSES) engineSafetyStatus.set({ coin, status }, current === status ? 1 : 0);
+      const pos = state?.openPosition;
+      engineOpenPositionSize.set({ coin }, pos ? (pos.side === 'sell' ? -pos.size : pos.size) : 0);
+      if (options.isEntryPaused) entryPaused.set({ coin }, options.isEntryPaused(coin) ? 1 : 0);
+    }
+  });
+}
@@ -0,0 +1,401 @@
+// ws/shadowVariants.js
+// シャドー戦略ランナー：trade.json の代替案（variant）を本番フィードで並走させ、紙の約定で成績を比べる
+// - variant は SHADOW_VARIANTS_DIR（既定 config/shadow）の <name>.json。現行 trade.json に深くマージするパッチ（trade.json 丸ごとでもよい）
+// - variant ごとに判定パイプラインと engine state を持ち、updateEngine をシャドー実行する（発注・ENGINE イベント・通知なし）
+// - IO に効くセクション（lrc / bar1h など）を変える variant は専用の IO コンテキストで特徴量を作り直す
+// - 売買ログは variant ごとに <trades.jsonl のディレクトリ>/shadow/<name>.trades.jsonl（SHADOW_LOG_DIR で上書き）
+// - 比較の基準として現行 trade.json も同じ紙約定で回す（name=baseline）
+// - 紙の建玉・集計はプロセス内のみ（再起動で 0 から。通算は scripts/ops/shadow_variants.js report で売買ログから出す）
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createDecisionPipeline } from '../logic/index.js';
+import { createIsolatedIO, addIOEventTap } from '../io/index.js';
+import { createInitialState, updateMarketState } from '../engine/state.js';
+import { updateEngine } from '../engine/update.js';
+import { enrichTradeRecord } from '../engine/tradeLogger.js';
+import { applyPortfolioRisk, collectPortfolioPositions } from '../engine/portfolioRisk.js';
+import { getTradeConfig, buildTradeConfig } from '../config/trade.js';
+import { resolveTradesPath } from '../config/tradesPath.js';
+import { mergeTradeConfigPatch } from '../config/tradeHistory.js';
+import { STOP_REASONS } from '../core/stopReasons.js';
+import { clockNow } from '../core/clock.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const ROOT = path.resolve(path.dirname(__filename), '..');
+const TRADE_CONFIG_PATH = path.join(ROOT, 'config', 'trade.json');
+const DEFAULT_VARIANTS_DIR = path.join(ROOT, 'config', 'shadow');
+const BASELINE_NAME = 'baseline';
+const NAME_PATTERN = /^[A-Za-z0-9_.-]+$/;
+// io/index.js が読む設定セクション（ここを変える variant は IO を独立させる）
+const IO_SECTIONS = ['lrc', 'lrcA', 'lrcD', 'bar1h', 'srAggregate', 'tradeFlow', 'liqCascade', 'topDownModel', 'slopeThresholdsByLen'];
+const ENTRY_WINDOW_MS = 60 * 60 * 1000;
+const ERROR_LOG_INTERVAL_MS = 60 * 1000;
+
+export function resolveShadowVariantsDir(env = process.env) {
+  const override = env?.SHADOW_VARIANTS_DIR;
+  if (override && String(override).trim().length > 0) {
+    return path.resolve(process.cwd(), String(override).trim());
+  }
+  return DEFAULT_VARIANTS_DIR;
+}
+
+export function resolveShadowLogDir(env = process.env) {
+  const override = env?.SHADOW_LOG_DIR;
+  if (override && String(override).trim().length > 0) {
+    return path.resolve(process.cwd(), String(override).trim());
+  }
+  return path.join(path.dirname(resolveTradesPath(env?.MODE, env?.LOG_TRADES_PATH)), 'shadow');
+}
+
+export function resolveShadowTradesPath(name, env = process.env) {
+  return path.join(resolveShadowLogDir(env), `${name}.trades.jsonl`);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * variant 定義の一覧（名前順）。JSON として読めないファイルは error 付きで返す
+ * @returns {Array<{ name: string, file: string, patch: object|null, error: string|null }>}
+ */
+export function listShadowVariants(dir = resolveShadowVariantsDir()) {
+  if (!fs.existsSync(dir)) return [];
+  const out = [];
+  for (const file of fs.readdirSync(dir).sort()) {
+    if (!file.endsWith('.json')) continue;
+    const name = file.slice(0, -'.json'.length);
+    const filePath = path.join(dir, file);
+    if (!NAME_PATTERN.test(name) || name === BASELINE_NAME) {
+      out.push({ name, file: filePath, patch: null, error: `invalid variant name: ${name}` });
+      continue;
+    }
+    try {
+      const patch = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      if (!isPlainObject(patch)) throw new Error('variant must be a JSON object');
+      out.push({ name, file: filePath, patch, error: null });
+    } catch (err) {
+      out.push({ name, file: filePath, patch: null, error: err.message });
+    }
+  }
+  return out;
+}
+
+/**
+ * 現行 trade.json にパッチを当てた本文（オブジェクト）。昇格時にそのまま書き戻せる形
+ */
+export function buildShadowVariantRaw(patch, tradeConfigPath = TRADE_CONFIG_PATH) {
+  const base = JSON.parse(fs.readFileSync(tradeConfigPath, 'utf8'));
+  return mergeTradeConfigPatch(base, patch);
+}
+
+// ─────────────────────────
+// 成績集計（ランナーと report CLI で共通）
+// ─────────────────────────
+export function createShadowStats() {
+  return {
+    evaluated: 0,
+    entries: 0,
+    entryTimes: [],
+    trades: 0,
+    wins: 0,
+    losses: 0,
+    pnlUsd: 0,
+    grossWinUsd: 0,
+    grossLossUsd: 0,
+    exitReasons: {}
+  };
+}
+
+export function addShadowTrade(stats, record) {
+  const pnl = Number(record?.realizedPnlNetUsd ?? record?.realizedPnlUsd);
+  if (!Number.isFinite(pnl)) return;
+  stats.trades += 1;
+  stats.pnlUsd += pnl;
+  if (pnl > 0) {
+    stats.wins += 1;
+    stats.grossWinUsd += pnl;
+  } else if (pnl < 0) {
+    stats.losses += 1;
+    stats.grossLossUsd += -pnl;
+  }
+  const reason = String(record?.exitReason ?? 'UNKNOWN');
+  stats.exitReasons[reason] = (stats.exitReasons[reason] ?? 0) + 1;
+}
+
+function recordShadowEntry(stats, ts) {
+  stats.entries += 1;
+  stats.entryTimes.push(ts);
+  const cutoff = ts - ENTRY_WINDOW_MS;
+  while (stats.entryTimes.length > 0 && stats.entryTimes[0] < cutoff) stats.entryTimes.shift();
+}
+
+function round(value, digits = 2) {
+  if (!Number.isFinite(value)) return null;
+  const p = 10 ** digits;
+  return Math.round(value * p) / p;
+}
+
+export function snapshotShadowStats(stats, nowTs = clockNow()) {
+  const cutoff = nowTs - ENTRY_WINDOW_MS;
+  const exitReasonPct = {};
+  for (const [reason, count] of Object.entries(stats.exitReasons)) {
+    exitReasonPct[reason] = stats.trades > 0 ? round((count / stats.trades) * 100, 1) : 0;
+  }
+  return {
+    evaluated: stats.evaluated,
+    entries: stats.entries,
+    entryRatePct: stats.evaluated > 0 ? round((stats.entries / stats.evaluated) * 100, 3) : null,
+    entriesLastHour: stats.entryTimes.filter(ts => ts >= cutoff).length,
+    trades: stats.trades,
+    wins: stats.wins,
+    losses: stats.losses,
+    winRatePct: stats.trades > 0 ? round((stats.wins / stats.trades) * 100, 1) : null,
+    pnlUsd: round(stats.pnlUsd, 4),
+    avgPnlUsd: stats.trades > 0 ? round(stats.pnlUsd / stats.trades, 4) : null,
+    profitFactor: stats.grossLossUsd > 0 ? round(stats.grossWinUsd / stats.grossLossUsd, 3) : null,
+    exitReasons: { ...stats.exitReasons },
+    exitReasonPct
+  };
+}
+
+// ─────────────────────────
+// ランナー
+// ─────────────────────────
+function touchesIO(patch) {
+  return IO_SECTIONS.some(key => Object.prototype.hasOwnProperty.call(patch ?? {}, key));
+}
+
+function createVariantSlot(name, file, patch) {
+  const variant = {
+    name,
+    file,
+    patch,
+    isolatedIO: !!patch && touchesIO(patch),
+    config: null,
+    error: null,
+    lastErrorLogAt: 0,
+    logPath: resolveShadowTradesPath(name),
+    pipelines: new Map(), // coin → 判定パイプライン
+    states: new Map(),    // coin → engineState（紙の建玉）
+    ios: new Map(),       // coin → createIsolatedIO（isolatedIO のときのみ）
+    stats: createShadowStats()
+  };
+  // baseline は getTradeConfig() に追従（ホットリロードもそのまま反映）
+  variant.getConfig = () => (patch ? variant.config : getTradeConfig());
+  return variant;
+}
+
+function applyVariantConfig(variant) {
+  if (!variant.patch) return;
+  try {
+    variant.config = buildTradeConfig(buildShadowVariantRaw(variant.patch), `shadow variant ${variant.name}`);
+    variant.error = null;
+    for (const io of variant.ios.values()) io.applyConfig(variant.config);
+  } catch (err) {
+    // 現行 trade.json とのマージ結果がスキーマ違反なら、その variant だけ止める
+    variant.config = null;
+    variant.error = err.message.split('\n').slice(0, 3).join(' ');
+    console.error(`[SHADOW] variant ${variant.name} rejected: ${err.message}`);
+  }
+}
+
+function logVariantError(variant, label, err) {
+  const now = clockNow();
+  variant.error = `${label}: ${err?.message || err}`;
+  if (now - variant.lastErrorLogAt < ERROR_LOG_INTERVAL_MS) return;
+  variant.lastErrorLogAt = now;
+  console.error(`[SHADOW] variant ${variant.name} ${label} failed`, err);
+}
+
+function appendVariantTrade(variant, coin, record, onDone) {
+  const enriched = enrichTradeRecord({ ...record, coin: record?.coin ?? coin, shadowVariant: variant.name });
+  addShadowTrade(variant.stats, enriched);
+  try {
+    fs.mkdirSync(path.dirname(variant.logPath), { recursive: true });
+    fs.appendFile(variant.logPath, `${JSON.stringify(enriched)}\n`, (err) => {
+      if (typeof onDone === 'function') onDone(err || null);
+    });
+  } catch (err) {
+    if (typeof onDone === 'function') onDone(err);
+  }
+}
+
+/**
+ * シャドー variant ランナーを作る
+ * @param {{ dir?: string, primaryCoin?: string, includeBaseline?: boolean }} [options]
+ * @returns {{ runTick: Function, reload: Function, getSummary: Function, stop: Function }}
+ */
+export function createShadowVariantRunner(options = {}) {
+  const dir = options.dir ?? resolveShadowVariantsDir();
+  const includeBaseline = options.includeBaseline !== false;
+  const startedAt = clockNow();
+  let variants = [];
+  let removeTap = null;
+
+  function resolveCoin(packet) {
+    const coin = Array.isArray(packet) ? packet[0]?.coin : packet?.coin;
+    return coin ? String(coin) : (options.primaryCoin ?? getTradeConfig()?.symbols?.[0] ?? 'BTC');
+  }
+
+  // IO を独立させた variant には本番フィードのイベントを複製して流す
+  function onIOEvent(packet, eventOpts) {
+    const coin = resolveCoin(packet);
+    for (const variant of variants) {
+      if (!variant.isolatedIO || !variant.config) continue;
+      try {
+        let io = variant.ios.get(coin);
+        if (!io) {
+          io = createIsolatedIO({
+            coin,
+            config: () => variant.config,
+            updateMarketState,
+            getEngineState: () => variant.states.get(coin) ?? null,
+            emit: false
+          });
+          variant.ios.set(coin, io);
+        }
+        io.handleEvent(packet, eventOpts);
+      } catch (err) {
+        logVariantError(variant, 'io', err);
+      }
+    }
+  }
+
+  function syncTap() {
+    const needTap = variants.some(v => v.isolatedIO);
+    if (needTap && !removeTap) removeTap = addIOEventTap(onIOEvent);
+    if (!needTap && removeTap) {
+      removeTap();
+      removeTap = null;
+    }
+  }
+
+  // variant ファイルの再読込（既存 variant の紙の建玉・集計は引き継ぐ）
+  function reload() {
+    const prev = new Map(variants.map(v => [v.name, v]));
+    const next = [];
+    if (includeBaseline) next.push(prev.get(BASELINE_NAME) ?? createVariantSlot(BASELINE_NAME, null, null));
+    for (const def of listShadowVariants(dir)) {
+      let variant = prev.get(def.name);
+      const samePatch = variant && JSON.stringify(variant.patch) === JSON.stringify(def.patch);
+      if (!variant || !samePatch) {
+        // パッチが変わった variant は作り直す（前の設定での建玉・集計とは混ぜない）
+        variant = createVariantSlot(def.name, def.file, def.patch);
+      }
+      if (def.error) {
+        variant.error = def.error;
+        variant.config = null;
+      } else {
+        applyVariantConfig(variant);
+      }
+      next.push(variant);
+    }
+    variants = next;
+    syncTap();
+    console.log(`[SHADOW] variants: ${variants.map(v => (v.error ? `${v.name}(error)` : v.name)).join(', ') || '(none)'} dir=${dir}`);
+    return variants.map(v => v.name);
+  }
+
+  /**
+   * 1 銘柄・1 tick 分を全 variant で回す（runtime の runCoinTick から呼ぶ）
+   * @param {string} coin
+   * @param {{ ioPacket: object, accountEquity: number|null, mode: string, dataState?: string|null, stopReason?: string|null, skippedSnapshot?: object|null }} ctx
+   */
+  function runTick(coin, ctx) {
+    for (const variant of variants) {
+      if (variant.patch && !variant.config) continue;
+      try {
+        const ioPacket = variant.isolatedIO ? variant.ios.get(coin)?.getPacket() : ctx.ioPacket;
+        const market = ioPacket?.marketState?.current ?? null;
+        if (!market) continue;
+        const marketTs = ioPacket?.timestamp ?? clockNow();
+        const marketState = { ...market, ts: marketTs };
+        const constraints = ioPacket?.ioMetrics?.constraints ?? [];
+        const hasWarmup = constraints.some(c => c === 'warmup' || (typeof c === 'object' && c?.type === 'warmup'));
+        let engineState = variant.states.get(coin) ?? createInitialState();
+        const hadPosition = !!engineState.openPosition;
+        let pipeline = variant.pipelines.get(coin);
+        if (!pipeline) {
+          pipeline = createDecisionPipeline(variant.getConfig, { emit: false, coin });
+          variant.pipelines.set(coin, pipeline);
+        }
+
+        let decision;
+        if (hasWarmup) {
+          decision = { side: 'none', size: 0, reason: 'warmup_in_progress' };
+        } else if (ctx.dataState && ctx.dataState !== 'OK') {
+          decision = { side: 'none', size: 0, reason: ctx.stopReason ?? STOP_REASONS.WAIT_TRADES };
+        } else {
+          decision = pipeline.decideTrade({
+            ...ioPacket,
+            market,
+            accountEquity: ctx.accountEquity,
+            engineState,
+            mode: ctx.mode,
+            wsState: ctx.dataState ?? null,
+            skippedSnapshot: ctx.skippedSnapshot ?? null
+          });
+          variant.stats.evaluated += 1;
+          // ポートフォリオ上限は variant 自身の紙の建玉で判定
+          decision = applyPortfolioRisk(coin, decision, {
+            positions: collectPortfolioPositions([...variant.states].map(([c, s]) => {
+              const state = c === coin ? engineState : s;
+              return { coin: c, position: state?.openPosition ?? null, markPx: state?.market?.midPx };
+            })),
+            midPx: marketState.midPx,
+            openPosition: engineState.openPosition,
+            tradeConfig: variant.getConfig()
+          }).decision;
+        }
+        engineState = updateEngine(engineState, marketState, decision, marketTs, {
+          tradeConfig: variant.getConfig(),
+          shadow: true,
+          appendTradeLog: (record, onDone) => appendVariantTrade(variant, coin, record, onDone)
+        });
+        engineState.market = marketState;
+        variant.states.set(coin, engineState);
+        if (!hadPosition && engineState.openPosition) recordShadowEntry(variant.stats, marketTs);
+        if (variant.error?.startsWith('tick:')) variant.error = null;
+      } catch (err) {
+        logVariantError(variant, 'tick', err);
+      }
+    }
+  }
+
+  // ダッシュボード用の比較表（baseline との差分つき）
+  function getSummary() {
+    const nowTs = clockNow();
+    const rows = variants.map((variant) => {
+      const openPositions = [];
+      for (const [coin, state] of variant.states) {
+        const pos = state?.openPosition;
+        if (pos) openPositions.push({ coin, side: pos.side ?? null, size: pos.size ?? null, entryPx: pos.entryPx ?? null, entryTs: pos.entryTs ?? null });
+      }
+      return {
+        name: variant.name,
+        file: variant.file ? path.relative(ROOT, variant.file) : null,
+        baseline: variant.name === BASELINE_NAME,
+        ioMode: variant.isolatedIO ? 'isolated' : 'shared',
+        error: variant.error,
+        tradesPath: path.relative(ROOT, variant.logPath),
+        ...snapshotShadowStats(variant.stats, nowTs),
+        openPositions
+      };
+    });
+    const base = rows.find(r => r.baseline) ?? null;
+    for (const row of rows) {
+      row.pnlVsBaselineUsd = base && !row.baseline ? round(row.pnlUsd - base.pnlUsd, 4) : null;
+    }
+    return { startedAt, dir: path.relative(ROOT, dir), updatedAt: nowTs, variants: rows };
+  }
+
+  function stop() {
+    if (removeTap) removeTap();
+    removeTap = null;
+  }
+
+  reload();
+  return { runTick, reload, getSummary, stop };
+}
@@ -2,8 +2,9 @@
 // lastSeenからstate/severity/lastOkLayer/stoppedAt/since/hint/changesを判定
 import { LAYERS, STATES, SEVERITIES, TIMEOUTS, DATA_STATES, STOP_REASONS } from './model.js';
 import { getLastSeen } from './tracker.js';
+import { clockNow } from '../../core/clock.js';
 
-function getNow() { return Date.now(); }
+function getNow() { return clockNow(); }
 
 export function evaluateStatus() {
   const now = getNow();
@@ -1,5 +1,6 @@
 // ws/status/tracker.js
 // lastSeenAtのみ管理、永続化禁止
+import { clockNow } from '../../core/clock.js';
 
 const lastSeen = {
   WS: null,
@@ -13,7 +14,7 @@ const lastSeen = {
 
 export function markLayer(layer) {
   if (lastSeen.hasOwnProperty(layer)) {
-    lastSeen[layer] = Date.now();
+    lastSeen[layer] = clockNow();
   }
 }
 
@@ -97,6 +97,10 @@ async function write(event) {
   return Promise.resolve(true);
 }
 
+// キュー長と drop 累計（/metrics 用）
+function getLoggerStats() {
+  return { enabled: RAW_LOG_ENABLED, queueLength: queue.length, maxQueue: MAX_QUEUE, droppedTotal };
+}
 
 // TEST結果専用: test-logs/test-results.jsonl へのappend only永続保存（deduplication付き）
 const TEST_RESULTS_PATH = path.resolve(__dirname, '..', '..', 'test-logs', 'test-results.jsonl');
@@ -129,7 +133,7 @@ async function persistTestResult(payload) {
   }
 }
 
-export { write, persistTestResult, rotateLogs };
+export { write, persistTestResult, rotateLogs, getLoggerStats };
 
 // rotateLogs: remove raw-YYYYMMDD.jsonl files older than `keepDays` (default 7)
 async function rotateLogs(options = {}) {